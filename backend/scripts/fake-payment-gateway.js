@@ -0,0 +1,35 @@
+/**
+ * Fake Payment Gateway
+ * @module scripts/fake-payment-gateway
+ * @description Runs the fake gateway server locally so checkouts can be paid
+ * or declined in the browser without a Stripe account. Start the API with
+ * PAYMENT_GATEWAY=fake; both read the same FAKE_GATEWAY_* settings.
+ */
+
+import 'dotenv/config';
+import { paymentConfig, serverConfig } from '#config/index.js';
+import { createFakeGatewayServer } from '#lib/payments/index.js';
+
+const apiUrl = new URL(paymentConfig.fake.apiUrl);
+const webhookUrl = process.env.FAKE_GATEWAY_WEBHOOK_URL
+    || `http://localhost:${serverConfig.port}${process.env.API_PREFIX || '/api'}/payments/webhook`;
+
+const server = createFakeGatewayServer({
+    host: apiUrl.hostname,
+    port: Number(apiUrl.port) || 80,
+    secretKey: paymentConfig.fake.secretKey,
+    webhookSecret: paymentConfig.fake.webhookSecret,
+    webhookUrl,
+    publicUrl: apiUrl.origin
+});
+
+const url = await server.listen();
+console.log(`💳 Fake payment gateway listening on ${url}`);
+console.log(`   Webhooks go to ${webhookUrl}`);
+
+const shutdown = async () => {
+    await server.close();
+    process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -11,6 +11,8 @@ import {
     displayServerInfo,
     displaySuccessMessage,
     initializeDatabase,
+    initializePayments,
+    initializeJobWorkers,
     initializeServer,
     setupServerManagement
 } from '#lib/server/index.js';
@@ -28,6 +30,9 @@ const startServer = async () => {
         await initializeDatabase();
         displayDatabaseConfig();
         
+        initializePayments();
+        initializeJobWorkers();
+        
         const server = await initializeServer();
         
         displayServerInfo(server);
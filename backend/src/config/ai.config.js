@@ -0,0 +1,105 @@
+/**
+ * AI Configuration
+ * @module config/ai
+ * @description LLM provider credentials and per-task model routing
+ */
+
+import { getEnvironmentDefaults } from '#lib/config/index.js';
+import { getValidEnvironment } from '#lib/config/index.js';
+import { parseInteger, parseFloat, parseBoolean } from '#lib/parsers/index.js';
+import { AI_PROVIDER_DEFAULTS } from '#constants/config/index.js';
+import { AI_PROVIDERS, AI_TASKS } from '#constants/ai/index.js';
+
+const env = getValidEnvironment(process.env.NODE_ENV);
+const defaults = getEnvironmentDefaults(env, 'ai');
+
+const defaultProvider = (process.env.AI_PROVIDER || defaults.PROVIDER).toLowerCase();
+
+/**
+ * Build the route for one task from AI_<TASK>_PROVIDER / AI_<TASK>_MODEL.
+ * A task without overrides uses the default provider and that provider's model.
+ */
+const taskRoute = (task) => {
+    const prefix = `AI_${task.toUpperCase()}`;
+    return Object.freeze({
+        provider: (process.env[`${prefix}_PROVIDER`] || defaultProvider).toLowerCase(),
+        model: process.env[`${prefix}_MODEL`] || null
+    });
+};
+
+export const aiConfig = Object.freeze({
+    env,
+    provider: defaultProvider,
+    timeout: parseInteger(process.env.AI_TIMEOUT, defaults.TIMEOUT),
+    maxRetries: parseInteger(process.env.AI_MAX_RETRIES, defaults.MAX_RETRIES),
+    maxTokens: parseInteger(process.env.AI_MAX_TOKENS, defaults.MAX_TOKENS),
+    temperature: parseFloat(process.env.AI_TEMPERATURE, defaults.TEMPERATURE),
+
+    // Rubric grading of short-answer questions
+    grading: Object.freeze({
+        enabled: parseBoolean(process.env.AI_GRADING_ENABLED, defaults.GRADING_ENABLED),
+        passScore: parseFloat(process.env.AI_GRADING_PASS_SCORE, defaults.GRADING_PASS_SCORE),
+        cacheTtlDays: parseInteger(process.env.AI_GRADING_CACHE_TTL_DAYS, defaults.GRADING_CACHE_TTL_DAYS)
+    }),
+
+    // Map-reduce summarization of documents longer than one chunk
+    summarization: Object.freeze({
+        chunkTokens: parseInteger(process.env.AI_SUMMARY_CHUNK_TOKENS, defaults.SUMMARY_CHUNK_TOKENS),
+        concurrency: parseInteger(process.env.AI_SUMMARY_CONCURRENCY, defaults.SUMMARY_CONCURRENCY),
+        maxCost: parseFloat(process.env.AI_SUMMARY_MAX_COST, defaults.SUMMARY_MAX_COST)
+    }),
+
+    providers: Object.freeze({
+        [AI_PROVIDERS.DEEPSEEK]: Object.freeze({
+            apiKey: process.env.DEEPSEEK_API_KEY || null,
+            baseUrl: process.env.DEEPSEEK_BASE_URL || AI_PROVIDER_DEFAULTS.deepseek.BASE_URL,
+            model: process.env.DEEPSEEK_MODEL || AI_PROVIDER_DEFAULTS.deepseek.MODEL,
+            embeddingModel: process.env.DEEPSEEK_EMBEDDING_MODEL || AI_PROVIDER_DEFAULTS.deepseek.EMBEDDING_MODEL,
+            inputPrice: parseFloat(process.env.DEEPSEEK_INPUT_PRICE, AI_PROVIDER_DEFAULTS.deepseek.INPUT_PRICE),
+            outputPrice: parseFloat(process.env.DEEPSEEK_OUTPUT_PRICE, AI_PROVIDER_DEFAULTS.deepseek.OUTPUT_PRICE)
+        }),
+        [AI_PROVIDERS.OPENAI]: Object.freeze({
+            apiKey: process.env.OPENAI_API_KEY || null,
+            baseUrl: process.env.OPENAI_BASE_URL || AI_PROVIDER_DEFAULTS.openai.BASE_URL,
+            model: process.env.OPENAI_MODEL || AI_PROVIDER_DEFAULTS.openai.MODEL,
+            embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || AI_PROVIDER_DEFAULTS.openai.EMBEDDING_MODEL,
+            inputPrice: parseFloat(process.env.OPENAI_INPUT_PRICE, AI_PROVIDER_DEFAULTS.openai.INPUT_PRICE),
+            outputPrice: parseFloat(process.env.OPENAI_OUTPUT_PRICE, AI_PROVIDER_DEFAULTS.openai.OUTPUT_PRICE)
+        }),
+        [AI_PROVIDERS.GEMINI]: Object.freeze({
+            apiKey: process.env.GEMINI_API_KEY || null,
+            baseUrl: process.env.GEMINI_BASE_URL || AI_PROVIDER_DEFAULTS.gemini.BASE_URL,
+            model: process.env.GEMINI_MODEL || AI_PROVIDER_DEFAULTS.gemini.MODEL,
+            embeddingModel: process.env.GEMINI_EMBEDDING_MODEL || AI_PROVIDER_DEFAULTS.gemini.EMBEDDING_MODEL,
+            inputPrice: parseFloat(process.env.GEMINI_INPUT_PRICE, AI_PROVIDER_DEFAULTS.gemini.INPUT_PRICE),
+            outputPrice: parseFloat(process.env.GEMINI_OUTPUT_PRICE, AI_PROVIDER_DEFAULTS.gemini.OUTPUT_PRICE)
+        }),
+        [AI_PROVIDERS.LOCAL]: Object.freeze({
+            apiKey: process.env.LOCAL_LLM_API_KEY || null, // Most local servers ignore it
+            baseUrl: process.env.LOCAL_LLM_BASE_URL || AI_PROVIDER_DEFAULTS.local.BASE_URL,
+            model: process.env.LOCAL_LLM_MODEL || AI_PROVIDER_DEFAULTS.local.MODEL,
+            embeddingModel: process.env.LOCAL_LLM_EMBEDDING_MODEL || AI_PROVIDER_DEFAULTS.local.EMBEDDING_MODEL,
+            inputPrice: parseFloat(process.env.LOCAL_LLM_INPUT_PRICE, AI_PROVIDER_DEFAULTS.local.INPUT_PRICE),
+            outputPrice: parseFloat(process.env.LOCAL_LLM_OUTPUT_PRICE, AI_PROVIDER_DEFAULTS.local.OUTPUT_PRICE)
+        }),
+        [AI_PROVIDERS.FAKE]: Object.freeze({
+            apiKey: null,
+            baseUrl: null,
+            model: AI_PROVIDER_DEFAULTS.fake.MODEL,
+            embeddingModel: AI_PROVIDER_DEFAULTS.fake.EMBEDDING_MODEL,
+            inputPrice: AI_PROVIDER_DEFAULTS.fake.INPUT_PRICE,
+            outputPrice: AI_PROVIDER_DEFAULTS.fake.OUTPUT_PRICE
+        })
+    }),
+
+    tasks: Object.freeze({
+        [AI_TASKS.SUMMARY]: taskRoute(AI_TASKS.SUMMARY),
+        [AI_TASKS.QUIZ]: taskRoute(AI_TASKS.QUIZ),
+        [AI_TASKS.CUSTOM_ANALYSIS]: taskRoute(AI_TASKS.CUSTOM_ANALYSIS),
+        [AI_TASKS.GRADING]: taskRoute(AI_TASKS.GRADING),
+        [AI_TASKS.FLASHCARDS]: taskRoute(AI_TASKS.FLASHCARDS),
+        [AI_TASKS.CHAT]: taskRoute(AI_TASKS.CHAT),
+        [AI_TASKS.EMBEDDING]: taskRoute(AI_TASKS.EMBEDDING),
+        [AI_TASKS.STATUS]: taskRoute(AI_TASKS.STATUS)
+    })
+});
@@ -0,0 +1,10 @@
+/**
+ * GeoIP Configuration
+ * @module config/geoip
+ * @description Location of the offline IP geolocation database
+ */
+
+export const geoipConfig = Object.freeze({
+    // GeoLite2-City.mmdb or GeoIP2-City.mmdb; lookups are skipped when unset
+    dbPath: process.env.GEOIP_DB_PATH || null
+});
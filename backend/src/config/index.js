@@ -9,3 +9,12 @@ export { serverConfig } from './server.config.js';
 export { configureApp } from './express.config.js';
 export { configureServer, setupGracefulShutdown } from './server.setup.js';
 export { databaseConfig } from './database.config.js';
+export { aiConfig } from './ai.config.js';
+export { queueConfig } from './queue.config.js';
+export { ocrConfig } from './ocr.config.js';
+export { mailConfig } from './mail.config.js';
+export { geoipConfig } from './geoip.config.js';
+export { twoFactorConfig } from './twoFactor.config.js';
+export { oidcConfig } from './oidc.config.js';
+export { loginProtectionConfig } from './loginProtection.config.js';
+export { paymentConfig } from './payment.config.js';
@@ -0,0 +1,37 @@
+/**
+ * Login Protection Configuration
+ * @module config/loginProtection
+ * @description Brute-force limits for sign-in: per-IP and per-account
+ * counters, progressive delays, account lockouts and suspicious sign-in checks
+ */
+
+import { parseInteger } from '#lib/parsers/index.js';
+
+export const loginProtectionConfig = Object.freeze({
+    // Failed attempts are forgotten this long after the first one
+    windowMinutes: parseInteger(process.env.LOGIN_WINDOW_MINUTES, 15),
+
+    ip: Object.freeze({
+        // Failed logins from one address (any account) before it is blocked for the window
+        maxAttempts: parseInteger(process.env.LOGIN_IP_MAX_ATTEMPTS, 20)
+    }),
+
+    account: Object.freeze({
+        // Failed logins before the account is locked
+        maxAttempts: parseInteger(process.env.LOGIN_MAX_ATTEMPTS, 5),
+        // First lockout; each further lockout doubles it up to the maximum
+        lockMinutes: parseInteger(process.env.LOGIN_LOCK_MINUTES, 15),
+        maxLockMinutes: parseInteger(process.env.LOGIN_MAX_LOCK_MINUTES, 24 * 60)
+    }),
+
+    delay: Object.freeze({
+        // Failures for one email allowed without waiting
+        freeAttempts: parseInteger(process.env.LOGIN_DELAY_FREE_ATTEMPTS, 2),
+        // Wait after the next failure; doubles with each one after that
+        baseSeconds: parseInteger(process.env.LOGIN_DELAY_BASE_SECONDS, 1),
+        maxSeconds: parseInteger(process.env.LOGIN_DELAY_MAX_SECONDS, 60)
+    }),
+
+    // Faster than a passenger jet between two sign-ins means a stolen password
+    impossibleTravelKmh: parseInteger(process.env.LOGIN_IMPOSSIBLE_TRAVEL_KMH, 900)
+});
@@ -0,0 +1,33 @@
+/**
+ * Mail Configuration
+ * @module config/mail
+ * @description Transport selection, sender address and SMTP credentials
+ */
+
+import { getEnvironmentDefaults } from '#lib/config/index.js';
+import { getValidEnvironment } from '#lib/config/index.js';
+import { parseInteger, parseBoolean } from '#lib/parsers/index.js';
+
+const env = getValidEnvironment(process.env.NODE_ENV);
+const defaults = getEnvironmentDefaults(env, 'mail');
+
+export const mailConfig = Object.freeze({
+    env,
+    transport: (process.env.MAIL_TRANSPORT || defaults.TRANSPORT).toLowerCase(),
+    from: process.env.MAIL_FROM || defaults.FROM,
+
+    // Links in emails point at the web app
+    frontendUrl: (process.env.FRONTEND_URL || defaults.FRONTEND_URL).replace(/\/+$/, ''),
+
+    file: Object.freeze({
+        dir: process.env.MAIL_FILE_DIR || defaults.FILE_DIR
+    }),
+
+    smtp: Object.freeze({
+        host: process.env.SMTP_HOST || null,
+        port: parseInteger(process.env.SMTP_PORT, defaults.SMTP_PORT),
+        secure: parseBoolean(process.env.SMTP_SECURE, defaults.SMTP_SECURE),
+        user: process.env.SMTP_USER || null,
+        pass: process.env.SMTP_PASSWORD || null
+    })
+});
@@ -0,0 +1,22 @@
+/**
+ * OCR Configuration
+ * @module config/ocr
+ * @description Local Tesseract and pdftoppm binaries used to read scanned pages and photos
+ */
+
+import { getEnvironmentDefaults } from '#lib/config/index.js';
+import { getValidEnvironment } from '#lib/config/index.js';
+import { parseInteger, parseBoolean } from '#lib/parsers/index.js';
+
+const env = getValidEnvironment(process.env.NODE_ENV);
+const defaults = getEnvironmentDefaults(env, 'ocr');
+
+export const ocrConfig = Object.freeze({
+    enabled: parseBoolean(process.env.OCR_ENABLED, defaults.ENABLED),
+    tesseractPath: process.env.OCR_TESSERACT_PATH || defaults.TESSERACT_PATH,
+    pdftoppmPath: process.env.OCR_PDFTOPPM_PATH || defaults.PDFTOPPM_PATH,
+    languages: process.env.OCR_LANGUAGES || defaults.LANGUAGES,
+    dpi: parseInteger(process.env.OCR_DPI, defaults.DPI),
+    pageTimeout: parseInteger(process.env.OCR_PAGE_TIMEOUT, defaults.PAGE_TIMEOUT),
+    maxPages: parseInteger(process.env.OCR_MAX_PAGES, defaults.MAX_PAGES)
+});
@@ -0,0 +1,29 @@
+/**
+ * OpenID Connect Configuration
+ * @module config/oidc
+ * @description Single sign-on providers: Google, Microsoft and institution
+ * identity providers configured by issuer URL
+ */
+
+import { mailConfig } from './mail.config.js';
+import { resolveOidcProviders } from '#lib/oidc/index.js';
+
+export const oidcConfig = Object.freeze({
+    // The web app receives the authorization response and posts it to the API
+    redirectUri: process.env.OIDC_REDIRECT_URI || `${mailConfig.frontendUrl}/auth/oidc/callback`,
+
+    providers: resolveOidcProviders({
+        google: {
+            clientId: process.env.OIDC_GOOGLE_CLIENT_ID,
+            clientSecret: process.env.OIDC_GOOGLE_CLIENT_SECRET
+        },
+        microsoft: {
+            clientId: process.env.OIDC_MICROSOFT_CLIENT_ID,
+            clientSecret: process.env.OIDC_MICROSOFT_CLIENT_SECRET,
+            // 'common' accepts any work, school or personal account; otherwise a tenant id
+            tenant: process.env.OIDC_MICROSOFT_TENANT || 'common'
+        },
+        // JSON array: [{ id, name, issuer, clientId, clientSecret, institution, institutionClaim, trustEmail }]
+        institutions: process.env.OIDC_INSTITUTIONS
+    })
+});
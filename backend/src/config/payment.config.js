@@ -0,0 +1,42 @@
+/**
+ * Payment Configuration
+ * @module config/payment
+ * @description Payment gateway selection, credentials, checkout lifetime and
+ * the pages buyers return to after paying
+ */
+
+import { getEnvironmentDefaults } from '#lib/config/index.js';
+import { getValidEnvironment } from '#lib/config/index.js';
+import { parseInteger } from '#lib/parsers/index.js';
+import { mailConfig } from './mail.config.js';
+
+const env = getValidEnvironment(process.env.NODE_ENV);
+const defaults = getEnvironmentDefaults(env, 'payment');
+
+export const paymentConfig = Object.freeze({
+    env,
+    gateway: (process.env.PAYMENT_GATEWAY || defaults.GATEWAY).toLowerCase(),
+    currency: (process.env.PAYMENT_CURRENCY || defaults.CURRENCY).toUpperCase(),
+
+    // The gateway sends the buyer back to the web app
+    successUrl: process.env.PAYMENT_SUCCESS_URL || `${mailConfig.frontendUrl}/payments/success`,
+    cancelUrl: process.env.PAYMENT_CANCEL_URL || `${mailConfig.frontendUrl}/payments/cancelled`,
+
+    // Unpaid checkouts expire after this long (Stripe accepts 30 minutes to 24 hours)
+    checkoutTtlMinutes: parseInteger(process.env.PAYMENT_CHECKOUT_TTL_MINUTES, defaults.CHECKOUT_TTL_MINUTES),
+    // Webhooks signed longer ago than this are refused as replays
+    webhookToleranceSeconds: parseInteger(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS, defaults.WEBHOOK_TOLERANCE_SECONDS),
+
+    stripe: Object.freeze({
+        apiUrl: process.env.STRIPE_API_URL || 'https://api.stripe.com',
+        secretKey: process.env.STRIPE_SECRET_KEY || null,
+        webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || null
+    }),
+
+    // Local stand-in that speaks the same API (see lib/payments/fakeServer)
+    fake: Object.freeze({
+        apiUrl: process.env.FAKE_GATEWAY_URL || defaults.FAKE_GATEWAY_URL,
+        secretKey: process.env.FAKE_GATEWAY_SECRET_KEY || 'sk_fake_local',
+        webhookSecret: process.env.FAKE_GATEWAY_WEBHOOK_SECRET || defaults.FAKE_WEBHOOK_SECRET
+    })
+});
@@ -0,0 +1,32 @@
+/**
+ * Job Queue Configuration
+ * @module config/queue
+ * @description Worker concurrency, retry backoff and stale-job reaping
+ */
+
+import { getEnvironmentDefaults } from '#lib/config/index.js';
+import { getValidEnvironment } from '#lib/config/index.js';
+import { parseInteger, parseBoolean } from '#lib/parsers/index.js';
+
+const env = getValidEnvironment(process.env.NODE_ENV);
+const defaults = getEnvironmentDefaults(env, 'queue');
+
+export const queueConfig = Object.freeze({
+    workersEnabled: parseBoolean(process.env.QUEUE_WORKERS_ENABLED, defaults.WORKERS_ENABLED),
+    concurrency: parseInteger(process.env.QUEUE_CONCURRENCY, defaults.CONCURRENCY),
+    pollInterval: parseInteger(process.env.QUEUE_POLL_INTERVAL, defaults.POLL_INTERVAL),
+    heartbeatInterval: parseInteger(process.env.QUEUE_HEARTBEAT_INTERVAL, defaults.HEARTBEAT_INTERVAL),
+    staleAfter: parseInteger(process.env.QUEUE_STALE_AFTER, defaults.STALE_AFTER),
+    reapInterval: parseInteger(process.env.QUEUE_REAP_INTERVAL, defaults.REAP_INTERVAL),
+    shutdownTimeout: parseInteger(process.env.QUEUE_SHUTDOWN_TIMEOUT, defaults.SHUTDOWN_TIMEOUT),
+
+    backoff: Object.freeze({
+        baseDelay: parseInteger(process.env.QUEUE_BACKOFF_BASE_DELAY, defaults.BACKOFF_BASE_DELAY),
+        maxDelay: parseInteger(process.env.QUEUE_BACKOFF_MAX_DELAY, defaults.BACKOFF_MAX_DELAY)
+    }),
+
+    // Cluster-wide caps on running jobs per type
+    typeLimits: Object.freeze({
+        document_processing: parseInteger(process.env.QUEUE_DOCUMENT_PROCESSING_LIMIT, defaults.DOCUMENT_PROCESSING_LIMIT)
+    })
+});
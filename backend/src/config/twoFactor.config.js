@@ -0,0 +1,16 @@
+/**
+ * Two-Factor Authentication Configuration
+ * @module config/twoFactor
+ * @description Issuer shown in authenticator apps and the key that encrypts
+ * TOTP secrets at rest
+ */
+
+export const twoFactorConfig = Object.freeze({
+    // Account label prefix in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Studion',
+
+    // Changing the key makes existing secrets unreadable; users would have to enrol again
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY ||
+        process.env.JWT_SECRET ||
+        'studion-dev-two-factor-key-change-in-production'
+});
@@ -0,0 +1,46 @@
+/**
+ * AI Enums
+ * @module constants/ai/enums
+ * @description Enumerations for LLM providers and the tasks routed to them
+ */
+
+// ==========================================
+// PROVIDERS
+// ==========================================
+
+export const AI_PROVIDERS = Object.freeze({
+    DEEPSEEK: 'deepseek',
+    OPENAI: 'openai',
+    GEMINI: 'gemini',
+    LOCAL: 'local',
+    FAKE: 'fake'
+});
+
+export const AI_PROVIDER_VALUES = Object.freeze(Object.values(AI_PROVIDERS));
+
+// ==========================================
+// TASKS
+// ==========================================
+
+export const AI_TASKS = Object.freeze({
+    SUMMARY: 'summary',
+    QUIZ: 'quiz',
+    CUSTOM_ANALYSIS: 'custom_analysis',
+    GRADING: 'grading',
+    FLASHCARDS: 'flashcards',
+    CHAT: 'chat',
+    EMBEDDING: 'embedding',
+    STATUS: 'status'
+});
+
+export const AI_TASK_VALUES = Object.freeze(Object.values(AI_TASKS));
+
+// ==========================================
+// MESSAGE ROLES
+// ==========================================
+
+export const AI_MESSAGE_ROLES = Object.freeze({
+    SYSTEM: 'system',
+    USER: 'user',
+    ASSISTANT: 'assistant'
+});
@@ -0,0 +1,12 @@
+/**
+ * AI Constants Public API
+ * @module constants/ai
+ */
+
+export {
+    AI_PROVIDERS,
+    AI_PROVIDER_VALUES,
+    AI_TASKS,
+    AI_TASK_VALUES,
+    AI_MESSAGE_ROLES
+} from './enums.js';
@@ -89,6 +89,282 @@ export const SERVER_DEFAULTS = Object.freeze({
     }
 });
 
+// AI Configuration Defaults
+export const AI_DEFAULTS = Object.freeze({
+    DEVELOPMENT: {
+        PROVIDER: 'deepseek',
+        TIMEOUT: 60000,
+        MAX_RETRIES: 1,
+        MAX_TOKENS: 4096,
+        TEMPERATURE: 0.7,
+        GRADING_ENABLED: true,
+        GRADING_PASS_SCORE: 0.6,        // Partial credit counted as a correct answer
+        GRADING_CACHE_TTL_DAYS: 30,
+        SUMMARY_CHUNK_TOKENS: 12000,    // Longer documents are summarized chunk by chunk
+        SUMMARY_CONCURRENCY: 3,         // Chunk summaries requested at once
+        SUMMARY_MAX_COST: 0             // USD per document summary; 0 = no limit
+    },
+
+    PRODUCTION: {
+        PROVIDER: 'deepseek',
+        TIMEOUT: 60000,
+        MAX_RETRIES: 2,
+        MAX_TOKENS: 4096,
+        TEMPERATURE: 0.7,
+        GRADING_ENABLED: true,
+        GRADING_PASS_SCORE: 0.6,
+        GRADING_CACHE_TTL_DAYS: 30,
+        SUMMARY_CHUNK_TOKENS: 12000,
+        SUMMARY_CONCURRENCY: 3,
+        SUMMARY_MAX_COST: 0
+    },
+
+    TEST: {
+        PROVIDER: 'fake', // Deterministic offline responses
+        TIMEOUT: 5000,
+        MAX_RETRIES: 0,
+        MAX_TOKENS: 4096,
+        TEMPERATURE: 0,
+        GRADING_ENABLED: true,
+        GRADING_PASS_SCORE: 0.6,
+        GRADING_CACHE_TTL_DAYS: 1,
+        SUMMARY_CHUNK_TOKENS: 12000,
+        SUMMARY_CONCURRENCY: 2,
+        SUMMARY_MAX_COST: 0
+    },
+
+    COMMON: {
+        PROVIDER: 'deepseek',
+        TIMEOUT: 60000,
+        MAX_RETRIES: 2,
+        MAX_TOKENS: 4096,
+        TEMPERATURE: 0.7,
+        GRADING_ENABLED: true,
+        GRADING_PASS_SCORE: 0.6,
+        GRADING_CACHE_TTL_DAYS: 30,
+        SUMMARY_CHUNK_TOKENS: 12000,
+        SUMMARY_CONCURRENCY: 3,
+        SUMMARY_MAX_COST: 0
+    }
+});
+
+// Per-provider connection defaults (same in every environment)
+export const AI_PROVIDER_DEFAULTS = Object.freeze({
+    deepseek: {
+        BASE_URL: 'https://api.deepseek.com/v1',
+        MODEL: 'deepseek-coder',
+        EMBEDDING_MODEL: null,          // No embeddings API; route EMBEDDING to another provider
+        INPUT_PRICE: 0.27,              // USD per million tokens, for cost estimates
+        OUTPUT_PRICE: 1.10
+    },
+    openai: {
+        BASE_URL: 'https://api.openai.com/v1',
+        MODEL: 'gpt-4o-mini',
+        EMBEDDING_MODEL: 'text-embedding-3-small',
+        INPUT_PRICE: 0.15,
+        OUTPUT_PRICE: 0.60
+    },
+    gemini: {
+        BASE_URL: null,
+        MODEL: 'gemini-1.5-flash',
+        EMBEDDING_MODEL: 'text-embedding-004',
+        INPUT_PRICE: 0.075,
+        OUTPUT_PRICE: 0.30
+    },
+    local: {
+        BASE_URL: 'http://localhost:11434/v1', // Ollama; llama.cpp server listens on :8080/v1
+        MODEL: 'llama3.1',
+        EMBEDDING_MODEL: 'nomic-embed-text',
+        INPUT_PRICE: 0,
+        OUTPUT_PRICE: 0
+    },
+    fake: {
+        BASE_URL: null,
+        MODEL: 'fake-deterministic',
+        EMBEDDING_MODEL: 'fake-deterministic',
+        INPUT_PRICE: 0,
+        OUTPUT_PRICE: 0
+    }
+});
+
+// Job Queue Configuration Defaults
+export const QUEUE_DEFAULTS = Object.freeze({
+    DEVELOPMENT: {
+        WORKERS_ENABLED: true,
+        CONCURRENCY: 2,                 // Jobs run in parallel by this process
+        DOCUMENT_PROCESSING_LIMIT: 4,   // Running document jobs across all processes
+        POLL_INTERVAL: 2000,
+        HEARTBEAT_INTERVAL: 10000,
+        STALE_AFTER: 60000,             // Heartbeat age that marks a worker as dead
+        REAP_INTERVAL: 30000,
+        BACKOFF_BASE_DELAY: 5000,
+        BACKOFF_MAX_DELAY: 300000,
+        SHUTDOWN_TIMEOUT: 8000
+    },
+
+    PRODUCTION: {
+        WORKERS_ENABLED: true,
+        CONCURRENCY: 4,
+        DOCUMENT_PROCESSING_LIMIT: 8,
+        POLL_INTERVAL: 1000,
+        HEARTBEAT_INTERVAL: 15000,
+        STALE_AFTER: 90000,
+        REAP_INTERVAL: 60000,
+        BACKOFF_BASE_DELAY: 30000,
+        BACKOFF_MAX_DELAY: 1800000,
+        SHUTDOWN_TIMEOUT: 8000
+    },
+
+    TEST: {
+        WORKERS_ENABLED: false, // Tests drive the queue explicitly
+        CONCURRENCY: 1,
+        DOCUMENT_PROCESSING_LIMIT: 1,
+        POLL_INTERVAL: 50,
+        HEARTBEAT_INTERVAL: 100,
+        STALE_AFTER: 500,
+        REAP_INTERVAL: 200,
+        BACKOFF_BASE_DELAY: 100,
+        BACKOFF_MAX_DELAY: 1000,
+        SHUTDOWN_TIMEOUT: 1000
+    },
+
+    COMMON: {
+        WORKERS_ENABLED: true,
+        CONCURRENCY: 2,
+        DOCUMENT_PROCESSING_LIMIT: 4,
+        POLL_INTERVAL: 2000,
+        HEARTBEAT_INTERVAL: 15000,
+        STALE_AFTER: 90000,
+        REAP_INTERVAL: 60000,
+        BACKOFF_BASE_DELAY: 30000,
+        BACKOFF_MAX_DELAY: 1800000,
+        SHUTDOWN_TIMEOUT: 8000
+    }
+});
+
+// OCR Defaults (Tesseract and poppler's pdftoppm, run as local binaries)
+export const OCR_DEFAULTS = Object.freeze({
+    DEVELOPMENT: {
+        ENABLED: true,
+        TESSERACT_PATH: 'tesseract',
+        PDFTOPPM_PATH: 'pdftoppm',
+        LANGUAGES: 'eng',               // Tesseract language packs, e.g. 'eng+fra'
+        DPI: 300,
+        PAGE_TIMEOUT: 60000,            // Per page, for rendering and for recognition
+        MAX_PAGES: 100                  // Pages OCR'd per document
+    },
+
+    PRODUCTION: {
+        ENABLED: true,
+        TESSERACT_PATH: 'tesseract',
+        PDFTOPPM_PATH: 'pdftoppm',
+        LANGUAGES: 'eng',
+        DPI: 300,
+        PAGE_TIMEOUT: 60000,
+        MAX_PAGES: 200
+    },
+
+    TEST: {
+        ENABLED: false,                 // Tests do not assume the binaries are installed
+        TESSERACT_PATH: 'tesseract',
+        PDFTOPPM_PATH: 'pdftoppm',
+        LANGUAGES: 'eng',
+        DPI: 150,
+        PAGE_TIMEOUT: 10000,
+        MAX_PAGES: 5
+    },
+
+    COMMON: {
+        ENABLED: true,
+        TESSERACT_PATH: 'tesseract',
+        PDFTOPPM_PATH: 'pdftoppm',
+        LANGUAGES: 'eng',
+        DPI: 300,
+        PAGE_TIMEOUT: 60000,
+        MAX_PAGES: 100
+    }
+});
+
+// Mail Delivery Defaults
+export const MAIL_DEFAULTS = Object.freeze({
+    DEVELOPMENT: {
+        TRANSPORT: 'console',           // Print emails to the terminal
+        FROM: 'Studion <no-reply@studion.local>',
+        FILE_DIR: './tmp/mail',
+        FRONTEND_URL: 'http://localhost:5173',
+        SMTP_PORT: 587,
+        SMTP_SECURE: false
+    },
+
+    PRODUCTION: {
+        TRANSPORT: 'smtp',
+        FROM: 'Studion <no-reply@studion.app>',
+        FILE_DIR: './tmp/mail',
+        FRONTEND_URL: 'http://localhost:5173',
+        SMTP_PORT: 587,
+        SMTP_SECURE: false
+    },
+
+    TEST: {
+        TRANSPORT: 'file',              // Written to disk so tests can read them back
+        FROM: 'Studion <no-reply@studion.test>',
+        FILE_DIR: './tmp/mail-test',
+        FRONTEND_URL: 'http://localhost:5173',
+        SMTP_PORT: 587,
+        SMTP_SECURE: false
+    },
+
+    COMMON: {
+        TRANSPORT: 'console',
+        FROM: 'Studion <no-reply@studion.local>',
+        FILE_DIR: './tmp/mail',
+        FRONTEND_URL: 'http://localhost:5173',
+        SMTP_PORT: 587,
+        SMTP_SECURE: false
+    }
+});
+
+/**
+ * Payment configuration defaults
+ */
+export const PAYMENT_DEFAULTS = Object.freeze({
+    DEVELOPMENT: {
+        GATEWAY: 'fake',                // Local fake gateway server (npm run payments:fake)
+        CURRENCY: 'USD',
+        FAKE_GATEWAY_URL: 'http://localhost:4242',
+        FAKE_WEBHOOK_SECRET: 'whsec_fake_local',
+        CHECKOUT_TTL_MINUTES: 30,
+        WEBHOOK_TOLERANCE_SECONDS: 300
+    },
+
+    PRODUCTION: {
+        GATEWAY: 'stripe',
+        CURRENCY: 'USD',
+        FAKE_GATEWAY_URL: 'http://localhost:4242',
+        FAKE_WEBHOOK_SECRET: 'whsec_fake_local',
+        CHECKOUT_TTL_MINUTES: 30,
+        WEBHOOK_TOLERANCE_SECONDS: 300
+    },
+
+    TEST: {
+        GATEWAY: 'fake',
+        CURRENCY: 'USD',
+        FAKE_GATEWAY_URL: 'http://127.0.0.1:4243',
+        FAKE_WEBHOOK_SECRET: 'whsec_fake_test',
+        CHECKOUT_TTL_MINUTES: 30,
+        WEBHOOK_TOLERANCE_SECONDS: 300
+    },
+
+    COMMON: {
+        GATEWAY: 'fake',
+        CURRENCY: 'USD',
+        FAKE_GATEWAY_URL: 'http://localhost:4242',
+        FAKE_WEBHOOK_SECRET: 'whsec_fake_local',
+        CHECKOUT_TTL_MINUTES: 30,
+        WEBHOOK_TOLERANCE_SECONDS: 300
+    }
+});
+
 /**
  * Database configuration defaults
  */
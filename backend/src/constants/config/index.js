@@ -4,5 +4,5 @@
  */
 
 // Constants
-export { APP_DEFAULTS, SERVER_DEFAULTS } from './defaults.js';
+export { APP_DEFAULTS, SERVER_DEFAULTS, AI_DEFAULTS, AI_PROVIDER_DEFAULTS, QUEUE_DEFAULTS, OCR_DEFAULTS, MAIL_DEFAULTS, PAYMENT_DEFAULTS } from './defaults.js';
 export { APP_VALIDATION, SERVER_VALIDATION } from './validation.js';
\ No newline at end of file
@@ -18,6 +18,7 @@ export const HTTP_STATUS_CODES = Object.freeze({
     // 4xx Client Errors
     BAD_REQUEST: 400,
     UNAUTHORIZED: 401,
+    PAYMENT_REQUIRED: 402,
     FORBIDDEN: 403,
     NOT_FOUND: 404,
     METHOD_NOT_ALLOWED: 405,
@@ -83,6 +84,7 @@ export const STATUS_MESSAGES = Object.freeze({
     
     [HTTP_STATUS_CODES.BAD_REQUEST]: 'Bad Request',
     [HTTP_STATUS_CODES.UNAUTHORIZED]: 'Unauthorized',
+    [HTTP_STATUS_CODES.PAYMENT_REQUIRED]: 'Payment Required',
     [HTTP_STATUS_CODES.FORBIDDEN]: 'Forbidden',
     [HTTP_STATUS_CODES.NOT_FOUND]: 'Not Found',
     [HTTP_STATUS_CODES.METHOD_NOT_ALLOWED]: 'Method Not Allowed',
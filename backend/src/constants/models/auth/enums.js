@@ -32,6 +32,56 @@ export const TOKEN_TYPES = Object.freeze([
   'verification'   // Email verification token
 ]);
 
+/**
+ * Token types sent by email: single-use, stored hashed
+ */
+export const ONE_TIME_TOKEN_TYPES = Object.freeze([
+  'verification',  // Email address confirmation
+  'reset',         // Password reset
+  'unlock'         // Unlock after too many failed logins
+]);
+
+/**
+ * One-time token settings (lifetimes come from getTokenExpiryMs)
+ */
+export const ONE_TIME_TOKEN_CONFIG = Object.freeze({
+  TOKEN_BYTES: 32,                 // Random bytes in the emailed token
+  RESEND_COOLDOWN_SECONDS: 60      // Minimum gap between emails of one type
+});
+
+// ==========================================
+// TWO-FACTOR AUTHENTICATION
+// ==========================================
+
+/**
+ * Ways to pass the second login step
+ */
+export const TWO_FACTOR_METHODS = Object.freeze([
+  'totp',          // Code from an authenticator app
+  'recovery_code'  // One of the single-use recovery codes
+]);
+
+/**
+ * TOTP and login challenge settings
+ */
+export const TWO_FACTOR_CONFIG = Object.freeze({
+  SECRET_BYTES: 20,                // 160-bit secret (RFC 4226)
+  DIGITS: 6,                       // Code length
+  PERIOD_SECONDS: 30,              // Time step
+  VERIFY_WINDOW: 1,                // Steps of clock drift accepted either way
+  RECOVERY_CODE_COUNT: 10,         // Codes per set
+  RECOVERY_CODE_BYTES: 5,          // 10 hex characters per code
+  CHALLENGE_EXPIRY: '5m',          // Time to enter the code after the password
+  CHALLENGE_AUDIENCE: 'two-factor-challenge' // Keeps challenge tokens apart from access tokens
+});
+
+/**
+ * OpenID Connect login settings
+ */
+export const OIDC_CONFIG = Object.freeze({
+  STATE_EXPIRY_MINUTES: 10         // Time to finish the sign-in at the provider
+});
+
 // ==========================================
 // DEVICE TYPE ENUMS
 // ==========================================
@@ -58,7 +108,8 @@ export const LOGIN_METHODS = Object.freeze([
   'refresh_token', // Login via refresh token
   'oauth_google',  // Google OAuth (future)
   'oauth_facebook',// Facebook OAuth (future)
-  'magic_link'     // Magic link login (future)
+  'magic_link',    // Magic link login (future)
+  'oidc'           // OpenID Connect single sign-on
 ]);
 
 // ==========================================
@@ -88,7 +139,16 @@ export const SUSPICIOUS_REASONS = Object.freeze([
   'concurrent_login',   // Multiple simultaneous logins
   'unusual_timing',     // Login at unusual hours
   'failed_attempts',    // Multiple failed attempts before success
-  'ip_reputation'       // Known malicious IP
+  'ip_reputation',      // Known malicious IP
+  'impossible_travel'   // Too far from the last sign-in for the time between them
+]);
+
+/**
+ * Counters kept by the login brute-force protection
+ */
+export const LOGIN_THROTTLE_SCOPES = Object.freeze([
+  'ip',            // Failed logins from one address, any account
+  'account'        // Failed logins for one email, from any address
 ]);
 
 // ==========================================
@@ -141,6 +201,20 @@ export const isValidTokenType = (type) => {
   return TOKEN_TYPES.includes(type);
 };
 
+/**
+ * Check if value is valid one-time token type
+ */
+export const isValidOneTimeTokenType = (type) => {
+  return ONE_TIME_TOKEN_TYPES.includes(type);
+};
+
+/**
+ * Check if value is valid two-factor method
+ */
+export const isValidTwoFactorMethod = (method) => {
+  return TWO_FACTOR_METHODS.includes(method);
+};
+
 /**
  * Check if value is valid device type
  */
@@ -175,6 +249,8 @@ export const getTokenExpiryMs = (tokenType) => {
       return 60 * 60 * 1000; // 1 hour
     case 'verification':
       return 24 * 60 * 60 * 1000; // 24 hours
+    case 'unlock':
+      return 24 * 60 * 60 * 1000; // 24 hours
     default:
       return 15 * 60 * 1000; // Default 15 minutes
   }
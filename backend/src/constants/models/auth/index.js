@@ -11,20 +11,28 @@ export {
   // Session & Token Types
   SESSION_STATUSES,
   TOKEN_TYPES,
+  ONE_TIME_TOKEN_TYPES,
+  TWO_FACTOR_METHODS,
   DEVICE_TYPES,
   LOGIN_METHODS,
   
   // Security
   SECURITY_RISK_LEVELS,
   SUSPICIOUS_REASONS,
+  LOGIN_THROTTLE_SCOPES,
   
   // Configuration
   SESSION_CONFIG,
   SESSION_DEFAULTS,
+  ONE_TIME_TOKEN_CONFIG,
+  TWO_FACTOR_CONFIG,
+  OIDC_CONFIG,
   
   // Validation Helpers
   isValidSessionStatus,
   isValidTokenType,
+  isValidOneTimeTokenType,
+  isValidTwoFactorMethod,
   isValidDeviceType,
   isValidLoginMethod,
   isValidSecurityRisk,
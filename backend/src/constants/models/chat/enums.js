@@ -0,0 +1,72 @@
+/**
+ * Document Chat Enums
+ * @module constants/models/chat/enums
+ * @description Message roles and retrieval settings for chatting with a document
+ */
+
+// ==========================================
+// MESSAGE ROLES
+// ==========================================
+
+/**
+ * Roles stored in a conversation
+ */
+export const CHAT_MESSAGE_ROLES = Object.freeze([
+  'user',       // Student question
+  'assistant'   // Grounded answer with citations
+]);
+
+// ==========================================
+// CHUNKING & RETRIEVAL
+// ==========================================
+
+/**
+ * How extracted text is split into chunks for retrieval
+ */
+export const CHUNKING_SETTINGS = Object.freeze({
+  TARGET_CHARS: 1500,
+  OVERLAP_CHARS: 200,
+
+  // A last chunk shorter than this is merged into the previous one
+  MIN_CHARS: 200
+});
+
+/**
+ * How sources are picked and how much conversation goes to the model
+ */
+export const CHAT_SETTINGS = Object.freeze({
+  // Sources given to the model per answer
+  TOP_K: 5,
+
+  // Sources scoring below this are left out; embeddings and keyword scores are both 0-1
+  MIN_SCORE: 0.05,
+
+  // Earlier messages sent with each question
+  HISTORY_MESSAGES: 8,
+
+  MAX_MESSAGES_PER_CONVERSATION: 200,
+  ANSWER_MAX_TOKENS: 1024,
+  EXCERPT_LENGTH: 300
+});
+
+// ==========================================
+// DEFAULTS
+// ==========================================
+
+export const CHAT_DEFAULTS = Object.freeze({
+  CONVERSATIONS_LIMIT: 20,
+  TITLE_LENGTH: 80
+});
+
+// ==========================================
+// VALIDATION HELPERS
+// ==========================================
+
+/**
+ * Check if value is a valid chat message role
+ * @param {string} role - Role to validate
+ * @returns {boolean} Whether role is valid
+ */
+export const isValidChatMessageRole = (role) => {
+  return CHAT_MESSAGE_ROLES.includes(role);
+};
@@ -0,0 +1,23 @@
+/**
+ * Document Chat Constants Public API
+ * @module constants/models/chat
+ * @description Central export point for document chat constants
+ */
+
+// ==========================================
+// ENUM CONSTANTS
+// ==========================================
+export {
+  CHAT_MESSAGE_ROLES,
+  CHUNKING_SETTINGS,
+  CHAT_SETTINGS,
+  CHAT_DEFAULTS,
+  isValidChatMessageRole
+} from './enums.js';
+
+// ==========================================
+// VALIDATION CONSTANTS
+// ==========================================
+export {
+  CHAT_VALIDATION_RULES
+} from './validation.js';
@@ -0,0 +1,30 @@
+/**
+ * Document Chat Validation Constants
+ * @module constants/models/chat/validation
+ * @description Validation rules for chat messages and conversation requests
+ */
+
+// ==========================================
+// CHAT VALIDATION RULES
+// ==========================================
+
+export const CHAT_VALIDATION_RULES = Object.freeze({
+  MESSAGE: {
+    MIN_LENGTH: 1,
+    MAX_LENGTH: 2000,
+    ERROR_MESSAGE: 'Message must be between 1 and 2000 characters'
+  },
+
+  ANSWER: {
+    MAX_LENGTH: 20000
+  },
+
+  TITLE: {
+    MAX_LENGTH: 120
+  },
+
+  CONVERSATIONS_LIMIT: {
+    MIN: 1,
+    MAX: 100
+  }
+});
@@ -57,10 +57,24 @@ export const PROCESSING_STAGES = Object.freeze([
   'text_extraction',  // PDF text extraction stage
   'summarization',    // AI summarization stage
   'metadata_analysis', // Document analysis stage
+  'indexing',          // Passages embedded for document chat
   'finalization',      // Final processing stage
   'completed',
 ]);
 
+/**
+ * Percent complete reported once a processing stage has started
+ */
+export const PROCESSING_STAGE_PROGRESS = Object.freeze({
+  upload: 0,
+  text_extraction: 5,
+  summarization: 25,
+  quiz_generation: 55,
+  indexing: 80,
+  finalization: 90,
+  completed: 100
+});
+
 // ==========================================
 // DOCUMENT TYPES & CATEGORIES
 // ==========================================
@@ -160,6 +174,14 @@ export const SUMMARY_STYLES = Object.freeze([
   'qa_format'        // Question and answer format
 ]);
 
+/**
+ * How a document summary was produced
+ */
+export const SUMMARY_STRATEGIES = Object.freeze([
+  'single_pass',     // Whole text summarized in one request
+  'map_reduce'       // Sections summarized, then merged into chapters and the document
+]);
+
 // ==========================================
 // CONTENT ANALYSIS
 // ==========================================
@@ -185,6 +207,33 @@ export const QUALITY_INDICATORS = Object.freeze([
   'excellent'       // High quality document
 ]);
 
+/**
+ * Where a page's text came from
+ */
+export const PAGE_TEXT_SOURCES = Object.freeze([
+  'text_layer',     // Text embedded in the PDF
+  'ocr',            // Recognized from the page image
+  'none'            // No usable text layer, and OCR was unavailable or failed
+]);
+
+/**
+ * When pages are OCR'd and how recognition confidence is rated
+ */
+export const OCR_QUALITY_SETTINGS = Object.freeze({
+  // Pages whose text layer has fewer non-space characters are OCR'd
+  SPARSE_PAGE_CHARS: 50,
+
+  // OCR'd pages below this mean word confidence (0-100) are flagged to the user
+  LOW_CONFIDENCE: 60,
+
+  // Minimum average confidence for each rating; anything lower is 'poor'
+  RATING_THRESHOLDS: Object.freeze({
+    excellent: 90,
+    good: 80,
+    fair: 65
+  })
+});
+
 // ==========================================
 // ERROR TYPES
 // ==========================================
@@ -202,6 +251,7 @@ export const PROCESSING_ERROR_TYPES = Object.freeze([
   'insufficient_content',   // Not enough content to process
   'language_unsupported',   // Document language not supported
   'quota_exceeded',         // User quota exceeded
+  'cost_limit_exceeded',    // Summary cost estimate above the configured limit
   'network_error',          // Network connectivity issues
   'unknown_error'           // Unexpected error
 ]);
@@ -272,3 +322,16 @@ export const isValidDifficultyLevel = (level) => {
 export const isValidProcessingQuality = (quality) => {
   return AI_PROCESSING_QUALITY.includes(quality);
 };
+
+/**
+ * Percent complete for a document status and processing stage
+ * @param {string} status - Document status
+ * @param {string} stage - Processing stage
+ * @returns {number} 0-100
+ */
+export const getProcessingProgress = (status, stage) => {
+  if (COMPLETED_STATUSES.includes(status)) {
+    return 100;
+  }
+  return PROCESSING_STAGE_PROGRESS[stage] ?? 0;
+};
@@ -10,10 +10,14 @@
 export {
   DOCUMENT_VALIDATION_RULES,
   FILE_VALIDATION,
+  URL_IMPORT_VALIDATION,
   PROCESSING_VALIDATION,
+  STRUCTURE_VALIDATION,
+  SUMMARY_TREE_VALIDATION,
   METADATA_VALIDATION,
   validateFileExtension,
   validateMimeType,
+  resolveMimeType,
   validateFileSize,
   validateLanguageCode,
   validateTags
@@ -30,6 +34,7 @@ export {
   ERROR_STATUSES,
   INTERACTIVE_STATUSES,
   PROCESSING_STAGES,
+  PROCESSING_STAGE_PROGRESS,
   PROCESSING_ERROR_TYPES,
   
   // Classification
@@ -41,10 +46,13 @@ export {
   SUPPORTED_DOCUMENT_LANGUAGES,
   CONTENT_COMPLEXITY,
   QUALITY_INDICATORS,
+  PAGE_TEXT_SOURCES,
+  OCR_QUALITY_SETTINGS,
   
   // AI Processing
   AI_PROCESSING_QUALITY,
   SUMMARY_STYLES,
+  SUMMARY_STRATEGIES,
 
   // Defaults
   DOCUMENT_DEFAULTS,
@@ -54,5 +62,6 @@ export {
   isValidDocumentType,
   isValidDocumentCategory,
   isValidDifficultyLevel,
-  isValidProcessingQuality
+  isValidProcessingQuality,
+  getProcessingProgress
 } from './enums.js';
\ No newline at end of file
@@ -66,22 +66,67 @@ export const DOCUMENT_VALIDATION_RULES = Object.freeze({
  * Supported file types and validation - FIXED
  */
 export const FILE_VALIDATION = Object.freeze({
-  ALLOWED_EXTENSIONS: ['.pdf', '.docx', '.txt'],
+  ALLOWED_EXTENSIONS: ['.pdf', '.docx', '.txt', '.png', '.jpg', '.jpeg', '.pptx', '.epub', '.md', '.markdown', '.html', '.htm'],
   ALLOWED_MIME_TYPES: [
     'application/pdf',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain'
+    'text/plain',
+    'image/png',
+    'image/jpeg',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/epub+zip',
+    'text/markdown',
+    'text/x-markdown',
+    'text/html'
   ],
   
+  // Browsers often send these for .md and .epub files; the extension decides instead
+  GENERIC_MIME_TYPES: ['', 'application/octet-stream', 'application/zip'],
+  EXTENSION_MIME_TYPES: {
+    '.pdf': 'application/pdf',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.txt': 'text/plain',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    '.epub': 'application/epub+zip',
+    '.md': 'text/markdown',
+    '.markdown': 'text/markdown',
+    '.html': 'text/html',
+    '.htm': 'text/html'
+  },
+  
   // File validation patterns - UPDATED
-  EXTENSION_PATTERN: /\.(pdf|docx|txt)$/i,
+  EXTENSION_PATTERN: /\.(pdf|docx|txt|png|jpe?g|pptx|epub|md|markdown|html?)$/i,
   
   // Error messages - UPDATED
-  INVALID_EXTENSION_ERROR: 'Only PDF, DOCX, and TXT files are supported',
-  INVALID_MIME_TYPE_ERROR: 'Invalid file type. Only PDF, DOCX, and TXT files are allowed',
+  INVALID_EXTENSION_ERROR: 'Only PDF, DOCX, PPTX, EPUB, TXT, Markdown, HTML, PNG and JPEG files are supported',
+  INVALID_MIME_TYPE_ERROR: 'Invalid file type. Only PDF, DOCX, PPTX, EPUB, TXT, Markdown, HTML, PNG and JPEG files are allowed',
   FILE_CORRUPTED_ERROR: 'File appears to be corrupted or invalid'
 });
 
+/**
+ * Limits for importing a web page as a document
+ */
+export const URL_IMPORT_VALIDATION = Object.freeze({
+  MAX_URL_LENGTH: 2048,
+  MAX_BYTES: 5 * 1024 * 1024,
+  TIMEOUT: 15000,
+  MAX_REDIRECTS: 5,
+  
+  // Content types an imported URL may return, and the file type each is stored as
+  CONTENT_TYPE_EXTENSIONS: {
+    'text/html': '.html',
+    'application/xhtml+xml': '.html',
+    'text/markdown': '.md',
+    'text/x-markdown': '.md',
+    'text/plain': '.txt'
+  },
+  
+  INVALID_URL_ERROR: 'Enter a full http:// or https:// address'
+});
+
 /**
  * Processing-related validation rules - RELAXED FOR AI PROCESSING
  */
@@ -104,6 +149,29 @@ export const PROCESSING_VALIDATION = Object.freeze({
   PROCESSING_TIMEOUT_ERROR: 'Document processing timed out'
 });
 
+/**
+ * Limits for stored page text and detected outline
+ */
+export const STRUCTURE_VALIDATION = Object.freeze({
+  MAX_PAGES: 1000,
+  MAX_PAGE_TEXT_LENGTH: 10000,
+  MAX_OUTLINE_ENTRIES: 300,
+  MAX_HEADING_LENGTH: 300,
+  MAX_OUTLINE_LEVEL: 6,
+  SECTION_NUMBER_PATTERN: /^\d+(\.\d+)*$/
+});
+
+/**
+ * Limits for stored chapter and section summaries
+ */
+export const SUMMARY_TREE_VALIDATION = Object.freeze({
+  MAX_CHAPTERS: 200,
+  MAX_SECTIONS_PER_CHAPTER: 100,
+  MAX_SECTION_SUMMARY_LENGTH: 3000,
+  MAX_CHAPTER_SUMMARY_LENGTH: 5000,
+  MAX_KEY_POINTS: 10
+});
+
 // ==========================================
 // METADATA VALIDATION - RELAXED
 // ==========================================
@@ -165,6 +233,23 @@ export const validateMimeType = (mimeType) => {
   return FILE_VALIDATION.ALLOWED_MIME_TYPES.includes(mimeType.toLowerCase());
 };
 
+/**
+ * Resolve the MIME type of an upload, using the file extension when the
+ * browser sent a generic type
+ * @param {string} fileName - Original file name
+ * @param {string} mimeType - MIME type sent with the upload
+ * @returns {string} MIME type to validate and store
+ */
+export const resolveMimeType = (fileName, mimeType) => {
+  const normalized = (mimeType || '').toLowerCase();
+  if (!FILE_VALIDATION.GENERIC_MIME_TYPES.includes(normalized)) {
+    return normalized;
+  }
+  
+  const extension = (String(fileName || '').match(/\.[^.]+$/) || [''])[0].toLowerCase();
+  return FILE_VALIDATION.EXTENSION_MIME_TYPES[extension] || normalized;
+};
+
 /**
  * Validate file size
  * @param {number} size - File size in bytes
@@ -0,0 +1,108 @@
+/**
+ * Flashcard Model Enums
+ * @module constants/models/flashcard/enums
+ * @description Enumerated values and scheduling settings for flashcards
+ */
+
+// ==========================================
+// REVIEW GRADES
+// ==========================================
+
+/**
+ * How well a card was recalled, from forgotten to effortless
+ */
+export const FLASHCARD_GRADES = Object.freeze([
+  'again',    // Forgotten; relearn the card
+  'hard',     // Recalled with serious difficulty
+  'good',     // Recalled after some thought
+  'easy'      // Recalled instantly
+]);
+
+// ==========================================
+// CARD STATUSES & STAGES
+// ==========================================
+
+/**
+ * Card statuses
+ */
+export const FLASHCARD_STATUSES = Object.freeze([
+  'active',       // Scheduled for review
+  'suspended'     // Kept but never shown
+]);
+
+/**
+ * Learning stages derived from the schedule
+ */
+export const FLASHCARD_STAGES = Object.freeze([
+  'new',          // Never reviewed
+  'learning',     // Reviewed, interval still short
+  'mature'        // Interval of at least MATURE_INTERVAL_DAYS
+]);
+
+// ==========================================
+// SCHEDULING (SM-2)
+// ==========================================
+
+/**
+ * SM-2 settings. Ease multiplies the interval after each successful review;
+ * it drops when a card is hard or forgotten and rises when it is easy.
+ */
+export const FLASHCARD_SCHEDULING = Object.freeze({
+  INITIAL_EASE: 2.5,
+  MIN_EASE: 1.3,
+  MAX_EASE: 3.5,
+  EASE_CHANGE: Object.freeze({
+    again: -0.2,
+    hard: -0.15,
+    good: 0,
+    easy: 0.15
+  }),
+
+  // Intervals in days for the first two successful reviews
+  FIRST_INTERVAL: Object.freeze({ hard: 1, good: 1, easy: 4 }),
+  SECOND_INTERVAL: 6,
+
+  HARD_MULTIPLIER: 1.2,
+  EASY_BONUS: 1.3,
+
+  // Forgotten cards come back in the same session
+  RELEARN_DELAY_MINUTES: 10,
+
+  MATURE_INTERVAL_DAYS: 21,
+  MAX_INTERVAL_DAYS: 365,
+
+  // Reviews kept per card for stats
+  HISTORY_LIMIT: 20
+});
+
+// ==========================================
+// DEFAULTS
+// ==========================================
+
+export const FLASHCARD_DEFAULTS = Object.freeze({
+  STATUS: 'active',
+  GENERATE_COUNT: 20,
+  DUE_LIMIT: 50
+});
+
+// ==========================================
+// VALIDATION HELPERS
+// ==========================================
+
+/**
+ * Check if value is a valid review grade
+ * @param {string} grade - Grade to validate
+ * @returns {boolean} Whether grade is valid
+ */
+export const isValidFlashcardGrade = (grade) => {
+  return FLASHCARD_GRADES.includes(grade);
+};
+
+/**
+ * Check if value is a valid card status
+ * @param {string} status - Status to validate
+ * @returns {boolean} Whether status is valid
+ */
+export const isValidFlashcardStatus = (status) => {
+  return FLASHCARD_STATUSES.includes(status);
+};
@@ -0,0 +1,25 @@
+/**
+ * Flashcard Model Constants Public API
+ * @module constants/models/flashcard
+ * @description Central export point for all flashcard constants
+ */
+
+// ==========================================
+// ENUM CONSTANTS
+// ==========================================
+export {
+  FLASHCARD_GRADES,
+  FLASHCARD_STATUSES,
+  FLASHCARD_STAGES,
+  FLASHCARD_SCHEDULING,
+  FLASHCARD_DEFAULTS,
+  isValidFlashcardGrade,
+  isValidFlashcardStatus
+} from './enums.js';
+
+// ==========================================
+// VALIDATION CONSTANTS
+// ==========================================
+export {
+  FLASHCARD_VALIDATION_RULES
+} from './validation.js';
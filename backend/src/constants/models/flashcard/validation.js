@@ -0,0 +1,37 @@
+/**
+ * Flashcard Model Validation Constants
+ * @module constants/models/flashcard/validation
+ * @description Validation rules for flashcards and review requests
+ */
+
+// ==========================================
+// FLASHCARD VALIDATION RULES
+// ==========================================
+
+export const FLASHCARD_VALIDATION_RULES = Object.freeze({
+  FRONT: {
+    MIN_LENGTH: 3,
+    MAX_LENGTH: 300,
+    ERROR_MESSAGE: 'Card front must be between 3 and 300 characters'
+  },
+
+  BACK: {
+    MIN_LENGTH: 1,
+    MAX_LENGTH: 1000,
+    ERROR_MESSAGE: 'Card back must be between 1 and 1000 characters'
+  },
+
+  GENERATE_COUNT: {
+    MIN: 5,
+    MAX: 50,
+    ERROR_MESSAGE: 'Card count must be between 5 and 50'
+  },
+
+  DUE_LIMIT: {
+    MIN: 1,
+    MAX: 200
+  },
+
+  // A review session older than this cannot be completed for points
+  SESSION_MAX_HOURS: 12
+});
@@ -0,0 +1,71 @@
+/**
+ * Focus Session Model Enums
+ * @module constants/models/focus/enums
+ * @description Enumerated values and timing settings for focus sessions
+ */
+
+// ==========================================
+// SESSION STATUSES
+// ==========================================
+
+/**
+ * Focus session lifecycle
+ */
+export const FOCUS_SESSION_STATUSES = Object.freeze([
+  'active',       // Timer running
+  'paused',       // Timer stopped, can resume
+  'completed',    // Finished; time credited
+  'cancelled',    // Stopped by the student; nothing credited
+  'abandoned'     // Left open without heartbeats; closed by the server
+]);
+
+/**
+ * Statuses of a session that can still change
+ */
+export const FOCUS_SESSION_OPEN_STATUSES = Object.freeze(['active', 'paused']);
+
+// ==========================================
+// TIMING
+// ==========================================
+
+/**
+ * Server-side timing rules. Time only counts while the client keeps sending
+ * heartbeats: a gap longer than IDLE_TIMEOUT_SECONDS counts as idle.
+ */
+export const FOCUS_SESSION_SETTINGS = Object.freeze({
+  HEARTBEAT_INTERVAL_SECONDS: 60,
+  IDLE_TIMEOUT_SECONDS: 180,
+
+  // Most focused time one session can count
+  MAX_SESSION_MINUTES: 180,
+
+  // Most focused time credited per student per UTC day
+  DAILY_CAP_MINUTES: 480,
+
+  // Open sessions without a heartbeat for this long are abandoned
+  ABANDON_AFTER_MINUTES: 60
+});
+
+// ==========================================
+// DEFAULTS
+// ==========================================
+
+export const FOCUS_SESSION_DEFAULTS = Object.freeze({
+  STATUS: 'active',
+  PLANNED_MINUTES: 25,
+  HISTORY_LIMIT: 20,
+  STATS_DAYS: 30
+});
+
+// ==========================================
+// VALIDATION HELPERS
+// ==========================================
+
+/**
+ * Check if value is a valid focus session status
+ * @param {string} status - Status to validate
+ * @returns {boolean} Whether status is valid
+ */
+export const isValidFocusSessionStatus = (status) => {
+  return FOCUS_SESSION_STATUSES.includes(status);
+};
@@ -0,0 +1,23 @@
+/**
+ * Focus Session Model Constants Public API
+ * @module constants/models/focus
+ * @description Central export point for all focus session constants
+ */
+
+// ==========================================
+// ENUM CONSTANTS
+// ==========================================
+export {
+  FOCUS_SESSION_STATUSES,
+  FOCUS_SESSION_OPEN_STATUSES,
+  FOCUS_SESSION_SETTINGS,
+  FOCUS_SESSION_DEFAULTS,
+  isValidFocusSessionStatus
+} from './enums.js';
+
+// ==========================================
+// VALIDATION CONSTANTS
+// ==========================================
+export {
+  FOCUS_SESSION_VALIDATION_RULES
+} from './validation.js';
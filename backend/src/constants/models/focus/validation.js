@@ -0,0 +1,27 @@
+/**
+ * Focus Session Model Validation Constants
+ * @module constants/models/focus/validation
+ * @description Validation rules for focus sessions and their requests
+ */
+
+// ==========================================
+// FOCUS SESSION VALIDATION RULES
+// ==========================================
+
+export const FOCUS_SESSION_VALIDATION_RULES = Object.freeze({
+  PLANNED_MINUTES: {
+    MIN: 5,
+    MAX: 180,
+    ERROR_MESSAGE: 'Planned minutes must be between 5 and 180'
+  },
+
+  HISTORY_LIMIT: {
+    MIN: 1,
+    MAX: 100
+  },
+
+  STATS_DAYS: {
+    MIN: 1,
+    MAX: 365
+  }
+});
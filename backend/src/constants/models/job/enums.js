@@ -0,0 +1,74 @@
+/**
+ * Job Model Enums
+ * @module constants/models/job/enums
+ * @description Enumerated values for background job model fields
+ */
+
+// ==========================================
+// JOB TYPES
+// ==========================================
+
+/**
+ * Kinds of background work handled by the job queue
+ */
+export const JOB_TYPES = Object.freeze([
+  'document_processing',   // Summarize a document and generate its quiz collection
+  'payment_expiry'         // Close an unpaid checkout once it has expired
+]);
+
+// ==========================================
+// JOB STATUSES
+// ==========================================
+
+/**
+ * Job lifecycle statuses
+ */
+export const JOB_STATUSES = Object.freeze([
+  'queued',       // Waiting for a worker (new, or scheduled for a retry)
+  'running',      // Claimed by a worker
+  'completed',    // Handler finished successfully
+  'failed',       // Retries exhausted or error was not retryable
+  'cancelled'     // Removed from the queue before it ran
+]);
+
+/**
+ * Statuses in which a job still holds its dedupe key
+ */
+export const ACTIVE_JOB_STATUSES = Object.freeze(['queued', 'running']);
+
+/**
+ * Statuses a job never leaves
+ */
+export const FINAL_JOB_STATUSES = Object.freeze(['completed', 'failed', 'cancelled']);
+
+// ==========================================
+// DEFAULTS
+// ==========================================
+
+export const JOB_DEFAULTS = Object.freeze({
+  STATUS: 'queued',
+  PRIORITY: 0,
+  MAX_ATTEMPTS: 3
+});
+
+// ==========================================
+// VALIDATION HELPERS
+// ==========================================
+
+/**
+ * Check if value is a valid job type
+ * @param {string} type - Type to validate
+ * @returns {boolean} Whether type is valid
+ */
+export const isValidJobType = (type) => {
+  return JOB_TYPES.includes(type);
+};
+
+/**
+ * Check if value is a valid job status
+ * @param {string} status - Status to validate
+ * @returns {boolean} Whether status is valid
+ */
+export const isValidJobStatus = (status) => {
+  return JOB_STATUSES.includes(status);
+};
@@ -0,0 +1,25 @@
+/**
+ * Job Model Constants Public API
+ * @module constants/models/job
+ * @description Central export point for all background job constants
+ */
+
+// ==========================================
+// ENUM CONSTANTS
+// ==========================================
+export {
+  JOB_TYPES,
+  JOB_STATUSES,
+  ACTIVE_JOB_STATUSES,
+  FINAL_JOB_STATUSES,
+  JOB_DEFAULTS,
+  isValidJobType,
+  isValidJobStatus
+} from './enums.js';
+
+// ==========================================
+// VALIDATION CONSTANTS
+// ==========================================
+export {
+  JOB_VALIDATION_RULES
+} from './validation.js';
@@ -0,0 +1,31 @@
+/**
+ * Job Model Validation Constants
+ * @module constants/models/job/validation
+ * @description Validation rules for background job model
+ */
+
+// ==========================================
+// JOB VALIDATION RULES
+// ==========================================
+
+export const JOB_VALIDATION_RULES = Object.freeze({
+  PRIORITY: {
+    MIN: -10,
+    MAX: 10,
+    ERROR_MESSAGE: 'Job priority must be between -10 and 10'
+  },
+
+  MAX_ATTEMPTS: {
+    MIN: 1,
+    MAX: 10,
+    ERROR_MESSAGE: 'Max attempts must be between 1 and 10'
+  },
+
+  ERROR_MESSAGE: {
+    MAX_LENGTH: 1000
+  },
+
+  WORKER_ID: {
+    MAX_LENGTH: 200
+  }
+});
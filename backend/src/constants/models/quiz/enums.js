@@ -27,6 +27,14 @@ export const QUIZ_ATTEMPT_STATUSES = Object.freeze([
   'abandoned'      // User started but didn't finish (timeout)
 ]);
 
+/**
+ * How questions are served during an attempt
+ */
+export const QUIZ_ATTEMPT_MODES = Object.freeze([
+  'standard',      // The quiz's own questions, in order
+  'adaptive'       // One question at a time from the document's pool, difficulty follows the answers
+]);
+
 // ==========================================
 // QUESTION TYPES
 // ==========================================
@@ -42,6 +50,30 @@ export const QUESTION_TYPES = Object.freeze([
   'mixed'
 ]);
 
+/**
+ * Question types answered by typing text instead of picking an option
+ */
+export const TEXT_ANSWER_QUESTION_TYPES = Object.freeze([
+  'fill_in_blank',
+  'short_answer'
+]);
+
+/**
+ * Older names still found on stored quizzes, mapped to the current type
+ */
+export const LEGACY_QUESTION_TYPES = Object.freeze({
+  fill_blank: 'fill_in_blank'
+});
+
+/**
+ * How a short answer was graded: by the AI rubric grader or by matching the
+ * reference answer, which needs no model call
+ */
+export const ANSWER_GRADING_METHODS = Object.freeze([
+  'ai',
+  'match'
+]);
+
 // ==========================================
 // DIFFICULTY & CATEGORIZATION
 // ==========================================
@@ -94,6 +126,16 @@ export const SUBJECT_AREAS = Object.freeze([
   'critical_thinking',
 ]);
 
+/**
+ * Estimated mastery of a topic area after an adaptive attempt
+ */
+export const MASTERY_LEVELS = Object.freeze([
+  'novice',        // Misses even easy questions
+  'developing',    // Around easy questions
+  'proficient',    // Around medium questions
+  'mastered'       // Answers hard questions reliably
+]);
+
 // ==========================================
 // QUIZ DEFAULTS
 // ==========================================
@@ -121,6 +163,55 @@ export const QUIZ_ATTEMPT_DEFAULTS = Object.freeze({
   POINTS_EARNED: 0
 });
 
+// ==========================================
+// ADAPTIVE MODE
+// ==========================================
+
+/**
+ * Adaptive attempt scoring (IRT-lite). Ability and question difficulty share
+ * one scale; the chance of a correct answer is 1 / (1 + e^-(ability - difficulty)).
+ * After every answer the estimate moves towards the outcome by a step that
+ * shrinks as more questions are answered.
+ */
+export const ADAPTIVE_QUIZ = Object.freeze({
+  DIFFICULTY_SCALE: Object.freeze({ easy: -1, medium: 0, hard: 1 }),
+  INITIAL_ABILITY: 0,
+  LEARNING_RATE: 1,              // Step of the first update
+  MIN_LEARNING_RATE: 0.35,       // Floor, so late answers still count
+  MASTERY_THRESHOLDS: Object.freeze({ developing: -0.5, proficient: 0.25, mastered: 1 }),
+  SOURCE_QUIZ_LIMIT: 50          // Quizzes of the document searched for questions
+});
+
+// ==========================================
+// MISTAKES BANK
+// ==========================================
+
+/**
+ * Where a question in a mistakes review quiz came from
+ */
+export const REVIEW_QUESTION_SOURCES = Object.freeze([
+  'mistake',   // Answered wrong in an earlier attempt
+  'similar'    // Same topic or skill as a reviewed mistake
+]);
+
+/**
+ * Generation type stored on mistakes review quizzes
+ */
+export const MISTAKE_REVIEW_GENERATION_TYPE = 'mistake_review';
+
+/**
+ * Mistakes bank weighting and review quiz assembly
+ */
+export const MISTAKE_REVIEW = Object.freeze({
+  RECENCY_HALF_LIFE_DAYS: 7,     // A miss weighs half as much a week later
+  RESOLVE_AFTER_CORRECT: 2,      // Correct answers in a row before a mistake leaves the bank
+  SIMILAR_QUESTION_SHARE: 0.3,   // Up to 30% of a review quiz are similar questions
+  CANDIDATE_LIMIT: 200,          // Open mistakes considered per review quiz
+  SOURCE_QUIZ_LIMIT: 20,         // Quizzes searched for similar questions
+  TOPIC_MATCH_WEIGHT: 2,         // Similar question on the same topic area
+  SKILL_MATCH_WEIGHT: 1          // Similar question testing the same skill
+});
+
 // ==========================================
 // VALIDATION HELPERS
 // ==========================================
@@ -139,6 +230,29 @@ export const isValidQuestionType = (type) => {
   return QUESTION_TYPES.includes(type);
 };
 
+/**
+ * Map a legacy question type name to its current name
+ */
+export const normalizeQuestionType = (type) => {
+  return LEGACY_QUESTION_TYPES[type] || type;
+};
+
+/**
+ * All stored names of a question type (current name first), for queries
+ */
+export const getQuestionTypeAliases = (type) => {
+  const normalized = normalizeQuestionType(type);
+  const legacy = Object.keys(LEGACY_QUESTION_TYPES).filter(name => LEGACY_QUESTION_TYPES[name] === normalized);
+  return [normalized, ...legacy];
+};
+
+/**
+ * Check if question type is answered with free text
+ */
+export const isTextAnswerQuestionType = (type) => {
+  return TEXT_ANSWER_QUESTION_TYPES.includes(normalizeQuestionType(type));
+};
+
 /**
  * Check if value is valid quiz difficulty
  */
@@ -153,6 +267,13 @@ export const isValidAttemptStatus = (status) => {
   return QUIZ_ATTEMPT_STATUSES.includes(status);
 };
 
+/**
+ * Check if value is valid attempt mode
+ */
+export const isValidAttemptMode = (mode) => {
+  return QUIZ_ATTEMPT_MODES.includes(mode);
+};
+
 /**
  * Get performance level based on percentage
  */
@@ -10,17 +10,30 @@
 export {
   QUIZ_STATUSES,
   QUIZ_ATTEMPT_STATUSES,
+  QUIZ_ATTEMPT_MODES,
   QUESTION_TYPES,
+  TEXT_ANSWER_QUESTION_TYPES,
+  LEGACY_QUESTION_TYPES,
+  ANSWER_GRADING_METHODS,
   QUIZ_DIFFICULTY_LEVELS,
   QUIZ_CATEGORIES,
   PERFORMANCE_LEVELS,
   SUBJECT_AREAS,
+  MASTERY_LEVELS,
   QUIZ_DEFAULTS,
   QUIZ_ATTEMPT_DEFAULTS,
+  ADAPTIVE_QUIZ,
+  REVIEW_QUESTION_SOURCES,
+  MISTAKE_REVIEW_GENERATION_TYPE,
+  MISTAKE_REVIEW,
   isValidQuizStatus,
   isValidQuestionType,
+  normalizeQuestionType,
+  getQuestionTypeAliases,
+  isTextAnswerQuestionType,
   isValidQuizDifficulty,
   isValidAttemptStatus,
+  isValidAttemptMode,
   getPerformanceLevel
 } from './enums.js';
 
@@ -32,7 +45,13 @@ export {
   QUESTION_VALIDATION_RULES,
   QUIZ_ATTEMPT_VALIDATION_RULES,
   ANSWER_VALIDATION,
+  ADAPTIVE_QUIZ_VALIDATION,
+  MISTAKE_REVIEW_VALIDATION,
   PERFORMANCE_THRESHOLDS,
+  ANSWER_MATCHING,
   validateQuestionByType,
+  normalizeAnswerText,
+  getAcceptedAnswers,
+  isStorableQuestion,
   calculatePointsEarned
 } from './validation.js';
\ No newline at end of file
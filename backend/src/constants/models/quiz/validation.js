@@ -4,6 +4,8 @@
  * @description Validation rules and patterns for quiz models
  */
 
+import { normalizeQuestionType, isTextAnswerQuestionType } from './enums.js';
+
 // ==========================================
 // QUIZ VALIDATION RULES
 // ==========================================
@@ -180,6 +182,49 @@ export const ANSWER_VALIDATION = Object.freeze({
   }
 });
 
+/**
+ * Adaptive attempt request validation
+ */
+export const ADAPTIVE_QUIZ_VALIDATION = Object.freeze({
+  QUESTION_COUNT: {
+    MIN: 5,
+    MAX: 30,
+    DEFAULT: 15,
+    ERROR_MESSAGE: 'Adaptive question count must be between 5 and 30'
+  }
+});
+
+/**
+ * Mistakes review quiz request validation
+ */
+export const MISTAKE_REVIEW_VALIDATION = Object.freeze({
+  QUESTION_COUNT: {
+    MIN: 1,
+    MAX: 20,
+    DEFAULT: 10,
+    ERROR_MESSAGE: 'Question count must be between 1 and 20'
+  }
+});
+
+/**
+ * Tolerance when grading typed answers (fill in blank, short answer)
+ */
+export const ANSWER_MATCHING = Object.freeze({
+  // Ignored at the start of an answer: "the mitochondria" matches "mitochondria"
+  LEADING_ARTICLES: Object.freeze([
+    'the', 'a', 'an',                           // English
+    'le', 'la', 'les', 'l', 'un', 'une', 'des', // French
+    'el', 'los', 'las', 'una', 'unos', 'unas'   // Spanish
+  ]),
+
+  // Spelling mistakes forgiven by answer length, longest first.
+  // Answers containing digits must always match exactly.
+  TYPO_TOLERANCE: Object.freeze([
+    { MIN_LENGTH: 12, MAX_EDITS: 2 },
+    { MIN_LENGTH: 5, MAX_EDITS: 1 }
+  ])
+});
+
 // ==========================================
 // PERFORMANCE THRESHOLDS
 // ==========================================
@@ -240,6 +285,73 @@ export const validateQuestionByType = (question, type) => {
   return true;
 };
 
+/**
+ * Normalize a typed answer for comparison: case, accents, punctuation,
+ * whitespace and a leading article are ignored
+ * @param {*} value - Answer text
+ * @returns {string} Normalized answer ('' when empty)
+ */
+export const normalizeAnswerText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const words = String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  if (words.length > 1 && ANSWER_MATCHING.LEADING_ARTICLES.includes(words[0])) {
+    words.shift();
+  }
+
+  return words.join(' ');
+};
+
+/**
+ * Every answer accepted for a typed question: the correct answer first,
+ * then accepted variants and synonyms
+ * @param {Object} question - Question with correctAnswer and optional acceptedAnswers
+ * @returns {Array<string>} Distinct non-empty answers
+ */
+export const getAcceptedAnswers = (question) => {
+  const candidates = [question.correctAnswer, ...(Array.isArray(question.acceptedAnswers) ? question.acceptedAnswers : [])];
+
+  return [...new Set(
+    candidates
+      .filter(answer => typeof answer === 'string' || typeof answer === 'number')
+      .map(answer => String(answer).trim())
+      .filter(Boolean)
+  )];
+};
+
+/**
+ * Check that a question has what grading needs for its type.
+ * Choice questions need options and a correct index; typed questions need
+ * a correct answer text.
+ * @param {Object} question - Stored question
+ * @param {string} quizType - Quiz question type, used when the question has no type
+ * @returns {boolean} Whether the question can be stored
+ */
+export const isStorableQuestion = (question, quizType) => {
+  if (!question || !question.question || !question.skillCategory || !question.topicArea) {
+    return false;
+  }
+
+  const type = normalizeQuestionType(question.type || quizType);
+
+  if (isTextAnswerQuestionType(type)) {
+    const acceptedValid = question.acceptedAnswers === undefined || Array.isArray(question.acceptedAnswers);
+    return getAcceptedAnswers({ correctAnswer: question.correctAnswer }).length > 0 && acceptedValid;
+  }
+
+  return Boolean(question.options) && question.correctAnswerIndex !== undefined;
+};
+
 /**
  * Calculate points earned based on performance
  */
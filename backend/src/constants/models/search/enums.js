@@ -0,0 +1,67 @@
+/**
+ * Search Enums
+ * @module constants/models/search/enums
+ * @description What the library search covers and how results are scored
+ */
+
+// ==========================================
+// SOURCE TYPES
+// ==========================================
+
+/**
+ * Kinds of library content that are indexed for search
+ */
+export const SEARCH_SOURCE_TYPES = Object.freeze([
+  'document',        // Title, description, tags and topics
+  'summary',         // AI summary of a document
+  'key_point',       // One key point of a document
+  'quiz_question'    // One question of a quiz
+]);
+
+// ==========================================
+// SCORING
+// ==========================================
+
+/**
+ * Hybrid scoring and index upkeep
+ */
+export const SEARCH_SETTINGS = Object.freeze({
+  // Weights when an entry and the query both have embeddings; keyword only otherwise
+  VECTOR_WEIGHT: 0.6,
+  KEYWORD_WEIGHT: 0.4,
+
+  // Results scoring below this are left out
+  MIN_SCORE: 0.15,
+
+  // Most recent entries considered per search
+  MAX_CANDIDATES: 5000,
+
+  // Entries embedded per search; the rest are scored by keywords until a later search
+  EMBED_PER_SYNC: 256,
+
+  // Characters of a document's text folded into its 'document' entry
+  DOCUMENT_TEXT_CHARS: 1000,
+
+  SNIPPET_LENGTH: 200
+});
+
+// ==========================================
+// DEFAULTS
+// ==========================================
+
+export const SEARCH_DEFAULTS = Object.freeze({
+  LIMIT: 20
+});
+
+// ==========================================
+// VALIDATION HELPERS
+// ==========================================
+
+/**
+ * Check if value is a valid search source type
+ * @param {string} type - Type to validate
+ * @returns {boolean} Whether type is valid
+ */
+export const isValidSearchSourceType = (type) => {
+  return SEARCH_SOURCE_TYPES.includes(type);
+};
@@ -0,0 +1,22 @@
+/**
+ * Search Constants Public API
+ * @module constants/models/search
+ * @description Central export point for all library search constants
+ */
+
+// ==========================================
+// ENUM CONSTANTS
+// ==========================================
+export {
+  SEARCH_SOURCE_TYPES,
+  SEARCH_SETTINGS,
+  SEARCH_DEFAULTS,
+  isValidSearchSourceType
+} from './enums.js';
+
+// ==========================================
+// VALIDATION CONSTANTS
+// ==========================================
+export {
+  SEARCH_VALIDATION_RULES
+} from './validation.js';
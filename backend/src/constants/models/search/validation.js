@@ -0,0 +1,22 @@
+/**
+ * Search Validation Constants
+ * @module constants/models/search/validation
+ * @description Validation rules for library search requests
+ */
+
+// ==========================================
+// SEARCH VALIDATION RULES
+// ==========================================
+
+export const SEARCH_VALIDATION_RULES = Object.freeze({
+  QUERY: {
+    MIN_LENGTH: 2,
+    MAX_LENGTH: 200,
+    ERROR_MESSAGE: 'Search query must be between 2 and 200 characters'
+  },
+
+  LIMIT: {
+    MIN: 1,
+    MAX: 50
+  }
+});
@@ -61,6 +61,7 @@ export const PAYMENT_PROVIDERS = Object.freeze([
   'paypal',         // PayPal payments
   'razorpay',       // Razorpay (for Indian market)
   'manual',         // Manual/offline payments
+  'fake',           // Local fake gateway (development and tests)
   'free'            // Free tier (no payment)
 ]);
 
@@ -85,7 +86,8 @@ export const SUBSCRIPTION_FEATURES = Object.freeze([
   'custom_branding',        // Custom branding options
   'api_access',             // API access for integrations
   'bulk_operations',        // Bulk document/quiz operations
-  'advanced_reporting'      // Advanced analytics and reporting
+  'advanced_reporting',     // Advanced analytics and reporting
+  'custom_analysis'         // AI analysis of a document with a custom prompt
 ]);
 
 // ==========================================
@@ -113,7 +115,8 @@ export const PLAN_LIMITS = Object.freeze({
     courseDiscountMax: 25, // max 25% discount
     features: [
       'pdf_upload', 'ai_summarization', 'quiz_generation', 
-      'performance_analytics', 'points_system', 'course_discounts'
+      'performance_analytics', 'points_system', 'course_discounts',
+      'custom_analysis'
     ]
   },
   
@@ -127,7 +130,7 @@ export const PLAN_LIMITS = Object.freeze({
       'pdf_upload', 'ai_summarization', 'quiz_generation',
       'unlimited_documents', 'unlimited_quizzes', 'performance_analytics',
       'course_recommendations', 'points_system', 'course_discounts',
-      'priority_support'
+      'priority_support', 'custom_analysis'
     ]
   },
   
@@ -141,7 +144,8 @@ export const PLAN_LIMITS = Object.freeze({
       'pdf_upload', 'ai_summarization', 'quiz_generation',
       'unlimited_documents', 'unlimited_quizzes', 'performance_analytics',
       'course_recommendations', 'points_system', 'course_discounts',
-      'priority_support', 'advanced_reporting', 'bulk_operations'
+      'priority_support', 'advanced_reporting', 'bulk_operations',
+      'custom_analysis'
     ]
   },
   
@@ -156,11 +160,23 @@ export const PLAN_LIMITS = Object.freeze({
       'unlimited_documents', 'unlimited_quizzes', 'performance_analytics',
       'course_recommendations', 'points_system', 'course_discounts',
       'priority_support', 'advanced_reporting', 'bulk_operations',
-      'custom_branding', 'api_access'
+      'custom_branding', 'api_access', 'custom_analysis'
     ]
   }
 });
 
+// ==========================================
+// USAGE QUOTAS
+// ==========================================
+
+/**
+ * Metered resources: the usage counter and the plan limit that caps it
+ */
+export const SUBSCRIPTION_QUOTAS = Object.freeze({
+  documents: Object.freeze({ usageField: 'documentsUploaded', limitField: 'documentsPerMonth' }),
+  quizzes: Object.freeze({ usageField: 'quizzesGenerated', limitField: 'quizzesPerMonth' })
+});
+
 // ==========================================
 // PLAN PRICING
 // ==========================================
@@ -270,12 +286,26 @@ export const isPaidPlan = (plan) => {
  * Get plan upgrade path
  */
 export const getUpgradePath = (currentPlan) => {
-  const planHierarchy = ['free', 'basic', 'premium', 'pro', 'enterprise'];
-  const currentIndex = planHierarchy.indexOf(currentPlan);
+  const currentIndex = SUBSCRIPTION_PLANS.indexOf(currentPlan);
   
-  if (currentIndex === -1 || currentIndex === planHierarchy.length - 1) {
+  if (currentIndex === -1 || currentIndex === SUBSCRIPTION_PLANS.length - 1) {
     return null;
   }
   
-  return planHierarchy[currentIndex + 1];
+  return SUBSCRIPTION_PLANS[currentIndex + 1];
+};
+
+/**
+ * Compare two plans by rank (SUBSCRIPTION_PLANS runs from lowest to highest)
+ * @returns {number} Negative when planA is lower, positive when higher, 0 when equal
+ */
+export const comparePlans = (planA, planB) => {
+  return SUBSCRIPTION_PLANS.indexOf(planA) - SUBSCRIPTION_PLANS.indexOf(planB);
+};
+
+/**
+ * Get the lowest plan that includes a feature
+ */
+export const getLowestPlanWithFeature = (feature) => {
+  return SUBSCRIPTION_PLANS.find(plan => hasFeatureAccess(plan, feature)) || null;
 };
\ No newline at end of file
@@ -18,6 +18,7 @@ export {
   SUBSCRIPTION_FEATURES,
   PLAN_LIMITS,
   PLAN_PRICING,
+  SUBSCRIPTION_QUOTAS,
   
   // Defaults
   SUBSCRIPTION_DEFAULTS,
@@ -30,7 +31,9 @@ export {
   getPlanLimits,
   getPlanPrice,
   isPaidPlan,
-  getUpgradePath
+  getUpgradePath,
+  comparePlans,
+  getLowestPlanWithFeature
 } from './enums.js';
 
 // ==========================================
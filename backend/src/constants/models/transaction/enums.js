@@ -14,7 +14,9 @@
 export const TRANSACTION_TYPES = Object.freeze([
   // Points earning transactions
   'quiz_completion',        // Points earned from completing quizzes
+  'flashcard_review',       // Points earned from flashcard review sessions
   'document_upload',        // Points earned from uploading documents
+  'focus_session',          // Points earned from completed focus sessions
   'daily_login',           // Points for daily login streak
   'referral_bonus',        // Points from referring other users
   'achievement_bonus',     // Points from achievements/milestones
@@ -75,6 +77,16 @@ export const PAYMENT_METHODS = Object.freeze([
   'admin'                 // Admin-initiated transaction
 ]);
 
+/**
+ * What handling a payment gateway webhook did
+ */
+export const PAYMENT_EVENT_OUTCOMES = Object.freeze([
+  'applied',              // Moved the transaction to a new status
+  'no_change',            // Transaction had already left pending
+  'ignored',              // Event type we do not act on
+  'unmatched'             // No transaction for the checkout session
+]);
+
 // ==========================================
 // DISCOUNT TYPES
 // ==========================================
@@ -106,7 +118,9 @@ export const TRANSACTION_CURRENCIES = Object.freeze([
   'CAD',  // Canadian Dollar
   'AUD',  // Australian Dollar
   'JPY',  // Japanese Yen
-  'INR'   // Indian Rupee
+  'CNY',  // Chinese Yuan
+  'INR',  // Indian Rupee
+  'BRL'   // Brazilian Real
 ]);
 
 // ==========================================
@@ -133,11 +147,24 @@ export const POINTS_EARNING_RATES = Object.freeze({
     }
   },
   
+  FLASHCARD_REVIEW: {
+    perCard: 1,             // Points per card reviewed in a session
+    sessionBonus: 5,        // Bonus for reviewing at least bonusThreshold cards
+    bonusThreshold: 20,
+    maxPerSession: 50       // Cap so long sessions cannot farm points
+  },
+  
   DOCUMENT_UPLOAD: {
     base: 5,                // Base points per document upload
     processingBonus: 5      // Bonus when AI processing completes
   },
   
+  FOCUS_SESSION: {
+    perMinute: 1,           // Points per focused minute
+    minMinutes: 5,          // Shorter sessions earn nothing
+    maxPerSession: 60       // Cap so one long session cannot farm points
+  },
+  
   DAILY_LOGIN: {
     base: 2,                // Points for daily login
     streakMultiplier: {
@@ -156,7 +183,57 @@ export const POINTS_EARNING_RATES = Object.freeze({
     first_quiz: 20,
     first_document: 15,
     ten_quizzes: 100,
-    hundred_points: 50
+    hundred_points: 50,
+    first_100_points: 50,
+    points_master: 200,
+    week_warrior: 30,
+    month_master: 150
+  }
+});
+
+/**
+ * Events that earn points and the limits on each. Points are only ever
+ * awarded for these events, computed on the server.
+ * - dailyCap: most points the event earns per user per UTC day
+ * - maxAwardsPerDay: most awards per user per UTC day
+ * - cooldownSeconds: least time between two awards to the same user
+ */
+export const POINTS_EARNING_RULES = Object.freeze({
+  quiz_completion: {
+    transactionType: 'quiz_completion',
+    dailyCap: 300,
+    maxAwardsPerDay: 20,
+    cooldownSeconds: 60
+  },
+  flashcard_review: {
+    transactionType: 'flashcard_review',
+    dailyCap: 150,
+    maxAwardsPerDay: 10,
+    cooldownSeconds: 300
+  },
+  document_upload: {
+    transactionType: 'document_upload',
+    dailyCap: 50,
+    maxAwardsPerDay: 10,
+    cooldownSeconds: 30
+  },
+  focus_session: {
+    transactionType: 'focus_session',
+    dailyCap: 240,
+    maxAwardsPerDay: 12,
+    cooldownSeconds: 300
+  },
+  study_streak: {
+    transactionType: 'daily_login',
+    dailyCap: null,
+    maxAwardsPerDay: 1,
+    cooldownSeconds: 0
+  },
+  achievement: {
+    transactionType: 'achievement_bonus',
+    dailyCap: null,
+    maxAwardsPerDay: null,
+    cooldownSeconds: 0
   }
 });
 
@@ -177,6 +254,42 @@ export const POINTS_SPENDING_RATES = Object.freeze({
   }
 });
 
+// ==========================================
+// POINTS LEDGER
+// ==========================================
+
+/**
+ * What a points journal entry records
+ */
+export const POINTS_JOURNAL_TYPES = Object.freeze([
+  'earn',                 // Points granted to a user
+  'spend',                // Points held or spent on a purchase
+  'release',              // Held points given back (purchase not completed)
+  'deduct',               // Points taken away from a user
+  'transfer',             // Points moved between users
+  'adjustment',           // Mixed manual changes (batch operations)
+  'opening_balance'       // Balance a user had before the ledger existed
+]);
+
+/**
+ * Accounts on the other side of user postings
+ */
+export const POINTS_SYSTEM_ACCOUNTS = Object.freeze({
+  REWARDS: 'system:rewards',                  // Issues earned points
+  PURCHASES: 'system:purchases',              // Receives spent points
+  ADJUSTMENTS: 'system:adjustments',          // Receives deducted points
+  OPENING_BALANCES: 'system:opening_balances' // Pre-ledger balances
+});
+
+/**
+ * Student counters a user posting is cached in: earned postings add up to
+ * progress.totalPoints, spent postings (negated) to progress.pointsUsed
+ */
+export const POINTS_BALANCE_BUCKETS = Object.freeze([
+  'earned',
+  'spent'
+]);
+
 // ==========================================
 // TRANSACTION DEFAULTS
 // ==========================================
@@ -260,7 +373,7 @@ export const isValidCurrency = (currency) => {
  */
 export const isPointsEarningTransaction = (type) => {
   const earningTypes = [
-    'quiz_completion', 'document_upload', 'daily_login', 
+    'quiz_completion', 'flashcard_review', 'document_upload', 'focus_session', 'daily_login', 
     'referral_bonus', 'achievement_bonus', 'admin_adjustment'
   ];
   return earningTypes.includes(type);
@@ -299,6 +412,39 @@ export const calculateQuizPoints = (difficulty, performanceLevel) => {
   return Math.round(basePoints * difficultyMultiplier * performanceBonus);
 };
 
+/**
+ * Calculate points for a flashcard review session
+ */
+export const calculateFlashcardReviewPoints = (cardsReviewed) => {
+  const config = POINTS_EARNING_RATES.FLASHCARD_REVIEW;
+  const bonus = cardsReviewed >= config.bonusThreshold ? config.sessionBonus : 0;
+  
+  return Math.min(cardsReviewed * config.perCard + bonus, config.maxPerSession);
+};
+
+/**
+ * Calculate points for a completed focus session
+ */
+export const calculateFocusSessionPoints = (minutes) => {
+  const config = POINTS_EARNING_RATES.FOCUS_SESSION;
+  if (minutes < config.minMinutes) return 0;
+  
+  return Math.min(Math.floor(minutes) * config.perMinute, config.maxPerSession);
+};
+
+/**
+ * Calculate the daily study streak bonus
+ */
+export const calculateStreakPoints = (streakDays) => {
+  const config = POINTS_EARNING_RATES.DAILY_LOGIN;
+  let multiplier = 1;
+  if (streakDays >= 90) multiplier = config.streakMultiplier.quarter;
+  else if (streakDays >= 30) multiplier = config.streakMultiplier.month;
+  else if (streakDays >= 7) multiplier = config.streakMultiplier.week;
+  
+  return Math.round(config.base * multiplier);
+};
+
 /**
  * Calculate discount amount from points
  */
@@ -12,12 +12,19 @@ export {
   TRANSACTION_TYPES,
   TRANSACTION_STATUSES,
   PAYMENT_METHODS,
+  PAYMENT_EVENT_OUTCOMES,
   DISCOUNT_TYPES,
   
   // Currency & Points
   TRANSACTION_CURRENCIES,
   POINTS_EARNING_RATES,
   POINTS_SPENDING_RATES,
+  POINTS_EARNING_RULES,
+  
+  // Points Ledger
+  POINTS_JOURNAL_TYPES,
+  POINTS_SYSTEM_ACCOUNTS,
+  POINTS_BALANCE_BUCKETS,
   
   // Defaults & Limits
   TRANSACTION_DEFAULTS,
@@ -33,6 +40,9 @@ export {
   isPointsSpendingTransaction,
   isMonetaryTransaction,
   calculateQuizPoints,
+  calculateFlashcardReviewPoints,
+  calculateFocusSessionPoints,
+  calculateStreakPoints,
   calculateDiscountFromPoints,
   getTransactionCategory
 } from './enums.js';
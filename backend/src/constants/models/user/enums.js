@@ -22,6 +22,15 @@ export const USER_TYPES = Object.freeze([
   'admin',
 ]);
 
+/**
+ * Admin roles, highest first
+ */
+export const ADMIN_ROLES = Object.freeze([
+  'super_admin',
+  'admin',
+  'moderator'
+]);
+
 /**
  * Supported languages
  */
@@ -50,7 +59,8 @@ export const REGISTRATION_SOURCES = Object.freeze([
   'web',
   'mobile',
   'api',
-  'admin'
+  'admin',
+  'sso'
 ]);
 
 /**
@@ -18,6 +18,7 @@ export {
 export {
   USER_STATUSES,
   USER_TYPES,
+  ADMIN_ROLES,
   SUPPORTED_LANGUAGES,
   THEME_OPTIONS,
   REGISTRATION_SOURCES,
@@ -18,6 +18,10 @@ import {
   getAllAdminUsers,
   updateAdminData
 } from '../services/admin.service.js';
+import { getTwoFactorPolicy, updateTwoFactorPolicy } from '#services/twoFactor.service.js';
+import { getLoginSecuritySummary, adminUnlockAccount } from '#services/loginProtection.service.js';
+import { reconcilePointsBalances, recordOpeningBalances } from '#services/pointsLedger.service.js';
+import { createAdminAdjustmentTransaction } from '#services/transaction.service.js';
 
 // ==========================================
 // DASHBOARD & ANALYTICS
@@ -215,10 +219,12 @@ export const getUserByIdAdmin = async (req, res, next) => {
     if (!user) {
       return next(HttpError.notFound('User not found'));
     }
+
+    const loginSecurity = await getLoginSecuritySummary(userId);
     
     res.status(200).json({
       success: true,
-      data: { user }
+      data: { user, loginSecurity }
     });
   } catch (error) {
     next(error);
@@ -256,6 +262,24 @@ export const updateUserStatusAdmin = async (req, res, next) => {
   }
 };
 
+/**
+ * Lift a sign-in lockout (admin with users:update permission)
+ * @route POST /api/admin/users/:userId/unlock
+ */
+export const unlockUserAdmin = async (req, res, next) => {
+  try {
+    const loginSecurity = await adminUnlockAccount(req.params.userId, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'User account unlocked',
+      data: { loginSecurity }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Delete user (admin only)
  * @route DELETE /api/admin/users/:userId
@@ -331,4 +355,124 @@ export const getSystemAnalyticsAdmin = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// ==========================================
+// SECURITY POLICY
+// ==========================================
+
+/**
+ * Get the two-factor policy (admin with system:manage permission)
+ * @route GET /api/admin/security/two-factor
+ */
+export const getTwoFactorPolicyAdmin = async (req, res, next) => {
+  try {
+    const policy = await getTwoFactorPolicy();
+
+    res.status(200).json({
+      success: true,
+      data: { policy }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set the admin roles that must use two-factor login (admin with system:manage permission)
+ * @route PUT /api/admin/security/two-factor
+ */
+export const updateTwoFactorPolicyAdmin = async (req, res, next) => {
+  try {
+    const policy = await updateTwoFactorPolicy(req.body.requiredRoles, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor policy updated successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================
+// POINTS LEDGER
+// ==========================================
+
+/**
+ * Add or remove a student's points by hand (admin with users:update permission)
+ * @route POST /api/admin/users/:userId/points/adjustments
+ */
+export const adjustUserPointsAdmin = async (req, res, next) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const result = await createAdminAdjustmentTransaction({
+      userId: req.params.userId,
+      amount,
+      reason,
+      adminId: req.user._id,
+      idempotencyKey: req.get('Idempotency-Key'),
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    res.status(result.duplicate ? 200 : 201).json({
+      success: true,
+      message: result.duplicate ? 'Points adjustment already applied' : 'Points adjusted',
+      data: {
+        transaction: result.transaction,
+        pointsChange: result.pointsChange,
+        balance: result.balance,
+        duplicate: result.duplicate
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Compare students' points counters with the points ledger (admin with system:manage permission)
+ * @route GET /api/admin/points/reconciliation
+ */
+export const getPointsReconciliationAdmin = async (req, res, next) => {
+  try {
+    const { userId } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    if (userId && !/^[0-9a-fA-F]{24}$/.test(userId)) {
+      throw HttpError.badRequest('Invalid user ID', { code: 'INVALID_USER_ID' });
+    }
+
+    const report = await reconcilePointsBalances({ userId, limit });
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Journal the balances students had before the ledger (admin with system:manage permission)
+ * @route POST /api/admin/points/opening-balances
+ */
+export const recordOpeningBalancesAdmin = async (req, res, next) => {
+  try {
+    const result = await recordOpeningBalances();
+
+    res.status(200).json({
+      success: true,
+      message: `Opening balances recorded for ${result.recorded} users`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -12,8 +12,71 @@ import {
   registerUser, 
   loginUser, 
   logoutUser, 
-  refreshUserToken 
+  refreshUserToken,
+  requestEmailVerification,
+  verifyEmail as verifyEmailToken,
+  requestPasswordReset,
+  resetPassword as resetPasswordWithToken,
+  changePassword as changeUserPassword,
+  completeTwoFactorLogin,
+  startLoginTwoFactorSetup
 } from '#services/auth.service.js';
+import {
+  getTwoFactorStatus as getUserTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor as enableUserTwoFactor,
+  disableTwoFactor as disableUserTwoFactor,
+  regenerateRecoveryCodes as regenerateUserRecoveryCodes
+} from '#services/twoFactor.service.js';
+import {
+  listOidcProviders,
+  startOidcLogin,
+  completeOidcLogin
+} from '#services/oidc.service.js';
+import { unlockAccountWithToken } from '#services/loginProtection.service.js';
+
+/**
+ * Send the tokens of a new session and set the refresh token cookie
+ * @param {Object} res - Express response
+ * @param {Object} authResult - Result of loginUser / completeTwoFactorLogin / completeOidcLogin
+ */
+const sendLoginResponse = (res, authResult) => {
+  // Set refresh token as HTTP-only cookie for better security
+  res.cookie('refreshToken', authResult.refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production', // secure in production
+    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    path: '/api/auth/refresh-token',
+    sameSite: 'strict'
+  });
+  
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      accessToken: authResult.accessToken,
+      refreshToken: authResult.refreshToken,
+      expiresIn: authResult.expiresIn,
+      user: authResult.user,
+      ...(authResult.recoveryCodes && { recoveryCodes: authResult.recoveryCodes })
+    }
+  });
+};
+
+/**
+ * Send the two-factor challenge that replaces the tokens for the first step
+ * @param {Object} res - Express response
+ * @param {Object} authResult - { twoFactorRequired, setupRequired, challengeToken, expiresIn }
+ */
+const sendTwoFactorChallenge = (res, authResult) => {
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    message: authResult.setupRequired
+      ? 'Two-factor authentication must be set up to continue'
+      : 'Two-factor code required',
+    data: authResult
+  });
+};
 
 /**
  * @route POST /api/auth/register
@@ -141,24 +204,50 @@ export const login = async (req, res, next) => {
     
     const authResult = await loginUser(credentials, ip, userAgent);
     
-    // Set refresh token as HTTP-only cookie for better security
-    res.cookie('refreshToken', authResult.refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production', // secure in production
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      path: '/api/auth/refresh-token',
-      sameSite: 'strict'
-    });
+    // Password accepted; the client continues at /login/2fa
+    if (authResult.twoFactorRequired) {
+      return sendTwoFactorChallenge(res, authResult);
+    }
     
+    sendLoginResponse(res, authResult);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/auth/login/2fa
+ * @description Finish a login with a two-factor code or recovery code
+ * @access Public (challenge token)
+ */
+export const loginTwoFactor = async (req, res, next) => {
+  try {
+    const authResult = await completeTwoFactorLogin(
+      req.body.challengeToken,
+      { code: req.body.code, recoveryCode: req.body.recoveryCode },
+      req.ip,
+      req.headers['user-agent']
+    );
+
+    sendLoginResponse(res, authResult);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/auth/login/2fa/setup
+ * @description Get a QR code to set up the two-factor login the policy requires
+ * @access Public (challenge token)
+ */
+export const loginTwoFactorSetup = async (req, res, next) => {
+  try {
+    const result = await startLoginTwoFactorSetup(req.body.challengeToken);
+
     res.status(HTTP_STATUS_CODES.OK).json({
       success: true,
-      message: 'Login successful',
-      data: {
-        accessToken: authResult.accessToken,
-        refreshToken: authResult.refreshToken,
-        expiresIn: authResult.expiresIn,
-        user: authResult.user
-      }
+      message: 'Scan the QR code with your authenticator app',
+      data: result
     });
   } catch (error) {
     next(error);
@@ -223,42 +312,289 @@ export const refreshToken = async (req, res, next) => {
 };
 
 
+/**
+ * @route GET /api/auth/verify-email/:token
+ * @description Verify user email with verification token
+ * @access Public
+ */
 export const verifyEmail = async (req, res, next) => {
   try {
-    res.status(HTTP_STATUS_CODES.NOT_IMPLEMENTED).json({
-      message: 'Email verification endpoint not yet implemented'
+    const result = await verifyEmailToken(req.params.token);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: result
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @route POST /api/auth/verify-email/resend
+ * @description Send a new verification email to the signed-in user
+ * @access Private
+ */
+export const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const result = await requestEmailVerification(req.user.userId, { ip: req.ip });
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Verification email sent',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/auth/forgot-password
+ * @description Request password reset link
+ * @access Public
+ */
 export const forgotPassword = async (req, res, next) => {
   try {
-    res.status(HTTP_STATUS_CODES.NOT_IMPLEMENTED).json({
-      message: 'Password reset request endpoint not yet implemented'
+    await requestPasswordReset(req.body.email, { ip: req.ip });
+
+    // Same answer whether or not the account exists
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @route POST /api/auth/reset-password/:token
+ * @description Reset password with token
+ * @access Public
+ */
 export const resetPassword = async (req, res, next) => {
   try {
-    res.status(HTTP_STATUS_CODES.NOT_IMPLEMENTED).json({
-      message: 'Password reset endpoint not yet implemented'
+    const newPassword = req.body.newPassword || req.body.password;
+
+    const result = await resetPasswordWithToken(req.params.token, newPassword);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Password reset successful. Please sign in with your new password',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/auth/unlock/:token
+ * @description Lift a lockout with the link emailed when the account was locked
+ * @access Public
+ */
+export const unlockAccount = async (req, res, next) => {
+  try {
+    const result = await unlockAccountWithToken(req.params.token);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Account unlocked. You can sign in again',
+      data: result
     });
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * @route PUT /api/auth/change-password
+ * @description Change user password and sign out other sessions
+ * @access Private
+ */
 export const changePassword = async (req, res, next) => {
   try {
-    res.status(HTTP_STATUS_CODES.NOT_IMPLEMENTED).json({
-      message: 'Password change endpoint not yet implemented'
+    const refreshToken = req.cookies?.refreshToken || req.body.refreshToken;
+
+    const result = await changeUserPassword(req.user.userId, {
+      currentPassword: req.body.currentPassword,
+      newPassword: req.body.newPassword
+    }, { sessionId: req.user.sid, refreshToken });
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Password changed successfully',
+      data: result
     });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// ==========================================
+// TWO-FACTOR SETTINGS
+// ==========================================
+
+/**
+ * @route GET /api/auth/2fa
+ * @description Get the user's two-factor status
+ * @access Private
+ */
+export const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const result = await getUserTwoFactorStatus(req.user.userId);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Two-factor status retrieved successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/auth/2fa/setup
+ * @description Create a secret and QR code for an authenticator app
+ * @access Private
+ */
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const result = await startTwoFactorSetup(req.user.userId);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/auth/2fa/enable
+ * @description Confirm the setup with a code and turn two-factor on
+ * @access Private
+ */
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    const result = await enableUserTwoFactor(req.user.userId, req.body.code);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @description Turn two-factor off (password and code required)
+ * @access Private
+ */
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const result = await disableUserTwoFactor(req.user.userId, {
+      password: req.body.password,
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode
+    });
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/auth/2fa/recovery-codes
+ * @description Replace the recovery codes
+ * @access Private
+ */
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const result = await regenerateUserRecoveryCodes(req.user.userId, req.body.code);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'New recovery codes generated; the old ones no longer work',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ==========================================
+// SINGLE SIGN-ON (OpenID Connect)
+// ==========================================
+
+/**
+ * @route GET /api/auth/oidc/providers
+ * @description List the configured sign-in providers
+ * @access Public
+ */
+export const getOidcProviders = async (req, res, next) => {
+  try {
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Sign-in providers retrieved successfully',
+      data: { providers: listOidcProviders() }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route GET /api/auth/oidc/:provider/authorize
+ * @description Get the provider URL that starts a single sign-on login
+ * @access Public
+ */
+export const authorizeOidc = async (req, res, next) => {
+  try {
+    const result = await startOidcLogin(req.params.provider);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Continue at the sign-in provider',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @route POST /api/auth/oidc/callback
+ * @description Finish a single sign-on login with the provider's code and state
+ * @access Public
+ */
+export const oidcCallback = async (req, res, next) => {
+  try {
+    const authResult = await completeOidcLogin(
+      { code: req.body.code, state: req.body.state, browserKey: req.body.browserKey },
+      req.ip,
+      req.headers['user-agent']
+    );
+
+    if (authResult.twoFactorRequired) {
+      return sendTwoFactorChallenge(res, authResult);
+    }
+
+    sendLoginResponse(res, authResult);
+  } catch (error) {
+    next(error);
+  }
+};
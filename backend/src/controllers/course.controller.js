@@ -383,9 +383,12 @@ export const purchaseCourse = async (req, res, next) => {
     
     console.log('🛒 User purchasing course:', courseId, 'Points:', pointsToUse);
     
-    const result = await courseService.purchaseCourse(courseId, pointsToUse, user.userId);
+    const result = await courseService.purchaseCourse(courseId, pointsToUse, user.userId, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
     
-    res.status(HTTP_STATUS_CODES.OK).json({
+    res.status(result.pending ? HTTP_STATUS_CODES.ACCEPTED : HTTP_STATUS_CODES.OK).json({
       success: true,
       message: result.message,
       data: {
@@ -12,20 +12,28 @@ import { HttpError } from '#exceptions/index.js';
 import Document from '#models/document/Document.js';
 import { 
   createDocument, 
+  importDocumentFromUrl as importDocumentFromUrlService,
   getUserDocuments, 
   getDocumentById as getDocumentByIdService,
+  getDocumentPage as getDocumentPageService,
   updateDocument as updateDocumentService,
   deleteDocument as deleteDocumentService 
 } from '#services/document.service.js';
 import { 
-  processDocumentWithAI, 
   generateQuizFromDocument,
   generateCustomText,
-  checkAIServiceStatus,
-  generateComprehensiveQuizCollection ,
+  estimateDocumentSummary,
+  checkAIServiceStatus
 } from '#services/ai.service.js';
-import { storeQuizCollection } from '#services/quizCollection.service.js';
+import { enqueueDocumentProcessing } from '#services/documentPipeline.service.js';
+import { updateDocumentUploadProgress } from '#services/userProgress.service.js';
+import {
+  getDocumentProgress,
+  isTerminalProgress,
+  subscribeToDocument
+} from '#services/documentEvents.service.js';
 import Quiz from '#models/quiz/Quiz.js';
+import { FILE_VALIDATION, validateMimeType, resolveMimeType } from '#constants/models/document/index.js';
 
 
 // ==========================================
@@ -43,11 +51,16 @@ const storage = multer.diskStorage({
 });
 
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['application/pdf', 'text/plain'];
-  if (allowedTypes.includes(file.mimetype)) {
+  // Browsers send no specific type for some formats (e.g. Markdown); fall back to the extension
+  file.mimetype = resolveMimeType(file.originalname, file.mimetype);
+  
+  if (validateMimeType(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new HttpError.badRequest('Only PDF and TXT files are allowed'), false);
+    cb(HttpError.badRequest(FILE_VALIDATION.INVALID_MIME_TYPE_ERROR, {
+      code: 'UNSUPPORTED_FILE_TYPE',
+      context: { mimeType: file.mimetype, allowedTypes: FILE_VALIDATION.ALLOWED_MIME_TYPES }
+    }), false);
   }
 };
 
@@ -59,6 +72,32 @@ export const upload = multer({
   fileFilter: fileFilter
 });
 
+/**
+ * Award upload points and optionally queue processing for a new document
+ * @param {Object} document - Created document
+ * @param {string} userId - Owner
+ * @param {boolean} processImmediately - Queue AI processing now
+ * @returns {Promise<{ pointsEarned: number, job: Object|null }>} Points and queued job
+ */
+const completeDocumentCreation = async (document, userId, processImmediately) => {
+  // Upload points follow the earning rules; the upload stands either way
+  let pointsEarned = 0;
+  try {
+    const progress = await updateDocumentUploadProgress(userId, document._id);
+    pointsEarned = progress.pointsEarned;
+  } catch (progressError) {
+    console.error('⚠️ Upload progress update failed (non-critical):', progressError);
+  }
+  
+  let job = null;
+  if (processImmediately) {
+    // Queue comprehensive processing; a background worker picks it up
+    job = await enqueueDocumentProcessing(document._id, userId);
+  }
+  
+  return { pointsEarned, job };
+};
+
 // ==========================================
 // DOCUMENT UPLOAD WITH ENHANCED PROCESSING
 // ==========================================
@@ -96,21 +135,8 @@ export const uploadDocument = async (req, res, next) => {
     const document = await createDocument(req.file, documentData, req.user.userId);
     console.log(`✅ Document created: ${document._id}`);
     
-    // Check if immediate processing is requested
     const processImmediately = req.body.processImmediately === 'true';
-    
-    if (processImmediately) {
-      console.log(`🚀 Starting immediate comprehensive processing with language detection...`);
-      
-      // Trigger comprehensive processing in background
-      processDocumentComprehensively(document._id)
-        .then(() => {
-          console.log(`✅ Comprehensive processing completed for document: ${document._id}`);
-        })
-        .catch(error => {
-          console.error(`❌ Comprehensive processing failed for document: ${document._id}`, error);
-        });
-    }
+    const { pointsEarned, job } = await completeDocumentCreation(document, req.user.userId, processImmediately);
     
     res.status(201).json({
       success: true,
@@ -121,8 +147,10 @@ export const uploadDocument = async (req, res, next) => {
         originalName: document.file.originalName,
         size: document.file.size,
         status: document.status,
-        processing: processImmediately ? 'started' : 'pending'
-      }
+        processing: processImmediately ? 'queued' : 'pending',
+        jobId: job?._id || null
+      },
+      pointsEarned
     });
     
   } catch (error) {
@@ -132,172 +160,53 @@ export const uploadDocument = async (req, res, next) => {
 };
 
 // ==========================================
-// COMPREHENSIVE DOCUMENT PROCESSING WITH LANGUAGE SUPPORT
+// IMPORT FROM URL
 // ==========================================
 
 /**
- * 🔥 COMPREHENSIVE DOCUMENT PROCESSING WITH LANGUAGE DETECTION
- * Process document with AI summarization + generate complete quiz collection
- * @param {string} documentId - Document ID to process
- * @returns {Promise<Object>} Processing result
+ * Import a web page as a document; it is processed like an uploaded file
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
  */
-export const processDocumentComprehensively = async (documentId) => {
-  let document;
-  
+export const importDocumentFromUrl = async (req, res, next) => {
   try {
-    console.log(`🏭 Starting comprehensive processing with language detection for document: ${documentId}`);
-    
-    // Get document
-    document = await Document.findById(documentId).select('+file.storagePath');
-    if (!document) {
-      throw HttpError.notFound('Document not found');
-    }
-
-    
-    // Update status to processing
-    document.status = 'processing';
-    document.processing.stage = 'ai_analysis';
-    document.processing.startedAt = new Date();
-    await document.save();
-    
-    
-    // STEP 1: Generate AI Summary with Language Detection
-    const summaryResult = await processDocumentWithAI(document.file.storagePath);
-
-    console.log(summaryResult);
-
-    
-    if (!summaryResult.success) {
-      throw new Error(`AI summarization failed: ${summaryResult.error}`);
-    }
-    
-    console.log(`🌍 Document language detected: ${summaryResult.metadata.detectedLanguage}`);
-    
-    // Update document with summary and language
-    document.content.extractedText = summaryResult.extractedText;
-    document.content.summary = summaryResult.summary;
-    document.content.keyPoints = summaryResult.keyPoints;
-    document.content.topics = summaryResult.topics;
-
-    // update file metadata including language
-    document.file.metadata.pageCount = summaryResult.metadata.pageCount;
-    document.file.metadata.wordCount = summaryResult.metadata.wordCount;
-    document.file.metadata.language = summaryResult.metadata.detectedLanguage || 'en';
-    document.complexity = "";
-    document.quality = "";
-
-
-
-    // 🔥 DIRECT MONGODB TEST - BYPASS MONGOOSE
-    try {
-      console.log(`🧪 TESTING: Direct MongoDB update...`);
-      
-      const directResult = await Document.updateOne(
-        { _id: document._id },
-        { 
-          $set: { 
-            'content.extractedText': summaryResult.extractedText,
-            'content.summary': summaryResult.summary 
-          }
-        }
-      );
-      
-      console.log(`🧪 Direct update result:`, directResult);
-      
-      // Check if it worked
-      const testDoc = await Document.findById(document._id);
-      
-    } catch (directError) {
-      console.error(`❌ Direct update failed:`, directError);
-    }
-    
-    document.processing.aiMetadata = summaryResult.metadata;
-    document.processing.stage = 'processing';
-    
-    try {
-      await document.save();
-      console.log(`✅ Document saved successfully with extracted text and language info`);
-    } catch (saveError) {
-      console.error(`❌ CRITICAL: Document save failed:`, saveError);
-      console.error(`❌ Save error details:`, JSON.stringify(saveError, null, 2));
-      throw saveError;
-    }
-    
-    // STEP 2: Generate Comprehensive Quiz Collection (in detected language)
-    const quizCollectionResult = await generateComprehensiveQuizCollection(document.file.storagePath);
-    
-    if (!quizCollectionResult.success) {
-      throw new Error(`Quiz collection generation failed: ${quizCollectionResult.error}`);
-    }
+    const { url } = req.body;
+    console.log(`🌐 Document import from URL started by user: ${req.user.userId}`);
     
-    console.log(`🎯 Quiz collection generated in language: ${quizCollectionResult.metadata.detectedLanguage}`);
-    
-    // STEP 3: Store Individual Quizzes
-    const storageResult = await storeQuizCollection(
-      quizCollectionResult.quizCollection,
-      document._id,
-      document.userId
-    );
-    
-    if (!storageResult.success) {
-      throw new Error(`Quiz storage failed: ${storageResult.error}`);
-    }
-    
-    
-    // STEP 4: Mark document as completed
-    document.status = 'completed';
-    document.processing.stage = 'completed';
-    document.processing.completedAt = new Date();
-    
-    // Add comprehensive processing metadata including language info
-    document.processing.comprehensiveMetadata = {
-      summaryGenerated: true,
-      quizCollectionGenerated: true,
-      quizzesStored: storageResult.storedQuizzes.length,
-      quizzesFailed: storageResult.failedQuizzes.length,
-      totalQuestions: quizCollectionResult.quizCollection.metadata?.totalQuestions || 0,
-      detectedLanguage: summaryResult.metadata.detectedLanguage, // 🆕 NEW: Include language in metadata
-      processingCompletedAt: new Date()
+    const documentData = {
+      title: req.body.title,
+      description: req.body.description,
+      category: req.body.category,
+      difficulty: req.body.difficulty,
+      tags: req.body.tags
     };
     
-    await document.save();
+    const document = await importDocumentFromUrlService(url, documentData, req.user.userId);
+    console.log(`✅ Document imported: ${document._id}`);
     
-    console.log(`🎉 Comprehensive processing completed successfully for document: ${documentId} in ${summaryResult.metadata.detectedLanguage}`);
+    const processImmediately = req.body.processImmediately === true || req.body.processImmediately === 'true';
+    const { pointsEarned, job } = await completeDocumentCreation(document, req.user.userId, processImmediately);
     
-    return {
+    res.status(201).json({
       success: true,
-      documentId: document._id,
-      detectedLanguage: summaryResult.metadata.detectedLanguage, // 🆕 NEW: Return detected language
-      summary: {
-        summaryGenerated: true,
-        summaryLength: summaryResult.summary.length,
-        keyPointsCount: summaryResult.keyPoints.length
-      },
-      quizCollection: {
-        quizzesGenerated: quizCollectionResult.quizCollection.quizzes.length,
-        quizzesStored: storageResult.storedQuizzes.length,
-        quizzesFailed: storageResult.failedQuizzes.length,
-        totalQuestions: quizCollectionResult.quizCollection.metadata?.totalQuestions || 0
+      message: 'Document imported successfully',
+      document: {
+        id: document._id,
+        title: document.title,
+        originalName: document.file.originalName,
+        sourceUrl: document.file.sourceUrl,
+        size: document.file.size,
+        status: document.status,
+        processing: processImmediately ? 'queued' : 'pending',
+        jobId: job?._id || null
       },
-      processingTime: Date.now() - document.processing.startedAt.getTime()
-    };
+      pointsEarned
+    });
     
   } catch (error) {
-    console.error(`❌ Comprehensive processing failed for document: ${documentId}`, error);
-    
-    // Mark document as failed
-    if (document) {
-      try {
-        await document.markAsFailed('ai_processing_error', error.message, {
-          stage: document.processing.stage,
-          timestamp: new Date()
-        });
-      } catch (updateError) {
-        console.error(`❌ Failed to update document status:`, updateError);
-      }
-    }
-    
-    throw error;
+    console.error('❌ Document import error:', error);
+    next(error);
   }
 };
 
@@ -336,20 +245,17 @@ export const processPendingDocument  = async (req, res, next) => {
       }));
     }
     
-    // Start comprehensive processing in background
-    processDocumentComprehensively(documentId)
-      .then((result) => {
-        console.log(`✅ Manual processing completed for document: ${documentId}`, result);
-      })
-      .catch((error) => {
-        console.error(`❌ Manual processing failed for document: ${documentId}`, error);
-      });
+    // Queue comprehensive processing (a failed document starts over)
+    const job = await enqueueDocumentProcessing(documentId, userId, {
+      reset: document.status === 'failed'
+    });
     
     res.status(200).json({
       success: true,
-      message: 'Comprehensive processing started with language detection',
+      message: 'Comprehensive processing queued',
       documentId: documentId,
-      status: 'processing'
+      jobId: job._id,
+      status: 'queued'
     });
     
   } catch (error) {
@@ -358,6 +264,99 @@ export const processPendingDocument  = async (req, res, next) => {
   }
 };
 
+// ==========================================
+// LIVE PROCESSING PROGRESS (SSE)
+// ==========================================
+
+// Keep-alive comments stop proxies and the server timeout from closing idle streams
+const EVENT_STREAM_HEARTBEAT_INTERVAL = 15000;
+
+// Re-read progress from the database to catch updates made by workers in other processes
+const EVENT_STREAM_POLL_INTERVAL = 5000;
+
+const EVENT_STREAM_RETRY_DELAY = 5000;
+
+/**
+ * Stream processing progress of a document as Server-Sent Events
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const streamDocumentEvents = async (req, res, next) => {
+  try {
+    const documentId = req.params.id;
+
+    const initial = await getDocumentProgress(documentId, { userId: req.user.userId });
+    if (!initial) {
+      return next(HttpError.notFound('Document not found'));
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${EVENT_STREAM_RETRY_DELAY}\n\n`);
+
+    let closed = false;
+    let lastSignature = null;
+    let unsubscribe = () => {};
+    let heartbeatTimer = null;
+    let pollTimer = null;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeatTimer);
+      clearInterval(pollTimer);
+      unsubscribe();
+      res.end();
+    };
+
+    const send = (event) => {
+      if (closed) return;
+
+      // Same state seen from both the publisher and the poller
+      const signature = [event.status, event.stage, event.attempt, event.retrying, event.error?.message].join('|');
+      if (signature === lastSignature) return;
+      lastSignature = signature;
+
+      const name = isTerminalProgress(event) ? event.status : 'progress';
+      res.write(`event: ${name}\ndata: ${JSON.stringify(event)}\n\n`);
+
+      if (isTerminalProgress(event)) {
+        close();
+      }
+    };
+
+    req.on('close', close);
+
+    send(initial);
+    if (closed) return;
+
+    unsubscribe = subscribeToDocument(documentId, send);
+
+    heartbeatTimer = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, EVENT_STREAM_HEARTBEAT_INTERVAL);
+
+    pollTimer = setInterval(async () => {
+      try {
+        const event = await getDocumentProgress(documentId);
+        if (event) send(event);
+      } catch (error) {
+        console.error(`❌ Progress poll failed for document: ${documentId}`, error.message);
+      }
+    }, EVENT_STREAM_POLL_INTERVAL);
+
+  } catch (error) {
+    console.error('❌ Event stream error:', error);
+    next(error);
+  }
+};
+
 // ==========================================
 // EXISTING ENDPOINTS (Enhanced)
 // ==========================================
@@ -533,7 +532,9 @@ export const getDocumentSummary = async (req, res, next) => {
     const documentId = req.params.id;
     const userId = req.user.userId;
     
-    const document = await getDocumentByIdService(documentId, userId);
+    const document = await getDocumentByIdService(documentId, userId, {
+      select: ['+content.chapterSummaries']
+    });
     
     if (!document.content.summary) {
       return next(HttpError.notFound('Document summary not available'));
@@ -545,8 +546,11 @@ export const getDocumentSummary = async (req, res, next) => {
         text: document.content.summary,
         keyPoints: document.content.keyPoints,
         topics: document.content.topics,
+        strategy: document.content.summaryStrategy || 'single_pass',
+        chapters: document.content.chapterSummaries || [],
         language: document.file?.metadata?.language || 'en',
-        metadata: document.processing.aiMetadata
+        metadata: document.processing.aiMetadata,
+        estimate: document.processing.summaryEstimate
       }
     });
     
@@ -556,6 +560,69 @@ export const getDocumentSummary = async (req, res, next) => {
   }
 };
 
+/**
+ * Estimate the requests, tokens and cost of summarizing a document before processing it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const getSummaryEstimate = async (req, res, next) => {
+  try {
+    const documentId = req.params.id;
+    const userId = req.user.userId;
+    
+    const document = await getDocumentByIdService(documentId, userId);
+    
+    const estimateResult = await estimateDocumentSummary(document.file.storagePath);
+    
+    if (!estimateResult.success) {
+      return next(HttpError.unprocessableEntity(`Summary cost could not be estimated: ${estimateResult.error}`, {
+        code: 'SUMMARY_ESTIMATE_FAILED'
+      }));
+    }
+    
+    res.status(200).json({
+      success: true,
+      estimate: estimateResult.estimate
+    });
+    
+  } catch (error) {
+    console.error('❌ Get summary estimate error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the extracted text of a single page and its outline section
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const getDocumentPage = async (req, res, next) => {
+  try {
+    const documentId = req.params.id;
+    const userId = req.user.userId;
+    const pageNumber = Number(req.params.pageNumber);
+
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      return next(HttpError.badRequest('Page number must be a positive integer', {
+        code: 'INVALID_PAGE_NUMBER'
+      }));
+    }
+
+    const page = await getDocumentPageService(documentId, pageNumber, userId);
+
+    res.status(200).json({
+      success: true,
+      page
+    });
+
+  } catch (error) {
+    console.error('❌ Get document page error:', error);
+    next(error);
+  }
+};
+
 /**
  * Generate custom analysis of document with language awareness
  * @param {Object} req - Express request object
@@ -641,7 +708,8 @@ export const getAIServiceStatus = async (req, res, next) => {
       success: true,
       aiService: {
         status: statusResult.success ? 'operational' : 'error',
-        model: 'deepseek-chat',
+        provider: statusResult.provider || null,
+        model: statusResult.model || null,
         available: statusResult.success,
         languageSupport: Object.keys(LANGUAGE_PROMPTS || {}),
         lastChecked: new Date().toISOString(),
@@ -655,7 +723,8 @@ export const getAIServiceStatus = async (req, res, next) => {
       success: true,
       aiService: {
         status: 'error',
-        model: 'deepseek-chat',
+        provider: null,
+        model: null,
         available: false,
         languageSupport: [],
         lastChecked: new Date().toISOString(),
@@ -668,13 +737,16 @@ export const getAIServiceStatus = async (req, res, next) => {
 export default {
   upload,
   uploadDocument,
-  processDocumentComprehensively,
+  importDocumentFromUrl,
   processPendingDocument,
+  streamDocumentEvents,
   getAllDocuments,
   getDocumentById,
   updateDocument,
   deleteDocument,
   getDocumentSummary,
+  getSummaryEstimate,
+  getDocumentPage,
   generateCustomAnalysis,
   getDocumentAnalytics,
   getAIServiceStatus
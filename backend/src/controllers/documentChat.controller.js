@@ -0,0 +1,134 @@
+/**
+ * Document Chat Controller
+ * @module controllers/documentChat
+ * @description Handles questions about a document and the conversations they belong to
+ */
+
+import '#docs/swagger/document-chat-routes-docs.js';
+
+import mongoose from 'mongoose';
+import { HttpError } from '#exceptions/index.js';
+import { HTTP_STATUS_CODES } from '#constants/http/index.js';
+import documentChatService from '#services/documentChat.service.js';
+
+/**
+ * Validate an optional conversationId from the body
+ */
+const parseConversationId = (conversationId) => {
+  if (!conversationId) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+    throw HttpError.badRequest('Invalid conversationId format', {
+      code: 'INVALID_CONVERSATION_ID'
+    });
+  }
+
+  return conversationId;
+};
+
+/**
+ * Ask a question about a document
+ * @route POST /api/documents/:id/chat
+ * @access Private (plans with custom_analysis)
+ */
+export const sendDocumentChatMessage = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { id } = req.params;
+    const { message, conversationId } = req.body;
+
+    const result = await documentChatService.sendDocumentChatMessage(id, userId, {
+      message,
+      conversationId: parseConversationId(conversationId)
+    });
+
+    res.status(conversationId ? HTTP_STATUS_CODES.OK : HTTP_STATUS_CODES.CREATED).json({
+      success: true,
+      message: 'Question answered',
+      data: {
+        conversation: result.conversation,
+        userMessage: result.userMessage,
+        assistantMessage: result.assistantMessage
+      },
+      retrieval: result.retrieval,
+      tokensUsed: result.tokensUsed
+    });
+
+  } catch (error) {
+    console.error('❌ Document chat controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * List conversations about a document
+ * @route GET /api/documents/:id/chat/conversations
+ * @access Private
+ */
+export const listDocumentConversations = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { id } = req.params;
+    const { page, limit } = req.query;
+
+    const result = await documentChatService.listDocumentConversations(id, userId, { page, limit });
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Conversations retrieved successfully',
+      data: result.conversations,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    console.error('❌ List conversations controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Reopen a conversation with its messages
+ * @route GET /api/documents/:id/chat/conversations/:conversationId
+ * @access Private
+ */
+export const getDocumentConversation = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { id, conversationId } = req.params;
+
+    const result = await documentChatService.getDocumentConversation(id, conversationId, userId);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Conversation retrieved successfully',
+      data: result.conversation
+    });
+
+  } catch (error) {
+    console.error('❌ Get conversation controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a conversation
+ * @route DELETE /api/documents/:id/chat/conversations/:conversationId
+ * @access Private
+ */
+export const deleteDocumentConversation = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { id, conversationId } = req.params;
+
+    await documentChatService.deleteDocumentConversation(id, conversationId, userId);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Conversation deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Delete conversation controller error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,204 @@
+/**
+ * Flashcard Controller
+ * @module controllers/flashcard
+ * @description Handles flashcard generation, spaced-repetition review and deck stats requests
+ */
+
+import '#docs/swagger/flashcard-routes-docs.js';
+
+import mongoose from 'mongoose';
+import { HttpError } from '#exceptions/index.js';
+import { HTTP_STATUS_CODES } from '#constants/http/index.js';
+import flashcardService from '#services/flashcard.service.js';
+
+/**
+ * Validate an optional documentId filter from the query string or body
+ */
+const parseDocumentFilter = (documentId) => {
+  if (!documentId) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(documentId)) {
+    throw HttpError.badRequest('Invalid documentId format', {
+      code: 'INVALID_DOCUMENT_ID'
+    });
+  }
+
+  return documentId;
+};
+
+/**
+ * Generate flashcards from a processed document
+ * @route POST /api/flashcards/generate
+ * @access Private
+ */
+export const generateFlashcards = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { documentId, count } = req.body;
+
+    if (!documentId) {
+      throw HttpError.badRequest('Document ID is required', {
+        code: 'MISSING_DOCUMENT_ID'
+      });
+    }
+
+    const result = await flashcardService.generateFlashcardsForDocument(
+      parseDocumentFilter(documentId),
+      userId,
+      { count }
+    );
+
+    res.status(HTTP_STATUS_CODES.CREATED).json({
+      success: true,
+      message: `${result.metadata.created} flashcards generated successfully`,
+      data: result.flashcards,
+      metadata: result.metadata
+    });
+
+  } catch (error) {
+    console.error('❌ Generate flashcards controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * List flashcards, optionally for one document
+ * @route GET /api/flashcards
+ * @access Private
+ */
+export const getFlashcards = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { documentId, page, limit } = req.query;
+
+    const result = await flashcardService.getFlashcards(userId, {
+      documentId: parseDocumentFilter(documentId),
+      page,
+      limit
+    });
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Flashcards retrieved successfully',
+      data: result.flashcards,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    console.error('❌ Get flashcards controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get cards due for review today
+ * @route GET /api/flashcards/due
+ * @access Private
+ */
+export const getDueFlashcards = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { documentId, limit } = req.query;
+
+    const result = await flashcardService.getDueFlashcards(userId, {
+      documentId: parseDocumentFilter(documentId),
+      limit
+    });
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Due flashcards retrieved successfully',
+      data: result.flashcards,
+      totalDue: result.totalDue,
+      dueBefore: result.dueBefore
+    });
+
+  } catch (error) {
+    console.error('❌ Get due flashcards controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Grade a card and schedule its next review
+ * @route POST /api/flashcards/:id/review
+ * @access Private
+ */
+export const reviewFlashcard = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { id } = req.params;
+    const { grade } = req.body;
+
+    const result = await flashcardService.reviewFlashcard(id, userId, grade);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Flashcard reviewed successfully',
+      data: result.flashcard
+    });
+
+  } catch (error) {
+    console.error('❌ Review flashcard controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Complete a review session and award points
+ * @route POST /api/flashcards/sessions/complete
+ * @access Private
+ */
+export const completeReviewSession = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { startedAt, documentId } = req.body;
+
+    const result = await flashcardService.completeReviewSession(userId, {
+      startedAt,
+      documentId: parseDocumentFilter(documentId),
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      }
+    });
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: result.pointsEarned > 0
+        ? `Review session completed: +${result.pointsEarned} points`
+        : 'Review session completed',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('❌ Complete review session controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get deck statistics
+ * @route GET /api/flashcards/stats
+ * @access Private
+ */
+export const getFlashcardStats = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { documentId } = req.query;
+
+    const result = await flashcardService.getFlashcardStats(userId, {
+      documentId: parseDocumentFilter(documentId)
+    });
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Flashcard statistics retrieved successfully',
+      data: result.stats
+    });
+
+  } catch (error) {
+    console.error('❌ Get flashcard stats controller error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,254 @@
+/**
+ * Focus Session Controller
+ * @module controllers/focusSession
+ * @description Handles focus session lifecycle, history and stats requests
+ */
+
+import '#docs/swagger/focus-session-routes-docs.js';
+
+import mongoose from 'mongoose';
+import { HttpError } from '#exceptions/index.js';
+import { HTTP_STATUS_CODES } from '#constants/http/index.js';
+import focusSessionService from '#services/focusSession.service.js';
+
+/**
+ * Validate an optional documentId from the query string or body
+ */
+const parseDocumentFilter = (documentId) => {
+  if (!documentId) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(documentId)) {
+    throw HttpError.badRequest('Invalid documentId format', {
+      code: 'INVALID_DOCUMENT_ID'
+    });
+  }
+
+  return documentId;
+};
+
+/**
+ * Start a focus session
+ * @route POST /api/users/me/focus-sessions
+ * @access Private
+ */
+export const startFocusSession = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { plannedMinutes, documentId } = req.body;
+
+    const result = await focusSessionService.startFocusSession(userId, {
+      plannedMinutes,
+      documentId: parseDocumentFilter(documentId)
+    });
+
+    res.status(HTTP_STATUS_CODES.CREATED).json({
+      success: true,
+      message: 'Focus session started',
+      data: result.session
+    });
+
+  } catch (error) {
+    console.error('❌ Start focus session controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the open focus session, if any
+ * @route GET /api/users/me/focus-sessions/active
+ * @access Private
+ */
+export const getActiveFocusSession = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    const result = await focusSessionService.getActiveFocusSession(userId);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: result.session ? 'Active focus session retrieved' : 'No active focus session',
+      data: result.session
+    });
+
+  } catch (error) {
+    console.error('❌ Get active focus session controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Keep an active focus session counting
+ * @route POST /api/users/me/focus-sessions/:sessionId/heartbeat
+ * @access Private
+ */
+export const recordFocusHeartbeat = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { sessionId } = req.params;
+
+    const result = await focusSessionService.recordFocusHeartbeat(sessionId, userId);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Heartbeat recorded',
+      data: result.session
+    });
+
+  } catch (error) {
+    console.error('❌ Focus heartbeat controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Pause an active focus session
+ * @route POST /api/users/me/focus-sessions/:sessionId/pause
+ * @access Private
+ */
+export const pauseFocusSession = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { sessionId } = req.params;
+
+    const result = await focusSessionService.pauseFocusSession(sessionId, userId);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Focus session paused',
+      data: result.session
+    });
+
+  } catch (error) {
+    console.error('❌ Pause focus session controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Resume a paused focus session
+ * @route POST /api/users/me/focus-sessions/:sessionId/resume
+ * @access Private
+ */
+export const resumeFocusSession = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { sessionId } = req.params;
+
+    const result = await focusSessionService.resumeFocusSession(sessionId, userId);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Focus session resumed',
+      data: result.session
+    });
+
+  } catch (error) {
+    console.error('❌ Resume focus session controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Complete a focus session and credit its focused time
+ * @route POST /api/users/me/focus-sessions/:sessionId/complete
+ * @access Private
+ */
+export const completeFocusSession = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { sessionId } = req.params;
+
+    const result = await focusSessionService.completeFocusSession(sessionId, userId);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: `Focus session completed: ${result.creditedMinutes} minutes credited`,
+      data: result.session,
+      creditedMinutes: result.creditedMinutes,
+      pointsEarned: result.pointsEarned,
+      totalStudyTime: result.totalStudyTime
+    });
+
+  } catch (error) {
+    console.error('❌ Complete focus session controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Cancel a focus session without credit
+ * @route POST /api/users/me/focus-sessions/:sessionId/cancel
+ * @access Private
+ */
+export const cancelFocusSession = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { sessionId } = req.params;
+
+    const result = await focusSessionService.cancelFocusSession(sessionId, userId);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Focus session cancelled',
+      data: result.session
+    });
+
+  } catch (error) {
+    console.error('❌ Cancel focus session controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * List past focus sessions
+ * @route GET /api/users/me/focus-sessions
+ * @access Private
+ */
+export const getFocusSessionHistory = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { status, documentId, page, limit } = req.query;
+
+    const result = await focusSessionService.getFocusSessionHistory(userId, {
+      status,
+      documentId: parseDocumentFilter(documentId),
+      page,
+      limit
+    });
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Focus sessions retrieved successfully',
+      data: result.sessions,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    console.error('❌ Get focus session history controller error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get focus statistics
+ * @route GET /api/users/me/focus-sessions/stats
+ * @access Private
+ */
+export const getFocusSessionStats = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { days } = req.query;
+
+    const result = await focusSessionService.getFocusSessionStats(userId, { days });
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Focus statistics retrieved successfully',
+      data: result.stats
+    });
+
+  } catch (error) {
+    console.error('❌ Get focus session stats controller error:', error);
+    next(error);
+  }
+};
@@ -11,26 +11,49 @@ export {
   logout,
   refreshToken,
   verifyEmail,
+  resendVerificationEmail,
   forgotPassword,
   resetPassword,
-  changePassword
+  unlockAccount,
+  changePassword,
+  loginTwoFactor,
+  loginTwoFactorSetup,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getOidcProviders,
+  authorizeOidc,
+  oidcCallback
 } from './auth.controller.js';
 
 // Document Controller
 export {
   uploadDocument,
+  importDocumentFromUrl,
   getAllDocuments,
   getDocumentById,
   updateDocument,
   deleteDocument,
   getDocumentSummary,
+  getSummaryEstimate,
   processPendingDocument,
   getDocumentAnalytics
 } from './document.controller.js';
 
+// Document Chat Controller
+export {
+  sendDocumentChatMessage,
+  listDocumentConversations,
+  getDocumentConversation,
+  deleteDocumentConversation
+} from './documentChat.controller.js';
+
 // Quiz Controller
 export {
   generateQuiz,
+  generateReviewQuiz,
   getAllQuizzes,
   getQuizById,
   getAllQuizzesForDocument,
@@ -38,12 +61,36 @@ export {
   selectQuizForDocument,
   startQuizAttempt,
   submitQuizAnswer,
+  getNextQuizQuestion,
   completeQuizAttempt,
   getQuizAttemptResults,
   getUserQuizStats as getQuizUserStats,
   getQuizAttemptHistory
 } from './quiz.controller.js';
 
+// Flashcard Controller
+export {
+  generateFlashcards,
+  getFlashcards,
+  getDueFlashcards,
+  reviewFlashcard,
+  completeReviewSession,
+  getFlashcardStats
+} from './flashcard.controller.js';
+
+// Focus Session Controller
+export {
+  startFocusSession,
+  getActiveFocusSession,
+  recordFocusHeartbeat,
+  pauseFocusSession,
+  resumeFocusSession,
+  completeFocusSession,
+  cancelFocusSession,
+  getFocusSessionHistory,
+  getFocusSessionStats
+} from './focusSession.controller.js';
+
 // User Controller
 export {
   getCurrentUser,
@@ -56,14 +103,11 @@ export {
   getUserQuizStats,
   updateUserAvatar,
   updateAcademicInfo,
-  manageFocusTimer,
-  addUserPoints,
-  deductUserPoints,
+  getUserSessions,
+  revokeUserSession,
+  revokeOtherUserSessions,
   transferUserPoints,
-  batchUserPointsOperations,
   getDetailedPointsSummary,
-  adminAddUserPoints,
-  adminDeductUserPoints,
   adminGetUserPointsSummary
 } from './user.controller.js';
 
@@ -91,4 +135,9 @@ export {
   createAdminUser,
   getAllAdmins,
   updateAdminUser
-} from './admin.controller.js';
\ No newline at end of file
+} from './admin.controller.js';
+
+// Search Controller
+export {
+  searchLibrary
+} from './search.controller.js';
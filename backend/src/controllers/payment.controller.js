@@ -0,0 +1,33 @@
+/**
+ * Payment Controller
+ * @module controllers/payment
+ * @description Handles payment gateway webhooks
+ */
+
+import '#docs/swagger/payment-routes-docs.js';
+
+import { HTTP_STATUS_CODES } from '#constants/http/index.js';
+import { handleWebhook } from '#services/payment.service.js';
+
+/**
+ * Receive a payment gateway webhook. Any non-2xx answer makes the gateway
+ * deliver the event again later.
+ * @route POST /api/payments/webhook
+ * @access Public (signed by the gateway)
+ */
+export const receiveWebhook = async (req, res, next) => {
+  try {
+    const result = await handleWebhook(req.rawBody || '', req.get('Stripe-Signature'));
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  receiveWebhook
+};
@@ -11,12 +11,15 @@ import Quiz from '#models/quiz/Quiz.js';
 import QuizAttempt from '#models/quiz/QuizAttempt.js';
 import Document from '#models/document/Document.js';
 import { HttpError } from '#exceptions/index.js';
+import { normalizeQuestionType, isValidAttemptMode, ANSWER_VALIDATION } from '#constants/models/quiz/index.js';
 import { 
   getAvailableQuizzes, 
   selectRandomQuiz, 
   getQuizCollectionStats
 } from '#services/quizCollection.service.js';
 import quizAttemptService from '#services/quizAttempt.service.js';
+import mistakeBankService from '#services/mistakeBank.service.js';
+import adaptiveQuizService from '#services/adaptiveQuiz.service.js';
 
 
 // ==========================================
@@ -97,14 +100,14 @@ export const generateQuiz = async (req, res, next) => {
         title: selectedQuiz.title,
         description: selectedQuiz.description,
         difficulty: selectedQuiz.difficulty,
-        questionType: selectedQuiz.aiMetadata?.questionType,
+        questionType: normalizeQuestionType(selectedQuiz.aiMetadata?.questionType),
         questionCount: selectedQuiz.questions.length,
         estimatedTime: selectedQuiz.estimatedTime,
         questions: selectedQuiz.questions.map((q, index) => ({
           id: q.id || index + 1,
           question: q.question,
           options: q.options,
-          type: selectedQuiz.aiMetadata?.questionType || 'multiple_choice'
+          type: getQuestionType(q, selectedQuiz)
           // Note: Don't include correctAnswer or correctAnswerIndex in response
         }))
       }
@@ -159,6 +162,7 @@ const generateCustomQuiz = async (req, res, next) => {
       if (quiz && quiz.questions) {
         allQuestions.push(...quiz.questions.map(q => ({
           ...q,
+          type: getQuestionType(q, quiz),
           sourceQuizId: quiz._id
         })));
       }
@@ -180,12 +184,19 @@ const generateCustomQuiz = async (req, res, next) => {
       description: `Custom ${difficulty} quiz with ${questionCount} questions`,
       questions: selectedQuestions.map((q, index) => ({
         id: index + 1,
+        type: q.type,
         question: q.question,
         options: q.options,
         correctAnswer: q.correctAnswer,
         correctAnswerIndex: q.correctAnswerIndex,
+        acceptedAnswers: q.acceptedAnswers,
+        rubric: q.rubric,
         explanation: q.explanation,
-        points: q.points || 1
+        points: q.points || 1,
+        skillCategory: q.skillCategory,
+        topicArea: q.topicArea,
+        strength: q.strength,
+        weakness: q.weakness
       })),
       difficulty,
       category: 'comprehension',
@@ -193,6 +204,7 @@ const generateCustomQuiz = async (req, res, next) => {
       status: 'active',
       aiMetadata: {
         model: 'custom-selection',
+        questionType: questionType ? normalizeQuestionType(questionType) : 'mixed',
         generationType: 'custom_question_selection',
         originalQuestionCount: questionCount,
         sourceQuizzes: [...new Set(selectedQuestions.map(q => q.sourceQuizId))],
@@ -218,7 +230,7 @@ const generateCustomQuiz = async (req, res, next) => {
           id: q.id,
           question: q.question,
           options: q.options,
-          type: questionType || 'multiple_choice'
+          type: q.type
           // Note: Don't include correctAnswer in response
         }))
       }
@@ -230,6 +242,60 @@ const generateCustomQuiz = async (req, res, next) => {
   }
 };
 
+/**
+ * 📕 Generate a review quiz from the user's mistakes bank
+ * Past wrong answers, weighted by how often and how recently they were
+ * missed, plus similar questions from the same documents
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const generateReviewQuiz = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { documentId, questionCount, title } = req.body;
+
+    if (documentId && !mongoose.Types.ObjectId.isValid(documentId)) {
+      return next(HttpError.badRequest('Invalid documentId format', {
+        code: 'INVALID_DOCUMENT_ID'
+      }));
+    }
+
+    const result = await mistakeBankService.generateReviewQuiz(userId, {
+      documentId,
+      questionCount,
+      title
+    });
+    const reviewQuiz = result.quiz;
+
+    res.status(201).json({
+      success: true,
+      message: 'Review quiz created successfully',
+      quiz: {
+        id: reviewQuiz._id,
+        title: reviewQuiz.title,
+        description: reviewQuiz.description,
+        difficulty: reviewQuiz.difficulty,
+        questionType: reviewQuiz.aiMetadata?.questionType,
+        questionCount: reviewQuiz.questions.length,
+        estimatedTime: reviewQuiz.estimatedTime,
+        questions: reviewQuiz.questions.map(q => ({
+          id: q.id,
+          question: q.question,
+          options: q.options,
+          type: getQuestionType(q, reviewQuiz),
+          reviewSource: q.review?.source
+        }))
+      },
+      metadata: result.metadata
+    });
+
+  } catch (error) {
+    console.error('❌ Review quiz generation error:', error);
+    next(error);
+  }
+};
+
 // ==========================================
 // QUIZ LISTING AND MANAGEMENT
 // ==========================================
@@ -382,7 +448,7 @@ export const getQuizById = async (req, res, next) => {
         category: quiz.category,
         questionCount: quiz.questions.length,
         estimatedTime: quiz.estimatedTime,
-        questionType: quiz.aiMetadata?.questionType,
+        questionType: normalizeQuestionType(quiz.aiMetadata?.questionType),
         document: quiz.documentId ? {
           id: quiz.documentId._id,
           title: quiz.documentId.title
@@ -391,7 +457,7 @@ export const getQuizById = async (req, res, next) => {
           id: q.id,
           question: q.question,
           options: q.options,
-          type: quiz.aiMetadata?.questionType || 'multiple_choice'
+          type: getQuestionType(q, quiz)
           // Note: Don't include answers in response
         })),
         attemptHistory: attempts.map(attempt => ({
@@ -442,6 +508,43 @@ export const startQuizAttempt = async (req, res, next) => {
       return next(HttpError.notFound('Quiz not found'));
     }
     
+    const { mode = 'standard', questionCount } = req.body || {};
+    
+    if (!isValidAttemptMode(mode)) {
+      return next(HttpError.badRequest('Invalid attempt mode', {
+        code: 'INVALID_ATTEMPT_MODE',
+        context: { mode }
+      }));
+    }
+    
+    // Adaptive attempts serve one question at a time from the document's pool
+    if (mode === 'adaptive') {
+      const { attempt, nextQuestion } = await adaptiveQuizService.startAdaptiveAttempt(quiz, userId, {
+        questionCount,
+        metadata: {
+          userAgent: req.get('User-Agent'),
+          deviceType: getDeviceType(req.get('User-Agent'))
+        }
+      });
+      
+      console.log(`✅ Adaptive quiz attempt started: ${attempt._id}`);
+      
+      return res.status(201).json({
+        success: true,
+        message: 'Adaptive quiz attempt started',
+        attempt: {
+          id: attempt._id,
+          quizId: quiz._id,
+          mode: attempt.mode,
+          startedAt: attempt.startedAt,
+          status: attempt.status,
+          totalQuestions: attempt.adaptive.questionLimit,
+          timeLimit: Math.ceil(attempt.adaptive.questionLimit * 1.5) * 60 * 1000
+        },
+        nextQuestion
+      });
+    }
+    
     // Create new quiz attempt
     const attempt = new QuizAttempt({
       userId,
@@ -465,6 +568,7 @@ export const startQuizAttempt = async (req, res, next) => {
       attempt: {
         id: attempt._id,
         quizId: quiz._id,
+        mode: attempt.mode,
         startedAt: attempt.startedAt,
         status: attempt.status,
         timeLimit: quiz.estimatedTime * 60 * 1000 // Convert to milliseconds
@@ -509,22 +613,53 @@ export const submitQuizAnswer = async (req, res, next) => {
       return next(HttpError.notFound('Quiz not found'));
     }
     
+    if (typeof answer === 'string' && answer.length > ANSWER_VALIDATION.SHORT_ANSWER.MAX_LENGTH) {
+      return next(HttpError.badRequest(ANSWER_VALIDATION.SHORT_ANSWER.ERROR_MESSAGE));
+    }
+    
+    if (attempt.mode === 'adaptive') {
+      const result = await adaptiveQuizService.submitAdaptiveAnswer(attempt, quiz, { questionId, answer, timeSpent });
+      const served = result.question.question;
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Answer submitted successfully',
+        result: {
+          questionId,
+          isCorrect: result.isCorrect,
+          pointsEarned: result.pointsEarned,
+          correctAnswer: served.correctAnswer,
+          explanation: served.explanation,
+          personalizedFeedback: {
+            type: result.isCorrect ? 'strength' : 'weakness',
+            message: result.isCorrect ? served.strength : served.weakness,
+            skillCategory: served.skillCategory,
+            topicArea: served.topicArea
+          },
+          difficulty: result.question.difficulty,
+          ability: result.ability,
+          mastery: result.mastery,
+          currentScore: attempt.score,
+          answeredQuestions: result.answeredQuestions,
+          totalQuestions: result.totalQuestions,
+          totalPointsEarned: attempt.pointsEarned,
+          isQuizComplete: result.isQuizComplete,
+          percentage: attempt.percentage,
+          nextQuestion: result.nextQuestion
+        }
+      });
+    }
+    
     // 3. Find the question in the quiz
     const question = quiz.questions.find(q => q.id.toString() === questionId.toString());
     if (!question) {
       return next(HttpError.notFound('Question not found'));
     }
     
-    console.log(`🔍 Question validation:`, {
-      questionId: question.id,
-      userAnswer: answer,
-      correctAnswer: question.correctAnswer,
-      correctAnswerIndex: question.correctAnswerIndex,
-      questionType: quiz.aiMetadata?.questionType
-    });
-    
-    const isCorrect = validateAnswerCorrectly(question, answer, quiz.aiMetadata?.questionType);
-    const pointsEarned = isCorrect ? (question.points || 1) : 0;
+    // Short answers may get rubric partial credit from the AI grader
+    const { isCorrect, pointsEarned, grading } = await quizAttemptService.gradeQuizAnswer(
+      quiz, question, question.id, answer
+    );
     
     console.log(`✅ Answer validation result: isCorrect=${isCorrect}, pointsEarned=${pointsEarned}`);
     
@@ -534,6 +669,7 @@ export const submitQuizAnswer = async (req, res, next) => {
       isCorrect: isCorrect,
       pointsEarned: pointsEarned,
       timeSpent: timeSpent,
+      grading: grading,
       submittedAt: new Date()
     };
     
@@ -553,16 +689,20 @@ export const submitQuizAnswer = async (req, res, next) => {
     const answeredQuestions = attempt.answers.length;
     const correctAnswers = attempt.answers.filter(a => a.isCorrect).length;
     const totalPointsEarned = attempt.answers.reduce((sum, a) => sum + (a.pointsEarned || 0), 0);
-    const currentPercentage = Math.round((correctAnswers / totalQuestions) * 100);
+    
+    // Partial credit counts towards the score, not only answers over the pass mark
+    const score = attempt.calculateScore();
+    const currentPercentage = Math.round((score / totalQuestions) * 100);
     
     // Update attempt with proper values
-    attempt.score = correctAnswers;
+    attempt.score = score;
     attempt.percentage = currentPercentage;
     attempt.pointsEarned = totalPointsEarned;
     attempt.lastAnsweredAt = new Date();
     
     console.log(`📊 Score calculation:`, {
       correctAnswers,
+      score,
       totalQuestions,
       percentage: currentPercentage,
       totalPointsEarned
@@ -617,100 +757,6 @@ export const submitQuizAnswer = async (req, res, next) => {
   }
 };
 
-const validateAnswerCorrectly = (question, userAnswer, questionType = 'multiple_choice') => {
-  try {
-    console.log(`\n🔍 ===== VALIDATION DEBUG START =====`);
-    console.log(`🔍 Question ID: ${question.id}`);
-    console.log(`🔍 Question Type: ${questionType}`);
-    console.log(`🔍 User Answer: "${userAnswer}" (type: ${typeof userAnswer})`);
-    
-    console.log(`🔍 question.correctAnswerIndex: ${question.correctAnswerIndex}`);
-    console.log(`🔍 typeof question.correctAnswerIndex: ${typeof question.correctAnswerIndex}`);
-    console.log(`🔍 question.correctAnswerIndex === undefined: ${question.correctAnswerIndex === undefined}`);
-    console.log(`🔍 question.correctAnswerIndex === null: ${question.correctAnswerIndex === null}`);
-    
-    // 🔍 DEBUG: Show the full question object structure
-    console.log(`🔍 Full question object keys:`, Object.keys(question));
-    console.log(`🔍 Full question object:`, JSON.stringify(question, null, 2));
-    
-    const correctIndex = question.correctAnswerIndex;
-    
-    if (correctIndex === undefined || correctIndex === null) {
-      console.error(`❌ MISSING correctAnswerIndex for question ${question.id}`);
-      console.error(`❌ Question object:`, question);
-      return false;
-    }
-    
-    let userIndex;
-    
-    if (questionType === 'true_false') {
-      console.log(`🔍 Processing TRUE/FALSE question`);
-      if (typeof userAnswer === 'string') {
-        const lower = userAnswer.toLowerCase().trim();
-        if (lower === 'true') {
-          userIndex = 0;
-          console.log(`🔍 Converted "true" to index 0`);
-        } else if (lower === 'false') {
-          userIndex = 1;
-          console.log(`🔍 Converted "false" to index 1`);
-        } else {
-          userIndex = parseInt(userAnswer);
-          console.log(`🔍 Parsed string "${userAnswer}" to integer ${userIndex}`);
-        }
-      } else {
-        userIndex = parseInt(userAnswer);
-        console.log(`🔍 Parsed non-string userAnswer to integer ${userIndex}`);
-      }
-      
-      // Validate range for true/false
-      if (userIndex < 0 || userIndex > 1) {
-        console.error(`❌ True/False index out of range: ${userIndex}`);
-        return false;
-      }
-      
-    } else {
-      console.log(`🔍 Processing MULTIPLE CHOICE question`);
-      userIndex = parseInt(userAnswer);
-      console.log(`🔍 Parsed userAnswer "${userAnswer}" to integer ${userIndex}`);
-      
-      if (isNaN(userIndex)) {
-        console.error(`❌ Could not parse userAnswer to valid number: "${userAnswer}"`);
-        return false;
-      }
-      
-      // Validate range for multiple choice
-      if (userIndex < 0 || userIndex > 3) {
-        console.error(`❌ Multiple choice index out of range: ${userIndex}`);
-        return false;
-      }
-    }
-    
-    console.log(`🔍 Final comparison:`);
-    console.log(`🔍   userIndex: ${userIndex} (type: ${typeof userIndex})`);
-    console.log(`🔍   correctIndex: ${correctIndex} (type: ${typeof correctIndex})`);
-    console.log(`🔍   userIndex === correctIndex: ${userIndex === correctIndex}`);
-    console.log(`🔍   userIndex == correctIndex: ${userIndex == correctIndex}`);
-    
-    const isCorrect = userIndex === correctIndex;
-    
-    console.log(`🎯 VALIDATION RESULT: ${isCorrect}`);
-    
-    if (question.options && question.options.length > 0) {
-      console.log(`🔍 User selected option: "${question.options[userIndex] || 'INVALID INDEX'}"`);
-      console.log(`🔍 Correct option: "${question.options[correctIndex] || 'INVALID INDEX'}"`);
-    }
-    
-    console.log(`🔍 ===== VALIDATION DEBUG END =====\n`);
-    
-    return isCorrect;
-    
-  } catch (error) {
-    console.error(`❌ VALIDATION ERROR:`, error);
-    console.error(`❌ Error stack:`, error.stack);
-    return false;
-  }
-};
-
 /**
  * Get all quizzes for a specific document
  */
@@ -782,14 +828,14 @@ export const selectQuizForDocument = async (req, res, next) => {
         id: selectedQuiz._id,
         title: selectedQuiz.title,
         difficulty: selectedQuiz.difficulty,
-        questionType: selectedQuiz.aiMetadata?.questionType,
+        questionType: normalizeQuestionType(selectedQuiz.aiMetadata?.questionType),
         questionCount: selectedQuiz.questions.length,
         estimatedTime: selectedQuiz.estimatedTime,
         questions: selectedQuiz.questions.map((q, index) => ({
           id: q.id || index + 1,
           question: q.question,
           options: q.options,
-          type: selectedQuiz.aiMetadata?.questionType || 'multiple_choice'
+          type: getQuestionType(q, selectedQuiz)
         }))
       }
     });
@@ -800,6 +846,55 @@ export const selectQuizForDocument = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the question to answer next in an adaptive attempt
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const getNextQuizQuestion = async (req, res, next) => {
+  try {
+    const { id: quizId, attemptId } = req.params;
+    const userId = req.user.userId;
+    
+    const attempt = await QuizAttempt.findOne({
+      _id: attemptId,
+      userId,
+      quizId,
+      status: 'in_progress'
+    });
+    
+    if (!attempt) {
+      return next(HttpError.notFound('Quiz attempt not found or already completed'));
+    }
+    
+    if (attempt.mode !== 'adaptive') {
+      return next(HttpError.badRequest('Only adaptive attempts serve questions one at a time', {
+        code: 'NOT_ADAPTIVE_ATTEMPT'
+      }));
+    }
+    
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz) {
+      return next(HttpError.notFound('Quiz not found'));
+    }
+    
+    const result = await adaptiveQuizService.getNextAdaptiveQuestion(attempt, quiz);
+    
+    res.status(200).json({
+      success: true,
+      nextQuestion: result.nextQuestion,
+      answeredQuestions: result.answeredQuestions,
+      totalQuestions: result.totalQuestions,
+      isQuizComplete: !result.nextQuestion
+    });
+    
+  } catch (error) {
+    console.error('❌ Get next quiz question error:', error);
+    next(error);
+  }
+};
+
 /**
  * Complete a quiz attempt
  * @param {Object} req - Express request object
@@ -864,7 +959,9 @@ export const completeQuizAttempt = async (req, res, next) => {
         pointsEarned: attempt.pointsEarned,
         timeSpent: attempt.timeSpent,
         performanceLevel: attempt.performanceLevel,
-        completedAt: attempt.completedAt
+        completedAt: attempt.completedAt,
+        mode: attempt.mode,
+        mastery: attempt.adaptive?.mastery || []
       }
     });
     
@@ -893,7 +990,7 @@ export const getQuizAttemptResults = async (req, res, next) => {
       userId,
       quizId,
       status: 'completed'
-    }).populate('quizId', 'title questions');
+    }).populate('quizId', 'title questions aiMetadata.questionType');
     
     if (!attempt) {
       return next(HttpError.notFound('Quiz attempt not found or not completed'));
@@ -901,17 +998,31 @@ export const getQuizAttemptResults = async (req, res, next) => {
     
     // Build detailed results with personalized feedback
     const quiz = attempt.quizId;
+    const isAdaptive = attempt.mode === 'adaptive';
+    
+    // Adaptive answers refer to questions served from the whole document pool
+    const findQuestion = (questionId) => isAdaptive
+      ? attempt.adaptive.servedQuestions.find(served => served.questionId === questionId)?.question
+      : quiz.questions.find(q => q.id === questionId);
+    const totalQuestions = isAdaptive ? attempt.answers.length : quiz.questions.length;
+    
+    const correctAnswers = attempt.answers.filter(answer => answer.isCorrect).length;
+    
     const detailedResults = attempt.answers.map(answer => {
-      const question = quiz.questions.find(q => q.id === answer.questionId);
+      const question = findQuestion(answer.questionId);
       return {
         questionId: answer.questionId,
         question: question?.question || 'Question not found',
+        type: question ? getQuestionType(question, quiz) : null,
         userAnswer: answer.userAnswer,
         correctAnswer: question?.correctAnswer || 'Unknown',
         correctAnswerIndex: question?.correctAnswerIndex,
+        acceptedAnswers: question?.acceptedAnswers || [],
         options: question?.options || [],
         isCorrect: answer.isCorrect,
         pointsEarned: answer.pointsEarned,
+        points: question?.points || 1,
+        grading: answer.grading || null,
         explanation: question?.explanation || 'No explanation available',
         timeSpent: answer.timeSpent,
         personalizedFeedback: {
@@ -941,11 +1052,13 @@ export const getQuizAttemptResults = async (req, res, next) => {
         feedback: attempt.feedback,
         strengths: attempt.strengths,
         weaknesses: attempt.weaknesses,
+        mode: attempt.mode,
+        mastery: attempt.adaptive?.mastery || [],
         detailedResults,
         summary: {
-          totalQuestions: quiz.questions.length,
-          correctAnswers: attempt.score,
-          incorrectAnswers: quiz.questions.length - attempt.score,
+          totalQuestions,
+          correctAnswers,
+          incorrectAnswers: totalQuestions - correctAnswers,
           accuracy: attempt.accuracy,
           hasPassed: attempt.hasPassed
         }
@@ -1104,41 +1217,13 @@ export const getQuizAttemptHistory = async (req, res, next) => {
 // ==========================================
 
 /**
- * Check if user's answer is correct
- * @param {Object} question - Question object
- * @param {string} userAnswer - User's answer
- * @returns {boolean} Whether answer is correct
+ * Question type sent to clients: the question's own type, else the quiz type
+ * @param {Object} question - Stored question
+ * @param {Object} quiz - Quiz the question belongs to
+ * @returns {string} Question type
  */
-const checkAnswer = (question, userAnswer) => {
-  try {
-    // For multiple choice, check against correctAnswer or correctAnswerIndex
-    if (question.options && question.options.length > 0) {
-      // Check direct answer match
-      if (question.correctAnswer === userAnswer) {
-        return true;
-      }
-      
-      // Check index-based answer
-      if (typeof question.correctAnswerIndex === 'number') {
-        const correctOption = question.options[question.correctAnswerIndex];
-        return correctOption === userAnswer;
-      }
-      
-      return false;
-    }
-    
-    // For fill-in-the-blank and short answer, do case-insensitive comparison
-    if (typeof userAnswer === 'string' && typeof question.correctAnswer === 'string') {
-      return userAnswer.toLowerCase().trim() === question.correctAnswer.toLowerCase().trim();
-    }
-    
-    // Direct comparison
-    return userAnswer === question.correctAnswer;
-    
-  } catch (error) {
-    console.error('❌ Error checking answer:', error);
-    return false;
-  }
+const getQuestionType = (question, quiz) => {
+  return normalizeQuestionType(question.type || quiz.aiMetadata?.questionType || 'multiple_choice');
 };
 
 /**
@@ -1164,6 +1249,7 @@ const getDeviceType = (userAgent) => {
 
 export default {
   generateQuiz,
+  generateReviewQuiz,
   getAllQuizzes,
   getQuizById,
   getAllQuizzesForDocument,
@@ -1171,6 +1257,7 @@ export default {
   selectQuizForDocument,
   startQuizAttempt,
   submitQuizAnswer,
+  getNextQuizQuestion,
   completeQuizAttempt,
   getQuizAttemptResults,
   getUserQuizStats,
@@ -0,0 +1,36 @@
+/**
+ * Search Controller
+ * @module controllers/search
+ * @description Handles searching across a user's library
+ */
+
+import '#docs/swagger/search-routes-docs.js';
+
+import { HTTP_STATUS_CODES } from '#constants/http/index.js';
+import searchService from '#services/search.service.js';
+
+/**
+ * Search documents, summaries, key points and quiz questions by meaning
+ * @route GET /api/search
+ * @access Private
+ */
+export const searchLibrary = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { q, types, limit } = req.query;
+
+    const result = await searchService.searchLibrary(userId, { q, types, limit });
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Search completed successfully',
+      data: result.results,
+      total: result.total,
+      retrieval: result.retrieval
+    });
+
+  } catch (error) {
+    console.error('❌ Search controller error:', error);
+    next(error);
+  }
+};
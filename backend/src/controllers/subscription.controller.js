@@ -0,0 +1,146 @@
+/**
+ * Subscription Controller
+ * @module controllers/subscription
+ * @description Handles plan, usage and plan change requests
+ */
+
+import '#docs/swagger/subscription-routes-docs.js';
+
+import { HTTP_STATUS_CODES } from '#constants/http/index.js';
+import {
+  listPlans,
+  getSubscriptionOverview,
+  getSubscriptionUsage,
+  upgradeSubscription,
+  downgradeSubscription,
+  cancelSubscription,
+  resumeSubscription
+} from '#services/subscription.service.js';
+
+/**
+ * Get the available plans
+ * @route GET /api/subscriptions/plans
+ * @access Public
+ */
+export const getPlans = (req, res) => {
+  res.status(HTTP_STATUS_CODES.OK).json({
+    success: true,
+    data: { plans: listPlans() }
+  });
+};
+
+/**
+ * Get the current plan, its limits and usage
+ * @route GET /api/subscriptions/current
+ * @access Private
+ */
+export const getCurrentSubscription = async (req, res, next) => {
+  try {
+    const result = await getSubscriptionOverview(req.user.userId);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get usage of the monthly quotas
+ * @route GET /api/subscriptions/usage
+ * @access Private
+ */
+export const getUsage = async (req, res, next) => {
+  try {
+    const usage = await getSubscriptionUsage(req.user.userId);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      data: { usage }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start the checkout for a higher plan
+ * @route POST /api/subscriptions/upgrade
+ * @access Private
+ */
+export const upgrade = async (req, res, next) => {
+  try {
+    const { planType, billingCycle } = req.body;
+    const result = await upgradeSubscription(req.user.userId, { planType, billingCycle }, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(HTTP_STATUS_CODES.ACCEPTED).json({
+      success: true,
+      message: `Complete the payment to upgrade to the ${planType} plan`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move to a lower plan at the end of the period
+ * @route POST /api/subscriptions/downgrade
+ * @access Private
+ */
+export const downgrade = async (req, res, next) => {
+  try {
+    const result = await downgradeSubscription(req.user.userId, { planType: req.body.planType });
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: `Your plan changes to ${req.body.planType} at the end of the current period`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel the paid plan at the end of the period
+ * @route POST /api/subscriptions/cancel
+ * @access Private
+ */
+export const cancel = async (req, res, next) => {
+  try {
+    const result = await cancelSubscription(req.user.userId, { reason: req.body.reason });
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Subscription cancelled. You keep your plan until the end of the current period',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Undo a pending cancellation or downgrade
+ * @route POST /api/subscriptions/resume
+ * @access Private
+ */
+export const resume = async (req, res, next) => {
+  try {
+    const result = await resumeSubscription(req.user.userId);
+
+    res.status(HTTP_STATUS_CODES.OK).json({
+      success: true,
+      message: 'Subscription resumed',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
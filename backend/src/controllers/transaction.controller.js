@@ -9,6 +9,7 @@ import '#docs/swagger/transaction-routes-docs.js';
 import { HttpError } from '#exceptions/index.js';
 import { HTTP_STATUS_CODES } from '#constants/http/index.js';
 import transactionService from '#services/transaction.service.js';
+import pointsLedgerService from '#services/pointsLedger.service.js';
 import { 
   isValidTransactionType, 
   TRANSACTION_TYPES 
@@ -274,8 +275,8 @@ export const getPointsBalance = async (req, res, next) => {
     // Import Transaction model for balance calculation
     const Transaction = (await import('#models/transaction/Transaction.js')).default;
     
-    const pointsBalance = await Transaction.calculatePointsBalance(userId);
-    const balance = pointsBalance[0] || { balance: 0, totalEarned: 0, totalSpent: 0 };
+    // Balance from the points ledger, not the cached counters
+    const balance = await pointsLedgerService.getLedgerBalance(userId);
 
     // Get recent earning transactions
     const recentEarnings = await Transaction.find({
@@ -292,7 +293,7 @@ export const getPointsBalance = async (req, res, next) => {
       success: true,
       message: 'Points balance retrieved successfully',
       data: {
-        balance: balance.balance,
+        balance: balance.available,
         totalEarned: balance.totalEarned,
         totalSpent: balance.totalSpent,
         recentEarnings: recentEarnings.map(t => ({
@@ -9,6 +9,7 @@ import '#docs/swagger/user-routes-docs.js';
 import { HttpError } from '#exceptions/index.js';
 import { HTTP_STATUS_CODES } from '#constants/http/index.js';
 import userService from '#services/user.service.js';
+import sessionService from '#services/session.service.js';
 import { Student } from '#models/users/index.js';
 
 /**
@@ -295,103 +296,77 @@ export const updateAcademicInfo = async (req, res, next) => {
   }
 };
 
+// ==========================================
+// SESSION & DEVICE CONTROLLERS
+// ==========================================
+
 /**
- * Manage focus timer sessions
- * @route POST /api/users/me/focus-timer
+ * List devices signed in to the account
+ * @route GET /api/users/me/sessions
  * @access Private
  */
-export const manageFocusTimer = async (req, res, next) => {
+export const getUserSessions = async (req, res, next) => {
   try {
-    const userId = req.user.userId;
-    const timerData = req.body;
-    
-    const { action } = timerData;
-    
-    if (!action || !['start', 'complete', 'cancel'].includes(action)) {
-      throw HttpError.badRequest('Valid action is required (start, complete, cancel)', {
-        code: 'INVALID_TIMER_ACTION',
-        context: { validActions: ['start', 'complete', 'cancel'] }
-      });
-    }
+    const result = await sessionService.listUserSessions(req.user.userId, req.user.sid);
 
-    const result = await userService.manageFocusTimer(userId, timerData);
-    
     res.status(HTTP_STATUS_CODES.OK).json({
       success: true,
-      message: `Focus timer ${action} successful`,
-      data: result.timer
+      message: 'Sessions retrieved successfully',
+      data: result
     });
 
   } catch (error) {
-    console.error('❌ Manage focus timer controller error:', error);
+    console.error('❌ Get user sessions controller error:', error);
     next(error);
   }
 };
 
-// ==========================================
-// NEW POINTS MANAGEMENT CONTROLLERS
-// ==========================================
-
 /**
- * Add points to current user
- * @route POST /api/users/me/points/add
+ * Sign out one device
+ * @route DELETE /api/users/me/sessions/:sessionId
  * @access Private
  */
-export const addUserPoints = async (req, res, next) => {
+export const revokeUserSession = async (req, res, next) => {
   try {
-    const userId = req.user.userId;
-    const { amount, reason = 'Points added' } = req.body;
-    
-    if (!amount || amount <= 0) {
-      throw HttpError.badRequest('Valid amount is required', {
-        code: 'INVALID_AMOUNT'
-      });
-    }
+    const result = await sessionService.revokeUserSession(req.user.userId, req.params.sessionId, req.user.sid);
 
-    const result = await userService.addUserPoints(userId, amount, reason);
-    
     res.status(HTTP_STATUS_CODES.OK).json({
       success: true,
-      message: 'Points added successfully',
-      data: result.data
+      message: result.isCurrent ? 'Signed out of this device' : 'Device signed out',
+      data: result
     });
 
   } catch (error) {
-    console.error('❌ Add user points controller error:', error);
+    console.error('❌ Revoke user session controller error:', error);
     next(error);
   }
 };
 
 /**
- * Deduct points from current user
- * @route POST /api/users/me/points/deduct
+ * Sign out every device except the current one
+ * @route DELETE /api/users/me/sessions
  * @access Private
  */
-export const deductUserPoints = async (req, res, next) => {
+export const revokeOtherUserSessions = async (req, res, next) => {
   try {
-    const userId = req.user.userId;
-    const { amount, reason = 'Points deducted' } = req.body;
-    
-    if (!amount || amount <= 0) {
-      throw HttpError.badRequest('Valid amount is required', {
-        code: 'INVALID_AMOUNT'
-      });
-    }
+    const result = await sessionService.revokeOtherSessions(req.user.userId, req.user.sid);
 
-    const result = await userService.deductUserPoints(userId, amount, reason);
-    
     res.status(HTTP_STATUS_CODES.OK).json({
       success: true,
-      message: 'Points deducted successfully',
-      data: result.data
+      message: `Signed out of ${result.revokedSessions} other device(s)`,
+      data: result
     });
 
   } catch (error) {
-    console.error('❌ Deduct user points controller error:', error);
+    console.error('❌ Revoke other sessions controller error:', error);
     next(error);
   }
 };
 
+// ==========================================
+// NEW POINTS MANAGEMENT CONTROLLERS
+// ==========================================
+
 /**
  * Transfer points to another user
  * @route POST /api/users/me/points/transfer
@@ -421,7 +396,9 @@ export const transferUserPoints = async (req, res, next) => {
       throw HttpError.badRequest('Target user ID or email is required');
     }
 
-    const result = await userService.transferUserPoints(fromUserId, targetUserId, amount, reason);
+    const result = await userService.transferUserPoints(fromUserId, targetUserId, amount, reason, {
+      idempotencyKey: req.get('Idempotency-Key')
+    });
     
     res.status(HTTP_STATUS_CODES.OK).json({
       success: true,
@@ -435,34 +412,6 @@ export const transferUserPoints = async (req, res, next) => {
   }
 };
 
-/**
- * Batch points operations
- * @route POST /api/users/me/points/batch
- * @access Private
- */
-export const batchUserPointsOperations = async (req, res, next) => {
-  try {
-    const userId = req.user.userId;
-    const { operations } = req.body;
-    
-    if (!Array.isArray(operations) || operations.length === 0) {
-      throw HttpError.badRequest('Operations array is required');
-    }
-
-    const result = await userService.batchUserPointsOperations(userId, operations);
-    
-    res.status(HTTP_STATUS_CODES.OK).json({
-      success: true,
-      message: 'Batch operations completed successfully',
-      data: result.data
-    });
-
-  } catch (error) {
-    console.error('❌ Batch points operations controller error:', error);
-    next(error);
-  }
-};
-
 /**
  * Get detailed points summary
  * @route GET /api/users/me/points/summary
@@ -490,70 +439,6 @@ export const getDetailedPointsSummary = async (req, res, next) => {
 // ADMIN CONTROLLERS (if you have admin routes)
 // ==============================================
 
-/**
- * Admin: Add points to any user
- * @route POST /api/admin/users/:userId/points/add
- * @access Admin
- */
-export const adminAddUserPoints = async (req, res, next) => {
-  try {
-    const { userId } = req.params;
-    const { amount, reason = 'Admin points addition' } = req.body;
-    
-    if (!amount || amount <= 0) {
-      throw HttpError.badRequest('Valid amount is required');
-    }
-
-    const result = await userService.addUserPoints(userId, amount, reason);
-    
-    res.status(HTTP_STATUS_CODES.OK).json({
-      success: true,
-      message: 'Points added successfully by admin',
-      data: {
-        ...result.data,
-        adminId: req.user.userId,
-        adminAction: true
-      }
-    });
-
-  } catch (error) {
-    console.error('❌ Admin add points controller error:', error);
-    next(error);
-  }
-};
-
-/**
- * Admin: Deduct points from any user
- * @route POST /api/admin/users/:userId/points/deduct
- * @access Admin
- */
-export const adminDeductUserPoints = async (req, res, next) => {
-  try {
-    const { userId } = req.params;
-    const { amount, reason = 'Admin points deduction' } = req.body;
-    
-    if (!amount || amount <= 0) {
-      throw HttpError.badRequest('Valid amount is required');
-    }
-
-    const result = await userService.deductUserPoints(userId, amount, reason);
-    
-    res.status(HTTP_STATUS_CODES.OK).json({
-      success: true,
-      message: 'Points deducted successfully by admin',
-      data: {
-        ...result.data,
-        adminId: req.user.userId,
-        adminAction: true
-      }
-    });
-
-  } catch (error) {
-    console.error('❌ Admin deduct points controller error:', error);
-    next(error);
-  }
-};
-
 /**
  * Admin: Get points summary for any user
  * @route GET /api/admin/users/:userId/points/summary
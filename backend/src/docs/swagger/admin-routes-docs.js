@@ -350,6 +350,83 @@
  *         reason:
  *           type: string
  *           example: Violation of terms of service
+ * 
+ *     LoginSecuritySummary:
+ *       type: object
+ *       properties:
+ *         isLocked:
+ *           type: boolean
+ *           example: true
+ *         lockedUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         failedAttempts:
+ *           type: integer
+ *           description: Failed sign-ins since the last successful one
+ *           example: 5
+ *         lockCount:
+ *           type: integer
+ *           description: Lockouts in a row; each one lasts longer
+ *           example: 1
+ *         lastFailedLoginAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastLoginAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastLoginIP:
+ *           type: string
+ *           nullable: true
+ *           example: 203.0.113.7
+ *         recentFailures:
+ *           type: integer
+ *           description: Failures for this email in the current throttling window
+ *           example: 5
+ *         suspiciousSessions:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 example: active
+ *               riskLevel:
+ *                 type: string
+ *                 example: medium
+ *               reasons:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [location_change, device_change, concurrent_login, unusual_timing, failed_attempts, ip_reputation, impossible_travel]
+ *               device:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     example: desktop
+ *                   browser:
+ *                     type: string
+ *                     example: Chrome
+ *                   os:
+ *                     type: string
+ *                     example: Windows
+ *               location:
+ *                 type: object
+ *                 properties:
+ *                   country:
+ *                     type: string
+ *                     example: DE
+ *                   city:
+ *                     type: string
+ *                     example: Berlin
+ *               signedInAt:
+ *                 type: string
+ *                 format: date-time
  */
 
 /**
@@ -675,6 +752,57 @@
  *                   properties:
  *                     user:
  *                       $ref: '#/components/schemas/StudentUser'
+ *                     loginSecurity:
+ *                       $ref: '#/components/schemas/LoginSecuritySummary'
+ *       403:
+ *         description: Admin access required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /admin/users/{userId}/unlock:
+ *   post:
+ *     summary: Unlock user account
+ *     description: Lift a sign-in lockout and reset the failure counters (Admin with users:update permission)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User account unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: User account unlocked
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     loginSecurity:
+ *                       $ref: '#/components/schemas/LoginSecuritySummary'
  *       403:
  *         description: Admin access required
  *         content:
@@ -894,4 +1022,384 @@
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- */
\ No newline at end of file
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TwoFactorPolicy:
+ *       type: object
+ *       properties:
+ *         requiredRoles:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [super_admin, admin, moderator]
+ *         availableRoles:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [super_admin, admin, moderator]
+ *         adminsWithoutTwoFactor:
+ *           type: number
+ *           description: Active admins in the required roles who will be asked to set up two-factor at their next sign-in
+ *           example: 2
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /admin/security/two-factor:
+ *   get:
+ *     summary: Get two-factor policy
+ *     description: Admin roles that must use two-factor login (requires system:manage permission)
+ *     tags: [Admin Security]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     policy:
+ *                       $ref: '#/components/schemas/TwoFactorPolicy'
+ *       403:
+ *         description: "Permission required: system:manage"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   put:
+ *     summary: Update two-factor policy
+ *     description: Set the admin roles that must use two-factor login. Covered admins without two-factor set it up at their next sign-in.
+ *     tags: [Admin Security]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [requiredRoles]
+ *             properties:
+ *               requiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [super_admin, admin, moderator]
+ *                 example: [super_admin, admin, moderator]
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Two-factor policy updated successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     policy:
+ *                       $ref: '#/components/schemas/TwoFactorPolicy'
+ *       400:
+ *         description: Unknown role (INVALID_POLICY)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: "Permission required: system:manage"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PointsBalanceSnapshot:
+ *       type: object
+ *       properties:
+ *         totalPoints:
+ *           type: number
+ *           example: 120
+ *         pointsUsed:
+ *           type: number
+ *           example: 30
+ *         available:
+ *           type: number
+ *           example: 90
+ *
+ *     PointsReconciliation:
+ *       type: object
+ *       properties:
+ *         summary:
+ *           type: object
+ *           properties:
+ *             checkedUsers:
+ *               type: number
+ *               example: 412
+ *             mismatchedUsers:
+ *               type: number
+ *               example: 1
+ *             usersWithoutLedgerEntries:
+ *               type: number
+ *               description: Students with points from before the ledger; record opening balances for them
+ *               example: 0
+ *             unbalancedEntries:
+ *               type: number
+ *               description: Journal entries whose postings do not sum to zero (should always be 0)
+ *               example: 0
+ *             totalDrift:
+ *               type: number
+ *               description: Sum of absolute counter differences over all mismatched users
+ *               example: 15
+ *         mismatches:
+ *           type: array
+ *           description: Largest drift first
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 nullable: true
+ *               reason:
+ *                 type: string
+ *                 enum: [counter_drift, no_ledger_entries, missing_user]
+ *               cached:
+ *                 nullable: true
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/PointsBalanceSnapshot'
+ *               ledger:
+ *                 $ref: '#/components/schemas/PointsBalanceSnapshot'
+ *               drift:
+ *                 type: object
+ *                 description: Cached counter minus ledger total
+ *                 properties:
+ *                   totalPoints:
+ *                     type: number
+ *                     example: 15
+ *                   pointsUsed:
+ *                     type: number
+ *                     example: 0
+ *         checkedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/points/reconciliation:
+ *   get:
+ *     summary: Points reconciliation report
+ *     description: |
+ *       Compares every student's cached points counters (totalPoints, pointsUsed) with
+ *       the totals of their points ledger entries and lists the students that differ
+ *       (requires system:manage permission).
+ *     tags: [Admin Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Check one student only
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *         description: Most mismatches listed
+ *     responses:
+ *       200:
+ *         description: Reconciliation report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PointsReconciliation'
+ *       400:
+ *         description: Invalid user ID (INVALID_USER_ID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: "Permission required: system:manage"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /admin/points/opening-balances:
+ *   post:
+ *     summary: Record opening points balances
+ *     description: |
+ *       Writes one opening-balance ledger entry for each student who has points but no
+ *       ledger entries yet, so balances from before the ledger reconcile. Safe to run
+ *       again; students already recorded are skipped (requires system:manage permission).
+ *     tags: [Admin Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Opening balances recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Opening balances recorded for 12 users
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recorded:
+ *                       type: number
+ *                       example: 12
+ *                     skipped:
+ *                       type: number
+ *                       example: 0
+ *       403:
+ *         description: "Permission required: system:manage"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /admin/users/{userId}/points/adjustments:
+ *   post:
+ *     summary: Adjust a student's points
+ *     description: |
+ *       Adds (positive amount) or removes (negative amount) points by hand. The change is
+ *       posted to the points ledger and recorded as an admin_adjustment transaction with the
+ *       reason and the acting admin. Removals cannot exceed the available balance. Send an
+ *       Idempotency-Key header to make retries safe (requires users:update permission).
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Student ID
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Repeating a request with the same key applies it once
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, reason]
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 description: Non-zero whole number of points
+ *                 example: -25
+ *               reason:
+ *                 type: string
+ *                 maxLength: 480
+ *                 example: Points earned through a reported exploit
+ *     responses:
+ *       201:
+ *         description: Points adjusted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Points adjusted
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transaction:
+ *                       type: object
+ *                       description: The admin_adjustment transaction; processedBy holds the admin ID
+ *                     pointsChange:
+ *                       type: integer
+ *                       example: -25
+ *                     balance:
+ *                       $ref: '#/components/schemas/PointsBalanceSnapshot'
+ *                     duplicate:
+ *                       type: boolean
+ *                       example: false
+ *       200:
+ *         description: Same Idempotency-Key as an earlier adjustment; nothing changed
+ *       400:
+ *         description: Invalid amount (INVALID_POINTS_AMOUNT), missing reason (INVALID_ADJUSTMENT_REASON) or insufficient points (INSUFFICIENT_POINTS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: "Permission required: users:update"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Student not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Idempotency-Key already used for a different adjustment (IDEMPOTENCY_KEY_REUSED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
@@ -118,7 +118,7 @@
  *           example: oldpassword123
  *         newPassword:
  *           type: string
- *           minLength: 6
+ *           minLength: 8
  *           example: newpassword123
  * 
  *     ForgotPasswordRequest:
@@ -138,7 +138,7 @@
  *       properties:
  *         newPassword:
  *           type: string
- *           minLength: 6
+ *           minLength: 8
  *           example: newpassword123
  */
 
@@ -222,7 +222,11 @@
  * /auth/login:
  *   post:
  *     summary: User login
- *     description: Authenticate user and get access and refresh tokens
+ *     description: >
+ *       Authenticate user and get access and refresh tokens. When two-factor
+ *       authentication is enabled, or required for the user's admin role, the
+ *       response holds a challenge token instead (`twoFactorRequired: true`) and
+ *       the login is finished at /auth/login/2fa.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -245,7 +249,9 @@
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallengeResponse'
  *       400:
  *         description: Missing credentials
  *         content:
@@ -265,6 +271,22 @@
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: >
+ *           Account locked after too many failed attempts (ACCOUNT_LOCKED,
+ *           error.context.lockedUntil). An unlock link is emailed when the lock starts.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: >
+ *           Too many failed attempts from this IP address or for this email
+ *           (LOGIN_THROTTLED). error.context.retryAfter is the number of seconds to wait.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 
 /**
@@ -364,7 +386,7 @@
  * /auth/change-password:
  *   put:
  *     summary: Change password
- *     description: Change user password (requires current password)
+ *     description: Change user password (requires current password). Signs out every other session; the session whose refresh token is sent (cookie or body) stays signed in.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -391,6 +413,12 @@
  *                 message:
  *                   type: string
  *                   example: Password changed successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions:
+ *                       type: integer
+ *                       example: 2
  *       400:
  *         description: Invalid current password or validation error
  *         content:
@@ -403,16 +431,6 @@
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       501:
- *         description: Not implemented yet
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: Password change endpoint not yet implemented
  */
 
 /**
@@ -420,7 +438,7 @@
  * /auth/forgot-password:
  *   post:
  *     summary: Request password reset
- *     description: Send password reset email to user
+ *     description: Send a single-use password reset link. The response is the same whether or not the email belongs to an account.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -432,7 +450,7 @@
  *             email: student@example.com
  *     responses:
  *       200:
- *         description: Password reset email sent
+ *         description: Request accepted
  *         content:
  *           application/json:
  *             schema:
@@ -443,29 +461,13 @@
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Password reset email sent successfully
+ *                   example: If an account exists for this email, a password reset link has been sent
  *       400:
- *         description: Invalid email
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *       404:
- *         description: Email not found
+ *         description: Email missing
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       501:
- *         description: Not implemented yet
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: Password reset request endpoint not yet implemented
  */
 
 /**
@@ -473,7 +475,7 @@
  * /auth/reset-password/{token}:
  *   post:
  *     summary: Reset password
- *     description: Reset user password using reset token
+ *     description: Reset user password using a single-use reset token. Signs the user out of every session.
  *     tags: [Authentication]
  *     parameters:
  *       - in: path
@@ -503,23 +505,61 @@
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Password reset successful
+ *                   example: Password reset successful. Please sign in with your new password
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions:
+ *                       type: integer
+ *                       example: 3
  *       400:
- *         description: Invalid or expired token
+ *         description: Invalid, used or expired token, or password does not meet the rules (INVALID_TOKEN, INVALID_PASSWORD)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       501:
- *         description: Not implemented yet
+ */
+
+/**
+ * @swagger
+ * /auth/unlock/{token}:
+ *   post:
+ *     summary: Unlock account
+ *     description: Lift a sign-in lockout with the single-use link emailed when the account was locked
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unlock token from email
+ *     responses:
+ *       200:
+ *         description: Account unlocked
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
  *                 message:
  *                   type: string
- *                   example: Password reset endpoint not yet implemented
+ *                   example: Account unlocked. You can sign in again
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unlocked:
+ *                       type: boolean
+ *                       example: true
+ *       400:
+ *         description: Invalid, used or expired token (INVALID_UNLOCK_TOKEN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 
 /**
@@ -550,20 +590,585 @@
  *                 message:
  *                   type: string
  *                   example: Email verified successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                       example: student@example.com
+ *                     verifiedAt:
+ *                       type: string
+ *                       format: date-time
  *       400:
  *         description: Invalid or expired verification token
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       501:
- *         description: Not implemented yet
+ */
+
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Resend verification email
+ *     description: Send a new email verification link to the signed-in user. Earlier unused links stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
  *                 message:
  *                   type: string
- *                   example: Email verification endpoint not yet implemented
- */
\ No newline at end of file
+ *                   example: Verification email sent
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                       example: student@example.com
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Email is already verified (EMAIL_ALREADY_VERIFIED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: A verification email was sent less than a minute ago (EMAIL_RESEND_COOLDOWN)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TwoFactorChallengeResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         message:
+ *           type: string
+ *           example: Two-factor code required
+ *         data:
+ *           type: object
+ *           properties:
+ *             twoFactorRequired:
+ *               type: boolean
+ *               example: true
+ *             setupRequired:
+ *               type: boolean
+ *               description: The admin policy requires two-factor and the user has not set it up yet
+ *               example: false
+ *             challengeToken:
+ *               type: string
+ *               description: Short-lived token for /auth/login/2fa
+ *             expiresIn:
+ *               type: number
+ *               example: 300
+ *     TwoFactorSetup:
+ *       type: object
+ *       properties:
+ *         secret:
+ *           type: string
+ *           description: Base32 secret for manual entry
+ *           example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *         otpauthUrl:
+ *           type: string
+ *           example: otpauth://totp/Studion%3Astudent%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&algorithm=SHA1&digits=6&period=30&issuer=Studion
+ *         qrCode:
+ *           type: string
+ *           description: PNG data URL of the otpauth URL
+ *           example: data:image/png;base64,iVBORw0KGgo...
+ *     RecoveryCodes:
+ *       type: array
+ *       description: Single-use codes, shown only once
+ *       items:
+ *         type: string
+ *         example: 3f9a1-0c7d2
+ */
+
+/**
+ * @swagger
+ * /auth/login/2fa:
+ *   post:
+ *     summary: Finish login with two-factor
+ *     description: >
+ *       Check an authenticator code or a recovery code and create the session.
+ *       When the login challenge had `setupRequired`, the code confirms the
+ *       secret from /auth/login/2fa/setup and the response includes recovery codes.
+ *       Wrong codes count as failed login attempts.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 3f9a1-0c7d2
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Code missing, or setup not started (TWO_FACTOR_SETUP_MISSING)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid code (INVALID_TWO_FACTOR_CODE) or expired challenge (INVALID_TWO_FACTOR_CHALLENGE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Account is temporarily locked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /auth/login/2fa/setup:
+ *   post:
+ *     summary: Set up required two-factor during login
+ *     description: For challenges with `setupRequired`; returns a secret and QR code to scan before calling /auth/login/2fa.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/TwoFactorSetup'
+ *       400:
+ *         description: Two-factor is already enabled (TWO_FACTOR_ALREADY_ENABLED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Expired or invalid challenge (INVALID_TWO_FACTOR_CHALLENGE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /auth/2fa:
+ *   get:
+ *     summary: Get two-factor status
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     enabledAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     required:
+ *                       type: boolean
+ *                       description: Required by the admin policy for the user's role
+ *                     recoveryCodesRemaining:
+ *                       type: number
+ *                       example: 10
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor setup
+ *     description: Create a new secret and QR code. Two-factor stays off until /auth/2fa/enable confirms a code.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/TwoFactorSetup'
+ *       400:
+ *         description: Two-factor is already enabled (TWO_FACTOR_ALREADY_ENABLED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     summary: Enable two-factor
+ *     description: Confirm the setup with a code from the authenticator app. Returns the recovery codes once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                       example: true
+ *                     enabledAt:
+ *                       type: string
+ *                       format: date-time
+ *                     recoveryCodes:
+ *                       $ref: '#/components/schemas/RecoveryCodes'
+ *       400:
+ *         description: Invalid code (INVALID_TWO_FACTOR_CODE) or setup not started (TWO_FACTOR_SETUP_MISSING)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor
+ *     description: Needs the password and a current code or recovery code. Not allowed when the admin policy requires two-factor.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor disabled
+ *       400:
+ *         description: Wrong password (INVALID_CURRENT_PASSWORD) or code (INVALID_TWO_FACTOR_CODE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Required for the user's role (TWO_FACTOR_REQUIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replace all recovery codes; the old ones stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       $ref: '#/components/schemas/RecoveryCodes'
+ *       400:
+ *         description: Invalid code (INVALID_TWO_FACTOR_CODE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OidcProvider:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: google
+ *         name:
+ *           type: string
+ *           example: Google
+ */
+
+/**
+ * @swagger
+ * /auth/oidc/providers:
+ *   get:
+ *     summary: List single sign-on providers
+ *     description: Google, Microsoft and institution identity providers enabled on this server.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Configured providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     providers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/OidcProvider'
+ */
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}/authorize:
+ *   get:
+ *     summary: Start single sign-on
+ *     description: >
+ *       Returns the provider URL to send the browser to. The provider redirects
+ *       back to the web app with `code` and `state`, which are then posted to
+ *       /auth/oidc/callback together with `browserKey`. The browser keeps that
+ *       key to itself, so a callback link opened in another browser is refused.
+ *       Pending sign-ins expire after 10 minutes.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: google
+ *     responses:
+ *       200:
+ *         description: Authorization URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     provider:
+ *                       type: string
+ *                       example: google
+ *                     authorizationUrl:
+ *                       type: string
+ *                       example: https://accounts.google.com/o/oauth2/v2/auth?response_type=code&client_id=...
+ *                     browserKey:
+ *                       type: string
+ *                       description: Secret to keep in this browser and send back with the callback
+ *       404:
+ *         description: Unknown provider (OIDC_PROVIDER_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Provider metadata could not be loaded (OIDC_PROVIDER_UNAVAILABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /auth/oidc/callback:
+ *   post:
+ *     summary: Finish single sign-on
+ *     description: >
+ *       Exchange the authorization code, verify the ID token and sign in. The
+ *       provider account is linked to the student with the same verified email,
+ *       or a new student is created with the institution taken from the
+ *       provider's claims. Two-factor applies as for password logins.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, state, browserKey]
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               browserKey:
+ *                 type: string
+ *                 description: Key returned when this browser started the sign-in
+ *     responses:
+ *       200:
+ *         description: Login successful, or a two-factor challenge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallengeResponse'
+ *       400:
+ *         description: Missing parameters, expired state (INVALID_OIDC_STATE), a sign-in started in another browser (OIDC_BROWSER_MISMATCH) or no email from the provider (OIDC_EMAIL_MISSING)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Code exchange or ID token check failed (OIDC_LOGIN_FAILED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Not a student account (OIDC_ACCOUNT_NOT_ALLOWED), or account inactive or locked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: An account uses this email but the provider did not verify it (OIDC_ACCOUNT_EXISTS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
@@ -157,14 +157,17 @@ const swaggerDefinition = {
     { name: 'User Profile', description: 'User profile management and updates' },
     { name: 'User Analytics', description: 'User statistics and performance data' },
     { name: 'Points System', description: 'User points balance and transactions' },
-    { name: 'Focus Timer', description: 'Study focus timer sessions' },
+    { name: 'Focus Sessions', description: 'Server-timed study focus sessions' },
     { name: 'Document Management', description: 'Document upload and management' },
     { name: 'AI Processing', description: 'AI-powered document processing' },
+    { name: 'Document Chat', description: 'Questions about a document answered with page citations' },
     { name: 'Document Analytics', description: 'Document usage analytics' },
+    { name: 'Library Search', description: 'Search documents and quizzes by meaning' },
     { name: 'AI Service', description: 'AI service status and health' },
     { name: 'Quiz Generation', description: 'AI-powered quiz generation and selection' },
     { name: 'Quiz Management', description: 'Quiz browsing and management' },
     { name: 'Quiz Attempts', description: 'Taking and submitting quizzes' },
+    { name: 'Flashcards', description: 'Spaced-repetition flashcards generated from documents' },
     { name: 'Quiz Analytics', description: 'Quiz performance analytics' },
     { name: 'Transaction History', description: 'User transaction history and details' },
     { name: 'Transaction Analytics', description: 'Transaction statistics and insights' },
@@ -174,7 +177,9 @@ const swaggerDefinition = {
     { name: 'Admin Analytics', description: 'System analytics and reporting' },
     { name: 'Courses - Admin', description: 'Course management (Admin only)' },
     { name: 'Courses - Public', description: 'Public course browsing' },
-    { name: 'Courses - Student', description: 'Student course interactions' }
+    { name: 'Courses - Student', description: 'Student course interactions' },
+    { name: 'Subscriptions', description: 'Plans, usage quotas and plan changes' },
+    { name: 'Payments', description: 'Payment gateway webhooks' }
   ]
 };
 
@@ -411,7 +411,7 @@
  * /courses/{id}/purchase:
  *   post:
  *     summary: Purchase course
- *     description: Purchase a course with points (MVP)
+ *     description: Purchase a course. Points are applied first; when they cover the whole price the course is purchased right away, otherwise a payment checkout is started for the rest and the points stay held until it is paid, declined or expired.
  *     tags: [Courses - Student]
  *     security:
  *       - bearerAuth: []
@@ -454,8 +454,51 @@
  *                       properties:
  *                         transactionId:
  *                           type: string
- *                           example: "tx_1234567890"
+ *                           nullable: true
+ *                           example: null
  *                         status:
  *                           type: string
  *                           example: "completed"
+ *       202:
+ *         description: Checkout started for the amount not covered by points; send the user to checkoutUrl
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Complete the payment to finish your purchase
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     purchase:
+ *                       type: object
+ *                       properties:
+ *                         courseId:
+ *                           type: string
+ *                         courseTitle:
+ *                           type: string
+ *                         status:
+ *                           type: string
+ *                           example: pending
+ *                         transactionId:
+ *                           type: string
+ *                         referenceId:
+ *                           type: string
+ *                         checkoutUrl:
+ *                           type: string
+ *                           format: uri
+ *                         expiresAt:
+ *                           type: string
+ *                           format: date-time
+ *       500:
+ *         description: The payment provider could not start a checkout (PAYMENT_PROVIDER_UNAVAILABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
\ No newline at end of file
@@ -0,0 +1,255 @@
+/**
+ * Document Chat Routes Swagger Documentation
+ * @description OpenAPI documentation for questions about a document and their conversations
+ * @location src/docs/swagger/document-chat-routes-docs.js
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChatCitation:
+ *       type: object
+ *       properties:
+ *         sourceNumber:
+ *           type: integer
+ *           description: The [n] marker used in the answer
+ *           example: 2
+ *         chunkIndex:
+ *           type: integer
+ *           example: 14
+ *         pageStart:
+ *           type: integer
+ *           nullable: true
+ *           example: 7
+ *         pageEnd:
+ *           type: integer
+ *           nullable: true
+ *           example: 8
+ *         section:
+ *           type: string
+ *           nullable: true
+ *           example: "2.1 The Calvin Cycle"
+ *         excerpt:
+ *           type: string
+ *           example: "The Calvin cycle fixes carbon dioxide into sugars in the stroma..."
+ *         score:
+ *           type: number
+ *           example: 0.82
+ *     ChatMessage:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [user, assistant]
+ *         content:
+ *           type: string
+ *           example: "The Calvin cycle takes place in the stroma of the chloroplast [2]."
+ *         citations:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ChatCitation'
+ *         retrieval:
+ *           type: string
+ *           enum: [embedding, keyword]
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ChatConversationSummary:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 650a1b2c3d4e5f6789012360
+ *         documentId:
+ *           type: string
+ *           example: 650a1b2c3d4e5f6789012346
+ *         title:
+ *           type: string
+ *           example: Where does the Calvin cycle take place?
+ *         messageCount:
+ *           type: integer
+ *           example: 4
+ *         lastMessageAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /documents/{id}/chat:
+ *   post:
+ *     summary: Ask a question about a document
+ *     description: |
+ *       Answers from the document's passages closest to the question, citing them as [n].
+ *       Without a conversationId a new conversation is started; with one, its recent
+ *       messages are sent along so follow-up questions work.
+ *     tags: [Document Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [message]
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 example: Where does the Calvin cycle take place?
+ *               conversationId:
+ *                 type: string
+ *                 description: Conversation to continue
+ *     responses:
+ *       200:
+ *         description: Question answered in an existing conversation
+ *       201:
+ *         description: Question answered in a new conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     conversation:
+ *                       $ref: '#/components/schemas/ChatConversationSummary'
+ *                     userMessage:
+ *                       $ref: '#/components/schemas/ChatMessage'
+ *                     assistantMessage:
+ *                       $ref: '#/components/schemas/ChatMessage'
+ *                 retrieval:
+ *                   type: string
+ *                   enum: [embedding, keyword]
+ *       400:
+ *         description: Empty or overlong message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       402:
+ *         description: Plan does not include document analysis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Document or conversation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Document not processed yet, or conversation full
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /documents/{id}/chat/conversations:
+ *   get:
+ *     summary: List conversations about a document
+ *     tags: [Document Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Conversations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ChatConversationSummary'
+ *       404:
+ *         description: Document not found
+ */
+
+/**
+ * @swagger
+ * /documents/{id}/chat/conversations/{conversationId}:
+ *   get:
+ *     summary: Reopen a conversation
+ *     tags: [Document Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation with its messages
+ *       404:
+ *         description: Conversation not found
+ *   delete:
+ *     summary: Delete a conversation
+ *     tags: [Document Chat]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: conversationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conversation deleted successfully
+ *       404:
+ *         description: Conversation not found
+ */
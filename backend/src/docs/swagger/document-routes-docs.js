@@ -35,6 +35,11 @@
  *             checksum:
  *               type: string
  *               example: a1b2c3d4e5f6789012345
+ *             sourceUrl:
+ *               type: string
+ *               nullable: true
+ *               description: Page the document was imported from
+ *               example: https://en.wikipedia.org/wiki/Photosynthesis
  *             metadata:
  *               type: object
  *               properties:
@@ -44,6 +49,45 @@
  *                 wordCount:
  *                   type: number
  *                   example: 12500
+ *                 quality:
+ *                   type: object
+ *                   description: Text quality of PDFs and images; pages without a text layer are read with OCR
+ *                   properties:
+ *                     rating:
+ *                       type: string
+ *                       enum: [poor, fair, good, excellent]
+ *                       example: good
+ *                     ocrUsed:
+ *                       type: boolean
+ *                       example: true
+ *                     averageConfidence:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Mean OCR word confidence (0-100) over OCR'd pages
+ *                       example: 84.5
+ *                     lowQualityPages:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *                       example: [7]
+ *                     pages:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           pageNumber:
+ *                             type: integer
+ *                             example: 7
+ *                           source:
+ *                             type: string
+ *                             enum: [text_layer, ocr, none]
+ *                           confidence:
+ *                             type: number
+ *                             nullable: true
+ *                             example: 52.3
+ *                           lowQuality:
+ *                             type: boolean
+ *                             example: true
  *         content:
  *           type: object
  *           properties:
@@ -60,6 +104,10 @@
  *               items:
  *                 type: string
  *               example: ["machine learning", "artificial intelligence", "algorithms"]
+ *             outline:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DocumentOutlineEntry'
  *         classification:
  *           type: object
  *           properties:
@@ -139,6 +187,25 @@
  *           type: string
  *           format: date-time
  * 
+ *     DocumentOutlineEntry:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           example: Gradient Descent
+ *         level:
+ *           type: integer
+ *           minimum: 1
+ *           example: 2
+ *         pageNumber:
+ *           type: integer
+ *           nullable: true
+ *           example: 12
+ *         sectionNumber:
+ *           type: string
+ *           nullable: true
+ *           example: "3.2"
+ * 
  *     DocumentUploadRequest:
  *       type: object
  *       required:
@@ -147,7 +214,7 @@
  *         file:
  *           type: string
  *           format: binary
- *           description: PDF or TXT file to upload
+ *           description: PDF, DOCX, PPTX, EPUB, TXT, Markdown, HTML, PNG or JPEG file to upload; scanned pages and photos are read with OCR, slides keep their speaker notes
  *         title:
  *           type: string
  *           example: Machine Learning Fundamentals
@@ -213,6 +280,16 @@
  *           items:
  *             type: string
  *           example: ["machine learning", "data science", "algorithms"]
+ *         strategy:
+ *           type: string
+ *           enum: [single_pass, map_reduce]
+ *           description: map_reduce when the document was summarized section by section and chapter by chapter
+ *           example: map_reduce
+ *         chapters:
+ *           type: array
+ *           description: Chapter and section summaries, empty for single-pass summaries
+ *           items:
+ *             $ref: '#/components/schemas/ChapterSummary'
  *         metadata:
  *           type: object
  *           properties:
@@ -222,6 +299,91 @@
  *             processingTime:
  *               type: number
  *               example: 1250
+ *         estimate:
+ *           $ref: '#/components/schemas/SummaryEstimate'
+ * 
+ *     ChapterSummary:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           nullable: true
+ *           example: Chapter 2. Supervised Learning
+ *         pageStart:
+ *           type: integer
+ *           nullable: true
+ *           example: 14
+ *         pageEnd:
+ *           type: integer
+ *           nullable: true
+ *           example: 37
+ *         summary:
+ *           type: string
+ *           example: The chapter introduces regression and classification...
+ *         keyPoints:
+ *           type: array
+ *           items:
+ *             type: string
+ *         sections:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 nullable: true
+ *               pageStart:
+ *                 type: integer
+ *                 nullable: true
+ *               pageEnd:
+ *                 type: integer
+ *                 nullable: true
+ *               summary:
+ *                 type: string
+ * 
+ *     SummaryEstimate:
+ *       type: object
+ *       properties:
+ *         strategy:
+ *           type: string
+ *           enum: [single_pass, map_reduce]
+ *         chunkCount:
+ *           type: integer
+ *           example: 24
+ *         chapterCount:
+ *           type: integer
+ *           example: 6
+ *         requestCount:
+ *           type: integer
+ *           description: Section, chapter and document summary requests together
+ *           example: 31
+ *         inputTokens:
+ *           type: integer
+ *           example: 296000
+ *         outputTokens:
+ *           type: integer
+ *           example: 17100
+ *         cost:
+ *           type: number
+ *           description: Estimated cost in USD at the configured provider prices
+ *           example: 0.0988
+ *         currency:
+ *           type: string
+ *           example: USD
+ *         provider:
+ *           type: string
+ *           example: deepseek
+ *         model:
+ *           type: string
+ *           example: deepseek-chat
+ *         maxCost:
+ *           type: number
+ *           nullable: true
+ *           description: Configured cost limit per document, null when unlimited
+ *           example: null
+ *         withinLimit:
+ *           type: boolean
+ *           example: true
  * 
  *     CustomAnalysisRequest:
  *       type: object
@@ -239,8 +401,14 @@
  *           type: string
  *           enum: [operational, error]
  *           example: operational
+ *         provider:
+ *           type: string
+ *           enum: [deepseek, openai, gemini, local, fake]
+ *           nullable: true
+ *           example: deepseek
  *         model:
  *           type: string
+ *           nullable: true
  *           example: deepseek-chat
  *         available:
  *           type: boolean
@@ -327,7 +495,7 @@
  * /documents:
  *   post:
  *     summary: Upload document
- *     description: Upload a PDF or TXT document with optional immediate AI processing
+ *     description: Upload a document (PDF, Word, PowerPoint, EPUB, text, Markdown, HTML or image) with optional immediate AI processing
  *     tags: [Document Management]
  *     security:
  *       - bearerAuth: []
@@ -399,14 +567,18 @@
  *                 value:
  *                   success: false
  *                   error:
- *                     message: Only PDF and TXT files are allowed
- *                     code: BAD_REQUEST
+ *                     message: Invalid file type. Only PDF, DOCX, PPTX, EPUB, TXT, Markdown, HTML, PNG and JPEG files are allowed
+ *                     code: UNSUPPORTED_FILE_TYPE
+ *       402:
+ *         $ref: '#/components/responses/FeatureNotAvailable'
  *       413:
  *         description: File too large (max 50MB)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
  * 
  *   get:
  *     summary: Get user documents
@@ -502,6 +674,101 @@
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 
+/**
+ * @swagger
+ * /documents/import-url:
+ *   post:
+ *     summary: Import a web page
+ *     description: |
+ *       Fetches the page and adds its article text as a document, processed like an upload.
+ *       Only public http and https addresses are fetched: addresses on private, loopback or
+ *       link-local networks are refused, including when reached through a redirect. Pages
+ *       must be HTML, Markdown or plain text and at most 5MB.
+ *     tags: [Document Management]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 maxLength: 2048
+ *                 example: https://en.wikipedia.org/wiki/Photosynthesis
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the page title
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               difficulty:
+ *                 type: string
+ *               tags:
+ *                 type: string
+ *                 example: biology,plants
+ *               processImmediately:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       201:
+ *         description: Page imported successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Document imported successfully
+ *                 document:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: 650a1b2c3d4e5f6789012345
+ *                     title:
+ *                       type: string
+ *                       example: Photosynthesis - Wikipedia
+ *                     originalName:
+ *                       type: string
+ *                       example: Photosynthesis - Wikipedia.html
+ *                     sourceUrl:
+ *                       type: string
+ *                       example: https://en.wikipedia.org/wiki/Photosynthesis
+ *                     status:
+ *                       type: string
+ *                       example: pending
+ *                     processing:
+ *                       type: string
+ *                       enum: [queued, pending]
+ *                 pointsEarned:
+ *                   type: integer
+ *       400:
+ *         description: Invalid URL, or one that points to a private network (codes INVALID_URL, URL_PROTOCOL_NOT_ALLOWED, URL_CREDENTIALS_NOT_ALLOWED, URL_ADDRESS_NOT_ALLOWED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       402:
+ *         $ref: '#/components/responses/FeatureNotAvailable'
+ *       422:
+ *         description: The page could not be fetched or has no readable text (codes URL_FETCH_FAILED, URL_TIMEOUT, URL_TOO_LARGE, URL_TOO_MANY_REDIRECTS, URL_HOST_NOT_FOUND, URL_UNSUPPORTED_CONTENT, URL_NO_CONTENT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ */
+
 /**
  * @swagger
  * /documents/{id}:
@@ -691,12 +958,220 @@
  *                     code: NOT_FOUND
  */
 
+/**
+ * @swagger
+ * /documents/{id}/summary/estimate:
+ *   get:
+ *     summary: Estimate summary cost
+ *     description: Plan how the document would be summarized and estimate the AI requests, tokens and cost, without calling the AI provider. Long documents are summarized section by section, then chapter by chapter, then as a whole.
+ *     tags: [AI Processing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: Estimate calculated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 estimate:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/SummaryEstimate'
+ *                     - type: object
+ *                       properties:
+ *                         textTokens:
+ *                           type: integer
+ *                           example: 280000
+ *                         chapters:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               title:
+ *                                 type: string
+ *                                 nullable: true
+ *                               pageStart:
+ *                                 type: integer
+ *                                 nullable: true
+ *                               pageEnd:
+ *                                 type: integer
+ *                                 nullable: true
+ *                               sectionCount:
+ *                                 type: integer
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: The document text could not be extracted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               error:
+ *                 message: "Summary cost could not be estimated: Unsupported file type"
+ *                 code: SUMMARY_ESTIMATE_FAILED
+ */
+
+/**
+ * @swagger
+ * /documents/{id}/pages/{pageNumber}:
+ *   get:
+ *     summary: Get document page
+ *     description: Retrieve the extracted text of a single page together with the outline section it belongs to
+ *     tags: [AI Processing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *       - in: path
+ *         name: pageNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: 1-based page number
+ *     responses:
+ *       200:
+ *         description: Page retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 page:
+ *                   type: object
+ *                   properties:
+ *                     documentId:
+ *                       type: string
+ *                     pageNumber:
+ *                       type: integer
+ *                       example: 12
+ *                     pageCount:
+ *                       type: integer
+ *                       example: 40
+ *                     text:
+ *                       type: string
+ *                     wordCount:
+ *                       type: integer
+ *                       example: 412
+ *                     section:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/DocumentOutlineEntry'
+ *       400:
+ *         description: Invalid page number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Document, page text or page not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /documents/{id}/events:
+ *   get:
+ *     summary: Stream document processing progress
+ *     description: |
+ *       Server-Sent Events stream of processing stage transitions
+ *       (text_extraction → summarization → quiz_generation → indexing → finalization).
+ *       The current state is sent on connect. Events are named `progress`,
+ *       `completed` or `failed`; the stream closes after `completed` or `failed`.
+ *       Comment lines are sent periodically as keep-alives.
+ *     tags: [AI Processing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: Event stream opened
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: object
+ *               description: JSON payload of each event's data line
+ *               properties:
+ *                 documentId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   example: processing
+ *                 stage:
+ *                   type: string
+ *                   example: summarization
+ *                 percent:
+ *                   type: integer
+ *                   example: 25
+ *                 attempt:
+ *                   type: integer
+ *                   example: 1
+ *                 retrying:
+ *                   type: boolean
+ *                   example: false
+ *                 nextRetryAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 error:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                     message:
+ *                       type: string
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
 /**
  * @swagger
  * /documents/{id}/process:
  *   post:
  *     summary: Process document with AI
- *     description: Manually trigger comprehensive AI processing (summarization + quiz generation) for a pending document
+ *     description: Manually trigger comprehensive AI processing (summarization + quiz generation) for a pending document. Counts against the monthly quiz quota
  *     tags: [AI Processing]
  *     security:
  *       - bearerAuth: []
@@ -740,12 +1215,16 @@
  *                 code: INVALID_DOCUMENT_STATUS
  *                 context:
  *                   currentStatus: completed
+ *       402:
+ *         $ref: '#/components/responses/FeatureNotAvailable'
  *       404:
  *         description: Document not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
  */
 
 /**
@@ -818,6 +1297,8 @@
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       402:
+ *         $ref: '#/components/responses/FeatureNotAvailable'
  *       404:
  *         description: Document not found
  *         content:
@@ -898,6 +1379,7 @@
  *                   success: true
  *                   aiService:
  *                     status: operational
+ *                     provider: deepseek
  *                     model: deepseek-chat
  *                     available: true
  *                     lastChecked: "2025-11-07T18:30:00Z"
@@ -911,7 +1393,8 @@
  *                   success: true
  *                   aiService:
  *                     status: error
- *                     model: deepseek-chat
+ *                     provider: null
+ *                     model: null
  *                     available: false
  *                     lastChecked: "2025-11-07T18:30:00Z"
  *                     error: Connection timeout to AI service
@@ -0,0 +1,359 @@
+/**
+ * Flashcard Routes Swagger Documentation
+ * @description OpenAPI documentation for flashcard generation, spaced-repetition review and deck stats
+ * @location src/docs/swagger/flashcard-routes-docs.js
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Flashcard:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 650a1b2c3d4e5f6789012345
+ *         documentId:
+ *           type: string
+ *           example: 650a1b2c3d4e5f6789012346
+ *         front:
+ *           type: string
+ *           example: "Where does the Calvin cycle take place?"
+ *         back:
+ *           type: string
+ *           example: "In the stroma of the chloroplast."
+ *         skillCategory:
+ *           type: string
+ *           example: factual_recall
+ *         topicArea:
+ *           type: string
+ *           example: photosynthesis
+ *         status:
+ *           type: string
+ *           enum: [active, suspended]
+ *           example: active
+ *         stage:
+ *           type: string
+ *           enum: [new, learning, mature]
+ *           example: learning
+ *         reviewCount:
+ *           type: integer
+ *           example: 3
+ *         schedule:
+ *           type: object
+ *           properties:
+ *             ease:
+ *               type: number
+ *               example: 2.5
+ *             interval:
+ *               type: integer
+ *               description: Days between the last review and the next one
+ *               example: 6
+ *             repetitions:
+ *               type: integer
+ *               example: 2
+ *             lapses:
+ *               type: integer
+ *               example: 0
+ *             dueAt:
+ *               type: string
+ *               format: date-time
+ *             lastReviewedAt:
+ *               type: string
+ *               format: date-time
+ *             lastGrade:
+ *               type: string
+ *               enum: [again, hard, good, easy]
+ *     FlashcardStats:
+ *       type: object
+ *       properties:
+ *         totalCards:
+ *           type: integer
+ *           example: 40
+ *         newCards:
+ *           type: integer
+ *           example: 12
+ *         learningCards:
+ *           type: integer
+ *           example: 20
+ *         matureCards:
+ *           type: integer
+ *           example: 8
+ *         suspendedCards:
+ *           type: integer
+ *           example: 0
+ *         dueToday:
+ *           type: integer
+ *           example: 15
+ *         reviewedToday:
+ *           type: integer
+ *           example: 5
+ *         totalReviews:
+ *           type: integer
+ *           example: 96
+ *         lapses:
+ *           type: integer
+ *           example: 4
+ *         averageEase:
+ *           type: number
+ *           example: 2.42
+ *         recallRate:
+ *           type: integer
+ *           description: Percentage of recent reviews not graded "again"
+ *           example: 88
+ */
+
+/**
+ * @swagger
+ * /flashcards/generate:
+ *   post:
+ *     summary: Generate flashcards from a document
+ *     description: Generate front/back cards from a processed document. Cards whose front already exists in the deck are skipped.
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [documentId]
+ *             properties:
+ *               documentId:
+ *                 type: string
+ *                 example: 650a1b2c3d4e5f6789012346
+ *               count:
+ *                 type: integer
+ *                 minimum: 5
+ *                 maximum: 50
+ *                 default: 20
+ *     responses:
+ *       201:
+ *         description: Flashcards generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Flashcard'
+ *       400:
+ *         description: Invalid count or document not processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /flashcards:
+ *   get:
+ *     summary: List flashcards
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: documentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Flashcards retrieved successfully
+ */
+
+/**
+ * @swagger
+ * /flashcards/due:
+ *   get:
+ *     summary: Get cards due today
+ *     description: Active cards due before the end of today, most overdue first
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: documentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Due flashcards retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Flashcard'
+ *                 totalDue:
+ *                   type: integer
+ *                   example: 15
+ */
+
+/**
+ * @swagger
+ * /flashcards/{id}/review:
+ *   post:
+ *     summary: Grade a flashcard
+ *     description: Record how well the card was recalled and schedule its next review (SM-2)
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [grade]
+ *             properties:
+ *               grade:
+ *                 type: string
+ *                 enum: [again, hard, good, easy]
+ *     responses:
+ *       200:
+ *         description: Flashcard reviewed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Flashcard'
+ *       400:
+ *         description: Invalid grade or suspended card
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Flashcard not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /flashcards/sessions/complete:
+ *   post:
+ *     summary: Complete a review session
+ *     description: Award points for the cards reviewed since the session started. Cards already counted by an earlier session are not counted again.
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [startedAt]
+ *             properties:
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *               documentId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review session completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     cardsReviewed:
+ *                       type: integer
+ *                       example: 20
+ *                     pointsEarned:
+ *                       type: integer
+ *                       example: 25
+ *       400:
+ *         description: Invalid session start
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /flashcards/stats:
+ *   get:
+ *     summary: Get deck statistics
+ *     tags: [Flashcards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: documentId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Flashcard statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/FlashcardStats'
+ */
@@ -0,0 +1,418 @@
+/**
+ * Focus Session Routes Swagger Documentation
+ * @description OpenAPI documentation for server-timed focus sessions, their history and stats
+ * @location src/docs/swagger/focus-session-routes-docs.js
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FocusSession:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 650a1b2c3d4e5f6789012350
+ *         documentId:
+ *           type: string
+ *           nullable: true
+ *           example: 650a1b2c3d4e5f6789012346
+ *         status:
+ *           type: string
+ *           enum: [active, paused, completed, cancelled, abandoned]
+ *         plannedMinutes:
+ *           type: integer
+ *           example: 25
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         lastHeartbeatAt:
+ *           type: string
+ *           format: date-time
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         elapsedSeconds:
+ *           type: integer
+ *           description: Focused seconds measured by the server, including the running stretch
+ *           example: 1260
+ *         focusedSeconds:
+ *           type: integer
+ *           example: 1200
+ *         idleSeconds:
+ *           type: integer
+ *           description: Time after the last heartbeat beyond the idle timeout
+ *           example: 0
+ *         pausedSeconds:
+ *           type: integer
+ *           example: 120
+ *         pauseCount:
+ *           type: integer
+ *           example: 1
+ *         creditedMinutes:
+ *           type: integer
+ *           description: Minutes added to study time on completion, after the daily cap
+ *           example: 20
+ *         pointsEarned:
+ *           type: integer
+ *           example: 20
+ *         isPlanReached:
+ *           type: boolean
+ *         heartbeatIntervalSeconds:
+ *           type: integer
+ *           example: 60
+ *         idleTimeoutSeconds:
+ *           type: integer
+ *           example: 180
+ *     FocusSessionStats:
+ *       type: object
+ *       properties:
+ *         days:
+ *           type: integer
+ *           example: 30
+ *         sessions:
+ *           type: object
+ *           properties:
+ *             completed:
+ *               type: integer
+ *             cancelled:
+ *               type: integer
+ *             abandoned:
+ *               type: integer
+ *         focusedMinutes:
+ *           type: integer
+ *           example: 640
+ *         idleMinutes:
+ *           type: integer
+ *           example: 12
+ *         averageSessionMinutes:
+ *           type: integer
+ *           example: 24
+ *         pointsEarned:
+ *           type: integer
+ *         today:
+ *           type: object
+ *           properties:
+ *             creditedMinutes:
+ *               type: integer
+ *             remainingMinutes:
+ *               type: integer
+ *             dailyCapMinutes:
+ *               type: integer
+ *               example: 480
+ *         daily:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 example: "2026-03-10"
+ *               sessions:
+ *                 type: integer
+ *               minutes:
+ *                 type: integer
+ *         topDocuments:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               documentId:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               sessions:
+ *                 type: integer
+ *               minutes:
+ *                 type: integer
+ *         totalStudyTime:
+ *           type: integer
+ *           description: All-time study minutes on the profile
+ *         studyStreak:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /users/me/focus-sessions:
+ *   post:
+ *     summary: Start a focus session
+ *     description: Starts a session timed by the server. Only one session can be open at a time; send a heartbeat about every minute while it runs.
+ *     tags: [Focus Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               plannedMinutes:
+ *                 type: integer
+ *                 minimum: 5
+ *                 maximum: 180
+ *                 default: 25
+ *               documentId:
+ *                 type: string
+ *                 description: Document being studied
+ *                 example: 650a1b2c3d4e5f6789012346
+ *     responses:
+ *       201:
+ *         description: Focus session started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/FocusSession'
+ *       400:
+ *         description: Invalid planned minutes or document ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Another focus session is already open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Daily focus minutes reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   get:
+ *     summary: List focus sessions
+ *     tags: [Focus Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, paused, completed, cancelled, abandoned]
+ *       - in: query
+ *         name: documentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Focus sessions retrieved successfully
+ */
+
+/**
+ * @swagger
+ * /users/me/focus-sessions/active:
+ *   get:
+ *     summary: Get the open focus session
+ *     description: Returns the active or paused session, or null. A session silent for over an hour is closed as abandoned first.
+ *     tags: [Focus Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Open session, or null
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/FocusSession'
+ */
+
+/**
+ * @swagger
+ * /users/me/focus-sessions/stats:
+ *   get:
+ *     summary: Get focus statistics
+ *     tags: [Focus Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 365
+ *     responses:
+ *       200:
+ *         description: Focus statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/FocusSessionStats'
+ */
+
+/**
+ * @swagger
+ * /users/me/focus-sessions/{sessionId}/heartbeat:
+ *   post:
+ *     summary: Send a heartbeat
+ *     description: Keeps an active session counting. Time after the last heartbeat beyond the idle timeout is booked as idle, not focused.
+ *     tags: [Focus Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Heartbeat recorded
+ *       404:
+ *         description: Focus session not found
+ *       409:
+ *         description: Session is not active
+ */
+
+/**
+ * @swagger
+ * /users/me/focus-sessions/{sessionId}/pause:
+ *   post:
+ *     summary: Pause a focus session
+ *     tags: [Focus Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Focus session paused
+ *       404:
+ *         description: Focus session not found
+ *       409:
+ *         description: Session is not active
+ */
+
+/**
+ * @swagger
+ * /users/me/focus-sessions/{sessionId}/resume:
+ *   post:
+ *     summary: Resume a paused focus session
+ *     tags: [Focus Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Focus session resumed
+ *       404:
+ *         description: Focus session not found
+ *       409:
+ *         description: Session is not paused
+ */
+
+/**
+ * @swagger
+ * /users/me/focus-sessions/{sessionId}/complete:
+ *   post:
+ *     summary: Complete a focus session
+ *     description: Ends the session and credits its focused minutes to study time, up to 480 minutes a day, and earns focus points.
+ *     tags: [Focus Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Focus session completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/FocusSession'
+ *                 creditedMinutes:
+ *                   type: integer
+ *                   example: 25
+ *                 pointsEarned:
+ *                   type: integer
+ *                   example: 25
+ *                 totalStudyTime:
+ *                   type: integer
+ *                   example: 1340
+ *       404:
+ *         description: Focus session not found
+ *       409:
+ *         description: Session already ended
+ */
+
+/**
+ * @swagger
+ * /users/me/focus-sessions/{sessionId}/cancel:
+ *   post:
+ *     summary: Cancel a focus session
+ *     description: Ends the session without crediting study time or points.
+ *     tags: [Focus Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Focus session cancelled
+ *       404:
+ *         description: Focus session not found
+ *       409:
+ *         description: Session already ended
+ */
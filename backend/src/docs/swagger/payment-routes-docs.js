@@ -0,0 +1,115 @@
+/**
+ * Payment Routes Swagger Documentation
+ * @description OpenAPI documentation for gateway checkouts and webhooks
+ * @location src/docs/swagger/payment-routes-docs.js
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Checkout:
+ *       type: object
+ *       description: A pending payment. Send the user to checkoutUrl; the purchase is granted when the gateway confirms the payment by webhook. Poll GET /transactions/{transactionId} for the outcome.
+ *       properties:
+ *         transactionId:
+ *           type: string
+ *           example: 6532a1f4c2b7e8a9d0f12345
+ *         referenceId:
+ *           type: string
+ *           example: TXN-LQ2X8K-AB12CD
+ *         status:
+ *           type: string
+ *           enum: [pending]
+ *           example: pending
+ *         checkoutUrl:
+ *           type: string
+ *           format: uri
+ *           example: https://checkout.stripe.com/c/pay/cs_test_a1b2c3
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: The checkout stops accepting payment after this; the transaction then expires
+ *
+ *     PaymentWebhookResult:
+ *       type: object
+ *       properties:
+ *         received:
+ *           type: boolean
+ *           example: true
+ *         duplicate:
+ *           type: boolean
+ *           description: The event was handled before and had no effect this time
+ *           example: false
+ *         outcome:
+ *           type: string
+ *           enum: [applied, no_change, ignored, unmatched]
+ *           example: applied
+ *         transactionId:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           nullable: true
+ *           description: Transaction status after the event
+ *           example: completed
+ */
+
+/**
+ * @swagger
+ * /payments/webhook:
+ *   post:
+ *     summary: Payment gateway webhook
+ *     description: |
+ *       Checkout events from the payment gateway. The body must be signed with the
+ *       webhook secret (Stripe-Signature header). A completed checkout settles its
+ *       transaction and grants the purchase; a failed or expired one closes it and
+ *       releases any held points. Every event is applied once, so redelivered events
+ *       are acknowledged without effect. Non-2xx answers make the gateway retry.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: header
+ *         name: Stripe-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: t=<unix timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 example: evt_1a2b3c
+ *               type:
+ *                 type: string
+ *                 example: checkout.session.completed
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   object:
+ *                     type: object
+ *                     description: Checkout session
+ *     responses:
+ *       200:
+ *         description: Event received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PaymentWebhookResult'
+ *       400:
+ *         description: Missing, invalid or expired signature, or not an event (INVALID_SIGNATURE, SIGNATURE_EXPIRED, INVALID_PAYLOAD)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
@@ -32,7 +32,7 @@
  *                 example: medium
  *               questionType:
  *                 type: string
- *                 enum: [multiple_choice, true_false, fill_blank]
+ *                 enum: [multiple_choice, true_false, fill_in_blank, short_answer]
  *                 example: multiple_choice
  *               questionCount:
  *                 type: integer
@@ -167,12 +167,137 @@
  *                   error:
  *                     message: Not enough questions available. Found 10, requested 15
  *                     code: INSUFFICIENT_QUESTIONS
+ *       402:
+ *         $ref: '#/components/responses/FeatureNotAvailable'
  *       404:
  *         description: Document not found or no quizzes available
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ */
+
+/**
+ * @swagger
+ * /quizzes/review/generate:
+ *   post:
+ *     summary: Generate mistakes review quiz
+ *     description: |
+ *       Build a personalised quiz from the user's mistakes bank. Every wrong answer
+ *       from a completed attempt is collected; a mistake leaves the bank after it is
+ *       answered correctly twice in a row. Mistakes are drawn at random, weighted by
+ *       how often and how recently they were missed. Up to 30% of the quiz, plus any
+ *       slots the bank cannot fill, are similar questions on the same topics or skills.
+ *     tags: [Quiz Generation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               questionCount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 20
+ *                 default: 10
+ *                 example: 10
+ *               documentId:
+ *                 type: string
+ *                 description: Only review mistakes from this document
+ *                 example: 650a1b2c3d4e5f6789012345
+ *               title:
+ *                 type: string
+ *                 default: Mistakes Review
+ *     responses:
+ *       201:
+ *         description: Review quiz created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Review quiz created successfully
+ *                 quiz:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     title:
+ *                       type: string
+ *                       example: Mistakes Review
+ *                     difficulty:
+ *                       type: string
+ *                       example: mixed
+ *                     questionType:
+ *                       type: string
+ *                       example: mixed
+ *                     questionCount:
+ *                       type: integer
+ *                       example: 10
+ *                     estimatedTime:
+ *                       type: integer
+ *                       example: 15
+ *                     questions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           question:
+ *                             type: string
+ *                           options:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           type:
+ *                             type: string
+ *                           reviewSource:
+ *                             type: string
+ *                             enum: [mistake, similar]
+ *                 metadata:
+ *                   type: object
+ *                   properties:
+ *                     mistakeQuestions:
+ *                       type: integer
+ *                       example: 7
+ *                     similarQuestions:
+ *                       type: integer
+ *                       example: 3
+ *                     openMistakes:
+ *                       type: integer
+ *                       example: 24
+ *       400:
+ *         description: Invalid question count or document ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       402:
+ *         $ref: '#/components/responses/FeatureNotAvailable'
+ *       404:
+ *         description: The mistakes bank is empty
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               error:
+ *                 message: No mistakes to review yet
+ *                 code: NO_MISTAKES_TO_REVIEW
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
  */
 
 /**
@@ -201,7 +326,7 @@
  *         name: questionType
  *         schema:
  *           type: string
- *           enum: [multiple_choice, true_false, fill_blank]
+ *           enum: [multiple_choice, true_false, fill_in_blank, short_answer]
  *         description: Filter by question type
  *       - in: query
  *         name: excludeUsed
@@ -364,7 +489,7 @@
  *                 example: medium
  *               questionType:
  *                 type: string
- *                 enum: [multiple_choice, true_false, fill_blank]
+ *                 enum: [multiple_choice, true_false, fill_in_blank, short_answer]
  *                 example: multiple_choice
  *           example:
  *             difficulty: medium
@@ -429,7 +554,11 @@
  * /quizzes/{id}/attempt:
  *   post:
  *     summary: Start quiz attempt
- *     description: Start a new attempt for the specified quiz
+ *     description: |
+ *       Start a new attempt for the specified quiz. In adaptive mode questions are
+ *       served one at a time from every quiz of the quiz's document. Each next
+ *       question has the difficulty closest to the running ability estimate, and
+ *       results report an estimated mastery level per topic area.
  *     tags: [Quiz Attempts]
  *     security:
  *       - bearerAuth: []
@@ -440,6 +569,23 @@
  *         schema:
  *           type: string
  *         description: Quiz ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mode:
+ *                 type: string
+ *                 enum: [standard, adaptive]
+ *                 default: standard
+ *               questionCount:
+ *                 type: integer
+ *                 minimum: 5
+ *                 maximum: 30
+ *                 default: 15
+ *                 description: Questions in an adaptive attempt, capped by the document's pool
  *     responses:
  *       201:
  *         description: Quiz attempt started successfully
@@ -466,13 +612,22 @@
  *                     startedAt:
  *                       type: string
  *                       format: date-time
+ *                     mode:
+ *                       type: string
+ *                       enum: [standard, adaptive]
  *                     status:
  *                       type: string
  *                       example: in_progress
+ *                     totalQuestions:
+ *                       type: integer
+ *                       description: Adaptive attempts only
+ *                       example: 15
  *                     timeLimit:
  *                       type: number
  *                       description: Time limit in milliseconds
  *                       example: 1800000
+ *                 nextQuestion:
+ *                   $ref: '#/components/schemas/AdaptiveQuestion'
  *                 quiz:
  *                   type: object
  *                   properties:
@@ -512,7 +667,7 @@
  * /quizzes/{id}/attempt/{attemptId}:
  *   put:
  *     summary: Submit quiz answer
- *     description: Submit answer for a specific question in the quiz attempt
+ *     description: Submit answer for a specific question in the quiz attempt. Short answers may earn partial credit; the grader's rationale is only returned with the attempt results once the quiz is completed
  *     tags: [Quiz Attempts]
  *     security:
  *       - bearerAuth: []
@@ -548,7 +703,7 @@
  *                   - type: integer
  *                   - type: boolean
  *                 example: 0
- *                 description: Answer (index for multiple choice, true/false for boolean, text for fill-in)
+ *                 description: Answer (index for multiple choice, true/false for boolean, text for fill in blank and short answer). Text answers are graded ignoring case, accents, punctuation and small spelling mistakes, and accept listed variants.
  *               timeSpent:
  *                 type: number
  *                 default: 0
@@ -567,12 +722,18 @@
  *                 questionId: 2
  *                 answer: true
  *                 timeSpent: 15.8
- *             fill_blank:
+ *             fill_in_blank:
  *               summary: Fill in the blank answer
  *               value:
  *                 questionId: 3
  *                 answer: "useState"
  *                 timeSpent: 60.1
+ *             short_answer:
+ *               summary: Short answer
+ *               value:
+ *                 questionId: 4
+ *                 answer: "It re-renders the component with the new state"
+ *                 timeSpent: 90.4
  *     responses:
  *       200:
  *         description: Answer submitted successfully
@@ -639,6 +800,19 @@
  *                     percentage:
  *                       type: number
  *                       example: 80.0
+ *                     difficulty:
+ *                       type: string
+ *                       description: Adaptive attempts only - difficulty of the answered question
+ *                     ability:
+ *                       type: number
+ *                       description: Adaptive attempts only - overall ability estimate after this answer
+ *                     mastery:
+ *                       type: array
+ *                       description: Adaptive attempts only
+ *                       items:
+ *                         $ref: '#/components/schemas/TopicMastery'
+ *                     nextQuestion:
+ *                       $ref: '#/components/schemas/AdaptiveQuestion'
  *       400:
  *         description: Invalid request data
  *         content:
@@ -653,6 +827,111 @@
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdaptiveQuestion:
+ *       type: object
+ *       nullable: true
+ *       description: Question served in an adaptive attempt, without answers; null when the attempt is complete
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Position in the attempt, sent back as questionId
+ *           example: 4
+ *         question:
+ *           type: string
+ *         options:
+ *           type: array
+ *           items:
+ *             type: string
+ *         type:
+ *           type: string
+ *           example: multiple_choice
+ *         points:
+ *           type: number
+ *           example: 1
+ *         difficulty:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *         topicArea:
+ *           type: string
+ *           example: photosynthesis
+ *     TopicMastery:
+ *       type: object
+ *       properties:
+ *         topicArea:
+ *           type: string
+ *           example: photosynthesis
+ *         estimate:
+ *           type: number
+ *           description: Ability estimate (easy = -1, medium = 0, hard = 1)
+ *           example: 0.42
+ *         level:
+ *           type: string
+ *           enum: [novice, developing, proficient, mastered]
+ *         answered:
+ *           type: integer
+ *         correct:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /quizzes/{id}/attempt/{attemptId}/next:
+ *   get:
+ *     summary: Get next adaptive question
+ *     description: Question waiting for an answer in an adaptive attempt. A new one is served if none is pending.
+ *     tags: [Quiz Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Quiz ID
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attempt ID
+ *     responses:
+ *       200:
+ *         description: Next question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 nextQuestion:
+ *                   $ref: '#/components/schemas/AdaptiveQuestion'
+ *                 answeredQuestions:
+ *                   type: integer
+ *                 totalQuestions:
+ *                   type: integer
+ *                 isQuizComplete:
+ *                   type: boolean
+ *       400:
+ *         description: Attempt is not adaptive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Attempt not found or already completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
 /**
  * @swagger
  * /quizzes/{id}/attempt/{attemptId}/complete:
@@ -715,6 +994,14 @@
  *                     completedAt:
  *                       type: string
  *                       format: date-time
+ *                     mode:
+ *                       type: string
+ *                       enum: [standard, adaptive]
+ *                     mastery:
+ *                       type: array
+ *                       description: Estimated mastery per topic area (adaptive attempts; empty otherwise)
+ *                       items:
+ *                         $ref: '#/components/schemas/TopicMastery'
  *                     feedback:
  *                       type: object
  *                       properties:
@@ -0,0 +1,129 @@
+/**
+ * Search Routes Swagger Documentation
+ * @description OpenAPI documentation for searching across a user's library
+ * @location src/docs/swagger/search-routes-docs.js
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SearchResult:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [document, summary, key_point, quiz_question]
+ *         documentId:
+ *           type: string
+ *           nullable: true
+ *           example: 650a1b2c3d4e5f6789012346
+ *         quizId:
+ *           type: string
+ *           nullable: true
+ *         position:
+ *           type: integer
+ *           description: Key point or question number within its source, from 0
+ *           example: 2
+ *         title:
+ *           type: string
+ *           description: Title of the document or quiz
+ *           example: Introduction to Photosynthesis
+ *         snippet:
+ *           type: string
+ *           example: "…The Calvin cycle fixes carbon dioxide into sugars in the stroma…"
+ *         highlights:
+ *           type: array
+ *           description: Character ranges of the snippet that match the query
+ *           items:
+ *             type: object
+ *             properties:
+ *               start:
+ *                 type: integer
+ *                 example: 5
+ *               end:
+ *                 type: integer
+ *                 example: 17
+ *         score:
+ *           type: number
+ *           example: 0.742
+ *         scores:
+ *           type: object
+ *           properties:
+ *             keyword:
+ *               type: number
+ *               example: 0.667
+ *             vector:
+ *               type: number
+ *               nullable: true
+ *               description: Null when the entry or query has no embedding
+ *               example: 0.793
+ */
+
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     summary: Search the library by meaning
+ *     description: |
+ *       Ranks documents, summaries, key points and quiz questions. When an embedding
+ *       model is routed (AI_EMBEDDING_PROVIDER, local or remote), results mix embedding
+ *       similarity with keyword matches; otherwise they are ranked by keywords alone.
+ *       Content added since the last search is indexed first.
+ *     tags: [Library Search]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 200
+ *         example: how plants make sugar
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Comma-separated source types (default all)
+ *         example: summary,key_point
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Search completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchResult'
+ *                 total:
+ *                   type: integer
+ *                   example: 7
+ *                 retrieval:
+ *                   type: string
+ *                   enum: [hybrid, keyword]
+ *       400:
+ *         description: Missing or invalid query, or unknown type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Unauthorized
+ */
@@ -0,0 +1,469 @@
+/**
+ * Subscription Routes Swagger Documentation
+ * @description OpenAPI documentation for plans, usage quotas and plan changes
+ * @location src/docs/swagger/subscription-routes-docs.js
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Plan:
+ *       type: object
+ *       properties:
+ *         planType:
+ *           type: string
+ *           enum: [free, basic, premium, pro, enterprise]
+ *           example: basic
+ *         limits:
+ *           type: object
+ *           properties:
+ *             documentsPerMonth:
+ *               type: integer
+ *               description: -1 means unlimited
+ *               example: 50
+ *             quizzesPerMonth:
+ *               type: integer
+ *               description: -1 means unlimited
+ *               example: 100
+ *             storageGB:
+ *               type: number
+ *               example: 10
+ *             pointsMultiplier:
+ *               type: number
+ *               example: 1.5
+ *             courseDiscountMax:
+ *               type: number
+ *               example: 25
+ *         features:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [pdf_upload, ai_summarization, quiz_generation, custom_analysis]
+ *         pricing:
+ *           type: object
+ *           example:
+ *             monthly: 9.99
+ *             yearly: 99.99
+ *
+ *     QuotaUsage:
+ *       type: object
+ *       properties:
+ *         used:
+ *           type: number
+ *           example: 3
+ *         limit:
+ *           type: number
+ *           example: 5
+ *         hasReached:
+ *           type: boolean
+ *           example: false
+ *         percentage:
+ *           type: number
+ *           example: 60
+ *         isUnlimited:
+ *           type: boolean
+ *           example: false
+ *
+ *     SubscriptionUsage:
+ *       type: object
+ *       properties:
+ *         periodStart:
+ *           type: string
+ *           format: date-time
+ *         periodEnd:
+ *           type: string
+ *           format: date-time
+ *           description: Quotas reset at this time (monthly, whatever the billing cycle)
+ *         documents:
+ *           $ref: '#/components/schemas/QuotaUsage'
+ *         quizzes:
+ *           $ref: '#/components/schemas/QuotaUsage'
+ *         storage:
+ *           $ref: '#/components/schemas/QuotaUsage'
+ *
+ *     SubscriptionOverview:
+ *       type: object
+ *       properties:
+ *         subscription:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             planType:
+ *               type: string
+ *               example: basic
+ *             status:
+ *               type: string
+ *               example: active
+ *             startDate:
+ *               type: string
+ *               format: date-time
+ *             endDate:
+ *               type: string
+ *               format: date-time
+ *             billing:
+ *               type: object
+ *               properties:
+ *                 cycle:
+ *                   type: string
+ *                   example: monthly
+ *                 amount:
+ *                   type: number
+ *                   example: 9.99
+ *                 currency:
+ *                   type: string
+ *                   example: USD
+ *             settings:
+ *               type: object
+ *               properties:
+ *                 autoRenew:
+ *                   type: boolean
+ *                 cancelAtPeriodEnd:
+ *                   type: boolean
+ *                 scheduledPlan:
+ *                   type: string
+ *                   nullable: true
+ *         limits:
+ *           type: object
+ *           description: Plan limits with any custom limits applied
+ *         usage:
+ *           $ref: '#/components/schemas/SubscriptionUsage'
+ *         scheduledPlan:
+ *           type: string
+ *           nullable: true
+ *           description: Lower plan that takes over at the end of the period
+ *           example: null
+ *         upgradeTo:
+ *           type: string
+ *           nullable: true
+ *           description: Next plan up
+ *           example: premium
+ *
+ *   responses:
+ *     FeatureNotAvailable:
+ *       description: The current plan does not include the feature (FEATURE_NOT_AVAILABLE)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ErrorResponse'
+ *           example:
+ *             success: false
+ *             error:
+ *               message: Your free plan does not include this feature
+ *               code: FEATURE_NOT_AVAILABLE
+ *               statusCode: 402
+ *               context:
+ *                 feature: custom_analysis
+ *                 currentPlan: free
+ *                 requiredPlan: basic
+ *
+ *     QuotaExceeded:
+ *       description: The monthly quota of the current plan is used up (QUOTA_EXCEEDED)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ErrorResponse'
+ *           example:
+ *             success: false
+ *             error:
+ *               message: You have used all 5 documents included in your free plan this month
+ *               code: QUOTA_EXCEEDED
+ *               statusCode: 429
+ *               context:
+ *                 quota: documents
+ *                 used: 5
+ *                 limit: 5
+ *                 resetsAt: 2026-11-19T10:00:00.000Z
+ *                 currentPlan: free
+ *                 upgradeTo: basic
+ */
+
+/**
+ * @swagger
+ * /subscriptions/plans:
+ *   get:
+ *     summary: List plans
+ *     description: Plans from lowest to highest with their limits, features and prices
+ *     tags: [Subscriptions]
+ *     responses:
+ *       200:
+ *         description: Plans retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     plans:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Plan'
+ */
+
+/**
+ * @swagger
+ * /subscriptions/current:
+ *   get:
+ *     summary: Get current subscription
+ *     description: Current plan, its limits, usage this month and any pending cancellation or downgrade. Users without a subscription are put on the free plan.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/SubscriptionOverview'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /subscriptions/usage:
+ *   get:
+ *     summary: Get quota usage
+ *     description: Documents and quizzes used this month against the plan limits
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usage retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     usage:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/SubscriptionUsage'
+ *                         - type: object
+ *                           properties:
+ *                             planType:
+ *                               type: string
+ *                               example: free
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /subscriptions/upgrade:
+ *   post:
+ *     summary: Upgrade plan
+ *     description: Start a checkout for a higher plan. Nothing changes until the payment webhook confirms it; then a new period starts on the plan, usage so far this month counts against the new limits, and a pending cancellation or downgrade is dropped.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - planType
+ *             properties:
+ *               planType:
+ *                 type: string
+ *                 enum: [basic, premium, pro, enterprise]
+ *                 example: premium
+ *               billingCycle:
+ *                 type: string
+ *                 enum: [monthly, yearly]
+ *                 description: Keeps the current cycle when omitted
+ *                 example: yearly
+ *     responses:
+ *       202:
+ *         description: Checkout started; send the user to checkoutUrl
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Complete the payment to upgrade to the premium plan
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     planType:
+ *                       type: string
+ *                       example: premium
+ *                     billingCycle:
+ *                       type: string
+ *                       example: yearly
+ *                     checkout:
+ *                       $ref: '#/components/schemas/Checkout'
+ *       400:
+ *         description: Unknown plan, not a higher plan, or billing cycle not sold for the plan (INVALID_PLAN, INVALID_PLAN_CHANGE, INVALID_BILLING_CYCLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: The payment provider could not start a checkout (PAYMENT_PROVIDER_UNAVAILABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /subscriptions/downgrade:
+ *   post:
+ *     summary: Downgrade plan
+ *     description: Move to a lower plan when the current period ends. The current plan stays in use until then.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - planType
+ *             properties:
+ *               planType:
+ *                 type: string
+ *                 enum: [free, basic, premium, pro]
+ *                 example: basic
+ *     responses:
+ *       200:
+ *         description: Downgrade scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Your plan changes to basic at the end of the current period
+ *                 data:
+ *                   $ref: '#/components/schemas/SubscriptionOverview'
+ *       400:
+ *         description: Unknown plan or not a lower plan (INVALID_PLAN, INVALID_PLAN_CHANGE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /subscriptions/cancel:
+ *   post:
+ *     summary: Cancel subscription
+ *     description: Cancel the paid plan at the end of the current period, after which the account moves to the free plan
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Too expensive
+ *     responses:
+ *       200:
+ *         description: Subscription cancelled at period end
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Subscription cancelled. You keep your plan until the end of the current period
+ *                 data:
+ *                   $ref: '#/components/schemas/SubscriptionOverview'
+ *       400:
+ *         description: The free plan cannot be cancelled (SUBSCRIPTION_NOT_CANCELLABLE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Already cancelled (SUBSCRIPTION_ALREADY_CANCELLED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
+/**
+ * @swagger
+ * /subscriptions/resume:
+ *   post:
+ *     summary: Resume subscription
+ *     description: Undo a pending cancellation or downgrade before the period ends
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription resumed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Subscription resumed
+ *                 data:
+ *                   $ref: '#/components/schemas/SubscriptionOverview'
+ *       400:
+ *         description: Nothing pending to undo (NOTHING_TO_RESUME)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
@@ -19,7 +19,7 @@
  *           example: 650a1b2c3d4e5f6789012346
  *         type:
  *           type: string
- *           enum: [quiz_completion, course_purchase, daily_bonus, course_discount, premium_feature]
+ *           enum: [quiz_completion, flashcard_review, course_purchase, daily_bonus, course_discount, premium_feature]
  *           example: quiz_completion
  *         status:
  *           type: string
@@ -280,7 +280,7 @@
  *         name: type
  *         schema:
  *           type: string
- *           enum: [quiz_completion, course_purchase, daily_bonus, course_discount, premium_feature]
+ *           enum: [quiz_completion, flashcard_review, course_purchase, daily_bonus, course_discount, premium_feature]
  *         description: Filter by transaction type
  *       - in: query
  *         name: status
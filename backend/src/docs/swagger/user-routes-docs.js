@@ -206,28 +206,6 @@
  *             spent:
  *               type: number
  *               example: 2500
- * 
- *     FocusTimerRequest:
- *       type: object
- *       required:
- *         - action
- *       properties:
- *         action:
- *           type: string
- *           enum: [start, complete, cancel]
- *           example: start
- *         duration:
- *           type: number
- *           description: Session duration in minutes (for start action)
- *           example: 25
- *         subject:
- *           type: string
- *           description: Study subject
- *           example: Mathematics
- *         documentId:
- *           type: string
- *           description: Associated document ID
- *           example: 650a1b2c3d4e5f6789012345
  */
 
 /**
@@ -759,38 +737,73 @@
 
 /**
  * @swagger
- * /users/me/focus-timer:
- *   post:
- *     summary: Manage focus timer sessions
- *     description: Start, complete, or cancel focus timer sessions for studying
- *     tags: [Focus Timer]
+ * components:
+ *   schemas:
+ *     UserSession:
+ *       type: object
+ *       properties:
+ *         sessionId:
+ *           type: string
+ *           example: 3f9a2c1e8b7d4a6f9e0c1b2a3d4e5f60
+ *         isCurrent:
+ *           type: boolean
+ *           description: True for the session making the request
+ *           example: true
+ *         device:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [mobile, tablet, desktop, unknown]
+ *               example: desktop
+ *             name:
+ *               type: string
+ *               example: Chrome Browser
+ *             browser:
+ *               type: string
+ *               nullable: true
+ *               example: Chrome
+ *             os:
+ *               type: string
+ *               nullable: true
+ *               example: null
+ *         location:
+ *           type: object
+ *           nullable: true
+ *           description: From the offline GeoIP database; null for private addresses or when no database is configured
+ *           properties:
+ *             country:
+ *               type: string
+ *               example: Morocco
+ *             city:
+ *               type: string
+ *               example: Casablanca
+ *         loginMethod:
+ *           type: string
+ *           example: password
+ *         isSuspicious:
+ *           type: boolean
+ *           example: false
+ *         signedInAt:
+ *           type: string
+ *           format: date-time
+ *         lastAccessedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /users/me/sessions:
+ *   get:
+ *     summary: List signed-in devices
+ *     description: Active sessions of the current user, the current session first, then by last access. IP addresses are never returned.
+ *     tags: [User Profile]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/FocusTimerRequest'
- *           examples:
- *             start:
- *               summary: Start a focus session
- *               value:
- *                 action: start
- *                 duration: 25
- *                 subject: Mathematics
- *                 documentId: 650a1b2c3d4e5f6789012345
- *             complete:
- *               summary: Complete a focus session
- *               value:
- *                 action: complete
- *             cancel:
- *               summary: Cancel a focus session
- *               value:
- *                 action: cancel
  *     responses:
  *       200:
- *         description: Focus timer action successful
+ *         description: Sessions retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -801,28 +814,51 @@
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: Focus timer start successful
+ *                   example: Sessions retrieved successfully
  *                 data:
  *                   type: object
  *                   properties:
- *                     sessionId:
- *                       type: string
- *                       example: 650a1b2c3d4e5f6789012346
- *                     status:
- *                       type: string
- *                       enum: [active, completed, cancelled]
- *                       example: active
- *                     duration:
- *                       type: number
- *                       example: 25
- *                     startedAt:
- *                       type: string
- *                       format: date-time
- *                     pointsEarned:
- *                       type: number
- *                       example: 50
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/UserSession'
+ *                     total:
+ *                       type: integer
+ *                       example: 2
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Sign out everywhere else
+ *     description: Revoke every active session except the one making the request. Their access tokens stop working immediately.
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions signed out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Signed out of 2 other device(s)
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions:
+ *                       type: integer
+ *                       example: 2
  *       400:
- *         description: Invalid action or missing required data
+ *         description: The access token was issued without a session ID (CURRENT_SESSION_UNKNOWN)
  *         content:
  *           application/json:
  *             schema:
@@ -833,4 +869,55 @@
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- */
\ No newline at end of file
+ */
+
+/**
+ * @swagger
+ * /users/me/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out a device
+ *     description: Revoke one of the current user's sessions. Revoking the current session signs this device out.
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Device signed out
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessionId:
+ *                       type: string
+ *                     isCurrent:
+ *                       type: boolean
+ *                       example: false
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: No active session with this ID for the user (SESSION_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
@@ -94,6 +94,20 @@ export class HttpError extends BaseError {
         });
     }
     
+    /**
+     * Create 402 Payment Required error
+     * @param {string} message - Error message
+     * @param {Object} options - Additional options
+     * @returns {HttpError} Payment Required error
+     */
+    static paymentRequired(message = 'Payment Required', options = {}) {
+        return new HttpError(message, {
+            statusCode: HTTP_STATUS_CODES.PAYMENT_REQUIRED,
+            code: 'PAYMENT_REQUIRED',
+            ...options
+        });
+    }
+    
     /**
      * Create 403 Forbidden error
      * @param {string} message - Error message
@@ -150,6 +164,20 @@ export class HttpError extends BaseError {
         });
     }
     
+    /**
+     * Create 429 Too Many Requests error
+     * @param {string} message - Error message
+     * @param {Object} options - Additional options
+     * @returns {HttpError} Too Many Requests error
+     */
+    static tooManyRequests(message = 'Too Many Requests', options = {}) {
+        return new HttpError(message, {
+            statusCode: HTTP_STATUS_CODES.TOO_MANY_REQUESTS,
+            code: 'TOO_MANY_REQUESTS',
+            ...options
+        });
+    }
+    
     /**
      * Create 500 Internal Server Error
      * @param {string} message - Error message
@@ -0,0 +1,19 @@
+/**
+ * AI Provider Library Exports
+ * @module lib/ai
+ * @description Central export point for LLM provider adapters
+ */
+
+// ==========================================
+// REGISTRY
+// ==========================================
+
+export { createAIProvider, isSupportedProvider } from './registry.js';
+
+// ==========================================
+// PROVIDER ADAPTERS
+// ==========================================
+
+export { createOpenAICompatibleProvider } from './providers/openai-compatible.js';
+export { createGeminiProvider } from './providers/gemini.js';
+export { createFakeProvider } from './providers/fake.js';
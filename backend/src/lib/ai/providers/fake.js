@@ -0,0 +1,356 @@
+/**
+ * Fake Chat Provider
+ * @module lib/ai/providers/fake
+ * @description Deterministic, offline stand-in for an LLM. Responses are built
+ * from the prompt's own sentences so the same input always yields the same
+ * output, in the JSON shapes the summary, quiz, grading and flashcard prompts ask for.
+ * Embeddings are hashed term counts, so texts sharing words come out similar.
+ */
+
+// Markers that introduce the document text inside the service prompts
+const CONTENT_MARKER = /(?:document content|content to analyze[^:\n]*):\s*\n/i;
+
+// Lines that belong to prompt instructions rather than the document
+const INSTRUCTION_PATTERN = /[{}[\]"]|json|critical|please respond|respond only/i;
+
+const STOP_WORDS = new Set([
+    'about', 'after', 'again', 'their', 'there', 'these', 'those', 'where', 'which',
+    'while', 'would', 'could', 'should', 'other', 'being', 'because', 'between'
+]);
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Pull the document portion of the prompt and split it into sentences
+ * @param {string} prompt - Full prompt text
+ * @returns {Array<string>} Document sentences in order
+ */
+const extractSentences = (prompt) => {
+    const match = prompt.match(CONTENT_MARKER);
+    const source = match ? prompt.slice(match.index + match[0].length) : prompt;
+
+    return source
+        .split(/\n+/)
+        .filter(line => !INSTRUCTION_PATTERN.test(line))
+        .join(' ')
+        .split(/(?<=[.!?])\s+/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence.split(/\s+/).length >= 4);
+};
+
+/**
+ * Most frequent long words, ties broken alphabetically
+ * @param {Array<string>} sentences - Document sentences
+ * @param {number} limit - Number of topics
+ * @returns {Array<string>} Topics
+ */
+const extractTopics = (sentences, limit) => {
+    const counts = new Map();
+    sentences.join(' ').toLowerCase().match(/[a-zà-ÿ]{6,}/g)?.forEach(word => {
+        if (!STOP_WORDS.has(word)) {
+            counts.set(word, (counts.get(word) || 0) + 1);
+        }
+    });
+
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([word]) => word);
+};
+
+const buildSummary = (sentences) => JSON.stringify({
+    summary: sentences.slice(0, 4).join(' ') || 'The document does not contain enough text to summarize.',
+    keyPoints: sentences.slice(0, 5),
+    topics: extractTopics(sentences, 3)
+});
+
+const buildQuestion = (id, fields, topicArea) => ({
+    id,
+    ...fields,
+    explanation: 'Taken directly from the source material.',
+    points: 1,
+    skillCategory: 'factual_recall',
+    topicArea,
+    strength: `Recalls what the material says about ${topicArea}`,
+    weakness: `Should re-read the material on ${topicArea}`
+});
+
+const buildMultipleChoice = (sentences, topics, count) => Array.from({ length: count }, (_, i) => {
+    const pick = (offset) => sentences[(i + offset) % sentences.length] || `Statement ${i + offset + 1}`;
+    const correct = pick(0);
+    const options = [...new Set([correct, pick(1), pick(2), pick(3)])];
+    while (options.length < 4) {
+        options.push(`None of the statements above (${options.length})`);
+    }
+    // Rotate so the correct option is not always first
+    const rotation = i % 4;
+    const rotated = [...options.slice(rotation), ...options.slice(0, rotation)];
+
+    return buildQuestion(i + 1, {
+        question: 'Which statement is made in the material?',
+        options: rotated,
+        correctAnswer: correct,
+        correctAnswerIndex: rotated.indexOf(correct)
+    }, topics[i % topics.length] || 'general_knowledge');
+});
+
+const buildTrueFalse = (sentences, topics, count, [trueOption, falseOption]) => Array.from({ length: count }, (_, i) => {
+    const statement = sentences[i % sentences.length] || `Statement ${i + 1}`;
+    return buildQuestion(i + 1, {
+        question: statement,
+        options: [trueOption, falseOption],
+        correctAnswer: trueOption,
+        correctAnswerIndex: 0
+    }, topics[i % topics.length] || 'general_knowledge');
+});
+
+const buildFillInBlank = (sentences, topics, count) => Array.from({ length: count }, (_, i) => {
+    const statement = sentences[i % sentences.length] || `Statement number ${i + 1} mentions knowledge.`;
+    // Blank out the longest word so the answer is a meaningful term
+    const term = statement.match(/[\p{L}]+/gu)
+        ?.reduce((longest, word) => (word.length > longest.length ? word : longest), '') || 'knowledge';
+
+    return buildQuestion(i + 1, {
+        type: 'fill_in_blank',
+        question: statement.replace(term, '_____'),
+        options: [],
+        correctAnswer: term,
+        correctAnswerIndex: -1,
+        acceptedAnswers: []
+    }, topics[i % topics.length] || 'general_knowledge');
+});
+
+const buildShortAnswer = (sentences, topics, count) => Array.from({ length: count }, (_, i) => {
+    const topicArea = topics[i % topics.length] || 'general_knowledge';
+    const statement = sentences[i % sentences.length] || `Statement ${i + 1}`;
+
+    return buildQuestion(i + 1, {
+        type: 'short_answer',
+        question: `What does the material say about ${topicArea}?`,
+        options: [],
+        correctAnswer: statement.substring(0, 200),
+        correctAnswerIndex: -1,
+        acceptedAnswers: []
+    }, topicArea);
+});
+
+const buildQuiz = (prompt, sentences) => {
+    const topics = extractTopics(sentences, 5);
+
+    // True/false labels are localized by the prompt; the last two-item list names them
+    const labelLists = [...prompt.matchAll(/\["([^"]+)", "([^"]+)"\]/g)];
+    const labels = labelLists.length > 0 ? labelLists[labelLists.length - 1].slice(1, 3) : ['True', 'False'];
+
+    if (prompt.includes('"quizzes"')) {
+        return JSON.stringify({
+            quizzes: [
+                {
+                    title: 'Core Concepts Quiz',
+                    difficulty: 'mixed',
+                    type: 'multiple_choice',
+                    questions: buildMultipleChoice(sentences, topics, 10)
+                },
+                {
+                    title: 'Concept Validation Quiz',
+                    difficulty: 'mixed',
+                    type: 'true_false',
+                    questions: buildTrueFalse(sentences, topics, 10, labels)
+                },
+                {
+                    title: 'Fill in the Blank Quiz',
+                    difficulty: 'mixed',
+                    type: 'fill_in_blank',
+                    questions: buildFillInBlank(sentences, topics, 5)
+                },
+                {
+                    title: 'Short Answer Quiz',
+                    difficulty: 'mixed',
+                    type: 'short_answer',
+                    questions: buildShortAnswer(sentences, topics, 5)
+                }
+            ]
+        });
+    }
+
+    const countMatch = prompt.match(/with (\d+) /);
+    const count = countMatch ? Number(countMatch[1]) : 10;
+    const type = prompt.match(/"type": "(\w+)"/)?.[1];
+    const builders = {
+        fill_in_blank: buildFillInBlank,
+        short_answer: buildShortAnswer,
+        true_false: (parts, names, total) => buildTrueFalse(parts, names, total, labels)
+    };
+
+    return JSON.stringify({
+        quiz: {
+            title: 'Generated Quiz',
+            questions: (builders[type] || buildMultipleChoice)(sentences, topics, count)
+        }
+    });
+};
+
+// One card per sentence: the longest term on the back, the sentence around it on the front
+const buildFlashcards = (prompt, sentences) => {
+    const topics = extractTopics(sentences, 5);
+    const countMatch = prompt.match(/Create (\d+) /);
+    const count = Math.min(countMatch ? Number(countMatch[1]) : 10, sentences.length);
+
+    return JSON.stringify({
+        flashcards: sentences.slice(0, count).map((sentence, i) => {
+            const term = sentence.match(/[\p{L}]+/gu)
+                ?.reduce((longest, word) => (word.length > longest.length ? word : longest), '') || sentence;
+
+            return {
+                front: `Complete: ${sentence.replace(term, '_____')}`,
+                back: term,
+                skillCategory: 'factual_recall',
+                topicArea: topics[i % topics.length] || 'general_knowledge'
+            };
+        })
+    });
+};
+
+const buildAnalysis = (sentences) => {
+    const points = sentences.slice(0, 3).map(sentence => `- ${sentence}`).join('\n');
+    return `Analysis based on ${sentences.length} statements from the document:\n${points}`;
+};
+
+// Grading prompts quote the question, reference answer and student answer in """ blocks
+const extractQuotedBlocks = (prompt) => [...prompt.matchAll(/"""\n([\s\S]*?)\n"""/g)].map(match => match[1]);
+
+const keyTerms = (text) => [...new Set(String(text).toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) || [])]
+    .filter(word => !STOP_WORDS.has(word));
+
+const buildRubric = (reference) => {
+    const terms = keyTerms(reference)
+        .sort((a, b) => b.length - a.length || a.localeCompare(b))
+        .slice(0, 3);
+    const criteria = terms.length > 0 ? terms : ['answer'];
+
+    return JSON.stringify({
+        rubric: criteria.map(term => ({
+            criterion: `Mentions ${term}`,
+            weight: Math.round(100 / criteria.length) / 100
+        }))
+    });
+};
+
+// Score is the share of the reference answer's key terms found in the student answer
+const buildGrade = (reference, answer) => {
+    const expected = keyTerms(reference);
+    const given = new Set(keyTerms(answer));
+    const missing = expected.filter(term => !given.has(term));
+    const score = expected.length > 0 ? (expected.length - missing.length) / expected.length : 0;
+
+    return JSON.stringify({
+        score: Math.round(score * 100) / 100,
+        rationale: `The answer covers ${expected.length - missing.length} of ${expected.length} key terms from the reference answer.`,
+        missed: missing.length > 0 ? `Not mentioned: ${missing.join(', ')}.` : ''
+    });
+};
+
+const respondToGrading = (prompt) => {
+    const [, reference = '', answer = ''] = extractQuotedBlocks(prompt);
+    return prompt.includes('"rubric"') ? buildRubric(reference) : buildGrade(reference, answer);
+};
+
+// Chat prompts list numbered sources as [n] headings followed by a """ block
+const extractSources = (prompt) => [...prompt.matchAll(/^\[(\d+)\][^\n]*\n"""\n([\s\S]*?)\n"""/gm)]
+    .map(match => ({ number: Number(match[1]), text: match[2] }));
+
+// Answer with the source sentence sharing the most terms with the question, cited
+const buildChatAnswer = (prompt, messages) => {
+    const question = messages[messages.length - 1]?.content || '';
+    const wanted = keyTerms(question);
+
+    let best = null;
+    extractSources(prompt).forEach(source => {
+        source.text.split(/(?<=[.!?])\s+/).forEach(sentence => {
+            const terms = new Set(keyTerms(sentence));
+            const overlap = wanted.filter(term => terms.has(term)).length;
+            if (overlap > 0 && (!best || overlap > best.overlap)) {
+                best = { overlap, sentence: sentence.trim(), number: source.number };
+            }
+        });
+    });
+
+    return best
+        ? `${best.sentence} [${best.number}]`
+        : 'The document does not cover this question.';
+};
+
+const EMBEDDING_DIMENSIONS = 64;
+
+// FNV-1a hash of a term onto a vector dimension
+const dimensionOf = (term) => {
+    let hash = 2166136261;
+    for (const char of term) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 16777619);
+    }
+    return (hash >>> 0) % EMBEDDING_DIMENSIONS;
+};
+
+const embedText = (text) => {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    (String(text).toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) || [])
+        .filter(term => !STOP_WORDS.has(term))
+        .forEach(term => { vector[dimensionOf(term)] += 1; });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+};
+
+const RESPONDERS = Object.freeze({
+    summary: (prompt, sentences) => buildSummary(sentences),
+    quiz: buildQuiz,
+    custom_analysis: (prompt, sentences) => buildAnalysis(sentences),
+    grading: respondToGrading,
+    flashcards: buildFlashcards,
+    chat: (prompt, sentences, messages) => buildChatAnswer(prompt, messages),
+    status: () => 'OK'
+});
+
+/**
+ * Create the deterministic fake provider
+ * @param {string} name - Provider name reported in results
+ * @param {Object} settings - Provider settings
+ * @param {string} settings.model - Model name reported in results
+ * @param {string} settings.embeddingModel - Embedding model name reported in results
+ * @returns {Object} Provider with complete() and embed() methods
+ */
+export const createFakeProvider = (name, settings) => {
+    const complete = async ({ task, model, messages }) => {
+        const prompt = messages.map(message => message.content).join('\n\n');
+        const sentences = extractSentences(prompt);
+        const respond = RESPONDERS[task] || ((text, parts) => parts.slice(0, 3).join(' '));
+        const content = respond(prompt, sentences, messages);
+
+        const promptTokens = estimateTokens(prompt);
+        const completionTokens = estimateTokens(content);
+
+        return {
+            provider: name,
+            model: model || settings.model,
+            content,
+            usage: {
+                promptTokens,
+                completionTokens,
+                totalTokens: promptTokens + completionTokens
+            }
+        };
+    };
+
+    const embed = async ({ model, input }) => {
+        const promptTokens = estimateTokens(input.join(''));
+
+        return {
+            provider: name,
+            model: model || settings.embeddingModel,
+            embeddings: input.map(embedText),
+            usage: { promptTokens, completionTokens: 0, totalTokens: promptTokens }
+        };
+    };
+
+    return Object.freeze({ name, defaultModel: settings.model, complete, embed });
+};
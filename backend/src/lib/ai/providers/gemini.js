@@ -0,0 +1,107 @@
+/**
+ * Gemini Chat Provider
+ * @module lib/ai/providers/gemini
+ * @description Chat completions and embeddings through Google's Generative AI SDK
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * Map OpenAI-style messages onto Gemini's system instruction and contents
+ * @param {Array<Object>} messages - { role, content } messages
+ * @returns {{ systemInstruction: string|undefined, contents: Array<Object> }}
+ */
+const toGeminiRequest = (messages) => {
+    const system = messages
+        .filter(message => message.role === 'system')
+        .map(message => message.content)
+        .join('\n\n');
+
+    const contents = messages
+        .filter(message => message.role !== 'system')
+        .map(message => ({
+            role: message.role === 'assistant' ? 'model' : 'user',
+            parts: [{ text: message.content }]
+        }));
+
+    return { systemInstruction: system || undefined, contents };
+};
+
+/**
+ * Create a provider backed by the Gemini API
+ * @param {string} name - Provider name reported in results and errors
+ * @param {Object} settings - Provider settings
+ * @param {string} settings.apiKey - Gemini API key
+ * @param {string|null} settings.baseUrl - Optional API base URL override
+ * @param {string} settings.model - Default model
+ * @param {string} settings.embeddingModel - Default embedding model
+ * @param {Object} [clientOptions] - Transport options
+ * @param {number} [clientOptions.timeout] - Request timeout in milliseconds
+ * @returns {Object} Provider with complete() and embed() methods
+ */
+export const createGeminiProvider = (name, settings, clientOptions = {}) => {
+    const client = new GoogleGenerativeAI(settings.apiKey);
+
+    const complete = async ({ model, messages, maxTokens, temperature }) => {
+        const { systemInstruction, contents } = toGeminiRequest(messages);
+        const modelName = model || settings.model;
+
+        const generativeModel = client.getGenerativeModel(
+            { model: modelName, systemInstruction },
+            { timeout: clientOptions.timeout, ...(settings.baseUrl && { baseUrl: settings.baseUrl }) }
+        );
+
+        let result;
+        try {
+            result = await generativeModel.generateContent({
+                contents,
+                generationConfig: {
+                    maxOutputTokens: maxTokens,
+                    temperature
+                }
+            });
+        } catch (error) {
+            throw new Error(`${name} API error: ${error.message}`);
+        }
+
+        const usage = result.response.usageMetadata || {};
+
+        return {
+            provider: name,
+            model: modelName,
+            content: result.response.text() || '',
+            usage: {
+                promptTokens: usage.promptTokenCount || 0,
+                completionTokens: usage.candidatesTokenCount || 0,
+                totalTokens: usage.totalTokenCount || 0
+            }
+        };
+    };
+
+    const embed = async ({ model, input }) => {
+        const modelName = model || settings.embeddingModel;
+        const embeddingModel = client.getGenerativeModel(
+            { model: modelName },
+            { timeout: clientOptions.timeout, ...(settings.baseUrl && { baseUrl: settings.baseUrl }) }
+        );
+
+        let result;
+        try {
+            result = await embeddingModel.batchEmbedContents({
+                requests: input.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+            });
+        } catch (error) {
+            throw new Error(`${name} API error: ${error.message}`);
+        }
+
+        // The embeddings API does not report token usage
+        return {
+            provider: name,
+            model: modelName,
+            embeddings: result.embeddings.map(embedding => embedding.values),
+            usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+        };
+    };
+
+    return Object.freeze({ name, defaultModel: settings.model, complete, embed });
+};
@@ -0,0 +1,95 @@
+/**
+ * OpenAI-Compatible Chat Provider
+ * @module lib/ai/providers/openai-compatible
+ * @description Chat completions and embeddings for any endpoint speaking the
+ * OpenAI API: OpenAI itself, DeepSeek, and local servers such as Ollama or llama.cpp
+ */
+
+import OpenAI from 'openai';
+
+/**
+ * Create a provider backed by an OpenAI-compatible /chat/completions endpoint
+ * @param {string} name - Provider name reported in results and errors
+ * @param {Object} settings - Provider settings
+ * @param {string|null} settings.apiKey - Bearer token (optional for local servers)
+ * @param {string} settings.baseUrl - API base URL including the version segment
+ * @param {string} settings.model - Default model
+ * @param {string|null} settings.embeddingModel - Default embedding model
+ * @param {Object} [clientOptions] - Transport options
+ * @param {number} [clientOptions.timeout] - Request timeout in milliseconds
+ * @param {number} [clientOptions.maxRetries] - Retries on network errors, 429 and 5xx
+ * @returns {Object} Provider with complete() and embed() methods
+ */
+export const createOpenAICompatibleProvider = (name, settings, clientOptions = {}) => {
+    const client = new OpenAI({
+        // The SDK refuses an empty key; local servers accept any value
+        apiKey: settings.apiKey || 'not-required',
+        baseURL: settings.baseUrl,
+        timeout: clientOptions.timeout,
+        maxRetries: clientOptions.maxRetries
+    });
+
+    const toProviderError = (error) => {
+        if (error instanceof OpenAI.APIConnectionTimeoutError) {
+            return new Error(`${name} API request timeout after ${Math.round(clientOptions.timeout / 1000)} seconds`);
+        }
+        if (error instanceof OpenAI.APIError && error.status) {
+            return new Error(`${name} API error: ${error.status} - ${error.message}`);
+        }
+        return new Error(`${name} API request failed: ${error.message}`);
+    };
+
+    const complete = async ({ model, messages, maxTokens, temperature }) => {
+        let response;
+        try {
+            response = await client.chat.completions.create({
+                model: model || settings.model,
+                messages,
+                max_tokens: maxTokens,
+                temperature,
+                stream: false
+            });
+        } catch (error) {
+            throw toProviderError(error);
+        }
+
+        return {
+            provider: name,
+            model: response.model || model || settings.model,
+            content: response.choices?.[0]?.message?.content || '',
+            usage: {
+                promptTokens: response.usage?.prompt_tokens || 0,
+                completionTokens: response.usage?.completion_tokens || 0,
+                totalTokens: response.usage?.total_tokens || 0
+            }
+        };
+    };
+
+    const embed = async ({ model, input }) => {
+        let response;
+        try {
+            response = await client.embeddings.create({
+                model: model || settings.embeddingModel,
+                input
+            });
+        } catch (error) {
+            throw toProviderError(error);
+        }
+
+        return {
+            provider: name,
+            model: response.model || model || settings.embeddingModel,
+            // Entries carry their input position; keep input order
+            embeddings: [...response.data]
+                .sort((a, b) => a.index - b.index)
+                .map(entry => entry.embedding),
+            usage: {
+                promptTokens: response.usage?.prompt_tokens || 0,
+                completionTokens: 0,
+                totalTokens: response.usage?.total_tokens || 0
+            }
+        };
+    };
+
+    return Object.freeze({ name, defaultModel: settings.model, complete, embed });
+};
@@ -0,0 +1,46 @@
+/**
+ * AI Provider Registry
+ * @module lib/ai/registry
+ * @description Maps provider names to their factories and credential requirements
+ */
+
+import { AI_PROVIDERS } from '#constants/ai/index.js';
+import { createOpenAICompatibleProvider } from './providers/openai-compatible.js';
+import { createGeminiProvider } from './providers/gemini.js';
+import { createFakeProvider } from './providers/fake.js';
+
+const PROVIDER_REGISTRY = Object.freeze({
+    [AI_PROVIDERS.DEEPSEEK]: { factory: createOpenAICompatibleProvider, apiKeyEnv: 'DEEPSEEK_API_KEY' },
+    [AI_PROVIDERS.OPENAI]: { factory: createOpenAICompatibleProvider, apiKeyEnv: 'OPENAI_API_KEY' },
+    [AI_PROVIDERS.GEMINI]: { factory: createGeminiProvider, apiKeyEnv: 'GEMINI_API_KEY' },
+    [AI_PROVIDERS.LOCAL]: { factory: createOpenAICompatibleProvider, apiKeyEnv: null },
+    [AI_PROVIDERS.FAKE]: { factory: createFakeProvider, apiKeyEnv: null }
+});
+
+/**
+ * Check whether a provider name is registered
+ */
+export const isSupportedProvider = (name) => Object.hasOwn(PROVIDER_REGISTRY, name);
+
+/**
+ * Create a provider instance
+ * @param {string} name - Registered provider name
+ * @param {Object} settings - { apiKey, baseUrl, model } for the provider
+ * @param {Object} [clientOptions] - { timeout, maxRetries }
+ * @returns {Object} Provider with name, defaultModel, complete() and embed()
+ */
+export const createAIProvider = (name, settings, clientOptions = {}) => {
+    const entry = PROVIDER_REGISTRY[name];
+    if (!entry) {
+        const available = Object.keys(PROVIDER_REGISTRY).join(', ');
+        throw new Error(`Unknown AI provider: ${name}. Available: ${available}`);
+    }
+
+    if (entry.apiKeyEnv && !settings?.apiKey) {
+        const error = new Error(`${entry.apiKeyEnv} environment variable is required`);
+        error.code = 'MISSING_API_KEY';
+        throw error;
+    }
+
+    return entry.factory(name, settings, clientOptions);
+};
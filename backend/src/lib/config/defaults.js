@@ -3,11 +3,16 @@
  * @module lib/config/defaults
  */
 
-import { APP_DEFAULTS, SERVER_DEFAULTS } from '#constants/config/index.js';
+import { APP_DEFAULTS, SERVER_DEFAULTS, AI_DEFAULTS, QUEUE_DEFAULTS, OCR_DEFAULTS, MAIL_DEFAULTS, PAYMENT_DEFAULTS } from '#constants/config/index.js';
 
 const DEFAULTS_REGISTRY = Object.freeze({
     app: APP_DEFAULTS,
-    server: SERVER_DEFAULTS
+    server: SERVER_DEFAULTS,
+    ai: AI_DEFAULTS,
+    queue: QUEUE_DEFAULTS,
+    ocr: OCR_DEFAULTS,
+    mail: MAIL_DEFAULTS,
+    payment: PAYMENT_DEFAULTS
 });
 
 /**
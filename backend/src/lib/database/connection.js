@@ -73,12 +73,17 @@ export const getDatabaseStatus = () => {
 
 /**
  * Setup graceful shutdown handlers
+ * @param {Object} options - Shutdown options
+ * @param {Function} options.beforeDisconnect - Async cleanup that still needs the connection
  */
-export const setupGracefulShutdown = () => {
+export const setupGracefulShutdown = ({ beforeDisconnect } = {}) => {
     const shutdown = async (signal) => {
-        console.log(`\n🔄 Received ${signal}. Closing MongoDB connection...`);
-        
         try {
+            if (beforeDisconnect) {
+                await beforeDisconnect();
+            }
+
+            console.log(`\n🔄 Received ${signal}. Closing MongoDB connection...`);
             await disconnectDatabase();
             process.exit(0);
         } catch (error) {
@@ -22,4 +22,13 @@ export {
 export { 
     getDatabaseInfo, 
     validateDatabaseConfig 
-} from './helpers.js';
\ No newline at end of file
+} from './helpers.js';
+
+// ==========================================
+// TRANSACTIONS
+// ==========================================
+
+export { 
+    withTransaction, 
+    isRunningWithoutTransactions 
+} from './transactions.js';
@@ -0,0 +1,55 @@
+/**
+ * Database Transactions
+ * @module lib/database/transactions
+ * @description Runs work inside a MongoDB multi-document transaction.
+ * Transactions need a replica set (a single-node one is enough). Outside
+ * production a standalone server is tolerated: the work then runs without a
+ * session and callers must undo partial writes themselves.
+ */
+
+import mongoose from 'mongoose';
+import { isProduction } from '#lib/config/index.js';
+
+// Learned from the first transaction attempt; null until then
+let transactionsSupported = null;
+
+const isTransactionsUnsupportedError = (error) => (
+    error?.code === 20 || /Transaction numbers are only allowed/i.test(error?.message || '')
+);
+
+/**
+ * Whether the last transaction attempt ran without a session
+ */
+export const isRunningWithoutTransactions = () => transactionsSupported === false;
+
+/**
+ * Run work in a transaction, retrying it on transient errors
+ * @param {Function} work - async (session) => result; session is null when
+ *   the server cannot run transactions
+ * @returns {Promise<*>} Result of work
+ */
+export const withTransaction = async (work) => {
+    if (transactionsSupported === false) {
+        return work(null);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        transactionsSupported = true;
+        return result;
+    } catch (error) {
+        if (!isTransactionsUnsupportedError(error) || isProduction()) {
+            throw error;
+        }
+
+        transactionsSupported = false;
+        console.warn('⚠️ MongoDB is not a replica set; multi-document writes run without transactions');
+        return work(null);
+    } finally {
+        await session.endSession();
+    }
+};
@@ -0,0 +1,112 @@
+/**
+ * Archive & XML Helpers
+ * @module lib/documents/archive
+ * @description Shared helpers for ZIP-packaged document formats (Office Open XML, EPUB)
+ */
+
+import JSZip from 'jszip';
+import { DOMParser } from '@xmldom/xmldom';
+
+/**
+ * Load a ZIP-based document package from a buffer
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {Promise<JSZip>} Loaded archive
+ */
+export const loadArchive = async (buffer) => {
+    try {
+        return await JSZip.loadAsync(buffer);
+    } catch (error) {
+        throw new Error(`File is not a valid document package: ${error.message}`);
+    }
+};
+
+/**
+ * Read an archive entry as UTF-8 text
+ * @param {JSZip} archive - Loaded archive
+ * @param {string} entryPath - Path inside the archive
+ * @returns {Promise<string|null>} Entry contents, or null when the entry is missing
+ */
+export const readArchiveText = async (archive, entryPath) => {
+    const entry = archive.file(entryPath);
+    return entry ? entry.async('string') : null;
+};
+
+/**
+ * Parse an XML string into a DOM document
+ * @param {string} xml - XML source
+ * @returns {Document} Parsed XML document
+ */
+export const parseXml = (xml) => {
+    return new DOMParser({
+        onError: (level, message) => {
+            if (level === 'fatalError') {
+                throw new Error(`Malformed XML: ${message}`);
+            }
+        }
+    }).parseFromString(xml, 'text/xml');
+};
+
+/**
+ * Get direct element children, optionally filtered by local name
+ * @param {Node} node - Parent node
+ * @param {string} [localName] - Element local name (namespace prefix ignored)
+ * @returns {Array<Element>} Matching child elements
+ */
+export const childElements = (node, localName) => {
+    const children = [];
+    if (!node || !node.childNodes) return children;
+
+    for (let i = 0; i < node.childNodes.length; i++) {
+        const child = node.childNodes[i];
+        if (child.nodeType === 1 && (!localName || child.localName === localName)) {
+            children.push(child);
+        }
+    }
+    return children;
+};
+
+/**
+ * Get the first direct element child with the given local name
+ * @param {Node} node - Parent node
+ * @param {string} localName - Element local name
+ * @returns {Element|null} First matching child
+ */
+export const firstChild = (node, localName) => {
+    return childElements(node, localName)[0] || null;
+};
+
+/**
+ * Get all descendant elements with the given local name, in document order
+ * @param {Node} node - Root node
+ * @param {string} localName - Element local name
+ * @returns {Array<Element>} Matching descendants
+ */
+export const descendants = (node, localName) => {
+    const found = [];
+    const walk = (current) => {
+        childElements(current).forEach(child => {
+            if (child.localName === localName) found.push(child);
+            walk(child);
+        });
+    };
+    walk(node);
+    return found;
+};
+
+/**
+ * Read an attribute by local name, ignoring its namespace prefix
+ * @param {Element} element - Element to read from
+ * @param {string} localName - Attribute local name
+ * @returns {string|null} Attribute value
+ */
+export const getAttribute = (element, localName) => {
+    if (!element || !element.attributes) return null;
+
+    for (let i = 0; i < element.attributes.length; i++) {
+        const attribute = element.attributes[i];
+        if (attribute.localName === localName || attribute.name === localName) {
+            return attribute.value;
+        }
+    }
+    return null;
+};
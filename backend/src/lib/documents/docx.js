@@ -0,0 +1,350 @@
+/**
+ * DOCX Text Extraction
+ * @module lib/documents/docx
+ * @description Walks WordprocessingML (word/document.xml) and renders paragraphs,
+ * headings, lists, tables and footnotes as structured plain text
+ */
+
+import {
+    loadArchive,
+    readArchiveText,
+    parseXml,
+    childElements,
+    firstChild,
+    descendants,
+    getAttribute
+} from './archive.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const DOCX_PARTS = Object.freeze({
+    DOCUMENT: 'word/document.xml',
+    STYLES: 'word/styles.xml',
+    NUMBERING: 'word/numbering.xml',
+    FOOTNOTES: 'word/footnotes.xml',
+    ENDNOTES: 'word/endnotes.xml',
+    APP_PROPERTIES: 'docProps/app.xml'
+});
+
+const HEADING_STYLE_PATTERN = /^heading\s*(\d)$/i;
+const BULLET_FORMATS = Object.freeze(['bullet', 'none']);
+const MAX_HEADING_LEVEL = 6;
+
+// ==========================================
+// PACKAGE PART PARSERS
+// ==========================================
+
+/**
+ * Map paragraph style IDs to heading levels using styles.xml
+ * @param {Document|null} stylesXml - Parsed styles part
+ * @returns {Map<string, number>} styleId -> heading level (0 = title)
+ */
+const buildHeadingStyles = (stylesXml) => {
+    const headingStyles = new Map();
+    if (!stylesXml) return headingStyles;
+
+    descendants(stylesXml, 'style').forEach(style => {
+        const styleId = getAttribute(style, 'styleId');
+        const name = getAttribute(firstChild(style, 'name'), 'val') || '';
+        const outlineLevel = getAttribute(firstChild(firstChild(style, 'pPr'), 'outlineLvl'), 'val');
+
+        const headingMatch = name.match(HEADING_STYLE_PATTERN);
+        if (name.toLowerCase() === 'title') {
+            headingStyles.set(styleId, 0);
+        } else if (headingMatch) {
+            headingStyles.set(styleId, parseInt(headingMatch[1], 10));
+        } else if (outlineLevel !== null && parseInt(outlineLevel, 10) < 9) {
+            headingStyles.set(styleId, parseInt(outlineLevel, 10) + 1);
+        }
+    });
+
+    return headingStyles;
+};
+
+/**
+ * Resolve list formats (bullet vs numbered) per numId and level using numbering.xml
+ * @param {Document|null} numberingXml - Parsed numbering part
+ * @returns {Map<string, Map<string, string>>} numId -> (ilvl -> numFmt)
+ */
+const buildNumberingFormats = (numberingXml) => {
+    const formats = new Map();
+    if (!numberingXml) return formats;
+
+    const abstractFormats = new Map();
+    descendants(numberingXml, 'abstractNum').forEach(abstractNum => {
+        const levels = new Map();
+        childElements(abstractNum, 'lvl').forEach(level => {
+            levels.set(
+                getAttribute(level, 'ilvl'),
+                getAttribute(firstChild(level, 'numFmt'), 'val') || 'decimal'
+            );
+        });
+        abstractFormats.set(getAttribute(abstractNum, 'abstractNumId'), levels);
+    });
+
+    descendants(numberingXml, 'num').forEach(num => {
+        const abstractId = getAttribute(firstChild(num, 'abstractNumId'), 'val');
+        formats.set(getAttribute(num, 'numId'), abstractFormats.get(abstractId) || new Map());
+    });
+
+    return formats;
+};
+
+/**
+ * Read page count recorded by the authoring application, if any
+ * @param {Document|null} appXml - Parsed docProps/app.xml
+ * @returns {number|null} Page count
+ */
+const readRecordedPageCount = (appXml) => {
+    if (!appXml) return null;
+
+    const pages = descendants(appXml, 'Pages')[0];
+    const value = pages ? parseInt(pages.textContent, 10) : NaN;
+    return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+// ==========================================
+// BODY RENDERING
+// ==========================================
+
+/**
+ * Collect the visible text of a paragraph, including footnote markers
+ * @param {Element} paragraph - w:p element
+ * @returns {string} Paragraph text
+ */
+const renderParagraphText = (paragraph) => {
+    let text = '';
+
+    const walk = (node) => {
+        childElements(node).forEach(element => {
+            switch (element.localName) {
+                case 't':
+                    text += element.textContent;
+                    break;
+                case 'tab':
+                    text += '\t';
+                    break;
+                case 'br':
+                case 'cr':
+                    text += '\n';
+                    break;
+                case 'noBreakHyphen':
+                    text += '-';
+                    break;
+                case 'footnoteReference':
+                    text += `[${getAttribute(element, 'id')}]`;
+                    break;
+                case 'endnoteReference':
+                    text += `[e${getAttribute(element, 'id')}]`;
+                    break;
+                // Deleted revisions, field instructions and paragraph properties carry no visible text
+                case 'del':
+                case 'instrText':
+                case 'pPr':
+                case 'rPr':
+                    break;
+                default:
+                    walk(element);
+            }
+        });
+    };
+
+    walk(paragraph);
+    return text.replace(/[ \u00A0]{2,}/g, ' ').trim();
+};
+
+/**
+ * Create a renderer bound to the style and numbering tables of one package
+ * @param {Object} context - Package context
+ * @returns {Object} Renderer state and block walker
+ */
+const createBodyRenderer = ({ headingStyles, numberingFormats }) => {
+    const stats = { paragraphs: 0, headings: [], listItems: 0, tables: 0 };
+    const listCounters = new Map();
+
+    const renderParagraph = (paragraph) => {
+        const text = renderParagraphText(paragraph);
+        if (!text) return null;
+
+        stats.paragraphs++;
+        const properties = firstChild(paragraph, 'pPr');
+        const styleId = getAttribute(firstChild(properties, 'pStyle'), 'val');
+        const outlineLevel = getAttribute(firstChild(properties, 'outlineLvl'), 'val');
+
+        let headingLevel = styleId && headingStyles.has(styleId) ? headingStyles.get(styleId) : null;
+        if (headingLevel === null && outlineLevel !== null && parseInt(outlineLevel, 10) < 9) {
+            headingLevel = parseInt(outlineLevel, 10) + 1;
+        }
+
+        if (headingLevel !== null) {
+            const level = Math.min(Math.max(headingLevel, 1), MAX_HEADING_LEVEL);
+            stats.headings.push({ level, title: text });
+            return `${'#'.repeat(level)} ${text}`;
+        }
+
+        const numbering = firstChild(properties, 'numPr');
+        if (numbering) {
+            const numId = getAttribute(firstChild(numbering, 'numId'), 'val');
+            const indentLevel = getAttribute(firstChild(numbering, 'ilvl'), 'val') || '0';
+
+            // numId 0 explicitly removes numbering from a styled paragraph
+            if (numId && numId !== '0') {
+                stats.listItems++;
+                const format = numberingFormats.get(numId)?.get(indentLevel) || 'bullet';
+                const indent = '  '.repeat(parseInt(indentLevel, 10) || 0);
+
+                if (BULLET_FORMATS.includes(format)) {
+                    return `${indent}• ${text}`;
+                }
+
+                const counterKey = `${numId}:${indentLevel}`;
+                const count = (listCounters.get(counterKey) || 0) + 1;
+                listCounters.set(counterKey, count);
+                // Restart deeper levels when a parent item advances
+                for (const key of listCounters.keys()) {
+                    const [keyNumId, keyLevel] = key.split(':');
+                    if (keyNumId === numId && parseInt(keyLevel, 10) > parseInt(indentLevel, 10)) {
+                        listCounters.delete(key);
+                    }
+                }
+                return `${indent}${count}. ${text}`;
+            }
+        }
+
+        return text;
+    };
+
+    const renderTable = (table) => {
+        stats.tables++;
+        const rows = childElements(table, 'tr').map(row => {
+            const cells = childElements(row, 'tc').map(cell => {
+                return renderBlocks(cell).join(' ').replace(/\s*\n\s*/g, ' ').trim();
+            });
+            return `| ${cells.join(' | ')} |`;
+        });
+        return rows.length > 0 ? rows.join('\n') : null;
+    };
+
+    const renderBlocks = (container) => {
+        const blocks = [];
+        childElements(container).forEach(element => {
+            let rendered = null;
+            switch (element.localName) {
+                case 'p':
+                    rendered = renderParagraph(element);
+                    break;
+                case 'tbl':
+                    rendered = renderTable(element);
+                    break;
+                // Content controls and custom XML wrap ordinary blocks
+                case 'sdt':
+                    blocks.push(...renderBlocks(firstChild(element, 'sdtContent')));
+                    break;
+                case 'customXml':
+                    blocks.push(...renderBlocks(element));
+                    break;
+                default:
+                    break;
+            }
+            if (rendered) blocks.push(rendered);
+        });
+        return blocks;
+    };
+
+    return { stats, renderBlocks };
+};
+
+/**
+ * Render footnotes or endnotes as "[id] text" lines
+ * @param {Document|null} notesXml - Parsed footnotes/endnotes part
+ * @param {string} noteName - Element local name ('footnote' | 'endnote')
+ * @param {string} markerPrefix - Marker prefix matching body references
+ * @returns {Array<string>} Rendered notes
+ */
+const renderNotes = (notesXml, noteName, markerPrefix = '') => {
+    if (!notesXml) return [];
+
+    return descendants(notesXml, noteName)
+        .filter(note => {
+            // Separator notes hold the horizontal rule Word draws above notes
+            const type = getAttribute(note, 'type');
+            return !type || type === 'normal';
+        })
+        .map(note => {
+            const text = childElements(note, 'p')
+                .map(renderParagraphText)
+                .filter(Boolean)
+                .join(' ');
+            return text ? `[${markerPrefix}${getAttribute(note, 'id')}] ${text}` : null;
+        })
+        .filter(Boolean);
+};
+
+// ==========================================
+// PUBLIC API
+// ==========================================
+
+/**
+ * Extract structured text from a DOCX buffer
+ * @param {Buffer} buffer - DOCX file contents
+ * @returns {Promise<Object>} { text, recordedPageCount, structure }
+ */
+export const extractDocxContent = async (buffer) => {
+    const archive = await loadArchive(buffer);
+
+    const documentSource = await readArchiveText(archive, DOCX_PARTS.DOCUMENT);
+    if (!documentSource) {
+        throw new Error('DOCX package is missing word/document.xml');
+    }
+
+    const loadPart = async (partPath) => {
+        const source = await readArchiveText(archive, partPath);
+        return source ? parseXml(source) : null;
+    };
+
+    const [stylesXml, numberingXml, footnotesXml, endnotesXml, appXml] = await Promise.all([
+        loadPart(DOCX_PARTS.STYLES),
+        loadPart(DOCX_PARTS.NUMBERING),
+        loadPart(DOCX_PARTS.FOOTNOTES),
+        loadPart(DOCX_PARTS.ENDNOTES),
+        loadPart(DOCX_PARTS.APP_PROPERTIES)
+    ]);
+
+    const documentXml = parseXml(documentSource);
+    const body = descendants(documentXml, 'body')[0];
+    if (!body) {
+        throw new Error('DOCX document has no body');
+    }
+
+    const { stats, renderBlocks } = createBodyRenderer({
+        headingStyles: buildHeadingStyles(stylesXml),
+        numberingFormats: buildNumberingFormats(numberingXml)
+    });
+
+    const blocks = renderBlocks(body);
+    const footnotes = renderNotes(footnotesXml, 'footnote');
+    const endnotes = renderNotes(endnotesXml, 'endnote', 'e');
+
+    const sections = [blocks.join('\n\n')];
+    if (footnotes.length > 0) sections.push(`Footnotes\n${footnotes.join('\n')}`);
+    if (endnotes.length > 0) sections.push(`Endnotes\n${endnotes.join('\n')}`);
+
+    return {
+        text: sections.filter(Boolean).join('\n\n').trim(),
+        recordedPageCount: readRecordedPageCount(appXml),
+        structure: {
+            paragraphCount: stats.paragraphs,
+            headings: stats.headings,
+            listItemCount: stats.listItems,
+            tableCount: stats.tables,
+            footnoteCount: footnotes.length,
+            endnoteCount: endnotes.length
+        }
+    };
+};
+
+export default {
+    extractDocxContent
+};
@@ -0,0 +1,127 @@
+/**
+ * EPUB Text Extraction
+ * @module lib/documents/epub
+ * @description Follows the package (OPF) spine and renders each XHTML chapter in
+ * reading order. Chapter headings form the outline.
+ */
+
+import path from 'path';
+import {
+    loadArchive,
+    readArchiveText,
+    parseXml,
+    firstChild,
+    descendants,
+    getAttribute
+} from './archive.js';
+import { extractHtmlContent } from './html.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const CONTAINER_PATH = 'META-INF/container.xml';
+
+const CHAPTER_MEDIA_TYPES = Object.freeze(['application/xhtml+xml', 'text/html']);
+
+// ==========================================
+// PACKAGE HELPERS
+// ==========================================
+
+/**
+ * Find the package document named by META-INF/container.xml
+ */
+const findPackagePath = async (archive) => {
+    const container = await readArchiveText(archive, CONTAINER_PATH);
+    if (!container) {
+        throw new Error('EPUB package is missing META-INF/container.xml');
+    }
+
+    const rootFile = descendants(parseXml(container), 'rootfile')[0];
+    const packagePath = getAttribute(rootFile, 'full-path');
+    if (!packagePath) {
+        throw new Error('EPUB container does not name a package document');
+    }
+    return packagePath;
+};
+
+/**
+ * Resolve a manifest href against the package document's folder
+ */
+const resolveHref = (packagePath, href) => {
+    let decoded = href.split('#')[0];
+    try {
+        decoded = decodeURIComponent(decoded);
+    } catch {
+        // Keep malformed escapes as written
+    }
+    return path.posix.normalize(path.posix.join(path.posix.dirname(packagePath), decoded));
+};
+
+// ==========================================
+// PUBLIC API
+// ==========================================
+
+/**
+ * Extract chapter text from an EPUB buffer in reading order
+ * @param {Buffer} buffer - EPUB file contents
+ * @returns {Promise<Object>} { title, text, headings, structure }
+ */
+export const extractEpubContent = async (buffer) => {
+    const archive = await loadArchive(buffer);
+    const packagePath = await findPackagePath(archive);
+
+    const packageSource = await readArchiveText(archive, packagePath);
+    if (!packageSource) {
+        throw new Error(`EPUB package document ${packagePath} is missing`);
+    }
+    const packageXml = parseXml(packageSource);
+
+    const manifest = new Map();
+    descendants(firstChild(packageXml.documentElement, 'manifest'), 'item').forEach(item => {
+        manifest.set(getAttribute(item, 'id'), {
+            href: getAttribute(item, 'href') || '',
+            mediaType: getAttribute(item, 'media-type') || ''
+        });
+    });
+
+    const chapterPaths = descendants(firstChild(packageXml.documentElement, 'spine'), 'itemref')
+        .map(itemRef => manifest.get(getAttribute(itemRef, 'idref')))
+        .filter(item => item && CHAPTER_MEDIA_TYPES.includes(item.mediaType))
+        .map(item => resolveHref(packagePath, item.href));
+
+    if (chapterPaths.length === 0) {
+        throw new Error('EPUB spine lists no readable chapters');
+    }
+
+    const chapters = [];
+    const headings = [];
+
+    for (const chapterPath of chapterPaths) {
+        const source = await readArchiveText(archive, chapterPath);
+        if (!source) continue;
+
+        // Chapters keep their <header>, which often holds the chapter title
+        const chapter = extractHtmlContent(source, { readable: false });
+        if (!chapter.text) continue;
+
+        chapters.push(chapter.text);
+        headings.push(...chapter.headings);
+    }
+
+    const title = descendants(firstChild(packageXml.documentElement, 'metadata'), 'title')[0]?.textContent?.trim() || null;
+
+    return {
+        title,
+        text: chapters.join('\n\n').trim(),
+        headings,
+        structure: {
+            chapterCount: chapters.length,
+            headings
+        }
+    };
+};
+
+export default {
+    extractEpubContent
+};
@@ -0,0 +1,332 @@
+/**
+ * HTML Text Extraction
+ * @module lib/documents/html
+ * @description Renders HTML as structured plain text with a tolerant tag scanner,
+ * so real-world markup that is not well-formed XML still reads cleanly. In
+ * readable mode page chrome (navigation, headers, footers, sidebars, forms) is
+ * dropped and the article or main element is preferred over the whole body.
+ */
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+// Tags, comments, doctypes and CDATA; attribute values may contain '>'
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+// Elements whose contents are never text
+const RAW_TEXT_ELEMENTS = Object.freeze(['head', 'script', 'style', 'textarea', 'template', 'noscript', 'svg', 'math', 'iframe', 'object', 'canvas']);
+
+// Page chrome dropped when extracting a readable article
+const CHROME_ELEMENTS = Object.freeze(['nav', 'header', 'footer', 'aside', 'form', 'button', 'select', 'dialog', 'menu']);
+
+const BLOCK_ELEMENTS = Object.freeze([
+    'address', 'article', 'blockquote', 'body', 'caption', 'dd', 'details', 'div', 'dl', 'dt',
+    'fieldset', 'figcaption', 'figure', 'hr', 'html', 'li', 'main', 'ol', 'p', 'pre', 'section',
+    'summary', 'table', 'tbody', 'thead', 'tfoot', 'tr', 'ul'
+]);
+
+const VOID_ELEMENTS = Object.freeze(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+const HEADING_PATTERN = /^h([1-6])$/;
+
+const NAMED_ENTITIES = Object.freeze({
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+    ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+    copy: '©', reg: '®', trade: '™', deg: '°', times: '×', divide: '÷',
+    plusmn: '±', minus: '−', le: '≤', ge: '≥', ne: '≠', asymp: '≈',
+    larr: '←', rarr: '→', harr: '↔', shy: '', zwj: '', zwnj: '',
+    euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶',
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', pi: 'π', sigma: 'σ', mu: 'μ', lambda: 'λ', theta: 'θ', omega: 'ω'
+});
+
+// ==========================================
+// TEXT HELPERS
+// ==========================================
+
+/**
+ * Decode named and numeric character references
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text
+ */
+export const decodeEntities = (text) => {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+        }
+        const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+        return decoded === undefined ? match : decoded;
+    });
+};
+
+/**
+ * Read an attribute from a raw attribute string
+ */
+const readAttribute = (attributes, name) => {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i'));
+    return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+};
+
+/**
+ * Slice out the contents of the first `<tag>` through the last `</tag>`
+ */
+const sliceElement = (html, tagName) => {
+    const open = html.search(new RegExp(`<${tagName}[\\s>]`, 'i'));
+    if (open === -1) return null;
+
+    const close = html.toLowerCase().lastIndexOf(`</${tagName}>`);
+    return close > open ? html.slice(open, close) : html.slice(open);
+};
+
+/**
+ * Pick the part of a page that holds its content: the article, else main, else body
+ */
+const selectReadableRegion = (html) => {
+    for (const tagName of ['article', 'main', 'body']) {
+        const region = sliceElement(html, tagName);
+        if (region && region.replace(/<[^>]*>/g, '').trim().length > 0) return region;
+    }
+    return html;
+};
+
+/**
+ * Find the page title from <title>, falling back to og:title
+ */
+const readTitle = (html) => {
+    const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    if (titleMatch) {
+        const title = decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim();
+        if (title) return title;
+    }
+
+    const metaPattern = /<meta\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+    let meta;
+    while ((meta = metaPattern.exec(html)) !== null) {
+        if ((readAttribute(meta[1], 'property') || '').toLowerCase() === 'og:title') {
+            return (readAttribute(meta[1], 'content') || '').trim() || null;
+        }
+    }
+    return null;
+};
+
+// ==========================================
+// RENDERER
+// ==========================================
+
+/**
+ * Walk the tokens of an HTML fragment and render text blocks
+ * @param {string} html - HTML fragment
+ * @param {Object} options - { readable }
+ * @returns {{ text: string, headings: Array<Object>, stats: Object }} Rendered content
+ */
+const renderHtml = (html, { readable }) => {
+    const skipped = readable ? [...RAW_TEXT_ELEMENTS, ...CHROME_ELEMENTS] : RAW_TEXT_ELEMENTS;
+    const blocks = [];
+    const headings = [];
+    const stats = { paragraphs: 0, listItems: 0, tables: 0 };
+
+    const listStack = [];
+    let current = '';
+    let prefix = '';
+    let tight = false;
+    let preDepth = 0;
+    let heading = null;
+    let cellIndex = 0;
+
+    // List items and table rows are kept on consecutive lines; other blocks are paragraphs
+    const flush = () => {
+        const text = preDepth > 0
+            ? current.replace(/^\n+|\s+$/g, '')
+            : current.replace(/[^\S\n]+/g, ' ').replace(/ *\n */g, '\n').trim();
+        if (text) {
+            blocks.push({ text: `${prefix}${text}`, tight });
+            stats.paragraphs++;
+        }
+        current = '';
+        prefix = '';
+        tight = false;
+    };
+
+    const appendText = (raw) => {
+        const text = decodeEntities(raw);
+        current += preDepth > 0 ? text : text.replace(/\s+/g, ' ');
+    };
+
+    let lastIndex = 0;
+    TOKEN_PATTERN.lastIndex = 0;
+    let token;
+
+    while ((token = TOKEN_PATTERN.exec(html)) !== null) {
+        if (token.index > lastIndex) appendText(html.slice(lastIndex, token.index));
+        lastIndex = TOKEN_PATTERN.lastIndex;
+
+        const [, closing, rawName, attributes] = token;
+        if (!rawName) continue; // comment, doctype, CDATA or processing instruction
+
+        const tagName = rawName.toLowerCase();
+        const selfClosing = /\/\s*$/.test(attributes || '');
+
+        // Skip everything up to the matching close tag; nesting of the same tag is tracked
+        if (!closing && skipped.includes(tagName) && !selfClosing) {
+            const scanner = new RegExp(`<(/?)${tagName}(?:[\\s/][^>]*)?>`, 'gi');
+            scanner.lastIndex = lastIndex;
+            let depth = 1;
+            let match;
+            while (depth > 0 && (match = scanner.exec(html)) !== null) {
+                depth += match[1] ? -1 : 1;
+            }
+            lastIndex = depth > 0 ? html.length : scanner.lastIndex;
+            TOKEN_PATTERN.lastIndex = lastIndex;
+            continue;
+        }
+
+        const headingMatch = tagName.match(HEADING_PATTERN);
+
+        if (headingMatch) {
+            if (closing && heading) {
+                const title = current.replace(/\s+/g, ' ').trim();
+                if (title) headings.push({ level: heading.level, title });
+                heading = null;
+            }
+            flush();
+            if (!closing) heading = { level: parseInt(headingMatch[1], 10) };
+            continue;
+        }
+
+        if (tagName === 'br') {
+            current += '\n';
+            continue;
+        }
+
+        if (tagName === 'pre') {
+            flush();
+            preDepth = Math.max(0, preDepth + (closing ? -1 : 1));
+            continue;
+        }
+
+        if (tagName === 'ul' || tagName === 'ol') {
+            flush();
+            if (closing) {
+                listStack.pop();
+            } else {
+                listStack.push({ ordered: tagName === 'ol', count: 0 });
+            }
+            continue;
+        }
+
+        if (tagName === 'li') {
+            flush();
+            if (!closing) {
+                const list = listStack[listStack.length - 1];
+                const indent = '  '.repeat(Math.max(0, listStack.length - 1));
+                if (list) list.count++;
+                prefix = `${indent}${list?.ordered ? `${list.count}.` : '-'} `;
+                tight = true;
+                stats.listItems++;
+            }
+            continue;
+        }
+
+        if (tagName === 'td' || tagName === 'th') {
+            if (!closing && cellIndex++ > 0) current += ' | ';
+            continue;
+        }
+
+        if (tagName === 'tr') {
+            flush();
+            tight = !closing;
+            cellIndex = 0;
+            continue;
+        }
+
+        if (tagName === 'table' && !closing) stats.tables++;
+
+        if (tagName === 'img' && !closing) {
+            const alt = readAttribute(attributes || '', 'alt');
+            if (alt && alt.trim()) current += ` ${alt.trim()} `;
+            continue;
+        }
+
+        if (BLOCK_ELEMENTS.includes(tagName)) {
+            flush();
+            continue;
+        }
+
+        if (VOID_ELEMENTS.includes(tagName)) continue;
+    }
+
+    if (lastIndex < html.length) appendText(html.slice(lastIndex));
+    flush();
+
+    const text = blocks
+        .map((block, index) => (index === 0 ? '' : (block.tight && blocks[index - 1].tight ? '\n' : '\n\n')) + block.text)
+        .join('');
+
+    return { text, headings, stats };
+};
+
+// ==========================================
+// PUBLIC API
+// ==========================================
+
+/**
+ * Extract structured text from an HTML page or fragment
+ * @param {string} html - HTML source
+ * @param {Object} [options]
+ * @param {boolean} [options.readable=true] - Drop page chrome and prefer the article or main element
+ * @returns {{ title: string|null, text: string, headings: Array<Object>, structure: Object }} Extracted content
+ */
+export const extractHtmlContent = (html, { readable = true } = {}) => {
+    const source = String(html || '');
+    const region = readable ? selectReadableRegion(source) : source;
+    const { text, headings, stats } = renderHtml(region, { readable });
+
+    return {
+        title: readTitle(source) || headings[0]?.title || null,
+        text: text.trim(),
+        headings,
+        structure: {
+            paragraphCount: stats.paragraphs,
+            headings,
+            listItemCount: stats.listItems,
+            tableCount: stats.tables
+        }
+    };
+};
+
+/**
+ * Find the character set a page declares in a <meta> tag
+ * @param {Buffer} buffer - Raw page bytes
+ * @returns {string|null} Declared charset
+ */
+export const sniffHtmlCharset = (buffer) => {
+    const head = buffer.subarray(0, 2048).toString('latin1');
+    const match = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([a-z0-9_:.-]+)/i);
+    return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Decode page bytes with the declared character set, falling back to UTF-8
+ * @param {Buffer} buffer - Raw page bytes
+ * @param {string|null} [charset] - Charset from the Content-Type header, which wins over <meta>
+ * @returns {string} Decoded HTML
+ */
+export const decodeHtml = (buffer, charset = null) => {
+    const label = charset || sniffHtmlCharset(buffer) || 'utf-8';
+    try {
+        return new TextDecoder(label).decode(buffer);
+    } catch {
+        return new TextDecoder('utf-8').decode(buffer);
+    }
+};
+
+export default {
+    extractHtmlContent,
+    decodeEntities,
+    sniffHtmlCharset,
+    decodeHtml
+};
@@ -0,0 +1,31 @@
+/**
+ * Document Parsing Library Exports
+ * @module lib/documents
+ * @description Central export point for file-format text extraction helpers
+ */
+
+// ==========================================
+// FORMAT PARSERS
+// ==========================================
+
+export { extractDocxContent } from './docx.js';
+export { extractPdfContent } from './pdf.js';
+export { extractPptxContent } from './pptx.js';
+export { extractEpubContent } from './epub.js';
+export { extractMarkdownContent } from './markdown.js';
+export { extractHtmlContent, sniffHtmlCharset, decodeHtml } from './html.js';
+export { parseTesseractTsv, checkOcrBinaries, recognizeImage, recognizePdfPages } from './ocr.js';
+
+// ==========================================
+// SHARED HELPERS
+// ==========================================
+
+export {
+    loadArchive,
+    readArchiveText,
+    parseXml,
+    childElements,
+    firstChild,
+    descendants,
+    getAttribute
+} from './archive.js';
@@ -0,0 +1,194 @@
+/**
+ * Markdown Text Extraction
+ * @module lib/documents/markdown
+ * @description Renders Markdown notes as plain text: headings become the outline,
+ * inline markup and link targets are removed, code blocks are kept verbatim
+ */
+
+import { extractHtmlContent } from './html.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+const ATX_HEADING_PATTERN = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const SETEXT_UNDERLINE_PATTERN = /^ {0,3}(=+|-+)\s*$/;
+const THEMATIC_BREAK_PATTERN = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const REFERENCE_DEFINITION_PATTERN = /^ {0,3}\[[^\]]+\]:\s*\S+/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(\[[ xX]\]\s+)?/;
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)\r?\n/;
+
+// ==========================================
+// INLINE MARKUP
+// ==========================================
+
+/**
+ * Strip inline Markdown (links, images, emphasis, code spans, HTML) from a line
+ * @param {string} line - Markdown line
+ * @returns {string} Plain text
+ */
+const renderInline = (line) => {
+    const codeSpans = [];
+
+    return line
+        // Code spans are literal; park them so emphasis rules leave them alone
+        .replace(/(`+)(.+?)\1/g, (match, ticks, code) => {
+            codeSpans.push(code.trim());
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        })
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/!\[([^\]]*)\]\[[^\]]*\]/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+        .replace(/<((?:https?|mailto):[^>\s]+)>/gi, '$1')
+        .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+        .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+        .replace(/(?<![\w*])\*(?=\S)(.+?)(?<=\S)\*(?![\w*])/g, '$1')
+        .replace(/(?<![\w_])_(?=\S)(.+?)(?<=\S)_(?![\w_])/g, '$1')
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '$1')
+        .replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, '$1')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[Number(index)]);
+};
+
+/**
+ * Read a title from YAML front matter
+ */
+const readFrontMatterTitle = (frontMatter) => {
+    const match = frontMatter.match(/^title:\s*["']?(.+?)["']?\s*$/m);
+    return match ? match[1].trim() : null;
+};
+
+// ==========================================
+// PUBLIC API
+// ==========================================
+
+/**
+ * Extract structured text from Markdown source
+ * @param {string} source - Markdown source
+ * @returns {{ title: string|null, text: string, headings: Array<Object>, structure: Object }} Extracted content
+ */
+export const extractMarkdownContent = (source) => {
+    let markdown = String(source || '').replace(/^\uFEFF/, '');
+    let title = null;
+
+    const frontMatter = markdown.match(FRONT_MATTER_PATTERN);
+    if (frontMatter) {
+        title = readFrontMatterTitle(frontMatter[1]);
+        markdown = markdown.slice(frontMatter[0].length);
+    }
+
+    const lines = markdown.split(/\r?\n/);
+    const output = [];
+    const headings = [];
+    const stats = { codeBlocks: 0, listItems: 0, tableRows: 0 };
+
+    let fence = null;
+    let htmlBlock = null;
+
+    const addHeading = (level, text) => {
+        const heading = renderInline(text).trim();
+        if (!heading) return;
+        headings.push({ level, title: heading });
+        output.push('', heading, '');
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (fence) {
+            if (line.trim().startsWith(fence) && line.trim().replace(/[`~]/g, '') === '') {
+                fence = null;
+                output.push('');
+            } else {
+                output.push(line);
+            }
+            continue;
+        }
+
+        const fenceMatch = line.match(FENCE_PATTERN);
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            stats.codeBlocks++;
+            output.push('');
+            continue;
+        }
+
+        // Raw HTML blocks are rendered with the HTML extractor
+        if (htmlBlock !== null) {
+            htmlBlock.push(line);
+            if (line.trim() === '') {
+                output.push(extractHtmlContent(htmlBlock.join('\n'), { readable: false }).text, '');
+                htmlBlock = null;
+            }
+            continue;
+        }
+        if (/^ {0,3}<(?:div|table|details|p|ul|ol|figure|section)[\s>]/i.test(line)) {
+            htmlBlock = [line];
+            continue;
+        }
+
+        const atxMatch = line.match(ATX_HEADING_PATTERN);
+        if (atxMatch) {
+            addHeading(atxMatch[1].length, atxMatch[2] || '');
+            continue;
+        }
+
+        // "Title\n=====" and "Title\n-----" headings
+        const next = lines[i + 1];
+        if (line.trim() && next !== undefined && SETEXT_UNDERLINE_PATTERN.test(next) &&
+            !LIST_ITEM_PATTERN.test(line) && !line.includes('|')) {
+            addHeading(next.trim()[0] === '=' ? 1 : 2, line.trim());
+            i++;
+            continue;
+        }
+
+        // The row under a table header only sets column alignment
+        if (TABLE_DIVIDER_PATTERN.test(line)) continue;
+
+        if (THEMATIC_BREAK_PATTERN.test(line) || REFERENCE_DEFINITION_PATTERN.test(line)) {
+            output.push('');
+            continue;
+        }
+
+        let text = line.replace(/^ {0,3}(?:>\s?)+/, '');
+
+        const listMatch = text.match(LIST_ITEM_PATTERN);
+        if (listMatch) {
+            const indent = '  '.repeat(Math.floor(listMatch[1].length / 2));
+            const marker = /\d/.test(listMatch[2]) ? `${listMatch[2].replace(')', '.')}` : '-';
+            text = `${indent}${marker} ${text.slice(listMatch[0].length)}`;
+            stats.listItems++;
+        } else if (/^\s*\|.*\|\s*$/.test(text)) {
+            text = text.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()).join(' | ');
+            stats.tableRows++;
+        } else {
+            text = text.trim();
+        }
+
+        output.push(renderInline(text).replace(/\s+$/, ''));
+    }
+
+    if (htmlBlock !== null) {
+        output.push(extractHtmlContent(htmlBlock.join('\n'), { readable: false }).text);
+    }
+
+    const text = output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+
+    return {
+        title: title || headings.find(heading => heading.level === 1)?.title || null,
+        text,
+        headings,
+        structure: {
+            headings,
+            listItemCount: stats.listItems,
+            codeBlockCount: stats.codeBlocks,
+            tableRowCount: stats.tableRows
+        }
+    };
+};
+
+export default {
+    extractMarkdownContent
+};
@@ -0,0 +1,196 @@
+/**
+ * OCR Text Extraction
+ * @module lib/documents/ocr
+ * @description Reads scanned pages and photos with the Tesseract binary. PDF
+ * pages are first rendered to PNG with poppler's pdftoppm.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+// Columns of `tesseract ... tsv` output
+const TSV_COLUMNS = Object.freeze({
+    LEVEL: 0,
+    BLOCK: 2,
+    PARAGRAPH: 3,
+    LINE: 4,
+    CONFIDENCE: 10,
+    TEXT: 11
+});
+
+// TSV rows at this level are single words
+const WORD_LEVEL = 5;
+
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+// ==========================================
+// TSV PARSING
+// ==========================================
+
+/**
+ * Rebuild text and word confidence from Tesseract TSV output.
+ * Words on a line are joined by spaces, lines by newlines and paragraphs by blank lines.
+ * @param {string} tsv - Tesseract TSV output
+ * @returns {{ text: string, confidence: number|null, wordCount: number }} Recognized text
+ */
+export const parseTesseractTsv = (tsv) => {
+    const paragraphs = new Map();
+    const confidences = [];
+
+    String(tsv || '').split('\n').slice(1).forEach(row => {
+        const columns = row.split('\t');
+        if (Number(columns[TSV_COLUMNS.LEVEL]) !== WORD_LEVEL) return;
+
+        const word = (columns[TSV_COLUMNS.TEXT] || '').trim();
+        const confidence = Number(columns[TSV_COLUMNS.CONFIDENCE]);
+        if (!word || !(confidence >= 0)) return;
+
+        const paragraphKey = `${columns[TSV_COLUMNS.BLOCK]}:${columns[TSV_COLUMNS.PARAGRAPH]}`;
+        if (!paragraphs.has(paragraphKey)) paragraphs.set(paragraphKey, new Map());
+
+        const lines = paragraphs.get(paragraphKey);
+        const lineKey = columns[TSV_COLUMNS.LINE];
+        if (!lines.has(lineKey)) lines.set(lineKey, []);
+
+        lines.get(lineKey).push(word);
+        confidences.push(confidence);
+    });
+
+    const text = [...paragraphs.values()]
+        .map(lines => [...lines.values()].map(words => words.join(' ')).join('\n'))
+        .join('\n\n');
+
+    return {
+        text,
+        confidence: confidences.length > 0
+            ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length * 10) / 10
+            : null,
+        wordCount: confidences.length
+    };
+};
+
+// ==========================================
+// BINARIES
+// ==========================================
+
+/**
+ * Run a binary and return its stdout, with errors that name the binary
+ */
+const runBinary = async (binary, args, timeout) => {
+    try {
+        const { stdout } = await execFileAsync(binary, args, {
+            timeout,
+            maxBuffer: MAX_OUTPUT_BYTES,
+            encoding: 'utf8'
+        });
+        return stdout;
+    } catch (error) {
+        const name = path.basename(binary);
+        if (error.code === 'ENOENT') {
+            throw new Error(`${name} is not installed or not on the PATH`);
+        }
+        if (error.killed) {
+            throw new Error(`${name} timed out after ${timeout}ms`);
+        }
+        throw new Error(`${name} failed: ${String(error.stderr || error.message).trim()}`);
+    }
+};
+
+const availability = new Map();
+
+/**
+ * Check once per binary path whether Tesseract and pdftoppm can be run
+ * @param {Object} options - { tesseractPath, pdftoppmPath }
+ * @returns {Promise<{ tesseract: boolean, pdftoppm: boolean }>} Which binaries work
+ */
+export const checkOcrBinaries = async (options) => {
+    const probe = (binary, args) => {
+        if (!availability.has(binary)) {
+            availability.set(binary, runBinary(binary, args, 10000).then(() => true, () => false));
+        }
+        return availability.get(binary);
+    };
+
+    const [tesseract, pdftoppm] = await Promise.all([
+        probe(options.tesseractPath, ['--version']),
+        probe(options.pdftoppmPath, ['-v'])
+    ]);
+
+    return { tesseract, pdftoppm };
+};
+
+// ==========================================
+// PUBLIC API
+// ==========================================
+
+/**
+ * Recognize the text of an image file
+ * @param {string} imagePath - PNG or JPEG file
+ * @param {Object} options - { tesseractPath, languages, pageTimeout, dpi }
+ * @param {number} options.dpi - Resolution hint; omit for photos so Tesseract estimates it
+ * @returns {Promise<{ text: string, confidence: number|null, wordCount: number }>} Recognized text
+ */
+export const recognizeImage = async (imagePath, options) => {
+    const args = [imagePath, 'stdout', '-l', options.languages];
+    if (options.dpi) args.push('--dpi', String(options.dpi));
+    args.push('tsv');
+
+    return parseTesseractTsv(await runBinary(options.tesseractPath, args, options.pageTimeout));
+};
+
+/**
+ * Render PDF pages to images and recognize each. A page that fails is
+ * returned with an error instead of failing the others.
+ * @param {string} pdfPath - PDF file
+ * @param {Array<number>} pageNumbers - Pages to read, from 1
+ * @param {Object} options - { tesseractPath, pdftoppmPath, languages, dpi, pageTimeout }
+ * @returns {Promise<Array<Object>>} { pageNumber, text, confidence, wordCount, error }
+ */
+export const recognizePdfPages = async (pdfPath, pageNumbers, options) => {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ocr-'));
+
+    try {
+        const results = [];
+
+        for (const pageNumber of pageNumbers) {
+            const prefix = path.join(workDir, `page-${pageNumber}`);
+            try {
+                await runBinary(options.pdftoppmPath, [
+                    '-r', String(options.dpi),
+                    '-f', String(pageNumber),
+                    '-l', String(pageNumber),
+                    '-png',
+                    '-singlefile',
+                    pdfPath,
+                    prefix
+                ], options.pageTimeout);
+
+                results.push({ pageNumber, ...await recognizeImage(`${prefix}.png`, options), error: null });
+            } catch (error) {
+                results.push({ pageNumber, text: '', confidence: null, wordCount: 0, error: error.message });
+            } finally {
+                await fs.rm(`${prefix}.png`, { force: true });
+            }
+        }
+
+        return results;
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+export default {
+    parseTesseractTsv,
+    checkOcrBinaries,
+    recognizeImage,
+    recognizePdfPages
+};
@@ -0,0 +1,434 @@
+/**
+ * PDF Structure Extraction
+ * @module lib/documents/pdf
+ * @description Page-aware PDF text extraction with reading-order reconstruction
+ * and outline detection (authored bookmarks first, typography as fallback)
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Same pdf.js build pdf-parse ships and uses by default
+const PDFJS_BUILD = 'pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const LAYOUT_CONFIG = Object.freeze({
+    // Items whose baselines differ by less than this fraction of the font size share a line
+    LINE_TOLERANCE: 0.5,
+    // Horizontal gap (fraction of font size) that gets an inserted space
+    WORD_GAP: 0.15,
+    // Minimum gutter width (fraction of page width) between two columns
+    MIN_GUTTER: 0.02,
+    // Share of lines that must be split by the gutter for a page to count as two-column
+    MIN_SPLIT_RATIO: 0.3
+});
+
+const HEADING_CONFIG = Object.freeze({
+    // Line must be at least this much larger than body text to count as a heading
+    MIN_SIZE_RATIO: 1.15,
+    MIN_LENGTH: 2,
+    MAX_LENGTH: 120,
+    MAX_LEVELS: 3,
+    MAX_ENTRIES: 300,
+    // Lines repeated on more than this share of pages are running headers/footers
+    RUNNING_HEADER_RATIO: 0.5
+});
+
+const CHAPTER_PATTERN = /^(chapter|chapitre|cap[ií]tulo|kapitel|part|partie|unit|module|lesson)\s+([0-9]+|[ivxlcdm]+)\b/i;
+const SECTION_NUMBER_PATTERN = /^(\d+(?:\.\d+)+)\.?\s+\S/;
+const LEADING_NUMBER_PATTERN = /^(\d+(?:\.\d+)*)\.?\s+/;
+
+let pdfjs = null;
+
+const loadPdfjs = () => {
+    if (!pdfjs) {
+        pdfjs = require(PDFJS_BUILD);
+        pdfjs.disableWorker = true;
+    }
+    return pdfjs;
+};
+
+// ==========================================
+// PAGE LAYOUT
+// ==========================================
+
+/**
+ * Font size of a text item from its transform matrix
+ */
+const itemFontSize = (item) => {
+    const [, , c, d] = item.transform;
+    return Math.hypot(c, d) || item.height || 0;
+};
+
+/**
+ * Group text items into visual lines ordered top-to-bottom, left-to-right
+ * @param {Array<Object>} items - pdf.js text items
+ * @returns {Array<Object>} Lines with { y, x, fontSize, items }
+ */
+const groupIntoLines = (items) => {
+    const positioned = items
+        .filter(item => item.str && item.str.trim().length > 0)
+        .map(item => ({
+            str: item.str,
+            x: item.transform[4],
+            y: item.transform[5],
+            width: item.width || 0,
+            fontSize: itemFontSize(item)
+        }))
+        // PDF y grows upwards, so higher y means nearer the top
+        .sort((a, b) => (b.y - a.y) || (a.x - b.x));
+
+    const lines = [];
+    positioned.forEach(item => {
+        const line = lines.find(candidate => {
+            const tolerance = Math.max(candidate.fontSize, item.fontSize) * LAYOUT_CONFIG.LINE_TOLERANCE;
+            return Math.abs(candidate.y - item.y) <= tolerance;
+        });
+
+        if (line) {
+            line.items.push(item);
+            line.fontSize = Math.max(line.fontSize, item.fontSize);
+        } else {
+            lines.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+        }
+    });
+
+    lines.forEach(line => {
+        line.items.sort((a, b) => a.x - b.x);
+        line.x = line.items[0].x;
+    });
+
+    return lines.sort((a, b) => (b.y - a.y) || (a.x - b.x));
+};
+
+/**
+ * Join a line's items, inserting spaces where the glyph gap implies one
+ */
+const renderLine = (items) => {
+    let text = '';
+    let previousEnd = null;
+
+    items.forEach(item => {
+        if (previousEnd !== null) {
+            const gap = item.x - previousEnd;
+            const needsSpace = gap > item.fontSize * LAYOUT_CONFIG.WORD_GAP &&
+                !/\s$/.test(text) && !/^\s/.test(item.str);
+            if (needsSpace) text += ' ';
+        }
+        text += item.str;
+        previousEnd = item.x + item.width;
+    });
+
+    return text.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Find the x position of a column gutter near the page centre, if the page has two columns
+ * @param {Array<Object>} lines - Grouped lines
+ * @param {number} pageWidth - Page width in PDF units
+ * @returns {number|null} Gutter x position
+ */
+const detectColumnGutter = (lines, pageWidth) => {
+    if (!pageWidth || lines.length < 6) return null;
+
+    const middle = pageWidth / 2;
+    const minGap = pageWidth * LAYOUT_CONFIG.MIN_GUTTER;
+    let splitLines = 0;
+    let crossingLines = 0;
+    const gutters = [];
+
+    lines.forEach(line => {
+        for (let i = 1; i < line.items.length; i++) {
+            const gapStart = line.items[i - 1].x + line.items[i - 1].width;
+            const gapEnd = line.items[i].x;
+            if (gapEnd - gapStart >= minGap && gapStart <= middle * 1.15 && gapEnd >= middle * 0.85) {
+                splitLines++;
+                gutters.push((gapStart + gapEnd) / 2);
+                return;
+            }
+        }
+
+        const last = line.items[line.items.length - 1];
+        if (line.x < middle * 0.85 && last.x + last.width > middle * 1.15) {
+            crossingLines++;
+        }
+    });
+
+    if (splitLines / lines.length < LAYOUT_CONFIG.MIN_SPLIT_RATIO || crossingLines > splitLines) {
+        return null;
+    }
+
+    gutters.sort((a, b) => a - b);
+    return gutters[Math.floor(gutters.length / 2)];
+};
+
+/**
+ * Rebuild page lines in reading order, reading the left column before the right one
+ * @param {Array<Object>} items - pdf.js text items
+ * @param {number} pageWidth - Page width
+ * @returns {{ lines: Array<Object>, columns: number }} Ordered lines
+ */
+const buildReadingOrder = (items, pageWidth) => {
+    const lines = groupIntoLines(items);
+    const gutter = detectColumnGutter(lines, pageWidth);
+
+    if (gutter === null) {
+        return {
+            lines: lines.map(line => ({ ...line, text: renderLine(line.items) })),
+            columns: 1
+        };
+    }
+
+    const left = [];
+    const right = [];
+    lines.forEach(line => {
+        const leftItems = line.items.filter(item => item.x < gutter);
+        const rightItems = line.items.filter(item => item.x >= gutter);
+        if (leftItems.length > 0) left.push({ ...line, x: leftItems[0].x, items: leftItems });
+        if (rightItems.length > 0) right.push({ ...line, x: rightItems[0].x, items: rightItems });
+    });
+
+    return {
+        lines: [...left, ...right].map(line => ({ ...line, text: renderLine(line.items) })),
+        columns: 2
+    };
+};
+
+// ==========================================
+// OUTLINE DETECTION
+// ==========================================
+
+/**
+ * Split a heading title into its section number and text
+ */
+const parseSectionNumber = (title) => {
+    const match = title.match(LEADING_NUMBER_PATTERN);
+    return match ? match[1] : null;
+};
+
+/**
+ * Flatten authored PDF bookmarks into outline entries with page numbers
+ * @param {Object} doc - pdf.js document
+ * @returns {Promise<Array<Object>>} Outline entries
+ */
+const readBookmarks = async (doc) => {
+    const outline = await doc.getOutline().catch(() => null);
+    if (!outline || outline.length === 0) return [];
+
+    const resolvePage = async (dest) => {
+        try {
+            const explicitDest = typeof dest === 'string' ? await doc.getDestination(dest) : dest;
+            if (!Array.isArray(explicitDest) || !explicitDest[0]) return null;
+            return (await doc.getPageIndex(explicitDest[0])) + 1;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const entries = [];
+    const walk = async (nodes, level) => {
+        for (const node of nodes) {
+            if (entries.length >= HEADING_CONFIG.MAX_ENTRIES) return;
+
+            const title = (node.title || '').replace(/\s+/g, ' ').trim();
+            if (title) {
+                entries.push({
+                    title,
+                    level,
+                    pageNumber: await resolvePage(node.dest),
+                    sectionNumber: parseSectionNumber(title)
+                });
+            }
+            if (node.items && node.items.length > 0) {
+                await walk(node.items, level + 1);
+            }
+        }
+    };
+
+    await walk(outline, 1);
+    return entries;
+};
+
+/**
+ * Most common font size by character count, i.e. the body text size
+ */
+const findBodyFontSize = (pages) => {
+    const weights = new Map();
+    pages.forEach(page => page.lines.forEach(line => {
+        const size = Math.round(line.fontSize * 2) / 2;
+        weights.set(size, (weights.get(size) || 0) + line.text.length);
+    }));
+
+    let bodySize = 0;
+    let bestWeight = -1;
+    weights.forEach((weight, size) => {
+        if (weight > bestWeight) {
+            bestWeight = weight;
+            bodySize = size;
+        }
+    });
+    return bodySize;
+};
+
+/**
+ * Lines repeated across most pages (running headers, footers, page numbers)
+ */
+const findRunningLines = (pages) => {
+    if (pages.length < 3) return new Set();
+
+    const counts = new Map();
+    pages.forEach(page => {
+        const seen = new Set(page.lines.map(line => line.text.replace(/\d+/g, '#').toLowerCase()));
+        seen.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    });
+
+    const running = new Set();
+    counts.forEach((count, key) => {
+        if (count / pages.length > HEADING_CONFIG.RUNNING_HEADER_RATIO) running.add(key);
+    });
+    return running;
+};
+
+/**
+ * Detect headings from typography when the PDF has no bookmarks
+ * @param {Array<Object>} pages - Pages with ordered lines
+ * @returns {Array<Object>} Outline entries
+ */
+const detectTypographicHeadings = (pages) => {
+    const bodySize = findBodyFontSize(pages);
+    if (!bodySize) return [];
+
+    const runningLines = findRunningLines(pages);
+    const candidates = [];
+
+    pages.forEach(page => {
+        page.lines.forEach((line, lineIndex) => {
+            const text = line.text;
+            if (text.length < HEADING_CONFIG.MIN_LENGTH || text.length > HEADING_CONFIG.MAX_LENGTH) return;
+            if (runningLines.has(text.replace(/\d+/g, '#').toLowerCase())) return;
+            if (/^[\d\s.,-]+$/.test(text)) return;
+
+            const sizeRatio = line.fontSize / bodySize;
+            const isLarger = sizeRatio >= HEADING_CONFIG.MIN_SIZE_RATIO;
+            const isChapter = CHAPTER_PATTERN.test(text);
+            const isNumberedSection = SECTION_NUMBER_PATTERN.test(text) && sizeRatio >= 1 && !/[.:;,]$/.test(text);
+
+            if (!isLarger && !isChapter && !isNumberedSection) return;
+
+            const previous = candidates[candidates.length - 1];
+            // Multi-line headings: consecutive lines of the same size on the same page
+            if (previous && previous.pageNumber === page.pageNumber && previous.lineIndex === lineIndex - 1 &&
+                Math.abs(previous.fontSize - line.fontSize) < 0.5 && !isChapter && !isNumberedSection) {
+                previous.title = `${previous.title} ${text}`;
+                previous.lineIndex += 1;
+                return;
+            }
+
+            candidates.push({
+                title: text,
+                pageNumber: page.pageNumber,
+                fontSize: Math.round(line.fontSize * 2) / 2,
+                lineIndex,
+                isChapter,
+                isLarger
+            });
+        });
+    });
+
+    // Larger type means a higher outline level
+    const headingSizes = [...new Set(candidates.filter(c => c.isLarger).map(c => c.fontSize))]
+        .sort((a, b) => b - a)
+        .slice(0, HEADING_CONFIG.MAX_LEVELS);
+
+    return candidates.slice(0, HEADING_CONFIG.MAX_ENTRIES).map(candidate => {
+        const sectionNumber = parseSectionNumber(candidate.title);
+        let level;
+        if (candidate.isChapter) {
+            level = 1;
+        } else if (sectionNumber && sectionNumber.includes('.')) {
+            level = Math.min(sectionNumber.split('.').length, HEADING_CONFIG.MAX_LEVELS);
+        } else {
+            const sizeRank = headingSizes.indexOf(candidate.fontSize);
+            level = sizeRank === -1 ? HEADING_CONFIG.MAX_LEVELS : sizeRank + 1;
+        }
+
+        return {
+            title: candidate.title,
+            level,
+            pageNumber: candidate.pageNumber,
+            sectionNumber
+        };
+    });
+};
+
+// ==========================================
+// PUBLIC API
+// ==========================================
+
+/**
+ * Extract per-page text and an outline from a PDF buffer
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} options - Extraction options
+ * @param {number} options.maxPages - Maximum pages to read (0 = all)
+ * @returns {Promise<Object>} { text, pages, outline, outlineSource, pageCount, multiColumnPages, info }
+ */
+export const extractPdfContent = async (buffer, options = {}) => {
+    const { maxPages = 0 } = options;
+    const PDFJS = loadPdfjs();
+
+    const doc = await PDFJS.getDocument(new Uint8Array(buffer));
+
+    try {
+        const metadata = await doc.getMetadata().catch(() => null);
+        const pageLimit = maxPages > 0 ? Math.min(maxPages, doc.numPages) : doc.numPages;
+
+        const pages = [];
+        let multiColumnPages = 0;
+
+        for (let pageNumber = 1; pageNumber <= pageLimit; pageNumber++) {
+            try {
+                const page = await doc.getPage(pageNumber);
+                const viewport = page.getViewport(1);
+                const textContent = await page.getTextContent({
+                    normalizeWhitespace: true,
+                    disableCombineTextItems: false
+                });
+
+                const { lines, columns } = buildReadingOrder(textContent.items, viewport.width);
+                if (columns > 1) multiColumnPages++;
+
+                pages.push({ pageNumber, lines, text: lines.map(line => line.text).join('\n') });
+            } catch (error) {
+                // An unreadable page should not sink the whole document
+                pages.push({ pageNumber, lines: [], text: '' });
+            }
+        }
+
+        let outline = await readBookmarks(doc);
+        let outlineSource = 'bookmarks';
+        if (outline.length === 0) {
+            outline = detectTypographicHeadings(pages);
+            outlineSource = outline.length > 0 ? 'typography' : 'none';
+        }
+
+        return {
+            text: pages.map(page => page.text).join('\n\n').trim(),
+            pages: pages.map(({ pageNumber, text }) => ({ pageNumber, text })),
+            outline,
+            outlineSource,
+            pageCount: doc.numPages,
+            multiColumnPages,
+            info: metadata ? metadata.info : null
+        };
+    } finally {
+        doc.destroy();
+    }
+};
+
+export default {
+    extractPdfContent
+};
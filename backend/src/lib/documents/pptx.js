@@ -0,0 +1,231 @@
+/**
+ * PPTX Text Extraction
+ * @module lib/documents/pptx
+ * @description Reads PresentationML slides in deck order. Each slide becomes a
+ * page holding its title, body text, tables and speaker notes; slide titles
+ * form the outline.
+ */
+
+import path from 'path';
+import {
+    loadArchive,
+    readArchiveText,
+    parseXml,
+    childElements,
+    firstChild,
+    descendants,
+    getAttribute
+} from './archive.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const PPTX_PARTS = Object.freeze({
+    PRESENTATION: 'ppt/presentation.xml',
+    PRESENTATION_RELS: 'ppt/_rels/presentation.xml.rels'
+});
+
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NOTES_SLIDE_TYPE = /\/notesSlide$/;
+const SLIDE_PART_PATTERN = /^ppt\/slides\/slide(\d+)\.xml$/;
+
+const TITLE_PLACEHOLDERS = Object.freeze(['title', 'ctrTitle']);
+
+// Placeholders that repeat on every slide and carry no content
+const CHROME_PLACEHOLDERS = Object.freeze(['sldNum', 'dt', 'ftr', 'hdr', 'sldImg']);
+
+// ==========================================
+// PACKAGE PART HELPERS
+// ==========================================
+
+/**
+ * Path of the relationships part that belongs to a package part
+ */
+const relationshipsPathFor = (partPath) => {
+    return path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+};
+
+/**
+ * Read a relationships part as a map of id -> { type, target }, with targets
+ * resolved to package paths
+ * @param {JSZip} archive - Loaded archive
+ * @param {string} partPath - Part whose relationships to read
+ * @returns {Promise<Map<string, Object>>} Relationships by id
+ */
+const readRelationships = async (archive, partPath) => {
+    const relationships = new Map();
+    const source = await readArchiveText(archive, relationshipsPathFor(partPath));
+    if (!source) return relationships;
+
+    descendants(parseXml(source), 'Relationship').forEach(relationship => {
+        if (getAttribute(relationship, 'TargetMode') === 'External') return;
+
+        const target = getAttribute(relationship, 'Target') || '';
+        relationships.set(getAttribute(relationship, 'Id'), {
+            type: getAttribute(relationship, 'Type') || '',
+            target: target.startsWith('/')
+                ? target.slice(1)
+                : path.posix.normalize(path.posix.join(path.posix.dirname(partPath), target))
+        });
+    });
+
+    return relationships;
+};
+
+/**
+ * List slide parts in presentation order, falling back to file-name order
+ * when presentation.xml has no slide list
+ */
+const listSlideParts = async (archive) => {
+    const presentationSource = await readArchiveText(archive, PPTX_PARTS.PRESENTATION);
+    if (presentationSource) {
+        const relationships = await readRelationships(archive, PPTX_PARTS.PRESENTATION);
+        const ordered = descendants(parseXml(presentationSource), 'sldId')
+            .map(slideId => relationships.get(slideId.getAttributeNS(RELATIONSHIPS_NS, 'id'))?.target)
+            .filter(target => target && archive.file(target));
+
+        if (ordered.length > 0) return ordered;
+    }
+
+    return Object.keys(archive.files)
+        .filter(name => SLIDE_PART_PATTERN.test(name))
+        .sort((a, b) => Number(a.match(SLIDE_PART_PATTERN)[1]) - Number(b.match(SLIDE_PART_PATTERN)[1]));
+};
+
+// ==========================================
+// TEXT RENDERING
+// ==========================================
+
+/**
+ * Render a DrawingML paragraph (a:p), keeping line breaks and field text
+ */
+const renderParagraph = (paragraph) => {
+    return childElements(paragraph)
+        .map(child => {
+            if (child.localName === 'br') return '\n';
+            if (child.localName === 'r' || child.localName === 'fld') {
+                return descendants(child, 't').map(text => text.textContent).join('');
+            }
+            return '';
+        })
+        .join('')
+        .trim();
+};
+
+/**
+ * Render a text body (p:txBody) as lines, indenting nested bullet levels
+ */
+const renderTextBody = (textBody) => {
+    if (!textBody) return [];
+
+    return childElements(textBody, 'p')
+        .map(paragraph => {
+            const text = renderParagraph(paragraph);
+            const level = parseInt(getAttribute(firstChild(paragraph, 'pPr'), 'lvl') || '0', 10);
+            return text ? `${'  '.repeat(level)}${text}` : null;
+        })
+        .filter(Boolean);
+};
+
+/**
+ * Placeholder type of a shape, or null for free-standing text boxes
+ */
+const placeholderType = (shape) => {
+    const placeholder = descendants(shape, 'ph')[0];
+    if (!placeholder) return null;
+    return getAttribute(placeholder, 'type') || 'body';
+};
+
+/**
+ * Render the text of a slide or notes page
+ * @param {Document} slideXml - Parsed slide part
+ * @returns {{ title: string|null, lines: Array<string>, tableCount: number }} Slide text
+ */
+const renderSlide = (slideXml) => {
+    let title = null;
+    const lines = [];
+
+    descendants(slideXml, 'sp').forEach(shape => {
+        const type = placeholderType(shape);
+        if (CHROME_PLACEHOLDERS.includes(type)) return;
+
+        const shapeLines = renderTextBody(firstChild(shape, 'txBody'));
+        if (shapeLines.length === 0) return;
+
+        if (!title && TITLE_PLACEHOLDERS.includes(type)) {
+            title = shapeLines.map(line => line.trim()).join(' ');
+        } else {
+            lines.push(...shapeLines);
+        }
+    });
+
+    const tables = descendants(slideXml, 'tbl');
+    tables.forEach(table => {
+        descendants(table, 'tr').forEach(row => {
+            const cells = childElements(row, 'tc')
+                .map(cell => renderTextBody(firstChild(cell, 'txBody')).map(line => line.trim()).join(' '));
+            if (cells.some(Boolean)) lines.push(cells.join(' | '));
+        });
+    });
+
+    return { title, lines, tableCount: tables.length };
+};
+
+// ==========================================
+// PUBLIC API
+// ==========================================
+
+/**
+ * Extract slide text and speaker notes from a PPTX buffer
+ * @param {Buffer} buffer - PPTX file contents
+ * @returns {Promise<Object>} { text, pages, headings, structure }
+ */
+export const extractPptxContent = async (buffer) => {
+    const archive = await loadArchive(buffer);
+    const slideParts = await listSlideParts(archive);
+
+    if (slideParts.length === 0) {
+        throw new Error('PPTX package has no slides');
+    }
+
+    const pages = [];
+    const headings = [];
+    let notesCount = 0;
+    let tableCount = 0;
+
+    for (const [index, slidePart] of slideParts.entries()) {
+        const pageNumber = index + 1;
+        const slide = renderSlide(parseXml(await readArchiveText(archive, slidePart)));
+        tableCount += slide.tableCount;
+
+        const relationships = await readRelationships(archive, slidePart);
+        const notesPart = [...relationships.values()].find(relationship => NOTES_SLIDE_TYPE.test(relationship.type))?.target;
+        const notesSource = notesPart ? await readArchiveText(archive, notesPart) : null;
+        const notes = notesSource ? renderSlide(parseXml(notesSource)).lines : [];
+        if (notes.length > 0) notesCount++;
+
+        const sections = [];
+        if (slide.title) sections.push(slide.title);
+        if (slide.lines.length > 0) sections.push(slide.lines.join('\n'));
+        if (notes.length > 0) sections.push(`Speaker notes:\n${notes.join('\n')}`);
+
+        pages.push({ pageNumber, text: sections.join('\n\n') });
+        if (slide.title) headings.push({ level: 1, title: slide.title, pageNumber });
+    }
+
+    return {
+        text: pages.map(page => page.text).filter(Boolean).join('\n\n').trim(),
+        pages,
+        headings,
+        structure: {
+            slideCount: pages.length,
+            slidesWithNotes: notesCount,
+            tableCount
+        }
+    };
+};
+
+export default {
+    extractPptxContent
+};
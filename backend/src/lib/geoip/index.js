@@ -0,0 +1,100 @@
+/**
+ * GeoIP Lookup
+ * @module lib/geoip
+ * @description Country and city for an IP address from an offline MaxMind
+ * (GeoLite2-City / GeoIP2-City) database file
+ */
+
+import net from 'net';
+import maxmind from 'maxmind';
+
+const PRIVATE_IPV4 = [
+    /^10\./,
+    /^127\./,
+    /^169\.254\./,
+    /^172\.(1[6-9]|2\d|3[01])\./,
+    /^192\.168\./,
+    /^0\./
+];
+
+const PRIVATE_IPV6 = [/^::1?$/, /^f[cd][0-9a-f]{2}:/i, /^fe[89ab][0-9a-f]:/i];
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Node reports for IPv4 clients
+ * @param {string} ip - Address as seen by Express
+ * @returns {string} Plain address
+ */
+export const normalizeIp = (ip) => String(ip || '').trim().replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+/**
+ * Whether an address is loopback, link-local or private (never in GeoIP data)
+ * @param {string} ip - Normalized address
+ * @returns {boolean}
+ */
+export const isPrivateIp = (ip) => {
+    const version = net.isIP(ip);
+    if (version === 4) return PRIVATE_IPV4.some(pattern => pattern.test(ip));
+    if (version === 6) return PRIVATE_IPV6.some(pattern => pattern.test(ip));
+    return true;
+};
+
+/**
+ * Create a lookup over a database file. The file is opened on the first
+ * lookup; a missing or unreadable file is logged once and every lookup
+ * then resolves to null.
+ * @param {string|null} dbPath - Path to the .mmdb file, null to disable
+ * @returns {Function} async (ip) => { country, countryCode, city, latitude, longitude } | null
+ */
+export const createGeoIpLookup = (dbPath) => {
+    let readerPromise = null;
+
+    const getReader = () => {
+        if (!readerPromise) {
+            readerPromise = dbPath
+                ? maxmind.open(dbPath).catch((error) => {
+                    console.warn(`⚠️ GeoIP database unavailable (${dbPath}): ${error.message}`);
+                    return null;
+                })
+                : Promise.resolve(null);
+        }
+        return readerPromise;
+    };
+
+    return async (rawIp) => {
+        const ip = normalizeIp(rawIp);
+        if (!ip || isPrivateIp(ip)) return null;
+
+        const reader = await getReader();
+        const record = reader?.get(ip);
+        if (!record) return null;
+
+        return {
+            country: record.country?.names?.en || record.registered_country?.names?.en || null,
+            countryCode: record.country?.iso_code || null,
+            city: record.city?.names?.en || null,
+            latitude: record.location?.latitude ?? null,
+            longitude: record.location?.longitude ?? null
+        };
+    };
+};
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number|null} Kilometres, null when a coordinate is missing
+ */
+export const distanceKm = (from, to) => {
+    const values = [from?.latitude, from?.longitude, to?.latitude, to?.longitude];
+    if (values.some(value => typeof value !== 'number')) return null;
+
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
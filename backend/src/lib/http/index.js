@@ -2,4 +2,5 @@
  * HTTP Library Module Exports
  */
 
-export { StatusCodeHelpers } from './helpers.js';
\ No newline at end of file
+export { StatusCodeHelpers } from './helpers.js';
+export { safeFetch, isPublicAddress, UrlFetchError } from './safeFetch.js';
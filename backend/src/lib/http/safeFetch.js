@@ -0,0 +1,283 @@
+/**
+ * SSRF-Safe URL Fetching
+ * @module lib/http/safeFetch
+ * @description Fetches user-supplied URLs without letting them reach the server's
+ * own network. Every hop of a redirect chain is checked, host names are resolved
+ * once and the connection is pinned to the checked address (so DNS rebinding
+ * cannot swap it), and responses are bounded in time and size.
+ */
+
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const DEFAULTS = Object.freeze({
+    timeout: 15000,
+    maxBytes: 5 * 1024 * 1024,
+    maxRedirects: 5,
+    userAgent: 'Mozilla/5.0 (compatible; StudionImporter/1.0)',
+    accept: 'text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.5'
+});
+
+const ALLOWED_PROTOCOLS = Object.freeze(['http:', 'https:']);
+
+const REDIRECT_STATUSES = Object.freeze([301, 302, 303, 307, 308]);
+
+// Loopback, private, link-local, carrier-grade NAT, documentation, multicast
+// and reserved ranges, plus IPv6 forms that embed an IPv4 address
+const BLOCKED_SUBNETS = Object.freeze([
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.88.99.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['64:ff9b:1::', 48, 'ipv6'],
+    ['100::', 64, 'ipv6'],
+    ['2001::', 32, 'ipv6'],
+    ['2001:db8::', 32, 'ipv6'],
+    ['2002::', 16, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['fec0::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+]);
+
+const blockList = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, family]) => blockList.addSubnet(address, prefix, family));
+
+// BlockList matches IPv4 addresses against IPv4-mapped IPv6 rules, so that
+// rule lives apart and is only consulted for IPv6 addresses
+const ipv4MappedList = new net.BlockList();
+ipv4MappedList.addSubnet('::ffff:0:0', 96, 'ipv6');
+
+// ==========================================
+// ERRORS
+// ==========================================
+
+/**
+ * Error raised when a URL may not be fetched or its response is unusable;
+ * `code` tells the caller which
+ */
+export class UrlFetchError extends Error {
+    constructor(message, code, { status = null } = {}) {
+        super(message);
+        this.name = 'UrlFetchError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// ==========================================
+// ADDRESS CHECKS
+// ==========================================
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for private, loopback, link-local and reserved addresses
+ */
+export const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    if (family === 4) return !blockList.check(address, 'ipv4');
+    return !blockList.check(address, 'ipv6') && !ipv4MappedList.check(address, 'ipv6');
+};
+
+/**
+ * Parse and check a URL before any connection is made
+ */
+const parseTarget = (rawUrl, allowAddress) => {
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch {
+        throw new UrlFetchError('The address is not a valid URL', 'URL_INVALID');
+    }
+
+    if (!ALLOWED_PROTOCOLS.includes(url.protocol)) {
+        throw new UrlFetchError('Only http and https addresses can be fetched', 'URL_PROTOCOL_NOT_ALLOWED');
+    }
+    if (url.username || url.password) {
+        throw new UrlFetchError('Addresses with embedded credentials cannot be fetched', 'URL_CREDENTIALS_NOT_ALLOWED');
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !allowAddress(host)) {
+        throw new UrlFetchError('The address points to a private or reserved network', 'URL_ADDRESS_NOT_ALLOWED');
+    }
+
+    return url;
+};
+
+/**
+ * DNS lookup for http.request that only hands back checked addresses. A host
+ * with any disallowed address is refused outright.
+ */
+const createCheckedLookup = (allowAddress) => (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        if (addresses.length === 0 || addresses.some(({ address }) => !allowAddress(address))) {
+            return callback(new UrlFetchError('The address points to a private or reserved network', 'URL_ADDRESS_NOT_ALLOWED'));
+        }
+
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// ==========================================
+// REQUEST
+// ==========================================
+
+/**
+ * Make one request; a redirect resolves with its location instead of a body
+ */
+const requestOnce = (url, settings, lookup, deadline) => new Promise((resolve, reject) => {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+        reject(new UrlFetchError('The page took too long to respond', 'URL_TIMEOUT'));
+        return;
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    let settled = false;
+    const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        callback(value);
+    };
+
+    const request = client.get(url, {
+        lookup,
+        agent: false,
+        headers: {
+            'User-Agent': settings.userAgent,
+            'Accept': settings.accept,
+            'Accept-Encoding': 'identity'
+        }
+    }, (response) => {
+        const { statusCode, headers } = response;
+
+        if (REDIRECT_STATUSES.includes(statusCode) && headers.location) {
+            response.resume();
+            settle(resolve, { location: headers.location });
+            return;
+        }
+
+        if (statusCode < 200 || statusCode >= 300) {
+            response.resume();
+            settle(reject, new UrlFetchError(`The page responded with status ${statusCode}`, 'URL_FETCH_FAILED', { status: statusCode }));
+            return;
+        }
+
+        const declaredLength = Number(headers['content-length']);
+        if (declaredLength > settings.maxBytes) {
+            response.destroy();
+            settle(reject, new UrlFetchError('The page is too large to import', 'URL_TOO_LARGE'));
+            return;
+        }
+
+        const chunks = [];
+        let received = 0;
+
+        response.on('data', (chunk) => {
+            received += chunk.length;
+            if (received > settings.maxBytes) {
+                response.destroy();
+                settle(reject, new UrlFetchError('The page is too large to import', 'URL_TOO_LARGE'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        response.on('end', () => {
+            const [mediaType, ...parameters] = String(headers['content-type'] || '').split(';');
+            const charsetParameter = parameters.map(parameter => parameter.trim()).find(parameter => /^charset=/i.test(parameter));
+
+            settle(resolve, {
+                url: url.toString(),
+                status: statusCode,
+                contentType: mediaType.trim().toLowerCase(),
+                charset: charsetParameter ? charsetParameter.slice(8).replace(/"/g, '').trim().toLowerCase() : null,
+                body: Buffer.concat(chunks)
+            });
+        });
+
+        response.on('error', (error) => settle(reject, error));
+    });
+
+    const timer = setTimeout(() => {
+        request.destroy();
+        settle(reject, new UrlFetchError('The page took too long to respond', 'URL_TIMEOUT'));
+    }, remaining);
+
+    request.on('error', (error) => {
+        if (error instanceof UrlFetchError) {
+            settle(reject, error);
+        } else if (error.code === 'ENOTFOUND' || error.code === 'EAI_AGAIN') {
+            settle(reject, new UrlFetchError(`Could not find the host ${url.hostname}`, 'URL_HOST_NOT_FOUND'));
+        } else {
+            settle(reject, new UrlFetchError(`Could not fetch the page: ${error.message}`, 'URL_FETCH_FAILED'));
+        }
+    });
+});
+
+// ==========================================
+// PUBLIC API
+// ==========================================
+
+/**
+ * Fetch a URL, following redirects, with every hop checked against private networks
+ * @param {string} rawUrl - URL to fetch
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Time allowed for the whole fetch, in ms
+ * @param {number} [options.maxBytes] - Largest response body accepted
+ * @param {number} [options.maxRedirects] - Redirects followed before giving up
+ * @param {string} [options.accept] - Accept header
+ * @param {Function} [options.allowAddress] - Address check, isPublicAddress unless overridden in tests
+ * @returns {Promise<{ url: string, status: number, contentType: string, charset: string|null, body: Buffer }>} Response
+ */
+export const safeFetch = async (rawUrl, options = {}) => {
+    const settings = { ...DEFAULTS, allowAddress: isPublicAddress, ...options };
+    const lookup = createCheckedLookup(settings.allowAddress);
+    const deadline = Date.now() + settings.timeout;
+
+    let url = parseTarget(rawUrl, settings.allowAddress);
+
+    for (let redirects = 0; ; redirects++) {
+        const response = await requestOnce(url, settings, lookup, deadline);
+
+        if (!response.location) return response;
+
+        if (redirects >= settings.maxRedirects) {
+            throw new UrlFetchError(`Stopped after ${settings.maxRedirects} redirects`, 'URL_TOO_MANY_REDIRECTS');
+        }
+        url = parseTarget(new URL(response.location, url).toString(), settings.allowAddress);
+    }
+};
+
+export default {
+    safeFetch,
+    isPublicAddress,
+    UrlFetchError
+};
@@ -0,0 +1,25 @@
+/**
+ * Mail Library Exports
+ * @module lib/mail
+ * @description Central export point for mail transports and email templates
+ */
+
+// ==========================================
+// REGISTRY
+// ==========================================
+
+export { createMailTransport, isSupportedTransport } from './registry.js';
+
+// ==========================================
+// TRANSPORTS
+// ==========================================
+
+export { createSmtpTransport } from './transports/smtp.js';
+export { createFileTransport } from './transports/file.js';
+export { createConsoleTransport } from './transports/console.js';
+
+// ==========================================
+// TEMPLATES
+// ==========================================
+
+export { renderTemplate, isSupportedTemplate } from './templates.js';
@@ -0,0 +1,44 @@
+/**
+ * Mail Transport Registry
+ * @module lib/mail/registry
+ * @description Maps transport names to their factories and required settings
+ */
+
+import { createSmtpTransport } from './transports/smtp.js';
+import { createFileTransport } from './transports/file.js';
+import { createConsoleTransport } from './transports/console.js';
+
+const TRANSPORT_REGISTRY = Object.freeze({
+    smtp: { factory: createSmtpTransport, requiredEnv: { host: 'SMTP_HOST' } },
+    file: { factory: createFileTransport, requiredEnv: { dir: 'MAIL_FILE_DIR' } },
+    console: { factory: createConsoleTransport, requiredEnv: {} }
+});
+
+/**
+ * Check whether a transport name is registered
+ */
+export const isSupportedTransport = (name) => Object.hasOwn(TRANSPORT_REGISTRY, name);
+
+/**
+ * Create a mail transport
+ * @param {string} name - Registered transport name
+ * @param {Object} settings - Settings for the transport (see each factory)
+ * @returns {Object} Transport with name and send()
+ */
+export const createMailTransport = (name, settings = {}) => {
+    const entry = TRANSPORT_REGISTRY[name];
+    if (!entry) {
+        const available = Object.keys(TRANSPORT_REGISTRY).join(', ');
+        throw new Error(`Unknown mail transport: ${name}. Available: ${available}`);
+    }
+
+    for (const [key, envName] of Object.entries(entry.requiredEnv)) {
+        if (!settings[key]) {
+            const error = new Error(`${envName} environment variable is required for the ${name} mail transport`);
+            error.code = 'MISSING_MAIL_SETTING';
+            throw error;
+        }
+    }
+
+    return entry.factory(name, settings);
+};
@@ -0,0 +1,116 @@
+/**
+ * Email Templates
+ * @module lib/mail/templates
+ * @description Subject, plain-text and HTML bodies for account emails
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Wrap body paragraphs and an optional call-to-action in the shared HTML layout
+ * @param {Object} content - { heading, paragraphs, action: { label, url }, footer }
+ * @returns {string} HTML document
+ */
+const renderHtmlLayout = ({ heading, paragraphs, action, footer }) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f5f7fb;font-family:Arial,Helvetica,sans-serif;color:#1f2937;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:12px;padding:32px;">
+      <tr><td>
+        <h1 style="margin:0 0 16px;font-size:22px;color:#4338ca;">${escapeHtml(heading)}</h1>
+        ${paragraphs.map(text => `<p style="margin:0 0 16px;line-height:1.5;">${escapeHtml(text)}</p>`).join('\n        ')}
+        ${action ? `<p style="margin:24px 0;"><a href="${escapeHtml(action.url)}" style="background:#4f46e5;color:#ffffff;padding:12px 20px;border-radius:8px;text-decoration:none;display:inline-block;">${escapeHtml(action.label)}</a></p>
+        <p style="margin:0 0 16px;font-size:13px;color:#6b7280;">If the button does not work, open this link: ${escapeHtml(action.url)}</p>` : ''}
+        ${footer ? `<p style="margin:24px 0 0;font-size:13px;color:#6b7280;">${escapeHtml(footer)}</p>` : ''}
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+
+/**
+ * Plain-text counterpart of the HTML layout
+ */
+const renderTextLayout = ({ heading, paragraphs, action, footer }) => [
+    heading,
+    '',
+    ...paragraphs.flatMap(text => [text, '']),
+    ...(action ? [`${action.label}: ${action.url}`, ''] : []),
+    ...(footer ? [footer] : [])
+].join('\n').trim();
+
+const TEMPLATES = Object.freeze({
+    email_verification: ({ appName, name, url, expiresInHours }) => ({
+        subject: `Verify your ${appName} email address`,
+        heading: 'Confirm your email',
+        paragraphs: [
+            `Hi ${name},`,
+            `Thanks for signing up to ${appName}. Please confirm this is your email address.`
+        ],
+        action: { label: 'Verify email', url },
+        footer: `This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`
+    }),
+
+    password_reset: ({ appName, name, url, expiresInMinutes }) => ({
+        subject: `Reset your ${appName} password`,
+        heading: 'Reset your password',
+        paragraphs: [
+            `Hi ${name},`,
+            'We received a request to reset your password. The link below can be used once.'
+        ],
+        action: { label: 'Choose a new password', url },
+        footer: `This link expires in ${expiresInMinutes} minutes. If you did not ask for a reset, you can ignore this email; your password stays the same.`
+    }),
+
+    password_changed: ({ appName, name, changedAt }) => ({
+        subject: `Your ${appName} password was changed`,
+        heading: 'Password changed',
+        paragraphs: [
+            `Hi ${name},`,
+            `The password for your ${appName} account was changed on ${changedAt.toUTCString()}. You have been signed out on your other devices.`
+        ],
+        footer: 'If this was not you, reset your password right away and contact support.'
+    }),
+
+    account_locked: ({ appName, name, url, lockedUntil, expiresInHours }) => ({
+        subject: `Your ${appName} account was locked`,
+        heading: 'Account temporarily locked',
+        paragraphs: [
+            `Hi ${name},`,
+            `There were too many failed sign-in attempts on your ${appName} account, so it is locked until ${lockedUntil.toUTCString()}.`,
+            'If it was you, you can unlock it now with the link below. If it was not you, your password may be known to someone else; reset it after unlocking.'
+        ],
+        action: { label: 'Unlock my account', url },
+        footer: `This link expires in ${expiresInHours} hours and can be used once.`
+    })
+});
+
+/**
+ * Check whether a template name is registered
+ */
+export const isSupportedTemplate = (name) => Object.hasOwn(TEMPLATES, name);
+
+/**
+ * Render an email from a named template
+ * @param {string} name - Template name
+ * @param {Object} data - Values the template interpolates
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export const renderTemplate = (name, data) => {
+    const template = TEMPLATES[name];
+    if (!template) {
+        const available = Object.keys(TEMPLATES).join(', ');
+        throw new Error(`Unknown email template: ${name}. Available: ${available}`);
+    }
+
+    const content = template(data);
+
+    return {
+        subject: content.subject,
+        text: renderTextLayout(content),
+        html: renderHtmlLayout(content)
+    };
+};
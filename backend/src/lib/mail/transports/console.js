@@ -0,0 +1,32 @@
+/**
+ * Console Mail Transport
+ * @module lib/mail/transports/console
+ * @description Prints the text part of each email to stdout for local development
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Create a transport that logs emails instead of sending them
+ * @param {string} name - Transport name reported in results
+ * @returns {Object} Transport with a send() method
+ */
+export const createConsoleTransport = (name) => {
+    const send = async (message) => {
+        const messageId = `<${crypto.randomUUID()}@console>`;
+
+        console.log([
+            '📧 ==========================================',
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            '',
+            message.text,
+            '=========================================='
+        ].join('\n'));
+
+        return { transport: name, messageId };
+    };
+
+    return Object.freeze({ name, send });
+};
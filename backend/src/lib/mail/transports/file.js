@@ -0,0 +1,34 @@
+/**
+ * File Mail Transport
+ * @module lib/mail/transports/file
+ * @description Writes each email as a JSON file, so local setups and tests
+ * can open the links they contain
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create a transport that stores emails in a directory
+ * @param {string} name - Transport name reported in results
+ * @param {Object} settings - Transport settings
+ * @param {string} settings.dir - Output directory, created on first send
+ * @returns {Object} Transport with a send() method
+ */
+export const createFileTransport = (name, settings) => {
+    const dir = path.resolve(settings.dir);
+
+    const send = async (message) => {
+        const id = crypto.randomUUID();
+        const sentAt = new Date();
+        const file = path.join(dir, `${sentAt.getTime()}-${id}.json`);
+
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(file, JSON.stringify({ ...message, sentAt }, null, 2));
+
+        return { transport: name, messageId: `<${id}@file>`, file };
+    };
+
+    return Object.freeze({ name, send });
+};
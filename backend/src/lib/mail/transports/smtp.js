@@ -0,0 +1,35 @@
+/**
+ * SMTP Mail Transport
+ * @module lib/mail/transports/smtp
+ * @description Delivers email through an SMTP server with nodemailer
+ */
+
+import nodemailer from 'nodemailer';
+
+/**
+ * Create a transport backed by an SMTP server
+ * @param {string} name - Transport name reported in results
+ * @param {Object} settings - Transport settings
+ * @param {string} settings.host - SMTP host
+ * @param {number} settings.port - SMTP port
+ * @param {boolean} settings.secure - Use implicit TLS (port 465)
+ * @param {string|null} settings.user - Username, omitted for open relays
+ * @param {string|null} settings.pass - Password
+ * @returns {Object} Transport with a send() method
+ */
+export const createSmtpTransport = (name, settings) => {
+    const transporter = nodemailer.createTransport({
+        host: settings.host,
+        port: settings.port,
+        secure: settings.secure,
+        auth: settings.user ? { user: settings.user, pass: settings.pass } : undefined
+    });
+
+    const send = async (message) => {
+        const info = await transporter.sendMail(message);
+
+        return { transport: name, messageId: info.messageId };
+    };
+
+    return Object.freeze({ name, send });
+};
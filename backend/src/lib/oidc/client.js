@@ -0,0 +1,200 @@
+/**
+ * OpenID Connect Client
+ * @module lib/oidc/client
+ * @description Discovery, authorization code flow with PKCE and ID token
+ * verification for a single provider
+ */
+
+import crypto from 'crypto';
+import { createRemoteJWKSet, jwtVerify } from 'jose';
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// issuer -> { metadata, jwks, expiresAt }
+const discoveryCache = new Map();
+
+/**
+ * Error raised for provider failures; `code` tells the caller what went wrong
+ */
+export class OidcError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'OidcError';
+        this.code = code;
+    }
+}
+
+/**
+ * Random URL-safe value for state, nonce and PKCE verifiers
+ * @param {number} [bytes=32]
+ * @returns {string}
+ */
+export const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * PKCE S256 challenge for a verifier
+ * @param {string} codeVerifier
+ * @returns {string}
+ */
+export const createCodeChallenge = (codeVerifier) =>
+    crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+const fetchJson = async (url, options = {}) => {
+    let response;
+    try {
+        response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    } catch (error) {
+        throw new OidcError(`Request to ${url} failed: ${error.message}`, 'PROVIDER_UNAVAILABLE');
+    }
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+        const reason = body?.error_description || body?.error || response.statusText;
+        const code = response.status >= 500 ? 'PROVIDER_UNAVAILABLE' : 'PROVIDER_REJECTED';
+        throw new OidcError(`${url} responded ${response.status}: ${reason}`, code);
+    }
+    if (!body) {
+        throw new OidcError(`${url} did not return JSON`, 'PROVIDER_UNAVAILABLE');
+    }
+    return body;
+};
+
+// "https://login.microsoftonline.com/{tenantid}/v2.0" matches the template itself or any single tenant
+const matchesIssuerTemplate = (provider, issuer) => {
+    if (!provider.issuerTemplate) return false;
+    const [prefix, suffix] = provider.issuerTemplate.split('{tenantid}');
+    if (!issuer.startsWith(prefix) || !issuer.endsWith(suffix)) return false;
+
+    const tenant = issuer.slice(prefix.length, issuer.length - suffix.length);
+    return tenant === '{tenantid}' || /^[\w.-]+$/.test(tenant);
+};
+
+/**
+ * Load (and cache) a provider's metadata and signing keys
+ * @param {Object} provider - Normalized provider
+ * @returns {Promise<{metadata: Object, jwks: Function}>}
+ */
+export const discover = async (provider) => {
+    const cached = discoveryCache.get(provider.issuer);
+    if (cached && cached.expiresAt > Date.now()) return cached;
+
+    const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    const advertised = String(metadata.issuer || '').replace(/\/+$/, '');
+    if (advertised !== provider.issuer && !matchesIssuerTemplate(provider, advertised)) {
+        throw new OidcError(`Issuer mismatch in discovery for ${provider.id}: ${metadata.issuer}`, 'INVALID_METADATA');
+    }
+    for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+        if (!metadata[field]) {
+            throw new OidcError(`Discovery for ${provider.id} is missing ${field}`, 'INVALID_METADATA');
+        }
+    }
+
+    const entry = {
+        metadata,
+        jwks: createRemoteJWKSet(new URL(metadata.jwks_uri)),
+        expiresAt: Date.now() + DISCOVERY_TTL_MS
+    };
+    discoveryCache.set(provider.issuer, entry);
+    return entry;
+};
+
+/**
+ * Forget cached metadata (tests, key rotation problems)
+ */
+export const clearDiscoveryCache = () => discoveryCache.clear();
+
+/**
+ * Build the URL that sends the browser to the provider
+ * @param {Object} provider - Normalized provider
+ * @param {Object} params - { redirectUri, state, nonce, codeVerifier }
+ * @returns {Promise<string>}
+ */
+export const buildAuthorizationUrl = async (provider, { redirectUri, state, nonce, codeVerifier }) => {
+    const { metadata } = await discover(provider);
+    const url = new URL(metadata.authorization_endpoint);
+
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', provider.scopes.join(' '));
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', createCodeChallenge(codeVerifier));
+    url.searchParams.set('code_challenge_method', 'S256');
+
+    return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} provider - Normalized provider
+ * @param {Object} params - { code, redirectUri, codeVerifier }
+ * @returns {Promise<Object>} Token response (id_token, access_token, ...)
+ */
+export const exchangeCode = async (provider, { code, redirectUri, codeVerifier }) => {
+    const { metadata } = await discover(provider);
+
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    // client_secret_basic is the spec default; fall back to post when it is the only method
+    const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (provider.clientSecret && authMethods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+        body.set('client_id', provider.clientId);
+        if (provider.clientSecret) body.set('client_secret', provider.clientSecret);
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+    if (!tokens.id_token) {
+        throw new OidcError(`${provider.id} did not return an ID token`, 'PROVIDER_REJECTED');
+    }
+    return tokens;
+};
+
+/**
+ * Verify an ID token's signature and claims
+ * @param {Object} provider - Normalized provider
+ * @param {string} idToken - Compact JWT
+ * @param {Object} options - { nonce }
+ * @returns {Promise<Object>} Verified claims
+ */
+export const verifyIdToken = async (provider, idToken, { nonce }) => {
+    const { jwks } = await discover(provider);
+
+    let payload;
+    try {
+        ({ payload } = await jwtVerify(idToken, jwks, {
+            audience: provider.clientId,
+            // Templated issuers are checked below, once the tenant is known
+            issuer: provider.issuerTemplate ? undefined : provider.issuer,
+            clockTolerance: CLOCK_TOLERANCE_SECONDS
+        }));
+    } catch (error) {
+        throw new OidcError(`Invalid ID token from ${provider.id}: ${error.message}`, 'INVALID_ID_TOKEN');
+    }
+
+    if (provider.issuerTemplate) {
+        const expected = provider.issuerTemplate.replace('{tenantid}', payload.tid || '');
+        if (!payload.tid || payload.iss !== expected) {
+            throw new OidcError(`Unexpected issuer in ID token from ${provider.id}`, 'INVALID_ID_TOKEN');
+        }
+    }
+    if (!nonce || payload.nonce !== nonce) {
+        throw new OidcError(`Nonce mismatch in ID token from ${provider.id}`, 'INVALID_ID_TOKEN');
+    }
+    if (!payload.sub) {
+        throw new OidcError(`ID token from ${provider.id} has no subject`, 'INVALID_ID_TOKEN');
+    }
+
+    return payload;
+};
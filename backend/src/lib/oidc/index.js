@@ -0,0 +1,16 @@
+/**
+ * OpenID Connect Module
+ * @module lib/oidc
+ */
+
+export { resolveOidcProviders } from './providers.js';
+export {
+    OidcError,
+    randomToken,
+    createCodeChallenge,
+    discover,
+    clearDiscoveryCache,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken
+} from './client.js';
@@ -0,0 +1,111 @@
+/**
+ * OpenID Connect Providers
+ * @module lib/oidc/providers
+ * @description Turns environment settings into a normalized provider list
+ */
+
+const PROVIDER_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const DEFAULT_SCOPES = ['openid', 'email', 'profile'];
+const MULTI_TENANT_ENDPOINTS = ['common', 'organizations', 'consumers'];
+
+/**
+ * Normalize one provider entry
+ * @param {Object} entry - Raw provider settings
+ * @returns {Object} Frozen provider
+ */
+const normalizeProvider = (entry) => {
+    if (!PROVIDER_ID_PATTERN.test(entry.id || '')) {
+        throw new Error(`Invalid OIDC provider id: ${entry.id}`);
+    }
+    if (!entry.clientId) {
+        throw new Error(`OIDC provider ${entry.id} is missing clientId`);
+    }
+
+    let issuer;
+    try {
+        issuer = new URL(entry.issuer).toString().replace(/\/+$/, '');
+    } catch (error) {
+        throw new Error(`OIDC provider ${entry.id} has an invalid issuer URL`);
+    }
+
+    return Object.freeze({
+        id: entry.id,
+        name: entry.name || entry.id,
+        issuer,
+        // Microsoft's multi-tenant metadata lists "{tenantid}" in place of the tenant
+        issuerTemplate: entry.issuerTemplate || null,
+        clientId: entry.clientId,
+        clientSecret: entry.clientSecret || null,
+        scopes: Object.freeze(entry.scopes || DEFAULT_SCOPES),
+        // Institution name stored on students created through this provider
+        institution: entry.institution || null,
+        // Claim that carries the institution name (overrides the fixed name)
+        institutionClaim: entry.institutionClaim || null,
+        // Institution IdPs vouch for their addresses even without email_verified
+        trustEmail: entry.trustEmail === true
+    });
+};
+
+/**
+ * Parse the institution list from JSON
+ * @param {string|Array} value - JSON array or already parsed array
+ * @returns {Array<Object>}
+ */
+const parseInstitutions = (value) => {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+
+    try {
+        const parsed = JSON.parse(value);
+        if (!Array.isArray(parsed)) throw new Error('not an array');
+        return parsed;
+    } catch (error) {
+        throw new Error(`OIDC_INSTITUTIONS must be a JSON array: ${error.message}`);
+    }
+};
+
+/**
+ * Build the list of enabled providers
+ * @param {Object} settings - { google, microsoft, institutions }
+ * @returns {Array<Object>} Providers, only those with a client id
+ */
+export const resolveOidcProviders = ({ google = {}, microsoft = {}, institutions } = {}) => {
+    const entries = [];
+
+    if (google.clientId) {
+        entries.push({
+            id: 'google',
+            name: 'Google',
+            issuer: 'https://accounts.google.com',
+            clientId: google.clientId,
+            clientSecret: google.clientSecret,
+            institutionClaim: 'hd'
+        });
+    }
+
+    if (microsoft.clientId) {
+        const tenant = microsoft.tenant || 'common';
+        entries.push({
+            id: 'microsoft',
+            name: 'Microsoft',
+            issuer: `https://login.microsoftonline.com/${tenant}/v2.0`,
+            // Only the shared endpoints sign tokens for many tenants; a tenant id pins the issuer
+            issuerTemplate: MULTI_TENANT_ENDPOINTS.includes(tenant)
+                ? 'https://login.microsoftonline.com/{tenantid}/v2.0'
+                : null,
+            clientId: microsoft.clientId,
+            clientSecret: microsoft.clientSecret
+        });
+    }
+
+    entries.push(...parseInstitutions(institutions));
+
+    const providers = entries.map(normalizeProvider);
+    const ids = new Set();
+    for (const provider of providers) {
+        if (ids.has(provider.id)) throw new Error(`Duplicate OIDC provider id: ${provider.id}`);
+        ids.add(provider.id);
+    }
+
+    return Object.freeze(providers);
+};
@@ -9,6 +9,6 @@ export const parseInteger = (value, fallback) => {
 };
 
 export const parseFloat = (value, fallback) => {
-    const parsed = parseFloat(value);
+    const parsed = Number.parseFloat(value);
     return isNaN(parsed) ? fallback : parsed;
 };
\ No newline at end of file
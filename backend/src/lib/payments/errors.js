@@ -0,0 +1,18 @@
+/**
+ * Payment Gateway Errors
+ * @module lib/payments/errors
+ */
+
+/**
+ * Error raised for gateway and webhook failures; `code` tells the caller
+ * what went wrong and `retryable` whether trying again may help
+ */
+export class PaymentGatewayError extends Error {
+    constructor(message, code, { retryable = false, status = null } = {}) {
+        super(message);
+        this.name = 'PaymentGatewayError';
+        this.code = code;
+        this.retryable = retryable;
+        this.status = status;
+    }
+}
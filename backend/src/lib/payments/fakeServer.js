@@ -0,0 +1,308 @@
+/**
+ * Fake Payment Gateway Server
+ * @module lib/payments/fakeServer
+ * @description Offline stand-in for Stripe Checkout. It implements the
+ * checkout session endpoints the Stripe gateway client calls, serves a hosted
+ * checkout page with Pay and Decline buttons, and delivers signed webhooks,
+ * so the whole payment flow runs locally and in tests.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import { signWebhookPayload } from './signature.js';
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+const sendError = (res, status, message) => sendJson(res, status, {
+    error: { type: 'invalid_request_error', message }
+});
+
+/**
+ * Create a fake gateway server
+ * @param {Object} options
+ * @param {string} [options.host='127.0.0.1'] - Listen address
+ * @param {number} [options.port=0] - Listen port, 0 picks a free one
+ * @param {string} options.secretKey - API key clients must send
+ * @param {string} options.webhookSecret - Secret used to sign webhooks
+ * @param {string|null} [options.webhookUrl] - Where webhooks are delivered; none when null
+ * @param {string} [options.publicUrl] - Base URL for checkout pages, defaults to the listen address
+ * @returns {Object} Server with listen(), close() and pay/decline/expire/resend controls
+ */
+export const createFakeGatewayServer = (options) => {
+    const { host = '127.0.0.1', port = 0, secretKey, webhookSecret } = options;
+    let webhookUrl = options.webhookUrl || null;
+    let publicUrl = options.publicUrl || null;
+
+    const sessions = new Map();
+    const idempotencyKeys = new Map();
+    const events = new Map();
+
+    // ==========================================
+    // WEBHOOKS
+    // ==========================================
+
+    const deliver = async (event) => {
+        if (!webhookUrl) {
+            return { delivered: false, status: null };
+        }
+
+        const payload = JSON.stringify(event);
+        try {
+            const response = await fetch(webhookUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Stripe-Signature': signWebhookPayload(payload, webhookSecret)
+                },
+                body: payload,
+                signal: AbortSignal.timeout(10 * 1000)
+            });
+            return { delivered: response.ok, status: response.status };
+        } catch (error) {
+            console.error(`⚠️ Fake gateway could not deliver ${event.type}:`, error.message);
+            return { delivered: false, status: null };
+        }
+    };
+
+    const emit = async (type, session) => {
+        const event = {
+            id: randomId('evt'),
+            object: 'event',
+            type,
+            created: nowSeconds(),
+            data: { object: { ...session } }
+        };
+        events.set(event.id, event);
+
+        return { event, ...await deliver(event) };
+    };
+
+    // ==========================================
+    // SESSIONS
+    // ==========================================
+
+    const createSession = (params) => {
+        const metadata = {};
+        for (const [key, value] of params) {
+            const match = key.match(/^metadata\[(.+)\]$/);
+            if (match) metadata[match[1]] = value;
+        }
+
+        const id = randomId('cs_test');
+        const session = {
+            id,
+            object: 'checkout.session',
+            mode: params.get('mode') || 'payment',
+            status: 'open',
+            payment_status: 'unpaid',
+            payment_intent: null,
+            client_reference_id: params.get('client_reference_id'),
+            amount_total: Number(params.get('line_items[0][price_data][unit_amount]')) * Number(params.get('line_items[0][quantity]') || 1),
+            currency: params.get('line_items[0][price_data][currency]'),
+            description: params.get('line_items[0][price_data][product_data][name]'),
+            success_url: params.get('success_url'),
+            cancel_url: params.get('cancel_url'),
+            expires_at: Number(params.get('expires_at')) || nowSeconds() + 24 * 60 * 60,
+            created: nowSeconds(),
+            metadata,
+            url: `${publicUrl}/checkout/${id}`
+        };
+
+        sessions.set(id, session);
+        return session;
+    };
+
+    const findOpenSession = (sessionId) => {
+        const session = sessions.get(sessionId);
+        if (!session) {
+            throw Object.assign(new Error(`No such checkout.session: ${sessionId}`), { status: 404 });
+        }
+        if (session.status !== 'open') {
+            throw Object.assign(new Error(`Checkout session ${sessionId} is ${session.status}`), { status: 400 });
+        }
+        return session;
+    };
+
+    /**
+     * Complete a session as paid and send checkout.session.completed
+     */
+    const pay = (sessionId) => {
+        const session = findOpenSession(sessionId);
+        session.status = 'complete';
+        session.payment_status = 'paid';
+        session.payment_intent = randomId('pi');
+        return emit('checkout.session.completed', session);
+    };
+
+    /**
+     * Complete a session without payment and send checkout.session.async_payment_failed
+     */
+    const decline = (sessionId) => {
+        const session = findOpenSession(sessionId);
+        session.status = 'complete';
+        session.payment_status = 'unpaid';
+        return emit('checkout.session.async_payment_failed', session);
+    };
+
+    /**
+     * Expire an open session and send checkout.session.expired
+     */
+    const expire = (sessionId) => {
+        const session = findOpenSession(sessionId);
+        session.status = 'expired';
+        return emit('checkout.session.expired', session);
+    };
+
+    /**
+     * Deliver an earlier event again, as gateways do when a delivery fails
+     */
+    const resend = (eventId) => {
+        const event = events.get(eventId);
+        if (!event) {
+            throw Object.assign(new Error(`No such event: ${eventId}`), { status: 404 });
+        }
+        return deliver(event).then(result => ({ event, ...result }));
+    };
+
+    // Sessions past their expiry time expire on next access
+    const expireDueSessions = async () => {
+        for (const session of sessions.values()) {
+            if (session.status === 'open' && session.expires_at <= nowSeconds()) {
+                await expire(session.id);
+            }
+        }
+    };
+
+    // ==========================================
+    // HTTP
+    // ==========================================
+
+    const checkoutPage = (session) => `<!doctype html>
+<html><head><meta charset="utf-8"><title>Fake checkout</title></head>
+<body style="font-family: sans-serif; max-width: 28rem; margin: 4rem auto;">
+  <h1>Fake checkout</h1>
+  <p>${escapeHtml(session.description || 'Payment')}</p>
+  <p><strong>${(session.amount_total / 100).toFixed(2)} ${escapeHtml(session.currency.toUpperCase())}</strong></p>
+  <p>Status: ${escapeHtml(session.status)}</p>
+  ${session.status === 'open' ? `
+  <form method="post" action="/checkout/${session.id}/pay"><button type="submit">Pay</button></form>
+  <form method="post" action="/checkout/${session.id}/decline"><button type="submit">Decline</button></form>` : ''}
+</body></html>`;
+
+    const routes = [
+        ['POST', /^\/v1\/checkout\/sessions$/, true, async (req, res) => {
+            const idempotencyKey = req.headers['idempotency-key'];
+            if (idempotencyKey && idempotencyKeys.has(idempotencyKey)) {
+                return sendJson(res, 200, sessions.get(idempotencyKeys.get(idempotencyKey)));
+            }
+
+            const params = new URLSearchParams(await readBody(req));
+            if (!params.get('line_items[0][price_data][unit_amount]') || !params.get('success_url')) {
+                return sendError(res, 400, 'Missing line item amount or success_url');
+            }
+
+            const session = createSession(params);
+            if (idempotencyKey) idempotencyKeys.set(idempotencyKey, session.id);
+            sendJson(res, 200, session);
+        }],
+        ['GET', /^\/v1\/checkout\/sessions\/([\w-]+)$/, true, (req, res, [sessionId]) => {
+            const session = sessions.get(sessionId);
+            if (!session) return sendError(res, 404, `No such checkout.session: ${sessionId}`);
+            sendJson(res, 200, session);
+        }],
+        ['POST', /^\/v1\/checkout\/sessions\/([\w-]+)\/expire$/, true, async (req, res, [sessionId]) => {
+            await readBody(req);
+            await expire(sessionId);
+            sendJson(res, 200, sessions.get(sessionId));
+        }],
+        ['GET', /^\/checkout\/([\w-]+)$/, false, (req, res, [sessionId]) => {
+            const session = sessions.get(sessionId);
+            if (!session) return sendError(res, 404, `No such checkout.session: ${sessionId}`);
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(checkoutPage(session));
+        }],
+        ['POST', /^\/checkout\/([\w-]+)\/(pay|decline)$/, false, async (req, res, [sessionId, action]) => {
+            await readBody(req);
+            await (action === 'pay' ? pay(sessionId) : decline(sessionId));
+            const session = sessions.get(sessionId);
+            const returnUrl = action === 'pay' ? session.success_url : session.cancel_url;
+            res.writeHead(303, { Location: returnUrl.replace('{CHECKOUT_SESSION_ID}', sessionId) });
+            res.end();
+        }],
+        ['POST', /^\/_fake\/events\/([\w-]+)\/resend$/, true, async (req, res, [eventId]) => {
+            await readBody(req);
+            const { event, delivered, status } = await resend(eventId);
+            sendJson(res, 200, { id: event.id, delivered, status });
+        }]
+    ];
+
+    const server = http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://fake');
+
+        try {
+            await expireDueSessions();
+
+            for (const [method, pattern, requiresKey, handler] of routes) {
+                const match = req.method === method && pathname.match(pattern);
+                if (!match) continue;
+
+                if (requiresKey && req.headers.authorization !== `Bearer ${secretKey}`) {
+                    return sendError(res, 401, 'Invalid API key provided');
+                }
+                return await handler(req, res, match.slice(1));
+            }
+            sendError(res, 404, `Unrecognized request URL (${req.method}: ${pathname})`);
+        } catch (error) {
+            sendError(res, error.status || 500, error.message);
+        }
+    });
+
+    /**
+     * Start listening
+     * @returns {Promise<string>} Base URL of the server
+     */
+    const listen = () => new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            const address = server.address();
+            const url = `http://${host}:${address.port}`;
+            publicUrl = publicUrl || url;
+            resolve(url);
+        });
+    });
+
+    const close = () => new Promise(resolve => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+    });
+
+    return Object.freeze({
+        listen,
+        close,
+        pay,
+        decline,
+        expire,
+        resend,
+        getSession: (sessionId) => sessions.get(sessionId) || null,
+        listEvents: () => [...events.values()],
+        setWebhookUrl: (url) => { webhookUrl = url; }
+    });
+};
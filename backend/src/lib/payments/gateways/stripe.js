@@ -0,0 +1,200 @@
+/**
+ * Stripe Payment Gateway
+ * @module lib/payments/gateways/stripe
+ * @description Hosted checkout sessions and signed webhooks over Stripe's
+ * REST API. The fake gateway server speaks the same subset, so this client
+ * also drives local and test setups.
+ */
+
+import { PaymentGatewayError } from '../errors.js';
+import { verifyWebhookSignature } from '../signature.js';
+
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// Currencies Stripe charges in whole units
+const ZERO_DECIMAL_CURRENCIES = new Set(['JPY']);
+
+const toMinorUnits = (amount, currency) => (
+    ZERO_DECIMAL_CURRENCIES.has(currency) ? Math.round(amount) : Math.round(amount * 100)
+);
+
+const fromMinorUnits = (amount, currency) => (
+    ZERO_DECIMAL_CURRENCIES.has(currency) ? amount : amount / 100
+);
+
+// Stripe event type -> gateway-neutral event type
+const EVENT_TYPES = Object.freeze({
+    'checkout.session.completed': 'checkout.completed',
+    'checkout.session.async_payment_succeeded': 'checkout.completed',
+    'checkout.session.async_payment_failed': 'checkout.failed',
+    'checkout.session.expired': 'checkout.expired'
+});
+
+/**
+ * Flatten nested params into Stripe's form encoding (a[b][0][c]=value)
+ */
+const toFormBody = (params, prefix = '', body = new URLSearchParams()) => {
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null) continue;
+
+        const name = prefix ? `${prefix}[${key}]` : key;
+        if (typeof value === 'object') {
+            toFormBody(value, name, body);
+        } else {
+            body.append(name, String(value));
+        }
+    }
+    return body;
+};
+
+/**
+ * Checkout session in the shape the payment service works with
+ */
+const normalizeSession = (session) => {
+    const currency = (session.currency || '').toUpperCase();
+
+    return {
+        id: session.id,
+        status: session.status,
+        paid: session.payment_status === 'paid' || session.payment_status === 'no_payment_required',
+        paymentId: typeof session.payment_intent === 'object'
+            ? session.payment_intent?.id || null
+            : session.payment_intent || null,
+        reference: session.client_reference_id || null,
+        amount: session.amount_total == null ? null : fromMinorUnits(session.amount_total, currency),
+        currency,
+        url: session.url || null,
+        expiresAt: session.expires_at ? new Date(session.expires_at * 1000) : null,
+        metadata: session.metadata || {}
+    };
+};
+
+/**
+ * Create a gateway backed by the Stripe API (or an API-compatible server)
+ * @param {string} name - Gateway name recorded on transactions
+ * @param {Object} settings - Gateway settings
+ * @param {string} settings.apiUrl - API base URL
+ * @param {string} settings.secretKey - Secret API key
+ * @param {string} settings.webhookSecret - Webhook signing secret
+ * @param {Object} [options]
+ * @param {number} [options.webhookToleranceSeconds=300] - Oldest accepted webhook signature
+ * @returns {Object} Gateway with checkout session and webhook methods
+ */
+export const createStripeGateway = (name, settings, options = {}) => {
+    const apiUrl = settings.apiUrl.replace(/\/+$/, '');
+    const toleranceSeconds = options.webhookToleranceSeconds ?? 300;
+
+    const request = async (method, path, params = null, idempotencyKey = null) => {
+        let response;
+        try {
+            response = await fetch(`${apiUrl}${path}`, {
+                method,
+                headers: {
+                    Authorization: `Bearer ${settings.secretKey}`,
+                    ...(params && { 'Content-Type': 'application/x-www-form-urlencoded' }),
+                    ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
+                },
+                body: params ? toFormBody(params).toString() : undefined,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+        } catch (error) {
+            throw new PaymentGatewayError(`${name} request failed: ${error.message}`, 'GATEWAY_UNAVAILABLE', { retryable: true });
+        }
+
+        const body = await response.json().catch(() => null);
+        if (!response.ok) {
+            const reason = body?.error?.message || response.statusText;
+            throw new PaymentGatewayError(`${name} responded ${response.status}: ${reason}`,
+                response.status >= 500 ? 'GATEWAY_UNAVAILABLE' : 'GATEWAY_REJECTED',
+                { retryable: response.status >= 500 || response.status === 429, status: response.status });
+        }
+        if (!body) {
+            throw new PaymentGatewayError(`${name} did not return JSON`, 'GATEWAY_UNAVAILABLE', { retryable: true });
+        }
+        return body;
+    };
+
+    /**
+     * Start a hosted checkout for a single payment
+     * @param {Object} checkout
+     * @param {string} checkout.reference - Our transaction reference, also the idempotency key
+     * @param {number} checkout.amount - Amount in major units
+     * @param {string} checkout.currency - ISO currency code
+     * @param {string} checkout.description - Line item name shown to the buyer
+     * @param {string} checkout.successUrl - Return page after paying
+     * @param {string} checkout.cancelUrl - Return page when the buyer gives up
+     * @param {Date} checkout.expiresAt - When the session stops accepting payment
+     * @param {Object} [checkout.metadata] - String values echoed back in webhooks
+     * @returns {Promise<Object>} Normalized session with the checkout url
+     */
+    const createCheckoutSession = async (checkout) => {
+        const session = await request('POST', '/v1/checkout/sessions', {
+            mode: 'payment',
+            client_reference_id: checkout.reference,
+            success_url: checkout.successUrl,
+            cancel_url: checkout.cancelUrl,
+            expires_at: Math.floor(checkout.expiresAt.getTime() / 1000),
+            line_items: [{
+                quantity: 1,
+                price_data: {
+                    currency: checkout.currency.toLowerCase(),
+                    unit_amount: toMinorUnits(checkout.amount, checkout.currency),
+                    product_data: { name: checkout.description }
+                }
+            }],
+            metadata: checkout.metadata
+        }, `checkout-${checkout.reference}`);
+
+        return normalizeSession(session);
+    };
+
+    const retrieveCheckoutSession = async (sessionId) => {
+        return normalizeSession(await request('GET', `/v1/checkout/sessions/${encodeURIComponent(sessionId)}`));
+    };
+
+    /**
+     * Stop an open session from accepting payment
+     */
+    const expireCheckoutSession = async (sessionId) => {
+        return normalizeSession(await request('POST', `/v1/checkout/sessions/${encodeURIComponent(sessionId)}/expire`, {}));
+    };
+
+    /**
+     * Verify a webhook and translate it into a gateway-neutral event
+     * @param {Buffer|string} rawBody - Body exactly as received
+     * @param {string} signature - Stripe-Signature header
+     * @returns {Object} { id, type, gatewayType, session }; type is null for events we do not handle
+     * @throws {PaymentGatewayError} INVALID_SIGNATURE, SIGNATURE_EXPIRED or INVALID_PAYLOAD
+     */
+    const parseWebhookEvent = (rawBody, signature) => {
+        verifyWebhookSignature(rawBody, signature, settings.webhookSecret, { toleranceSeconds });
+
+        let event;
+        try {
+            event = JSON.parse(rawBody.toString());
+        } catch {
+            throw new PaymentGatewayError('Webhook body is not valid JSON', 'INVALID_PAYLOAD');
+        }
+        if (!event?.id || !event.type) {
+            throw new PaymentGatewayError('Webhook body is not an event', 'INVALID_PAYLOAD');
+        }
+
+        const session = event.data?.object?.object === 'checkout.session' ? normalizeSession(event.data.object) : null;
+        let type = session ? EVENT_TYPES[event.type] || null : null;
+
+        // Delayed payment methods complete the session before the money arrives
+        if (type === 'checkout.completed' && !session.paid) {
+            type = null;
+        }
+
+        return { id: event.id, type, gatewayType: event.type, session };
+    };
+
+    return Object.freeze({
+        name,
+        createCheckoutSession,
+        retrieveCheckoutSession,
+        expireCheckoutSession,
+        parseWebhookEvent
+    });
+};
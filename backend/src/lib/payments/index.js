@@ -0,0 +1,26 @@
+/**
+ * Payments Library Exports
+ * @module lib/payments
+ * @description Central export point for payment gateways, webhook signatures
+ * and the fake gateway server
+ */
+
+// ==========================================
+// REGISTRY
+// ==========================================
+
+export { createPaymentGateway, isSupportedGateway } from './registry.js';
+
+// ==========================================
+// GATEWAYS
+// ==========================================
+
+export { createStripeGateway } from './gateways/stripe.js';
+export { createFakeGatewayServer } from './fakeServer.js';
+
+// ==========================================
+// WEBHOOKS & ERRORS
+// ==========================================
+
+export { signWebhookPayload, verifyWebhookSignature } from './signature.js';
+export { PaymentGatewayError } from './errors.js';
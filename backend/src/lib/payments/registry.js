@@ -0,0 +1,49 @@
+/**
+ * Payment Gateway Registry
+ * @module lib/payments/registry
+ * @description Maps gateway names to their factories and required settings
+ */
+
+import { createStripeGateway } from './gateways/stripe.js';
+
+const GATEWAY_REGISTRY = Object.freeze({
+    stripe: {
+        factory: createStripeGateway,
+        requiredEnv: { secretKey: 'STRIPE_SECRET_KEY', webhookSecret: 'STRIPE_WEBHOOK_SECRET' }
+    },
+    // The fake gateway server implements the Stripe checkout API
+    fake: {
+        factory: createStripeGateway,
+        requiredEnv: { apiUrl: 'FAKE_GATEWAY_URL' }
+    }
+});
+
+/**
+ * Check whether a gateway name is registered
+ */
+export const isSupportedGateway = (name) => Object.hasOwn(GATEWAY_REGISTRY, name);
+
+/**
+ * Create a payment gateway
+ * @param {string} name - Registered gateway name
+ * @param {Object} settings - { apiUrl, secretKey, webhookSecret }
+ * @param {Object} [options] - { webhookToleranceSeconds }
+ * @returns {Object} Gateway with checkout session and webhook methods
+ */
+export const createPaymentGateway = (name, settings = {}, options = {}) => {
+    const entry = GATEWAY_REGISTRY[name];
+    if (!entry) {
+        const available = Object.keys(GATEWAY_REGISTRY).join(', ');
+        throw new Error(`Unknown payment gateway: ${name}. Available: ${available}`);
+    }
+
+    for (const [key, envName] of Object.entries(entry.requiredEnv)) {
+        if (!settings[key]) {
+            const error = new Error(`${envName} environment variable is required for the ${name} payment gateway`);
+            error.code = 'MISSING_PAYMENT_SETTING';
+            throw error;
+        }
+    }
+
+    return entry.factory(name, settings, options);
+};
@@ -0,0 +1,66 @@
+/**
+ * Webhook Signatures
+ * @module lib/payments/signature
+ * @description Stripe-style webhook signatures: an HMAC-SHA256 over
+ * "<timestamp>.<raw body>" sent as `t=<timestamp>,v1=<hex digest>`
+ */
+
+import crypto from 'crypto';
+import { PaymentGatewayError } from './errors.js';
+
+const computeDigest = (payload, secret, timestamp) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+/**
+ * Build the signature header for a payload
+ * @param {string|Buffer} payload - Exact body that will be sent
+ * @param {string} secret - Webhook signing secret
+ * @param {number} [timestamp] - Unix seconds, defaults to now
+ * @returns {string} Header value
+ */
+export const signWebhookPayload = (payload, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+    return `t=${timestamp},v1=${computeDigest(payload.toString(), secret, timestamp)}`;
+};
+
+/**
+ * Check a signature header against the raw body
+ * @param {string|Buffer} payload - Body exactly as received
+ * @param {string} header - Signature header
+ * @param {string} secret - Webhook signing secret
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds=300] - Oldest accepted signature age
+ * @param {number} [options.now] - Unix seconds, defaults to now
+ * @returns {number} Signature timestamp
+ * @throws {PaymentGatewayError} INVALID_SIGNATURE or SIGNATURE_EXPIRED
+ */
+export const verifyWebhookSignature = (payload, header, secret, { toleranceSeconds = 300, now = Math.floor(Date.now() / 1000) } = {}) => {
+    if (!payload || !header || !secret) {
+        throw new PaymentGatewayError('Missing webhook payload, signature or secret', 'INVALID_SIGNATURE');
+    }
+
+    const parts = header.split(',').map(part => part.trim().split('='));
+    const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+    if (!Number.isInteger(timestamp) || signatures.length === 0) {
+        throw new PaymentGatewayError('Malformed webhook signature header', 'INVALID_SIGNATURE');
+    }
+
+    const expected = Buffer.from(computeDigest(payload.toString(), secret, timestamp), 'hex');
+    const matches = signatures.some(signature => {
+        const received = Buffer.from(signature, 'hex');
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+
+    if (!matches) {
+        throw new PaymentGatewayError('Webhook signature does not match', 'INVALID_SIGNATURE');
+    }
+
+    if (Math.abs(now - timestamp) > toleranceSeconds) {
+        throw new PaymentGatewayError('Webhook signature is too old', 'SIGNATURE_EXPIRED');
+    }
+
+    return timestamp;
+};
@@ -0,0 +1,47 @@
+/**
+ * Brute-Force Policy
+ * @module lib/security/bruteForce
+ * @description Progressive delays and lockout lengths for failed sign-ins
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Time a client must wait after its latest failure before trying again
+ * @param {number} failures - Failed attempts in the current window
+ * @param {Object} policy - { freeAttempts, baseSeconds, maxSeconds }
+ * @returns {number} Milliseconds, 0 when no wait is needed
+ */
+export const getRetryDelayMs = (failures, { freeAttempts, baseSeconds, maxSeconds }) => {
+    const over = failures - freeAttempts;
+    if (over <= 0) return 0;
+
+    // 2^30 is already far past any sensible maximum
+    const seconds = baseSeconds * 2 ** Math.min(over - 1, 30);
+    return Math.min(seconds, maxSeconds) * 1000;
+};
+
+/**
+ * Length of the next account lockout
+ * @param {number} previousLocks - Lockouts since the last successful sign-in
+ * @param {Object} policy - { lockMinutes, maxLockMinutes }
+ * @returns {number} Milliseconds
+ */
+export const getLockDurationMs = (previousLocks, { lockMinutes, maxLockMinutes }) => {
+    const minutes = lockMinutes * 2 ** Math.min(Math.max(previousLocks, 0), 30);
+    return Math.min(minutes, maxLockMinutes) * MINUTE_MS;
+};
+
+/**
+ * Whether a sign-in must wait, and until when
+ * @param {Object|null} counter - { failures, lastFailureAt } or null
+ * @param {Object} policy - Delay policy
+ * @param {Date} [now=new Date()]
+ * @returns {Date|null} Earliest time of the next attempt, null if allowed now
+ */
+export const getNextAttemptAt = (counter, policy, now = new Date()) => {
+    if (!counter?.lastFailureAt) return null;
+
+    const nextAttemptAt = new Date(new Date(counter.lastFailureAt).getTime() + getRetryDelayMs(counter.failures, policy));
+    return nextAttemptAt > now ? nextAttemptAt : null;
+};
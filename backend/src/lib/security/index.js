@@ -0,0 +1,6 @@
+/**
+ * Security Library Exports
+ * @module lib/security
+ */
+
+export { getRetryDelayMs, getLockDurationMs, getNextAttemptAt } from './bruteForce.js';
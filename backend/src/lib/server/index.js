@@ -21,6 +21,8 @@ export {
 
 export {
     initializeDatabase,
+    initializePayments,
+    initializeJobWorkers,
     initializeServer,
     setupServerManagement
 } from './initializers.js';
\ No newline at end of file
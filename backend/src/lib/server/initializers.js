@@ -5,8 +5,13 @@
  */
 
 import app from '#app';
-import { serverConfig, configureServer, setupGracefulShutdown as setupServerShutdown } from '#config/index.js';
+import { serverConfig, queueConfig, paymentConfig, configureServer, setupGracefulShutdown as setupServerShutdown } from '#config/index.js';
 import { connectDatabase, validateDatabaseConfig, setupGracefulShutdown as setupDbShutdown } from '#lib/database/index.js';
+import { startJobWorkers, stopJobWorkers } from '#services/jobQueue.service.js';
+import { registerDocumentProcessingJobs } from '#services/documentPipeline.service.js';
+import { registerPaymentJobs } from '#services/payment.service.js';
+import { registerCoursePurchaseCheckout } from '#services/course.service.js';
+import { registerSubscriptionCheckout } from '#services/subscription.service.js';
 
 // ==========================================
 // INITIALIZATION FUNCTIONS
@@ -29,6 +34,39 @@ export const initializeDatabase = async () => {
     console.log('   ✅ Database connected');
 };
 
+/**
+ * Register what paid checkouts grant and the checkout expiry job
+ * Runs before the job workers so expiry jobs find their handler.
+ */
+export const initializePayments = () => {
+    console.log('\n💳 Payments Initialization:');
+
+    registerCoursePurchaseCheckout();
+    registerSubscriptionCheckout();
+    registerPaymentJobs();
+    console.log(`   ✅ Checkout handlers registered (gateway: ${paymentConfig.gateway})`);
+};
+
+/**
+ * Register background job handlers and start the workers
+ * Handlers are always registered so requests can be queued; workers only run
+ * where QUEUE_WORKERS_ENABLED allows it.
+ */
+export const initializeJobWorkers = () => {
+    console.log('\n👷 Job Queue Initialization:');
+
+    registerDocumentProcessingJobs();
+    console.log('   ✅ Job handlers registered');
+
+    if (!queueConfig.workersEnabled) {
+        console.log('   ⏭️ Workers disabled for this process');
+        return;
+    }
+
+    startJobWorkers();
+    console.log(`   ✅ Workers started (concurrency ${queueConfig.concurrency})`);
+};
+
 /**
  * Initialize HTTP server
  * @returns {Promise<Object>} HTTP server instance
@@ -67,6 +105,6 @@ export const setupServerManagement = (server) => {
     
     console.log('   ⏳ Setting up graceful shutdown...');
     setupServerShutdown(server);
-    setupDbShutdown();
+    setupDbShutdown({ beforeDisconnect: stopJobWorkers });
     console.log('   ✅ Graceful shutdown configured');
 };
\ No newline at end of file
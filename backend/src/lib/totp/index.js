@@ -0,0 +1,26 @@
+/**
+ * TOTP Library Exports
+ * @module lib/totp
+ * @description Central export point for one-time password helpers
+ */
+
+// ==========================================
+// TOTP
+// ==========================================
+
+export {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getTimeStep,
+    generateHotp,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUrl
+} from './totp.js';
+
+// ==========================================
+// SECRET STORAGE
+// ==========================================
+
+export { sealSecret, openSecret } from './secretBox.js';
@@ -0,0 +1,63 @@
+/**
+ * Secret Box
+ * @module lib/totp/secretBox
+ * @description AES-256-GCM encryption for TOTP secrets at rest. Unlike
+ * passwords, TOTP secrets must be readable to check codes, so they are
+ * encrypted rather than hashed.
+ */
+
+import crypto from 'crypto';
+
+const VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Derive a 256-bit key from configured key material of any length
+ * @param {string} keyMaterial - Configured encryption key
+ * @returns {Buffer} Key
+ */
+const deriveKey = (keyMaterial) => {
+    if (!keyMaterial) {
+        throw new Error('Secret box key is required');
+    }
+    return crypto.createHash('sha256').update(String(keyMaterial)).digest();
+};
+
+/**
+ * Encrypt a secret
+ * @param {string} plaintext - Secret to protect
+ * @param {string} keyMaterial - Encryption key
+ * @returns {string} `v1:iv:tag:ciphertext` (base64 parts)
+ */
+export const sealSecret = (plaintext, keyMaterial) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(keyMaterial), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+        .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+        .join(':');
+};
+
+/**
+ * Decrypt a secret sealed with sealSecret
+ * @param {string} sealed - Output of sealSecret
+ * @param {string} keyMaterial - Encryption key
+ * @returns {string} Plaintext secret
+ * @throws {Error} When the value was tampered with or the key is wrong
+ */
+export const openSecret = (sealed, keyMaterial) => {
+    const [version, iv, tag, ciphertext] = String(sealed).split(':');
+
+    if (version !== VERSION || !iv || !tag || !ciphertext) {
+        throw new Error('Unsupported sealed secret format');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(keyMaterial), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64')),
+        decipher.final()
+    ]).toString('utf8');
+};
@@ -0,0 +1,176 @@
+/**
+ * Time-Based One-Time Passwords
+ * @module lib/totp/totp
+ * @description RFC 6238 TOTP (HMAC-SHA1) with base32 secrets, compatible with
+ * Google Authenticator, Authy, 1Password and similar apps
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = Object.freeze({
+    digits: 6,
+    period: 30,
+    window: 1
+});
+
+/**
+ * Encode bytes as unpadded base32 (RFC 4648)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 text
+ */
+export const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode base32 text; spaces, dashes, padding and case are ignored
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Decoded bytes
+ */
+export const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Create a random base32 secret
+ * @param {number} [bytes=20] - Secret size (20 bytes = 160 bits, as RFC 4226 recommends)
+ * @returns {string} Base32 secret
+ */
+export const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * Time step for a timestamp
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {number} [period=30] - Step length in seconds
+ * @returns {number} Step counter
+ */
+export const getTimeStep = (timestamp = Date.now(), period = DEFAULTS.period) =>
+    Math.floor(timestamp / 1000 / period);
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter / time step
+ * @param {number} [digits=6] - Code length
+ * @returns {string} Zero-padded code
+ */
+export const generateHotp = (secret, counter, digits = DEFAULTS.digits) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * TOTP code for a moment in time
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options] - { timestamp, period, digits }
+ * @returns {string} Code
+ */
+export const generateTotp = (secret, options = {}) => {
+    const { timestamp = Date.now(), period = DEFAULTS.period, digits = DEFAULTS.digits } = options;
+    return generateHotp(secret, getTimeStep(timestamp, period), digits);
+};
+
+/**
+ * Check a TOTP code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options] - { timestamp, period, digits, window }
+ * @returns {number|null} Matching time step, or null when the code is wrong
+ */
+export const verifyTotp = (secret, code, options = {}) => {
+    const {
+        timestamp = Date.now(),
+        period = DEFAULTS.period,
+        digits = DEFAULTS.digits,
+        window = DEFAULTS.window
+    } = options;
+
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) {
+        return null;
+    }
+
+    const currentStep = getTimeStep(timestamp, period);
+
+    for (let offset = -window; offset <= window; offset++) {
+        const step = currentStep + offset;
+        const expected = generateHotp(secret, step, digits);
+
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Key URI that authenticator apps read from a QR code
+ * @see https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+ * @param {Object} params - { secret, issuer, account, digits, period }
+ * @returns {string} otpauth:// URI
+ */
+export const buildOtpauthUrl = ({ secret, issuer, account, digits = DEFAULTS.digits, period = DEFAULTS.period }) => {
+    const label = encodeURIComponent(issuer ? `${issuer}:${account}` : account);
+    const params = new URLSearchParams({
+        secret,
+        algorithm: 'SHA1',
+        digits: String(digits),
+        period: String(period)
+    });
+
+    if (issuer) {
+        params.set('issuer', issuer);
+    }
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
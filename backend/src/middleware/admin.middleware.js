@@ -67,11 +67,17 @@ export const requireUserDeletion = requirePermission('users:delete');
  */
 export const requireAnalytics = requirePermission('analytics:read');
 
+/**
+ * Middleware to check system management permissions
+ */
+export const requireSystemManagement = requirePermission('system:manage');
+
 export default {
   requireAdmin,
   requireSuperAdmin,
   requirePermission,
   requireUserManagement,
   requireUserDeletion,
-  requireAnalytics
+  requireAnalytics,
+  requireSystemManagement
 };
\ No newline at end of file
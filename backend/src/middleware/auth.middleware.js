@@ -7,6 +7,7 @@
 import jwt from 'jsonwebtoken';
 import { HttpError } from '#exceptions/index.js';
 import { Student, Admin } from '../models/users/index.js';
+import { isSessionActive } from '../services/session.service.js';
 
 // JWT secret from environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'studion-dev-secret';
@@ -31,6 +32,16 @@ export const authenticateJWT = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, JWT_SECRET);
         
+        // Refresh and two-factor challenge tokens share the secret but grant no API access
+        if (decoded.type !== 'access') {
+            return next(HttpError.unauthorized('Invalid token'));
+        }
+        
+        // Tokens of a signed-out session stop working right away
+        if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+            return next(HttpError.unauthorized('Session has been signed out'));
+        }
+        
         // Fetch full user data based on userType
         let user;
         if (decoded.userType === 'admin') {
@@ -93,6 +104,10 @@ export const optionalAuthenticateJWT = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, JWT_SECRET);
         
+        if (decoded.type !== 'access') {
+            return next();
+        }
+        
         // Fetch full user data based on userType
         let user;
         if (decoded.userType === 'admin') {
@@ -105,7 +120,9 @@ export const optionalAuthenticateJWT = async (req, res, next) => {
                 .lean();
         }
         
-        if (user && user.status === 'active') {
+        const sessionActive = !decoded.sid || await isSessionActive(decoded.sid);
+        
+        if (user && user.status === 'active' && sessionActive) {
             // Add full user data to request
             req.user = {
                 ...decoded,
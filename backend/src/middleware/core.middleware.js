@@ -15,8 +15,11 @@ import { isDevelopment } from '#lib/config/index.js';
  * @param {express.Application} app - Express application
  */
 export const setupCoreMiddleware = (app) => {
-    // Body parsers
-    app.use(express.json({ limit: serverConfig.bodyLimit }));
+    // Body parsers; the raw JSON body is kept for webhook signature checks
+    app.use(express.json({
+        limit: serverConfig.bodyLimit,
+        verify: (req, res, buf) => { req.rawBody = buf; }
+    }));
     app.use(express.urlencoded({ extended: true, limit: serverConfig.bodyLimit }));
     app.use(cookieParser())
     
@@ -39,6 +39,7 @@ export const setupErrorHandlers = (app) => {
 export { default as authMiddleware } from './auth.middleware.js';
 export { default as adminMiddleware } from './admin.middleware.js';
 export { validateObjectId, validateObjectIds } from './validation.middleware.js';
+export { requireFeature, enforceQuota } from './subscription.middleware.js';
 
 // Export setup functions
 export { setupCoreMiddleware } from './core.middleware.js';
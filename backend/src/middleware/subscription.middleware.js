@@ -0,0 +1,82 @@
+/**
+ * Subscription Middleware
+ * @module middleware/subscription
+ * @description Plan enforcement: feature access (402) and monthly usage
+ * quotas (429) for the signed-in user's subscription
+ */
+
+import {
+  getCurrentSubscription,
+  assertFeatureAccess,
+  consumeQuota,
+  releaseQuota
+} from '#services/subscription.service.js';
+
+/**
+ * Load the user's subscription once per request
+ */
+const loadSubscription = async (req) => {
+  if (!req.subscription) {
+    req.subscription = await getCurrentSubscription(req.user._id || req.user.userId);
+  }
+  return req.subscription;
+};
+
+/**
+ * Admins work outside the student plans
+ */
+const isExempt = (req) => req.user?.userType === 'admin';
+
+/**
+ * Middleware factory that refuses requests when the plan lacks a feature
+ * @param {string} feature - SUBSCRIPTION_FEATURES value
+ * @returns {Function} Express middleware function
+ */
+export const requireFeature = (feature) => {
+  return async (req, res, next) => {
+    try {
+      if (isExempt(req)) return next();
+
+      assertFeatureAccess(await loadSubscription(req), feature);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Middleware factory that counts one use of a quota, refusing the request
+ * once the monthly limit is reached. The use is given back when the
+ * request ends with an error response.
+ * @param {string} quota - SUBSCRIPTION_QUOTAS key (documents, quizzes)
+ * @returns {Function} Express middleware function
+ */
+export const enforceQuota = (quota) => {
+  return async (req, res, next) => {
+    try {
+      if (isExempt(req)) return next();
+
+      const subscription = await loadSubscription(req);
+      const usage = await consumeQuota(subscription, quota);
+
+      res.on('finish', () => {
+        if (res.statusCode >= 400) {
+          releaseQuota(subscription, quota).catch(error => {
+            console.error(`⚠️ Could not give back ${quota} quota:`, error.message);
+          });
+        }
+      });
+
+      req.quotaUsage = { ...req.quotaUsage, [quota]: usage };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+export default {
+  requireFeature,
+  enforceQuota
+};
@@ -215,6 +215,19 @@ const authSessionSchema = new mongoose.Schema({
       type: String,
       maxlength: [100, 'City name too long'],
       default: null
+    },
+    
+    // Approximate (city-level) position for the impossible-travel check
+    latitude: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    
+    longitude: {
+      type: Number,
+      default: null,
+      select: false
     }
   },
   
@@ -480,6 +493,7 @@ authSessionSchema.methods.resetLoginAttempts = function() {
  */
 authSessionSchema.statics.createSession = async function(userId, sessionData) {
   const {
+    sessionId = crypto.randomBytes(16).toString('hex'),
     refreshToken,
     accessTokenExpiresAt,
     refreshTokenExpiresAt,
@@ -490,8 +504,9 @@ authSessionSchema.statics.createSession = async function(userId, sessionData) {
   
   const session = new this({
     userId,
-    // Generate IDs upfront to avoid validation errors
-    sessionId: crypto.randomBytes(16).toString('hex'),
+    // Generate IDs upfront to avoid validation errors; the caller may pick
+    // the session ID so it can go into the access token
+    sessionId,
     accessTokenId: crypto.randomBytes(16).toString('hex'),
     accessTokenExpiresAt,
     refreshTokenExpiresAt,
@@ -505,7 +520,9 @@ authSessionSchema.statics.createSession = async function(userId, sessionData) {
     network: {
       ipAddress,
       country: deviceInfo.country,
-      city: deviceInfo.city
+      city: deviceInfo.city,
+      latitude: deviceInfo.latitude ?? null,
+      longitude: deviceInfo.longitude ?? null
     },
     metadata: {
       loginMethod: deviceInfo.loginMethod || 'password'
@@ -0,0 +1,183 @@
+/**
+ * AuthToken Model
+ * @module models/AuthToken
+ * @description Single-use tokens sent by email (verification, password reset).
+ * Only a SHA-256 hash of the token is stored; the plain token exists in the
+ * email alone.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+import {
+  ONE_TIME_TOKEN_TYPES,
+  ONE_TIME_TOKEN_CONFIG,
+  getTokenExpiryMs
+} from '#constants/models/auth/index.js';
+
+// ==========================================
+// SCHEMA CONFIGURATION
+// ==========================================
+
+const SCHEMA_OPTIONS = {
+  collection: 'auth_tokens',
+  timestamps: true,
+  versionKey: false,
+
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+};
+
+// ==========================================
+// AUTH TOKEN SCHEMA
+// ==========================================
+
+const authTokenSchema = new mongoose.Schema({
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BaseUser',
+    required: [true, 'Token must belong to a user']
+  },
+
+  type: {
+    type: String,
+    enum: {
+      values: ONE_TIME_TOKEN_TYPES,
+      message: 'Invalid token type: {VALUE}'
+    },
+    required: [true, 'Token type is required']
+  },
+
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+
+  // Address the token was sent to; verification only counts for this address
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    required: [true, 'Email is required']
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+
+  usedAt: {
+    type: Date,
+    default: null
+  },
+
+  requestedIp: {
+    type: String,
+    default: null
+  }
+
+}, SCHEMA_OPTIONS);
+
+// ==========================================
+// INDEXES
+// ==========================================
+
+// MongoDB removes tokens once they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+authTokenSchema.index({ userId: 1, type: 1, createdAt: -1 });
+
+// ==========================================
+// VIRTUALS
+// ==========================================
+
+authTokenSchema.virtual('isUsable').get(function() {
+  return !this.usedAt && this.expiresAt > new Date();
+});
+
+// ==========================================
+// STATIC METHODS
+// ==========================================
+
+/**
+ * Hash a plain token for storage and lookup
+ */
+authTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Issue a new token, discarding unused tokens of the same type for the user
+ * @param {string} userId - Token owner
+ * @param {string} type - One of ONE_TIME_TOKEN_TYPES
+ * @param {Object} options - { email, ip, now }
+ * @returns {Promise<{ token: string, authToken: Object }>} Plain token and stored record
+ */
+authTokenSchema.statics.issue = async function(userId, type, options = {}) {
+  const { email, ip = null, now = new Date() } = options;
+
+  await this.deleteMany({ userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(ONE_TIME_TOKEN_CONFIG.TOKEN_BYTES).toString('hex');
+
+  const authToken = await this.create({
+    userId,
+    type,
+    tokenHash: this.hashToken(token),
+    email,
+    expiresAt: new Date(now.getTime() + getTokenExpiryMs(type)),
+    requestedIp: ip
+  });
+
+  return { token, authToken };
+};
+
+/**
+ * Mark a token used if it is unused and unexpired. The check and the update
+ * are one atomic operation, so a token can only be redeemed once.
+ * @param {string} token - Plain token from the email
+ * @param {string} type - Expected token type
+ * @returns {Promise<Object|null>} Consumed token, or null if not redeemable
+ */
+authTokenSchema.statics.consume = function(token, type, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: this.hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: now }
+    },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+/**
+ * Most recently issued token of a type for a user
+ */
+authTokenSchema.statics.findLatest = function(userId, type) {
+  return this.findOne({ userId, type }).sort({ createdAt: -1 });
+};
+
+/**
+ * Discard every unused token of a type for a user
+ */
+authTokenSchema.statics.revokeAll = function(userId, type) {
+  return this.deleteMany({ userId, type, usedAt: null });
+};
+
+// ==========================================
+// EXPORT MODEL
+// ==========================================
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+export default AuthToken;
+export { authTokenSchema };
@@ -0,0 +1,121 @@
+/**
+ * LoginThrottle Model
+ * @module models/LoginThrottle
+ * @description Failed sign-in counters for one IP address or one email
+ * address. A counter starts with the first failure and expires with its
+ * window, so old failures stop counting on their own.
+ */
+
+import mongoose from 'mongoose';
+
+import { LOGIN_THROTTLE_SCOPES } from '#constants/models/auth/index.js';
+
+// ==========================================
+// SCHEMA CONFIGURATION
+// ==========================================
+
+const SCHEMA_OPTIONS = {
+  collection: 'login_throttles',
+  timestamps: true,
+  versionKey: false
+};
+
+// ==========================================
+// LOGIN THROTTLE SCHEMA
+// ==========================================
+
+const loginThrottleSchema = new mongoose.Schema({
+
+  scope: {
+    type: String,
+    enum: {
+      values: LOGIN_THROTTLE_SCOPES,
+      message: 'Invalid throttle scope: {VALUE}'
+    },
+    required: [true, 'Scope is required']
+  },
+
+  // IP address or lower-cased email
+  key: {
+    type: String,
+    required: [true, 'Key is required']
+  },
+
+  failures: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+
+}, SCHEMA_OPTIONS);
+
+// ==========================================
+// INDEXES
+// ==========================================
+
+loginThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+
+// MongoDB removes counters once their window is over
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ==========================================
+// STATIC METHODS
+// ==========================================
+
+/**
+ * Current counter; null when there were no failures in the window
+ * @param {string} scope - One of LOGIN_THROTTLE_SCOPES
+ * @param {string} key - IP address or email
+ * @returns {Promise<Object|null>} Lean counter
+ */
+loginThrottleSchema.statics.getCounter = function(scope, key, now = new Date()) {
+  return this.findOne({ scope, key, expiresAt: { $gt: now } }).lean();
+};
+
+/**
+ * Count a failed sign-in, starting a new window when the last one is over
+ * @param {string} scope - One of LOGIN_THROTTLE_SCOPES
+ * @param {string} key - IP address or email
+ * @param {Object} options - { windowMs, now }
+ * @returns {Promise<Object>} Updated counter
+ */
+loginThrottleSchema.statics.recordFailure = async function(scope, key, { windowMs, now = new Date() }) {
+  // The TTL monitor runs once a minute; drop an expired counter ourselves
+  await this.deleteOne({ scope, key, expiresAt: { $lte: now } });
+
+  return this.findOneAndUpdate(
+    { scope, key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now },
+      $setOnInsert: { expiresAt: new Date(now.getTime() + windowMs) }
+    },
+    { new: true, upsert: true, lean: true }
+  );
+};
+
+/**
+ * Forget the failures of a key (successful sign-in, unlock)
+ */
+loginThrottleSchema.statics.clear = function(scope, key) {
+  return this.deleteOne({ scope, key });
+};
+
+// ==========================================
+// EXPORT MODEL
+// ==========================================
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+export default LoginThrottle;
+export { loginThrottleSchema };
@@ -0,0 +1,142 @@
+/**
+ * OidcState Model
+ * @module models/OidcState
+ * @description Pending single sign-on logins. Each record ties the `state`
+ * sent to the provider to its nonce and PKCE verifier, and to a key held by
+ * the browser that started the login; it is deleted when the callback uses
+ * it. Only SHA-256 hashes of the state and the browser key are stored.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+import { OIDC_CONFIG } from '#constants/models/auth/index.js';
+
+// ==========================================
+// SCHEMA CONFIGURATION
+// ==========================================
+
+const SCHEMA_OPTIONS = {
+  collection: 'oidc_states',
+  timestamps: true,
+  versionKey: false
+};
+
+// ==========================================
+// OIDC STATE SCHEMA
+// ==========================================
+
+const oidcStateSchema = new mongoose.Schema({
+
+  stateHash: {
+    type: String,
+    required: [true, 'State hash is required'],
+    unique: true
+  },
+
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+
+  nonce: {
+    type: String,
+    required: [true, 'Nonce is required']
+  },
+
+  codeVerifier: {
+    type: String,
+    required: [true, 'PKCE verifier is required']
+  },
+
+  redirectUri: {
+    type: String,
+    required: [true, 'Redirect URI is required']
+  },
+
+  // A callback link opened in another browser lacks this key (login CSRF)
+  browserKeyHash: {
+    type: String,
+    required: [true, 'Browser key hash is required']
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+
+}, SCHEMA_OPTIONS);
+
+// ==========================================
+// INDEXES
+// ==========================================
+
+// MongoDB removes abandoned logins once they expire
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ==========================================
+// STATIC METHODS
+// ==========================================
+
+/**
+ * Hash a plain state for storage and lookup
+ */
+oidcStateSchema.statics.hashState = function(state) {
+  return crypto.createHash('sha256').update(String(state)).digest('hex');
+};
+
+/**
+ * Store a pending login
+ * @param {string} state - Plain state sent to the provider
+ * @param {Object} data - { provider, nonce, codeVerifier, redirectUri, browserKey, now }
+ * @returns {Promise<Object>} Stored record
+ */
+oidcStateSchema.statics.issue = function(state, data) {
+  const { now = new Date(), browserKey, ...fields } = data;
+
+  return this.create({
+    ...fields,
+    stateHash: this.hashState(state),
+    browserKeyHash: this.hashState(browserKey),
+    expiresAt: new Date(now.getTime() + OIDC_CONFIG.STATE_EXPIRY_MINUTES * 60 * 1000)
+  });
+};
+
+/**
+ * Take a pending login out of the store. Lookup and delete are one atomic
+ * operation, so an authorization response can only be used once.
+ * @param {string} state - Plain state returned by the provider
+ * @returns {Promise<Object|null>} Pending login, or null if unknown or expired
+ */
+oidcStateSchema.statics.consume = function(state, now = new Date()) {
+  return this.findOneAndDelete({
+    stateHash: this.hashState(state),
+    expiresAt: { $gt: now }
+  });
+};
+
+// ==========================================
+// INSTANCE METHODS
+// ==========================================
+
+/**
+ * Whether a callback comes from the browser that started the login
+ * @param {string} browserKey - Key the browser kept from the authorize step
+ * @returns {boolean} True when the key matches
+ */
+oidcStateSchema.methods.isSameBrowser = function(browserKey) {
+  if (!browserKey) return false;
+
+  const expected = Buffer.from(this.browserKeyHash, 'hex');
+  const actual = Buffer.from(this.constructor.hashState(browserKey), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// ==========================================
+// EXPORT MODEL
+// ==========================================
+
+const OidcState = mongoose.model('OidcState', oidcStateSchema);
+
+export default OidcState;
+export { oidcStateSchema };
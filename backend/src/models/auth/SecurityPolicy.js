@@ -0,0 +1,106 @@
+/**
+ * SecurityPolicy Model
+ * @module models/SecurityPolicy
+ * @description Account security rules set by admins. A single document
+ * (key `global`) holds the policy for the whole platform.
+ */
+
+import mongoose from 'mongoose';
+
+import { ADMIN_ROLES } from '#constants/models/user/index.js';
+
+// ==========================================
+// SCHEMA CONFIGURATION
+// ==========================================
+
+const POLICY_KEY = 'global';
+
+const SCHEMA_OPTIONS = {
+  collection: 'security_policies',
+  timestamps: true,
+  versionKey: false,
+
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret._id;
+      delete ret.key;
+      return ret;
+    }
+  }
+};
+
+// ==========================================
+// SECURITY POLICY SCHEMA
+// ==========================================
+
+const securityPolicySchema = new mongoose.Schema({
+
+  key: {
+    type: String,
+    default: POLICY_KEY,
+    unique: true
+  },
+
+  twoFactor: {
+    // Admin roles that cannot sign in without two-factor authentication
+    requiredRoles: [{
+      type: String,
+      enum: {
+        values: ADMIN_ROLES,
+        message: 'Invalid admin role: {VALUE}'
+      }
+    }]
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BaseUser',
+    default: null
+  }
+
+}, SCHEMA_OPTIONS);
+
+// ==========================================
+// STATIC METHODS
+// ==========================================
+
+/**
+ * Current policy; an empty policy until an admin saves one
+ * @returns {Promise<Object>} Lean policy document
+ */
+securityPolicySchema.statics.getPolicy = async function() {
+  const policy = await this.findOne({ key: POLICY_KEY }).lean();
+  return policy || { twoFactor: { requiredRoles: [] }, updatedBy: null };
+};
+
+/**
+ * Admin roles that must use two-factor login
+ * @returns {Promise<string[]>}
+ */
+securityPolicySchema.statics.getTwoFactorRequiredRoles = async function() {
+  const policy = await this.getPolicy();
+  return policy.twoFactor?.requiredRoles || [];
+};
+
+/**
+ * Replace the roles that must use two-factor login
+ * @param {string[]} roles - Subset of ADMIN_ROLES
+ * @param {string} updatedBy - Admin making the change
+ * @returns {Promise<Object>} Updated policy
+ */
+securityPolicySchema.statics.setTwoFactorRequiredRoles = function(roles, updatedBy) {
+  return this.findOneAndUpdate(
+    { key: POLICY_KEY },
+    { $set: { 'twoFactor.requiredRoles': [...new Set(roles)], updatedBy } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// ==========================================
+// EXPORT MODEL
+// ==========================================
+
+const SecurityPolicy = mongoose.model('SecurityPolicy', securityPolicySchema);
+
+export default SecurityPolicy;
+export { securityPolicySchema };
@@ -5,4 +5,12 @@
  */
 
 export { authSessionSchema } from './AuthSession.js';
-export { default as AuthSession } from './AuthSession.js';
\ No newline at end of file
+export { default as AuthSession } from './AuthSession.js';
+export { authTokenSchema } from './AuthToken.js';
+export { default as AuthToken } from './AuthToken.js';
+export { securityPolicySchema } from './SecurityPolicy.js';
+export { default as SecurityPolicy } from './SecurityPolicy.js';
+export { oidcStateSchema } from './OidcState.js';
+export { default as OidcState } from './OidcState.js';
+export { loginThrottleSchema } from './LoginThrottle.js';
+export { default as LoginThrottle } from './LoginThrottle.js';
@@ -12,7 +12,10 @@ import {
   // Validation
   DOCUMENT_VALIDATION_RULES,
   FILE_VALIDATION,
+  URL_IMPORT_VALIDATION,
   PROCESSING_VALIDATION,
+  STRUCTURE_VALIDATION,
+  SUMMARY_TREE_VALIDATION,
   METADATA_VALIDATION,
   validateFileExtension,
   validateMimeType,
@@ -28,8 +31,10 @@ import {
   SUPPORTED_DOCUMENT_LANGUAGES,
   AI_PROCESSING_QUALITY,
   SUMMARY_STYLES,
+  SUMMARY_STRATEGIES,
   CONTENT_COMPLEXITY,
   QUALITY_INDICATORS,
+  PAGE_TEXT_SOURCES,
   PROCESSING_ERROR_TYPES,
   
   // Defaults
@@ -86,6 +91,153 @@ const DOCUMENT_CONFIG = {
   CHECKSUM_ALGORITHM: 'sha256'
 };
 
+// ==========================================
+// PAGE SUB-SCHEMA
+// ==========================================
+
+const pageSchema = new mongoose.Schema({
+  pageNumber: {
+    type: Number,
+    required: [true, 'Page number is required'],
+    min: 1
+  },
+  text: {
+    type: String,
+    maxlength: [STRUCTURE_VALIDATION.MAX_PAGE_TEXT_LENGTH, 'Page text is too long'],
+    default: ''
+  },
+  wordCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+// ==========================================
+// PAGE QUALITY SUB-SCHEMA
+// ==========================================
+
+const pageQualitySchema = new mongoose.Schema({
+  pageNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  source: {
+    type: String,
+    enum: {
+      values: PAGE_TEXT_SOURCES,
+      message: 'Invalid page text source'
+    },
+    required: true
+  },
+  // OCR word confidence (0-100); null for text-layer pages and pages without words
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  lowQuality: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// ==========================================
+// OUTLINE ENTRY SUB-SCHEMA
+// ==========================================
+
+const outlineEntrySchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Outline entry title is required'],
+    trim: true,
+    maxlength: [STRUCTURE_VALIDATION.MAX_HEADING_LENGTH, 'Outline entry title is too long']
+  },
+  level: {
+    type: Number,
+    min: 1,
+    max: STRUCTURE_VALIDATION.MAX_OUTLINE_LEVEL,
+    default: 1
+  },
+  pageNumber: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  sectionNumber: {
+    type: String,
+    default: null,
+    validate: {
+      validator: function(sectionNumber) {
+        return sectionNumber === null || STRUCTURE_VALIDATION.SECTION_NUMBER_PATTERN.test(sectionNumber);
+      },
+      message: 'Invalid section number'
+    }
+  }
+}, { _id: false });
+
+// ==========================================
+// SUMMARY TREE SUB-SCHEMAS
+// ==========================================
+
+const sectionSummarySchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [STRUCTURE_VALIDATION.MAX_HEADING_LENGTH, 'Section title is too long'],
+    default: null
+  },
+  pageStart: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  pageEnd: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  summary: {
+    type: String,
+    maxlength: [SUMMARY_TREE_VALIDATION.MAX_SECTION_SUMMARY_LENGTH, 'Section summary is too long'],
+    default: ''
+  }
+}, { _id: false });
+
+const chapterSummarySchema = new mongoose.Schema({
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [STRUCTURE_VALIDATION.MAX_HEADING_LENGTH, 'Chapter title is too long'],
+    default: null
+  },
+  pageStart: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  pageEnd: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  summary: {
+    type: String,
+    maxlength: [SUMMARY_TREE_VALIDATION.MAX_CHAPTER_SUMMARY_LENGTH, 'Chapter summary is too long'],
+    default: ''
+  },
+  keyPoints: [{
+    type: String,
+    maxlength: 500
+  }],
+  sections: {
+    type: [sectionSummarySchema],
+    default: []
+  }
+}, { _id: false });
+
 // ==========================================
 // MAIN SCHEMA DEFINITION
 // ==========================================
@@ -179,6 +331,14 @@ const documentSchema = new mongoose.Schema({
       index: true
     },
 
+    // Page the document was imported from, for documents added by URL
+    sourceUrl: {
+      type: String,
+      trim: true,
+      maxlength: [URL_IMPORT_VALIDATION.MAX_URL_LENGTH, 'Source URL is too long'],
+      default: null
+    },
+
     // File metadata
     metadata: {
       pageCount: {
@@ -213,13 +373,35 @@ const documentSchema = new mongoose.Schema({
         },
         default: null
       },
+      // Text quality of PDFs and images; pages without a usable text layer are OCR'd
       quality: {
-        type: String,
-        enum: {
-          values: QUALITY_INDICATORS,
-          message: 'Invalid quality indicator'
+        rating: {
+          type: String,
+          enum: {
+            values: QUALITY_INDICATORS,
+            message: 'Invalid quality indicator'
+          },
+          default: null
         },
-        default: null
+        ocrUsed: {
+          type: Boolean,
+          default: false
+        },
+        // Mean OCR word confidence (0-100) over OCR'd pages
+        averageConfidence: {
+          type: Number,
+          min: 0,
+          max: 100,
+          default: null
+        },
+        lowQualityPages: {
+          type: [Number],
+          default: []
+        },
+        pages: {
+          type: [pageQualitySchema],
+          default: []
+        }
       }
     }
   },
@@ -253,7 +435,37 @@ const documentSchema = new mongoose.Schema({
     topics: [{
       type: String,
       maxlength: 300
-    }]
+    }],
+
+    // Per-page text, kept out of default queries because it duplicates extractedText
+    pages: {
+      type: [pageSchema],
+      default: [],
+      select: false
+    },
+
+    // Chapter/section headings with the page they start on
+    outline: {
+      type: [outlineEntrySchema],
+      default: []
+    },
+
+    // Per-chapter summaries with their section summaries, for long documents
+    // summarized map-reduce; loaded on demand like pages
+    chapterSummaries: {
+      type: [chapterSummarySchema],
+      default: [],
+      select: false
+    },
+
+    summaryStrategy: {
+      type: String,
+      enum: {
+        values: SUMMARY_STRATEGIES,
+        message: 'Invalid summary strategy'
+      },
+      default: null
+    }
   },
 
   // ==========================================
@@ -344,6 +556,25 @@ const documentSchema = new mongoose.Schema({
       default: DOCUMENT_DEFAULTS.SUMMARY_STYLE
     },
 
+    // Set when processing is asked for (upload with processImmediately, or manual trigger)
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+
+    // Queue job currently responsible for this document
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      default: null
+    },
+
+    // When the queue will retry after a failed attempt
+    nextRetryAt: {
+      type: Date,
+      default: null
+    },
+
     startedAt: {
       type: Date,
       default: null
@@ -386,6 +617,56 @@ const documentSchema = new mongoose.Schema({
       }
     },
 
+    // Summarization plan and cost, worked out before any summary request is sent
+    summaryEstimate: {
+      strategy: {
+        type: String,
+        enum: {
+          values: SUMMARY_STRATEGIES,
+          message: 'Invalid summary strategy'
+        },
+        default: null
+      },
+      chunkCount: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      chapterCount: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      requestCount: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      inputTokens: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      outputTokens: {
+        type: Number,
+        min: 0,
+        default: 0
+      },
+      cost: {
+        type: Number, // USD
+        min: 0,
+        default: null
+      },
+      model: {
+        type: String,
+        default: null
+      },
+      estimatedAt: {
+        type: Date,
+        default: null
+      }
+    },
+
     // AI service metadata
     aiMetadata: {
       model: {
@@ -461,6 +742,7 @@ documentSchema.index({ userId: 1, 'classification.category': 1, deletedAt: 1 });
 documentSchema.index({ userId: 1, createdAt: -1, deletedAt: 1 });
 documentSchema.index({ 'file.checksum': 1 }, { unique: true });
 documentSchema.index({ status: 1, 'processing.stage': 1 });
+documentSchema.index({ status: 1, 'processing.jobId': 1, 'processing.requestedAt': 1 });
 
 // Search indexes
 documentSchema.index({ 
@@ -646,6 +928,25 @@ documentSchema.methods.markAsFailed = function(errorType, errorMessage, errorDet
   return this.save();
 };
 
+/**
+ * Find the outline section a page belongs to
+ * @param {number} pageNumber - 1-based page number
+ * @returns {Object|null} Deepest outline entry starting on or before the page
+ */
+documentSchema.methods.getSectionForPage = function(pageNumber) {
+  const entries = (this.content.outline || [])
+    .filter(entry => entry.pageNumber && entry.pageNumber <= pageNumber);
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  // Outline is in document order, so the last entry on the latest page is the innermost section
+  const latestPage = Math.max(...entries.map(entry => entry.pageNumber));
+  const onLatestPage = entries.filter(entry => entry.pageNumber === latestPage);
+  return onLatestPage[onLatestPage.length - 1];
+};
+
 /**
  * Increment processing attempts
  */
@@ -764,15 +1065,20 @@ documentSchema.statics.searchByText = function(userId, searchTerm, options = {})
 };
 
 /**
- * Get documents needing processing
+ * Get documents whose requested processing has no queue job yet.
+ * The job queue reaper enqueues whatever this returns.
  */
 documentSchema.statics.findNeedingProcessing = function(limit = 10) {
+  // Processing was requested but no queue job owns the document
+  // (e.g. the server stopped between saving the request and enqueueing it)
   return this.find({
     status: { $in: ['pending', 'processing'] },
+    'processing.requestedAt': { $ne: null },
+    'processing.jobId': null,
     'processing.attempts': { $lt: PROCESSING_VALIDATION.RETRY_ATTEMPTS },
     deletedAt: null
   })
-  .sort({ createdAt: 1 })
+  .sort({ 'processing.requestedAt': 1 })
   .limit(limit);
 };
 
@@ -853,4 +1159,4 @@ documentSchema.query.recent = function(days = 30) {
 const Document = mongoose.model('Document', documentSchema);
 
 export default Document;
-export { documentSchema };
+export { documentSchema, pageSchema, outlineEntrySchema };
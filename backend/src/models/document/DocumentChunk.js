@@ -0,0 +1,152 @@
+/**
+ * DocumentChunk Model
+ * @module models/DocumentChunk
+ * @description A passage of a document's extracted text with the pages it
+ * spans and its embedding, used to find the passages a chat question is about
+ */
+
+import mongoose from 'mongoose';
+
+// ==========================================
+// SCHEMA CONFIGURATION
+// ==========================================
+
+const SCHEMA_OPTIONS = {
+  collection: 'document_chunks',
+  timestamps: true,
+
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.embedding;
+      return ret;
+    }
+  }
+};
+
+// ==========================================
+// MAIN SCHEMA DEFINITION
+// ==========================================
+
+const documentChunkSchema = new mongoose.Schema({
+
+  // ==========================================
+  // RELATIONSHIPS
+  // ==========================================
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: [true, 'Chunk must belong to a document']
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BaseUser',
+    required: [true, 'Chunk must belong to a user']
+  },
+
+  // ==========================================
+  // CONTENT
+  // ==========================================
+
+  // Position in the document, from 0
+  index: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  text: {
+    type: String,
+    required: [true, 'Chunk text is required']
+  },
+
+  pageStart: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+
+  pageEnd: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+
+  // Outline heading the chunk starts under
+  section: {
+    type: String,
+    default: null
+  },
+
+  tokenCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // ==========================================
+  // EMBEDDING
+  // ==========================================
+
+  // Unit-length vector; empty when no embedding provider was available
+  embedding: {
+    type: [Number],
+    default: [],
+    select: false
+  },
+
+  // Model that produced the embedding; vectors of different models do not compare
+  embeddingModel: {
+    type: String,
+    default: null
+  }
+
+}, SCHEMA_OPTIONS);
+
+// ==========================================
+// PERFORMANCE INDEXES
+// ==========================================
+
+// A document's chunks in order
+documentChunkSchema.index({ documentId: 1, index: 1 }, { unique: true });
+
+// Search across a user's documents
+documentChunkSchema.index({ userId: 1, documentId: 1 });
+
+// ==========================================
+// VIRTUAL PROPERTIES
+// ==========================================
+
+/**
+ * Page label for citations: "3" or "3-4"
+ */
+documentChunkSchema.virtual('pageLabel').get(function() {
+  if (!this.pageStart) return null;
+  return this.pageEnd && this.pageEnd !== this.pageStart
+    ? `${this.pageStart}-${this.pageEnd}`
+    : String(this.pageStart);
+});
+
+// ==========================================
+// STATIC METHODS
+// ==========================================
+
+/**
+ * Remove every chunk of a document
+ * @param {string} documentId - Document ID
+ */
+documentChunkSchema.statics.deleteForDocument = function(documentId) {
+  return this.deleteMany({ documentId });
+};
+
+// ==========================================
+// EXPORT MODEL
+// ==========================================
+
+const DocumentChunk = mongoose.model('DocumentChunk', documentChunkSchema);
+
+export default DocumentChunk;
+export { documentChunkSchema };
@@ -0,0 +1,176 @@
+/**
+ * DocumentConversation Model
+ * @module models/DocumentConversation
+ * @description A student's chat about one document. Assistant messages keep
+ * the passages they cite so an answer can be traced back to its pages.
+ */
+
+import mongoose from 'mongoose';
+
+import {
+  CHAT_MESSAGE_ROLES,
+  CHAT_VALIDATION_RULES
+} from '#constants/models/chat/index.js';
+
+// ==========================================
+// SCHEMA CONFIGURATION
+// ==========================================
+
+const SCHEMA_OPTIONS = {
+  collection: 'document_conversations',
+  timestamps: true,
+
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+};
+
+// ==========================================
+// CITATION SUB-SCHEMA
+// ==========================================
+
+const citationSchema = new mongoose.Schema({
+  // The [n] marker used in the answer
+  sourceNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  chunkIndex: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  pageStart: {
+    type: Number,
+    default: null
+  },
+  pageEnd: {
+    type: Number,
+    default: null
+  },
+  section: {
+    type: String,
+    default: null
+  },
+  excerpt: {
+    type: String,
+    default: ''
+  },
+  score: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// ==========================================
+// MESSAGE SUB-SCHEMA
+// ==========================================
+
+const messageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: {
+      values: CHAT_MESSAGE_ROLES,
+      message: 'Invalid chat message role'
+    },
+    required: true
+  },
+  content: {
+    type: String,
+    required: [true, 'Message content is required'],
+    maxlength: [CHAT_VALIDATION_RULES.ANSWER.MAX_LENGTH, 'Message is too long']
+  },
+  citations: {
+    type: [citationSchema],
+    default: []
+  },
+  // How the sources were found: embedding or keyword
+  retrieval: {
+    type: String,
+    default: null
+  },
+  tokensUsed: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// ==========================================
+// MAIN SCHEMA DEFINITION
+// ==========================================
+
+const documentConversationSchema = new mongoose.Schema({
+
+  // ==========================================
+  // RELATIONSHIPS
+  // ==========================================
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BaseUser',
+    required: [true, 'Conversation must belong to a user']
+  },
+
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: [true, 'Conversation must belong to a document']
+  },
+
+  // ==========================================
+  // CONVERSATION
+  // ==========================================
+
+  // First question, shortened
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [CHAT_VALIDATION_RULES.TITLE.MAX_LENGTH, 'Conversation title is too long'],
+    default: 'New conversation'
+  },
+
+  messages: {
+    type: [messageSchema],
+    default: []
+  },
+
+  messageCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, SCHEMA_OPTIONS);
+
+// ==========================================
+// PERFORMANCE INDEXES
+// ==========================================
+
+// A user's conversations about a document, most recent first
+documentConversationSchema.index({ userId: 1, documentId: 1, lastMessageAt: -1 });
+
+// Cleanup when a document is deleted
+documentConversationSchema.index({ documentId: 1 });
+
+// ==========================================
+// EXPORT MODEL
+// ==========================================
+
+const DocumentConversation = mongoose.model('DocumentConversation', documentConversationSchema);
+
+export default DocumentConversation;
+export { documentConversationSchema };
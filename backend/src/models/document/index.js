@@ -4,4 +4,6 @@
  * @description Export point for document models
  */
 
-export { default as Document, documentSchema } from './Document.js';
\ No newline at end of file
+export { default as Document, documentSchema } from './Document.js';
+export { default as DocumentChunk, documentChunkSchema } from './DocumentChunk.js';
+export { default as DocumentConversation, documentConversationSchema } from './DocumentConversation.js';
@@ -0,0 +1,385 @@
+/**
+ * Flashcard Model
+ * @module models/Flashcard
+ * @description Front/back study card generated from a document, scheduled
+ * for spaced repetition with the SM-2 algorithm
+ */
+
+import mongoose from 'mongoose';
+
+import {
+  FLASHCARD_GRADES,
+  FLASHCARD_STATUSES,
+  FLASHCARD_SCHEDULING,
+  FLASHCARD_DEFAULTS,
+  FLASHCARD_VALIDATION_RULES
+} from '#constants/models/flashcard/index.js';
+
+// ==========================================
+// SCHEMA CONFIGURATION
+// ==========================================
+
+const SCHEMA_OPTIONS = {
+  collection: 'flashcards',
+  timestamps: true,
+  versionKey: false,
+
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    },
+    virtuals: true
+  },
+
+  toObject: {
+    virtuals: true
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ==========================================
+// SCHEDULE SUB-SCHEMA
+// ==========================================
+
+const scheduleSchema = new mongoose.Schema({
+  ease: {
+    type: Number,
+    min: FLASHCARD_SCHEDULING.MIN_EASE,
+    max: FLASHCARD_SCHEDULING.MAX_EASE,
+    default: FLASHCARD_SCHEDULING.INITIAL_EASE
+  },
+
+  // Days until the next review after the last one
+  interval: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Successful reviews in a row
+  repetitions: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Times the card was forgotten after being learned
+  lapses: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  dueAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastReviewedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastGrade: {
+    type: String,
+    enum: [...FLASHCARD_GRADES, null],
+    default: null
+  }
+}, { _id: false });
+
+// ==========================================
+// REVIEW HISTORY SUB-SCHEMA
+// ==========================================
+
+const reviewSchema = new mongoose.Schema({
+  grade: {
+    type: String,
+    enum: FLASHCARD_GRADES,
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  reviewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// ==========================================
+// MAIN SCHEMA DEFINITION
+// ==========================================
+
+const flashcardSchema = new mongoose.Schema({
+
+  // ==========================================
+  // RELATIONSHIPS
+  // ==========================================
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BaseUser',
+    required: [true, 'Flashcard must belong to a user'],
+    index: true
+  },
+
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: [true, 'Flashcard must be linked to a document'],
+    index: true
+  },
+
+  // ==========================================
+  // CARD CONTENT
+  // ==========================================
+  front: {
+    type: String,
+    required: [true, 'Card front is required'],
+    trim: true,
+    minlength: [FLASHCARD_VALIDATION_RULES.FRONT.MIN_LENGTH, FLASHCARD_VALIDATION_RULES.FRONT.ERROR_MESSAGE],
+    maxlength: [FLASHCARD_VALIDATION_RULES.FRONT.MAX_LENGTH, FLASHCARD_VALIDATION_RULES.FRONT.ERROR_MESSAGE]
+  },
+
+  back: {
+    type: String,
+    required: [true, 'Card back is required'],
+    trim: true,
+    minlength: [FLASHCARD_VALIDATION_RULES.BACK.MIN_LENGTH, FLASHCARD_VALIDATION_RULES.BACK.ERROR_MESSAGE],
+    maxlength: [FLASHCARD_VALIDATION_RULES.BACK.MAX_LENGTH, FLASHCARD_VALIDATION_RULES.BACK.ERROR_MESSAGE]
+  },
+
+  // Same tagging as quiz questions, so progress can be compared by topic
+  skillCategory: {
+    type: String,
+    trim: true,
+    default: 'factual_recall'
+  },
+
+  topicArea: {
+    type: String,
+    trim: true,
+    default: 'general_knowledge'
+  },
+
+  // ==========================================
+  // SCHEDULING
+  // ==========================================
+  status: {
+    type: String,
+    enum: {
+      values: FLASHCARD_STATUSES,
+      message: 'Invalid flashcard status'
+    },
+    default: FLASHCARD_DEFAULTS.STATUS
+  },
+
+  schedule: {
+    type: scheduleSchema,
+    default: () => ({})
+  },
+
+  reviewCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Latest reviews, oldest first
+  history: {
+    type: [reviewSchema],
+    default: []
+  },
+
+  // ==========================================
+  // AI METADATA
+  // ==========================================
+  aiMetadata: {
+    model: {
+      type: String,
+      default: null
+    },
+    tokensUsed: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    generatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+
+}, SCHEMA_OPTIONS);
+
+// ==========================================
+// PERFORMANCE INDEXES
+// ==========================================
+
+// Due query: a user's active cards by due date
+flashcardSchema.index({ userId: 1, status: 1, 'schedule.dueAt': 1 });
+
+// Deck query: cards of one document
+flashcardSchema.index({ userId: 1, documentId: 1, deletedAt: 1 });
+
+// ==========================================
+// VIRTUAL PROPERTIES
+// ==========================================
+
+/**
+ * Learning stage derived from the schedule
+ */
+flashcardSchema.virtual('stage').get(function() {
+  if (!this.reviewCount) return 'new';
+  return this.schedule?.interval >= FLASHCARD_SCHEDULING.MATURE_INTERVAL_DAYS ? 'mature' : 'learning';
+});
+
+/**
+ * Check if the card should be reviewed now
+ */
+flashcardSchema.virtual('isDue').get(function() {
+  return this.status === 'active' && this.schedule?.dueAt <= new Date();
+});
+
+// ==========================================
+// SCHEDULING HELPERS
+// ==========================================
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * SM-2 interval for a successful review, in days
+ */
+const nextInterval = (schedule, grade, ease) => {
+  const { FIRST_INTERVAL, SECOND_INTERVAL, HARD_MULTIPLIER, EASY_BONUS } = FLASHCARD_SCHEDULING;
+  const previous = Math.max(schedule.interval || 0, 1);
+
+  if (schedule.repetitions === 0) {
+    return FIRST_INTERVAL[grade];
+  }
+
+  if (schedule.repetitions === 1) {
+    if (grade === 'hard') return Math.max(previous + 1, Math.round(previous * HARD_MULTIPLIER));
+    return grade === 'easy' ? Math.round(SECOND_INTERVAL * EASY_BONUS) : SECOND_INTERVAL;
+  }
+
+  const multiplier = { hard: HARD_MULTIPLIER, good: ease, easy: ease * EASY_BONUS }[grade];
+  return Math.max(previous + 1, Math.round(previous * multiplier));
+};
+
+/**
+ * Compute the schedule after a review
+ * @param {Object} schedule - Current schedule
+ * @param {string} grade - again, hard, good or easy
+ * @param {Date} now - Review time
+ * @returns {Object} New schedule
+ */
+const scheduleNextReview = (schedule, grade, now) => {
+  const { EASE_CHANGE, MIN_EASE, MAX_EASE, RELEARN_DELAY_MINUTES, MAX_INTERVAL_DAYS } = FLASHCARD_SCHEDULING;
+  const current = {
+    ease: schedule?.ease ?? FLASHCARD_SCHEDULING.INITIAL_EASE,
+    interval: schedule?.interval ?? 0,
+    repetitions: schedule?.repetitions ?? 0,
+    lapses: schedule?.lapses ?? 0
+  };
+  const ease = Math.round(clamp(current.ease + EASE_CHANGE[grade], MIN_EASE, MAX_EASE) * 100) / 100;
+
+  if (grade === 'again') {
+    return {
+      ease,
+      interval: 0,
+      repetitions: 0,
+      lapses: current.repetitions > 0 ? current.lapses + 1 : current.lapses,
+      dueAt: new Date(now.getTime() + RELEARN_DELAY_MINUTES * 60 * 1000),
+      lastReviewedAt: now,
+      lastGrade: grade
+    };
+  }
+
+  const interval = Math.min(nextInterval(current, grade, ease), MAX_INTERVAL_DAYS);
+
+  return {
+    ease,
+    interval,
+    repetitions: current.repetitions + 1,
+    lapses: current.lapses,
+    dueAt: new Date(now.getTime() + interval * DAY_MS),
+    lastReviewedAt: now,
+    lastGrade: grade
+  };
+};
+
+// ==========================================
+// INSTANCE METHODS
+// ==========================================
+
+/**
+ * Record a review and reschedule the card
+ * @param {string} grade - again, hard, good or easy
+ * @param {Date} now - Review time
+ */
+flashcardSchema.methods.review = function(grade, now = new Date()) {
+  this.schedule = scheduleNextReview(this.schedule, grade, now);
+  this.reviewCount += 1;
+
+  this.history.push({ grade, interval: this.schedule.interval, reviewedAt: now });
+  if (this.history.length > FLASHCARD_SCHEDULING.HISTORY_LIMIT) {
+    this.history.splice(0, this.history.length - FLASHCARD_SCHEDULING.HISTORY_LIMIT);
+  }
+
+  return this.save();
+};
+
+// ==========================================
+// STATIC METHODS
+// ==========================================
+
+/**
+ * Compute the schedule after a review without saving
+ */
+flashcardSchema.statics.calculateNextReview = function(schedule, grade, now = new Date()) {
+  return scheduleNextReview(schedule, grade, now);
+};
+
+/**
+ * Find a user's cards due before a date, most overdue first
+ * @param {string} userId - Owner
+ * @param {Object} options - { documentId, dueBefore, limit }
+ */
+flashcardSchema.statics.findDue = function(userId, options = {}) {
+  const {
+    documentId = null,
+    dueBefore = new Date(),
+    limit = FLASHCARD_DEFAULTS.DUE_LIMIT
+  } = options;
+
+  const query = {
+    userId,
+    status: 'active',
+    deletedAt: null,
+    'schedule.dueAt': { $lte: dueBefore }
+  };
+  if (documentId) query.documentId = documentId;
+
+  return this.find(query)
+    .sort({ 'schedule.dueAt': 1 })
+    .limit(limit);
+};
+
+// ==========================================
+// EXPORT MODEL
+// ==========================================
+
+const Flashcard = mongoose.model('Flashcard', flashcardSchema);
+
+export default Flashcard;
+export { flashcardSchema, scheduleSchema, reviewSchema };
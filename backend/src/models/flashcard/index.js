@@ -0,0 +1,7 @@
+/**
+ * Flashcard Models Index
+ * @module models/flashcard
+ * @description Export point for flashcard models
+ */
+
+export { default as Flashcard, flashcardSchema, scheduleSchema, reviewSchema } from './Flashcard.js';
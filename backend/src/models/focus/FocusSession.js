@@ -0,0 +1,354 @@
+/**
+ * FocusSession Model
+ * @module models/FocusSession
+ * @description A timed study session. The server measures focused time
+ * itself: a running stretch only counts while the client keeps sending
+ * heartbeats, and time after the last heartbeat beyond the idle timeout is
+ * booked as idle instead.
+ */
+
+import mongoose from 'mongoose';
+
+import {
+  FOCUS_SESSION_STATUSES,
+  FOCUS_SESSION_OPEN_STATUSES,
+  FOCUS_SESSION_SETTINGS,
+  FOCUS_SESSION_DEFAULTS,
+  FOCUS_SESSION_VALIDATION_RULES
+} from '#constants/models/focus/index.js';
+
+// ==========================================
+// SCHEMA CONFIGURATION
+// ==========================================
+
+const SCHEMA_OPTIONS = {
+  collection: 'focus_sessions',
+  timestamps: true,
+  // Concurrent requests on one session (e.g. two completes) must not both win
+  optimisticConcurrency: true,
+
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.isOpen;
+      return ret;
+    },
+    virtuals: true
+  },
+
+  toObject: {
+    virtuals: true
+  }
+};
+
+// ==========================================
+// MAIN SCHEMA DEFINITION
+// ==========================================
+
+const focusSessionSchema = new mongoose.Schema({
+
+  // ==========================================
+  // RELATIONSHIPS
+  // ==========================================
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BaseUser',
+    required: [true, 'Focus session must belong to a user']
+  },
+
+  // Document being studied, if any
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null
+  },
+
+  // ==========================================
+  // STATE
+  // ==========================================
+  status: {
+    type: String,
+    enum: {
+      values: FOCUS_SESSION_STATUSES,
+      message: 'Invalid focus session status'
+    },
+    default: FOCUS_SESSION_DEFAULTS.STATUS
+  },
+
+  // Set from status; one open session per user
+  isOpen: {
+    type: Boolean,
+    default: true
+  },
+
+  plannedMinutes: {
+    type: Number,
+    min: [FOCUS_SESSION_VALIDATION_RULES.PLANNED_MINUTES.MIN, FOCUS_SESSION_VALIDATION_RULES.PLANNED_MINUTES.ERROR_MESSAGE],
+    max: [FOCUS_SESSION_VALIDATION_RULES.PLANNED_MINUTES.MAX, FOCUS_SESSION_VALIDATION_RULES.PLANNED_MINUTES.ERROR_MESSAGE],
+    default: FOCUS_SESSION_DEFAULTS.PLANNED_MINUTES
+  },
+
+  // ==========================================
+  // TIMING (server clock)
+  // ==========================================
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Start of the running stretch; null while paused or ended
+  segmentStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastHeartbeatAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+
+  endedAt: {
+    type: Date,
+    default: null
+  },
+
+  focusedSeconds: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  idleSeconds: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  pausedSeconds: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  pauseCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // ==========================================
+  // CREDIT
+  // ==========================================
+
+  // Focused minutes added to study time, after the daily cap
+  creditedMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  pointsEarned: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+
+}, SCHEMA_OPTIONS);
+
+// ==========================================
+// PERFORMANCE INDEXES
+// ==========================================
+
+// History: a user's sessions, newest first
+focusSessionSchema.index({ userId: 1, startedAt: -1 });
+
+// Daily credit and stats
+focusSessionSchema.index({ userId: 1, status: 1, endedAt: -1 });
+
+// At most one active or paused session per user
+focusSessionSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { isOpen: true } });
+
+// ==========================================
+// TIME ACCOUNTING
+// ==========================================
+
+const MAX_FOCUSED_SECONDS = FOCUS_SESSION_SETTINGS.MAX_SESSION_MINUTES * 60;
+
+/**
+ * Split the running stretch up to now into focused and idle seconds
+ */
+const measureRunningStretch = (session, now) => {
+  if (session.status !== 'active' || !session.segmentStartedAt) {
+    return { focused: 0, idle: 0 };
+  }
+
+  const start = session.segmentStartedAt.getTime();
+  const countedUntil = Math.min(
+    now.getTime(),
+    session.lastHeartbeatAt.getTime() + FOCUS_SESSION_SETTINGS.IDLE_TIMEOUT_SECONDS * 1000
+  );
+  const focused = Math.max(0, countedUntil - start);
+  const idle = Math.max(0, now.getTime() - Math.max(countedUntil, start));
+
+  return { focused: Math.floor(focused / 1000), idle: Math.floor(idle / 1000) };
+};
+
+/**
+ * Book the running stretch and stop it
+ */
+const closeRunningStretch = (session, now) => {
+  const { focused, idle } = measureRunningStretch(session, now);
+  const room = Math.max(0, MAX_FOCUSED_SECONDS - session.focusedSeconds);
+
+  session.focusedSeconds += Math.min(focused, room);
+  session.idleSeconds += idle + Math.max(0, focused - room);
+  session.segmentStartedAt = null;
+};
+
+// ==========================================
+// VIRTUAL PROPERTIES
+// ==========================================
+
+/**
+ * Focused seconds so far, including the running stretch
+ */
+focusSessionSchema.virtual('elapsedSeconds').get(function() {
+  const { focused } = measureRunningStretch(this, new Date());
+  return Math.min(this.focusedSeconds + focused, MAX_FOCUSED_SECONDS);
+});
+
+/**
+ * Whether the planned time has been reached
+ */
+focusSessionSchema.virtual('isPlanReached').get(function() {
+  return this.elapsedSeconds >= this.plannedMinutes * 60;
+});
+
+// ==========================================
+// MIDDLEWARE
+// ==========================================
+
+focusSessionSchema.pre('save', function(next) {
+  this.isOpen = FOCUS_SESSION_OPEN_STATUSES.includes(this.status);
+  next();
+});
+
+// ==========================================
+// INSTANCE METHODS
+// ==========================================
+
+/**
+ * Whether the session is active or paused
+ */
+focusSessionSchema.methods.isOpenSession = function() {
+  return FOCUS_SESSION_OPEN_STATUSES.includes(this.status);
+};
+
+/**
+ * Record a heartbeat; a gap longer than the idle timeout ends the running
+ * stretch there and starts a new one now
+ * @param {Date} now - Heartbeat time
+ */
+focusSessionSchema.methods.heartbeat = function(now = new Date()) {
+  const gapMs = now.getTime() - this.lastHeartbeatAt.getTime();
+
+  if (gapMs > FOCUS_SESSION_SETTINGS.IDLE_TIMEOUT_SECONDS * 1000) {
+    closeRunningStretch(this, now);
+    this.segmentStartedAt = now;
+  }
+
+  this.lastHeartbeatAt = now;
+  return this;
+};
+
+/**
+ * Stop the timer
+ * @param {Date} now - Pause time
+ */
+focusSessionSchema.methods.pause = function(now = new Date()) {
+  closeRunningStretch(this, now);
+  this.status = 'paused';
+  this.pausedAt = now;
+  this.lastHeartbeatAt = now;
+  this.pauseCount += 1;
+  return this;
+};
+
+/**
+ * Restart the timer after a pause
+ * @param {Date} now - Resume time
+ */
+focusSessionSchema.methods.resume = function(now = new Date()) {
+  this.pausedSeconds += Math.max(0, Math.floor((now.getTime() - this.pausedAt.getTime()) / 1000));
+  this.status = 'active';
+  this.pausedAt = null;
+  this.segmentStartedAt = now;
+  this.lastHeartbeatAt = now;
+  return this;
+};
+
+/**
+ * End the session
+ * @param {string} status - completed, cancelled or abandoned
+ * @param {Date} now - End time
+ */
+focusSessionSchema.methods.finish = function(status, now = new Date()) {
+  if (this.status === 'active') {
+    closeRunningStretch(this, now);
+  } else if (this.status === 'paused') {
+    this.pausedSeconds += Math.max(0, Math.floor((now.getTime() - this.pausedAt.getTime()) / 1000));
+    this.pausedAt = null;
+  }
+
+  this.status = status;
+  this.endedAt = now;
+  return this;
+};
+
+// ==========================================
+// STATIC METHODS
+// ==========================================
+
+/**
+ * A user's active or paused session, if any
+ */
+focusSessionSchema.statics.findOpen = function(userId) {
+  return this.findOne({ userId, isOpen: true });
+};
+
+/**
+ * Minutes credited to a user from sessions completed since a time
+ * @param {string} userId - Student
+ * @param {Date} since - Window start
+ * @returns {Promise<number>} Credited minutes
+ */
+focusSessionSchema.statics.creditedMinutesSince = async function(userId, since) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        status: 'completed',
+        endedAt: { $gte: since }
+      }
+    },
+    { $group: { _id: null, minutes: { $sum: '$creditedMinutes' } } }
+  ]);
+
+  return result?.minutes || 0;
+};
+
+// ==========================================
+// EXPORT MODEL
+// ==========================================
+
+const FocusSession = mongoose.model('FocusSession', focusSessionSchema);
+
+export default FocusSession;
+export { focusSessionSchema };
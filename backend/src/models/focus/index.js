@@ -0,0 +1,7 @@
+/**
+ * Focus Session Models Index
+ * @module models/focus
+ * @description Export point for focus session models
+ */
+
+export { default as FocusSession, focusSessionSchema } from './FocusSession.js';
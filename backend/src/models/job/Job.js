@@ -0,0 +1,286 @@
+/**
+ * Job Model
+ * @module models/Job
+ * @description Persistent background job for the MongoDB-backed work queue
+ */
+
+import mongoose from 'mongoose';
+
+import {
+  JOB_TYPES,
+  JOB_STATUSES,
+  ACTIVE_JOB_STATUSES,
+  JOB_DEFAULTS,
+  JOB_VALIDATION_RULES
+} from '#constants/models/job/index.js';
+
+// ==========================================
+// SCHEMA CONFIGURATION
+// ==========================================
+
+const SCHEMA_OPTIONS = {
+  collection: 'jobs',
+  timestamps: true,
+  versionKey: false,
+
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    },
+    virtuals: true
+  },
+
+  toObject: {
+    virtuals: true
+  }
+};
+
+// ==========================================
+// ERROR SUB-SCHEMA
+// ==========================================
+
+const jobErrorSchema = new mongoose.Schema({
+  message: {
+    type: String,
+    maxlength: JOB_VALIDATION_RULES.ERROR_MESSAGE.MAX_LENGTH,
+    default: null
+  },
+  code: {
+    type: String,
+    default: null
+  },
+  attempt: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// ==========================================
+// MAIN SCHEMA DEFINITION
+// ==========================================
+
+const jobSchema = new mongoose.Schema({
+
+  type: {
+    type: String,
+    required: [true, 'Job type is required'],
+    enum: {
+      values: JOB_TYPES,
+      message: 'Invalid job type'
+    }
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: JOB_STATUSES,
+      message: 'Invalid job status'
+    },
+    default: JOB_DEFAULTS.STATUS
+  },
+
+  // Handler input
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Set while the job is queued or running so the same work is never queued twice
+  dedupeKey: {
+    type: String,
+    default: undefined
+  },
+
+  // Owning resources, for lookups from the document/user side
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null,
+    index: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BaseUser',
+    default: null
+  },
+
+  priority: {
+    type: Number,
+    min: [JOB_VALIDATION_RULES.PRIORITY.MIN, JOB_VALIDATION_RULES.PRIORITY.ERROR_MESSAGE],
+    max: [JOB_VALIDATION_RULES.PRIORITY.MAX, JOB_VALIDATION_RULES.PRIORITY.ERROR_MESSAGE],
+    default: JOB_DEFAULTS.PRIORITY
+  },
+
+  // ==========================================
+  // RETRY STATE
+  // ==========================================
+  attempts: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    min: [JOB_VALIDATION_RULES.MAX_ATTEMPTS.MIN, JOB_VALIDATION_RULES.MAX_ATTEMPTS.ERROR_MESSAGE],
+    max: [JOB_VALIDATION_RULES.MAX_ATTEMPTS.MAX, JOB_VALIDATION_RULES.MAX_ATTEMPTS.ERROR_MESSAGE],
+    default: JOB_DEFAULTS.MAX_ATTEMPTS
+  },
+
+  // Earliest time a worker may claim the job (pushed forward by backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastError: {
+    type: jobErrorSchema,
+    default: null
+  },
+
+  // ==========================================
+  // LOCKING
+  // ==========================================
+  lockedBy: {
+    type: String,
+    maxlength: JOB_VALIDATION_RULES.WORKER_ID.MAX_LENGTH,
+    default: null
+  },
+
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Refreshed by the running worker; a stale heartbeat means the worker died
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+
+  // ==========================================
+  // OUTCOME
+  // ==========================================
+  startedAt: {
+    type: Date,
+    default: null
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+
+}, SCHEMA_OPTIONS);
+
+// ==========================================
+// PERFORMANCE INDEXES
+// ==========================================
+
+// Claim query: next due job by priority
+jobSchema.index({ status: 1, type: 1, priority: -1, runAt: 1 });
+
+// Reaper query: running jobs by heartbeat
+jobSchema.index({ status: 1, heartbeatAt: 1 });
+
+// One active job per dedupe key
+jobSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+// ==========================================
+// VIRTUAL PROPERTIES
+// ==========================================
+
+/**
+ * Check if the job is still waiting or running
+ */
+jobSchema.virtual('isActive').get(function() {
+  return ACTIVE_JOB_STATUSES.includes(this.status);
+});
+
+/**
+ * Check if another attempt is allowed after the current one
+ */
+jobSchema.virtual('canRetry').get(function() {
+  return this.attempts < this.maxAttempts;
+});
+
+// ==========================================
+// STATIC METHODS
+// ==========================================
+
+/**
+ * Atomically claim the next due job
+ * @param {Object} options - Claim options
+ * @param {Array<string>} options.types - Job types the worker handles
+ * @param {string} options.workerId - Worker identifier stored as the lock owner
+ * @returns {Promise<Object|null>} Claimed job, or null if none is due
+ */
+jobSchema.statics.claimNext = function({ types, workerId }) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      status: 'queued',
+      type: { $in: types },
+      runAt: { $lte: now }
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: workerId,
+        lockedAt: now,
+        heartbeatAt: now,
+        startedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    {
+      sort: { priority: -1, runAt: 1 },
+      new: true
+    }
+  );
+};
+
+/**
+ * Find running jobs whose worker stopped sending heartbeats
+ * @param {number} staleAfterMs - Heartbeat age after which a job is stale
+ * @param {number} limit - Maximum jobs to return
+ */
+jobSchema.statics.findStale = function(staleAfterMs, limit = 50) {
+  return this.find({
+    status: 'running',
+    heartbeatAt: { $lt: new Date(Date.now() - staleAfterMs) }
+  })
+  .sort({ heartbeatAt: 1 })
+  .limit(limit);
+};
+
+/**
+ * Count running jobs per type
+ * @param {string} type - Job type
+ */
+jobSchema.statics.countRunning = function(type) {
+  return this.countDocuments({ status: 'running', type });
+};
+
+// ==========================================
+// EXPORT MODEL
+// ==========================================
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
+export { jobSchema };
@@ -0,0 +1,7 @@
+/**
+ * Job Models Index
+ * @module models/job
+ * @description Export point for background job models
+ */
+
+export { default as Job, jobSchema } from './Job.js';
@@ -0,0 +1,152 @@
+/**
+ * Answer Grade Model
+ * @module models/AnswerGrade
+ * @description Cached AI grades for short-answer questions, so resubmitting
+ * the same text for the same question and rubric does not call the model again
+ */
+
+import mongoose from 'mongoose';
+
+// ==========================================
+// SCHEMA CONFIGURATION
+// ==========================================
+
+const SCHEMA_OPTIONS = {
+  collection: 'answer_grades',
+  timestamps: true,
+  versionKey: false,
+
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    }
+  }
+};
+
+// ==========================================
+// MAIN SCHEMA DEFINITION
+// ==========================================
+
+const answerGradeSchema = new mongoose.Schema({
+
+  // Hash of quiz, question, reference answer, rubric and normalized answer text
+  key: {
+    type: String,
+    required: [true, 'Cache key is required']
+  },
+
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: [true, 'Quiz is required']
+  },
+
+  questionId: {
+    type: Number,
+    required: [true, 'Question is required']
+  },
+
+  score: {
+    type: Number,
+    min: 0,
+    max: 1,
+    required: [true, 'Score is required']
+  },
+
+  rationale: {
+    type: String,
+    default: ''
+  },
+
+  missed: {
+    type: String,
+    default: ''
+  },
+
+  provider: {
+    type: String,
+    default: null
+  },
+
+  model: {
+    type: String,
+    default: null
+  },
+
+  tokensUsed: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Times the cached grade was reused instead of calling the model
+  hits: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+
+}, SCHEMA_OPTIONS);
+
+// ==========================================
+// PERFORMANCE INDEXES
+// ==========================================
+
+// One cached grade per key
+answerGradeSchema.index({ key: 1 }, { unique: true });
+
+// MongoDB removes expired grades
+answerGradeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ==========================================
+// STATIC METHODS
+// ==========================================
+
+/**
+ * Find an unexpired grade and count the reuse
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} Cached grade, or null on a miss
+ */
+answerGradeSchema.statics.findCached = function(key) {
+  return this.findOneAndUpdate(
+    { key, expiresAt: { $gt: new Date() } },
+    { $inc: { hits: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Store a grade, replacing an expired entry with the same key
+ * @param {string} key - Cache key
+ * @param {Object} grade - { quizId, questionId, score, rationale, missed, provider, model, tokensUsed }
+ * @param {number} ttlDays - Days to keep the grade
+ */
+answerGradeSchema.statics.store = function(key, grade, ttlDays) {
+  return this.updateOne(
+    { key },
+    {
+      $set: {
+        ...grade,
+        hits: 0,
+        expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+// ==========================================
+// EXPORT MODEL
+// ==========================================
+
+const AnswerGrade = mongoose.model('AnswerGrade', answerGradeSchema);
+
+export default AnswerGrade;
+export { answerGradeSchema };
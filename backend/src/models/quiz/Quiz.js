@@ -12,10 +12,12 @@ import {
   QUIZ_VALIDATION_RULES,
   QUESTION_VALIDATION_RULES,
   validateQuestionByType,
+  isStorableQuestion,
   
   // Enums
   QUIZ_STATUSES,
   QUESTION_TYPES,
+  LEGACY_QUESTION_TYPES,
   QUIZ_DIFFICULTY_LEVELS,
   QUIZ_CATEGORIES,
   
@@ -100,18 +102,14 @@ const quizSchema = new mongoose.Schema({
         const basicValidation = questions.length >= QUIZ_VALIDATION_RULES.QUESTIONS_COUNT.MIN && 
                               questions.length <= QUIZ_VALIDATION_RULES.QUESTIONS_COUNT.MAX;
         
-        // Enhanced validation to include skillCategory and topicArea
-        const enhancedValidation = questions.every(q => 
-          q.question && 
-          q.options && 
-          q.correctAnswerIndex !== undefined &&
-          q.skillCategory && // NEW: Must have skill category
-          q.topicArea       // NEW: Must have topic area
-        );
+        // Type-aware: choice questions need options and a correct index,
+        // fill in blank / short answer need a correct answer text
+        const quizType = this.aiMetadata?.questionType;
+        const enhancedValidation = questions.every(q => isStorableQuestion(q, quizType));
         
         return basicValidation && enhancedValidation;
       },
-      message: QUIZ_VALIDATION_RULES.QUESTIONS_COUNT.ERROR_MESSAGE + ' Each question must include skillCategory and topicArea.'
+      message: QUIZ_VALIDATION_RULES.QUESTIONS_COUNT.ERROR_MESSAGE + ' Each question must include skillCategory, topicArea and a correct answer for its type.'
     }
   },
   
@@ -175,12 +173,12 @@ const quizSchema = new mongoose.Schema({
     },
     questionType: {
       type: String,
-      enum: ['multiple_choice', 'true_false', 'fill_blank', 'short_answer', 'mixed'],
+      enum: [...QUESTION_TYPES, ...Object.keys(LEGACY_QUESTION_TYPES)],
       default: 'multiple_choice'
     },
     type: {
       type: String,
-      enum: ['multiple_choice', 'true_false', 'fill_blank', 'short_answer', 'mixed'],
+      enum: [...QUESTION_TYPES, ...Object.keys(LEGACY_QUESTION_TYPES)],
       default: 'multiple_choice'
     },
     generationType: {
@@ -11,13 +11,21 @@ import {
   // Validation
   QUIZ_ATTEMPT_VALIDATION_RULES,
   ANSWER_VALIDATION,
+  ANSWER_MATCHING,
   calculatePointsEarned,
+  normalizeAnswerText,
+  getAcceptedAnswers,
   
   // Enums
   QUIZ_ATTEMPT_STATUSES,
+  QUIZ_ATTEMPT_MODES,
+  MASTERY_LEVELS,
   PERFORMANCE_LEVELS,
   SUBJECT_AREAS,
   getPerformanceLevel,
+  normalizeQuestionType,
+  isTextAnswerQuestionType,
+  ANSWER_GRADING_METHODS,
   
   // Defaults
   QUIZ_ATTEMPT_DEFAULTS
@@ -46,6 +54,62 @@ const SCHEMA_OPTIONS = {
   }
 };
 
+// ==========================================
+// GRADING SUB-SCHEMA
+// ==========================================
+
+const gradingSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ANSWER_GRADING_METHODS,
+    required: true
+  },
+
+  // Partial credit from 0 to 1
+  score: {
+    type: Number,
+    min: 0,
+    max: 1,
+    required: true
+  },
+
+  rationale: {
+    type: String,
+    default: ''
+  },
+
+  // What the answer left out
+  missed: {
+    type: String,
+    default: ''
+  },
+
+  rubric: {
+    type: [{
+      _id: false,
+      criterion: String,
+      weight: Number
+    }],
+    default: []
+  },
+
+  model: {
+    type: String,
+    default: null
+  },
+
+  // Reused from an earlier identical answer instead of calling the model
+  cached: {
+    type: Boolean,
+    default: false
+  },
+
+  gradedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 // ==========================================
 // ANSWER SUB-SCHEMA
 // ==========================================
@@ -76,6 +140,12 @@ const answerSchema = new mongoose.Schema({
     type: Number, // milliseconds spent on this question
     default: 0,
     min: 0
+  },
+
+  // Rubric grading of short answers; null for answers graded by exact match
+  grading: {
+    type: gradingSchema,
+    default: null
   }
 }, { _id: false });
 
@@ -108,6 +178,111 @@ const performanceAreaSchema = new mongoose.Schema({
 }, { _id: false });
 
 
+// ==========================================
+// ADAPTIVE MODE SUB-SCHEMAS
+// ==========================================
+
+/**
+ * A question served during an adaptive attempt, with a snapshot of the
+ * source question so results do not depend on the source quiz
+ */
+const servedQuestionSchema = new mongoose.Schema({
+  // Position in this attempt; answers refer to it as questionId
+  questionId: {
+    type: Number,
+    required: [true, 'Served question ID is required']
+  },
+  sourceQuizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: [true, 'Source quiz is required']
+  },
+  sourceQuestionId: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Source question ID is required']
+  },
+  questionKey: {
+    type: String,
+    required: [true, 'Question key is required']
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    required: [true, 'Question difficulty is required']
+  },
+  skillCategory: {
+    type: String,
+    default: null
+  },
+  topicArea: {
+    type: String,
+    default: null
+  },
+  question: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Question snapshot is required']
+  },
+  servedAt: {
+    type: Date,
+    default: Date.now
+  },
+  answeredAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const topicMasterySchema = new mongoose.Schema({
+  topicArea: {
+    type: String,
+    required: [true, 'Topic area is required'],
+    trim: true
+  },
+  // Ability estimate on the ADAPTIVE_QUIZ difficulty scale
+  estimate: {
+    type: Number,
+    required: [true, 'Mastery estimate is required']
+  },
+  level: {
+    type: String,
+    enum: {
+      values: MASTERY_LEVELS,
+      message: 'Invalid mastery level'
+    },
+    required: [true, 'Mastery level is required']
+  },
+  answered: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  correct: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+const adaptiveStateSchema = new mongoose.Schema({
+  questionLimit: {
+    type: Number,
+    min: 1,
+    required: [true, 'Question limit is required']
+  },
+  // Overall ability estimate, used to pick the next question
+  ability: {
+    type: Number,
+    default: 0
+  },
+  servedQuestions: {
+    type: [servedQuestionSchema],
+    default: []
+  },
+  mastery: {
+    type: [topicMasterySchema],
+    default: []
+  }
+}, { _id: false });
 
 // ==========================================
 // MAIN QUIZ ATTEMPT SCHEMA
@@ -135,6 +310,21 @@ const quizAttemptSchema = new mongoose.Schema({
   // ==========================================
   // ATTEMPT STATUS & TIMING
   // ==========================================
+  mode: {
+    type: String,
+    enum: {
+      values: QUIZ_ATTEMPT_MODES,
+      message: 'Invalid quiz attempt mode'
+    },
+    default: 'standard'
+  },
+
+  // Served questions and ability estimates; null for standard attempts
+  adaptive: {
+    type: adaptiveStateSchema,
+    default: null
+  },
+
   status: {
     type: String,
     enum: {
@@ -325,6 +515,14 @@ quizAttemptSchema.virtual('hasPassed').get(function() {
   return this.percentage >= 70; // Default passing score
 });
 
+/**
+ * Adaptive question waiting for an answer, if any
+ */
+quizAttemptSchema.virtual('pendingQuestion').get(function() {
+  if (this.mode !== 'adaptive' || !this.adaptive) return null;
+  return this.adaptive.servedQuestions.find(served => !served.answeredAt) || null;
+});
+
 /**
  * Get accuracy rate
  */
@@ -362,10 +560,22 @@ quizAttemptSchema.pre('save', function(next) {
 // INSTANCE METHODS
 // ==========================================
 
+/**
+ * Score from the credit each answer earned: graded answers count their 0-1
+ * partial credit, the rest count 1 when correct
+ * @returns {number} Sum of answer credit, to two decimals
+ */
+quizAttemptSchema.methods.calculateScore = function() {
+  const credit = this.answers.reduce((sum, answer) => {
+    return sum + (answer.grading ? answer.grading.score : (answer.isCorrect ? 1 : 0));
+  }, 0);
+  return Math.round(credit * 100) / 100;
+};
+
 /**
  * Submit an answer for a question
  */
-quizAttemptSchema.methods.submitAnswer = function(questionId, userAnswer, isCorrect, pointsEarned = 0, timeSpent = 0) {
+quizAttemptSchema.methods.submitAnswer = function(questionId, userAnswer, isCorrect, pointsEarned = 0, timeSpent = 0, grading = null) {
   // Check if answer already exists
   const existingIndex = this.answers.findIndex(a => a.questionId.toString() === questionId.toString());
   
@@ -374,7 +584,8 @@ quizAttemptSchema.methods.submitAnswer = function(questionId, userAnswer, isCorr
     userAnswer,
     isCorrect,
     pointsEarned,
-    timeSpent
+    timeSpent,
+    grading
   };
   
   if (existingIndex !== -1) {
@@ -386,7 +597,7 @@ quizAttemptSchema.methods.submitAnswer = function(questionId, userAnswer, isCorr
   }
   
   // Recalculate score
-  this.score = this.answers.filter(a => a.isCorrect).length;
+  this.score = this.calculateScore();
   
   return this.save();
 };
@@ -398,6 +609,7 @@ quizAttemptSchema.methods.complete = function(quiz) {
   this.status = 'completed';
   this.completedAt = new Date();
   this.timeSpent = this.completedAt - this.startedAt;
+  this.score = this.calculateScore();
   
   // Calculate final percentage
   if (this.answers.length > 0) {
@@ -545,16 +757,135 @@ quizAttemptSchema.methods.getResults = function() {
     feedback: this.feedback.overall || '',
     strengths: this.strengths,
     weaknesses: this.weaknesses,
+    mode: this.mode,
+    mastery: this.adaptive?.mastery || [],
     passed: this.hasPassed,
     accuracy: this.accuracy,
     durationMinutes: Math.round(this.timeSpent / (1000 * 60))
   };
 };
 
+// ==========================================
+// ANSWER GRADING HELPERS
+// ==========================================
+
+/**
+ * Levenshtein distance, giving up once it exceeds maxDistance
+ */
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Spelling mistakes forgiven when matching against an expected answer
+ */
+const allowedEdits = (expected) => {
+  if (/\d/.test(expected)) {
+    return 0;
+  }
+
+  const rule = ANSWER_MATCHING.TYPO_TOLERANCE.find(r => expected.length >= r.MIN_LENGTH);
+  return rule ? rule.MAX_EDITS : 0;
+};
+
+/**
+ * Grade a typed answer against the correct answer and accepted variants
+ */
+const matchesTextAnswer = (question, userAnswer) => {
+  const given = normalizeAnswerText(userAnswer);
+  if (!given) {
+    return false;
+  }
+
+  return getAcceptedAnswers(question).some(accepted => {
+    const expected = normalizeAnswerText(accepted);
+    if (!expected) return false;
+    if (given === expected) return true;
+
+    const maxEdits = allowedEdits(expected);
+    return maxEdits > 0 && editDistance(given, expected, maxEdits) <= maxEdits;
+  });
+};
+
+/**
+ * Grade a choice answer given as an option index, "true"/"false" or option text
+ */
+const matchesChoice = (question, userAnswer, questionType) => {
+  const correctIndex = question.correctAnswerIndex;
+  if (correctIndex === undefined || correctIndex === null) {
+    return false;
+  }
+
+  const options = Array.isArray(question.options) ? question.options : [];
+  let userIndex;
+
+  if (typeof userAnswer === 'number' || /^\s*\d+\s*$/.test(String(userAnswer))) {
+    userIndex = parseInt(userAnswer);
+  } else if (questionType === 'true_false' && ['true', 'false'].includes(String(userAnswer).toLowerCase().trim())) {
+    userIndex = String(userAnswer).toLowerCase().trim() === 'true' ? 0 : 1;
+  } else {
+    const given = normalizeAnswerText(userAnswer);
+    userIndex = given ? options.findIndex(option => normalizeAnswerText(option) === given) : -1;
+  }
+
+  const optionCount = options.length || (questionType === 'true_false' ? 2 : 4);
+  if (isNaN(userIndex) || userIndex < 0 || userIndex >= optionCount) {
+    return false;
+  }
+
+  return userIndex === Number(correctIndex);
+};
+
 // ==========================================
 // STATIC METHODS
 // ==========================================
 
+/**
+ * Check whether an answer to a quiz question is correct.
+ * Typed answers (fill in blank, short answer) are compared ignoring case,
+ * accents, punctuation and spacing, against the correct answer and any
+ * accepted variants, with a small allowance for spelling mistakes.
+ * @param {Object} question - Stored quiz question
+ * @param {*} userAnswer - Submitted answer
+ * @param {string} questionType - Quiz question type, used when the question has no type
+ * @returns {boolean} Whether the answer is correct
+ */
+quizAttemptSchema.statics.validateAnswer = function(question, userAnswer, questionType = 'multiple_choice') {
+  if (!question || userAnswer === null || userAnswer === undefined) {
+    return false;
+  }
+
+  const type = normalizeQuestionType(question.type || questionType);
+
+  if (isTextAnswerQuestionType(type)) {
+    return matchesTextAnswer(question, userAnswer);
+  }
+
+  return matchesChoice(question, userAnswer, type);
+};
+
 /**
  * Find attempts by user with filters
  */
@@ -673,4 +1004,4 @@ quizAttemptSchema.query.recent = function(days = 7) {
 const QuizAttempt = mongoose.model('QuizAttempt', quizAttemptSchema);
 
 export default QuizAttempt;
-export { quizAttemptSchema, answerSchema, performanceAreaSchema };
\ No newline at end of file
+export { quizAttemptSchema, answerSchema, gradingSchema, performanceAreaSchema, servedQuestionSchema, topicMasterySchema, adaptiveStateSchema };
\ No newline at end of file
@@ -0,0 +1,239 @@
+/**
+ * Quiz Mistake Model
+ * @module models/QuizMistake
+ * @description Mistakes bank: one entry per question a user answered wrong,
+ * kept until they answer it right enough times in a row
+ */
+
+import mongoose from 'mongoose';
+
+import { MISTAKE_REVIEW } from '#constants/models/quiz/index.js';
+
+// ==========================================
+// SCHEMA CONFIGURATION
+// ==========================================
+
+const SCHEMA_OPTIONS = {
+  collection: 'quiz_mistakes',
+  timestamps: true,
+  versionKey: false,
+
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      return ret;
+    }
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ==========================================
+// MAIN SCHEMA DEFINITION
+// ==========================================
+
+const quizMistakeSchema = new mongoose.Schema({
+
+  // ==========================================
+  // RELATIONSHIPS
+  // ==========================================
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BaseUser',
+    required: [true, 'Mistake must belong to a user']
+  },
+
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: [true, 'Mistake must be linked to a document']
+  },
+
+  // Quiz and question of the latest miss
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: [true, 'Quiz is required']
+  },
+
+  questionId: {
+    type: Number,
+    required: [true, 'Question is required']
+  },
+
+  // Hash of document and normalized question text, so the same question
+  // missed in different quizzes is one entry
+  questionKey: {
+    type: String,
+    required: [true, 'Question key is required']
+  },
+
+  // ==========================================
+  // QUESTION SNAPSHOT
+  // ==========================================
+  question: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Question snapshot is required']
+  },
+
+  skillCategory: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  topicArea: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  lastAnswer: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // ==========================================
+  // HISTORY
+  // ==========================================
+  missCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Correct answers since the latest miss
+  correctStreak: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  firstMissedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastMissedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastCorrectAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set once the mistake is answered right RESOLVE_AFTER_CORRECT times in a row
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+
+}, SCHEMA_OPTIONS);
+
+// ==========================================
+// PERFORMANCE INDEXES
+// ==========================================
+
+// One entry per user and question
+quizMistakeSchema.index({ userId: 1, questionKey: 1 }, { unique: true });
+
+// Open mistakes, most recent first
+quizMistakeSchema.index({ userId: 1, resolvedAt: 1, lastMissedAt: -1 });
+quizMistakeSchema.index({ userId: 1, documentId: 1, resolvedAt: 1 });
+
+// ==========================================
+// INSTANCE METHODS
+// ==========================================
+
+/**
+ * Review weight: grows with every miss and halves every
+ * RECENCY_HALF_LIFE_DAYS since the latest one. Correct answers since
+ * then lower it further.
+ * @param {Date} now - Reference time
+ * @returns {number} Weight, 0 once resolved
+ */
+quizMistakeSchema.methods.getReviewWeight = function(now = new Date()) {
+  if (this.resolvedAt) return 0;
+
+  const ageDays = Math.max(now.getTime() - new Date(this.lastMissedAt).getTime(), 0) / DAY_MS;
+  const recency = Math.pow(0.5, ageDays / MISTAKE_REVIEW.RECENCY_HALF_LIFE_DAYS);
+
+  return Math.max(this.missCount, 1) * recency / (1 + this.correctStreak);
+};
+
+/**
+ * Count a correct answer and resolve the mistake after enough in a row
+ * @param {Date} now - Answer time
+ */
+quizMistakeSchema.methods.recordCorrect = function(now = new Date()) {
+  this.correctStreak += 1;
+  this.lastCorrectAt = now;
+
+  if (this.correctStreak >= MISTAKE_REVIEW.RESOLVE_AFTER_CORRECT) {
+    this.resolvedAt = now;
+  }
+
+  return this.save();
+};
+
+// ==========================================
+// STATIC METHODS
+// ==========================================
+
+/**
+ * Add a miss to the bank, reopening a resolved mistake
+ * @param {string} userId - User who answered
+ * @param {Object} entry - { documentId, quizId, questionId, questionKey, question, skillCategory, topicArea, answer }
+ * @param {Date} now - Answer time
+ * @returns {Promise<Object>} Updated mistake
+ */
+quizMistakeSchema.statics.recordMiss = function(userId, entry, now = new Date()) {
+  return this.findOneAndUpdate(
+    { userId, questionKey: entry.questionKey },
+    {
+      $set: {
+        documentId: entry.documentId,
+        quizId: entry.quizId,
+        questionId: entry.questionId,
+        question: entry.question,
+        skillCategory: entry.skillCategory || null,
+        topicArea: entry.topicArea || null,
+        lastAnswer: entry.answer ?? null,
+        lastMissedAt: now,
+        correctStreak: 0,
+        resolvedAt: null
+      },
+      $inc: { missCount: 1 },
+      $setOnInsert: { firstMissedAt: now }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+/**
+ * Find a user's open mistakes, most recent first
+ * @param {string} userId - Owner
+ * @param {Object} options - { documentId, limit }
+ */
+quizMistakeSchema.statics.findOpen = function(userId, options = {}) {
+  const { documentId = null, limit = MISTAKE_REVIEW.CANDIDATE_LIMIT } = options;
+
+  const query = { userId, resolvedAt: null };
+  if (documentId) query.documentId = documentId;
+
+  return this.find(query)
+    .sort({ lastMissedAt: -1 })
+    .limit(limit);
+};
+
+// ==========================================
+// EXPORT MODEL
+// ==========================================
+
+const QuizMistake = mongoose.model('QuizMistake', quizMistakeSchema);
+
+export default QuizMistake;
+export { quizMistakeSchema };
@@ -9,5 +9,13 @@ export { quizSchema } from './Quiz.js';
 export { default as Quiz } from './Quiz.js';
 
 // Quiz Attempt Model  
-export { quizAttemptSchema, answerSchema, performanceAreaSchema } from './QuizAttempt.js';
-export { default as QuizAttempt } from './QuizAttempt.js';
\ No newline at end of file
+export { quizAttemptSchema, answerSchema, gradingSchema, performanceAreaSchema, servedQuestionSchema, topicMasterySchema, adaptiveStateSchema } from './QuizAttempt.js';
+export { default as QuizAttempt } from './QuizAttempt.js';
+
+// Answer Grade Cache Model
+export { answerGradeSchema } from './AnswerGrade.js';
+export { default as AnswerGrade } from './AnswerGrade.js';
+
+// Mistakes Bank Model
+export { quizMistakeSchema } from './QuizMistake.js';
+export { default as QuizMistake } from './QuizMistake.js';
@@ -0,0 +1,139 @@
+/**
+ * SearchEntry Model
+ * @module models/SearchEntry
+ * @description One searchable piece of a user's library (a document, its
+ * summary, one of its key points or a quiz question) with its embedding
+ */
+
+import mongoose from 'mongoose';
+
+import { SEARCH_SOURCE_TYPES } from '#constants/models/search/index.js';
+
+// ==========================================
+// SCHEMA CONFIGURATION
+// ==========================================
+
+const SCHEMA_OPTIONS = {
+  collection: 'search_entries',
+  timestamps: true,
+
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.embedding;
+      return ret;
+    }
+  }
+};
+
+// ==========================================
+// MAIN SCHEMA DEFINITION
+// ==========================================
+
+const searchEntrySchema = new mongoose.Schema({
+
+  // ==========================================
+  // RELATIONSHIPS
+  // ==========================================
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BaseUser',
+    required: [true, 'Search entry must belong to a user']
+  },
+
+  // Document or quiz the entry was built from; entries are rebuilt per source
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Search entry must have a source']
+  },
+
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    default: null
+  },
+
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    default: null
+  },
+
+  // ==========================================
+  // CONTENT
+  // ==========================================
+  sourceType: {
+    type: String,
+    enum: {
+      values: SEARCH_SOURCE_TYPES,
+      message: 'Invalid search source type'
+    },
+    required: true
+  },
+
+  // Key point or question number within the source, from 0
+  position: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Title of the document or quiz, shown with the result
+  title: {
+    type: String,
+    default: ''
+  },
+
+  text: {
+    type: String,
+    required: [true, 'Search entry text is required']
+  },
+
+  // Source's updatedAt when the entry was built; a newer source is re-indexed
+  sourceUpdatedAt: {
+    type: Date,
+    required: true
+  },
+
+  // ==========================================
+  // EMBEDDING
+  // ==========================================
+
+  // Unit-length vector; empty until embedded or when no embedding provider is configured
+  embedding: {
+    type: [Number],
+    default: [],
+    select: false
+  },
+
+  // Model that produced the embedding; vectors of different models do not compare
+  embeddingModel: {
+    type: String,
+    default: null
+  }
+
+}, SCHEMA_OPTIONS);
+
+// ==========================================
+// PERFORMANCE INDEXES
+// ==========================================
+
+// One entry per piece of a source
+searchEntrySchema.index({ userId: 1, sourceId: 1, sourceType: 1, position: 1 }, { unique: true });
+
+// Candidates for a search, most recent first
+searchEntrySchema.index({ userId: 1, sourceUpdatedAt: -1 });
+
+// Entries still waiting for an embedding
+searchEntrySchema.index({ userId: 1, embeddingModel: 1 });
+
+// ==========================================
+// EXPORT MODEL
+// ==========================================
+
+const SearchEntry = mongoose.model('SearchEntry', searchEntrySchema);
+
+export default SearchEntry;
+export { searchEntrySchema };
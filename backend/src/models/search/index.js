@@ -0,0 +1,7 @@
+/**
+ * Search Models Index
+ * @module models/search
+ * @description Export point for library search models
+ */
+
+export { default as SearchEntry, searchEntrySchema } from './SearchEntry.js';
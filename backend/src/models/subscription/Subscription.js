@@ -288,6 +288,16 @@ const subscriptionSchema = new mongoose.Schema({
     pauseCollection: {
       type: Boolean,
       default: false
+    },
+    
+    // Lower plan that takes over when the current period ends
+    scheduledPlan: {
+      type: String,
+      enum: {
+        values: SUBSCRIPTION_PLANS,
+        message: 'Invalid subscription plan'
+      },
+      default: null
     }
   },
   
@@ -0,0 +1,104 @@
+/**
+ * PaymentEvent Model
+ * @module models/PaymentEvent
+ * @description Webhook events already handled, one per gateway event id.
+ * Gateways deliver events at least once; a recorded event is acknowledged
+ * again without being applied twice.
+ */
+
+import mongoose from 'mongoose';
+
+import { PAYMENT_EVENT_OUTCOMES } from '#constants/models/transaction/index.js';
+
+// ==========================================
+// SCHEMA CONFIGURATION
+// ==========================================
+
+const SCHEMA_OPTIONS = {
+  collection: 'payment_events',
+  timestamps: true,
+  versionKey: false
+};
+
+// Gateways stop retrying after a few days; keep events well past that
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// ==========================================
+// PAYMENT EVENT SCHEMA
+// ==========================================
+
+const paymentEventSchema = new mongoose.Schema({
+
+  gateway: {
+    type: String,
+    required: [true, 'Gateway is required']
+  },
+
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+
+  // Event type as the gateway names it
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+
+  outcome: {
+    type: String,
+    enum: {
+      values: PAYMENT_EVENT_OUTCOMES,
+      message: 'Invalid event outcome: {VALUE}'
+    },
+    required: [true, 'Outcome is required']
+  }
+
+}, SCHEMA_OPTIONS);
+
+// ==========================================
+// INDEXES
+// ==========================================
+
+paymentEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ transactionId: 1 });
+paymentEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+// ==========================================
+// STATIC METHODS
+// ==========================================
+
+/**
+ * Whether an event was already handled
+ */
+paymentEventSchema.statics.isRecorded = async function(gateway, eventId) {
+  return Boolean(await this.exists({ gateway, eventId }));
+};
+
+/**
+ * Record a handled event
+ * @returns {Promise<boolean>} false when another delivery recorded it first
+ */
+paymentEventSchema.statics.record = async function(gateway, event, outcome, transactionId = null) {
+  try {
+    await this.create({ gateway, eventId: event.id, type: event.gatewayType, transactionId, outcome });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// ==========================================
+// EXPORT MODEL
+// ==========================================
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+
+export default PaymentEvent;
@@ -0,0 +1,218 @@
+/**
+ * PointsJournalEntry Model
+ * @module models/PointsJournalEntry
+ * @description Immutable double-entry record of a points change. Every entry
+ * moves points between accounts (user:<id> or a system account) and its
+ * postings sum to zero. A student's points counters are a cache of their
+ * postings; entries are never edited or removed.
+ */
+
+import mongoose from 'mongoose';
+
+import {
+  POINTS_JOURNAL_TYPES,
+  POINTS_BALANCE_BUCKETS
+} from '#constants/models/transaction/index.js';
+
+// ==========================================
+// SCHEMA CONFIGURATION
+// ==========================================
+
+const SCHEMA_OPTIONS = {
+  collection: 'points_journal',
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+};
+
+const USER_ACCOUNT_PREFIX = 'user:';
+
+// ==========================================
+// POSTING SUB-SCHEMA
+// ==========================================
+
+const postingSchema = new mongoose.Schema({
+
+  account: {
+    type: String,
+    required: [true, 'Posting account is required']
+  },
+
+  // Set for user accounts only
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Which student counter a user posting belongs to
+  bucket: {
+    type: String,
+    enum: {
+      values: [...POINTS_BALANCE_BUCKETS, null],
+      message: 'Invalid balance bucket: {VALUE}'
+    },
+    default: null
+  },
+
+  points: {
+    type: Number,
+    required: [true, 'Posting points are required'],
+    validate: {
+      validator: (value) => Number.isInteger(value) && value !== 0,
+      message: 'Posting points must be a non-zero integer'
+    }
+  }
+
+}, { _id: false });
+
+// ==========================================
+// JOURNAL ENTRY SCHEMA
+// ==========================================
+
+const pointsJournalEntrySchema = new mongoose.Schema({
+
+  // Same key, same change: a repeated request returns the first entry
+  idempotencyKey: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    trim: true,
+    maxlength: [200, 'Idempotency key cannot exceed 200 characters']
+  },
+
+  type: {
+    type: String,
+    enum: {
+      values: POINTS_JOURNAL_TYPES,
+      message: 'Invalid journal entry type: {VALUE}'
+    },
+    required: [true, 'Journal entry type is required']
+  },
+
+  // What caused the change (quiz_completion, course_purchase, ...)
+  source: {
+    type: String,
+    required: [true, 'Journal entry source is required'],
+    trim: true
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+
+  postings: {
+    type: [postingSchema],
+    validate: {
+      validator: (postings) => postings.length >= 2 &&
+        postings.reduce((sum, posting) => sum + posting.points, 0) === 0,
+      message: 'A journal entry needs at least two postings that sum to zero'
+    }
+  },
+
+  // Users with a posting, for per-user queries
+  userIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+
+  relatedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+
+}, SCHEMA_OPTIONS);
+
+// ==========================================
+// INDEXES
+// ==========================================
+
+pointsJournalEntrySchema.index({ idempotencyKey: 1 }, { unique: true });
+pointsJournalEntrySchema.index({ userIds: 1, createdAt: -1 });
+pointsJournalEntrySchema.index({ transactionId: 1 }, { sparse: true });
+pointsJournalEntrySchema.index({ source: 1, createdAt: -1 });
+
+// ==========================================
+// IMMUTABILITY
+// ==========================================
+
+const immutableError = () => new Error('Points journal entries are immutable');
+
+pointsJournalEntrySchema.pre('save', function(next) {
+  if (!this.isNew) return next(immutableError());
+
+  this.userIds = [...new Set(this.postings
+    .filter(posting => posting.userId)
+    .map(posting => posting.userId.toString()))];
+  next();
+});
+
+pointsJournalEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(immutableError());
+  }
+);
+
+// ==========================================
+// STATIC METHODS
+// ==========================================
+
+/**
+ * Account name for a user
+ */
+pointsJournalEntrySchema.statics.userAccount = function(userId) {
+  return `${USER_ACCOUNT_PREFIX}${userId}`;
+};
+
+/**
+ * Ledger balances per user, summed from postings
+ * @param {Object} [match] - Extra filter on entries (e.g. { userIds: id })
+ * @returns {Promise<Array>} [{ userId, earned, spent, entries }]; spent is positive
+ */
+pointsJournalEntrySchema.statics.balancesByUser = function(match = {}) {
+  return this.aggregate([
+    { $match: match },
+    { $unwind: '$postings' },
+    { $match: { 'postings.userId': { $ne: null } } },
+    {
+      $group: {
+        _id: '$postings.userId',
+        earned: {
+          $sum: { $cond: [{ $eq: ['$postings.bucket', 'earned'] }, '$postings.points', 0] }
+        },
+        spent: {
+          $sum: { $cond: [{ $eq: ['$postings.bucket', 'spent'] }, { $multiply: ['$postings.points', -1] }, 0] }
+        },
+        entries: { $addToSet: '$_id' }
+      }
+    },
+    { $project: { _id: 0, userId: '$_id', earned: 1, spent: 1, entries: { $size: '$entries' } } }
+  ]);
+};
+
+// ==========================================
+// EXPORT MODEL
+// ==========================================
+
+const PointsJournalEntry = mongoose.model('PointsJournalEntry', pointsJournalEntrySchema);
+
+export default PointsJournalEntry;
@@ -113,6 +113,13 @@ const transactionSchema = new mongoose.Schema({
     index: true
   },
   
+  // Admin who made the change (admin adjustments)
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BaseUser',
+    default: null
+  },
+  
   // ==========================================
   // TRANSACTION DETAILS
   // ==========================================
@@ -294,6 +301,17 @@ const transactionSchema = new mongoose.Schema({
     netAmount: {
       type: Number,
       default: 0
+    },
+    
+    // Hosted checkout the buyer pays through (gateway payments only)
+    checkoutSessionId: {
+      type: String,
+      default: null
+    },
+    
+    checkoutExpiresAt: {
+      type: Date,
+      default: null
     }
   },
   
@@ -375,6 +393,12 @@ const transactionSchema = new mongoose.Schema({
     sessionId: {
       type: String,
       default: null
+    },
+    
+    // What the buyer receives once a gateway payment completes (e.g. plan and billing cycle)
+    purchase: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
     }
   },
   
@@ -421,6 +445,7 @@ transactionSchema.index({ pointsUsed: -1 });
 // Payment indexes
 transactionSchema.index({ 'payment.method': 1, status: 1 });
 transactionSchema.index({ 'payment.gatewayTransactionId': 1 });
+transactionSchema.index({ 'payment.checkoutSessionId': 1 }, { sparse: true });
 
 // ==========================================
 // VALIDATION MIDDLEWARE
@@ -646,30 +671,6 @@ transactionSchema.statics.findByUser = function(userId, options = {}) {
     .sort(sort);
 };
 
-/**
- * Calculate user points balance
- */
-transactionSchema.statics.calculatePointsBalance = function(userId) {
-  return this.aggregate([
-    { $match: { userId: new mongoose.Types.ObjectId(userId), status: 'completed' } },
-    {
-      $group: {
-        _id: null,
-        totalEarned: { $sum: '$pointsEarned' },
-        totalSpent: { $sum: '$pointsUsed' }
-      }
-    },
-    {
-      $project: {
-        _id: 0,
-        balance: { $subtract: ['$totalEarned', '$totalSpent'] },
-        totalEarned: 1,
-        totalSpent: 1
-      }
-    }
-  ]);
-};
-
 /**
  * Get user transaction statistics
  */
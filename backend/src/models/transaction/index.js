@@ -5,4 +5,6 @@
  */
 
 export { transactionSchema } from './Transaction.js';
-export { default as Transaction } from './Transaction.js';
\ No newline at end of file
+export { default as Transaction } from './Transaction.js';
+export { default as PaymentEvent } from './PaymentEvent.js';
+export { default as PointsJournalEntry } from './PointsJournalEntry.js';
@@ -6,6 +6,7 @@
 
 import mongoose from 'mongoose';
 import BaseUser, { baseUserSchema } from './BaseUser.js';
+import { ADMIN_ROLES } from '#constants/models/user/index.js';
 
 // ==========================================
 // ADMIN SCHEMA
@@ -16,7 +17,7 @@ const adminSchema = new baseUserSchema.constructor({
   adminInfo: {
     role: {
       type: String,
-      enum: ['super_admin', 'admin', 'moderator'],
+      enum: ADMIN_ROLES,
       default: 'admin',
       index: true
     },
@@ -135,6 +136,14 @@ adminSchema.methods.removePermission = function(permission) {
   return this.save();
 };
 
+/**
+ * Check if the two-factor policy covers this admin's role
+ * @param {string[]} requiredRoles - Roles that must use two-factor login
+ */
+adminSchema.methods.requiresTwoFactor = function(requiredRoles = []) {
+  return requiredRoles.includes(this.adminInfo.role);
+};
+
 /**
  * Record admin action
  */
@@ -38,6 +38,7 @@ const SCHEMA_OPTIONS = {
     transform: function(doc, ret) {
       // Remove sensitive fields from JSON output
       delete ret.password;
+      delete ret.security;
       delete ret.__v;
       
       // Transform _id to id for frontend consistency
@@ -54,6 +55,7 @@ const SCHEMA_OPTIONS = {
     transform: function(doc, ret) {
       // Remove sensitive fields from object output
       delete ret.password;
+      delete ret.security;
       delete ret.__v;
       
       return ret;
@@ -72,6 +74,84 @@ const USER_CONFIG = {
   LOCKOUT_DURATION: 15 * 60 * 1000 // 15 minutes
 };
 
+// ==========================================
+// SECURITY SUB-SCHEMAS
+// ==========================================
+
+/**
+ * TOTP two-factor settings. Secrets are encrypted (lib/totp secretBox) and
+ * recovery codes are stored as SHA-256 hashes.
+ */
+const twoFactorSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  secret: {
+    type: String,
+    default: null
+  },
+  // Secret shown during setup, moved to `secret` once a code confirms it
+  pendingSecret: {
+    type: String,
+    default: null
+  },
+  pendingCreatedAt: {
+    type: Date,
+    default: null
+  },
+  enabledAt: {
+    type: Date,
+    default: null
+  },
+  // Last accepted time step; a code cannot be used twice
+  lastUsedStep: {
+    type: Number,
+    default: 0
+  },
+  recoveryCodes: [{
+    _id: false,
+    codeHash: { type: String, required: true },
+    usedAt: { type: Date, default: null }
+  }]
+}, { _id: false });
+
+const securitySchema = new mongoose.Schema({
+  twoFactor: {
+    type: twoFactorSchema,
+    default: () => ({})
+  }
+}, { _id: false });
+
+/**
+ * Account at an OpenID Connect provider that signs in as this user
+ */
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // `sub` claim; stable per provider, unlike the email address
+  subject: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
 const baseUserSchema = new mongoose.Schema({
   
   // ==========================================
@@ -214,7 +294,7 @@ const baseUserSchema = new mongoose.Schema({
   },
 
   // ==========================================
-  // BASIC SECURITY (Login Attempts Only)
+  // SECURITY (Login Attempts & Two-Factor)
   // ==========================================
   loginAttempts: {
     type: Number,
@@ -225,11 +305,35 @@ const baseUserSchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  // Lockouts since the last successful sign-in; each one lasts longer
+  lockCount: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null,
+    select: false
+  },
   passwordChangedAt: {
     type: Date,
     default: Date.now,
     select: false
   },
+  security: {
+    type: securitySchema,
+    default: () => ({}),
+    select: false
+  },
+
+  // ==========================================
+  // LINKED IDENTITIES (Single Sign-On)
+  // ==========================================
+  identities: {
+    type: [identitySchema],
+    default: []
+  },
 
   // ==========================================
   // ACTIVITY TRACKING
@@ -293,6 +397,11 @@ baseUserSchema.index({ 'verification.isEmailVerified': 1, status: 1 });
 baseUserSchema.index({ lastActiveAt: -1 });
 baseUserSchema.index({ createdAt: -1 });
 baseUserSchema.index({ userType: 1, status: 1 });
+// A provider account signs in as one user only
+baseUserSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // ==========================================
 // VIRTUAL PROPERTIES
@@ -381,27 +490,53 @@ baseUserSchema.methods.comparePassword = async function(candidatePassword) {
 
 /**
  * Handle failed login attempts (USER MODEL RESPONSIBILITY)
+ * @param {Object} options - { maxAttempts, lockDurationMs, now }
+ * @returns {Promise<Object>} { loginAttempts, locked, lockUntil }
  */
-baseUserSchema.methods.handleFailedLogin = async function() {
+baseUserSchema.methods.handleFailedLogin = async function(options = {}) {
+  const {
+    maxAttempts = USER_CONFIG.MAX_LOGIN_ATTEMPTS,
+    lockDurationMs = USER_CONFIG.LOCKOUT_DURATION,
+    now = new Date()
+  } = options;
+
   // If lockout period has expired, reset attempts
-  if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
+  if (this.lockUntil && this.lockUntil < now) {
+    await this.updateOne({
       $unset: { lockUntil: 1 },
-      $set: { loginAttempts: 1 }
+      $set: { loginAttempts: 1, lastFailedLoginAt: now }
     });
+    return { loginAttempts: 1, locked: false, lockUntil: null };
   }
 
-  const updates = { $inc: { loginAttempts: 1 } };
+  // Count atomically so parallel guesses cannot slip past the limit
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { loginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true, projection: { loginAttempts: 1, lockUntil: 1 } }
+  );
+  const loginAttempts = updated?.loginAttempts ?? 1;
 
   // Lock account if max attempts exceeded
-  if (this.loginAttempts + 1 >= USER_CONFIG.MAX_LOGIN_ATTEMPTS) {
-    updates.$set = {
-      lockUntil: Date.now() + USER_CONFIG.LOCKOUT_DURATION
-    };
+  if (loginAttempts >= maxAttempts && !(updated?.lockUntil > now)) {
+    const lockUntil = new Date(now.getTime() + lockDurationMs);
+    await this.updateOne({ $set: { lockUntil }, $inc: { lockCount: 1 } });
+    return { loginAttempts, locked: true, lockUntil };
   }
 
-  return this.updateOne(updates);
+  return { loginAttempts, locked: false, lockUntil: updated?.lockUntil || null };
 };
+
+/**
+ * Lift a lockout and forget failed attempts (unlock link or admin)
+ */
+baseUserSchema.methods.unlockAccount = function() {
+  return this.updateOne({
+    $unset: { loginAttempts: 1, lockUntil: 1 },
+    $set: { lockCount: 0 }
+  });
+};
+
 /**
  * Handle successful login (USER MODEL RESPONSIBILITY)
  */
@@ -412,6 +547,7 @@ baseUserSchema.methods.handleSuccessfulLogin = function(loginInfo = {}) {
       lockUntil: 1
     },
     $set: {
+      lockCount: 0,
       lastLoginAt: new Date(),
       lastActiveAt: new Date()
     },
@@ -460,7 +596,7 @@ baseUserSchema.methods.updateProfile = function(profileData) {
 baseUserSchema.statics.findByEmail = function(email) {
   return this.findOne({ 
     email: email.toLowerCase().trim() 
-  }).select('+password +security');
+  }).select('+password +security +loginAttempts +lockUntil +lockCount');
 };
 
 /**
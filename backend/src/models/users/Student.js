@@ -108,6 +108,7 @@ const studentSchema = new baseUserSchema.constructor({
       max: 100
     },
     
+    // Cache of the points ledger; change it only through the ledger service
     totalPoints: {
       type: Number,
       default: 0,
@@ -305,8 +306,9 @@ studentSchema.methods.recordQuizGeneration = function() {
 
 /**
  * Record quiz completion - QuizAttempt Model compatibility
+ * Points for the quiz are awarded through the points ledger, not here.
  */
-studentSchema.methods.recordQuizCompletion = function(score, pointsEarned = 0, timeSpent = 0, subject = null) {
+studentSchema.methods.recordQuizCompletion = function(score, timeSpent = 0, subject = null) {
   const totalQuizzes = this.progress.quizzesCompleted;
   const currentAvg = this.progress.averageScore;
   
@@ -319,9 +321,6 @@ studentSchema.methods.recordQuizCompletion = function(score, pointsEarned = 0, t
     this.progress.bestScore = score;
   }
   
-  // Add points - Transaction Model compatibility
-  this.addPoints(pointsEarned);
-  
   // Update time tracking
   if (timeSpent > 0) {
     this.analytics.totalStudyTime += Math.round(timeSpent / 60); // Convert to minutes
@@ -340,52 +339,6 @@ studentSchema.methods.recordQuizCompletion = function(score, pointsEarned = 0, t
   return this.save();
 };
 
-/**
- * Add points - Transaction Model compatibility
- */
-studentSchema.methods.addPoints = function(points) {
-  if (points <= 0) return this;
-  this.progress.totalPoints += points;
-  
-  // Check for point-based achievements
-  this.checkPointsAchievements();
-  
-  return this;
-};
-
-/**
- * Deduct points from user's total points
- * @param {number} points - Points to deduct
- * @param {string} reason - Reason for deduction
- * @returns {Student} Updated student instance
- */
-studentSchema.methods.deductPoints = function(points, reason = 'Points deducted') {
-  if (points <= 0) {
-    throw new Error('Points to deduct must be greater than 0');
-  }
-  
-  if (this.progress.totalPoints < points) {
-    throw new Error('Insufficient points for deduction');
-  }
-  
-  // Deduct from total points
-  this.progress.totalPoints -= points;
-  
-  // Update last activity
-  this.analytics.lastActiveAt = new Date();
-  
-  return this;
-};
-
-/**
- * Check if user can afford a deduction
- * @param {number} points - Points to check
- * @returns {boolean} Whether user has enough points
- */
-studentSchema.methods.canAffordDeduction = function(points) {
-  return this.progress.totalPoints >= points;
-};
-
 /**
  * Get points transaction summary
  * @returns {Object} Points summary
@@ -399,50 +352,6 @@ studentSchema.methods.getPointsSummary = function() {
   };
 };
 
-/**
- * Batch points operation (add or deduct multiple)
- * @param {Array} operations - Array of {type: 'add'|'deduct', amount: number, reason: string}
- * @returns {Student} Updated student instance
- */
-studentSchema.methods.batchPointsOperation = function(operations) {
-  let totalChange = 0;
-  
-  for (const op of operations) {
-    if (op.type === 'add') {
-      totalChange += op.amount;
-    } else if (op.type === 'deduct') {
-      totalChange -= op.amount;
-    }
-  }
-  
-  // Check if final balance would be negative
-  if (this.progress.totalPoints + totalChange < 0) {
-    throw new Error('Batch operation would result in negative points balance');
-  }
-  
-  // Apply the change
-  this.progress.totalPoints += totalChange;
-  this.analytics.lastActiveAt = new Date();
-  
-  return this;
-};
-
-/**
- * Use points for purchases - Transaction Model compatibility
- */
-studentSchema.methods.usePoints = function(points) {
-  if (points <= 0) {
-    throw new Error('Points must be greater than 0');
-  }
-  
-  if (this.availablePoints < points) {
-    throw new Error('Insufficient points');
-  }
-  
-  this.progress.pointsUsed += points;
-  return this.save();
-};
-
 /**
  * Check if user can afford with points - Course Model compatibility
  */
@@ -11,7 +11,8 @@ import {
   requireSuperAdmin,
   requireUserManagement,
   requireUserDeletion,
-  requireAnalytics
+  requireAnalytics,
+  requireSystemManagement
 } from '#middleware/admin.middleware.js';
 
 // Import admin controllers
@@ -20,12 +21,18 @@ import {
   getAllUsersAdmin,
   getUserByIdAdmin,
   updateUserStatusAdmin,
+  unlockUserAdmin,
   deleteUserAdmin,
   getUserStatsAdmin,
   getSystemAnalyticsAdmin,
   createAdminUser,
   getAllAdmins,
-  updateAdminUser
+  updateAdminUser,
+  getTwoFactorPolicyAdmin,
+  updateTwoFactorPolicyAdmin,
+  getPointsReconciliationAdmin,
+  adjustUserPointsAdmin,
+  recordOpeningBalancesAdmin
 } from '#controllers/admin.controller.js';
 
 // Import course controllers
@@ -165,6 +172,13 @@ router.get('/users/:userId', validateObjectId('userId'), getUserByIdAdmin);
  */
 router.put('/users/:userId/status', requireUserManagement, validateObjectId('userId'), updateUserStatusAdmin);
 
+/**
+ * @route POST /api/admin/users/:userId/unlock
+ * @description Lift a sign-in lockout and reset the failure counters
+ * @access Private (Admin with users:update permission)
+ */
+router.post('/users/:userId/unlock', requireUserManagement, validateObjectId('userId'), unlockUserAdmin);
+
 /**
  * @route DELETE /api/admin/users/:userId
  * @description Delete user
@@ -190,4 +204,47 @@ router.get('/stats/users', requireAnalytics, getUserStatsAdmin);
  */
 router.get('/analytics', requireAnalytics, getSystemAnalyticsAdmin);
 
+// ==========================================
+// SECURITY POLICY ROUTES
+// ==========================================
+
+/**
+ * @route GET /api/admin/security/two-factor
+ * @description Get the admin roles that must use two-factor login
+ * @access Private (Admin with system:manage permission)
+ */
+router.get('/security/two-factor', requireSystemManagement, getTwoFactorPolicyAdmin);
+
+/**
+ * @route PUT /api/admin/security/two-factor
+ * @description Set the admin roles that must use two-factor login
+ * @access Private (Admin with system:manage permission)
+ */
+router.put('/security/two-factor', requireSystemManagement, updateTwoFactorPolicyAdmin);
+
+// ==========================================
+// POINTS LEDGER ROUTES
+// ==========================================
+
+/**
+ * @route POST /api/admin/users/:userId/points/adjustments
+ * @description Add or remove a student's points; recorded as an admin_adjustment transaction
+ * @access Private (Admin with users:update permission)
+ */
+router.post('/users/:userId/points/adjustments', requireUserManagement, validateObjectId('userId'), adjustUserPointsAdmin);
+
+/**
+ * @route GET /api/admin/points/reconciliation
+ * @description Compare students' points counters with the points ledger
+ * @access Private (Admin with system:manage permission)
+ */
+router.get('/points/reconciliation', requireSystemManagement, getPointsReconciliationAdmin);
+
+/**
+ * @route POST /api/admin/points/opening-balances
+ * @description Journal the balances students had before the ledger
+ * @access Private (Admin with system:manage permission)
+ */
+router.post('/points/opening-balances', requireSystemManagement, recordOpeningBalancesAdmin);
+
 export default router;
\ No newline at end of file
@@ -13,9 +13,21 @@ import {
   logout,
   refreshToken,
   verifyEmail,
+  resendVerificationEmail,
   forgotPassword,
   resetPassword,
-  changePassword
+  unlockAccount,
+  changePassword,
+  loginTwoFactor,
+  loginTwoFactorSetup,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getOidcProviders,
+  authorizeOidc,
+  oidcCallback
 } from '#controllers/index.js';
 
 const router = express.Router();
@@ -38,6 +50,41 @@ router.post('/register', register);
  */
 router.post('/login', login);
 
+/**
+ * @route POST /api/auth/login/2fa
+ * @description Finish a login with a two-factor code or recovery code
+ * @access Public (challenge token from /login)
+ */
+router.post('/login/2fa', loginTwoFactor);
+
+/**
+ * @route POST /api/auth/login/2fa/setup
+ * @description Set up the two-factor login required by the admin policy
+ * @access Public (challenge token from /login)
+ */
+router.post('/login/2fa/setup', loginTwoFactorSetup);
+
+/**
+ * @route GET /api/auth/oidc/providers
+ * @description List the configured single sign-on providers
+ * @access Public
+ */
+router.get('/oidc/providers', getOidcProviders);
+
+/**
+ * @route GET /api/auth/oidc/:provider/authorize
+ * @description Get the provider URL that starts a single sign-on login
+ * @access Public
+ */
+router.get('/oidc/:provider/authorize', authorizeOidc);
+
+/**
+ * @route POST /api/auth/oidc/callback
+ * @description Finish a single sign-on login with the provider's code and state
+ * @access Public
+ */
+router.post('/oidc/callback', oidcCallback);
+
 /**
  * @route POST /api/auth/refresh-token
  * @description Refresh access token using refresh token
@@ -66,6 +113,13 @@ router.post('/forgot-password', forgotPassword);
  */
 router.post('/reset-password/:token', resetPassword);
 
+/**
+ * @route POST /api/auth/unlock/:token
+ * @description Unlock a locked account with the emailed link
+ * @access Public
+ */
+router.post('/unlock/:token', unlockAccount);
+
 // ==========================================
 // PROTECTED ROUTES
 // ==========================================
@@ -77,6 +131,13 @@ router.post('/reset-password/:token', resetPassword);
  */
 router.post('/logout', authenticateJWT, logout);
 
+/**
+ * @route POST /api/auth/verify-email/resend
+ * @description Send a new verification email
+ * @access Private
+ */
+router.post('/verify-email/resend', authenticateJWT, resendVerificationEmail);
+
 /**
  * @route PUT /api/auth/change-password
  * @description Change user password
@@ -84,4 +145,43 @@ router.post('/logout', authenticateJWT, logout);
  */
 router.put('/change-password', authenticateJWT, changePassword);
 
+// ==========================================
+// TWO-FACTOR ROUTES
+// ==========================================
+
+/**
+ * @route GET /api/auth/2fa
+ * @description Get two-factor status
+ * @access Private
+ */
+router.get('/2fa', authenticateJWT, getTwoFactorStatus);
+
+/**
+ * @route POST /api/auth/2fa/setup
+ * @description Create a secret and QR code for an authenticator app
+ * @access Private
+ */
+router.post('/2fa/setup', authenticateJWT, setupTwoFactor);
+
+/**
+ * @route POST /api/auth/2fa/enable
+ * @description Confirm the setup with a code and turn two-factor on
+ * @access Private
+ */
+router.post('/2fa/enable', authenticateJWT, enableTwoFactor);
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @description Turn two-factor off
+ * @access Private
+ */
+router.post('/2fa/disable', authenticateJWT, disableTwoFactor);
+
+/**
+ * @route POST /api/auth/2fa/recovery-codes
+ * @description Replace the recovery codes
+ * @access Private
+ */
+router.post('/2fa/recovery-codes', authenticateJWT, regenerateRecoveryCodes);
+
 export default router;
\ No newline at end of file
@@ -8,17 +8,27 @@ import express from 'express';
 import { 
   upload, 
   uploadDocument, 
+  importDocumentFromUrl,
   getAllDocuments, 
   getDocumentById, 
   updateDocument, 
   deleteDocument, 
   getDocumentSummary, 
+  getSummaryEstimate,
+  getDocumentPage,
   processPendingDocument, 
+  streamDocumentEvents,
   getDocumentAnalytics,
   generateCustomAnalysis,
   getAIServiceStatus
 } from '#controllers/document.controller.js';
-import { validateObjectId } from '#middleware/index.js';
+import {
+  sendDocumentChatMessage,
+  listDocumentConversations,
+  getDocumentConversation,
+  deleteDocumentConversation
+} from '#controllers/documentChat.controller.js';
+import { validateObjectId, requireFeature, enforceQuota } from '#middleware/index.js';
 
 const router = express.Router();
 
@@ -29,16 +39,30 @@ const router = express.Router();
 /**
  * @route POST /api/documents
  * @description Upload a new document (with optional AI processing)
- * @body {file} file - PDF document file
+ * @body {file} file - Document file (PDF, DOCX, PPTX, EPUB, TXT, Markdown, HTML, PNG or JPEG)
  * @body {string} title - Document title (optional)
  * @body {string} description - Document description (optional)
  * @body {string} category - Document category (optional)
  * @body {string} difficulty - Document difficulty (optional)
  * @body {string} tags - Comma-separated tags (optional)
  * @body {boolean} processImmediately - Start AI processing immediately (optional)
- * @access Private
+ * @access Private (counts against the monthly document quota)
+ */
+router.post('/', requireFeature('pdf_upload'), enforceQuota('documents'), upload.single('file'), uploadDocument);
+
+/**
+ * @route POST /api/documents/import-url
+ * @description Fetch a web page and add its article text as a document
+ * @body {string} url - Page address (http or https; private networks are refused)
+ * @body {string} title - Document title (optional, defaults to the page title)
+ * @body {string} description - Document description (optional)
+ * @body {string} category - Document category (optional)
+ * @body {string} difficulty - Document difficulty (optional)
+ * @body {string} tags - Comma-separated tags (optional)
+ * @body {boolean} processImmediately - Start AI processing immediately (optional)
+ * @access Private (counts against the monthly document quota)
  */
-router.post('/', upload.single('file'), uploadDocument);
+router.post('/import-url', requireFeature('pdf_upload'), enforceQuota('documents'), importDocumentFromUrl);
 
 /**
  * @route GET /api/documents
@@ -93,21 +117,76 @@ router.delete('/:id', validateObjectId('id'), deleteDocument);
  */
 router.get('/:id/summary', getDocumentSummary);
 
+/**
+ * @route GET /api/documents/:id/summary/estimate
+ * @description Estimate the AI requests, tokens and cost of summarizing the document
+ * @access Private
+ */
+router.get('/:id/summary/estimate', validateObjectId('id'), getSummaryEstimate);
+
+/**
+ * @route GET /api/documents/:id/pages/:pageNumber
+ * @description Get the extracted text of one page with its outline section
+ * @access Private
+ */
+router.get('/:id/pages/:pageNumber', validateObjectId('id'), getDocumentPage);
+
 /**
  * @route POST /api/documents/:id/process
  * @description Manually trigger AI processing for a pending document
+ * @access Private (counts against the monthly quiz quota)
+ */
+router.post('/:id/process', requireFeature('quiz_generation'), enforceQuota('quizzes'), processPendingDocument);
+
+/**
+ * @route GET /api/documents/:id/events
+ * @description Stream processing progress as Server-Sent Events
  * @access Private
  */
-router.post('/:id/process', processPendingDocument);
+router.get('/:id/events', validateObjectId('id'), streamDocumentEvents);
 
 
 /**
  * @route POST /api/documents/:id/custom-analysis
  * @description Generate custom analysis of document using AI
  * @body {string} prompt - Custom prompt for analysis (required)
+ * @access Private (plans with custom_analysis)
+ */
+router.post('/:id/custom-analysis', requireFeature('custom_analysis'), generateCustomAnalysis);
+
+// ==========================================
+// DOCUMENT CHAT ROUTES
+// ==========================================
+
+/**
+ * @route POST /api/documents/:id/chat
+ * @description Ask a question about a document; answers cite the pages they come from
+ * @body {string} message - Question (required)
+ * @body {string} conversationId - Conversation to continue (optional; omitted starts a new one)
+ * @access Private (plans with custom_analysis)
+ */
+router.post('/:id/chat', validateObjectId('id'), requireFeature('custom_analysis'), sendDocumentChatMessage);
+
+/**
+ * @route GET /api/documents/:id/chat/conversations
+ * @description List conversations about a document, most recent first
+ * @access Private
+ */
+router.get('/:id/chat/conversations', validateObjectId('id'), listDocumentConversations);
+
+/**
+ * @route GET /api/documents/:id/chat/conversations/:conversationId
+ * @description Reopen a conversation with its messages
+ * @access Private
+ */
+router.get('/:id/chat/conversations/:conversationId', validateObjectId(['id', 'conversationId']), getDocumentConversation);
+
+/**
+ * @route DELETE /api/documents/:id/chat/conversations/:conversationId
+ * @description Delete a conversation
  * @access Private
  */
-router.post('/:id/custom-analysis', generateCustomAnalysis);
+router.delete('/:id/chat/conversations/:conversationId', validateObjectId(['id', 'conversationId']), deleteDocumentConversation);
 
 // ==========================================
 // ANALYTICS & STATUS ROUTES
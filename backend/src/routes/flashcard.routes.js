@@ -0,0 +1,85 @@
+/**
+ * Flashcard Routes
+ * @module routes/flashcard
+ * @description Flashcard generation, spaced-repetition review and deck stats
+ */
+
+import express from 'express';
+import {
+  generateFlashcards,
+  getFlashcards,
+  getDueFlashcards,
+  reviewFlashcard,
+  completeReviewSession,
+  getFlashcardStats
+} from '#controllers/index.js';
+import { validateObjectId } from '#middleware/index.js';
+
+const router = express.Router();
+
+// ==========================================
+// GENERATION
+// ==========================================
+
+/**
+ * @route POST /api/flashcards/generate
+ * @description Generate flashcards from a processed document
+ * @body {string} documentId - Document ID (required)
+ * @body {number} count - Number of cards (5-50) (default: 20)
+ * @access Private
+ */
+router.post('/generate', generateFlashcards);
+
+// ==========================================
+// REVIEW ROUTES
+// ==========================================
+
+/**
+ * @route GET /api/flashcards/due
+ * @description Get cards due for review today, most overdue first
+ * @query {string} documentId - Limit to one document (optional)
+ * @query {number} limit - Maximum cards (default: 50, max: 200)
+ * @access Private
+ */
+router.get('/due', getDueFlashcards);
+
+/**
+ * @route GET /api/flashcards/stats
+ * @description Get deck statistics
+ * @query {string} documentId - Limit to one document (optional)
+ * @access Private
+ */
+router.get('/stats', getFlashcardStats);
+
+/**
+ * @route POST /api/flashcards/sessions/complete
+ * @description Complete a review session and award points
+ * @body {string} startedAt - Session start (ISO date, required)
+ * @body {string} documentId - Limit to one document (optional)
+ * @access Private
+ */
+router.post('/sessions/complete', completeReviewSession);
+
+/**
+ * @route POST /api/flashcards/:id/review
+ * @description Grade a card and schedule its next review
+ * @body {string} grade - again, hard, good or easy (required)
+ * @access Private
+ */
+router.post('/:id/review', validateObjectId('id'), reviewFlashcard);
+
+// ==========================================
+// DECK ROUTES
+// ==========================================
+
+/**
+ * @route GET /api/flashcards
+ * @description List flashcards
+ * @query {string} documentId - Limit to one document (optional)
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 50, max: 100)
+ * @access Private
+ */
+router.get('/', getFlashcards);
+
+export default router;
@@ -8,10 +8,14 @@ import express from 'express';
 import authRoutes from './auth.routes.js';
 import documentRoutes from './document.routes.js';
 import quizRoutes from './quiz.routes.js';
+import flashcardRoutes from './flashcard.routes.js';
 import userRoutes from './user.routes.js';
 import courseRoutes from './course.routes.js';
 import transactionRoutes from './transaction.routes.js';
 import adminRoutes from './admin.routes.js';
+import subscriptionRoutes from './subscription.routes.js';
+import paymentRoutes from './payment.routes.js';
+import searchRoutes from './search.routes.js';
 import { authenticateJWT } from '#middleware/auth.middleware.js';
 import { setupSwaggerDocs } from '#docs/swagger/setup.js';
 
@@ -31,11 +35,17 @@ export const setupRoutes = (app) => {
   // Auth routes (public)
   app.use(`${apiPrefix}/auth`, authRoutes);
   
+  // Payment gateway webhooks (public, signed)
+  app.use(`${apiPrefix}/payments`, paymentRoutes);
+  
   // Protected routes
   app.use(`${apiPrefix}/documents`, authenticateJWT, documentRoutes);
   app.use(`${apiPrefix}/quizzes`, authenticateJWT, quizRoutes);
+  app.use(`${apiPrefix}/flashcards`, authenticateJWT, flashcardRoutes);
+  app.use(`${apiPrefix}/search`, authenticateJWT, searchRoutes);
   app.use(`${apiPrefix}/users`, authenticateJWT, userRoutes);
   app.use(`${apiPrefix}/courses`, courseRoutes);
+  app.use(`${apiPrefix}/subscriptions`, subscriptionRoutes);
   app.use(`${apiPrefix}/transactions`, authenticateJWT, transactionRoutes);
   app.use(`${apiPrefix}/admin`, authenticateJWT, adminRoutes);
   
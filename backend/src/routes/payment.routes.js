@@ -0,0 +1,24 @@
+/**
+ * Payment Routes
+ * @module routes/payment
+ * @description Payment gateway callbacks
+ */
+
+import express from 'express';
+import { receiveWebhook } from '#controllers/payment.controller.js';
+
+const router = express.Router();
+
+// ==========================================
+// PUBLIC ROUTES
+// ==========================================
+
+/**
+ * @route POST /api/payments/webhook
+ * @description Checkout events from the payment gateway, verified by signature
+ * @header {string} Stripe-Signature - t=<timestamp>,v1=<HMAC-SHA256 of "<timestamp>.<body>">
+ * @access Public
+ */
+router.post('/webhook', receiveWebhook);
+
+export default router;
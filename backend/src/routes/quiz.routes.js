@@ -7,6 +7,7 @@
 import express from 'express';
 import {
   generateQuiz,
+  generateReviewQuiz,
   getAllQuizzes,
   getQuizById,
   getAllQuizzesForDocument,
@@ -14,12 +15,13 @@ import {
   selectQuizForDocument,
   startQuizAttempt,
   submitQuizAnswer,
+  getNextQuizQuestion,
   completeQuizAttempt,
   getQuizAttemptResults,
   getUserQuizStats,
   getQuizAttemptHistory
 } from '#controllers/index.js';
-import { validateObjectId } from '#middleware/index.js';
+import { validateObjectId, requireFeature, enforceQuota } from '#middleware/index.js';
 
 const router = express.Router();
 
@@ -31,7 +33,7 @@ const router = express.Router();
  * @route GET /api/quizzes/document/:documentId
  * @description Get all generated quizzes for a specific document
  * @query {string} difficulty - Filter by difficulty (easy, medium, hard)
- * @query {string} questionType - Filter by question type (true_false, multiple_choice, fill_blank)
+ * @query {string} questionType - Filter by question type (true_false, multiple_choice, fill_in_blank, short_answer)
  * @query {boolean} excludeUsed - Exclude already attempted quizzes (default: false)
  * @query {number} limit - Number of quizzes to return (default: 20)
  * @access Private
@@ -64,11 +66,21 @@ router.post('/document/:documentId/select', validateObjectId('documentId'), sele
  * @body {string} documentId - Document ID to generate quiz from (required)
  * @body {number} questionCount - Number of questions (1-20) (default: 10)
  * @body {string} difficulty - Quiz difficulty (easy, medium, hard) (default: medium)
- * @body {string} questionType - Question type (true_false, multiple_choice, fill_blank)
+ * @body {string} questionType - Question type (true_false, multiple_choice, fill_in_blank, short_answer)
  * @body {string} title - Custom quiz title (optional)
- * @access Private
+ * @access Private (counts against the monthly quiz quota)
+ */
+router.post('/generate', requireFeature('quiz_generation'), enforceQuota('quizzes'), generateQuiz);
+
+/**
+ * @route POST /api/quizzes/review/generate
+ * @description Generate a personalised review quiz from the user's past mistakes and similar questions
+ * @body {number} questionCount - Number of questions (1-20) (default: 10)
+ * @body {string} documentId - Only review mistakes from this document (optional)
+ * @body {string} title - Custom quiz title (optional)
+ * @access Private (counts against the monthly quiz quota)
  */
-router.post('/generate', generateQuiz);
+router.post('/review/generate', requireFeature('quiz_generation'), enforceQuota('quizzes'), generateReviewQuiz);
 
 /**
  * @route GET /api/quizzes
@@ -99,6 +111,8 @@ router.get('/:id', validateObjectId('id'), getQuizById);
 /**
  * @route POST /api/quizzes/:id/attempt
  * @description Start a new quiz attempt
+ * @body {string} mode - standard or adaptive (default: standard)
+ * @body {number} questionCount - Questions in an adaptive attempt (5-30) (default: 15)
  * @access Private
  */
 router.post('/:id/attempt', validateObjectId('id'), startQuizAttempt);
@@ -113,6 +127,13 @@ router.post('/:id/attempt', validateObjectId('id'), startQuizAttempt);
  */
 router.put('/:id/attempt/:attemptId', validateObjectId(['id', 'attemptId']), submitQuizAnswer);
 
+/**
+ * @route GET /api/quizzes/:id/attempt/:attemptId/next
+ * @description Get the question to answer next in an adaptive attempt
+ * @access Private
+ */
+router.get('/:id/attempt/:attemptId/next', validateObjectId(['id', 'attemptId']), getNextQuizQuestion);
+
 /**
  * @route POST /api/quizzes/:id/attempt/:attemptId/complete
  * @description Complete a quiz attempt
@@ -0,0 +1,26 @@
+/**
+ * Search Routes
+ * @module routes/search
+ * @description Semantic search across a user's library
+ */
+
+import express from 'express';
+import { searchLibrary } from '#controllers/index.js';
+
+const router = express.Router();
+
+// ==========================================
+// LIBRARY SEARCH
+// ==========================================
+
+/**
+ * @route GET /api/search
+ * @description Rank documents, summaries, key points and quiz questions by meaning
+ * @query {string} q - Search query (required, 2-200 characters)
+ * @query {string} types - Comma-separated: document, summary, key_point, quiz_question (default: all)
+ * @query {number} limit - Results to return (1-50) (default: 20)
+ * @access Private
+ */
+router.get('/', searchLibrary);
+
+export default router;
@@ -0,0 +1,82 @@
+/**
+ * Subscription Routes
+ * @module routes/subscription
+ * @description Plans, current subscription, usage and plan changes
+ */
+
+import express from 'express';
+import { authenticateJWT } from '#middleware/auth.middleware.js';
+import {
+  getPlans,
+  getCurrentSubscription,
+  getUsage,
+  upgrade,
+  downgrade,
+  cancel,
+  resume
+} from '#controllers/subscription.controller.js';
+
+const router = express.Router();
+
+// ==========================================
+// PUBLIC ROUTES
+// ==========================================
+
+/**
+ * @route GET /api/subscriptions/plans
+ * @description List plans with their limits, features and prices
+ * @access Public
+ */
+router.get('/plans', getPlans);
+
+// ==========================================
+// PROTECTED ROUTES
+// ==========================================
+
+/**
+ * @route GET /api/subscriptions/current
+ * @description Get the current plan, its limits, usage and pending changes
+ * @access Private
+ */
+router.get('/current', authenticateJWT, getCurrentSubscription);
+
+/**
+ * @route GET /api/subscriptions/usage
+ * @description Get usage of the monthly quotas
+ * @access Private
+ */
+router.get('/usage', authenticateJWT, getUsage);
+
+/**
+ * @route POST /api/subscriptions/upgrade
+ * @description Start the checkout for a higher plan; the plan changes once it is paid
+ * @body {string} planType - basic, premium, pro or enterprise (required)
+ * @body {string} billingCycle - monthly or yearly (optional, keeps the current cycle)
+ * @access Private
+ */
+router.post('/upgrade', authenticateJWT, upgrade);
+
+/**
+ * @route POST /api/subscriptions/downgrade
+ * @description Move to a lower plan at the end of the current period
+ * @body {string} planType - Lower plan (required)
+ * @access Private
+ */
+router.post('/downgrade', authenticateJWT, downgrade);
+
+/**
+ * @route POST /api/subscriptions/cancel
+ * @description Cancel the paid plan at the end of the current period
+ * @body {string} reason - Cancellation reason (optional)
+ * @access Private
+ */
+router.post('/cancel', authenticateJWT, cancel);
+
+/**
+ * @route POST /api/subscriptions/resume
+ * @description Undo a pending cancellation or downgrade
+ * @access Private
+ */
+router.post('/resume', authenticateJWT, resume);
+
+export default router;
@@ -17,13 +17,22 @@ import {
   getUserQuizStats,
   updateUserAvatar,
   updateAcademicInfo,
-  manageFocusTimer,
-  addUserPoints,
-  deductUserPoints,
+  getUserSessions,
+  revokeUserSession,
+  revokeOtherUserSessions,
   transferUserPoints,
-  batchUserPointsOperations,
-  getDetailedPointsSummary
+  getDetailedPointsSummary,
+  startFocusSession,
+  getActiveFocusSession,
+  recordFocusHeartbeat,
+  pauseFocusSession,
+  resumeFocusSession,
+  completeFocusSession,
+  cancelFocusSession,
+  getFocusSessionHistory,
+  getFocusSessionStats
 } from '#controllers/index.js';
+import { validateObjectId } from '#middleware/validation.middleware.js';
 
 const router = express.Router();
 
@@ -66,6 +75,31 @@ router.put('/me/preferences', updateUserPreferences);
  */
 router.put('/me/academic', updateAcademicInfo);
 
+// ==========================================
+// SESSION & DEVICE ROUTES
+// ==========================================
+
+/**
+ * @route GET /api/users/me/sessions
+ * @description List devices signed in to the account
+ * @access Private
+ */
+router.get('/me/sessions', getUserSessions);
+
+/**
+ * @route DELETE /api/users/me/sessions
+ * @description Sign out every device except the current one
+ * @access Private
+ */
+router.delete('/me/sessions', revokeOtherUserSessions);
+
+/**
+ * @route DELETE /api/users/me/sessions/:sessionId
+ * @description Sign out one device
+ * @access Private
+ */
+router.delete('/me/sessions/:sessionId', revokeUserSession);
+
 // ==========================================
 // USER STATS & ANALYTICS ROUTES
 // ==========================================
@@ -117,42 +151,77 @@ router.get('/me/points/history', getUserPointsHistory);
 router.get('/me/points/summary', getDetailedPointsSummary);
 
 /**
- * @route POST /api/users/me/points/add
- * @description Add points to current user
+ * @route POST /api/users/me/points/transfer
+ * @description Transfer points to another user
  * @access Private
  */
-router.post('/me/points/add', addUserPoints);
+router.post('/me/points/transfer', transferUserPoints);
+
+// ==========================================
+// FOCUS SESSION ROUTES
+// ==========================================
 
 /**
- * @route POST /api/users/me/points/deduct
- * @description Deduct points from current user
+ * @route POST /api/users/me/focus-sessions
+ * @description Start a server-timed focus session
  * @access Private
  */
-router.post('/me/points/deduct', deductUserPoints);
+router.post('/me/focus-sessions', startFocusSession);
 
 /**
- * @route POST /api/users/me/points/transfer
- * @description Transfer points to another user
+ * @route GET /api/users/me/focus-sessions
+ * @description List past focus sessions
  * @access Private
  */
-router.post('/me/points/transfer', transferUserPoints);
+router.get('/me/focus-sessions', getFocusSessionHistory);
 
 /**
- * @route POST /api/users/me/points/batch
- * @description Perform batch points operations
+ * @route GET /api/users/me/focus-sessions/active
+ * @description Get the open focus session, if any
  * @access Private
  */
-router.post('/me/points/batch', batchUserPointsOperations);
+router.get('/me/focus-sessions/active', getActiveFocusSession);
 
-// ==========================================
-// FOCUS TIMER ROUTES
-// ==========================================
+/**
+ * @route GET /api/users/me/focus-sessions/stats
+ * @description Get focus statistics
+ * @access Private
+ */
+router.get('/me/focus-sessions/stats', getFocusSessionStats);
+
+/**
+ * @route POST /api/users/me/focus-sessions/:sessionId/heartbeat
+ * @description Keep an active focus session counting
+ * @access Private
+ */
+router.post('/me/focus-sessions/:sessionId/heartbeat', validateObjectId('sessionId'), recordFocusHeartbeat);
+
+/**
+ * @route POST /api/users/me/focus-sessions/:sessionId/pause
+ * @description Pause an active focus session
+ * @access Private
+ */
+router.post('/me/focus-sessions/:sessionId/pause', validateObjectId('sessionId'), pauseFocusSession);
+
+/**
+ * @route POST /api/users/me/focus-sessions/:sessionId/resume
+ * @description Resume a paused focus session
+ * @access Private
+ */
+router.post('/me/focus-sessions/:sessionId/resume', validateObjectId('sessionId'), resumeFocusSession);
+
+/**
+ * @route POST /api/users/me/focus-sessions/:sessionId/complete
+ * @description Complete a focus session and credit its focused time
+ * @access Private
+ */
+router.post('/me/focus-sessions/:sessionId/complete', validateObjectId('sessionId'), completeFocusSession);
 
 /**
- * @route POST /api/users/me/focus-timer
- * @description Manage focus timer sessions
+ * @route POST /api/users/me/focus-sessions/:sessionId/cancel
+ * @description Cancel a focus session without credit
  * @access Private
  */
-router.post('/me/focus-timer', manageFocusTimer);
+router.post('/me/focus-sessions/:sessionId/cancel', validateObjectId('sessionId'), cancelFocusSession);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,411 @@
+/**
+ * Adaptive Quiz Service
+ * @module services/adaptiveQuiz
+ * @description Adaptive attempts: questions are served one at a time from the
+ * document's whole question pool, at the difficulty closest to the running
+ * ability estimate, and the result reports mastery per topic area
+ */
+
+import Quiz from '#models/quiz/Quiz.js';
+import QuizAttempt from '#models/quiz/QuizAttempt.js';
+import { HttpError } from '#exceptions/index.js';
+import {
+  ADAPTIVE_QUIZ,
+  ADAPTIVE_QUIZ_VALIDATION,
+  MISTAKE_REVIEW_GENERATION_TYPE,
+  isStorableQuestion,
+  normalizeQuestionType
+} from '#constants/models/quiz/index.js';
+import quizAttemptService from '#services/quizAttempt.service.js';
+import { buildQuestionKey, snapshotQuestion } from '#services/mistakeBank.service.js';
+
+const UNKNOWN_TOPIC = 'general_knowledge';
+
+// ==========================================
+// ABILITY ESTIMATION (IRT-LITE)
+// ==========================================
+
+/**
+ * Map a stored difficulty to a scored one; 'mixed' and unknown count as medium
+ */
+export const normalizeDifficulty = (difficulty) => {
+  return ADAPTIVE_QUIZ.DIFFICULTY_SCALE[difficulty] !== undefined ? difficulty : 'medium';
+};
+
+/**
+ * Chance of a correct answer at an ability for a question difficulty
+ */
+export const probabilityCorrect = (ability, difficulty) => {
+  const itemDifficulty = ADAPTIVE_QUIZ.DIFFICULTY_SCALE[normalizeDifficulty(difficulty)];
+  return 1 / (1 + Math.exp(-(ability - itemDifficulty)));
+};
+
+/**
+ * Move an ability estimate towards an answer's outcome
+ * @param {number} ability - Current estimate
+ * @param {string} difficulty - Difficulty of the answered question
+ * @param {boolean} isCorrect - Outcome
+ * @param {number} answeredBefore - Answers already counted in the estimate
+ * @returns {number} New estimate
+ */
+export const updateAbility = (ability, difficulty, isCorrect, answeredBefore = 0) => {
+  const step = Math.max(
+    ADAPTIVE_QUIZ.LEARNING_RATE / Math.sqrt(answeredBefore + 1),
+    ADAPTIVE_QUIZ.MIN_LEARNING_RATE
+  );
+  const expected = probabilityCorrect(ability, difficulty);
+
+  return Math.round((ability + step * ((isCorrect ? 1 : 0) - expected)) * 1000) / 1000;
+};
+
+/**
+ * Mastery level for an ability estimate
+ */
+export const getMasteryLevel = (estimate) => {
+  const { developing, proficient, mastered } = ADAPTIVE_QUIZ.MASTERY_THRESHOLDS;
+
+  if (estimate >= mastered) return 'mastered';
+  if (estimate >= proficient) return 'proficient';
+  if (estimate >= developing) return 'developing';
+  return 'novice';
+};
+
+/**
+ * Replay answered questions per topic area to estimate mastery of each
+ * @param {Array} outcomes - [{ topicArea, difficulty, isCorrect }] in answer order
+ * @returns {Array} [{ topicArea, estimate, level, answered, correct }], weakest first
+ */
+export const estimateTopicMastery = (outcomes) => {
+  const topics = {};
+
+  outcomes.forEach(({ topicArea, difficulty, isCorrect }) => {
+    const key = topicArea || UNKNOWN_TOPIC;
+    const topic = topics[key] || (topics[key] = {
+      topicArea: key,
+      estimate: ADAPTIVE_QUIZ.INITIAL_ABILITY,
+      answered: 0,
+      correct: 0
+    });
+
+    topic.estimate = updateAbility(topic.estimate, difficulty, isCorrect, topic.answered);
+    topic.answered++;
+    if (isCorrect) topic.correct++;
+  });
+
+  return Object.values(topics)
+    .map(topic => ({ ...topic, level: getMasteryLevel(topic.estimate) }))
+    .sort((a, b) => a.estimate - b.estimate);
+};
+
+/**
+ * Pick the next question: difficulty closest to the ability estimate, then
+ * the topic area asked least so far, then at random
+ * @param {Array} pool - Candidates from buildQuestionPool
+ * @param {Object} state - { ability, servedKeys: Set, topicCounts: Object }
+ * @returns {Object|null} Pool entry, or null when the pool is used up
+ */
+export const selectNextQuestion = (pool, state) => {
+  const candidates = pool
+    .filter(entry => !state.servedKeys.has(entry.questionKey))
+    .map(entry => ({
+      entry,
+      distance: Math.abs(ADAPTIVE_QUIZ.DIFFICULTY_SCALE[entry.difficulty] - state.ability),
+      topicCount: state.topicCounts[entry.topicArea] || 0,
+      tieBreak: Math.random()
+    }))
+    .sort((a, b) => a.distance - b.distance || a.topicCount - b.topicCount || a.tieBreak - b.tieBreak);
+
+  return candidates.length > 0 ? candidates[0].entry : null;
+};
+
+// ==========================================
+// QUESTION POOL
+// ==========================================
+
+/**
+ * Every answerable question of the document's quizzes, once per question text
+ * @param {Object} quiz - Quiz the attempt was started from
+ * @returns {Promise<Array>} Pool entries
+ */
+const buildQuestionPool = async (quiz) => {
+  const quizzes = await Quiz.find({
+    userId: quiz.userId,
+    documentId: quiz.documentId,
+    status: 'active',
+    deletedAt: null,
+    'aiMetadata.generationType': { $ne: MISTAKE_REVIEW_GENERATION_TYPE }
+  })
+    .sort({ createdAt: -1 })
+    .limit(ADAPTIVE_QUIZ.SOURCE_QUIZ_LIMIT)
+    .lean();
+
+  const pool = new Map();
+
+  quizzes.forEach((sourceQuiz) => {
+    (sourceQuiz.questions || []).forEach((question, index) => {
+      if (!isStorableQuestion(question, sourceQuiz.aiMetadata?.questionType)) return;
+
+      const questionKey = buildQuestionKey(sourceQuiz.documentId, question);
+      if (pool.has(questionKey)) return;
+
+      pool.set(questionKey, {
+        questionKey,
+        sourceQuizId: sourceQuiz._id,
+        sourceQuestionId: question.id || index + 1,
+        difficulty: normalizeDifficulty(question.difficulty || sourceQuiz.difficulty),
+        skillCategory: question.skillCategory,
+        topicArea: question.topicArea,
+        question: snapshotQuestion(question, sourceQuiz)
+      });
+    });
+  });
+
+  return [...pool.values()];
+};
+
+/**
+ * Question as sent to the client, without answers
+ */
+export const toClientQuestion = (served) => {
+  if (!served) return null;
+
+  return {
+    id: served.questionId,
+    question: served.question.question,
+    options: served.question.options,
+    type: normalizeQuestionType(served.question.type),
+    points: served.question.points || 1,
+    difficulty: served.difficulty,
+    topicArea: served.topicArea
+  };
+};
+
+/**
+ * Serve the next question of an adaptive attempt (not saved)
+ * @returns {Promise<Object|null>} Served question, or null when the pool is used up
+ */
+const serveNextQuestion = async (attempt, quiz, pool = null) => {
+  const questionPool = pool || await buildQuestionPool(quiz);
+  const { servedQuestions, ability } = attempt.adaptive;
+
+  const topicCounts = {};
+  servedQuestions.forEach((served) => {
+    topicCounts[served.topicArea] = (topicCounts[served.topicArea] || 0) + 1;
+  });
+
+  const next = selectNextQuestion(questionPool, {
+    ability,
+    servedKeys: new Set(servedQuestions.map(served => served.questionKey)),
+    topicCounts
+  });
+
+  if (!next) return null;
+
+  servedQuestions.push({
+    ...next,
+    questionId: servedQuestions.length + 1,
+    servedAt: new Date()
+  });
+
+  return servedQuestions[servedQuestions.length - 1];
+};
+
+// ==========================================
+// ADAPTIVE ATTEMPTS
+// ==========================================
+
+/**
+ * Start an adaptive attempt and serve its first question
+ * @param {Object} quiz - Quiz the attempt is started from
+ * @param {string} userId - User ID
+ * @param {Object} options - { questionCount, metadata }
+ * @returns {Promise<Object>} { attempt, nextQuestion }
+ */
+export const startAdaptiveAttempt = async (quiz, userId, options = {}) => {
+  try {
+    const {
+      questionCount = ADAPTIVE_QUIZ_VALIDATION.QUESTION_COUNT.DEFAULT,
+      metadata = {}
+    } = options;
+
+    const count = parseInt(questionCount);
+    const { MIN, MAX, ERROR_MESSAGE } = ADAPTIVE_QUIZ_VALIDATION.QUESTION_COUNT;
+
+    if (!Number.isInteger(count) || count < MIN || count > MAX) {
+      throw HttpError.badRequest(ERROR_MESSAGE, {
+        code: 'INVALID_QUESTION_COUNT',
+        context: { questionCount }
+      });
+    }
+
+    const pool = await buildQuestionPool(quiz);
+    if (pool.length === 0) {
+      throw HttpError.badRequest('This document has no questions for an adaptive attempt', {
+        code: 'EMPTY_QUESTION_POOL',
+        context: { documentId: quiz.documentId }
+      });
+    }
+
+    console.log(`🎚️ Starting adaptive attempt: ${Math.min(count, pool.length)} of ${pool.length} pool questions`);
+
+    const attempt = new QuizAttempt({
+      userId,
+      quizId: quiz._id,
+      mode: 'adaptive',
+      status: 'in_progress',
+      startedAt: new Date(),
+      answers: [],
+      adaptive: {
+        questionLimit: Math.min(count, pool.length),
+        ability: ADAPTIVE_QUIZ.INITIAL_ABILITY
+      },
+      metadata
+    });
+
+    const firstQuestion = await serveNextQuestion(attempt, quiz, pool);
+    await attempt.save();
+
+    return {
+      success: true,
+      attempt,
+      nextQuestion: toClientQuestion(firstQuestion)
+    };
+
+  } catch (error) {
+    console.error('❌ Start adaptive attempt service error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to start adaptive attempt: ${error.message}`);
+  }
+};
+
+/**
+ * Question waiting for an answer, serving a new one if none is pending
+ * @param {Object} attempt - In-progress adaptive attempt
+ * @param {Object} quiz - Quiz the attempt was started from
+ * @returns {Promise<Object>} { nextQuestion, answeredQuestions, totalQuestions }
+ */
+export const getNextAdaptiveQuestion = async (attempt, quiz) => {
+  try {
+    let next = attempt.pendingQuestion;
+
+    if (!next && attempt.answers.length < attempt.adaptive.questionLimit) {
+      next = await serveNextQuestion(attempt, quiz);
+      if (next) await attempt.save();
+    }
+
+    return {
+      success: true,
+      nextQuestion: toClientQuestion(next),
+      answeredQuestions: attempt.answers.length,
+      totalQuestions: attempt.adaptive.questionLimit
+    };
+
+  } catch (error) {
+    console.error('❌ Get next adaptive question service error:', error);
+    throw HttpError.internalServerError(`Failed to get next question: ${error.message}`);
+  }
+};
+
+/**
+ * Grade the pending question, update ability and mastery, and serve the
+ * next question
+ * @param {Object} attempt - In-progress adaptive attempt
+ * @param {Object} quiz - Quiz the attempt was started from
+ * @param {Object} answerData - { questionId, answer, timeSpent }
+ * @returns {Promise<Object>} Grading, served question, mastery and the next question
+ */
+export const submitAdaptiveAnswer = async (attempt, quiz, answerData) => {
+  try {
+    const { questionId, answer, timeSpent = 0 } = answerData;
+    const pending = attempt.pendingQuestion;
+
+    if (!pending) {
+      throw HttpError.badRequest('No question is waiting for an answer', {
+        code: 'NO_PENDING_QUESTION'
+      });
+    }
+
+    if (String(pending.questionId) !== String(questionId)) {
+      throw HttpError.badRequest('Adaptive attempts must answer the current question', {
+        code: 'QUESTION_NOT_CURRENT',
+        context: { currentQuestionId: pending.questionId }
+      });
+    }
+
+    // Grade against the source quiz, so rubrics and cached grades are shared
+    const sourceQuiz = await Quiz.findById(pending.sourceQuizId);
+    const sourceQuestion = sourceQuiz?.questions.find((q, index) =>
+      String(q.id || index + 1) === String(pending.sourceQuestionId)
+    );
+
+    if (!sourceQuestion) {
+      throw HttpError.notFound('Question source quiz not found', {
+        code: 'SOURCE_QUESTION_NOT_FOUND',
+        context: { sourceQuizId: pending.sourceQuizId }
+      });
+    }
+
+    const { isCorrect, pointsEarned, grading } = await quizAttemptService.gradeQuizAnswer(
+      sourceQuiz, sourceQuestion, pending.sourceQuestionId, answer
+    );
+
+    const answeredBefore = attempt.answers.length;
+    pending.answeredAt = new Date();
+
+    attempt.answers.push({
+      questionId: pending.questionId,
+      userAnswer: answer,
+      isCorrect,
+      pointsEarned,
+      timeSpent: parseInt(timeSpent) || 0,
+      grading
+    });
+
+    attempt.adaptive.ability = updateAbility(attempt.adaptive.ability, pending.difficulty, isCorrect, answeredBefore);
+    attempt.adaptive.mastery = estimateTopicMastery(
+      attempt.answers.map((entry) => {
+        const served = attempt.adaptive.servedQuestions.find(s => s.questionId === entry.questionId);
+        return { topicArea: served?.topicArea, difficulty: served?.difficulty, isCorrect: entry.isCorrect };
+      })
+    );
+
+    attempt.score = attempt.calculateScore();
+    attempt.pointsEarned = attempt.answers.reduce((sum, entry) => sum + (entry.pointsEarned || 0), 0);
+    attempt.lastAnsweredAt = new Date();
+
+    let next = null;
+    if (attempt.answers.length < attempt.adaptive.questionLimit) {
+      next = await serveNextQuestion(attempt, quiz);
+
+      // Pool used up early: the attempt ends with what was answered
+      if (!next) attempt.adaptive.questionLimit = attempt.answers.length;
+    }
+
+    await attempt.save();
+
+    console.log(`🎚️ Adaptive answer: ${isCorrect ? 'correct' : 'wrong'} at ${pending.difficulty}, ability ${attempt.adaptive.ability}`);
+
+    return {
+      success: true,
+      isCorrect,
+      pointsEarned,
+      grading,
+      question: pending,
+      ability: attempt.adaptive.ability,
+      mastery: attempt.adaptive.mastery,
+      nextQuestion: toClientQuestion(next),
+      answeredQuestions: attempt.answers.length,
+      totalQuestions: attempt.adaptive.questionLimit,
+      isQuizComplete: !next
+    };
+
+  } catch (error) {
+    console.error('❌ Submit adaptive answer service error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to submit adaptive answer: ${error.message}`);
+  }
+};
+
+export default {
+  startAdaptiveAttempt,
+  getNextAdaptiveQuestion,
+  submitAdaptiveAnswer
+};
@@ -7,8 +7,29 @@
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { Student, BaseUser } from '#models/users/index.js';
-import { AuthSession } from '#models/auth/index.js';
+import { AuthSession, AuthToken } from '#models/auth/index.js';
 import { HttpError } from '#exceptions/index.js';
+import { USER_VALIDATION_RULES } from '#constants/models/user/index.js';
+import { ONE_TIME_TOKEN_CONFIG, TWO_FACTOR_CONFIG } from '#constants/models/auth/index.js';
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} from '#services/mail.service.js';
+import { lookupIpLocation } from '#services/session.service.js';
+import {
+  assertLoginAllowed,
+  assertAccountNotLocked,
+  recordLoginFailure,
+  recordLoginSuccess,
+  assessNewSession
+} from '#services/loginProtection.service.js';
+import {
+  verifySecondFactor,
+  isTwoFactorRequired,
+  startTwoFactorSetup,
+  enableTwoFactor
+} from '#services/twoFactor.service.js';
 
 // JWT configuration from env
 const JWT_SECRET = process.env.JWT_SECRET || 'studion-dev-super-secret-jwt-key-change-in-production';
@@ -51,6 +72,18 @@ export const registerUser = async (userData, metadata = {}) => {
   // Save to database
   const savedUser = await newUser.save();
 
+  // Send the verification link; a mail failure must not fail the signup,
+  // the user can ask for a new link later
+  try {
+    const { token } = await AuthToken.issue(savedUser._id, 'verification', {
+      email: savedUser.email,
+      ip: metadata.ip
+    });
+    await sendVerificationEmail(savedUser, token);
+  } catch (error) {
+    console.error('⚠️ Verification email not sent:', error.message);
+  }
+
   // Return user without sensitive data
   return {
     id: savedUser._id,
@@ -66,17 +99,25 @@ export const registerUser = async (userData, metadata = {}) => {
 };
 
 /**
- * Authenticate user and create session
+ * Authenticate user and create session. Users with two-factor enabled (or
+ * required by the admin policy) get a challenge instead of tokens, and the
+ * session is created by completeTwoFactorLogin.
  * @param {Object} credentials - Login credentials
  * @param {String} ip - Client IP address
  * @param {String} userAgent - Client user agent
- * @returns {Promise<Object>} Tokens and user info
+ * @returns {Promise<Object>} Tokens and user info, or
+ * { twoFactorRequired, setupRequired, challengeToken, expiresIn }
  */
 export const loginUser = async (credentials, ip, userAgent) => {
+  // Progressive delay per email and block per IP, before any password check
+  await assertLoginAllowed({ email: credentials.email, ip });
+  
   // Find user by email with password field (normally excluded)
   const user = await BaseUser.findByEmail(credentials.email);
   
   if (!user) {
+    // Unknown emails count too, so guessing looks the same either way
+    await recordLoginFailure({ email: credentials.email, ip });
     throw HttpError.unauthorized('Invalid email or password');
   }
   
@@ -86,30 +127,143 @@ export const loginUser = async (credentials, ip, userAgent) => {
   }
   
   // Check if account is locked
-  if (user.isLocked) {
-    throw HttpError.forbidden('Account is temporarily locked. Try again later');
-  }
+  assertAccountNotLocked(user);
   
   // Compare passwords
   const isPasswordValid = await user.comparePassword(credentials.password);
   
   if (!isPasswordValid) {
-    // Increment login attempts
-    await user.handleFailedLogin();
+    // Count the failure; locks the account at the limit
+    await recordLoginFailure({ email: user.email, ip, user });
     throw HttpError.unauthorized('Invalid email or password');
   }
   
+  return signInUser(user, ip, userAgent);
+};
+
+/**
+ * Issue the session for a user whose first factor was accepted (password or
+ * single sign-on). Users with two-factor enabled, or required by the admin
+ * policy, get a challenge instead of tokens.
+ * @param {Object} user - User document, loaded with +security
+ * @param {String} ip - Client IP address
+ * @param {String} userAgent - Client user agent
+ * @param {Object} options - { loginMethod } recorded on the session
+ * @returns {Promise<Object>} Tokens and user info, or a two-factor challenge
+ */
+export const signInUser = async (user, ip, userAgent, { loginMethod = 'password' } = {}) => {
+  // Second step first; failed attempts are only reset once it passes
+  const hasTwoFactor = Boolean(user.security?.twoFactor?.enabled);
+  if (hasTwoFactor || await isTwoFactorRequired(user)) {
+    return createTwoFactorChallenge(user, { setupRequired: !hasTwoFactor, loginMethod });
+  }
+  
   // Handle successful login (reset login attempts)
+  await recordLoginSuccess({ email: user.email });
   await user.handleSuccessfulLogin({ ip });
   
-  // Generate tokens
-  const { accessToken, refreshToken, expiresAt } = generateTokens(user);
+  return createUserSession(user, ip, userAgent, loginMethod);
+};
+
+// ==========================================
+// TWO-FACTOR LOGIN
+// ==========================================
+
+/**
+ * Finish a login with the second factor and create the session. When the
+ * admin policy asked the user to set up two-factor, the code confirms the new
+ * secret and the recovery codes are returned with the tokens.
+ * @param {String} challengeToken - Token returned by loginUser
+ * @param {Object} factor - { code } from the app or { recoveryCode }
+ * @param {String} ip - Client IP address
+ * @param {String} userAgent - Client user agent
+ * @returns {Promise<Object>} Tokens and user info (+ recoveryCodes after setup)
+ */
+export const completeTwoFactorLogin = async (challengeToken, factor = {}, ip, userAgent) => {
+  const { userId, loginMethod } = verifyTwoFactorChallenge(challengeToken);
+
+  if (!factor.code && !factor.recoveryCode) {
+    throw HttpError.badRequest('Two-factor code or recovery code is required');
+  }
+
+  const user = await BaseUser.findById(userId).select('+security +loginAttempts +lockUntil +lockCount');
+
+  if (!user || user.status !== 'active') {
+    throw HttpError.unauthorized('User account is not active');
+  }
+
+  // Codes are guessable too: same delays and lockout as passwords
+  await assertLoginAllowed({ email: user.email, ip });
+  assertAccountNotLocked(user);
+
+  let recoveryCodes = null;
+
+  if (user.security?.twoFactor?.enabled) {
+    const method = await verifySecondFactor(user, factor);
+
+    if (!method) {
+      await recordLoginFailure({ email: user.email, ip, user });
+      throw HttpError.unauthorized('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+    }
+  } else {
+    try {
+      ({ recoveryCodes } = await enableTwoFactor(user._id, factor.code));
+    } catch (error) {
+      if (error.code === 'INVALID_TWO_FACTOR_CODE') {
+        await recordLoginFailure({ email: user.email, ip, user });
+      }
+      throw error;
+    }
+  }
+
+  await recordLoginSuccess({ email: user.email });
+  await user.handleSuccessfulLogin({ ip });
+
+  const result = await createUserSession(user, ip, userAgent, loginMethod);
+
+  return recoveryCodes ? { ...result, recoveryCodes } : result;
+};
+
+/**
+ * Start the two-factor setup the admin policy requires, before the user has a
+ * session
+ * @param {String} challengeToken - Token returned by loginUser
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode }
+ */
+export const startLoginTwoFactorSetup = async (challengeToken) => {
+  const { userId, setupRequired } = verifyTwoFactorChallenge(challengeToken);
+
+  if (!setupRequired) {
+    throw HttpError.badRequest('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ALREADY_ENABLED' });
+  }
+
+  return startTwoFactorSetup(userId);
+};
+
+/**
+ * Create the auth session and tokens for an authenticated user
+ * @param {Object} user - User document
+ * @param {String} ip - Client IP address
+ * @param {String} userAgent - Client user agent
+ * @param {String} loginMethod - One of LOGIN_METHODS
+ * @returns {Promise<Object>} Tokens and user info
+ */
+const createUserSession = async (user, ip, userAgent, loginMethod = 'password') => {
+  // Generate tokens; the session ID goes into the access token so requests
+  // can be matched to their session
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  const { accessToken, refreshToken, expiresAt } = generateTokens(user, sessionId);
   
-  // Get device info from user agent
-  const deviceInfo = parseUserAgent(userAgent);
+  // Get device info from user agent and location from the IP
+  const deviceInfo = {
+    ...parseUserAgent(userAgent),
+    ...(await lookupIpLocation(ip)),
+    loginMethod
+  };
   
   // Create auth session
   const sessionData = {
+    sessionId,
     refreshToken,
     accessTokenExpiresAt: expiresAt.accessToken,
     refreshTokenExpiresAt: expiresAt.refreshToken,
@@ -118,7 +272,10 @@ export const loginUser = async (credentials, ip, userAgent) => {
     deviceInfo
   };
   
-  await AuthSession.createSession(user._id, sessionData);
+  const session = await AuthSession.createSession(user._id, sessionData);
+  
+  // New device, impossible travel or many failures first: flag the session
+  await assessNewSession(session, { failedAttempts: user.loginAttempts || 0 });
   
   // Return tokens and user data
   return {
@@ -204,7 +361,7 @@ export const refreshUserToken = async (refreshToken) => {
   }
   
   // Generate new access token
-  const { accessToken, expiresAt } = generateAccessToken(user);
+  const { accessToken, expiresAt } = generateAccessToken(user, session.sessionId);
   
   // Update session access
   await session.updateAccess();
@@ -215,6 +372,184 @@ export const refreshUserToken = async (refreshToken) => {
   };
 };
 
+// ==========================================
+// EMAIL VERIFICATION
+// ==========================================
+
+/**
+ * Send a new email verification link
+ * @param {String} userId - User ID
+ * @param {Object} metadata - { ip }
+ * @returns {Promise<Object>} { email, expiresAt }
+ */
+export const requestEmailVerification = async (userId, metadata = {}) => {
+  const user = await BaseUser.findById(userId);
+
+  if (!user) {
+    throw HttpError.notFound('User not found');
+  }
+
+  if (user.verification?.isEmailVerified) {
+    throw HttpError.badRequest('Email is already verified', { code: 'EMAIL_ALREADY_VERIFIED' });
+  }
+
+  await assertResendCooldown(user._id, 'verification');
+
+  const { token, authToken } = await AuthToken.issue(user._id, 'verification', {
+    email: user.email,
+    ip: metadata.ip
+  });
+  await sendVerificationEmail(user, token);
+
+  return { email: user.email, expiresAt: authToken.expiresAt };
+};
+
+/**
+ * Confirm a user's email address with a verification token
+ * @param {String} token - Token from the verification email
+ * @returns {Promise<Object>} { email, verifiedAt }
+ */
+export const verifyEmail = async (token) => {
+  const authToken = await AuthToken.consume(token, 'verification');
+
+  if (!authToken) {
+    throw HttpError.badRequest('Invalid or expired verification link', { code: 'INVALID_TOKEN' });
+  }
+
+  const user = await BaseUser.findById(authToken.userId);
+
+  // The link only proves ownership of the address it was sent to
+  if (!user || user.email !== authToken.email) {
+    throw HttpError.badRequest('Invalid or expired verification link', { code: 'INVALID_TOKEN' });
+  }
+
+  user.verification.isEmailVerified = true;
+  await user.save();
+
+  return { email: user.email, verifiedAt: authToken.usedAt };
+};
+
+// ==========================================
+// PASSWORD RESET & CHANGE
+// ==========================================
+
+/**
+ * Email a password reset link. Unknown or inactive addresses are ignored
+ * without telling the caller, so the endpoint cannot be used to find accounts.
+ * @param {String} email - Account email
+ * @param {Object} metadata - { ip }
+ * @returns {Promise<Object>} { success: true }
+ */
+export const requestPasswordReset = async (email, metadata = {}) => {
+  if (!email) {
+    throw HttpError.badRequest('Email is required');
+  }
+
+  const user = await BaseUser.findOne({ email: String(email).toLowerCase().trim() });
+
+  if (!user || user.status !== 'active') {
+    return { success: true };
+  }
+
+  const latest = await AuthToken.findLatest(user._id, 'reset');
+  if (isWithinCooldown(latest)) {
+    return { success: true };
+  }
+
+  const { token } = await AuthToken.issue(user._id, 'reset', { email: user.email, ip: metadata.ip });
+  await sendPasswordResetEmail(user, token);
+
+  return { success: true };
+};
+
+/**
+ * Set a new password with a reset token and sign the user out everywhere
+ * @param {String} token - Token from the reset email
+ * @param {String} newPassword - New password
+ * @returns {Promise<Object>} { revokedSessions }
+ */
+export const resetPassword = async (token, newPassword) => {
+  validateNewPassword(newPassword);
+
+  const authToken = await AuthToken.consume(token, 'reset');
+
+  if (!authToken) {
+    throw HttpError.badRequest('Invalid or expired reset link', { code: 'INVALID_TOKEN' });
+  }
+
+  const user = await BaseUser.findById(authToken.userId);
+
+  if (!user || user.status !== 'active' || user.email !== authToken.email) {
+    throw HttpError.badRequest('Invalid or expired reset link', { code: 'INVALID_TOKEN' });
+  }
+
+  user.password = newPassword;
+  // Receiving the email proves the address
+  user.verification.isEmailVerified = true;
+  await user.save();
+
+  await AuthToken.revokeAll(user._id, 'reset');
+  const { modifiedCount } = await AuthSession.revokeAllUserSessions(user._id);
+
+  await notifyPasswordChanged(user);
+
+  return { revokedSessions: modifiedCount };
+};
+
+/**
+ * Change the password of a signed-in user. Other sessions are revoked; the
+ * current session stays signed in.
+ * @param {String} userId - User ID
+ * @param {Object} passwords - { currentPassword, newPassword }
+ * @param {Object} [current] - Current session: { sessionId } from the access
+ * token, or { refreshToken } for tokens issued without a session ID
+ * @returns {Promise<Object>} { revokedSessions }
+ */
+export const changePassword = async (userId, passwords, current = {}) => {
+  const { currentPassword, newPassword } = passwords;
+
+  if (!currentPassword || !newPassword) {
+    throw HttpError.badRequest('Current password and new password are required');
+  }
+
+  validateNewPassword(newPassword);
+
+  const user = await BaseUser.findById(userId).select('+password');
+
+  if (!user) {
+    throw HttpError.notFound('User not found');
+  }
+
+  const isPasswordValid = await user.comparePassword(currentPassword);
+  if (!isPasswordValid) {
+    throw HttpError.badRequest('Current password is incorrect', { code: 'INVALID_CURRENT_PASSWORD' });
+  }
+
+  if (await user.comparePassword(newPassword)) {
+    throw HttpError.badRequest('New password must be different from the current password', { code: 'PASSWORD_UNCHANGED' });
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  // Keep the session making this request signed in
+  let currentSessionId = current.sessionId || null;
+  if (!currentSessionId && current.refreshToken) {
+    const session = await AuthSession.findByRefreshToken(current.refreshToken);
+    const sessionUserId = session?.userId?._id ? session.userId._id.toString() : session?.userId?.toString();
+    if (sessionUserId === user._id.toString()) {
+      currentSessionId = session.sessionId;
+    }
+  }
+
+  await AuthToken.revokeAll(user._id, 'reset');
+  const { modifiedCount } = await AuthSession.revokeAllUserSessions(user._id, currentSessionId);
+
+  await notifyPasswordChanged(user);
+
+  return { revokedSessions: modifiedCount };
+};
+
 // ==========================================
 // HELPER FUNCTIONS
 // ==========================================
@@ -222,11 +557,12 @@ export const refreshUserToken = async (refreshToken) => {
 /**
  * Generate JWT tokens for user
  * @param {Object} user - User object
+ * @param {String} sessionId - Session the tokens belong to
  * @returns {Object} Access token, refresh token and expiry timestamps
  */
-const generateTokens = (user) => {
+const generateTokens = (user, sessionId) => {
   // Generate access token
-  const { accessToken, expiresAt: accessTokenExpiresAt } = generateAccessToken(user);
+  const { accessToken, expiresAt: accessTokenExpiresAt } = generateAccessToken(user, sessionId);
   
   // Generate refresh token
   const refreshTokenId = crypto.randomBytes(32).toString('hex');
@@ -255,9 +591,10 @@ const generateTokens = (user) => {
 /**
  * Generate access token for user
  * @param {Object} user - User object
+ * @param {String} sessionId - Session the token belongs to (`sid` claim)
  * @returns {Object} Access token and expiry timestamp
  */
-const generateAccessToken = (user) => {
+const generateAccessToken = (user, sessionId) => {
   const tokenId = crypto.randomBytes(16).toString('hex');
   const expiresAt = new Date(Date.now() + ms(JWT_ACCESS_EXPIRY));
   
@@ -268,6 +605,7 @@ const generateAccessToken = (user) => {
       email: user.email,
       userType: user.userType,
       jti: tokenId,
+      sid: sessionId,
       name: user.fullName
     },
     JWT_SECRET,
@@ -277,6 +615,118 @@ const generateAccessToken = (user) => {
   return { accessToken, expiresAt };
 };
 
+/**
+ * Issue the short-lived token that carries a password-verified login to the
+ * second step
+ * @param {Object} user - User whose password was accepted
+ * @param {Object} options - { setupRequired, loginMethod }
+ * @returns {Object} { twoFactorRequired, setupRequired, challengeToken, expiresIn }
+ */
+const createTwoFactorChallenge = (user, { setupRequired, loginMethod = 'password' }) => {
+  const challengeToken = jwt.sign(
+    {
+      type: 'two_factor_challenge',
+      userId: user._id,
+      setupRequired,
+      loginMethod,
+      jti: crypto.randomBytes(16).toString('hex')
+    },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CONFIG.CHALLENGE_EXPIRY, audience: TWO_FACTOR_CONFIG.CHALLENGE_AUDIENCE }
+  );
+
+  return {
+    twoFactorRequired: true,
+    setupRequired,
+    challengeToken,
+    expiresIn: Math.floor(ms(TWO_FACTOR_CONFIG.CHALLENGE_EXPIRY) / 1000)
+  };
+};
+
+/**
+ * Decode a two-factor challenge token
+ * @param {String} challengeToken - Token from createTwoFactorChallenge
+ * @returns {Object} { userId, setupRequired, loginMethod }
+ */
+const verifyTwoFactorChallenge = (challengeToken) => {
+  const invalid = () => HttpError.unauthorized('Sign-in has expired, please sign in again', {
+    code: 'INVALID_TWO_FACTOR_CHALLENGE'
+  });
+
+  if (!challengeToken) {
+    throw invalid();
+  }
+
+  try {
+    const decoded = jwt.verify(challengeToken, JWT_SECRET, { audience: TWO_FACTOR_CONFIG.CHALLENGE_AUDIENCE });
+
+    if (decoded.type !== 'two_factor_challenge') {
+      throw invalid();
+    }
+
+    return {
+      userId: decoded.userId,
+      setupRequired: Boolean(decoded.setupRequired),
+      loginMethod: decoded.loginMethod || 'password'
+    };
+  } catch (error) {
+    throw error.name === 'HttpError' ? error : invalid();
+  }
+};
+
+/**
+ * Check a new password against the user password rules
+ * @param {String} password - Candidate password
+ */
+const validateNewPassword = (password) => {
+  const rules = USER_VALIDATION_RULES.PASSWORD;
+
+  if (
+    typeof password !== 'string' ||
+    password.length < rules.MIN_LENGTH ||
+    password.length > rules.MAX_LENGTH ||
+    !rules.PATTERN.test(password)
+  ) {
+    throw HttpError.badRequest(rules.ERROR_MESSAGE, { code: 'INVALID_PASSWORD' });
+  }
+};
+
+/**
+ * Whether a token was issued too recently to send another email
+ * @param {Object|null} latest - Latest token of the type
+ * @returns {Boolean}
+ */
+const isWithinCooldown = (latest) => Boolean(latest) &&
+  Date.now() - latest.createdAt.getTime() < ONE_TIME_TOKEN_CONFIG.RESEND_COOLDOWN_SECONDS * 1000;
+
+/**
+ * Reject a resend request made within the cooldown
+ * @param {String} userId - User ID
+ * @param {String} type - Token type
+ */
+const assertResendCooldown = async (userId, type) => {
+  const latest = await AuthToken.findLatest(userId, type);
+
+  if (isWithinCooldown(latest)) {
+    throw HttpError.tooManyRequests('Please wait before requesting another email', {
+      code: 'EMAIL_RESEND_COOLDOWN',
+      context: { retryAfterSeconds: ONE_TIME_TOKEN_CONFIG.RESEND_COOLDOWN_SECONDS }
+    });
+  }
+};
+
+/**
+ * Send the password-changed notice; the change itself already succeeded
+ * @param {Object} user - User whose password changed
+ */
+const notifyPasswordChanged = async (user) => {
+  try {
+    await sendPasswordChangedEmail(user);
+  } catch (error) {
+    console.error('⚠️ Password change notice not sent:', error.message);
+  }
+};
+
 /**
  * Parse user agent to extract device info
  * @param {String} userAgent - User agent string
@@ -4,9 +4,12 @@
  * @description Course management with admin CRUD operations and user purchasing with points system
  */
 
+import mongoose from 'mongoose';
 import { Course } from '#models/course/index.js';
 import { Student } from '#models/users/index.js';
 import { HttpError } from '#exceptions/index.js';
+import { createCheckout, registerCheckoutHandler } from '#services/payment.service.js';
+import pointsLedgerService from '#services/pointsLedger.service.js';
 import {
   COURSE_CATEGORIES,
   COURSE_LEVELS,
@@ -561,9 +564,11 @@ export const calculateCoursePrice = async (courseId, pointsToUse = 0, userId) =>
 };
 
 /**
- * Purchase course with points (MVP Implementation)
+ * Purchase course with points. Whatever the points do not cover is paid
+ * through a gateway checkout; the points stay held until it is paid or closed.
+ * @param {Object} [requestMeta] - { ipAddress, userAgent }
  */
-export const purchaseCourse = async (courseId, pointsToUse = 0, userId) => {
+export const purchaseCourse = async (courseId, pointsToUse = 0, userId, requestMeta = {}) => {
   try {
     console.log('🛒 Purchasing course:', courseId, 'User:', userId, 'Points:', pointsToUse);
     
@@ -588,33 +593,75 @@ export const purchaseCourse = async (courseId, pointsToUse = 0, userId) => {
       throw HttpError.notFound('Course not found');
     }
     
-    // Use points if any
+    // Hold points if any; released again if the purchase does not complete
+    const pointsHoldId = new mongoose.Types.ObjectId();
     if (pricing.pointsUsed > 0) {
-      await user.usePoints(pricing.pointsUsed);
+      await pointsLedgerService.spendPoints({
+        userId,
+        points: pricing.pointsUsed,
+        idempotencyKey: `course_purchase:${pointsHoldId}`,
+        source: 'course_purchase',
+        description: `Points toward course: ${course.title}`,
+        relatedId: course._id
+      });
     }
     
-    // Record purchase in user progress
-    await user.recordCoursePurchase();
-    
-    // Record conversion in course analytics
-    await course.recordConversion(pricing.finalPrice);
+    // Points cover the whole price, nothing to charge
+    if (pricing.finalPrice <= 0) {
+      await fulfilCoursePurchase(user, course, pricing.finalPrice);
+      
+      console.log('✅ Course purchased successfully');
+      
+      return {
+        success: true,
+        purchase: {
+          courseId,
+          courseTitle: course.title,
+          pricing,
+          purchasedAt: new Date(),
+          status: 'completed',
+          transactionId: null
+        },
+        message: 'Course purchased successfully'
+      };
+    }
     
-    // Record click for analytics
-    await course.recordClick();
+    let checkout;
+    try {
+      checkout = await createCheckout({
+        userId,
+        type: 'course_purchase',
+        amount: pricing.finalPrice,
+        currency: course.pricing.currency,
+        description: `Course: ${course.title}`,
+        courseId,
+        pointsUsed: pricing.pointsUsed,
+        purchase: { pricing, pointsHoldId },
+        metadata: requestMeta
+      });
+    } catch (error) {
+      if (pricing.pointsUsed > 0) {
+        await releaseHeldPoints(userId, pricing.pointsUsed, pointsHoldId, course._id);
+      }
+      throw error;
+    }
     
-    console.log('✅ Course purchased successfully');
+    console.log('✅ Course checkout started:', checkout.transactionId);
     
     return {
       success: true,
+      pending: true,
       purchase: {
         courseId,
         courseTitle: course.title,
         pricing,
-        purchasedAt: new Date(),
-        status: 'completed',
-        transactionId: `mock_tx_${Date.now()}` // Mock transaction ID for MVP
+        status: checkout.status,
+        transactionId: checkout.transactionId,
+        referenceId: checkout.referenceId,
+        checkoutUrl: checkout.checkoutUrl,
+        expiresAt: checkout.expiresAt
       },
-      message: 'Course purchased successfully'
+      message: 'Complete the payment to finish your purchase'
     };
     
   } catch (error) {
@@ -623,6 +670,50 @@ export const purchaseCourse = async (courseId, pointsToUse = 0, userId) => {
   }
 };
 
+const fulfilCoursePurchase = async (user, course, amountPaid) => {
+  // Record purchase in user progress
+  await user.recordCoursePurchase();
+  
+  // Record conversion in course analytics
+  await course.recordConversion(amountPaid);
+  
+  // Record click for analytics
+  await course.recordClick();
+};
+
+const releaseHeldPoints = (userId, points, pointsHoldId, courseId) => pointsLedgerService.releasePoints({
+  userId,
+  points,
+  idempotencyKey: `points_release:${pointsHoldId}`,
+  source: 'course_purchase',
+  description: 'Points returned: course purchase not completed',
+  relatedId: courseId
+});
+
+/**
+ * Register how paid and closed course checkouts are handled
+ */
+export const registerCoursePurchaseCheckout = () => {
+  registerCheckoutHandler('course_purchase', {
+    onPaid: async (transaction) => {
+      const [user, course] = await Promise.all([
+        Student.findById(transaction.userId),
+        Course.findById(transaction.courseId)
+      ]);
+      if (!user || !course) {
+        throw HttpError.notFound('Student or course for this payment no longer exists');
+      }
+      await fulfilCoursePurchase(user, course, transaction.amount);
+    },
+    onClosed: async (transaction) => {
+      if (transaction.pointsUsed > 0) {
+        const pointsHoldId = transaction.metadata?.purchase?.pointsHoldId || transaction._id;
+        await releaseHeldPoints(transaction.userId, transaction.pointsUsed, pointsHoldId, transaction.courseId);
+      }
+    }
+  });
+};
+
 // ==========================================
 // RECOMMENDATIONS & DISCOVERY
 // ==========================================
@@ -833,6 +924,7 @@ const courseService = {
   getCoursesByCategory,
   calculateCoursePrice,
   purchaseCourse,
+  registerCoursePurchaseCheckout,
   getRecommendedCourses,
   getFeaturedCourses,
   getCourseAnalytics
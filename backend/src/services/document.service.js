@@ -8,12 +8,37 @@ import fs from 'fs';
 import path from 'path';
 import { promisify } from 'util';
 import Document from '#models/document/Document.js';
+import DocumentChunk from '#models/document/DocumentChunk.js';
+import DocumentConversation from '#models/document/DocumentConversation.js';
 import { HttpError } from '#exceptions/index.js';
-import { DOCUMENT_STATUSES } from '#constants/models/document/index.js';
+import { safeFetch } from '#lib/http/index.js';
+import { extractHtmlContent, decodeHtml } from '#lib/documents/index.js';
+import {
+  DOCUMENT_STATUSES,
+  DOCUMENT_VALIDATION_RULES,
+  FILE_VALIDATION,
+  URL_IMPORT_VALIDATION
+} from '#constants/models/document/index.js';
 
 // Convert fs.unlink to promise-based
 const unlinkAsync = promisify(fs.unlink);
 
+// Same folder multer writes uploads to
+const UPLOAD_DIRECTORY = 'uploads/documents';
+
+// URL fetch failures caused by the address itself rather than the remote page
+const REJECTED_URL_CODES = ['URL_INVALID', 'URL_PROTOCOL_NOT_ALLOWED', 'URL_CREDENTIALS_NOT_ALLOWED', 'URL_ADDRESS_NOT_ALLOWED'];
+
+/**
+ * Remove the chat passages and conversations of a deleted document
+ */
+const deleteDocumentChatData = async (documentId) => {
+  await Promise.all([
+    DocumentChunk.deleteForDocument(documentId),
+    DocumentConversation.deleteMany({ documentId })
+  ]);
+};
+
 /**
  * Upload and create a new document
  * @param {Object} fileData - File data from multer
@@ -39,7 +64,8 @@ export const createDocument = async (fileData, documentData, userId) => {
       originalName: fileData.originalname,
       storagePath: fileData.path,
       size: fileData.size,
-      mimeType: fileData.mimetype
+      mimeType: fileData.mimetype,
+      sourceUrl: fileData.sourceUrl || null
     },
     classification: {
       type: documentData.type || undefined, // needs to be determined by ai
@@ -64,6 +90,86 @@ export const createDocument = async (fileData, documentData, userId) => {
   }
 };
 
+/**
+ * Reduce a page title to the characters document titles allow
+ */
+const toDocumentTitle = (text) => {
+  return String(text || '')
+    .replace(/[^a-zA-Z0-9\s\-_.,()[\]]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, DOCUMENT_VALIDATION_RULES.TITLE.MAX_LENGTH);
+};
+
+/**
+ * Fetch a web page and store it as a document, the same way an upload is stored
+ * @param {string} url - Page address (http or https)
+ * @param {Object} documentData - Document metadata
+ * @param {string} userId - User ID who owns the document
+ * @returns {Promise<Object>} Created document
+ */
+export const importDocumentFromUrl = async (url, documentData, userId) => {
+  if (typeof url !== 'string' || !url.trim() || url.length > URL_IMPORT_VALIDATION.MAX_URL_LENGTH) {
+    throw HttpError.badRequest(URL_IMPORT_VALIDATION.INVALID_URL_ERROR, { code: 'INVALID_URL' });
+  }
+
+  let response;
+  try {
+    response = await safeFetch(url.trim(), {
+      timeout: URL_IMPORT_VALIDATION.TIMEOUT,
+      maxBytes: URL_IMPORT_VALIDATION.MAX_BYTES,
+      maxRedirects: URL_IMPORT_VALIDATION.MAX_REDIRECTS
+    });
+  } catch (error) {
+    if (error.name !== 'UrlFetchError') throw error;
+
+    const options = { code: error.code, context: { status: error.status } };
+    throw REJECTED_URL_CODES.includes(error.code)
+      ? HttpError.badRequest(error.message, options)
+      : HttpError.unprocessableEntity(error.message, options);
+  }
+
+  const extension = URL_IMPORT_VALIDATION.CONTENT_TYPE_EXTENSIONS[response.contentType];
+  if (!extension) {
+    throw HttpError.unprocessableEntity(`Pages of type ${response.contentType || 'unknown'} cannot be imported`, {
+      code: 'URL_UNSUPPORTED_CONTENT',
+      context: { contentType: response.contentType }
+    });
+  }
+
+  // Stored as UTF-8 whatever the page used; the leading declaration wins over the page's own
+  const source = decodeHtml(response.body, response.charset);
+  const body = Buffer.from(extension === '.html' ? `<meta charset="utf-8">\n${source}` : source, 'utf-8');
+
+  // Check for article text now, so a page without any fails here rather than in processing
+  const page = extension === '.html' ? extractHtmlContent(source) : null;
+  if (page && !page.text) {
+    throw HttpError.unprocessableEntity('No readable article text was found at that address', { code: 'URL_NO_CONTENT' });
+  }
+
+  const { hostname } = new URL(response.url);
+  const title = toDocumentTitle(documentData.title) || toDocumentTitle(page?.title) || hostname;
+
+  if (body.length < DOCUMENT_VALIDATION_RULES.FILE_SIZE.MIN_SIZE) {
+    throw HttpError.unprocessableEntity('The page has too little content to import', { code: 'URL_NO_CONTENT' });
+  }
+
+  await fs.promises.mkdir(UPLOAD_DIRECTORY, { recursive: true });
+  const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}${extension}`;
+  const storagePath = path.join(UPLOAD_DIRECTORY, fileName);
+  await fs.promises.writeFile(storagePath, body);
+
+  console.log(`🌐 Imported ${response.url} (${body.length} bytes) as ${fileName}`);
+
+  return createDocument({
+    originalname: `${title.substring(0, 200)}${extension}`,
+    path: storagePath,
+    size: body.length,
+    mimetype: FILE_VALIDATION.EXTENSION_MIME_TYPES[extension],
+    sourceUrl: response.url
+  }, { ...documentData, title }, userId);
+};
+
 /**
  * Get all documents for a user with optional filtering
  * @param {string} userId - User ID
@@ -108,15 +214,16 @@ export const getUserDocuments = async (userId, options = {}) => {
  * Get document by ID
  * @param {string} documentId - Document ID
  * @param {string} userId - User ID for ownership validation
+ * @param {Object} [options] - { select: extra fields to load, e.g. '+content.chapterSummaries' }
  * @returns {Promise<Object>} Document object
  */
-export const getDocumentById = async (documentId, userId) => {
+export const getDocumentById = async (documentId, userId, options = {}) => {
   try {
     const document = await Document.findOne({
       _id: documentId,
       userId,  // This parameter comes from the controller
       deletedAt: null
-    }).select('+file.storagePath');
+    }).select(['+file.storagePath', ...(options.select || [])].join(' '));
     
     if (!document) {
       throw HttpError.notFound('Document not found');
@@ -128,6 +235,49 @@ export const getDocumentById = async (documentId, userId) => {
   }
 };
 
+/**
+ * Get the text of a single document page along with the section it belongs to
+ * @param {string} documentId - Document ID
+ * @param {number} pageNumber - 1-based page number
+ * @param {string} userId - User ID for ownership validation
+ * @returns {Promise<Object>} Page text, word count and containing section
+ */
+export const getDocumentPage = async (documentId, pageNumber, userId) => {
+  const document = await Document.findOne({
+    _id: documentId,
+    userId,
+    deletedAt: null
+  }).select('+content.pages');
+
+  if (!document) {
+    throw HttpError.notFound('Document not found');
+  }
+
+  if (!document.content.pages || document.content.pages.length === 0) {
+    throw HttpError.notFound('Page text not available for this document', {
+      code: 'PAGES_NOT_AVAILABLE'
+    });
+  }
+
+  const page = document.content.pages.find(entry => entry.pageNumber === pageNumber);
+
+  if (!page) {
+    throw HttpError.notFound(`Page ${pageNumber} not found`, {
+      code: 'PAGE_NOT_FOUND',
+      context: { pageNumber, pageCount: document.content.pages.length }
+    });
+  }
+
+  return {
+    documentId: document._id,
+    pageNumber: page.pageNumber,
+    pageCount: document.content.pages.length,
+    text: page.text,
+    wordCount: page.wordCount,
+    section: document.getSectionForPage(page.pageNumber)
+  };
+};
+
 /**
  * Update document metadata
  * @param {string} documentId - Document ID
@@ -194,6 +344,11 @@ export const deleteDocument = async (documentId, userId) => {
   }
 
   await document.softDelete();
+
+  // Soft-deleted documents can be restored with their conversations
+  if (!document.deletedAt) {
+    await deleteDocumentChatData(document._id);
+  }
   
   return { success: true, message: 'Document deleted successfully' };
 };
@@ -226,14 +381,17 @@ export const permanentlyDeleteDocument = async (documentId, userId) => {
 
   // Permanently remove from database
   await Document.deleteOne({ _id: documentId });
+  await deleteDocumentChatData(document._id);
   
   return { success: true, message: 'Document permanently deleted' };
 };
 
 export default {
   createDocument,
+  importDocumentFromUrl,
   getUserDocuments,
   getDocumentById,
+  getDocumentPage,
   updateDocument,
   deleteDocument,
   permanentlyDeleteDocument
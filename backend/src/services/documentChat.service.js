@@ -0,0 +1,285 @@
+/**
+ * Document Chat Service
+ * @module services/documentChat
+ * @description Multi-turn questions about a document, answered from its
+ * retrieved passages with citations to the pages they come from
+ */
+
+import Document from '#models/document/Document.js';
+import DocumentConversation from '#models/document/DocumentConversation.js';
+import { HttpError } from '#exceptions/index.js';
+import { answerDocumentQuestion } from '#services/ai.service.js';
+import { ensureDocumentIndex, retrieveDocumentChunks } from '#services/documentIndex.service.js';
+import {
+  CHAT_SETTINGS,
+  CHAT_DEFAULTS,
+  CHAT_VALIDATION_RULES
+} from '#constants/models/chat/index.js';
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+const toServiceError = (error, action) => {
+  if (error.name === 'HttpError') return error;
+  return HttpError.internalServerError(`Failed to ${action}: ${error.message}`);
+};
+
+/**
+ * Load a processed document the user owns
+ */
+const findChatDocument = async (documentId, userId) => {
+  const document = await Document.findOne({ _id: documentId, userId, deletedAt: null })
+    .select('title status content.extractedText');
+
+  if (!document) {
+    throw HttpError.notFound('Document not found');
+  }
+  if (document.status !== 'completed' || !document.content?.extractedText) {
+    throw HttpError.conflict('Document must finish processing before you can chat with it', {
+      code: 'DOCUMENT_NOT_READY',
+      context: { status: document.status }
+    });
+  }
+
+  return document;
+};
+
+const findOwnConversation = async (documentId, conversationId, userId) => {
+  const conversation = await DocumentConversation.findOne({ _id: conversationId, documentId, userId });
+  if (!conversation) {
+    throw HttpError.notFound('Conversation not found');
+  }
+  return conversation;
+};
+
+const titleFrom = (message) => {
+  const oneLine = message.replace(/\s+/g, ' ').trim();
+  return oneLine.length > CHAT_DEFAULTS.TITLE_LENGTH
+    ? `${oneLine.substring(0, CHAT_DEFAULTS.TITLE_LENGTH - 1)}…`
+    : oneLine;
+};
+
+const toSummary = (conversation) => ({
+  id: conversation._id,
+  documentId: conversation.documentId,
+  title: conversation.title,
+  messageCount: conversation.messageCount,
+  lastMessageAt: conversation.lastMessageAt,
+  createdAt: conversation.createdAt
+});
+
+// ==========================================
+// CHAT
+// ==========================================
+
+/**
+ * Ask a question about a document, in a new or existing conversation
+ * @param {string} documentId - Document ID
+ * @param {string} userId - Owner
+ * @param {Object} input - { message, conversationId }
+ * @returns {Promise<Object>} { conversation, userMessage, assistantMessage, retrieval }
+ */
+export const sendDocumentChatMessage = async (documentId, userId, input = {}) => {
+  try {
+    const message = typeof input.message === 'string' ? input.message.trim() : '';
+    const { MIN_LENGTH, MAX_LENGTH, ERROR_MESSAGE } = CHAT_VALIDATION_RULES.MESSAGE;
+
+    if (message.length < MIN_LENGTH || message.length > MAX_LENGTH) {
+      throw HttpError.badRequest(ERROR_MESSAGE, { code: 'INVALID_CHAT_MESSAGE' });
+    }
+
+    const document = await findChatDocument(documentId, userId);
+
+    const conversation = input.conversationId
+      ? await findOwnConversation(documentId, input.conversationId, userId)
+      : null;
+
+    if (conversation && conversation.messageCount + 2 > CHAT_SETTINGS.MAX_MESSAGES_PER_CONVERSATION) {
+      throw HttpError.conflict('This conversation is full; start a new one', {
+        code: 'CONVERSATION_FULL',
+        context: { maxMessages: CHAT_SETTINGS.MAX_MESSAGES_PER_CONVERSATION }
+      });
+    }
+
+    await ensureDocumentIndex(documentId, userId);
+
+    // Follow-ups like "and the second step?" need the previous question to find their passages
+    const history = conversation ? conversation.messages.slice(-CHAT_SETTINGS.HISTORY_MESSAGES) : [];
+    const previousQuestion = [...history].reverse().find(entry => entry.role === 'user')?.content;
+    const query = previousQuestion ? `${previousQuestion}\n${message}` : message;
+
+    const { chunks, retrieval } = await retrieveDocumentChunks(documentId, query);
+    const sources = chunks.map((chunk, i) => ({ ...chunk, number: i + 1 }));
+
+    const result = await answerDocumentQuestion({
+      question: message,
+      sources,
+      history,
+      documentTitle: document.title
+    }, { maxTokens: CHAT_SETTINGS.ANSWER_MAX_TOKENS });
+
+    if (!result.success) {
+      throw HttpError.internalServerError('Could not answer the question', {
+        code: 'CHAT_ANSWER_FAILED',
+        context: { reason: result.error }
+      });
+    }
+
+    const now = new Date();
+    const userMessage = { role: 'user', content: message, createdAt: now };
+    const assistantMessage = {
+      role: 'assistant',
+      content: result.answer.substring(0, CHAT_VALIDATION_RULES.ANSWER.MAX_LENGTH),
+      citations: result.citedSources.map(number => {
+        const source = sources[number - 1];
+        return {
+          sourceNumber: number,
+          chunkIndex: source.index,
+          pageStart: source.pageStart,
+          pageEnd: source.pageEnd,
+          section: source.section,
+          excerpt: source.text.substring(0, CHAT_SETTINGS.EXCERPT_LENGTH),
+          score: source.score
+        };
+      }),
+      retrieval,
+      tokensUsed: result.metadata.tokensUsed,
+      createdAt: new Date(now.getTime() + 1)
+    };
+
+    // One atomic update, so two questions sent at once both land in order
+    const saved = conversation
+      ? await DocumentConversation.findOneAndUpdate(
+        { _id: conversation._id },
+        {
+          $push: { messages: { $each: [userMessage, assistantMessage] } },
+          $inc: { messageCount: 2 },
+          $set: { lastMessageAt: assistantMessage.createdAt }
+        },
+        { new: true, projection: { messages: { $slice: -2 } } }
+      )
+      : await DocumentConversation.create({
+        userId,
+        documentId,
+        title: titleFrom(message),
+        messages: [userMessage, assistantMessage],
+        messageCount: 2,
+        lastMessageAt: assistantMessage.createdAt
+      });
+
+    if (!saved) {
+      throw HttpError.notFound('Conversation not found');
+    }
+
+    const [storedQuestion, storedAnswer] = saved.messages.slice(-2);
+
+    console.log(`💬 Answered question on document ${documentId} with ${sources.length} passages (${retrieval}), ${assistantMessage.citations.length} cited`);
+
+    return {
+      success: true,
+      conversation: toSummary(saved),
+      userMessage: storedQuestion,
+      assistantMessage: storedAnswer,
+      retrieval,
+      tokensUsed: result.metadata.tokensUsed
+    };
+
+  } catch (error) {
+    console.error('❌ Document chat error:', error);
+    throw toServiceError(error, 'answer question');
+  }
+};
+
+// ==========================================
+// CONVERSATIONS
+// ==========================================
+
+/**
+ * List a user's conversations about a document, most recent first
+ * @param {string} documentId - Document ID
+ * @param {string} userId - Owner
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} Conversation summaries with pagination
+ */
+export const listDocumentConversations = async (documentId, userId, options = {}) => {
+  try {
+    const { MIN, MAX } = CHAT_VALIDATION_RULES.CONVERSATIONS_LIMIT;
+    const page = Math.max(1, parseInt(options.page) || 1);
+    const limit = Math.min(MAX, Math.max(MIN, parseInt(options.limit) || CHAT_DEFAULTS.CONVERSATIONS_LIMIT));
+
+    if (!await Document.exists({ _id: documentId, userId, deletedAt: null })) {
+      throw HttpError.notFound('Document not found');
+    }
+
+    const query = { documentId, userId };
+    const [conversations, total] = await Promise.all([
+      DocumentConversation.find(query)
+        .select('-messages')
+        .sort({ lastMessageAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      DocumentConversation.countDocuments(query)
+    ]);
+
+    return {
+      success: true,
+      conversations: conversations.map(toSummary),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ List conversations error:', error);
+    throw toServiceError(error, 'list conversations');
+  }
+};
+
+/**
+ * Get a conversation with its messages
+ * @param {string} documentId - Document ID
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Owner
+ * @returns {Promise<Object>} Conversation
+ */
+export const getDocumentConversation = async (documentId, conversationId, userId) => {
+  try {
+    const conversation = await findOwnConversation(documentId, conversationId, userId);
+    return { success: true, conversation: conversation.toJSON() };
+
+  } catch (error) {
+    console.error('❌ Get conversation error:', error);
+    throw toServiceError(error, 'get conversation');
+  }
+};
+
+/**
+ * Delete a conversation
+ * @param {string} documentId - Document ID
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Owner
+ */
+export const deleteDocumentConversation = async (documentId, conversationId, userId) => {
+  try {
+    const { deletedCount } = await DocumentConversation.deleteOne({ _id: conversationId, documentId, userId });
+    if (deletedCount === 0) {
+      throw HttpError.notFound('Conversation not found');
+    }
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Delete conversation error:', error);
+    throw toServiceError(error, 'delete conversation');
+  }
+};
+
+export default {
+  sendDocumentChatMessage,
+  listDocumentConversations,
+  getDocumentConversation,
+  deleteDocumentConversation
+};
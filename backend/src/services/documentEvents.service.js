@@ -0,0 +1,112 @@
+/**
+ * Document Events Service
+ * @module services/documentEvents
+ * @description Publishes document processing progress to live subscribers
+ * (Server-Sent Events streams). Progress is read back from the document so
+ * every event reflects what is stored, whichever process published it.
+ */
+
+import { EventEmitter } from 'events';
+import Document from '#models/document/Document.js';
+import { getProcessingProgress } from '#constants/models/document/index.js';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const channelFor = (documentId) => `document:${documentId}`;
+
+const PROGRESS_FIELDS = 'status processing.stage processing.attempts processing.nextRetryAt processing.error.type processing.error.message processing.jobId';
+
+// ==========================================
+// SNAPSHOTS
+// ==========================================
+
+/**
+ * Build a progress event from a document
+ * @param {Object} document - Document (hydrated or lean) with status and processing fields
+ * @returns {Object} Progress event payload
+ */
+export const buildProgressEvent = (document) => {
+  const processing = document.processing || {};
+  const error = processing.error?.message
+    ? { type: processing.error.type, message: processing.error.message }
+    : null;
+
+  return {
+    documentId: document._id.toString(),
+    status: document.status,
+    stage: processing.stage || 'upload',
+    percent: getProcessingProgress(document.status, processing.stage),
+    attempt: processing.attempts || 0,
+    retrying: Boolean(processing.nextRetryAt),
+    nextRetryAt: processing.nextRetryAt || null,
+    error,
+    timestamp: new Date().toISOString()
+  };
+};
+
+/**
+ * Read the current progress of a document
+ * @param {string} documentId - Document ID
+ * @param {Object} filter - Extra match conditions (e.g. ownership)
+ * @returns {Promise<Object|null>} Progress event, or null if the document does not exist
+ */
+export const getDocumentProgress = async (documentId, filter = {}) => {
+  const document = await Document.findOne({ _id: documentId, deletedAt: null, ...filter })
+    .select(PROGRESS_FIELDS)
+    .lean();
+
+  return document ? buildProgressEvent(document) : null;
+};
+
+/**
+ * Whether a progress event is the last one for a processing run
+ */
+export const isTerminalProgress = (event) => event.status === 'completed' || event.status === 'failed';
+
+// ==========================================
+// PUBLISH / SUBSCRIBE
+// ==========================================
+
+/**
+ * Publish the stored progress of a document to its subscribers.
+ * Never throws: progress reporting must not break processing.
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object|null>} Published event
+ */
+export const publishDocumentProgress = async (documentId) => {
+  try {
+    if (emitter.listenerCount(channelFor(documentId)) === 0) {
+      return null;
+    }
+
+    const event = await getDocumentProgress(documentId);
+    if (event) {
+      emitter.emit(channelFor(documentId), event);
+    }
+    return event;
+  } catch (error) {
+    console.error(`❌ Failed to publish progress for document ${documentId}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Listen for progress events of one document
+ * @param {string} documentId - Document ID
+ * @param {Function} listener - Called with each progress event
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToDocument = (documentId, listener) => {
+  const channel = channelFor(documentId);
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
+
+export default {
+  buildProgressEvent,
+  getDocumentProgress,
+  isTerminalProgress,
+  publishDocumentProgress,
+  subscribeToDocument
+};
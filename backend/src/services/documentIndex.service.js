@@ -0,0 +1,291 @@
+/**
+ * Document Index Service
+ * @module services/documentIndex
+ * @description Splits a document's extracted text into page-aware passages,
+ * embeds them, and finds the passages closest to a question. Without a
+ * configured embedding model, passages are ranked by shared keywords instead.
+ */
+
+import Document from '#models/document/Document.js';
+import DocumentChunk from '#models/document/DocumentChunk.js';
+import { HttpError } from '#exceptions/index.js';
+import { embedTexts, resolveTaskRoute } from '#services/ai.service.js';
+import { AI_TASKS } from '#constants/ai/index.js';
+import { CHUNKING_SETTINGS, CHAT_SETTINGS } from '#constants/models/chat/index.js';
+
+// ==========================================
+// CHUNKING
+// ==========================================
+
+/**
+ * Paragraphs of a text, with overlong paragraphs split into sentences and
+ * overlong sentences cut to size
+ */
+const splitIntoPieces = (text) => String(text || '')
+  .split(/\n\s*\n/)
+  .flatMap(paragraph => {
+    const clean = paragraph.replace(/\s+/g, ' ').trim();
+    if (!clean) return [];
+    if (clean.length <= CHUNKING_SETTINGS.TARGET_CHARS) return [clean];
+
+    return clean
+      .split(/(?<=[.!?])\s+/)
+      .flatMap(sentence => sentence.length <= CHUNKING_SETTINGS.TARGET_CHARS
+        ? [sentence]
+        : sentence.match(new RegExp(`.{1,${CHUNKING_SETTINGS.TARGET_CHARS}}`, 'g')));
+  });
+
+/**
+ * End of a chunk repeated at the start of the next, from a word boundary
+ */
+const overlapOf = (text) => {
+  if (text.length <= CHUNKING_SETTINGS.OVERLAP_CHARS) return '';
+  const tail = text.slice(-CHUNKING_SETTINGS.OVERLAP_CHARS);
+  const space = tail.indexOf(' ');
+  return space === -1 ? tail : tail.slice(space + 1);
+};
+
+/**
+ * Split extracted text into overlapping passages of about TARGET_CHARS,
+ * keeping the pages each passage spans when per-page text is available
+ * @param {Object} content - { extractedText, pages: [{ pageNumber, text }] }
+ * @returns {Array<Object>} { index, text, pageStart, pageEnd, tokenCount }
+ */
+export const chunkDocumentText = ({ extractedText, pages = [] }) => {
+  const sources = (pages || []).some(page => page.text?.trim())
+    ? pages.map(page => ({ pageNumber: page.pageNumber, text: page.text }))
+    : [{ pageNumber: null, text: extractedText }];
+
+  const chunks = [];
+  let current = null;
+
+  for (const { pageNumber, text } of sources) {
+    for (const piece of splitIntoPieces(text)) {
+      const wouldOverflow = current
+        && current.text.length >= CHUNKING_SETTINGS.MIN_CHARS
+        && current.text.length + piece.length + 1 > CHUNKING_SETTINGS.TARGET_CHARS;
+
+      if (wouldOverflow) {
+        chunks.push(current);
+        const overlap = overlapOf(current.text);
+        current = {
+          text: overlap,
+          overlapLength: overlap.length,
+          pageStart: overlap ? current.pageEnd : pageNumber,
+          pageEnd: pageNumber
+        };
+      }
+
+      if (!current) {
+        current = { text: '', overlapLength: 0, pageStart: pageNumber, pageEnd: pageNumber };
+      }
+
+      current.text = current.text ? `${current.text} ${piece}` : piece;
+      current.pageEnd = pageNumber;
+    }
+  }
+
+  if (current?.text) {
+    const last = chunks[chunks.length - 1];
+    if (last && current.text.length < CHUNKING_SETTINGS.MIN_CHARS) {
+      // A short tail joins the previous passage, without repeating the overlap
+      last.text = `${last.text} ${current.text.slice(current.overlapLength).trim()}`.trim();
+      last.pageEnd = current.pageEnd;
+    } else {
+      chunks.push(current);
+    }
+  }
+
+  return chunks.map((chunk, index) => ({
+    index,
+    text: chunk.text,
+    pageStart: chunk.pageStart,
+    pageEnd: chunk.pageEnd,
+    tokenCount: Math.ceil(chunk.text.length / 4)
+  }));
+};
+
+// ==========================================
+// INDEXING
+// ==========================================
+
+/**
+ * The embedding model now routed, as stored on chunks and search entries, or null when none is configured
+ */
+export const currentEmbeddingModel = () => {
+  try {
+    const route = resolveTaskRoute(AI_TASKS.EMBEDDING);
+    return `${route.provider}:${route.model}`;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Replace a document's passages with fresh ones. Embedding failures are not
+ * fatal: the passages are stored without vectors and ranked by keywords.
+ * @param {Object} document - Document with content.extractedText and content.pages loaded
+ * @returns {Promise<Object>} { chunkCount, embeddingModel, tokensUsed }
+ */
+export const indexDocument = async (document) => {
+  const chunks = chunkDocumentText(document.content);
+
+  let embeddings = [];
+  let embeddingModel = null;
+  let tokensUsed = 0;
+
+  if (chunks.length > 0 && currentEmbeddingModel()) {
+    try {
+      const result = await embedTexts(chunks.map(chunk => chunk.text));
+      embeddings = result.embeddings;
+      embeddingModel = `${result.provider}:${result.model}`;
+      tokensUsed = result.tokensUsed;
+    } catch (error) {
+      console.warn(`⚠️ Embedding failed for document ${document._id}, keyword retrieval only:`, error.message);
+    }
+  }
+
+  await DocumentChunk.deleteForDocument(document._id);
+  await DocumentChunk.insertMany(chunks.map((chunk, i) => ({
+    ...chunk,
+    documentId: document._id,
+    userId: document.userId,
+    section: chunk.pageStart ? document.getSectionForPage(chunk.pageStart)?.title || null : null,
+    embedding: embeddings[i] || [],
+    embeddingModel
+  })));
+
+  console.log(`🧩 Indexed ${chunks.length} passages for document ${document._id}${embeddingModel ? ` with ${embeddingModel}` : ' (keywords only)'}`);
+
+  return { chunkCount: chunks.length, embeddingModel, tokensUsed };
+};
+
+/**
+ * Index a processed document unless its passages are current: missing, or
+ * embedded with a model other than the one now configured
+ * @param {string} documentId - Document ID
+ * @param {string} userId - Owner
+ * @returns {Promise<Object>} { chunkCount, embeddingModel, reindexed }
+ */
+export const ensureDocumentIndex = async (documentId, userId) => {
+  const [existing, chunkCount] = await Promise.all([
+    DocumentChunk.findOne({ documentId }).select('embeddingModel').lean(),
+    DocumentChunk.countDocuments({ documentId })
+  ]);
+  const wanted = currentEmbeddingModel();
+
+  // Keyword retrieval still works on passages whose model is no longer configured
+  if (existing && (existing.embeddingModel === wanted || !wanted)) {
+    return { chunkCount, embeddingModel: existing.embeddingModel, reindexed: false };
+  }
+
+  const document = await Document.findOne({ _id: documentId, userId, deletedAt: null }).select('+content.pages');
+  if (!document) {
+    throw HttpError.notFound('Document not found');
+  }
+  if (!document.content?.extractedText) {
+    throw HttpError.conflict('Document has no extracted text yet', { code: 'DOCUMENT_NOT_READY' });
+  }
+
+  try {
+    const result = await indexDocument(document);
+    return { ...result, reindexed: true };
+  } catch (error) {
+    // A parallel request indexed the document first
+    if (error.code === 11000) {
+      return { chunkCount: await DocumentChunk.countDocuments({ documentId }), embeddingModel: null, reindexed: false };
+    }
+    throw error;
+  }
+};
+
+// ==========================================
+// RETRIEVAL
+// ==========================================
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'what', 'which', 'who', 'how', 'why', 'when',
+  'does', 'did', 'with', 'that', 'this', 'from', 'about', 'into', 'its', 'can', 'you', 'your',
+  'les', 'des', 'une', 'est', 'que', 'qui', 'pour', 'dans', 'los', 'las', 'del', 'por', 'con', 'una'
+]);
+
+// Lowercase words of three or more characters, without stop words
+export const termsOf = (text) => (String(text).toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [])
+  .filter(term => !STOP_WORDS.has(term));
+
+// Share of the question's terms found in the passage
+const keywordScore = (queryTerms, text) => {
+  if (queryTerms.length === 0) return 0;
+  const terms = new Set(termsOf(text));
+  return queryTerms.filter(term => terms.has(term)).length / queryTerms.length;
+};
+
+// Vectors are stored at unit length, so the dot product is the cosine
+export const cosineSimilarity = (a, b) => {
+  if (!a?.length || a.length !== b?.length) return 0;
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+};
+
+/**
+ * Rank passages against a query
+ * @param {Array<Object>} chunks - Chunks with embeddings
+ * @param {string} query - Question text
+ * @param {Object} options - { limit, minScore }
+ * @returns {Promise<Object>} { chunks: [chunk + score], retrieval: 'embedding' | 'keyword' }
+ */
+export const rankChunks = async (chunks, query, options = {}) => {
+  const { limit = CHAT_SETTINGS.TOP_K, minScore = CHAT_SETTINGS.MIN_SCORE } = options;
+
+  let queryVector = null;
+  const models = new Set(chunks.map(chunk => chunk.embeddingModel).filter(Boolean));
+
+  if (models.size === 1) {
+    try {
+      const result = await embedTexts([query]);
+      if (models.has(`${result.provider}:${result.model}`)) {
+        queryVector = result.embeddings[0];
+      }
+    } catch (error) {
+      console.warn('⚠️ Query embedding failed, ranking by keywords:', error.message);
+    }
+  }
+
+  const queryTerms = [...new Set(termsOf(query))];
+  const ranked = chunks
+    .map(chunk => ({
+      ...chunk,
+      score: queryVector && chunk.embedding?.length
+        ? cosineSimilarity(queryVector, chunk.embedding)
+        : keywordScore(queryTerms, chunk.text)
+    }))
+    .filter(chunk => chunk.score >= minScore)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ embedding, ...chunk }) => ({ ...chunk, score: Math.round(chunk.score * 1000) / 1000 }));
+
+  return { chunks: ranked, retrieval: queryVector ? 'embedding' : 'keyword' };
+};
+
+/**
+ * Find the passages of a document closest to a question
+ * @param {string} documentId - Document ID
+ * @param {string} query - Question text
+ * @param {Object} options - { limit, minScore }
+ * @returns {Promise<Object>} { chunks: [{ index, text, pageStart, pageEnd, section, score }], retrieval }
+ */
+export const retrieveDocumentChunks = async (documentId, query, options = {}) => {
+  const chunks = await DocumentChunk.find({ documentId })
+    .select('+embedding')
+    .sort({ index: 1 })
+    .lean();
+
+  return rankChunks(chunks, query, options);
+};
+
+export default {
+  chunkDocumentText,
+  indexDocument,
+  ensureDocumentIndex,
+  rankChunks,
+  retrieveDocumentChunks
+};
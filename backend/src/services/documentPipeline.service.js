@@ -0,0 +1,309 @@
+/**
+ * Document Pipeline Service
+ * @module services/documentPipeline
+ * @description Runs comprehensive document processing (summary + quiz collection)
+ * as a queued background job with retries and crash recovery
+ */
+
+import Document from '#models/document/Document.js';
+import { HttpError } from '#exceptions/index.js';
+import { processDocumentWithAI, generateComprehensiveQuizCollection } from '#services/ai.service.js';
+import { storeQuizCollection } from '#services/quizCollection.service.js';
+import { indexDocument } from '#services/documentIndex.service.js';
+import { enqueueJob, registerJobHandler } from '#services/jobQueue.service.js';
+import { publishDocumentProgress } from '#services/documentEvents.service.js';
+import { PROCESSING_VALIDATION } from '#constants/models/document/index.js';
+
+const JOB_TYPE = 'document_processing';
+
+// Extraction failures come from the file itself and will not improve on retry
+const EXTRACTION_ERROR_PATTERN = /^(Text extraction failed|Document processing failed|Unsupported file type)/;
+
+const dedupeKeyFor = (documentId) => `${JOB_TYPE}:${documentId}`;
+
+/**
+ * Map a job error to a document processing error type
+ */
+const classifyError = (error) => {
+  if (error.code === 'JOB_STALLED') return 'timeout';
+  if (error.code === 'EXTRACTION_FAILED') return 'extraction_failed';
+  if (error.code === 'SUMMARY_COST_LIMIT_EXCEEDED') return 'cost_limit_exceeded';
+  return 'ai_processing_error';
+};
+
+// ==========================================
+// PROCESSING
+// ==========================================
+
+/**
+ * 🔥 COMPREHENSIVE DOCUMENT PROCESSING WITH LANGUAGE DETECTION
+ * Process document with AI summarization + generate complete quiz collection
+ * @param {string} documentId - Document ID to process
+ * @param {Object} options - Processing options
+ * @param {number} options.attempt - Queue attempt number, mirrored to processing.attempts
+ * @returns {Promise<Object>} Processing result
+ */
+export const processDocumentComprehensively = async (documentId, options = {}) => {
+  console.log(`🏭 Starting comprehensive processing with language detection for document: ${documentId}`);
+
+  // Get document
+  const document = await Document.findOne({ _id: documentId, deletedAt: null }).select('+file.storagePath');
+  if (!document) {
+    throw HttpError.notFound('Document not found', { code: 'DOCUMENT_NOT_FOUND' });
+  }
+
+  // Save a stage transition and tell live subscribers
+  const enterStage = async (stage) => {
+    document.processing.stage = stage;
+    await document.save();
+    await publishDocumentProgress(document._id);
+  };
+
+  // Update status to processing
+  document.status = 'processing';
+  document.processing.startedAt = new Date();
+  document.processing.nextRetryAt = null;
+  if (options.attempt) {
+    document.processing.attempts = Math.min(options.attempt, PROCESSING_VALIDATION.RETRY_ATTEMPTS);
+  }
+  await enterStage('text_extraction');
+
+  // STEP 1: Extract text, then generate AI Summary with Language Detection
+  const summaryResult = await processDocumentWithAI(document.file.storagePath, {
+    onExtracted: () => enterStage('summarization'),
+    // Recorded before any summary request, so the cost is known even if the run fails
+    onEstimated: async (estimate) => {
+      document.processing.summaryEstimate = { ...estimate, estimatedAt: new Date() };
+      await document.save();
+    }
+  });
+
+  if (!summaryResult.success) {
+    const error = new Error(`AI summarization failed: ${summaryResult.error}`);
+    if (EXTRACTION_ERROR_PATTERN.test(summaryResult.error || '')) {
+      error.code = 'EXTRACTION_FAILED';
+      error.retryable = false;
+    } else if (summaryResult.code === 'SUMMARY_COST_LIMIT_EXCEEDED') {
+      // The estimate will not change on retry
+      error.code = summaryResult.code;
+      error.retryable = false;
+    }
+    throw error;
+  }
+
+  console.log(`🌍 Document language detected: ${summaryResult.metadata.detectedLanguage}`);
+
+  // Update document with summary and language
+  document.content.extractedText = summaryResult.extractedText;
+  document.content.summary = summaryResult.summary;
+  document.content.keyPoints = summaryResult.keyPoints;
+  document.content.topics = summaryResult.topics;
+  document.content.pages = summaryResult.pages;
+  document.content.outline = summaryResult.outline;
+  document.content.chapterSummaries = summaryResult.chapterSummaries;
+  document.content.summaryStrategy = summaryResult.summaryStrategy;
+
+  // update file metadata including language
+  document.file.metadata.pageCount = summaryResult.metadata.pageCount;
+  document.file.metadata.wordCount = summaryResult.metadata.wordCount;
+  document.file.metadata.language = summaryResult.metadata.detectedLanguage || 'en';
+  if (summaryResult.quality) {
+    // Per-page OCR confidence, so low-quality pages can be flagged to the user
+    document.file.metadata.quality = summaryResult.quality;
+  }
+
+  document.processing.aiMetadata = summaryResult.metadata;
+  await enterStage('quiz_generation');
+
+  // STEP 2: Generate Comprehensive Quiz Collection (in detected language)
+  const quizCollectionResult = await generateComprehensiveQuizCollection(document.file.storagePath);
+
+  if (!quizCollectionResult.success) {
+    throw new Error(`Quiz collection generation failed: ${quizCollectionResult.error}`);
+  }
+
+  console.log(`🎯 Quiz collection generated in language: ${quizCollectionResult.metadata.detectedLanguage}`);
+
+  // STEP 3: Index passages for document chat; chat indexes on first use if this fails
+  await enterStage('indexing');
+  try {
+    await indexDocument(document);
+  } catch (indexError) {
+    console.warn(`⚠️ Passage indexing failed for document ${documentId} (non-critical):`, indexError.message);
+  }
+
+  // STEP 4: Store Individual Quizzes
+  await enterStage('finalization');
+
+  const storageResult = await storeQuizCollection(
+    quizCollectionResult.quizCollection,
+    document._id,
+    document.userId
+  );
+
+  if (!storageResult.success) {
+    throw new Error(`Quiz storage failed: ${storageResult.error}`);
+  }
+
+  // STEP 5: Mark document as completed
+  document.status = 'completed';
+  document.processing.stage = 'completed';
+  document.processing.completedAt = new Date();
+  document.processing.jobId = null;
+  document.processing.error = { type: null, message: null, details: null, occurredAt: null };
+
+  document.processing.comprehensiveMetadata = {
+    summaryGenerated: true,
+    quizCollectionGenerated: true,
+    quizzesStored: storageResult.storedQuizzes.length,
+    quizzesFailed: storageResult.failedQuizzes.length,
+    totalQuestions: quizCollectionResult.quizCollection.metadata?.totalQuestions || 0,
+    detectedLanguage: summaryResult.metadata.detectedLanguage,
+    processingCompletedAt: new Date()
+  };
+
+  await document.save();
+  await publishDocumentProgress(document._id);
+
+  console.log(`🎉 Comprehensive processing completed successfully for document: ${documentId} in ${summaryResult.metadata.detectedLanguage}`);
+
+  return {
+    success: true,
+    documentId: document._id,
+    detectedLanguage: summaryResult.metadata.detectedLanguage,
+    summary: {
+      summaryGenerated: true,
+      summaryLength: summaryResult.summary.length,
+      keyPointsCount: summaryResult.keyPoints.length
+    },
+    quizCollection: {
+      quizzesGenerated: quizCollectionResult.quizCollection.quizzes.length,
+      quizzesStored: storageResult.storedQuizzes.length,
+      quizzesFailed: storageResult.failedQuizzes.length,
+      totalQuestions: quizCollectionResult.quizCollection.metadata?.totalQuestions || 0
+    },
+    processingTime: Date.now() - document.processing.startedAt.getTime()
+  };
+};
+
+// ==========================================
+// QUEUEING
+// ==========================================
+
+/**
+ * Queue comprehensive processing for a document.
+ * The request is recorded on the document first, so it is recovered by the
+ * reaper if the server stops before the job is saved.
+ * @param {string} documentId - Document ID
+ * @param {string} userId - Owner ID
+ * @param {Object} options - Queue options
+ * @param {boolean} options.reset - Start over after a previous failure
+ * @returns {Promise<Object>} Queued job
+ */
+export const enqueueDocumentProcessing = async (documentId, userId, options = {}) => {
+  const update = {
+    'processing.requestedAt': new Date(),
+    'processing.nextRetryAt': null
+  };
+
+  if (options.reset) {
+    update.status = 'pending';
+    update['processing.attempts'] = 0;
+    update['processing.error.type'] = null;
+    update['processing.error.message'] = null;
+    update['processing.error.occurredAt'] = null;
+    update['processing.completedAt'] = null;
+    update['processing.jobId'] = null;
+  }
+
+  await Document.updateOne({ _id: documentId }, { $set: update });
+
+  const job = await enqueueJob(JOB_TYPE, { documentId: documentId.toString() }, {
+    documentId,
+    userId,
+    dedupeKey: dedupeKeyFor(documentId),
+    maxAttempts: PROCESSING_VALIDATION.RETRY_ATTEMPTS
+  });
+
+  // Skipped if a fast worker already finished the job
+  await Document.updateOne(
+    { _id: documentId, status: { $in: ['pending', 'processing'] } },
+    { $set: { 'processing.jobId': job._id } }
+  );
+  await publishDocumentProgress(documentId);
+
+  return job;
+};
+
+// ==========================================
+// JOB HOOKS
+// ==========================================
+
+const handleJob = (job, { attempt }) => processDocumentComprehensively(job.payload.documentId, { attempt });
+
+/**
+ * A failed attempt will be retried: keep the document in processing and say when
+ */
+const handleRetry = async (job, error, runAt) => {
+  await Document.updateOne({ _id: job.payload.documentId }, {
+    $set: {
+      status: 'processing',
+      'processing.nextRetryAt': runAt,
+      'processing.error': {
+        type: classifyError(error),
+        message: error.message.substring(0, 1000),
+        details: { attempt: job.attempts, maxAttempts: job.maxAttempts },
+        occurredAt: new Date()
+      }
+    }
+  });
+  await publishDocumentProgress(job.payload.documentId);
+};
+
+/**
+ * All attempts used up: record the failure on the document
+ */
+const handleFailure = async (job, error) => {
+  const document = await Document.findById(job.payload.documentId);
+  if (!document) return;
+
+  document.processing.jobId = null;
+  document.processing.nextRetryAt = null;
+  await document.markAsFailed(classifyError(error), error.message.substring(0, 1000), {
+    stage: document.processing.stage,
+    attempts: job.attempts,
+    timestamp: new Date()
+  });
+  await publishDocumentProgress(document._id);
+};
+
+/**
+ * Queue documents whose processing was requested but never reached the queue
+ * @returns {Promise<number>} Documents re-queued
+ */
+const recoverLostRequests = async () => {
+  const documents = await Document.findNeedingProcessing();
+
+  for (const document of documents) {
+    await enqueueDocumentProcessing(document._id, document.userId);
+  }
+
+  return documents.length;
+};
+
+/**
+ * Register the document processing handler with the job queue
+ */
+export const registerDocumentProcessingJobs = () => {
+  registerJobHandler(JOB_TYPE, handleJob, {
+    onRetry: handleRetry,
+    onFailure: handleFailure,
+    recover: recoverLostRequests
+  });
+};
+
+export default {
+  processDocumentComprehensively,
+  enqueueDocumentProcessing,
+  registerDocumentProcessingJobs
+};
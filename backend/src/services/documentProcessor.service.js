@@ -6,9 +6,26 @@
 
 import fs from 'fs';
 import path from 'path';
-import pdfParse from 'pdf-parse';
 import { franc } from 'franc';
 import { HttpError } from '#exceptions/index.js';
+import { ocrConfig } from '#config/index.js';
+import {
+  extractDocxContent,
+  extractPdfContent,
+  extractPptxContent,
+  extractEpubContent,
+  extractMarkdownContent,
+  extractHtmlContent,
+  decodeHtml,
+  checkOcrBinaries,
+  recognizeImage,
+  recognizePdfPages
+} from '#lib/documents/index.js';
+import {
+  DOCUMENT_VALIDATION_RULES,
+  STRUCTURE_VALIDATION,
+  OCR_QUALITY_SETTINGS
+} from '#constants/models/document/index.js';
 
 /**
  * Language detection helper function
@@ -47,10 +64,11 @@ const PROCESSING_CONFIG = {
   // Maximum file size for processing (50MB)
   maxFileSize: 50 * 1024 * 1024,
   
-  maxTextLength: 320 * 1024, // 320KB instead of 1MB
+  // Long documents are summarized chunk by chunk, so only storage bounds the text
+  maxTextLength: DOCUMENT_VALIDATION_RULES.EXTRACTED_TEXT.MAX_LENGTH,
   
   // Supported file types
-  supportedTypes: ['.pdf', '.docx', '.txt'],
+  supportedTypes: ['.pdf', '.docx', '.txt', '.png', '.jpg', '.jpeg', '.pptx', '.epub', '.md', '.markdown', '.html', '.htm'],
   
   // PDF processing options
   pdfOptions: {
@@ -58,7 +76,55 @@ const PROCESSING_CONFIG = {
     max: 0,
     // Version compatibility
     version: 'default'
+  },
+  
+  // Average words on a printed page, used when a format has no page concept
+  wordsPerPageEstimate: 500,
+
+  // OCR'd extractions kept in memory, since processing reads the same file several times
+  ocrCacheSize: 8
+};
+
+/**
+ * Truncate extracted text to the processing limit at a natural break point
+ * @param {string} text - Extracted text
+ * @returns {{ text: string, wasTruncated: boolean }} Possibly truncated text
+ */
+const truncateExtractedText = (text) => {
+  if (text.length <= PROCESSING_CONFIG.maxTextLength) {
+    return { text, wasTruncated: false };
+  }
+  
+  console.log(`⚠️ Text length (${text.length} chars) exceeds limit (${PROCESSING_CONFIG.maxTextLength} chars)`);
+  
+  let breakPoint = PROCESSING_CONFIG.maxTextLength;
+  
+  // Look for paragraph break first (double newline)
+  const paragraphBreak = text.lastIndexOf('\n\n', PROCESSING_CONFIG.maxTextLength);
+  if (paragraphBreak > PROCESSING_CONFIG.maxTextLength * 0.7) {
+    breakPoint = paragraphBreak;
+  } else {
+    // Look for sentence break
+    const sentenceBreak = text.lastIndexOf('.', PROCESSING_CONFIG.maxTextLength);
+    if (sentenceBreak > PROCESSING_CONFIG.maxTextLength * 0.8) {
+      breakPoint = sentenceBreak + 1;
+    }
   }
+  
+  const truncatedText = text.substring(0, breakPoint).trim() + '\n\n[Content truncated for processing...]';
+  console.log(`✂️ Text truncated: ${text.length} → ${truncatedText.length} chars`);
+  
+  return { text: truncatedText, wasTruncated: true };
+};
+
+/**
+ * Count words in extracted text
+ * @param {string} text - Extracted text
+ * @returns {number} Word count
+ */
+const countWords = (text) => {
+  const trimmed = text.trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
 };
 
 /**
@@ -68,6 +134,8 @@ class DocumentExtractionResult {
   constructor(data) {
     this.success = data.success || false;
     this.text = data.text || '';
+    this.pages = data.pages || [];
+    this.outline = data.outline || [];
     this.metadata = data.metadata || {};
     this.processingTime = data.processingTime || 0;
     this.error = data.error || null;
@@ -75,9 +143,146 @@ class DocumentExtractionResult {
 }
 
 /**
- * Extract text from PDF file
+ * Bound per-page text and outline entries to what the Document model stores
+ * @param {Array<Object>} pages - Per-page text
+ * @param {Array<Object>} outline - Outline entries
+ * @returns {{ pages: Array<Object>, outline: Array<Object> }} Storable structure
+ */
+const limitDocumentStructure = (pages, outline) => ({
+  pages: pages.slice(0, STRUCTURE_VALIDATION.MAX_PAGES).map(page => ({
+    pageNumber: page.pageNumber,
+    text: page.text.substring(0, STRUCTURE_VALIDATION.MAX_PAGE_TEXT_LENGTH),
+    wordCount: countWords(page.text)
+  })),
+  outline: outline.slice(0, STRUCTURE_VALIDATION.MAX_OUTLINE_ENTRIES).map(entry => ({
+    title: entry.title.substring(0, STRUCTURE_VALIDATION.MAX_HEADING_LENGTH),
+    level: entry.level,
+    pageNumber: entry.pageNumber || null,
+    sectionNumber: entry.sectionNumber || null
+  }))
+});
+
+// ==========================================
+// OCR & TEXT QUALITY
+// ==========================================
+
+/**
+ * OCR settings for one extraction; tests and callers may override the configured ones
+ */
+const resolveOcrOptions = (overrides = {}) => ({ ...ocrConfig, ...overrides });
+
+/**
+ * Rate an average OCR confidence as poor, fair, good or excellent
+ * @param {number|null} confidence - Mean word confidence (0-100)
+ * @returns {string} Quality rating
+ */
+export const rateOcrConfidence = (confidence) => {
+  if (confidence === null || confidence === undefined) return 'poor';
+  const { RATING_THRESHOLDS } = OCR_QUALITY_SETTINGS;
+  return Object.keys(RATING_THRESHOLDS).find(rating => confidence >= RATING_THRESHOLDS[rating]) || 'poor';
+};
+
+/**
+ * Summarize per-page text sources and OCR confidence for file.metadata.quality
+ * @param {Array<Object>} pages - { pageNumber, source, confidence, wordCount, error }
+ * @returns {Object} { rating, ocrUsed, averageConfidence, lowQualityPages, pages }
+ */
+export const buildQualityReport = (pages) => {
+  const reported = pages.map(page => ({
+    pageNumber: page.pageNumber,
+    source: page.source,
+    confidence: page.confidence ?? null,
+    // Blank scanned pages recognize no words and are not worth flagging
+    lowQuality: page.source === 'none' ||
+      (page.source === 'ocr' && page.confidence !== null && page.confidence < OCR_QUALITY_SETTINGS.LOW_CONFIDENCE)
+  }));
+
+  const ocrConfidences = reported
+    .filter(page => page.source === 'ocr' && page.confidence !== null)
+    .map(page => page.confidence);
+  const averageConfidence = ocrConfidences.length > 0
+    ? Math.round(ocrConfidences.reduce((sum, value) => sum + value, 0) / ocrConfidences.length * 10) / 10
+    : null;
+
+  const ocrUsed = reported.some(page => page.source === 'ocr');
+  const unreadablePages = reported.filter(page => page.source === 'none').length;
+
+  let rating = ocrUsed ? rateOcrConfidence(averageConfidence) : 'excellent';
+  if (unreadablePages > 0) {
+    rating = unreadablePages * 2 >= reported.length ? 'poor' : (rating === 'excellent' ? 'good' : rating);
+  }
+
+  return {
+    rating,
+    ocrUsed,
+    averageConfidence,
+    lowQualityPages: reported.filter(page => page.lowQuality).map(page => page.pageNumber),
+    pages: reported.slice(0, STRUCTURE_VALIDATION.MAX_PAGES)
+  };
+};
+
+/**
+ * Whether a page's text layer is too thin to be the real page content
+ */
+const isSparsePage = (text) => (text || '').replace(/\s/g, '').length < OCR_QUALITY_SETTINGS.SPARSE_PAGE_CHARS;
+
+/**
+ * OCR the pages of a PDF whose text layer is missing or sparse, keeping the
+ * text layer wherever OCR does not find more
+ * @param {string} filePath - PDF path
+ * @param {Array<Object>} pages - Text-layer pages { pageNumber, text }
+ * @param {Object} ocr - OCR options
+ * @returns {Promise<Object>} { pages, quality, ocrPages, ocrUnavailable }
+ */
+const applyOcrToSparsePages = async (filePath, pages, ocr) => {
+  const sparsePageNumbers = pages.filter(page => isSparsePage(page.text)).map(page => page.pageNumber);
+  let recognized = [];
+  let ocrUnavailable = false;
+
+  if (sparsePageNumbers.length > 0) {
+    const binaries = ocr.enabled ? await checkOcrBinaries(ocr) : { tesseract: false, pdftoppm: false };
+
+    if (binaries.tesseract && binaries.pdftoppm) {
+      const toRead = sparsePageNumbers.slice(0, ocr.maxPages);
+      console.log(`🔎 Running OCR on ${toRead.length} page(s) without a usable text layer`);
+      recognized = await recognizePdfPages(filePath, toRead, ocr);
+    } else {
+      ocrUnavailable = true;
+      console.warn(`⚠️ ${sparsePageNumbers.length} page(s) have no usable text layer and OCR is ${ocr.enabled ? 'not installed' : 'disabled'}`);
+    }
+  }
+
+  const recognizedByPage = new Map(recognized.map(result => [result.pageNumber, result]));
+
+  const merged = pages.map(page => {
+    if (!isSparsePage(page.text)) {
+      return { ...page, source: 'text_layer', confidence: null };
+    }
+
+    const result = recognizedByPage.get(page.pageNumber);
+    if (result && !result.error && result.text.trim().length > page.text.trim().length) {
+      return { pageNumber: page.pageNumber, text: result.text, source: 'ocr', confidence: result.confidence };
+    }
+    if (result && !result.error) {
+      // OCR ran and found nothing more, e.g. a blank page
+      return { ...page, source: 'ocr', confidence: result.confidence };
+    }
+    return { ...page, source: 'none', confidence: null };
+  });
+
+  return {
+    pages: merged.map(({ pageNumber, text }) => ({ pageNumber, text })),
+    quality: buildQualityReport(merged),
+    ocrPages: recognized.filter(result => !result.error).length,
+    ocrUnavailable
+  };
+};
+
+/**
+ * Extract text from PDF file with page boundaries and detected outline
  * @param {string} filePath - Path to PDF file
  * @param {Object} options - Processing options
+ * @param {number} options.max - Maximum pages to process (0 = all)
  * @returns {Promise<DocumentExtractionResult>} Extraction result
  */
 const extractTextFromPDF = async (filePath, options = {}) => {
@@ -97,73 +302,58 @@ const extractTextFromPDF = async (filePath, options = {}) => {
       throw new Error(`File size exceeds limit of ${PROCESSING_CONFIG.maxFileSize / 1024 / 1024}MB`);
     }
     
-    // Parse PDF with pdf-parse
-    const pdfData = await pdfParse(fileBuffer, {
-      ...PROCESSING_CONFIG.pdfOptions,
-      ...options
+    const pdfContent = await extractPdfContent(fileBuffer, {
+      maxPages: options.max ?? PROCESSING_CONFIG.pdfOptions.max
     });
     
+    // Scanned pages have no text layer (or only a page number); read them with OCR
+    const ocrResult = await applyOcrToSparsePages(filePath, pdfContent.pages, resolveOcrOptions(options.ocr));
+    const fullText = ocrResult.pages.map(page => page.text).join('\n\n').trim();
+    
     const processingTime = Date.now() - startTime;
     
     // Validate extracted text
-    if (!pdfData.text || pdfData.text.trim().length === 0) {
-      throw new Error('No text content found in PDF');
+    if (!fullText) {
+      throw new Error(ocrResult.ocrUnavailable
+        ? 'No text content found in PDF, and OCR is not available to read scanned pages'
+        : 'No text content found in PDF');
     }
     
-    let extractedText = pdfData.text;
-    let wasTruncated = false;
-    
-    if (extractedText.length > PROCESSING_CONFIG.maxTextLength) {
-      console.log(`⚠️ Text length (${extractedText.length} chars) exceeds limit (${PROCESSING_CONFIG.maxTextLength} chars)`);
-      console.log(`⚠️ Estimated tokens: ${Math.ceil(extractedText.length / 4)} (DeepSeek limit: ~131,000 tokens)`);
-      
-      // Try to find a breaking point
-      let breakPoint = PROCESSING_CONFIG.maxTextLength;
-      
-      // Look for paragraph break first (double newline)
-      const paragraphBreak = extractedText.lastIndexOf('\n\n', PROCESSING_CONFIG.maxTextLength);
-      if (paragraphBreak > PROCESSING_CONFIG.maxTextLength * 0.7) {
-        breakPoint = paragraphBreak;
-        console.log(`✂️ Using paragraph break at position ${breakPoint}`);
-      } else {
-        // Look for sentence break
-        const sentenceBreak = extractedText.lastIndexOf('.', PROCESSING_CONFIG.maxTextLength);
-        if (sentenceBreak > PROCESSING_CONFIG.maxTextLength * 0.8) {
-          breakPoint = sentenceBreak + 1;
-          console.log(`✂️ Using sentence break at position ${breakPoint}`);
-        } else {
-          console.log(`✂️ Using hard truncation at position ${breakPoint}`);
-        }
-      }
-      
-      extractedText = extractedText.substring(0, breakPoint).trim() + '\n\n[Content truncated for processing...]';
-      wasTruncated = true;
-      
-      console.log(`✂️ Text truncated: ${pdfData.text.length} → ${extractedText.length} chars`);
+    const { text: extractedText, wasTruncated } = truncateExtractedText(fullText);
+    if (wasTruncated) {
       console.log(`✂️ Estimated tokens after truncation: ${Math.ceil(extractedText.length / 4)}`);
     }
     
-    // 🆕 NEW: Detect language from extracted text
     const detectedLanguage = detectLanguage(extractedText);
     console.log(`🌍 Detected language: ${detectedLanguage}`);
     
-    console.log(`✅ PDF text extracted successfully (${extractedText.length} characters, ${pdfData.numpages} pages)`);
+    const structure = limitDocumentStructure(ocrResult.pages, pdfContent.outline);
+    
+    console.log(`✅ PDF text extracted successfully (${extractedText.length} characters, ${pdfContent.pageCount} pages, ${ocrResult.ocrPages} via OCR, ${structure.outline.length} outline entries from ${pdfContent.outlineSource})`);
     
     return new DocumentExtractionResult({
       success: true,
       text: extractedText,
+      pages: structure.pages,
+      outline: structure.outline,
       metadata: {
-        pageCount: pdfData.numpages,
-        wordCount: extractedText.split(/\s+/).length,
+        pageCount: pdfContent.pageCount,
+        wordCount: countWords(extractedText),
         characterCount: extractedText.length,
         originalSize: fileStats.size,
-        originalTextLength: pdfData.text.length,
+        originalTextLength: fullText.length,
         wasTruncated: wasTruncated,
-        truncationRatio: wasTruncated ? (extractedText.length / pdfData.text.length) : 1,
+        truncationRatio: wasTruncated ? (extractedText.length / fullText.length) : 1,
         estimatedTokens: Math.ceil(extractedText.length / 4),
-        extractionMethod: 'pdf-parse',
+        extractionMethod: ocrResult.ocrPages > 0 ? 'pdfjs-layout+ocr' : 'pdfjs-layout',
+        quality: ocrResult.quality,
         processingTime: processingTime,
-        detectedLanguage: detectedLanguage
+        detectedLanguage: detectedLanguage,
+        structure: {
+          outlineSource: pdfContent.outlineSource,
+          outlineEntries: structure.outline.length,
+          multiColumnPages: pdfContent.multiColumnPages
+        }
       },
       processingTime
     });
@@ -177,7 +367,7 @@ const extractTextFromPDF = async (filePath, options = {}) => {
       success: false,
       text: '',
       metadata: {
-        extractionMethod: 'pdf-parse',
+        extractionMethod: 'pdfjs-layout',
         processingTime: processingTime,
         detectedLanguage: 'en'
       },
@@ -188,7 +378,7 @@ const extractTextFromPDF = async (filePath, options = {}) => {
 };
 
 /**
- * Extract text from DOCX file (placeholder for future implementation)
+ * Extract text from DOCX file
  * @param {string} filePath - Path to DOCX file
  * @param {Object} options - Processing options
  * @returns {Promise<DocumentExtractionResult>} Extraction result
@@ -197,29 +387,56 @@ const extractTextFromDOCX = async (filePath, options = {}) => {
   const startTime = Date.now();
   
   try {
-    console.log(`📖 Processing DOCX: ${path.basename(filePath)}`);
+    console.log(`📖 Extracting text from DOCX: ${path.basename(filePath)}`);
     
     const fileStats = fs.statSync(filePath);
+    
+    // Check file size limit
+    if (fileStats.size > PROCESSING_CONFIG.maxFileSize) {
+      throw new Error(`File size exceeds limit of ${PROCESSING_CONFIG.maxFileSize / 1024 / 1024}MB`);
+    }
+    
+    const fileBuffer = fs.readFileSync(filePath);
+    const docxContent = await extractDocxContent(fileBuffer);
+    
+    if (!docxContent.text || docxContent.text.trim().length === 0) {
+      throw new Error('No text content found in DOCX');
+    }
+    
+    const { text: extractedText, wasTruncated } = truncateExtractedText(docxContent.text);
     const processingTime = Date.now() - startTime;
     
-    console.log(`⚠️ DOCX processing not yet implemented - using placeholder`);
+    const detectedLanguage = detectLanguage(extractedText);
+    console.log(`🌍 Detected language: ${detectedLanguage}`);
+    
+    // Word only records page counts when it saved the file; otherwise estimate from length
+    const originalWordCount = countWords(docxContent.text);
+    const pageCount = docxContent.recordedPageCount ||
+      Math.max(1, Math.ceil(originalWordCount / PROCESSING_CONFIG.wordsPerPageEstimate));
+    
+    console.log(`✅ DOCX text extracted successfully (${extractedText.length} characters, ${docxContent.structure.headings.length} headings, ${docxContent.structure.tableCount} tables)`);
     
-    const placeholderText = `[DOCX Document - ${path.basename(filePath)}]\n\nThis DOCX document processing is not yet implemented. Please convert to PDF or TXT format for full text extraction.`;
-    const detectedLanguage = detectLanguage(placeholderText);
+    // DOCX has no fixed pagination, so headings carry no page numbers
+    const { outline } = limitDocumentStructure([], docxContent.structure.headings);
     
     return new DocumentExtractionResult({
       success: true,
-      text: placeholderText,
+      text: extractedText,
+      outline: outline,
       metadata: {
-        pageCount: null,
-        wordCount: null,
-        characterCount: null,
+        pageCount: pageCount,
+        pageCountEstimated: !docxContent.recordedPageCount,
+        wordCount: countWords(extractedText),
+        characterCount: extractedText.length,
         originalSize: fileStats.size,
-        wasTruncated: false,
-        estimatedTokens: 50,
-        extractionMethod: 'placeholder',
+        originalTextLength: docxContent.text.length,
+        wasTruncated: wasTruncated,
+        truncationRatio: wasTruncated ? (extractedText.length / docxContent.text.length) : 1,
+        estimatedTokens: Math.ceil(extractedText.length / 4),
+        extractionMethod: 'docx-xml',
         processingTime: processingTime,
-        detectedLanguage: detectedLanguage
+        detectedLanguage: detectedLanguage,
+        structure: docxContent.structure
       },
       processingTime
     });
@@ -227,13 +444,13 @@ const extractTextFromDOCX = async (filePath, options = {}) => {
   } catch (error) {
     const processingTime = Date.now() - startTime;
     
-    console.error(`❌ DOCX processing failed: ${error.message}`);
+    console.error(`❌ DOCX text extraction failed: ${error.message}`);
     
     return new DocumentExtractionResult({
       success: false,
       text: '',
       metadata: {
-        extractionMethod: 'placeholder',
+        extractionMethod: 'docx-xml',
         processingTime: processingTime,
         detectedLanguage: 'en'
       },
@@ -263,30 +480,9 @@ const extractTextFromTXT = async (filePath, options = {}) => {
     }
     
     // Read text file with UTF-8 encoding
-    let text = fs.readFileSync(filePath, 'utf-8');
-    const originalLength = text.length;
-    let wasTruncated = false;
-    
-    if (text.length > PROCESSING_CONFIG.maxTextLength) {
-      console.log(`⚠️ TXT text length (${text.length} chars) exceeds limit (${PROCESSING_CONFIG.maxTextLength} chars)`);
-      
-      let breakPoint = PROCESSING_CONFIG.maxTextLength;
-      
-      const paragraphBreak = text.lastIndexOf('\n\n', PROCESSING_CONFIG.maxTextLength);
-      if (paragraphBreak > PROCESSING_CONFIG.maxTextLength * 0.7) {
-        breakPoint = paragraphBreak;
-      } else {
-        const sentenceBreak = text.lastIndexOf('.', PROCESSING_CONFIG.maxTextLength);
-        if (sentenceBreak > PROCESSING_CONFIG.maxTextLength * 0.8) {
-          breakPoint = sentenceBreak + 1;
-        }
-      }
-      
-      text = text.substring(0, breakPoint).trim() + '\n\n[Content truncated for processing...]';
-      wasTruncated = true;
-      
-      console.log(`✂️ TXT text truncated: ${originalLength} → ${text.length} chars`);
-    }
+    const rawText = fs.readFileSync(filePath, 'utf-8');
+    const originalLength = rawText.length;
+    const { text, wasTruncated } = truncateExtractedText(rawText);
     
     const detectedLanguage = detectLanguage(text);
     console.log(`🌍 Detected language: ${detectedLanguage}`);
@@ -333,6 +529,197 @@ const extractTextFromTXT = async (filePath, options = {}) => {
   }
 };
 
+/**
+ * Formats read by a single parser call: slides, e-books, Markdown notes and web pages
+ */
+const MARKDOWN_FORMAT = { label: 'Markdown', extractionMethod: 'markdown', parse: (buffer) => extractMarkdownContent(buffer.toString('utf-8')) };
+const HTML_FORMAT = { label: 'HTML', extractionMethod: 'html-readable', parse: (buffer) => extractHtmlContent(decodeHtml(buffer)) };
+
+const PARSED_FORMATS = {
+  '.pptx': { label: 'PPTX', extractionMethod: 'pptx-xml', parse: (buffer) => extractPptxContent(buffer) },
+  '.epub': { label: 'EPUB', extractionMethod: 'epub-spine', parse: (buffer) => extractEpubContent(buffer) },
+  '.md': MARKDOWN_FORMAT,
+  '.markdown': MARKDOWN_FORMAT,
+  '.html': HTML_FORMAT,
+  '.htm': HTML_FORMAT
+};
+
+/**
+ * Extract text from PPTX, EPUB, Markdown or HTML files
+ * @param {string} filePath - Path to the file
+ * @param {Object} format - Entry of PARSED_FORMATS
+ * @returns {Promise<DocumentExtractionResult>} Extraction result
+ */
+const extractTextWithParser = async (filePath, format) => {
+  const startTime = Date.now();
+  
+  try {
+    console.log(`📖 Extracting text from ${format.label}: ${path.basename(filePath)}`);
+    
+    const fileStats = fs.statSync(filePath);
+    
+    // Check file size limit
+    if (fileStats.size > PROCESSING_CONFIG.maxFileSize) {
+      throw new Error(`File size exceeds limit of ${PROCESSING_CONFIG.maxFileSize / 1024 / 1024}MB`);
+    }
+    
+    const content = await format.parse(fs.readFileSync(filePath));
+    
+    if (!content.text || content.text.trim().length === 0) {
+      throw new Error(`No text content found in ${format.label}`);
+    }
+    
+    const { text: extractedText, wasTruncated } = truncateExtractedText(content.text);
+    const processingTime = Date.now() - startTime;
+    
+    const detectedLanguage = detectLanguage(extractedText);
+    console.log(`🌍 Detected language: ${detectedLanguage}`);
+    
+    // Slides are pages; other formats reflow, so estimate a printed length
+    const pages = content.pages || [];
+    const pageCount = pages.length ||
+      Math.max(1, Math.ceil(countWords(content.text) / PROCESSING_CONFIG.wordsPerPageEstimate));
+    const structure = limitDocumentStructure(pages, content.headings);
+    
+    console.log(`✅ ${format.label} text extracted successfully (${extractedText.length} characters, ${structure.outline.length} outline entries)`);
+    
+    return new DocumentExtractionResult({
+      success: true,
+      text: extractedText,
+      pages: structure.pages,
+      outline: structure.outline,
+      metadata: {
+        pageCount: pageCount,
+        pageCountEstimated: pages.length === 0,
+        wordCount: countWords(extractedText),
+        characterCount: extractedText.length,
+        originalSize: fileStats.size,
+        originalTextLength: content.text.length,
+        wasTruncated: wasTruncated,
+        truncationRatio: wasTruncated ? (extractedText.length / content.text.length) : 1,
+        estimatedTokens: Math.ceil(extractedText.length / 4),
+        extractionMethod: format.extractionMethod,
+        processingTime: processingTime,
+        detectedLanguage: detectedLanguage,
+        title: content.title || null,
+        structure: content.structure
+      },
+      processingTime
+    });
+    
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    
+    console.error(`❌ ${format.label} text extraction failed: ${error.message}`);
+    
+    return new DocumentExtractionResult({
+      success: false,
+      text: '',
+      metadata: {
+        extractionMethod: format.extractionMethod,
+        processingTime: processingTime,
+        detectedLanguage: 'en'
+      },
+      processingTime,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Extract text from a PNG or JPEG image with OCR
+ * @param {string} filePath - Path to image file
+ * @param {Object} options - Processing options
+ * @param {Object} options.ocr - OCR option overrides
+ * @returns {Promise<DocumentExtractionResult>} Extraction result
+ */
+const extractTextFromImage = async (filePath, options = {}) => {
+  const startTime = Date.now();
+  
+  try {
+    console.log(`📖 Reading image with OCR: ${path.basename(filePath)}`);
+    
+    const fileStats = fs.statSync(filePath);
+    
+    // Check file size limit
+    if (fileStats.size > PROCESSING_CONFIG.maxFileSize) {
+      throw new Error(`File size exceeds limit of ${PROCESSING_CONFIG.maxFileSize / 1024 / 1024}MB`);
+    }
+    
+    const ocr = resolveOcrOptions(options.ocr);
+    const binaries = ocr.enabled ? await checkOcrBinaries(ocr) : { tesseract: false };
+    if (!binaries.tesseract) {
+      throw new Error(`OCR is ${ocr.enabled ? 'not installed' : 'disabled'}, so images cannot be read`);
+    }
+    
+    // Photos carry no reliable resolution, so Tesseract estimates it
+    const recognized = await recognizeImage(filePath, { ...ocr, dpi: null });
+    
+    if (!recognized.text.trim()) {
+      throw new Error('No text content found in image');
+    }
+    
+    const { text, wasTruncated } = truncateExtractedText(recognized.text);
+    const quality = buildQualityReport([{ pageNumber: 1, source: 'ocr', confidence: recognized.confidence }]);
+    const structure = limitDocumentStructure([{ pageNumber: 1, text: recognized.text }], []);
+    
+    const detectedLanguage = detectLanguage(text);
+    console.log(`🌍 Detected language: ${detectedLanguage}`);
+    
+    const processingTime = Date.now() - startTime;
+    
+    console.log(`✅ Image text recognized (${text.length} characters, ${recognized.confidence}% confidence)`);
+    
+    return new DocumentExtractionResult({
+      success: true,
+      text: text,
+      pages: structure.pages,
+      metadata: {
+        pageCount: 1,
+        wordCount: countWords(text),
+        characterCount: text.length,
+        originalSize: fileStats.size,
+        originalTextLength: recognized.text.length,
+        wasTruncated: wasTruncated,
+        truncationRatio: wasTruncated ? (text.length / recognized.text.length) : 1,
+        estimatedTokens: Math.ceil(text.length / 4),
+        extractionMethod: 'tesseract-ocr',
+        quality: quality,
+        processingTime: processingTime,
+        detectedLanguage: detectedLanguage
+      },
+      processingTime
+    });
+    
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+    
+    console.error(`❌ Image OCR failed: ${error.message}`);
+    
+    return new DocumentExtractionResult({
+      success: false,
+      text: '',
+      metadata: {
+        extractionMethod: 'tesseract-ocr',
+        processingTime: processingTime,
+        detectedLanguage: 'en'
+      },
+      processingTime,
+      error: error.message
+    });
+  }
+};
+
+const ocrResultCache = new Map();
+
+/**
+ * Cache key for a file's current contents, so a re-upload at the same path is re-read
+ */
+const ocrCacheKey = (filePath) => {
+  const stats = fs.statSync(filePath);
+  return `${filePath}:${stats.size}:${stats.mtimeMs}`;
+};
+
 /**
  * Main document processing function - extracts text from various document types
  * @param {string} filePath - Path to document file
@@ -364,6 +751,12 @@ export const extractDocumentText = async (filePath, options = {}) => {
     
     console.log(`🔍 Processing document: ${path.basename(filePath)} (${fileExtension})`);
     
+    const cacheKey = ocrCacheKey(filePath);
+    if (ocrResultCache.has(cacheKey)) {
+      console.log(`♻️ Reusing OCR result for ${path.basename(filePath)}`);
+      return ocrResultCache.get(cacheKey);
+    }
+    
     // Route to appropriate extraction method
     let result;
     switch (fileExtension) {
@@ -376,6 +769,19 @@ export const extractDocumentText = async (filePath, options = {}) => {
       case '.txt':
         result = await extractTextFromTXT(filePath, options);
         break;
+      case '.png':
+      case '.jpg':
+      case '.jpeg':
+        result = await extractTextFromImage(filePath, options);
+        break;
+      case '.pptx':
+      case '.epub':
+      case '.md':
+      case '.markdown':
+      case '.html':
+      case '.htm':
+        result = await extractTextWithParser(filePath, PARSED_FORMATS[fileExtension]);
+        break;
       default:
         throw HttpError.badRequest(`Unsupported file type: ${fileExtension}`, {
           code: 'UNSUPPORTED_FILE_TYPE'
@@ -394,6 +800,13 @@ export const extractDocumentText = async (filePath, options = {}) => {
       });
     }
     
+    if (result.metadata.quality?.ocrUsed) {
+      ocrResultCache.set(cacheKey, result);
+      if (ocrResultCache.size > PROCESSING_CONFIG.ocrCacheSize) {
+        ocrResultCache.delete(ocrResultCache.keys().next().value);
+      }
+    }
+    
     const estimatedTokens = result.metadata.estimatedTokens || Math.ceil(result.text.length / 4);
     console.log(`🧮 Token estimation: ~${estimatedTokens} tokens (DeepSeek limit: 131,072 tokens)`);
     
@@ -494,6 +907,8 @@ export const validateDocument = async (filePath) => {
 
 export default {
   extractDocumentText,
+  rateOcrConfidence,
+  buildQualityReport,
   getDocumentStats,
   validateDocument,
   PROCESSING_CONFIG
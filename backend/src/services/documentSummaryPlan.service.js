@@ -0,0 +1,240 @@
+/**
+ * Document Summary Plan Service
+ * @module services/documentSummaryPlan
+ * @description Splits a document into chapters and token-bounded sections for
+ * map-reduce summarization. Chapters follow the top level of the detected
+ * outline; without one, consecutive sections are grouped into parts.
+ */
+
+import { SUMMARY_TREE_VALIDATION } from '#constants/models/document/index.js';
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+const PLAN_SETTINGS = Object.freeze({
+  charsPerToken: 4,
+  sectionsPerPart: 8 // Sections per part when the document has no usable outline
+});
+
+const estimateTokens = (text) => Math.ceil(text.length / PLAN_SETTINGS.charsPerToken);
+
+// ==========================================
+// TEXT SPLITTING
+// ==========================================
+
+/**
+ * Paragraphs of a text, with paragraphs over the limit split into sentences
+ * and sentences over the limit cut to size
+ */
+const splitIntoPieces = (text, maxChars) => String(text || '')
+  .split(/\n\s*\n/)
+  .flatMap(paragraph => {
+    const clean = paragraph.trim();
+    if (!clean) return [];
+    if (clean.length <= maxChars) return [clean];
+
+    return clean
+      .split(/(?<=[.!?])\s+/)
+      .flatMap(sentence => sentence.length <= maxChars
+        ? [sentence]
+        : sentence.match(new RegExp(`[\\s\\S]{1,${maxChars}}`, 'g')));
+  });
+
+/**
+ * Pack page (or whole-text) units into sections of at most maxChars,
+ * keeping the pages each section spans
+ * @param {Array<Object>} units - { pageNumber, text } in reading order
+ * @param {number} maxChars - Section size limit
+ * @returns {Array<Object>} { text, pageStart, pageEnd }
+ */
+const packSections = (units, maxChars) => {
+  const sections = [];
+  let current = null;
+
+  for (const { pageNumber, text } of units) {
+    for (const piece of splitIntoPieces(text, maxChars)) {
+      if (current && current.text.length + piece.length + 2 > maxChars) {
+        sections.push(current);
+        current = null;
+      }
+
+      if (!current) {
+        current = { text: '', pageStart: pageNumber, pageEnd: pageNumber };
+      }
+
+      current.text = current.text ? `${current.text}\n\n${piece}` : piece;
+      current.pageEnd = pageNumber;
+    }
+  }
+
+  if (current) sections.push(current);
+  return sections;
+};
+
+// ==========================================
+// CHAPTER DETECTION
+// ==========================================
+
+/**
+ * Top-level outline entries, the shallowest level that has at least two entries
+ */
+const topLevelEntries = (outline, withPages) => {
+  const entries = outline.filter(entry => entry.title && (!withPages || entry.pageNumber));
+  const levels = [...new Set(entries.map(entry => entry.level || 1))].sort((a, b) => a - b);
+  const level = levels.find(candidate => entries.filter(entry => (entry.level || 1) === candidate).length >= 2);
+
+  if (level === undefined) return { level: null, entries: [] };
+  return { level, entries: entries.filter(entry => (entry.level || 1) === level) };
+};
+
+/**
+ * Chapters as page ranges, from outline entries that carry page numbers.
+ * Pages before the first chapter become an untitled opening chapter.
+ */
+const chaptersFromPages = (pages, outline) => {
+  const { level, entries } = topLevelEntries(outline, true);
+  const starts = entries.filter((entry, index) => index === 0 || entry.pageNumber > entries[index - 1].pageNumber);
+  if (starts.length < 2) return null;
+
+  const firstPage = pages[0].pageNumber;
+  const lastPage = pages[pages.length - 1].pageNumber;
+  const ranges = starts.map((entry, index) => ({
+    title: entry.title,
+    pageStart: entry.pageNumber,
+    pageEnd: index + 1 < starts.length ? starts[index + 1].pageNumber - 1 : lastPage
+  }));
+
+  if (ranges[0].pageStart > firstPage) {
+    ranges.unshift({ title: null, pageStart: firstPage, pageEnd: ranges[0].pageStart - 1 });
+  }
+
+  const subheadings = outline.filter(entry => entry.pageNumber && (entry.level || 1) > level);
+
+  return ranges.map(range => ({
+    ...range,
+    units: pages.filter(page => page.pageNumber >= range.pageStart && page.pageNumber <= range.pageEnd),
+    // Sections are named after the first subheading that starts on their pages
+    titleFor: (section) => subheadings.find(entry => entry.pageNumber >= section.pageStart && entry.pageNumber <= section.pageEnd)?.title || null
+  }));
+};
+
+/**
+ * Chapters as text spans, found by matching heading titles to whole lines
+ * of the text in outline order. Used for formats without pages.
+ */
+const chaptersFromHeadings = (text, outline) => {
+  const { level, entries } = topLevelEntries(outline, false);
+  if (entries.length < 2) return null;
+
+  const lines = text.split('\n');
+  const boundaries = [];
+  let next = 0;
+  let offset = 0;
+
+  for (const line of lines) {
+    if (next < entries.length && line.trim() === entries[next].title.trim()) {
+      boundaries.push({ title: entries[next].title, offset });
+      next++;
+    }
+    offset += line.length + 1;
+  }
+
+  if (boundaries.length < 2) return null;
+  if (boundaries[0].offset > 0 && text.slice(0, boundaries[0].offset).trim()) {
+    boundaries.unshift({ title: null, offset: 0 });
+  }
+
+  const subheadings = new Set(outline
+    .filter(entry => (entry.level || 1) > level)
+    .map(entry => entry.title.trim()));
+
+  return boundaries.map((boundary, index) => ({
+    title: boundary.title,
+    pageStart: null,
+    pageEnd: null,
+    units: [{ pageNumber: null, text: text.slice(boundary.offset, boundaries[index + 1]?.offset ?? text.length) }],
+    titleFor: (section) => section.text.split('\n').map(line => line.trim()).find(line => subheadings.has(line)) || null
+  }));
+};
+
+/**
+ * Group sections into untitled parts when no chapters were found
+ */
+const partsFromSections = (sections) => {
+  const parts = [];
+  for (let start = 0; start < sections.length; start += PLAN_SETTINGS.sectionsPerPart) {
+    const partSections = sections.slice(start, start + PLAN_SETTINGS.sectionsPerPart);
+    parts.push({
+      title: null,
+      pageStart: partSections[0].pageStart,
+      pageEnd: partSections[partSections.length - 1].pageEnd,
+      sections: partSections
+    });
+  }
+  return parts;
+};
+
+// ==========================================
+// PUBLIC API
+// ==========================================
+
+/**
+ * Plan how a document is summarized. Text that fits in one chunk is
+ * summarized in a single request; longer text is split into chapters made of
+ * sections that each fit in one request.
+ * @param {Object} content - { text, pages: [{ pageNumber, text }], outline: [{ title, level, pageNumber }], pageCount }
+ * @param {Object} options
+ * @param {number} options.chunkTokens - Largest section, in tokens
+ * @returns {Object} { strategy, totalTokens, sectionCount, chapters: [{ title, pageStart, pageEnd, sections: [{ title, pageStart, pageEnd, text, tokens }] }] }
+ */
+export const planDocumentSummary = ({ text, pages = [], outline = [], pageCount = null }, { chunkTokens }) => {
+  const fullText = String(text || '');
+  const totalTokens = estimateTokens(fullText);
+
+  if (totalTokens <= chunkTokens) {
+    return { strategy: 'single_pass', totalTokens, sectionCount: 1, chapters: [] };
+  }
+
+  const maxChars = chunkTokens * PLAN_SETTINGS.charsPerToken;
+
+  // Page text is only a complete copy of the document when every page was kept
+  const pageUnits = (pages || []).filter(page => page.text?.trim());
+  const usePages = pageUnits.length > 0 && (!pageCount || pages.length >= pageCount);
+  const units = usePages
+    ? pageUnits.map(page => ({ pageNumber: page.pageNumber, text: page.text }))
+    : [{ pageNumber: null, text: fullText }];
+
+  const detected = usePages ? chaptersFromPages(units, outline || []) : chaptersFromHeadings(fullText, outline || []);
+
+  let chapters;
+  if (detected && detected.length <= SUMMARY_TREE_VALIDATION.MAX_CHAPTERS) {
+    chapters = detected
+      .map(chapter => ({
+        title: chapter.title,
+        pageStart: chapter.pageStart,
+        pageEnd: chapter.pageEnd,
+        sections: packSections(chapter.units, maxChars).map(section => ({ ...section, title: chapter.titleFor(section) }))
+      }))
+      .filter(chapter => chapter.sections.length > 0);
+  } else {
+    chapters = partsFromSections(packSections(units, maxChars).map(section => ({ ...section, title: null })));
+  }
+
+  chapters.forEach(chapter => {
+    chapter.sections.forEach(section => {
+      section.tokens = estimateTokens(section.text);
+    });
+  });
+
+  return {
+    strategy: 'map_reduce',
+    totalTokens,
+    sectionCount: chapters.reduce((sum, chapter) => sum + chapter.sections.length, 0),
+    chapters
+  };
+};
+
+export default {
+  planDocumentSummary
+};
@@ -0,0 +1,291 @@
+/**
+ * Earning Rules Service
+ * @module services/earningRules
+ * @description Decides what points an event earns. Points are only awarded
+ * for the events in POINTS_EARNING_RULES, computed here from facts the server
+ * recorded, and held to each rule's cooldown and daily limits. Every award is
+ * posted through the points ledger under a key naming the event occurrence,
+ * so the same quiz attempt or upload never earns twice.
+ */
+
+import mongoose from 'mongoose';
+import PointsJournalEntry from '#models/transaction/PointsJournalEntry.js';
+import { Student } from '#models/users/index.js';
+import { HttpError } from '#exceptions/index.js';
+import { createPointsEarningTransaction } from '#services/transaction.service.js';
+import {
+  POINTS_EARNING_RULES,
+  POINTS_EARNING_RATES,
+  calculateQuizPoints,
+  calculateFlashcardReviewPoints,
+  calculateFocusSessionPoints,
+  calculateStreakPoints
+} from '#constants/models/transaction/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ==========================================
+// AWARD CALCULATION
+// ==========================================
+
+const performanceLevelOf = (score) => {
+  if (score >= 90) return 'excellent';
+  if (score >= 80) return 'good';
+  if (score >= 70) return 'average';
+  if (score >= 60) return 'below_average';
+  return 'poor';
+};
+
+/**
+ * Points and description for each event, from server-side facts only
+ */
+const EVENT_AWARDS = {
+  quiz_completion: ({ score = 0, difficulty = 'medium' }) => ({
+    points: calculateQuizPoints(difficulty, performanceLevelOf(score)),
+    description: `Quiz completed with ${score}% score`
+  }),
+
+  flashcard_review: ({ cardsReviewed = 0 }) => ({
+    points: cardsReviewed > 0 ? calculateFlashcardReviewPoints(cardsReviewed) : 0,
+    description: `Reviewed ${cardsReviewed} flashcard${cardsReviewed === 1 ? '' : 's'}`
+  }),
+
+  document_upload: () => ({
+    points: POINTS_EARNING_RATES.DOCUMENT_UPLOAD.base,
+    description: 'Document uploaded'
+  }),
+
+  focus_session: ({ minutes = 0 }) => ({
+    points: calculateFocusSessionPoints(minutes),
+    description: `Focus session of ${Math.floor(minutes)} minute${Math.floor(minutes) === 1 ? '' : 's'}`
+  }),
+
+  study_streak: ({ streakDays = 1 }) => ({
+    points: calculateStreakPoints(streakDays),
+    description: `Study streak: day ${streakDays}`
+  }),
+
+  achievement: ({ achievementType }) => ({
+    points: POINTS_EARNING_RATES.ACHIEVEMENT_BONUS[achievementType] || 0,
+    description: `Achievement unlocked: ${achievementType}`
+  })
+};
+
+// ==========================================
+// LIMITS
+// ==========================================
+
+const startOfUtcDay = (date = new Date()) => new Date(Date.UTC(
+  date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()
+));
+
+/**
+ * Awards a rule already made to a user today, and when it last made one
+ */
+const usageOf = async (userId, rule) => {
+  const id = new mongoose.Types.ObjectId(String(userId));
+  const filter = { userIds: id, type: 'earn', source: rule.transactionType };
+
+  const [today, last] = await Promise.all([
+    PointsJournalEntry.aggregate([
+      { $match: { ...filter, createdAt: { $gte: startOfUtcDay() } } },
+      { $unwind: '$postings' },
+      { $match: { 'postings.userId': id } },
+      { $group: { _id: null, points: { $sum: '$postings.points' }, awards: { $sum: 1 } } }
+    ]),
+    rule.cooldownSeconds
+      ? PointsJournalEntry.findOne(filter).sort({ createdAt: -1 }).select('createdAt').lean()
+      : null
+  ]);
+
+  return {
+    points: today[0]?.points || 0,
+    awards: today[0]?.awards || 0,
+    lastAwardAt: last?.createdAt || null
+  };
+};
+
+/**
+ * Points the rule still allows, or why it allows none
+ * @returns {Object} { points } or { reason }
+ */
+const applyLimits = (rule, points, usage) => {
+  if (usage.lastAwardAt && Date.now() - usage.lastAwardAt.getTime() < rule.cooldownSeconds * 1000) {
+    return { reason: 'cooldown' };
+  }
+  if (rule.maxAwardsPerDay && usage.awards >= rule.maxAwardsPerDay) {
+    return { reason: 'daily_limit' };
+  }
+  if (rule.dailyCap) {
+    const remaining = rule.dailyCap - usage.points;
+    if (remaining <= 0) return { reason: 'daily_cap' };
+    return { points: Math.min(points, remaining) };
+  }
+  return { points };
+};
+
+const notAwarded = (event, reason) => ({
+  success: true,
+  awarded: false,
+  event,
+  reason,
+  pointsEarned: 0,
+  transaction: null,
+  newTotalPoints: null,
+  bonuses: []
+});
+
+// ==========================================
+// AWARDS
+// ==========================================
+
+/**
+ * Award the points an event earns under its rule
+ * @param {string} event - Key of POINTS_EARNING_RULES
+ * @param {Object} occurrence
+ * @param {string} occurrence.userId - Student earning the points
+ * @param {string} occurrence.reference - Identifies this occurrence (attempt id,
+ *   document id, ...); an occurrence earns once
+ * @param {Object} [occurrence.facts] - Server-side facts the points are computed from
+ * @param {string} [occurrence.relatedId] - Quiz, document, ... the award belongs to
+ * @param {Object} [occurrence.metadata] - Request metadata kept on the transaction
+ * @returns {Promise<Object>} { awarded, reason, pointsEarned, transaction, newTotalPoints, bonuses };
+ *   reason is duplicate, no_points, cooldown, daily_limit or daily_cap when nothing was awarded
+ */
+export const awardEarningEvent = async (event, { userId, reference, facts = {}, relatedId = null, metadata = {} }) => {
+  try {
+    const rule = POINTS_EARNING_RULES[event];
+    if (!rule || !EVENT_AWARDS[event]) {
+      throw HttpError.badRequest(`Unknown earning event: ${event}`, {
+        code: 'UNKNOWN_EARNING_EVENT',
+        context: { validEvents: Object.keys(POINTS_EARNING_RULES) }
+      });
+    }
+    if (!userId || !reference) {
+      throw HttpError.badRequest('Earning events need a user and a reference', { code: 'MISSING_EVENT_REFERENCE' });
+    }
+
+    const idempotencyKey = `${event}:${reference}`;
+    if (await PointsJournalEntry.exists({ idempotencyKey })) {
+      return notAwarded(event, 'duplicate');
+    }
+
+    const { points, description } = EVENT_AWARDS[event](facts);
+    if (!points || points <= 0) {
+      return notAwarded(event, 'no_points');
+    }
+
+    const limited = applyLimits(rule, points, await usageOf(userId, rule));
+    if (limited.reason) {
+      console.log(`ℹ️ No ${event} points for ${userId}: ${limited.reason}`);
+      return notAwarded(event, limited.reason);
+    }
+
+    const award = await createPointsEarningTransaction({
+      userId,
+      type: rule.transactionType,
+      pointsEarned: limited.points,
+      description,
+      relatedId,
+      idempotencyKey,
+      metadata: {
+        ...metadata,
+        source: event,
+        transactionContext: event
+      }
+    });
+    if (award.duplicate) {
+      return notAwarded(event, 'duplicate');
+    }
+
+    // Streak and achievement bonuses follow activity, never each other
+    const bonuses = ['study_streak', 'achievement'].includes(event) ? [] : await awardFollowUpBonuses(userId);
+
+    console.log(`🎯 ${event}: +${limited.points} points${limited.points < points ? ` (capped from ${points})` : ''}`);
+
+    return {
+      success: true,
+      awarded: true,
+      event,
+      reason: null,
+      pointsEarned: limited.points,
+      capped: limited.points < points,
+      transaction: award.transaction,
+      newTotalPoints: award.newTotalPoints,
+      bonuses
+    };
+
+  } catch (error) {
+    console.error(`❌ Award ${event} points error:`, error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to award points: ${error.message}`);
+  }
+};
+
+/**
+ * Award today's study streak bonus once
+ * @param {string} userId - Student ID
+ * @returns {Promise<Object>} Award result
+ */
+export const awardStudyStreak = async (userId) => {
+  const student = await Student.findById(userId).select('progress.studyStreak progress.lastStudyDate').lean();
+  if (!student) {
+    throw HttpError.notFound('User not found');
+  }
+
+  // The streak as it stands once today counts, whether or not today was recorded yet
+  const { studyStreak = 0, lastStudyDate } = student.progress || {};
+  const today = startOfUtcDay();
+  const daysSince = lastStudyDate ? Math.round((today - startOfUtcDay(new Date(lastStudyDate))) / DAY_MS) : null;
+  let streakDays = 1;
+  if (daysSince === 0) streakDays = Math.max(studyStreak, 1);
+  else if (daysSince === 1) streakDays = studyStreak + 1;
+
+  return awardEarningEvent('study_streak', {
+    userId,
+    reference: `${userId}:${today.toISOString().slice(0, 10)}`,
+    facts: { streakDays }
+  });
+};
+
+/**
+ * Award the bonus for every unlocked achievement not yet paid out
+ * @param {string} userId - Student ID
+ * @returns {Promise<Array>} Awards made
+ */
+export const awardAchievementBonuses = async (userId) => {
+  const student = await Student.findById(userId).select('analytics.achievements').lean();
+  const types = [...new Set((student?.analytics?.achievements || []).map(achievement => achievement.type))]
+    .filter(type => POINTS_EARNING_RATES.ACHIEVEMENT_BONUS[type]);
+
+  const awards = [];
+  for (const achievementType of types) {
+    const award = await awardEarningEvent('achievement', {
+      userId,
+      reference: `${userId}:${achievementType}`,
+      facts: { achievementType }
+    });
+    if (award.awarded) awards.push(award);
+  }
+  return awards;
+};
+
+// Bonuses are extras: a failure here never undoes the award that led to it
+const awardFollowUpBonuses = async (userId) => {
+  try {
+    const streak = await awardStudyStreak(userId);
+    const achievements = await awardAchievementBonuses(userId);
+
+    return [streak, ...achievements]
+      .filter(award => award.awarded)
+      .map(award => ({ event: award.event, pointsEarned: award.pointsEarned, description: award.transaction?.description }));
+  } catch (error) {
+    console.warn(`⚠️ Bonus points check failed for ${userId}:`, error.message);
+    return [];
+  }
+};
+
+export default {
+  awardEarningEvent,
+  awardStudyStreak,
+  awardAchievementBonuses
+};
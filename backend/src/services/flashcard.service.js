@@ -0,0 +1,439 @@
+/**
+ * Flashcard Service
+ * @module services/flashcard
+ * @description Business logic for flashcard generation, spaced-repetition reviews and deck stats
+ */
+
+import mongoose from 'mongoose';
+import Flashcard from '#models/flashcard/Flashcard.js';
+import Document from '#models/document/Document.js';
+import Transaction from '#models/transaction/Transaction.js';
+import { HttpError } from '#exceptions/index.js';
+import {
+  FLASHCARD_GRADES,
+  FLASHCARD_SCHEDULING,
+  FLASHCARD_DEFAULTS,
+  FLASHCARD_VALIDATION_RULES,
+  isValidFlashcardGrade
+} from '#constants/models/flashcard/index.js';
+import { generateFlashcardsFromDocument } from '#services/ai.service.js';
+import earningRulesService from '#services/earningRules.service.js';
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+const endOfToday = () => {
+  const end = new Date();
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+const startOfToday = () => {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+// Whitespace and case differences do not make a new card
+const cardKey = (front) => front.toLowerCase().replace(/\s+/g, ' ').trim();
+
+// ==========================================
+// GENERATION
+// ==========================================
+
+/**
+ * Generate flashcards from a processed document
+ * @param {string} documentId - Document to generate cards from
+ * @param {string} userId - Owner of the document
+ * @param {Object} options - { count }
+ * @returns {Promise<Object>} Created cards and generation metadata
+ */
+export const generateFlashcardsForDocument = async (documentId, userId, options = {}) => {
+  try {
+    const count = parseInt(options.count ?? FLASHCARD_DEFAULTS.GENERATE_COUNT);
+    const { MIN, MAX, ERROR_MESSAGE } = FLASHCARD_VALIDATION_RULES.GENERATE_COUNT;
+
+    if (Number.isNaN(count) || count < MIN || count > MAX) {
+      throw HttpError.badRequest(ERROR_MESSAGE, {
+        code: 'INVALID_FLASHCARD_COUNT',
+        context: { min: MIN, max: MAX }
+      });
+    }
+
+    console.log(`🃏 Generating ${count} flashcards for document ${documentId}`);
+
+    const document = await Document.findOne({
+      _id: documentId,
+      userId,
+      deletedAt: null
+    }).select('+file.storagePath');
+
+    if (!document) {
+      throw HttpError.notFound('Document not found or access denied', {
+        code: 'DOCUMENT_NOT_FOUND',
+        context: { documentId, userId }
+      });
+    }
+
+    if (document.status !== 'completed') {
+      throw HttpError.badRequest('Document must be processed before generating flashcards', {
+        code: 'DOCUMENT_NOT_PROCESSED',
+        context: { status: document.status }
+      });
+    }
+
+    const result = await generateFlashcardsFromDocument(document.file.storagePath, {
+      count,
+      maxFrontLength: FLASHCARD_VALIDATION_RULES.FRONT.MAX_LENGTH,
+      maxBackLength: FLASHCARD_VALIDATION_RULES.BACK.MAX_LENGTH
+    });
+
+    if (!result.success) {
+      throw HttpError.internalServerError('Failed to generate flashcards', {
+        code: 'FLASHCARD_GENERATION_FAILED',
+        context: { reason: result.error }
+      });
+    }
+
+    // Regenerating adds new cards only; existing cards keep their schedule
+    const existing = await Flashcard.find({ userId, documentId, deletedAt: null }).select('front');
+    const seen = new Set(existing.map(card => cardKey(card.front)));
+
+    const newCards = result.flashcards.filter(card => {
+      const key = cardKey(card.front);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    const flashcards = await Flashcard.insertMany(newCards.map(card => ({
+      ...card,
+      userId,
+      documentId,
+      aiMetadata: {
+        model: result.metadata.model,
+        tokensUsed: Math.round(result.metadata.tokensUsed / Math.max(newCards.length, 1)),
+        generatedAt: new Date()
+      }
+    })));
+
+    console.log(`✅ ${flashcards.length} flashcards created (${result.flashcards.length - newCards.length} duplicates skipped)`);
+
+    return {
+      success: true,
+      flashcards,
+      metadata: {
+        created: flashcards.length,
+        duplicatesSkipped: result.flashcards.length - newCards.length,
+        documentTitle: document.title,
+        aiMetadata: result.metadata
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Flashcard generation service error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to generate flashcards: ${error.message}`);
+  }
+};
+
+// ==========================================
+// REVIEWS
+// ==========================================
+
+/**
+ * Get cards due for review by the end of today
+ * @param {string} userId - Owner
+ * @param {Object} options - { documentId, limit }
+ * @returns {Promise<Object>} Due cards and the total due count
+ */
+export const getDueFlashcards = async (userId, options = {}) => {
+  try {
+    const { documentId = null } = options;
+    const { MIN, MAX } = FLASHCARD_VALIDATION_RULES.DUE_LIMIT;
+    const limit = Math.min(MAX, Math.max(MIN, parseInt(options.limit) || FLASHCARD_DEFAULTS.DUE_LIMIT));
+    const dueBefore = endOfToday();
+
+    const query = {
+      userId,
+      status: 'active',
+      deletedAt: null,
+      'schedule.dueAt': { $lte: dueBefore }
+    };
+    if (documentId) query.documentId = documentId;
+
+    const [flashcards, totalDue] = await Promise.all([
+      Flashcard.findDue(userId, { documentId, dueBefore, limit }),
+      Flashcard.countDocuments(query)
+    ]);
+
+    return {
+      success: true,
+      flashcards,
+      totalDue,
+      dueBefore
+    };
+
+  } catch (error) {
+    console.error('❌ Get due flashcards service error:', error);
+    throw HttpError.internalServerError(`Failed to get due flashcards: ${error.message}`);
+  }
+};
+
+/**
+ * Grade a card and schedule its next review
+ * @param {string} flashcardId - Card ID
+ * @param {string} userId - Owner
+ * @param {string} grade - again, hard, good or easy
+ * @returns {Promise<Object>} Updated card
+ */
+export const reviewFlashcard = async (flashcardId, userId, grade) => {
+  try {
+    if (!isValidFlashcardGrade(grade)) {
+      throw HttpError.badRequest('Invalid review grade', {
+        code: 'INVALID_FLASHCARD_GRADE',
+        context: { validGrades: FLASHCARD_GRADES }
+      });
+    }
+
+    const flashcard = await Flashcard.findOne({
+      _id: flashcardId,
+      userId,
+      deletedAt: null
+    });
+
+    if (!flashcard) {
+      throw HttpError.notFound('Flashcard not found', {
+        code: 'FLASHCARD_NOT_FOUND'
+      });
+    }
+
+    if (flashcard.status !== 'active') {
+      throw HttpError.badRequest('Suspended flashcards cannot be reviewed', {
+        code: 'FLASHCARD_SUSPENDED'
+      });
+    }
+
+    await flashcard.review(grade);
+
+    console.log(`🃏 Flashcard ${flashcardId} graded ${grade}, next review in ${flashcard.schedule.interval} days`);
+
+    return {
+      success: true,
+      flashcard
+    };
+
+  } catch (error) {
+    console.error('❌ Review flashcard service error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to review flashcard: ${error.message}`);
+  }
+};
+
+/**
+ * Award points for the cards reviewed since a session started.
+ * Only cards reviewed after the last awarded session count, so a session
+ * cannot be completed twice.
+ * @param {string} userId - Reviewer
+ * @param {Object} sessionData - { startedAt, documentId, metadata }
+ * @returns {Promise<Object>} Cards reviewed and points earned
+ */
+export const completeReviewSession = async (userId, sessionData = {}) => {
+  try {
+    const { documentId = null, metadata = {} } = sessionData;
+    const startedAt = new Date(sessionData.startedAt);
+    const now = new Date();
+    const maxAgeMs = FLASHCARD_VALIDATION_RULES.SESSION_MAX_HOURS * 60 * 60 * 1000;
+
+    if (Number.isNaN(startedAt.getTime()) || startedAt > now || now - startedAt > maxAgeMs) {
+      throw HttpError.badRequest(`Session start must be a date within the last ${FLASHCARD_VALIDATION_RULES.SESSION_MAX_HOURS} hours`, {
+        code: 'INVALID_REVIEW_SESSION'
+      });
+    }
+
+    const lastAward = await Transaction.findOne({
+      userId,
+      type: 'flashcard_review',
+      status: 'completed'
+    }).sort({ createdAt: -1 }).select('createdAt');
+
+    const since = lastAward && lastAward.createdAt > startedAt ? lastAward.createdAt : startedAt;
+
+    const query = {
+      userId,
+      deletedAt: null,
+      'schedule.lastReviewedAt': { $gte: since }
+    };
+    if (documentId) query.documentId = documentId;
+
+    const cardsReviewed = await Flashcard.countDocuments(query);
+
+    if (cardsReviewed === 0) {
+      return {
+        success: true,
+        cardsReviewed: 0,
+        pointsEarned: 0,
+        transaction: null
+      };
+    }
+
+    const pointsTransaction = await earningRulesService.awardEarningEvent('flashcard_review', {
+      userId,
+      // Reviews since the same point in time are awarded once
+      reference: `${userId}:${documentId || 'all'}:${since.getTime()}`,
+      relatedId: documentId,
+      facts: { cardsReviewed },
+      metadata: {
+        sessionId: metadata.sessionId,
+        ipAddress: metadata.ipAddress,
+        userAgent: metadata.userAgent
+      }
+    });
+
+    console.log(`🎉 Flashcard session completed: ${cardsReviewed} cards, +${pointsTransaction.pointsEarned} points`);
+
+    return {
+      success: true,
+      cardsReviewed,
+      pointsEarned: pointsTransaction.pointsEarned,
+      newTotalPoints: pointsTransaction.newTotalPoints,
+      transaction: pointsTransaction.transaction
+    };
+
+  } catch (error) {
+    console.error('❌ Complete review session service error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to complete review session: ${error.message}`);
+  }
+};
+
+// ==========================================
+// DECKS & STATS
+// ==========================================
+
+/**
+ * List a user's cards
+ * @param {string} userId - Owner
+ * @param {Object} options - { documentId, page, limit }
+ * @returns {Promise<Object>} Cards with pagination
+ */
+export const getFlashcards = async (userId, options = {}) => {
+  try {
+    const { documentId = null } = options;
+    const page = Math.max(1, parseInt(options.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 50));
+
+    const query = { userId, deletedAt: null };
+    if (documentId) query.documentId = documentId;
+
+    const [flashcards, total] = await Promise.all([
+      Flashcard.find(query)
+        .select('-history')
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Flashcard.countDocuments(query)
+    ]);
+
+    return {
+      success: true,
+      flashcards,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Get flashcards service error:', error);
+    throw HttpError.internalServerError(`Failed to get flashcards: ${error.message}`);
+  }
+};
+
+/**
+ * Deck statistics: card stages, due counts and recall rate
+ * @param {string} userId - Owner
+ * @param {Object} options - { documentId }
+ * @returns {Promise<Object>} Deck stats
+ */
+export const getFlashcardStats = async (userId, options = {}) => {
+  try {
+    const match = {
+      userId: new mongoose.Types.ObjectId(userId),
+      deletedAt: null
+    };
+    if (options.documentId) match.documentId = new mongoose.Types.ObjectId(options.documentId);
+
+    const todayStart = startOfToday();
+    const todayEnd = endOfToday();
+
+    const [deck] = await Flashcard.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          suspended: { $sum: { $cond: [{ $eq: ['$status', 'suspended'] }, 1, 0] } },
+          newCards: { $sum: { $cond: [{ $eq: ['$reviewCount', 0] }, 1, 0] } },
+          mature: {
+            $sum: { $cond: [{ $gte: ['$schedule.interval', FLASHCARD_SCHEDULING.MATURE_INTERVAL_DAYS] }, 1, 0] }
+          },
+          dueToday: {
+            $sum: {
+              $cond: [{ $and: [{ $eq: ['$status', 'active'] }, { $lte: ['$schedule.dueAt', todayEnd] }] }, 1, 0]
+            }
+          },
+          reviewedToday: { $sum: { $cond: [{ $gte: ['$schedule.lastReviewedAt', todayStart] }, 1, 0] } },
+          averageEase: { $avg: '$schedule.ease' },
+          totalReviews: { $sum: '$reviewCount' },
+          lapses: { $sum: '$schedule.lapses' }
+        }
+      }
+    ]);
+
+    // Recall rate from the review history kept on each card
+    const [recall] = await Flashcard.aggregate([
+      { $match: match },
+      { $unwind: '$history' },
+      {
+        $group: {
+          _id: null,
+          reviews: { $sum: 1 },
+          recalled: { $sum: { $cond: [{ $ne: ['$history.grade', 'again'] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    const stats = deck || { total: 0, suspended: 0, newCards: 0, mature: 0, dueToday: 0, reviewedToday: 0, averageEase: null, totalReviews: 0, lapses: 0 };
+
+    return {
+      success: true,
+      stats: {
+        totalCards: stats.total,
+        newCards: stats.newCards,
+        learningCards: stats.total - stats.newCards - stats.mature,
+        matureCards: stats.mature,
+        suspendedCards: stats.suspended,
+        dueToday: stats.dueToday,
+        reviewedToday: stats.reviewedToday,
+        totalReviews: stats.totalReviews,
+        lapses: stats.lapses,
+        averageEase: stats.averageEase ? Math.round(stats.averageEase * 100) / 100 : null,
+        recallRate: recall?.reviews ? Math.round((recall.recalled / recall.reviews) * 100) : null
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Get flashcard stats service error:', error);
+    throw HttpError.internalServerError(`Failed to get flashcard stats: ${error.message}`);
+  }
+};
+
+export default {
+  generateFlashcardsForDocument,
+  getDueFlashcards,
+  reviewFlashcard,
+  completeReviewSession,
+  getFlashcards,
+  getFlashcardStats
+};
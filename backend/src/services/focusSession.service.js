@@ -0,0 +1,483 @@
+/**
+ * Focus Session Service
+ * @module services/focusSession
+ * @description Business logic for focus sessions: the server-timed session
+ * lifecycle, study time and points credited on completion, history and stats
+ */
+
+import mongoose from 'mongoose';
+import FocusSession from '#models/focus/FocusSession.js';
+import Document from '#models/document/Document.js';
+import { Student } from '#models/users/index.js';
+import { HttpError } from '#exceptions/index.js';
+import {
+  FOCUS_SESSION_SETTINGS,
+  FOCUS_SESSION_DEFAULTS,
+  FOCUS_SESSION_VALIDATION_RULES,
+  isValidFocusSessionStatus
+} from '#constants/models/focus/index.js';
+import earningRulesService from '#services/earningRules.service.js';
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfUtcDay = (date = new Date()) => new Date(Date.UTC(
+  date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()
+));
+
+const toServiceError = (error, action) => {
+  if (error.name === 'HttpError') return error;
+  if (error.name === 'VersionError') {
+    return HttpError.conflict('Focus session changed in another request; reload it and try again', {
+      code: 'FOCUS_SESSION_CONFLICT'
+    });
+  }
+  if (error.code === 11000) {
+    return HttpError.conflict('Another focus session is already open', { code: 'FOCUS_SESSION_ALREADY_OPEN' });
+  }
+  return HttpError.internalServerError(`Failed to ${action}: ${error.message}`);
+};
+
+const invalidState = (session, action) => HttpError.conflict(`Cannot ${action} a ${session.status} focus session`, {
+  code: 'INVALID_FOCUS_SESSION_STATE',
+  context: { sessionId: session._id.toString(), status: session.status }
+});
+
+/**
+ * Load a user's session or fail with 404
+ */
+const findOwnSession = async (sessionId, userId) => {
+  const session = await FocusSession.findOne({ _id: sessionId, userId });
+  if (!session) {
+    throw HttpError.notFound('Focus session not found');
+  }
+  return session;
+};
+
+/**
+ * Close the user's open session when its heartbeats stopped long ago.
+ * Abandoned sessions credit nothing: only a completed session counts.
+ * @returns {Promise<Object|null>} The session still open, if any
+ */
+const abandonStaleSession = async (userId, now = new Date()) => {
+  const open = await FocusSession.findOpen(userId);
+  if (!open) return null;
+
+  const silentMs = now.getTime() - open.lastHeartbeatAt.getTime();
+  if (silentMs < FOCUS_SESSION_SETTINGS.ABANDON_AFTER_MINUTES * 60 * 1000) {
+    return open;
+  }
+
+  open.finish('abandoned', now);
+  await open.save();
+  console.log(`⌛ Focus session abandoned after ${Math.round(silentMs / 60000)} silent minutes: ${open._id}`);
+  return null;
+};
+
+/**
+ * Live view of a session for responses
+ */
+const toSessionView = (session) => ({
+  ...session.toJSON(),
+  elapsedSeconds: session.elapsedSeconds,
+  heartbeatIntervalSeconds: FOCUS_SESSION_SETTINGS.HEARTBEAT_INTERVAL_SECONDS,
+  idleTimeoutSeconds: FOCUS_SESSION_SETTINGS.IDLE_TIMEOUT_SECONDS
+});
+
+// ==========================================
+// SESSION LIFECYCLE
+// ==========================================
+
+/**
+ * Start a focus session
+ * @param {string} userId - Student
+ * @param {Object} options - { plannedMinutes, documentId }
+ * @returns {Promise<Object>} Started session
+ */
+export const startFocusSession = async (userId, options = {}) => {
+  try {
+    const { documentId = null } = options;
+    const plannedMinutes = options.plannedMinutes === undefined
+      ? FOCUS_SESSION_DEFAULTS.PLANNED_MINUTES
+      : Number(options.plannedMinutes);
+    const { MIN, MAX, ERROR_MESSAGE } = FOCUS_SESSION_VALIDATION_RULES.PLANNED_MINUTES;
+
+    if (!Number.isInteger(plannedMinutes) || plannedMinutes < MIN || plannedMinutes > MAX) {
+      throw HttpError.badRequest(ERROR_MESSAGE, { code: 'INVALID_PLANNED_MINUTES' });
+    }
+
+    if (documentId) {
+      const document = await Document.exists({ _id: documentId, userId, deletedAt: null });
+      if (!document) {
+        throw HttpError.notFound('Document not found');
+      }
+    }
+
+    const now = new Date();
+    const open = await abandonStaleSession(userId, now);
+    if (open) {
+      throw HttpError.conflict('Another focus session is already open', {
+        code: 'FOCUS_SESSION_ALREADY_OPEN',
+        context: { sessionId: open._id.toString(), status: open.status }
+      });
+    }
+
+    const creditedToday = await FocusSession.creditedMinutesSince(userId, startOfUtcDay(now));
+    if (creditedToday >= FOCUS_SESSION_SETTINGS.DAILY_CAP_MINUTES) {
+      throw HttpError.tooManyRequests(`You have reached today's ${FOCUS_SESSION_SETTINGS.DAILY_CAP_MINUTES} focus minutes`, {
+        code: 'FOCUS_DAILY_CAP_REACHED'
+      });
+    }
+
+    const session = await FocusSession.create({
+      userId,
+      documentId,
+      plannedMinutes,
+      startedAt: now,
+      segmentStartedAt: now,
+      lastHeartbeatAt: now
+    });
+
+    console.log(`⏱️ Focus session started for user ${userId}: ${session._id} (${plannedMinutes} min)`);
+
+    return { success: true, session: toSessionView(session) };
+
+  } catch (error) {
+    console.error('❌ Start focus session error:', error);
+    throw toServiceError(error, 'start focus session');
+  }
+};
+
+/**
+ * Get the user's open session, if any
+ * @param {string} userId - Student
+ * @returns {Promise<Object>} { session } or { session: null }
+ */
+export const getActiveFocusSession = async (userId) => {
+  try {
+    const open = await abandonStaleSession(userId);
+    return { success: true, session: open ? toSessionView(open) : null };
+
+  } catch (error) {
+    console.error('❌ Get active focus session error:', error);
+    throw toServiceError(error, 'get active focus session');
+  }
+};
+
+/**
+ * Keep an active session counting
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Owner
+ * @returns {Promise<Object>} Updated session
+ */
+export const recordFocusHeartbeat = async (sessionId, userId) => {
+  try {
+    const session = await findOwnSession(sessionId, userId);
+    if (session.status !== 'active') {
+      throw invalidState(session, 'send a heartbeat for');
+    }
+
+    session.heartbeat(new Date());
+    await session.save();
+
+    return { success: true, session: toSessionView(session) };
+
+  } catch (error) {
+    console.error('❌ Focus heartbeat error:', error);
+    throw toServiceError(error, 'record focus heartbeat');
+  }
+};
+
+/**
+ * Pause an active session
+ */
+export const pauseFocusSession = async (sessionId, userId) => {
+  try {
+    const session = await findOwnSession(sessionId, userId);
+    if (session.status !== 'active') {
+      throw invalidState(session, 'pause');
+    }
+
+    session.pause(new Date());
+    await session.save();
+
+    return { success: true, session: toSessionView(session) };
+
+  } catch (error) {
+    console.error('❌ Pause focus session error:', error);
+    throw toServiceError(error, 'pause focus session');
+  }
+};
+
+/**
+ * Resume a paused session
+ */
+export const resumeFocusSession = async (sessionId, userId) => {
+  try {
+    const session = await findOwnSession(sessionId, userId);
+    if (session.status !== 'paused') {
+      throw invalidState(session, 'resume');
+    }
+
+    session.resume(new Date());
+    await session.save();
+
+    return { success: true, session: toSessionView(session) };
+
+  } catch (error) {
+    console.error('❌ Resume focus session error:', error);
+    throw toServiceError(error, 'resume focus session');
+  }
+};
+
+/**
+ * Cancel an open session; nothing is credited
+ */
+export const cancelFocusSession = async (sessionId, userId) => {
+  try {
+    const session = await findOwnSession(sessionId, userId);
+    if (!session.isOpenSession()) {
+      throw invalidState(session, 'cancel');
+    }
+
+    session.finish('cancelled', new Date());
+    await session.save();
+
+    console.log(`🛑 Focus session cancelled: ${session._id}`);
+    return { success: true, session: toSessionView(session) };
+
+  } catch (error) {
+    console.error('❌ Cancel focus session error:', error);
+    throw toServiceError(error, 'cancel focus session');
+  }
+};
+
+/**
+ * Complete an open session and credit its focused time: study time up to the
+ * daily cap, and points under the focus_session earning rule
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Owner
+ * @returns {Promise<Object>} { session, creditedMinutes, pointsEarned, totalStudyTime }
+ */
+export const completeFocusSession = async (sessionId, userId) => {
+  try {
+    const session = await findOwnSession(sessionId, userId);
+    if (!session.isOpenSession()) {
+      throw invalidState(session, 'complete');
+    }
+
+    const now = new Date();
+    session.finish('completed', now);
+
+    const creditedToday = await FocusSession.creditedMinutesSince(userId, startOfUtcDay(now));
+    const focusedMinutes = Math.floor(session.focusedSeconds / 60);
+    session.creditedMinutes = Math.max(0, Math.min(
+      focusedMinutes,
+      FOCUS_SESSION_SETTINGS.DAILY_CAP_MINUTES - creditedToday
+    ));
+
+    // Saving first means a second complete fails on the version check
+    await session.save();
+
+    let pointsEarned = 0;
+    try {
+      const award = await earningRulesService.awardEarningEvent('focus_session', {
+        userId,
+        reference: session._id.toString(),
+        relatedId: session.documentId,
+        facts: { minutes: session.creditedMinutes }
+      });
+      pointsEarned = award.pointsEarned;
+    } catch (pointsError) {
+      console.error('⚠️ Focus session points failed (non-critical):', pointsError);
+    }
+
+    let totalStudyTime = null;
+    const student = await Student.findById(userId);
+    if (student) {
+      if (session.creditedMinutes > 0) {
+        student.analytics.totalStudyTime += session.creditedMinutes;
+        student.updateStudyStreak();
+        await student.save();
+      }
+      totalStudyTime = student.analytics.totalStudyTime;
+    }
+
+    if (pointsEarned > 0) {
+      await FocusSession.updateOne({ _id: session._id }, { $set: { pointsEarned } });
+      session.pointsEarned = pointsEarned;
+    }
+
+    console.log(`✅ Focus session completed: ${focusedMinutes} focused min, ${session.creditedMinutes} credited, +${pointsEarned} points`);
+
+    return {
+      success: true,
+      session: toSessionView(session),
+      focusedMinutes,
+      creditedMinutes: session.creditedMinutes,
+      pointsEarned,
+      totalStudyTime
+    };
+
+  } catch (error) {
+    console.error('❌ Complete focus session error:', error);
+    throw toServiceError(error, 'complete focus session');
+  }
+};
+
+// ==========================================
+// HISTORY & STATS
+// ==========================================
+
+/**
+ * List a user's sessions, newest first
+ * @param {string} userId - Owner
+ * @param {Object} options - { status, documentId, page, limit }
+ * @returns {Promise<Object>} Sessions with pagination
+ */
+export const getFocusSessionHistory = async (userId, options = {}) => {
+  try {
+    const { status = null, documentId = null } = options;
+    const page = Math.max(1, parseInt(options.page) || 1);
+    const limit = Math.min(
+      FOCUS_SESSION_VALIDATION_RULES.HISTORY_LIMIT.MAX,
+      Math.max(FOCUS_SESSION_VALIDATION_RULES.HISTORY_LIMIT.MIN, parseInt(options.limit) || FOCUS_SESSION_DEFAULTS.HISTORY_LIMIT)
+    );
+
+    if (status && !isValidFocusSessionStatus(status)) {
+      throw HttpError.badRequest(`Invalid focus session status: ${status}`, { code: 'INVALID_FOCUS_SESSION_STATUS' });
+    }
+
+    const query = { userId };
+    if (status) query.status = status;
+    if (documentId) query.documentId = documentId;
+
+    const [sessions, total] = await Promise.all([
+      FocusSession.find(query)
+        .populate('documentId', 'title')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      FocusSession.countDocuments(query)
+    ]);
+
+    return {
+      success: true,
+      sessions: sessions.map(toSessionView),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Get focus session history error:', error);
+    throw toServiceError(error, 'get focus session history');
+  }
+};
+
+/**
+ * Focus statistics over the last days: credited minutes per day and per
+ * document, outcomes, and today's remaining allowance
+ * @param {string} userId - Owner
+ * @param {Object} options - { days }
+ * @returns {Promise<Object>} Focus stats
+ */
+export const getFocusSessionStats = async (userId, options = {}) => {
+  try {
+    const { MIN, MAX } = FOCUS_SESSION_VALIDATION_RULES.STATS_DAYS;
+    const days = Math.min(MAX, Math.max(MIN, parseInt(options.days) || FOCUS_SESSION_DEFAULTS.STATS_DAYS));
+
+    const now = new Date();
+    const today = startOfUtcDay(now);
+    const since = new Date(today.getTime() - (days - 1) * DAY_MS);
+    const match = { userId: new mongoose.Types.ObjectId(String(userId)), startedAt: { $gte: since } };
+
+    const [outcomes, daily, byDocument, student] = await Promise.all([
+      FocusSession.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$status',
+            sessions: { $sum: 1 },
+            focusedSeconds: { $sum: '$focusedSeconds' },
+            idleSeconds: { $sum: '$idleSeconds' },
+            creditedMinutes: { $sum: '$creditedMinutes' },
+            pointsEarned: { $sum: '$pointsEarned' }
+          }
+        }
+      ]),
+      FocusSession.aggregate([
+        { $match: { ...match, status: 'completed' } },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$endedAt' } },
+            sessions: { $sum: 1 },
+            minutes: { $sum: '$creditedMinutes' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      FocusSession.aggregate([
+        { $match: { ...match, status: 'completed', documentId: { $ne: null } } },
+        { $group: { _id: '$documentId', sessions: { $sum: 1 }, minutes: { $sum: '$creditedMinutes' } } },
+        { $sort: { minutes: -1 } },
+        { $limit: 5 },
+        { $lookup: { from: 'documents', localField: '_id', foreignField: '_id', as: 'document' } },
+        { $project: { _id: 0, documentId: '$_id', title: { $first: '$document.title' }, sessions: 1, minutes: 1 } }
+      ]),
+      Student.findById(userId).select('analytics.totalStudyTime progress.studyStreak').lean()
+    ]);
+
+    const byStatus = Object.fromEntries(outcomes.map(outcome => [outcome._id, outcome]));
+    const completed = byStatus.completed || { sessions: 0, focusedSeconds: 0, creditedMinutes: 0, pointsEarned: 0 };
+    const creditedToday = daily.find(day => day._id === today.toISOString().slice(0, 10))?.minutes || 0;
+
+    return {
+      success: true,
+      stats: {
+        days,
+        since,
+        sessions: {
+          completed: completed.sessions,
+          cancelled: byStatus.cancelled?.sessions || 0,
+          abandoned: byStatus.abandoned?.sessions || 0
+        },
+        focusedMinutes: completed.creditedMinutes,
+        idleMinutes: Math.round(outcomes.reduce((sum, outcome) => sum + outcome.idleSeconds, 0) / 60),
+        averageSessionMinutes: completed.sessions ? Math.round(completed.focusedSeconds / 60 / completed.sessions) : 0,
+        pointsEarned: completed.pointsEarned,
+        today: {
+          creditedMinutes: creditedToday,
+          remainingMinutes: Math.max(0, FOCUS_SESSION_SETTINGS.DAILY_CAP_MINUTES - creditedToday),
+          dailyCapMinutes: FOCUS_SESSION_SETTINGS.DAILY_CAP_MINUTES
+        },
+        daily: daily.map(day => ({ date: day._id, sessions: day.sessions, minutes: day.minutes })),
+        topDocuments: byDocument,
+        totalStudyTime: student?.analytics?.totalStudyTime || 0,
+        studyStreak: student?.progress?.studyStreak || 0
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Get focus session stats error:', error);
+    throw toServiceError(error, 'get focus session stats');
+  }
+};
+
+export default {
+  startFocusSession,
+  getActiveFocusSession,
+  recordFocusHeartbeat,
+  pauseFocusSession,
+  resumeFocusSession,
+  cancelFocusSession,
+  completeFocusSession,
+  getFocusSessionHistory,
+  getFocusSessionStats
+};
@@ -0,0 +1,451 @@
+/**
+ * Job Queue Service
+ * @module services/jobQueue
+ * @description MongoDB-backed background job queue: workers poll and atomically
+ * claim due jobs, failed jobs are retried with exponential backoff, running jobs
+ * send heartbeats, and a reaper requeues jobs whose worker died.
+ */
+
+import os from 'os';
+import crypto from 'crypto';
+import Job from '#models/job/Job.js';
+import { HttpError } from '#exceptions/index.js';
+import { queueConfig } from '#config/index.js';
+import { JOB_VALIDATION_RULES, isValidJobType } from '#constants/models/job/index.js';
+
+// ==========================================
+// HANDLER REGISTRY
+// ==========================================
+
+// type -> { handler, onRetry, onFailure, recover }
+const registry = new Map();
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - One of JOB_TYPES
+ * @param {Function} handler - async (job, context) => result; context has
+ *   { attempt, isFinalAttempt, heartbeat }
+ * @param {Object} hooks - Optional lifecycle hooks
+ * @param {Function} hooks.onRetry - async (job, error, runAt) after a failed attempt is rescheduled
+ * @param {Function} hooks.onFailure - async (job, error) once the job has failed for good
+ * @param {Function} hooks.recover - async () => number; called by the reaper to enqueue lost work
+ */
+export const registerJobHandler = (type, handler, hooks = {}) => {
+  if (!isValidJobType(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  registry.set(type, { handler, ...hooks });
+};
+
+// ==========================================
+// WORKER STATE
+// ==========================================
+
+const worker = {
+  id: null,
+  running: false,
+  concurrency: 0,
+  active: new Map(),
+  pollTimer: null,
+  reaperTimer: null,
+  ticking: false,
+  tickRequested: false
+};
+
+const createWorkerId = () => `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// ==========================================
+// RETRY POLICY
+// ==========================================
+
+/**
+ * Delay before the next attempt: exponential in the attempt number, capped,
+ * with jitter so jobs that failed together do not retry together
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} backoff - { baseDelay, maxDelay } in milliseconds
+ * @param {Function} random - Random source in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export const computeBackoffDelay = (attempt, backoff = queueConfig.backoff, random = Math.random) => {
+  const exponential = backoff.baseDelay * Math.pow(2, Math.max(0, attempt - 1));
+  const capped = Math.min(exponential, backoff.maxDelay);
+  return Math.round(capped * (0.5 + random() * 0.5));
+};
+
+/**
+ * Client errors (bad input, missing resources) will fail the same way again
+ */
+const isRetryableError = (error) => {
+  if (error?.retryable === false) {
+    return false;
+  }
+  if (error instanceof HttpError && error.statusCode >= 400 && error.statusCode < 500) {
+    return false;
+  }
+  return true;
+};
+
+const runHook = async (hook, ...args) => {
+  if (!hook) return;
+  try {
+    await hook(...args);
+  } catch (error) {
+    console.error(`❌ Job hook failed:`, error.message);
+  }
+};
+
+// ==========================================
+// ENQUEUE
+// ==========================================
+
+/**
+ * Add a job to the queue
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} payload - Handler input
+ * @param {Object} options - Job options
+ * @param {string} options.dedupeKey - While a job with this key is queued or running, it is returned instead
+ * @param {string} options.documentId - Related document
+ * @param {string} options.userId - Related user
+ * @param {number} options.priority - Higher runs first
+ * @param {number} options.maxAttempts - Attempts before the job fails for good
+ * @param {Date} options.runAt - Earliest start time
+ * @returns {Promise<Object>} The queued (or already active) job
+ */
+export const enqueueJob = async (type, payload = {}, options = {}) => {
+  if (!isValidJobType(type)) {
+    throw HttpError.badRequest(`Unknown job type: ${type}`, { code: 'INVALID_JOB_TYPE' });
+  }
+
+  try {
+    const job = await Job.create({
+      type,
+      payload,
+      dedupeKey: options.dedupeKey,
+      documentId: options.documentId || null,
+      userId: options.userId || null,
+      priority: options.priority,
+      maxAttempts: options.maxAttempts,
+      runAt: options.runAt || new Date()
+    });
+
+    console.log(`📥 Job queued: ${job._id} (${type})`);
+    requestTick();
+    return job;
+
+  } catch (error) {
+    // Same work already queued or running
+    if (error.code === 11000 && options.dedupeKey) {
+      const existing = await Job.findOne({ dedupeKey: options.dedupeKey });
+      if (existing) {
+        console.log(`♻️ Job already active for ${options.dedupeKey}: ${existing._id}`);
+        return existing;
+      }
+    }
+    throw error;
+  }
+};
+
+// ==========================================
+// JOB LIFECYCLE
+// ==========================================
+
+/**
+ * Claim the next due job of a registered type that is under its running limit
+ */
+const claimJob = async (workerId) => {
+  const types = [];
+
+  for (const type of registry.keys()) {
+    const limit = queueConfig.typeLimits[type];
+    if (limit && await Job.countRunning(type) >= limit) {
+      continue;
+    }
+    types.push(type);
+  }
+
+  if (types.length === 0) {
+    return null;
+  }
+
+  return Job.claimNext({ types, workerId });
+};
+
+/**
+ * Lock filter: only the worker holding the job may finish it, so a job that
+ * the reaper already took back is not overwritten by a late worker
+ */
+const lockFilter = (job) => ({ _id: job._id, status: 'running', lockedBy: job.lockedBy });
+
+const completeJob = async (job, result) => {
+  const updated = await Job.findOneAndUpdate(lockFilter(job), {
+    $set: {
+      status: 'completed',
+      completedAt: new Date(),
+      result: result ?? null,
+      lockedBy: null,
+      lockedAt: null
+    },
+    $unset: { dedupeKey: 1 }
+  }, { new: true });
+
+  if (!updated) {
+    console.warn(`⚠️ Job ${job._id} finished after losing its lock; result discarded`);
+    return null;
+  }
+
+  console.log(`✅ Job completed: ${job._id} (${job.type}, attempt ${job.attempts})`);
+  return updated;
+};
+
+const failJob = async (job, error) => {
+  const hooks = registry.get(job.type) || {};
+  const now = new Date();
+  const lastError = {
+    message: (error.message || 'Unknown error').substring(0, JOB_VALIDATION_RULES.ERROR_MESSAGE.MAX_LENGTH),
+    code: error.code || null,
+    attempt: job.attempts,
+    occurredAt: now
+  };
+
+  if (isRetryableError(error) && job.attempts < job.maxAttempts) {
+    const runAt = new Date(now.getTime() + computeBackoffDelay(job.attempts));
+    const updated = await Job.findOneAndUpdate(lockFilter(job), {
+      $set: {
+        status: 'queued',
+        runAt,
+        lastError,
+        lockedBy: null,
+        lockedAt: null,
+        heartbeatAt: null
+      }
+    }, { new: true });
+
+    if (updated) {
+      console.warn(`🔁 Job ${job._id} attempt ${job.attempts}/${job.maxAttempts} failed, retrying at ${runAt.toISOString()}: ${lastError.message}`);
+      await runHook(hooks.onRetry, updated, error, runAt);
+    }
+    return updated;
+  }
+
+  const updated = await Job.findOneAndUpdate(lockFilter(job), {
+    $set: {
+      status: 'failed',
+      completedAt: now,
+      lastError,
+      lockedBy: null,
+      lockedAt: null
+    },
+    $unset: { dedupeKey: 1 }
+  }, { new: true });
+
+  if (updated) {
+    console.error(`❌ Job ${job._id} failed after ${job.attempts} attempt(s): ${lastError.message}`);
+    await runHook(hooks.onFailure, updated, error);
+  }
+  return updated;
+};
+
+/**
+ * Run a claimed job to completion, keeping its heartbeat fresh
+ */
+const runJob = async (job) => {
+  const entry = registry.get(job.type);
+
+  const heartbeat = () => Job.updateOne(lockFilter(job), { $set: { heartbeatAt: new Date() } });
+  const heartbeatTimer = setInterval(() => {
+    heartbeat().catch(error => console.error(`❌ Heartbeat failed for job ${job._id}:`, error.message));
+  }, queueConfig.heartbeatInterval);
+  heartbeatTimer.unref();
+
+  try {
+    console.log(`🏃 Running job ${job._id} (${job.type}, attempt ${job.attempts}/${job.maxAttempts})`);
+    const result = await entry.handler(job, {
+      attempt: job.attempts,
+      isFinalAttempt: job.attempts >= job.maxAttempts,
+      heartbeat
+    });
+    return await completeJob(job, result);
+  } catch (error) {
+    return await failJob(job, error);
+  } finally {
+    clearInterval(heartbeatTimer);
+  }
+};
+
+/**
+ * Claim and run a single job in the calling process
+ * @returns {Promise<Object|null>} Job after it finished, or null if none was due
+ */
+export const processNextJob = async () => {
+  const job = await claimJob(worker.id || createWorkerId());
+  if (!job) {
+    return null;
+  }
+  return runJob(job);
+};
+
+// ==========================================
+// STALE-JOB REAPER
+// ==========================================
+
+/**
+ * Take back running jobs whose worker stopped sending heartbeats, then let
+ * each job type enqueue work that was requested but never queued
+ * @returns {Promise<Object>} { reaped, recovered }
+ */
+export const reapStaleJobs = async () => {
+  const staleJobs = await Job.findStale(queueConfig.staleAfter);
+
+  for (const job of staleJobs) {
+    const error = new Error(`Worker ${job.lockedBy} stopped responding`);
+    error.code = 'JOB_STALLED';
+    await failJob(job, error);
+  }
+
+  let recovered = 0;
+  for (const [type, entry] of registry) {
+    if (!entry.recover) continue;
+    try {
+      recovered += await entry.recover() || 0;
+    } catch (error) {
+      console.error(`❌ Recovery for ${type} jobs failed:`, error.message);
+    }
+  }
+
+  if (staleJobs.length > 0 || recovered > 0) {
+    console.log(`🧹 Reaper: ${staleJobs.length} stale job(s) taken back, ${recovered} lost job(s) re-queued`);
+  }
+
+  return { reaped: staleJobs.length, recovered };
+};
+
+// ==========================================
+// WORKER LOOP
+// ==========================================
+
+const scheduleTick = (delay) => {
+  if (!worker.running) return;
+  clearTimeout(worker.pollTimer);
+  worker.pollTimer = setTimeout(tick, delay);
+  worker.pollTimer.unref();
+};
+
+const requestTick = () => {
+  if (!worker.running) return;
+  if (worker.ticking) {
+    worker.tickRequested = true;
+    return;
+  }
+  scheduleTick(0);
+};
+
+const tick = async () => {
+  if (!worker.running || worker.ticking) return;
+  worker.ticking = true;
+  worker.tickRequested = false;
+
+  try {
+    while (worker.running && worker.active.size < worker.concurrency) {
+      const job = await claimJob(worker.id);
+      if (!job) break;
+
+      const jobId = job._id.toString();
+      const run = runJob(job)
+        .catch(error => console.error(`❌ Job ${jobId} crashed the worker loop:`, error.message))
+        .finally(() => {
+          worker.active.delete(jobId);
+          requestTick();
+        });
+      worker.active.set(jobId, run);
+    }
+  } catch (error) {
+    console.error('❌ Job worker poll failed:', error.message);
+  } finally {
+    worker.ticking = false;
+  }
+
+  scheduleTick(worker.tickRequested ? 0 : queueConfig.pollInterval);
+};
+
+/**
+ * Start polling for jobs in this process
+ * @param {Object} options - { concurrency }
+ * @returns {string} Worker identifier
+ */
+export const startJobWorkers = (options = {}) => {
+  if (worker.running) {
+    return worker.id;
+  }
+
+  worker.id = createWorkerId();
+  worker.running = true;
+  worker.concurrency = options.concurrency ?? queueConfig.concurrency;
+
+  const reap = () => reapStaleJobs().catch(error => console.error('❌ Job reaper failed:', error.message));
+  reap();
+  worker.reaperTimer = setInterval(reap, queueConfig.reapInterval);
+  worker.reaperTimer.unref();
+
+  scheduleTick(0);
+  console.log(`👷 Job workers started (${worker.id}, concurrency ${worker.concurrency})`);
+
+  return worker.id;
+};
+
+/**
+ * Stop claiming jobs and wait (bounded) for running ones to finish.
+ * Jobs still running afterwards are picked up by the reaper of the next worker.
+ * @returns {Promise<number>} Jobs still running when the wait ended
+ */
+export const stopJobWorkers = async (timeout = queueConfig.shutdownTimeout) => {
+  if (!worker.running) {
+    return 0;
+  }
+
+  worker.running = false;
+  clearTimeout(worker.pollTimer);
+  clearInterval(worker.reaperTimer);
+
+  let timer;
+  await Promise.race([
+    Promise.allSettled([...worker.active.values()]),
+    new Promise(resolve => { timer = setTimeout(resolve, timeout); })
+  ]);
+  clearTimeout(timer);
+
+  const unfinished = worker.active.size;
+  console.log(`🛑 Job workers stopped (${unfinished} job(s) left running)`);
+  return unfinished;
+};
+
+// ==========================================
+// MONITORING
+// ==========================================
+
+/**
+ * Count jobs by type and status
+ * @returns {Promise<Object>} { [type]: { [status]: count } }
+ */
+export const getQueueStats = async () => {
+  const rows = await Job.aggregate([
+    { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  return rows.reduce((stats, row) => {
+    stats[row._id.type] = stats[row._id.type] || {};
+    stats[row._id.type][row._id.status] = row.count;
+    return stats;
+  }, {});
+};
+
+export default {
+  registerJobHandler,
+  computeBackoffDelay,
+  enqueueJob,
+  processNextJob,
+  reapStaleJobs,
+  startJobWorkers,
+  stopJobWorkers,
+  getQueueStats
+};
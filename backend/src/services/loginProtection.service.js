@@ -0,0 +1,309 @@
+/**
+ * Login Protection Service
+ * @module services/loginProtection
+ * @description Brute-force protection for sign-in: per-IP and per-account
+ * failure counters with progressive delays, escalating account lockouts
+ * (lifted by an emailed link or an admin), and suspicious sign-in checks
+ * for new devices and impossible travel
+ */
+
+import { BaseUser } from '#models/users/index.js';
+import { AuthSession, AuthToken, LoginThrottle } from '#models/auth/index.js';
+import { HttpError } from '#exceptions/index.js';
+import { SESSION_CONFIG } from '#constants/models/auth/index.js';
+import { loginProtectionConfig } from '#config/index.js';
+import { getNextAttemptAt, getLockDurationMs } from '#lib/security/index.js';
+import { normalizeIp, distanceKm } from '#lib/geoip/index.js';
+import { sendAccountLockedEmail } from '#services/mail.service.js';
+
+// City-level GeoIP positions can be this far off; shorter jumps are never flagged
+const MIN_TRAVEL_KM = 300;
+const RECENT_SESSIONS_CHECKED = 20;
+
+const getWindowMs = () => loginProtectionConfig.windowMinutes * 60 * 1000;
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+/**
+ * 429 with the number of seconds to wait
+ */
+const throttled = (retryAt, now) => {
+  const retryAfter = Math.max(Math.ceil((retryAt.getTime() - now.getTime()) / 1000), 1);
+  return HttpError.tooManyRequests(`Too many failed sign-in attempts. Try again in ${retryAfter} seconds`, {
+    code: 'LOGIN_THROTTLED',
+    context: { retryAfter }
+  });
+};
+
+// ==========================================
+// THROTTLING & LOCKOUT
+// ==========================================
+
+/**
+ * Refuse a sign-in attempt while the IP is blocked or the email is still in
+ * its progressive delay. Checked before the password, for known and unknown
+ * emails alike.
+ * @param {Object} attempt - { email, ip }
+ * @throws {HttpError} 429 LOGIN_THROTTLED with context.retryAfter (seconds)
+ */
+export const assertLoginAllowed = async ({ email, ip }, now = new Date()) => {
+  const [ipCounter, accountCounter] = await Promise.all([
+    ip ? LoginThrottle.getCounter('ip', normalizeIp(ip), now) : null,
+    email ? LoginThrottle.getCounter('account', normalizeEmail(email), now) : null
+  ]);
+
+  if (ipCounter && ipCounter.failures >= loginProtectionConfig.ip.maxAttempts) {
+    throw throttled(new Date(ipCounter.expiresAt), now);
+  }
+
+  const nextAttemptAt = getNextAttemptAt(accountCounter, loginProtectionConfig.delay, now);
+  if (nextAttemptAt) {
+    throw throttled(nextAttemptAt, now);
+  }
+};
+
+/**
+ * Refuse a locked account
+ * @param {Object} user - User loaded with +lockUntil
+ * @throws {HttpError} 403 ACCOUNT_LOCKED
+ */
+export const assertAccountNotLocked = (user) => {
+  if (user.isLocked) {
+    throw HttpError.forbidden('Account is temporarily locked. Try again later or use the unlock link we emailed you', {
+      code: 'ACCOUNT_LOCKED',
+      context: { lockedUntil: user.lockUntil }
+    });
+  }
+};
+
+/**
+ * Count a failed sign-in (wrong password or wrong second factor). Locks the
+ * account once it reaches the limit and emails the unlock link.
+ * @param {Object} attempt - { email, ip, user } where user is the matching
+ * account loaded with +loginAttempts +lockUntil +lockCount, or null
+ * @returns {Promise<Object>} { locked, lockUntil }
+ */
+export const recordLoginFailure = async ({ email, ip, user = null }, now = new Date()) => {
+  const windowMs = getWindowMs();
+
+  await Promise.all([
+    ip && LoginThrottle.recordFailure('ip', normalizeIp(ip), { windowMs, now }),
+    email && LoginThrottle.recordFailure('account', normalizeEmail(email), { windowMs, now })
+  ]);
+
+  if (!user) {
+    return { locked: false, lockUntil: null };
+  }
+
+  const result = await user.handleFailedLogin({
+    maxAttempts: loginProtectionConfig.account.maxAttempts,
+    lockDurationMs: getLockDurationMs(user.lockCount || 0, loginProtectionConfig.account),
+    now
+  });
+
+  if (result.locked) {
+    console.warn(`🔒 Locked ${user.email} until ${result.lockUntil.toISOString()} after ${result.loginAttempts} failed sign-ins`);
+    await sendUnlockLink(user, result.lockUntil, ip);
+  }
+
+  return { locked: result.locked, lockUntil: result.lockUntil };
+};
+
+/**
+ * Forget the failures of an email after a successful sign-in. The IP counter
+ * is kept so one valid account cannot reset an attacker's address.
+ * @param {Object} attempt - { email }
+ */
+export const recordLoginSuccess = ({ email }) => LoginThrottle.clear('account', normalizeEmail(email));
+
+/**
+ * Email the unlock link; a mail failure must not hide the lockout itself
+ */
+const sendUnlockLink = async (user, lockUntil, ip) => {
+  try {
+    const { token } = await AuthToken.issue(user._id, 'unlock', { email: user.email, ip });
+    await sendAccountLockedEmail(user, token, lockUntil);
+  } catch (error) {
+    console.error('⚠️ Unlock email not sent:', error.message);
+  }
+};
+
+/**
+ * Clear the lockout and the counters of a user
+ */
+const unlockUser = async (user) => {
+  await user.unlockAccount();
+  await LoginThrottle.clear('account', normalizeEmail(user.email));
+};
+
+/**
+ * Unlock an account with the emailed link
+ * @param {string} token - Plain unlock token
+ * @returns {Promise<Object>} { unlocked: true }
+ */
+export const unlockAccountWithToken = async (token) => {
+  try {
+    const authToken = await AuthToken.consume(token, 'unlock');
+    if (!authToken) {
+      throw HttpError.badRequest('This unlock link is invalid or has expired', { code: 'INVALID_UNLOCK_TOKEN' });
+    }
+
+    const user = await BaseUser.findById(authToken.userId);
+    if (!user) {
+      throw HttpError.notFound('User not found');
+    }
+
+    await unlockUser(user);
+    console.log(`🔓 ${user.email} unlocked with the emailed link`);
+
+    return { unlocked: true };
+
+  } catch (error) {
+    console.error('❌ Unlock account error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to unlock account: ${error.message}`);
+  }
+};
+
+/**
+ * Unlock an account as an admin
+ * @param {string} userId - Locked user
+ * @param {string} adminId - Admin lifting the lock
+ * @returns {Promise<Object>} Login security summary after the unlock
+ */
+export const adminUnlockAccount = async (userId, adminId) => {
+  try {
+    const user = await BaseUser.findById(userId);
+    if (!user) {
+      throw HttpError.notFound('User not found');
+    }
+
+    await unlockUser(user);
+    await AuthToken.revokeAll(user._id, 'unlock');
+    console.log(`🔓 ${user.email} unlocked by admin ${adminId}`);
+
+    return getLoginSecuritySummary(userId);
+
+  } catch (error) {
+    console.error('❌ Admin unlock error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to unlock account: ${error.message}`);
+  }
+};
+
+// ==========================================
+// SUSPICIOUS SIGN-INS
+// ==========================================
+
+const isSameDevice = (a, b) =>
+  (a?.type || 'unknown') === (b?.type || 'unknown') &&
+  (a?.browser?.name || 'unknown') === (b?.browser?.name || 'unknown') &&
+  (a?.os?.name || 'unknown') === (b?.os?.name || 'unknown');
+
+/**
+ * Check a new session against the user's earlier sessions and mark it
+ * suspicious when it comes from a device never seen before, from a place
+ * too far from the last sign-in to have travelled, or after several failed
+ * attempts. Never throws, so sign-in does not depend on it.
+ * @param {Object} session - AuthSession just created
+ * @param {Object} options - { failedAttempts } before this sign-in
+ * @returns {Promise<string[]>} Reasons found (empty when nothing stood out)
+ */
+export const assessNewSession = async (session, { failedAttempts = 0 } = {}) => {
+  try {
+    const reasons = [];
+
+    const previous = await AuthSession.find({ userId: session.userId, _id: { $ne: session._id } })
+      .sort({ createdAt: -1 })
+      .limit(RECENT_SESSIONS_CHECKED)
+      .select('device network.latitude network.longitude createdAt lastAccessedAt')
+      .lean();
+
+    // The first sign-in has nothing to compare with
+    if (previous.length > 0) {
+      if (!previous.some(earlier => isSameDevice(earlier.device, session.device))) {
+        reasons.push('device_change');
+      }
+
+      const last = previous[0];
+      const km = distanceKm(last.network, session.network);
+      if (km !== null && km >= MIN_TRAVEL_KM) {
+        const lastSeenAt = new Date(last.lastAccessedAt || last.createdAt);
+        const hours = Math.max((session.createdAt - lastSeenAt) / (60 * 60 * 1000), 1 / 60);
+        if (km / hours > loginProtectionConfig.impossibleTravelKmh) {
+          reasons.push('impossible_travel');
+        }
+      }
+    }
+
+    if (failedAttempts >= SESSION_CONFIG.SUSPICIOUS_LOGIN_THRESHOLD) {
+      reasons.push('failed_attempts');
+    }
+
+    if (reasons.length > 0) {
+      await session.markSuspicious(reasons);
+      console.warn(`⚠️ Suspicious sign-in for user ${session.userId}: ${reasons.join(', ')}`);
+    }
+
+    return reasons;
+  } catch (error) {
+    console.error('⚠️ Sign-in assessment failed:', error.message);
+    return [];
+  }
+};
+
+// ==========================================
+// ADMIN VIEW
+// ==========================================
+
+/**
+ * Lockout state, failure counters and suspicious sessions of a user
+ * @param {string} userId - User to inspect
+ * @returns {Promise<Object|null>} Summary, null when the user does not exist
+ */
+export const getLoginSecuritySummary = async (userId) => {
+  const user = await BaseUser.findById(userId)
+    .select('email lastLoginAt metadata.lastLoginIP +loginAttempts +lockUntil +lockCount +lastFailedLoginAt');
+  if (!user) return null;
+
+  const [accountCounter, suspiciousSessions] = await Promise.all([
+    LoginThrottle.getCounter('account', normalizeEmail(user.email)),
+    AuthSession.find({ userId: user._id }).suspicious()
+      .sort({ createdAt: -1 })
+      .limit(RECENT_SESSIONS_CHECKED)
+      .lean()
+  ]);
+
+  return {
+    isLocked: user.isLocked,
+    lockedUntil: user.isLocked ? user.lockUntil : null,
+    failedAttempts: user.loginAttempts || 0,
+    lockCount: user.lockCount || 0,
+    lastFailedLoginAt: user.lastFailedLoginAt || null,
+    lastLoginAt: user.lastLoginAt,
+    lastLoginIP: user.metadata?.lastLoginIP || null,
+    // Failures for this email in the current window, unknown-password guesses included
+    recentFailures: accountCounter?.failures || 0,
+    suspiciousSessions: suspiciousSessions.map(session => ({
+      sessionId: session.sessionId,
+      status: session.status,
+      riskLevel: session.security?.riskLevel,
+      reasons: session.security?.suspiciousReasons || [],
+      device: {
+        type: session.device?.type || 'unknown',
+        browser: session.device?.browser?.name || null,
+        os: session.device?.os?.name || null
+      },
+      location: { country: session.network?.country || null, city: session.network?.city || null },
+      signedInAt: session.createdAt
+    }))
+  };
+};
+
+export default {
+  assertLoginAllowed,
+  assertAccountNotLocked,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccountWithToken,
+  adminUnlockAccount,
+  assessNewSession,
+  getLoginSecuritySummary
+};
@@ -0,0 +1,116 @@
+/**
+ * Mail Service
+ * @module services/mail
+ * @description Renders account emails and hands them to the configured transport
+ */
+
+import { HttpError } from '#exceptions/index.js';
+import { appConfig, mailConfig } from '#config/index.js';
+import { createMailTransport, renderTemplate } from '#lib/mail/index.js';
+import { getTokenExpiryMs } from '#constants/models/auth/index.js';
+
+// The transport is created on first use and reused across calls
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const settings = mailConfig.transport === 'smtp' ? mailConfig.smtp : mailConfig.file;
+    transport = createMailTransport(mailConfig.transport, settings);
+  }
+  return transport;
+};
+
+/**
+ * Replace the transport, e.g. with a capturing one in tests. Pass null to go
+ * back to the configured transport.
+ * @param {Object|null} customTransport - Object with a send(message) method
+ */
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const displayName = (user) => user.name?.first || user.email;
+
+// ==========================================
+// SENDING
+// ==========================================
+
+/**
+ * Render a template and send it
+ * @param {string} template - Template name from lib/mail/templates
+ * @param {string} to - Recipient address
+ * @param {Object} data - Template values (appName is added)
+ * @returns {Promise<Object>} Transport result with messageId
+ */
+export const sendTemplatedEmail = async (template, to, data = {}) => {
+  try {
+    const { subject, text, html } = renderTemplate(template, { appName: appConfig.name, ...data });
+
+    const result = await getTransport().send({ from: mailConfig.from, to, subject, text, html });
+
+    console.log(`📧 Sent ${template} email to ${to} via ${result.transport}`);
+
+    return result;
+
+  } catch (error) {
+    console.error(`❌ Send ${template} email error:`, error);
+    throw HttpError.internalServerError(`Failed to send email: ${error.message}`, {
+      code: 'EMAIL_SEND_FAILED',
+      context: { template }
+    });
+  }
+};
+
+/**
+ * Send the link that confirms a user's email address
+ * @param {Object} user - User with email and name
+ * @param {string} token - Plain verification token
+ */
+export const sendVerificationEmail = (user, token) => sendTemplatedEmail('email_verification', user.email, {
+  name: displayName(user),
+  url: `${mailConfig.frontendUrl}/verify-email/${token}`,
+  expiresInHours: Math.round(getTokenExpiryMs('verification') / (60 * 60 * 1000))
+});
+
+/**
+ * Send the single-use password reset link
+ * @param {Object} user - User with email and name
+ * @param {string} token - Plain reset token
+ */
+export const sendPasswordResetEmail = (user, token) => sendTemplatedEmail('password_reset', user.email, {
+  name: displayName(user),
+  url: `${mailConfig.frontendUrl}/reset-password/${token}`,
+  expiresInMinutes: Math.round(getTokenExpiryMs('reset') / (60 * 1000))
+});
+
+/**
+ * Tell a user their password changed
+ * @param {Object} user - User with email and name
+ * @param {Date} changedAt - Time of the change
+ */
+export const sendPasswordChangedEmail = (user, changedAt = new Date()) => sendTemplatedEmail('password_changed', user.email, {
+  name: displayName(user),
+  changedAt
+});
+
+/**
+ * Tell a user their account was locked and send the unlock link
+ * @param {Object} user - User with email and name
+ * @param {string} token - Plain unlock token
+ * @param {Date} lockedUntil - End of the lockout
+ */
+export const sendAccountLockedEmail = (user, token, lockedUntil) => sendTemplatedEmail('account_locked', user.email, {
+  name: displayName(user),
+  url: `${mailConfig.frontendUrl}/unlock-account/${token}`,
+  lockedUntil,
+  expiresInHours: Math.round(getTokenExpiryMs('unlock') / (60 * 60 * 1000))
+});
+
+export default {
+  setMailTransport,
+  sendTemplatedEmail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendAccountLockedEmail
+};
@@ -0,0 +1,319 @@
+/**
+ * Mistakes Bank Service
+ * @module services/mistakeBank
+ * @description Collects wrong answers per user and assembles personalised
+ * review quizzes from them
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Quiz from '#models/quiz/Quiz.js';
+import QuizMistake from '#models/quiz/QuizMistake.js';
+import { HttpError } from '#exceptions/index.js';
+import {
+  MISTAKE_REVIEW,
+  MISTAKE_REVIEW_GENERATION_TYPE,
+  MISTAKE_REVIEW_VALIDATION,
+  normalizeAnswerText,
+  normalizeQuestionType
+} from '#constants/models/quiz/index.js';
+
+// ==========================================
+// QUESTION HELPERS
+// ==========================================
+
+// Question fields copied into the bank and into review quizzes
+const QUESTION_FIELDS = [
+  'type', 'question', 'options', 'correctAnswer', 'correctAnswerIndex', 'acceptedAnswers',
+  'rubric', 'explanation', 'points', 'skillCategory', 'topicArea', 'strength', 'weakness'
+];
+
+/**
+ * Identify a question across quizzes by its document and normalized text
+ */
+export const buildQuestionKey = (documentId, question) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([String(documentId), normalizeAnswerText(question.question)]))
+  .digest('hex');
+
+/**
+ * Copy the answerable fields of a stored question
+ */
+export const snapshotQuestion = (question, quiz) => {
+  const snapshot = {};
+
+  QUESTION_FIELDS.forEach((field) => {
+    if (question[field] !== undefined) snapshot[field] = question[field];
+  });
+
+  snapshot.type = normalizeQuestionType(question.type || quiz.aiMetadata?.questionType || 'multiple_choice');
+  return snapshot;
+};
+
+/**
+ * Pick up to `count` items, each with a chance proportional to its weight
+ * (Efraimidis-Spirakis sampling without replacement)
+ * @param {Array} items - Candidates
+ * @param {Function} getWeight - Item => positive weight
+ * @param {number} count - Items to pick
+ * @returns {Array} Picked items, heaviest draw first
+ */
+const weightedSample = (items, getWeight, count) => items
+  .map(item => ({ item, key: Math.pow(Math.random(), 1 / Math.max(getWeight(item), Number.EPSILON)) }))
+  .sort((a, b) => b.key - a.key)
+  .slice(0, count)
+  .map(entry => entry.item);
+
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// ==========================================
+// COLLECTING MISTAKES
+// ==========================================
+
+/**
+ * Question an answer refers to: the served snapshot in adaptive attempts,
+ * otherwise the quiz's own question
+ */
+const findAnsweredQuestion = (quiz, attempt, questionId) => {
+  if (attempt.mode === 'adaptive') {
+    const served = attempt.adaptive?.servedQuestions.find(entry => String(entry.questionId) === String(questionId));
+    return served
+      ? { question: served.question, quizId: served.sourceQuizId, questionId: served.sourceQuestionId }
+      : {};
+  }
+
+  const question = quiz.questions.find((q, index) => String(q.id || index + 1) === String(questionId));
+  return { question, quizId: quiz._id, questionId };
+};
+
+/**
+ * Add the wrong answers of a completed attempt to the bank, and count
+ * correct answers towards resolving earlier mistakes on the same questions
+ * @param {string} userId - User who took the quiz
+ * @param {Object} quiz - Quiz document
+ * @param {Object} attempt - Completed QuizAttempt
+ * @returns {Promise<Object>} { recorded, resolved }
+ */
+export const recordAttemptMistakes = async (userId, quiz, attempt) => {
+  try {
+    let recorded = 0;
+    let resolved = 0;
+    const answeredAt = attempt.completedAt || new Date();
+
+    for (const answer of attempt.answers) {
+      const { question, quizId, questionId } = findAnsweredQuestion(quiz, attempt, answer.questionId);
+      if (!question?.question) continue;
+
+      // Review quizzes mix documents; each question remembers the one it came from
+      const documentId = question.review?.documentId || quiz.documentId;
+      const questionKey = buildQuestionKey(documentId, question);
+
+      if (!answer.isCorrect) {
+        await QuizMistake.recordMiss(userId, {
+          documentId,
+          quizId,
+          questionId,
+          questionKey,
+          question: snapshotQuestion(question, quiz),
+          skillCategory: question.skillCategory,
+          topicArea: question.topicArea,
+          answer: answer.userAnswer
+        }, answeredAt);
+        recorded++;
+        continue;
+      }
+
+      const mistake = await QuizMistake.findOne({ userId, questionKey, resolvedAt: null });
+      if (mistake) {
+        await mistake.recordCorrect(answeredAt);
+        if (mistake.resolvedAt) resolved++;
+      }
+    }
+
+    console.log(`📕 Mistakes bank updated: ${recorded} recorded, ${resolved} resolved`);
+
+    return { recorded, resolved };
+
+  } catch (error) {
+    console.error('❌ Record attempt mistakes service error:', error);
+    throw HttpError.internalServerError(`Failed to record mistakes: ${error.message}`);
+  }
+};
+
+// ==========================================
+// REVIEW QUIZ GENERATION
+// ==========================================
+
+/**
+ * Questions from the user's quizzes that test the same topics or skills as
+ * the picked mistakes, weighted by how much those mistakes weigh
+ */
+const findSimilarQuestions = async (userId, picked, excludedKeys) => {
+  const topicWeights = {};
+  const skillWeights = {};
+
+  picked.forEach(({ mistake, weight }) => {
+    if (mistake.topicArea) topicWeights[mistake.topicArea] = (topicWeights[mistake.topicArea] || 0) + weight;
+    if (mistake.skillCategory) skillWeights[mistake.skillCategory] = (skillWeights[mistake.skillCategory] || 0) + weight;
+  });
+
+  const documentIds = [...new Set(picked.map(({ mistake }) => String(mistake.documentId)))];
+
+  const quizzes = await Quiz.find({
+    userId,
+    documentId: { $in: documentIds.map(id => new mongoose.Types.ObjectId(id)) },
+    status: 'active',
+    deletedAt: null,
+    'aiMetadata.generationType': { $ne: MISTAKE_REVIEW_GENERATION_TYPE }
+  })
+    .sort({ createdAt: -1 })
+    .limit(MISTAKE_REVIEW.SOURCE_QUIZ_LIMIT)
+    .lean();
+
+  const candidates = new Map();
+
+  quizzes.forEach((quiz) => {
+    (quiz.questions || []).forEach((question) => {
+      if (!question?.question) return;
+
+      const questionKey = buildQuestionKey(quiz.documentId, question);
+      if (excludedKeys.has(questionKey) || candidates.has(questionKey)) return;
+
+      const weight =
+        (topicWeights[question.topicArea] || 0) * MISTAKE_REVIEW.TOPIC_MATCH_WEIGHT +
+        (skillWeights[question.skillCategory] || 0) * MISTAKE_REVIEW.SKILL_MATCH_WEIGHT;
+      if (weight <= 0) return;
+
+      candidates.set(questionKey, {
+        question: snapshotQuestion(question, quiz),
+        quizId: quiz._id,
+        documentId: quiz.documentId,
+        weight
+      });
+    });
+  });
+
+  return [...candidates.values()];
+};
+
+/**
+ * Assemble a personalised quiz from past mistakes and similar questions.
+ * Mistakes are drawn by weight (missed often and recently weighs most);
+ * up to SIMILAR_QUESTION_SHARE of the quiz, plus any slots the bank cannot
+ * fill, go to similar questions.
+ * @param {string} userId - User ID
+ * @param {Object} options - { questionCount, documentId, title }
+ * @returns {Promise<Object>} Created quiz with selection metadata
+ */
+export const generateReviewQuiz = async (userId, options = {}) => {
+  try {
+    const {
+      questionCount = MISTAKE_REVIEW_VALIDATION.QUESTION_COUNT.DEFAULT,
+      documentId = null,
+      title = 'Mistakes Review'
+    } = options;
+
+    const count = parseInt(questionCount);
+    const { MIN, MAX, ERROR_MESSAGE } = MISTAKE_REVIEW_VALIDATION.QUESTION_COUNT;
+
+    if (!Number.isInteger(count) || count < MIN || count > MAX) {
+      throw HttpError.badRequest(ERROR_MESSAGE, {
+        code: 'INVALID_QUESTION_COUNT',
+        context: { questionCount }
+      });
+    }
+
+    console.log(`📕 Generating mistakes review quiz for user ${userId} (${count} questions)`);
+
+    // 1. WEIGH OPEN MISTAKES
+    const now = new Date();
+    const mistakes = await QuizMistake.findOpen(userId, { documentId });
+
+    if (mistakes.length === 0) {
+      throw HttpError.notFound('No mistakes to review yet', {
+        code: 'NO_MISTAKES_TO_REVIEW',
+        context: { documentId }
+      });
+    }
+
+    const weighted = mistakes.map(mistake => ({ mistake, weight: mistake.getReviewWeight(now) }));
+
+    // 2. DRAW MISTAKES, LEAVING ROOM FOR SIMILAR QUESTIONS
+    const similarSlots = Math.floor(count * MISTAKE_REVIEW.SIMILAR_QUESTION_SHARE);
+    const mistakeSlots = Math.max(count - similarSlots, 1);
+    const picked = weightedSample(weighted, entry => entry.weight, mistakeSlots);
+
+    // 3. FILL THE REST WITH SIMILAR QUESTIONS
+    const excludedKeys = new Set(mistakes.map(mistake => mistake.questionKey));
+    const similarCandidates = await findSimilarQuestions(userId, picked, excludedKeys);
+    const similar = weightedSample(similarCandidates, candidate => candidate.weight, count - picked.length);
+
+    // 4. CREATE QUIZ
+    const selected = shuffle([
+      ...picked.map(({ mistake }) => ({
+        ...mistake.question,
+        review: { source: 'mistake', mistakeId: mistake._id, documentId: mistake.documentId, missCount: mistake.missCount }
+      })),
+      ...similar.map(({ question, quizId, documentId: sourceDocumentId }) => ({
+        ...question,
+        review: { source: 'similar', sourceQuizId: quizId, documentId: sourceDocumentId }
+      }))
+    ]);
+
+    const questionTypes = [...new Set(selected.map(question => question.type))];
+
+    const quiz = new Quiz({
+      documentId: documentId || picked[0].mistake.documentId,
+      userId,
+      title,
+      description: `Review of ${picked.length} past mistakes and ${similar.length} similar questions`,
+      questions: selected.map((question, index) => ({
+        ...question,
+        id: index + 1,
+        points: question.points || 1
+      })),
+      difficulty: 'mixed',
+      category: 'comprehension',
+      estimatedTime: Math.ceil(selected.length * 1.5),
+      status: 'active',
+      aiMetadata: {
+        model: 'mistakes-bank',
+        questionType: questionTypes.length === 1 ? questionTypes[0] : 'mixed',
+        type: questionTypes.length === 1 ? questionTypes[0] : 'mixed',
+        generationType: MISTAKE_REVIEW_GENERATION_TYPE,
+        hasCorrectAnswers: true,
+        generatedAt: now
+      }
+    });
+
+    await quiz.save();
+
+    console.log(`✅ Review quiz created: ${quiz._id} (${picked.length} mistakes, ${similar.length} similar)`);
+
+    return {
+      success: true,
+      quiz,
+      metadata: {
+        mistakeQuestions: picked.length,
+        similarQuestions: similar.length,
+        openMistakes: mistakes.length
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Generate review quiz service error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to generate review quiz: ${error.message}`);
+  }
+};
+
+export default {
+  recordAttemptMistakes,
+  generateReviewQuiz
+};
@@ -0,0 +1,290 @@
+/**
+ * OpenID Connect Service
+ * @module services/oidc
+ * @description Single sign-on with Google, Microsoft and institution identity
+ * providers. A provider account links to an existing student (matched by a
+ * verified email) or creates one, then signs in through the normal session
+ * issuance, two-factor included.
+ */
+
+import crypto from 'crypto';
+import { Student, BaseUser } from '#models/users/index.js';
+import { OidcState } from '#models/auth/index.js';
+import { HttpError } from '#exceptions/index.js';
+import { USER_VALIDATION_RULES } from '#constants/models/user/index.js';
+import { oidcConfig } from '#config/index.js';
+import {
+  randomToken,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken
+} from '#lib/oidc/index.js';
+import { signInUser } from '#services/auth.service.js';
+import { assertAccountNotLocked } from '#services/loginProtection.service.js';
+
+const INSTITUTION_MAX_LENGTH = 100;
+
+let providers = null;
+
+/**
+ * Replace the configured providers, e.g. with a local mock provider in tests.
+ * Pass null to go back to the configured providers.
+ * @param {Array<Object>|null} customProviders - Result of resolveOidcProviders
+ */
+export const setOidcProviders = (customProviders) => {
+  providers = customProviders;
+};
+
+const getProviders = () => providers || oidcConfig.providers;
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Enabled provider by id
+ * @param {string} providerId - Provider id from the URL
+ * @returns {Object} Provider
+ */
+const getProvider = (providerId) => {
+  const provider = getProviders().find(entry => entry.id === providerId);
+  if (!provider) {
+    throw HttpError.notFound('Sign-in provider not found', { code: 'OIDC_PROVIDER_NOT_FOUND' });
+  }
+  return provider;
+};
+
+/**
+ * Turn a lib/oidc failure into an HTTP error
+ */
+const toHttpError = (error, provider) => {
+  if (error.name === 'HttpError') return error;
+
+  console.error(`❌ OIDC login with ${provider.id} failed:`, error.message);
+
+  if (error.name === 'OidcError' && error.code !== 'PROVIDER_UNAVAILABLE') {
+    return HttpError.unauthorized(`Sign-in with ${provider.name} failed, please try again`, {
+      code: 'OIDC_LOGIN_FAILED'
+    });
+  }
+  return HttpError.internalServerError(`${provider.name} sign-in is unavailable right now`, {
+    code: 'OIDC_PROVIDER_UNAVAILABLE'
+  });
+};
+
+/**
+ * Make a claim fit the user name rules (ASCII letters, spaces, ' and -)
+ * @param {string} value - Name claim
+ * @param {string} fallback - Used when too little is left
+ * @returns {string}
+ */
+const toValidName = (value, fallback) => {
+  const { MIN_LENGTH, MAX_LENGTH, PATTERN } = USER_VALIDATION_RULES.NAME;
+
+  const name = String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z\s'-]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_LENGTH)
+    .trim();
+
+  return name.length >= MIN_LENGTH && PATTERN.test(name) ? name : fallback;
+};
+
+/**
+ * Institution from the provider's claim, else the provider's fixed name
+ * @param {Object} provider - Provider
+ * @param {Object} claims - Verified ID token claims
+ * @returns {string|null}
+ */
+const resolveInstitution = (provider, claims) => {
+  const claimed = provider.institutionClaim ? claims[provider.institutionClaim] : null;
+  const value = typeof claimed === 'string' && claimed.trim() ? claimed : provider.institution;
+
+  return value ? value.trim().slice(0, INSTITUTION_MAX_LENGTH) : null;
+};
+
+/**
+ * Whether the provider vouches for the email address
+ */
+const isEmailTrusted = (provider, claims) =>
+  provider.trustEmail || claims.email_verified === true || claims.email_verified === 'true';
+
+// ==========================================
+// ACCOUNT LINKING
+// ==========================================
+
+/**
+ * Find the student for a provider account: by linked identity first, then by
+ * a verified email (linking the identity), else create a new student
+ * @param {Object} provider - Provider
+ * @param {Object} claims - Verified ID token claims
+ * @param {string} ip - Client IP address
+ * @returns {Promise<Object>} User document with +security
+ */
+const findOrCreateStudent = async (provider, claims, ip) => {
+  const now = new Date();
+  const institution = resolveInstitution(provider, claims);
+
+  const linked = await BaseUser.findOne({
+    identities: { $elemMatch: { provider: provider.id, subject: claims.sub } }
+  }).select('+security +loginAttempts +lockUntil');
+
+  if (linked) {
+    const identity = linked.identities.find(entry => entry.provider === provider.id && entry.subject === claims.sub);
+    identity.lastLoginAt = now;
+    if (linked.userType === 'student' && institution && !linked.academic?.institution) {
+      linked.academic.institution = institution;
+    }
+    await linked.save();
+    return linked;
+  }
+
+  const email = typeof claims.email === 'string' ? claims.email.toLowerCase().trim() : null;
+  if (!email) {
+    throw HttpError.badRequest(`${provider.name} did not share an email address`, { code: 'OIDC_EMAIL_MISSING' });
+  }
+
+  const emailTrusted = isEmailTrusted(provider, claims);
+  const identity = { provider: provider.id, subject: claims.sub, email, linkedAt: now, lastLoginAt: now };
+  const existing = await BaseUser.findOne({ email }).select('+security +loginAttempts +lockUntil');
+
+  if (existing) {
+    // Linking on an unverified address would let anyone claim the account
+    if (!emailTrusted) {
+      throw HttpError.conflict('An account with this email already exists. Sign in with your password instead', {
+        code: 'OIDC_ACCOUNT_EXISTS'
+      });
+    }
+    if (existing.userType !== 'student') {
+      throw HttpError.forbidden('Single sign-on is only available for student accounts', {
+        code: 'OIDC_ACCOUNT_NOT_ALLOWED'
+      });
+    }
+
+    existing.identities.push(identity);
+    existing.verification.isEmailVerified = true;
+    if (institution && !existing.academic?.institution) {
+      existing.academic.institution = institution;
+    }
+    await existing.save();
+
+    console.log(`🔗 Linked ${provider.id} sign-in to ${email}`);
+    return existing;
+  }
+
+  const student = await Student.create({
+    email,
+    // Never shown; the student can set a password with a reset link
+    password: crypto.randomBytes(32).toString('hex'),
+    name: {
+      first: toValidName(claims.given_name || claims.name?.split(' ')[0], 'Student'),
+      last: toValidName(claims.family_name || claims.name?.split(' ').slice(1).join(' '), 'User')
+    },
+    academic: { institution },
+    verification: { isEmailVerified: emailTrusted },
+    identities: [identity],
+    metadata: {
+      registrationSource: 'sso',
+      registrationIP: ip || null
+    }
+  });
+
+  console.log(`✅ Created student ${email} from ${provider.id} sign-in`);
+  return BaseUser.findById(student._id).select('+security +loginAttempts +lockUntil');
+};
+
+// ==========================================
+// LOGIN FLOW
+// ==========================================
+
+/**
+ * Providers shown on the sign-in page
+ * @returns {Array<Object>} [{ id, name }]
+ */
+export const listOidcProviders = () =>
+  getProviders().map(provider => ({ id: provider.id, name: provider.name }));
+
+/**
+ * Start a sign-in: remember state, nonce and PKCE verifier, and return the
+ * provider URL to send the browser to
+ * @param {string} providerId - Provider id
+ * @returns {Promise<Object>} { provider, authorizationUrl, browserKey }
+ */
+export const startOidcLogin = async (providerId) => {
+  const provider = getProvider(providerId);
+
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const browserKey = randomToken();
+  const redirectUri = oidcConfig.redirectUri;
+
+  try {
+    const authorizationUrl = await buildAuthorizationUrl(provider, { redirectUri, state, nonce, codeVerifier });
+    await OidcState.issue(state, { provider: provider.id, nonce, codeVerifier, redirectUri, browserKey });
+
+    return { provider: provider.id, authorizationUrl, browserKey };
+  } catch (error) {
+    throw toHttpError(error, provider);
+  }
+};
+
+/**
+ * Finish a sign-in with the provider's authorization response
+ * @param {Object} response - { code, state } from the callback URL, and the
+ * browserKey the same browser received from startOidcLogin
+ * @param {string} ip - Client IP address
+ * @param {string} userAgent - Client user agent
+ * @returns {Promise<Object>} Tokens and user info, or a two-factor challenge
+ */
+export const completeOidcLogin = async ({ code, state, browserKey } = {}, ip, userAgent) => {
+  if (!code || !state) {
+    throw HttpError.badRequest('Authorization code and state are required');
+  }
+
+  const pending = await OidcState.consume(state);
+  if (!pending) {
+    throw HttpError.badRequest('Sign-in has expired, please try again', { code: 'INVALID_OIDC_STATE' });
+  }
+
+  // The state is spent either way, so a forwarded callback link cannot be retried
+  if (!pending.isSameBrowser(browserKey)) {
+    throw HttpError.badRequest('Sign-in was started in another browser, please try again', {
+      code: 'OIDC_BROWSER_MISMATCH'
+    });
+  }
+
+  const provider = getProvider(pending.provider);
+
+  let claims;
+  try {
+    const tokens = await exchangeCode(provider, {
+      code,
+      redirectUri: pending.redirectUri,
+      codeVerifier: pending.codeVerifier
+    });
+    claims = await verifyIdToken(provider, tokens.id_token, { nonce: pending.nonce });
+  } catch (error) {
+    throw toHttpError(error, provider);
+  }
+
+  const user = await findOrCreateStudent(provider, claims, ip);
+
+  if (user.status !== 'active') {
+    throw HttpError.forbidden('Account is not active');
+  }
+
+  assertAccountNotLocked(user);
+
+  return signInUser(user, ip, userAgent, { loginMethod: 'oidc' });
+};
+
+export default {
+  setOidcProviders,
+  listOidcProviders,
+  startOidcLogin,
+  completeOidcLogin
+};
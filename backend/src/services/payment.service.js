@@ -0,0 +1,408 @@
+/**
+ * Payment Service
+ * @module services/payment
+ * @description Gateway payments: starts hosted checkouts as pending
+ * transactions, settles them from signed webhooks (each event applied once),
+ * and expires checkouts that were never paid. What a payment buys is up to
+ * the handler registered for its transaction type.
+ */
+
+import Transaction from '#models/transaction/Transaction.js';
+import PaymentEvent from '#models/transaction/PaymentEvent.js';
+import { HttpError } from '#exceptions/index.js';
+import { paymentConfig } from '#config/index.js';
+import { createPaymentGateway, PaymentGatewayError } from '#lib/payments/index.js';
+import { enqueueJob, registerJobHandler } from '#services/jobQueue.service.js';
+
+const EXPIRY_JOB_TYPE = 'payment_expiry';
+
+// Give the gateway a moment to send its own expiry event first
+const EXPIRY_GRACE_MS = 60 * 1000;
+
+// ==========================================
+// GATEWAY
+// ==========================================
+
+// The gateway is created on first use and reused across calls
+let gateway = null;
+
+const getGateway = () => {
+  if (!gateway) {
+    gateway = createPaymentGateway(paymentConfig.gateway, paymentConfig[paymentConfig.gateway], {
+      webhookToleranceSeconds: paymentConfig.webhookToleranceSeconds
+    });
+  }
+  return gateway;
+};
+
+/**
+ * Replace the gateway, e.g. with one pointed at a fake gateway server in
+ * tests. Pass null to go back to the configured gateway.
+ * @param {Object|null} customGateway - Gateway from lib/payments
+ */
+export const setPaymentGateway = (customGateway) => {
+  gateway = customGateway;
+};
+
+// ==========================================
+// CHECKOUT HANDLERS
+// ==========================================
+
+// transaction type -> { onPaid, onClosed }
+const checkoutHandlers = new Map();
+
+/**
+ * Register what happens when a checkout of a transaction type ends
+ * @param {string} type - Transaction type (course_purchase, subscription_payment)
+ * @param {Object} handlers
+ * @param {Function} handlers.onPaid - async (transaction) => void; grant the purchase.
+ *   Throwing leaves the transaction pending so the webhook is retried.
+ * @param {Function} [handlers.onClosed] - async (transaction) => void; the checkout
+ *   failed or expired, release anything held for it
+ */
+export const registerCheckoutHandler = (type, handlers) => {
+  checkoutHandlers.set(type, handlers);
+};
+
+const runClosedHandler = async (transaction) => {
+  const handlers = checkoutHandlers.get(transaction.type);
+  if (!handlers?.onClosed) return;
+
+  try {
+    await handlers.onClosed(transaction);
+  } catch (error) {
+    console.error(`❌ Checkout close handler failed for ${transaction._id}:`, error.message);
+  }
+};
+
+// ==========================================
+// CHECKOUT
+// ==========================================
+
+/**
+ * Start a hosted checkout for a purchase
+ * @param {Object} checkout
+ * @param {string} checkout.userId - Buyer
+ * @param {string} checkout.type - course_purchase or subscription_payment
+ * @param {number} checkout.amount - Amount to charge
+ * @param {string} checkout.description - Shown to the buyer and on the transaction
+ * @param {string} [checkout.currency] - Defaults to PAYMENT_CURRENCY
+ * @param {string} [checkout.courseId]
+ * @param {string} [checkout.subscriptionId]
+ * @param {number} [checkout.pointsUsed] - Points already held for this purchase
+ * @param {Object} [checkout.purchase] - Details the checkout handler needs once paid
+ * @param {Object} [checkout.metadata] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { transactionId, referenceId, status, checkoutUrl, expiresAt }
+ */
+export const createCheckout = async (checkout) => {
+  const {
+    userId,
+    type,
+    amount,
+    description,
+    currency = paymentConfig.currency,
+    courseId = null,
+    subscriptionId = null,
+    pointsUsed = 0,
+    purchase = null,
+    metadata = {}
+  } = checkout;
+
+  if (!checkoutHandlers.has(type)) {
+    throw HttpError.internalServerError(`No checkout handler for ${type} transactions`);
+  }
+
+  const activeGateway = getGateway();
+  const transaction = await Transaction.create({
+    userId,
+    type,
+    status: 'pending',
+    description,
+    amount,
+    currency,
+    courseId,
+    subscriptionId,
+    pointsUsed,
+    payment: {
+      method: 'credit_card',
+      provider: activeGateway.name
+    },
+    metadata: {
+      source: 'web',
+      ipAddress: metadata.ipAddress,
+      userAgent: metadata.userAgent,
+      purchase
+    }
+  });
+
+  const expiresAt = new Date(Date.now() + paymentConfig.checkoutTtlMinutes * 60 * 1000);
+
+  let session;
+  try {
+    session = await activeGateway.createCheckoutSession({
+      reference: transaction.referenceId,
+      amount,
+      currency,
+      description,
+      successUrl: `${paymentConfig.successUrl}?transaction=${transaction._id}`,
+      cancelUrl: `${paymentConfig.cancelUrl}?transaction=${transaction._id}`,
+      expiresAt,
+      metadata: { transactionId: transaction._id.toString(), type }
+    });
+  } catch (error) {
+    console.error(`❌ Checkout for ${transaction._id} failed:`, error.message);
+    await transaction.fail(error.code || 'CHECKOUT_FAILED', error.message.substring(0, 500));
+    throw HttpError.internalServerError('The payment provider is not available, please try again', {
+      code: 'PAYMENT_PROVIDER_UNAVAILABLE'
+    });
+  }
+
+  transaction.payment.checkoutSessionId = session.id;
+  transaction.payment.checkoutExpiresAt = session.expiresAt || expiresAt;
+  await transaction.save();
+
+  await scheduleExpiry(transaction).catch(error => {
+    // The reaper's recovery pass picks it up later
+    console.error(`⚠️ Could not schedule expiry for ${transaction._id}:`, error.message);
+  });
+
+  console.log(`🧾 Checkout ${session.id} started for ${type} ${transaction._id} (${amount} ${currency})`);
+
+  return {
+    transactionId: transaction._id,
+    referenceId: transaction.referenceId,
+    status: transaction.status,
+    checkoutUrl: session.url,
+    expiresAt: transaction.payment.checkoutExpiresAt
+  };
+};
+
+// ==========================================
+// SETTLEMENT
+// ==========================================
+
+const currentStatus = async (transaction) => (await Transaction.findById(transaction._id).select('status')).status;
+
+/**
+ * Grant a paid checkout. The pending -> processing claim makes concurrent
+ * deliveries of the same payment grant it only once.
+ * @returns {Promise<Object>} { applied, status }; applied is false when
+ *   another delivery or the expiry job got there first
+ */
+const settlePaidCheckout = async (transaction, session) => {
+  const claimed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'pending' },
+    { $set: { status: 'processing', processedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { applied: false, status: await currentStatus(transaction) };
+  }
+
+  const gatewayData = {
+    id: session.paymentId,
+    response: { sessionId: session.id, amount: session.amount, currency: session.currency }
+  };
+
+  const toCents = (amount) => Math.round(amount * 100);
+  if (toCents(session.amount) !== toCents(claimed.amount) || session.currency !== claimed.currency) {
+    console.error(`❌ Checkout ${session.id} paid ${session.amount} ${session.currency}, expected ${claimed.amount} ${claimed.currency}`);
+    claimed.payment.gatewayTransactionId = session.paymentId;
+    await claimed.fail('AMOUNT_MISMATCH', 'Amount paid does not match the transaction; refund required', gatewayData.response);
+    return { applied: true, status: claimed.status };
+  }
+
+  try {
+    await checkoutHandlers.get(claimed.type).onPaid(claimed);
+  } catch (error) {
+    await Transaction.updateOne({ _id: claimed._id, status: 'processing' }, { $set: { status: 'pending' } });
+    throw error;
+  }
+
+  await claimed.complete(gatewayData);
+  console.log(`✅ Payment ${session.paymentId} completed ${claimed.type} ${claimed._id}`);
+  return { applied: true, status: claimed.status };
+};
+
+/**
+ * Close a checkout that will not be paid
+ * @param {string} status - failed or expired
+ * @returns {Promise<Object>} { applied, status }
+ */
+const closeUnpaidCheckout = async (transaction, status, reason) => {
+  const update = status === 'failed'
+    ? { status, failedAt: new Date(), 'error.code': 'PAYMENT_FAILED', 'error.message': reason }
+    : { status, notes: reason };
+
+  const closed = await Transaction.findOneAndUpdate(
+    { _id: transaction._id, status: 'pending' },
+    { $set: update },
+    { new: true }
+  );
+  if (!closed) {
+    return { applied: false, status: await currentStatus(transaction) };
+  }
+
+  await runClosedHandler(closed);
+  console.log(`🚫 Checkout for ${closed.type} ${closed._id} ${status}`);
+  return { applied: true, status: closed.status };
+};
+
+/**
+ * Apply a gateway-neutral event to its transaction
+ * @returns {Promise<Object>} { outcome, transaction, status }
+ */
+const applyEvent = async (event) => {
+  if (!event.type) {
+    return { outcome: 'ignored', transaction: null, status: null };
+  }
+
+  const transaction = await Transaction.findOne({ 'payment.checkoutSessionId': event.session.id });
+  if (!transaction) {
+    console.warn(`⚠️ ${event.gatewayType} for unknown checkout ${event.session.id}`);
+    return { outcome: 'unmatched', transaction: null, status: null };
+  }
+
+  let result;
+  switch (event.type) {
+    case 'checkout.completed':
+      result = await settlePaidCheckout(transaction, event.session);
+      break;
+    case 'checkout.failed':
+      result = await closeUnpaidCheckout(transaction, 'failed', 'The payment did not go through');
+      break;
+    case 'checkout.expired':
+      result = await closeUnpaidCheckout(transaction, 'expired', 'Checkout expired before payment');
+      break;
+  }
+
+  return { outcome: result.applied ? 'applied' : 'no_change', transaction, status: result.status };
+};
+
+/**
+ * Verify and apply a gateway webhook. Each event is applied once; repeated
+ * deliveries are acknowledged without effect.
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - Signature header
+ * @returns {Promise<Object>} { received, duplicate, outcome, transactionId, status }
+ * @throws {HttpError} 400 INVALID_SIGNATURE, SIGNATURE_EXPIRED or INVALID_PAYLOAD
+ */
+export const handleWebhook = async (rawBody, signature) => {
+  try {
+    const activeGateway = getGateway();
+
+    let event;
+    try {
+      event = activeGateway.parseWebhookEvent(rawBody, signature);
+    } catch (error) {
+      if (error instanceof PaymentGatewayError) {
+        throw HttpError.badRequest(error.message, { code: error.code });
+      }
+      throw error;
+    }
+
+    if (await PaymentEvent.isRecorded(activeGateway.name, event.id)) {
+      console.log(`♻️ Webhook ${event.id} already handled`);
+      return { received: true, duplicate: true };
+    }
+
+    const { outcome, transaction, status } = await applyEvent(event);
+    const recorded = await PaymentEvent.record(activeGateway.name, event, outcome, transaction?._id);
+
+    return {
+      received: true,
+      duplicate: !recorded,
+      outcome,
+      transactionId: transaction?._id || null,
+      status
+    };
+
+  } catch (error) {
+    console.error('❌ Payment webhook error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to handle payment webhook: ${error.message}`);
+  }
+};
+
+// ==========================================
+// EXPIRY
+// ==========================================
+
+const scheduleExpiry = (transaction) => enqueueJob(EXPIRY_JOB_TYPE, { transactionId: transaction._id.toString() }, {
+  userId: transaction.userId,
+  dedupeKey: `${EXPIRY_JOB_TYPE}:${transaction._id}`,
+  runAt: new Date((transaction.payment.checkoutExpiresAt?.getTime() || Date.now()) + EXPIRY_GRACE_MS)
+});
+
+/**
+ * Close a pending checkout at the gateway and locally. A checkout that was
+ * paid after all is settled instead, covering a lost completion webhook.
+ * @param {string} transactionId - Transaction ID
+ * @returns {Promise<Object>} { transactionId, status }
+ */
+export const expireCheckout = async (transactionId) => {
+  const transaction = await Transaction.findById(transactionId);
+  if (!transaction || transaction.status !== 'pending') {
+    return { transactionId, status: transaction?.status || null };
+  }
+
+  const sessionId = transaction.payment.checkoutSessionId;
+  if (!sessionId) {
+    const { status } = await closeUnpaidCheckout(transaction, 'expired', 'Checkout was never opened');
+    return { transactionId, status };
+  }
+
+  let session;
+  try {
+    session = await getGateway().expireCheckoutSession(sessionId);
+  } catch (error) {
+    // Only open sessions can be expired; find out how this one ended
+    if (error.code !== 'GATEWAY_REJECTED') throw error;
+    session = await getGateway().retrieveCheckoutSession(sessionId);
+  }
+
+  let result;
+  if (session.paid) {
+    result = await settlePaidCheckout(transaction, session);
+  } else if (session.status === 'expired') {
+    result = await closeUnpaidCheckout(transaction, 'expired', 'Checkout expired before payment');
+  } else {
+    result = await closeUnpaidCheckout(transaction, 'failed', 'The payment did not go through');
+  }
+
+  return { transactionId, status: result.status };
+};
+
+/**
+ * Schedule expiry for pending checkouts that have none, e.g. when queueing
+ * failed right after the checkout was created
+ * @returns {Promise<number>} Expiry jobs queued
+ */
+const recoverStaleCheckouts = async () => {
+  const staleAfterHours = Math.ceil(paymentConfig.checkoutTtlMinutes / 60) + 1;
+  const stale = await Transaction.findStaleTransactions(staleAfterHours)
+    .where('payment.checkoutSessionId').exists(true);
+
+  for (const transaction of stale) {
+    await scheduleExpiry(transaction);
+  }
+
+  return stale.length;
+};
+
+/**
+ * Register the checkout expiry handler with the job queue
+ */
+export const registerPaymentJobs = () => {
+  registerJobHandler(EXPIRY_JOB_TYPE, (job) => expireCheckout(job.payload.transactionId), {
+    recover: recoverStaleCheckouts
+  });
+};
+
+export default {
+  setPaymentGateway,
+  registerCheckoutHandler,
+  createCheckout,
+  handleWebhook,
+  expireCheckout,
+  registerPaymentJobs
+};
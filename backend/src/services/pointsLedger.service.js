@@ -0,0 +1,550 @@
+/**
+ * Points Ledger Service
+ * @module services/pointsLedger
+ * @description The only way points change. Every change is an immutable
+ * journal entry whose postings sum to zero, written in the same transaction
+ * as the student's cached counters (progress.totalPoints, progress.pointsUsed).
+ * Entries carry an idempotency key: repeating a request changes nothing and
+ * returns the first result.
+ */
+
+import mongoose from 'mongoose';
+import PointsJournalEntry from '#models/transaction/PointsJournalEntry.js';
+import { Student } from '#models/users/index.js';
+import { HttpError } from '#exceptions/index.js';
+import { withTransaction } from '#lib/database/index.js';
+import { POINTS_SYSTEM_ACCOUNTS } from '#constants/models/transaction/index.js';
+
+// ==========================================
+// POSTINGS
+// ==========================================
+
+const userPosting = (userId, bucket, points) => ({
+  account: PointsJournalEntry.userAccount(userId),
+  userId: new mongoose.Types.ObjectId(String(userId)),
+  bucket,
+  points
+});
+
+const systemPosting = (account, points) => ({ account, userId: null, bucket: null, points });
+
+const assertPoints = (points) => {
+  if (!Number.isInteger(points) || points <= 0) {
+    throw HttpError.badRequest('Points must be a positive whole number', {
+      code: 'INVALID_POINTS_AMOUNT',
+      context: { points }
+    });
+  }
+};
+
+/**
+ * Counter changes an entry makes, per user
+ * @returns {Array} [{ userId, earned, spent }]; spent is the pointsUsed change
+ */
+const cacheChangesOf = (postings) => {
+  const changes = new Map();
+
+  for (const posting of postings) {
+    if (!posting.userId) continue;
+
+    const key = posting.userId.toString();
+    const change = changes.get(key) || { userId: posting.userId, earned: 0, spent: 0 };
+    if (posting.bucket === 'earned') change.earned += posting.points;
+    if (posting.bucket === 'spent') change.spent -= posting.points;
+    changes.set(key, change);
+  }
+
+  return [...changes.values()].filter(change => change.earned !== 0 || change.spent !== 0);
+};
+
+// Same account totals, order aside
+const fingerprintOf = (type, postings) => {
+  const totals = {};
+  for (const posting of postings) {
+    const key = `${posting.account}/${posting.bucket || ''}`;
+    totals[key] = (totals[key] || 0) + posting.points;
+  }
+  return `${type}:${Object.keys(totals).sort().map(key => `${key}=${totals[key]}`).join(',')}`;
+};
+
+const toBalance = (progress = {}) => {
+  const totalPoints = progress.totalPoints || 0;
+  const pointsUsed = progress.pointsUsed || 0;
+  return { totalPoints, pointsUsed, available: totalPoints - pointsUsed };
+};
+
+// ==========================================
+// CACHED COUNTERS
+// ==========================================
+
+/**
+ * Move a student's counters, refusing changes that would overdraw them
+ */
+const applyCacheChange = async ({ userId, earned, spent }, session) => {
+  const availableChange = earned - spent;
+  const filter = { _id: userId };
+
+  if (availableChange < 0) {
+    filter.$expr = {
+      $gte: [{ $subtract: ['$progress.totalPoints', '$progress.pointsUsed'] }, -availableChange]
+    };
+  }
+  if (spent < 0) {
+    filter['progress.pointsUsed'] = { $gte: -spent };
+  }
+
+  const inc = {};
+  if (earned !== 0) inc['progress.totalPoints'] = earned;
+  if (spent !== 0) inc['progress.pointsUsed'] = spent;
+
+  const student = await Student.findOneAndUpdate(filter, { $inc: inc }, { new: true, session })
+    .select('progress.totalPoints progress.pointsUsed');
+  if (student) {
+    return toBalance(student.progress);
+  }
+
+  const current = await Student.findById(userId).select('progress.totalPoints progress.pointsUsed').session(session);
+  if (!current) {
+    throw HttpError.notFound('User not found', { context: { userId: userId.toString() } });
+  }
+
+  throw HttpError.badRequest('Insufficient points', {
+    code: 'INSUFFICIENT_POINTS',
+    context: {
+      userId: userId.toString(),
+      required: Math.max(-availableChange, -spent),
+      available: toBalance(current.progress).available
+    }
+  });
+};
+
+// Without transactions, undo counter changes already made by a failed entry
+const revertCacheChanges = async (changes) => {
+  for (const { userId, earned, spent } of changes) {
+    const inc = {};
+    if (earned !== 0) inc['progress.totalPoints'] = -earned;
+    if (spent !== 0) inc['progress.pointsUsed'] = -spent;
+    await Student.updateOne({ _id: userId }, { $inc: inc });
+  }
+};
+
+// Points achievements follow totalPoints; the points are booked either way
+const refreshPointsAchievements = async (postings) => {
+  const raised = cacheChangesOf(postings).filter(change => change.earned > 0);
+
+  for (const { userId } of raised) {
+    try {
+      const student = await Student.findById(userId).select('progress.totalPoints analytics.achievements');
+      const before = student?.analytics.achievements.length;
+      if (student && student.checkPointsAchievements().analytics.achievements.length > before) {
+        await student.save();
+      }
+    } catch (error) {
+      console.warn(`⚠️ Points achievements check failed for ${userId}:`, error.message);
+    }
+  }
+};
+
+const readBalances = async (userIds, session = null) => {
+  const students = await Student.find({ _id: { $in: userIds } })
+    .select('progress.totalPoints progress.pointsUsed')
+    .session(session);
+
+  return Object.fromEntries(students.map(student => [student._id.toString(), toBalance(student.progress)]));
+};
+
+// ==========================================
+// POSTING ENTRIES
+// ==========================================
+
+const duplicateResult = async (existing, entry, session = null) => {
+  if (fingerprintOf(existing.type, existing.postings) !== fingerprintOf(entry.type, entry.postings)) {
+    throw HttpError.conflict('Idempotency key was already used for a different points change', {
+      code: 'IDEMPOTENCY_KEY_REUSED',
+      context: { idempotencyKey: entry.idempotencyKey }
+    });
+  }
+
+  return {
+    entry: existing.toJSON(),
+    duplicate: true,
+    balances: await readBalances(existing.userIds, session)
+  };
+};
+
+const applyEntry = async (entry, afterPost, session) => {
+  const existing = await PointsJournalEntry.findOne({ idempotencyKey: entry.idempotencyKey }).session(session);
+  if (existing) {
+    return duplicateResult(existing, entry, session);
+  }
+
+  // Opening balances describe counters that already hold the points
+  const changes = entry.type === 'opening_balance' ? [] : cacheChangesOf(entry.postings);
+  const applied = [];
+  const balances = {};
+  let created;
+
+  try {
+    for (const change of changes) {
+      balances[change.userId.toString()] = await applyCacheChange(change, session);
+      applied.push(change);
+    }
+
+    // Users whose counters did not move still need to exist
+    const unchanged = [...new Set(entry.postings
+      .filter(posting => posting.userId)
+      .map(posting => posting.userId.toString()))]
+      .filter(userId => !balances[userId]);
+    Object.assign(balances, await readBalances(unchanged, session));
+    const unknown = unchanged.find(userId => !balances[userId]);
+    if (unknown) {
+      throw HttpError.notFound('User not found', { context: { userId: unknown } });
+    }
+
+    [created] = await PointsJournalEntry.create([entry], { session });
+  } catch (error) {
+    // Once the entry exists the counters match it, so only undo before that
+    if (!session) {
+      await revertCacheChanges(applied);
+    }
+    throw error;
+  }
+
+  const result = { entry: created.toJSON(), duplicate: false, balances };
+  if (afterPost) {
+    await afterPost(session, result);
+  }
+  return result;
+};
+
+const isDuplicateKeyError = (error) => error?.code === 11000 && Boolean(error.keyPattern?.idempotencyKey);
+
+/**
+ * Post a journal entry and update the cached counters in one transaction
+ * @param {Object} entry - { idempotencyKey, type, source, description, postings,
+ *   transactionId, relatedId, createdBy, metadata }
+ * @param {Object} [options]
+ * @param {Function} [options.afterPost] - async (session, result) => void; further
+ *   writes that must commit with the entry. Not called for duplicates.
+ * @returns {Promise<Object>} { entry, duplicate, balances }; balances holds the
+ *   counters of every user in the entry, by user id
+ */
+export const postJournalEntry = async (entry, { afterPost = null } = {}) => {
+  if (!entry.idempotencyKey) {
+    throw HttpError.badRequest('Idempotency key is required', { code: 'MISSING_IDEMPOTENCY_KEY' });
+  }
+
+  try {
+    const result = await withTransaction((session) => applyEntry(entry, afterPost, session));
+    if (!result.duplicate && entry.type !== 'opening_balance') {
+      await refreshPointsAchievements(entry.postings);
+    }
+    return result;
+  } catch (error) {
+    // Another request posted the same key between our check and insert
+    if (isDuplicateKeyError(error)) {
+      const existing = await PointsJournalEntry.findOne({ idempotencyKey: entry.idempotencyKey });
+      return duplicateResult(existing, entry);
+    }
+
+    if (error.name === 'HttpError') throw error;
+    if (error.name === 'ValidationError') {
+      throw HttpError.badRequest(`Invalid points journal entry: ${error.message}`, { code: 'INVALID_JOURNAL_ENTRY' });
+    }
+    throw HttpError.internalServerError(`Failed to post points journal entry: ${error.message}`);
+  }
+};
+
+// ==========================================
+// OPERATIONS
+// ==========================================
+
+const entryFields = ({ idempotencyKey, source, description, transactionId = null, relatedId = null, createdBy = null, metadata = {} }) => ({
+  idempotencyKey,
+  source,
+  description,
+  transactionId,
+  relatedId,
+  createdBy,
+  metadata
+});
+
+/**
+ * Grant points to a student
+ * @param {Object} change - { userId, points, idempotencyKey, source, description, ... }
+ */
+export const earnPoints = async (change, options) => {
+  assertPoints(change.points);
+  return postJournalEntry({
+    ...entryFields(change),
+    type: 'earn',
+    postings: [
+      userPosting(change.userId, 'earned', change.points),
+      systemPosting(POINTS_SYSTEM_ACCOUNTS.REWARDS, -change.points)
+    ]
+  }, options);
+};
+
+/**
+ * Spend (or hold) available points on a purchase
+ */
+export const spendPoints = async (change, options) => {
+  assertPoints(change.points);
+  return postJournalEntry({
+    ...entryFields(change),
+    type: 'spend',
+    postings: [
+      userPosting(change.userId, 'spent', -change.points),
+      systemPosting(POINTS_SYSTEM_ACCOUNTS.PURCHASES, change.points)
+    ]
+  }, options);
+};
+
+/**
+ * Give back held points for a purchase that did not complete
+ */
+export const releasePoints = async (change, options) => {
+  assertPoints(change.points);
+  return postJournalEntry({
+    ...entryFields(change),
+    type: 'release',
+    postings: [
+      userPosting(change.userId, 'spent', change.points),
+      systemPosting(POINTS_SYSTEM_ACCOUNTS.PURCHASES, -change.points)
+    ]
+  }, options);
+};
+
+/**
+ * Take earned points away from a student
+ */
+export const deductPoints = async (change, options) => {
+  assertPoints(change.points);
+  return postJournalEntry({
+    ...entryFields(change),
+    type: 'deduct',
+    postings: [
+      userPosting(change.userId, 'earned', -change.points),
+      systemPosting(POINTS_SYSTEM_ACCOUNTS.ADJUSTMENTS, change.points)
+    ]
+  }, options);
+};
+
+/**
+ * Move earned points from one student to another
+ * @param {Object} change - { fromUserId, toUserId, points, idempotencyKey, ... }
+ */
+export const transferPoints = async (change, options) => {
+  assertPoints(change.points);
+  if (String(change.fromUserId) === String(change.toUserId)) {
+    throw HttpError.badRequest('Cannot transfer points to the same user', { code: 'SAME_USER_TRANSFER' });
+  }
+
+  return postJournalEntry({
+    ...entryFields(change),
+    type: 'transfer',
+    postings: [
+      userPosting(change.fromUserId, 'earned', -change.points),
+      userPosting(change.toUserId, 'earned', change.points)
+    ]
+  }, options);
+};
+
+/**
+ * Correct a student's earned points by a signed amount
+ * @param {Object} change - { userId, points, idempotencyKey, ... }; positive
+ *   points add, negative points remove
+ */
+export const adjustPoints = async (change, options) => {
+  if (!Number.isInteger(change.points) || change.points === 0) {
+    throw HttpError.badRequest('Adjustment must be a non-zero whole number of points', {
+      code: 'INVALID_POINTS_AMOUNT',
+      context: { points: change.points }
+    });
+  }
+
+  return postJournalEntry({
+    ...entryFields(change),
+    type: 'adjustment',
+    postings: [
+      userPosting(change.userId, 'earned', change.points),
+      systemPosting(POINTS_SYSTEM_ACCOUNTS.ADJUSTMENTS, -change.points)
+    ]
+  }, options);
+};
+
+// ==========================================
+// BALANCES & RECONCILIATION
+// ==========================================
+
+/**
+ * Balance of a student summed from the journal
+ * @returns {Promise<Object>} { totalEarned, totalSpent, available, entries }
+ */
+export const getLedgerBalance = async (userId) => {
+  try {
+    const id = new mongoose.Types.ObjectId(String(userId));
+    // Entries may post to other users too (transfers); keep this one's
+    const balances = await PointsJournalEntry.balancesByUser({ userIds: id });
+    const mine = balances.find(balance => balance.userId.equals(id));
+
+    return {
+      totalEarned: mine?.earned || 0,
+      totalSpent: mine?.spent || 0,
+      available: (mine?.earned || 0) - (mine?.spent || 0),
+      entries: mine?.entries || 0
+    };
+  } catch (error) {
+    console.error('❌ Get ledger balance error:', error);
+    throw HttpError.internalServerError(`Failed to get points balance: ${error.message}`);
+  }
+};
+
+/**
+ * Compare every student's cached counters with the journal
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Check one student only
+ * @param {number} [options.limit=100] - Most mismatches listed (largest drift first)
+ * @returns {Promise<Object>} { summary, mismatches, checkedAt }
+ */
+export const reconcilePointsBalances = async ({ userId = null, limit = 100 } = {}) => {
+  try {
+    console.log(`🧾 Reconciling points balances${userId ? ` for user: ${userId}` : ''}`);
+
+    const userFilter = userId ? { _id: new mongoose.Types.ObjectId(String(userId)) } : {};
+    const [ledgerBalances, unbalancedEntries] = await Promise.all([
+      PointsJournalEntry.balancesByUser(userId ? { userIds: userFilter._id } : {}),
+      PointsJournalEntry.aggregate([
+        { $project: { total: { $sum: '$postings.points' } } },
+        { $match: { total: { $ne: 0 } } },
+        { $count: 'count' }
+      ])
+    ]);
+
+    const ledger = new Map(ledgerBalances
+      .filter(balance => !userId || balance.userId.equals(userFilter._id))
+      .map(balance => [balance.userId.toString(), balance]));
+
+    const students = await Student.find({
+      ...userFilter,
+      $or: [
+        { 'progress.totalPoints': { $ne: 0 } },
+        { 'progress.pointsUsed': { $ne: 0 } },
+        { _id: { $in: [...ledger.values()].map(balance => balance.userId) } }
+      ]
+    }).select('email progress.totalPoints progress.pointsUsed').lean();
+
+    const mismatches = [];
+    let withoutLedger = 0;
+
+    for (const student of students) {
+      const id = student._id.toString();
+      const cached = toBalance(student.progress);
+      const expected = ledger.get(id) || { earned: 0, spent: 0, entries: 0 };
+      ledger.delete(id);
+
+      if (cached.totalPoints === expected.earned && cached.pointsUsed === expected.spent) continue;
+      if (expected.entries === 0) withoutLedger += 1;
+
+      mismatches.push({
+        userId: id,
+        email: student.email,
+        reason: expected.entries === 0 ? 'no_ledger_entries' : 'counter_drift',
+        cached,
+        ledger: toBalance({ totalPoints: expected.earned, pointsUsed: expected.spent }),
+        drift: {
+          totalPoints: cached.totalPoints - expected.earned,
+          pointsUsed: cached.pointsUsed - expected.spent
+        }
+      });
+    }
+
+    // Postings for accounts with no student behind them
+    for (const orphan of ledger.values()) {
+      mismatches.push({
+        userId: orphan.userId.toString(),
+        email: null,
+        reason: 'missing_user',
+        cached: null,
+        ledger: toBalance({ totalPoints: orphan.earned, pointsUsed: orphan.spent }),
+        drift: { totalPoints: -orphan.earned, pointsUsed: -orphan.spent }
+      });
+    }
+
+    const size = (mismatch) => Math.abs(mismatch.drift.totalPoints) + Math.abs(mismatch.drift.pointsUsed);
+    mismatches.sort((a, b) => size(b) - size(a));
+
+    const summary = {
+      checkedUsers: students.length,
+      mismatchedUsers: mismatches.length,
+      usersWithoutLedgerEntries: withoutLedger,
+      unbalancedEntries: unbalancedEntries[0]?.count || 0,
+      totalDrift: mismatches.reduce((sum, mismatch) => sum + size(mismatch), 0)
+    };
+
+    console.log(`✅ Reconciliation done: ${summary.mismatchedUsers} of ${summary.checkedUsers} users mismatched`);
+
+    return {
+      summary,
+      mismatches: mismatches.slice(0, limit),
+      checkedAt: new Date()
+    };
+  } catch (error) {
+    console.error('❌ Reconcile points balances error:', error);
+    throw HttpError.internalServerError(`Failed to reconcile points balances: ${error.message}`);
+  }
+};
+
+/**
+ * Journal the counters of students who have points but no entries yet, so
+ * balances from before the ledger reconcile
+ * @returns {Promise<Object>} { recorded, skipped }
+ */
+export const recordOpeningBalances = async () => {
+  const journaled = await PointsJournalEntry.distinct('userIds');
+  const students = await Student.find({
+    _id: { $nin: journaled },
+    $or: [{ 'progress.totalPoints': { $gt: 0 } }, { 'progress.pointsUsed': { $gt: 0 } }]
+  }).select('progress.totalPoints progress.pointsUsed').lean();
+
+  let recorded = 0;
+  let skipped = 0;
+
+  for (const student of students) {
+    const { totalPoints, pointsUsed, available } = toBalance(student.progress);
+    const postings = [
+      totalPoints && userPosting(student._id, 'earned', totalPoints),
+      pointsUsed && userPosting(student._id, 'spent', -pointsUsed),
+      available && systemPosting(POINTS_SYSTEM_ACCOUNTS.OPENING_BALANCES, -available)
+    ].filter(Boolean);
+
+    const result = await postJournalEntry({
+      idempotencyKey: `opening_balance:${student._id}`,
+      type: 'opening_balance',
+      source: 'ledger_backfill',
+      description: 'Points balance before the ledger',
+      postings
+    });
+    if (result.duplicate) {
+      skipped += 1;
+    } else {
+      recorded += 1;
+    }
+  }
+
+  console.log(`🧾 Opening balances recorded: ${recorded} (${skipped} already present)`);
+  return { recorded, skipped };
+};
+
+export default {
+  postJournalEntry,
+  earnPoints,
+  spendPoints,
+  releasePoints,
+  deductPoints,
+  transferPoints,
+  adjustPoints,
+  getLedgerBalance,
+  reconcilePointsBalances,
+  recordOpeningBalances
+};
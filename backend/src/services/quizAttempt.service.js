@@ -4,12 +4,21 @@
  * @description Business logic for quiz attempts, answers, and scoring
  */
 
+import crypto from 'crypto';
 import Quiz from '#models/quiz/Quiz.js';
 import QuizAttempt from '#models/quiz/QuizAttempt.js';
+import AnswerGrade from '#models/quiz/AnswerGrade.js';
 import { HttpError } from '#exceptions/index.js';
-import { calculatePointsEarned } from '#constants/models/quiz/index.js';
-import transactionService from '#services/transaction.service.js';
+import { aiConfig } from '#config/index.js';
+import {
+  calculatePointsEarned,
+  normalizeQuestionType,
+  normalizeAnswerText
+} from '#constants/models/quiz/index.js';
+import { generateAnswerRubric, gradeFreeTextAnswer } from '#services/ai.service.js';
+import earningRulesService from '#services/earningRules.service.js';
 import userProgressService from '#services/userProgress.service.js';
+import mistakeBankService from '#services/mistakeBank.service.js';
 import { analyzeQuizPerformance } from '#services/performanceAnalysis.service.js';
 
 
@@ -119,6 +128,134 @@ export const startQuizAttempt = async (quizId, userId, sessionInfo = {}) => {
   }
 };
 
+// ==========================================
+// ANSWER GRADING
+// ==========================================
+
+/**
+ * Cache key for a graded answer. Changing the reference answer or rubric
+ * changes the key, so stale grades are never reused.
+ */
+const buildGradeCacheKey = (quiz, questionId, question, rubric, answer) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([
+    quiz._id.toString(),
+    questionId,
+    question.correctAnswer,
+    rubric,
+    normalizeAnswerText(answer)
+  ]))
+  .digest('hex');
+
+/**
+ * Rubric stored on the question, generated and saved on first use
+ * @returns {Promise<Array>} Rubric criteria, empty if generation failed
+ */
+const getQuestionRubric = async (quiz, question) => {
+  if (Array.isArray(question.rubric) && question.rubric.length > 0) {
+    return question.rubric;
+  }
+
+  const result = await generateAnswerRubric(question);
+  if (!result.success) {
+    return [];
+  }
+
+  // Questions are a Mixed array, so address the question by position
+  const index = quiz.questions.indexOf(question);
+  await Quiz.updateOne(
+    { _id: quiz._id, [`questions.${index}.question`]: question.question },
+    { $set: { [`questions.${index}.rubric`]: result.rubric } }
+  );
+
+  console.log(`📐 Rubric generated for quiz ${quiz._id}, question ${index + 1}`);
+  return result.rubric;
+};
+
+/**
+ * Grade a short answer against the reference answer and rubric
+ * @returns {Promise<Object|null>} Grading, or null when AI grading is off or unavailable
+ */
+const gradeShortAnswer = async (quiz, question, questionId, answer) => {
+  // An answer matching the reference needs no model call
+  if (QuizAttempt.validateAnswer(question, answer, 'short_answer')) {
+    return { method: 'match', score: 1, rationale: '', missed: '', rubric: [], model: null, cached: false };
+  }
+
+  if (!aiConfig.grading.enabled || typeof answer !== 'string' || !answer.trim()) {
+    return null;
+  }
+
+  try {
+    const rubric = await getQuestionRubric(quiz, question);
+    const key = buildGradeCacheKey(quiz, questionId, question, rubric, answer);
+
+    const cached = await AnswerGrade.findCached(key);
+    if (cached) {
+      console.log(`♻️ Reusing cached grade for question ${questionId} (${cached.hits} hits)`);
+      const { score, rationale, missed, model } = cached;
+      return { method: 'ai', score, rationale, missed, rubric, model, cached: true };
+    }
+
+    const result = await gradeFreeTextAnswer({
+      question: question.question,
+      referenceAnswer: question.correctAnswer,
+      rubric,
+      answer
+    });
+
+    if (!result.success) {
+      return null;
+    }
+
+    const { score, rationale, missed, metadata } = result;
+    await AnswerGrade.store(key, {
+      quizId: quiz._id,
+      questionId,
+      score,
+      rationale,
+      missed,
+      provider: metadata.provider,
+      model: metadata.model,
+      tokensUsed: metadata.tokensUsed
+    }, aiConfig.grading.cacheTtlDays);
+
+    return { method: 'ai', score, rationale, missed, rubric, model: metadata.model, cached: false };
+  } catch (error) {
+    // Grading must never block an answer; fall back to matching
+    console.error('❌ Short answer grading failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Grade an answer. Short answers get rubric partial credit from the AI grader
+ * when it is enabled, every other answer is checked against the answer key.
+ * @param {Object} quiz - Quiz document
+ * @param {Object} question - Question being answered
+ * @param {number} questionId - Question ID
+ * @param {*} answer - Submitted answer
+ * @returns {Promise<Object>} { isCorrect, pointsEarned, grading }
+ */
+export const gradeQuizAnswer = async (quiz, question, questionId, answer) => {
+  const points = question.points || 1;
+  const questionType = normalizeQuestionType(question.type || quiz.aiMetadata?.questionType);
+
+  if (questionType === 'short_answer') {
+    const grading = await gradeShortAnswer(quiz, question, questionId, answer);
+    if (grading) {
+      return {
+        isCorrect: grading.score >= aiConfig.grading.passScore,
+        pointsEarned: Math.round(points * grading.score * 100) / 100,
+        grading
+      };
+    }
+  }
+
+  const isCorrect = QuizAttempt.validateAnswer(question, answer, quiz.aiMetadata?.questionType);
+  return { isCorrect, pointsEarned: isCorrect ? points : 0, grading: null };
+};
+
 /**
  * Submit an answer for a question
  * @param {string} attemptId - Quiz attempt ID
@@ -156,7 +293,9 @@ export const submitQuizAnswer = async (attemptId, userId, answerData) => {
       throw HttpError.notFound('Question not found');
     }
 
-    await attempt.submitAnswer(parseInt(questionId), answer, question.correctAnswer, parseInt(timeSpent));
+    const { isCorrect, pointsEarned, grading } = await gradeQuizAnswer(quiz, question, parseInt(questionId), answer);
+
+    await attempt.submitAnswer(parseInt(questionId), answer, isCorrect, pointsEarned, parseInt(timeSpent), grading);
 
     console.log(`✅ Answer submitted for question ${questionId} - Answers count: ${attempt.answers.length}`);
 
@@ -164,7 +303,8 @@ export const submitQuizAnswer = async (attemptId, userId, answerData) => {
       success: true,
       result: {
         questionId: questionId,
-        isCorrect: attempt.validateAnswer(answer, question.correctAnswer),
+        isCorrect,
+        pointsEarned,
         currentProgress: attempt.progressPercentage,
         questionsAnswered: attempt.answers.length,
         totalQuestions: attempt.quizSnapshot.totalQuestions,
@@ -204,11 +344,17 @@ export const completeQuizAttempt = async (attemptId, userId, metadata = {}) => {
     await attempt.complete();
 
     const quiz = await Quiz.findById(attempt.quizId);
-    if (quiz && quiz.questions && quiz.questions.length > 0) {
-      console.log(`📊 Running performance analysis for ${quiz.questions.length} questions...`);
+
+    // Adaptive answers refer to questions served from the document's pool
+    const answeredQuestions = attempt.mode === 'adaptive'
+      ? attempt.adaptive.servedQuestions.map(served => ({ ...served.question, id: served.questionId }))
+      : quiz?.questions;
+
+    if (quiz && answeredQuestions && answeredQuestions.length > 0) {
+      console.log(`📊 Running performance analysis for ${answeredQuestions.length} questions...`);
       
       try {
-        const { strengths, weaknesses } = analyzeQuizPerformance(attempt.answers, quiz.questions);
+        const { strengths, weaknesses } = analyzeQuizPerformance(attempt.answers, answeredQuestions);
         
         // Update attempt with analysis results
         attempt.strengths = strengths;
@@ -244,6 +390,14 @@ export const completeQuizAttempt = async (attemptId, userId, metadata = {}) => {
       await attempt.save();
     }
 
+    if (quiz) {
+      try {
+        await mistakeBankService.recordAttemptMistakes(userId, quiz, attempt);
+      } catch (mistakesError) {
+        console.error(`⚠️ Mistakes bank update failed (non-critical):`, mistakesError);
+      }
+    }
+
     // Update quiz analytics
     if (quiz && typeof quiz.updateAnalytics === 'function') {
       await quiz.updateAnalytics(attempt.percentage, attempt.durationMinutes);
@@ -260,17 +414,19 @@ export const completeQuizAttempt = async (attemptId, userId, metadata = {}) => {
     try {
       console.log(`💰 Awarding points for quiz completion...`);
       
-      pointsTransaction = await transactionService.awardQuizCompletionPoints({
-        userId: userId,
-        quizId: attempt.quizId,
-        score: attempt.percentage,
-        difficulty: quiz?.difficulty || 'medium',
-        timeSpent: attempt.timeSpent || 0,
+      // Points come from the recorded attempt, never from the request
+      pointsTransaction = await earningRulesService.awardEarningEvent('quiz_completion', {
+        userId,
+        reference: attempt._id.toString(),
+        relatedId: attempt.quizId,
+        facts: {
+          score: attempt.percentage,
+          difficulty: quiz?.difficulty || 'medium'
+        },
         metadata: {
-          attemptId: attempt._id,
-          source: 'web',
-          originalSource: 'quiz_completion',
-          ...metadata
+          sessionId: metadata.sessionId,
+          ipAddress: metadata.ipAddress,
+          userAgent: metadata.userAgent
         }
       });
       
@@ -300,7 +456,7 @@ export const completeQuizAttempt = async (attemptId, userId, metadata = {}) => {
 
     // Add points to results
     results.pointsEarned = pointsEarned;
-    results.transaction = pointsTransaction ? {
+    results.transaction = pointsTransaction?.transaction ? {
       id: pointsTransaction.transaction.id,
       pointsEarned: pointsTransaction.pointsEarned,
       newTotalPoints: pointsTransaction.newTotalPoints
@@ -358,6 +514,7 @@ export const getQuizAttemptResults = async (attemptId, userId) => {
           isCorrect: answer.isCorrect,
           explanation: question?.explanation || 'No explanation available',
           pointsEarned: answer.pointsEarned,
+          grading: answer.grading || null,
           timeSpent: answer.timeSpent
         };
       });
@@ -376,6 +533,7 @@ export const getQuizAttemptResults = async (attemptId, userId) => {
 
 export default {
   startQuizAttempt,
+  gradeQuizAnswer,
   submitQuizAnswer,
   completeQuizAttempt,
   getQuizAttemptResults
@@ -6,6 +6,7 @@
 import mongoose from 'mongoose';
 import Quiz from '#models/quiz/Quiz.js';
 import { HttpError } from '#exceptions/index.js';
+import { normalizeQuestionType, getQuestionTypeAliases } from '#constants/models/quiz/index.js';
 import { QUIZ_GENERATION_CONFIG } from './ai.service.js';
 
 /**
@@ -59,7 +60,7 @@ export const storeQuizCollection = async (quizCollection, documentId, userId, la
           
           // AI metadata - CRITICAL for quiz selection
           aiMetadata: {
-            model: 'deepseek-coder',
+            model: quizData.aiMetadata?.model || null,
             questionType: determineQuestionType(quizData),
             type: determineQuestionType(quizData),
             language: language,
@@ -141,11 +142,15 @@ const determineQuestionType = (quizData) => {
   }
   
   if (title.includes('fill') || title.includes('blank')) {
-    return 'fill_blank';
+    return 'fill_in_blank';
+  }
+  
+  if (title.includes('short answer') || title.includes('short-answer')) {
+    return 'short_answer';
   }
   
   // Fallback: check quiz type or default
-  return quizData.type || 'multiple_choice';
+  return normalizeQuestionType(quizData.type) || 'multiple_choice';
 };
 
 /**
@@ -189,10 +194,11 @@ export const getAvailableQuizzes = async (documentId, userId, options = {}) => {
     
     // Add question type filter - check multiple fields
     if (questionType) {
+      const typeNames = getQuestionTypeAliases(questionType);
       query.$or = [
-        { 'aiMetadata.questionType': questionType },
-        { 'aiMetadata.type': questionType },
-        { 'type': questionType }
+        { 'aiMetadata.questionType': { $in: typeNames } },
+        { 'aiMetadata.type': { $in: typeNames } },
+        { 'type': { $in: typeNames } }
       ];
     }
     
@@ -211,7 +217,7 @@ export const getAvailableQuizzes = async (documentId, userId, options = {}) => {
       quizId: quiz._id,
       title: quiz.title,
       difficulty: quiz.difficulty,
-      questionType: quiz.aiMetadata?.questionType || quiz.aiMetadata?.type || 'mixed',
+      questionType: normalizeQuestionType(quiz.aiMetadata?.questionType || quiz.aiMetadata?.type) || 'mixed',
       questionCount: quiz.questions?.length || 0,
       estimatedTime: quiz.estimatedTime,
       createdAt: quiz.createdAt
@@ -0,0 +1,389 @@
+/**
+ * Search Service
+ * @module services/search
+ * @description Ranks the documents, summaries, key points and quiz questions of
+ * a user's library by meaning, mixing embedding similarity with keyword matches.
+ * The index is brought up to date on each search, so content created anywhere
+ * (uploads, quiz generation, mistake drills) is found without extra hooks.
+ */
+
+import mongoose from 'mongoose';
+import Document from '#models/document/Document.js';
+import Quiz from '#models/quiz/Quiz.js';
+import SearchEntry from '#models/search/SearchEntry.js';
+import { HttpError } from '#exceptions/index.js';
+import { embedTexts } from '#services/ai.service.js';
+import { currentEmbeddingModel, termsOf, cosineSimilarity } from '#services/documentIndex.service.js';
+import {
+  SEARCH_SOURCE_TYPES,
+  SEARCH_SETTINGS,
+  SEARCH_DEFAULTS,
+  SEARCH_VALIDATION_RULES,
+  isValidSearchSourceType
+} from '#constants/models/search/index.js';
+
+// ==========================================
+// ENTRY BUILDING
+// ==========================================
+
+const entryKey = (entry) => `${entry.sourceId}:${entry.sourceType}:${entry.position}`;
+
+/**
+ * Searchable entries of a processed document
+ * @param {Object} document - Lean document with title, description, tags and content
+ * @returns {Array<Object>} Entries without embeddings
+ */
+export const buildDocumentEntries = (document) => {
+  const base = {
+    userId: document.userId,
+    sourceId: document._id,
+    documentId: document._id,
+    quizId: null,
+    title: document.title,
+    sourceUpdatedAt: document.updatedAt
+  };
+  const content = document.content || {};
+
+  const overview = [
+    document.title,
+    document.description,
+    (document.classification?.tags || []).join(', '),
+    (content.topics || []).join(', '),
+    content.extractedText?.substring(0, SEARCH_SETTINGS.DOCUMENT_TEXT_CHARS)
+  ].filter(Boolean).join('\n');
+
+  return [
+    { ...base, sourceType: 'document', position: 0, text: overview },
+    ...(content.summary ? [{ ...base, sourceType: 'summary', position: 0, text: content.summary }] : []),
+    ...(content.keyPoints || [])
+      .map((text, position) => ({ ...base, sourceType: 'key_point', position, text }))
+  ].filter(entry => entry.text?.trim());
+};
+
+/**
+ * Searchable entries of a quiz, one per question. Only the question text is
+ * indexed: explanations give the answer away, and quizzes hide them until
+ * an attempt is submitted.
+ * @param {Object} quiz - Lean quiz with title, documentId and questions
+ * @returns {Array<Object>} Entries without embeddings
+ */
+export const buildQuizEntries = (quiz) => (quiz.questions || [])
+  .map((question, position) => ({
+    userId: quiz.userId,
+    sourceId: quiz._id,
+    documentId: quiz.documentId || null,
+    quizId: quiz._id,
+    title: quiz.title,
+    sourceUpdatedAt: quiz.updatedAt,
+    sourceType: 'quiz_question',
+    position,
+    text: question?.question || ''
+  }))
+  .filter(entry => entry.text.trim());
+
+// ==========================================
+// INDEX UPKEEP
+// ==========================================
+
+/**
+ * Rebuild the entries of sources that changed or disappeared since they were
+ * indexed, then embed a batch of entries that lack a current embedding.
+ * Sources change for reasons that leave their text alone (view counts, for
+ * one), so an embedding is kept whenever the entry text is unchanged.
+ * @param {string} userId - Library owner
+ * @returns {Promise<Object>} { rebuiltSources, removedSources, embedded }
+ */
+export const syncSearchIndex = async (userId) => {
+  const [documents, quizzes, indexed] = await Promise.all([
+    Document.find({ userId, deletedAt: null, status: 'completed' }).select('updatedAt').lean(),
+    Quiz.find({ userId, deletedAt: null, status: 'active' }).select('updatedAt').lean(),
+    SearchEntry.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+      { $group: { _id: '$sourceId', sourceUpdatedAt: { $max: '$sourceUpdatedAt' } } }
+    ])
+  ]);
+
+  const indexedAt = new Map(indexed.map(source => [String(source._id), source.sourceUpdatedAt?.getTime()]));
+  const isStale = (source) => indexedAt.get(String(source._id)) !== source.updatedAt?.getTime();
+
+  const staleDocumentIds = documents.filter(isStale).map(source => source._id);
+  const staleQuizIds = quizzes.filter(isStale).map(source => source._id);
+  const liveIds = new Set([...documents, ...quizzes].map(source => String(source._id)));
+  const removedIds = indexed.map(source => source._id).filter(id => !liveIds.has(String(id)));
+
+  const rebuiltIds = [...staleDocumentIds, ...staleQuizIds];
+
+  if (rebuiltIds.length > 0) {
+    const [staleDocuments, staleQuizzes, previous] = await Promise.all([
+      staleDocumentIds.length > 0
+        ? Document.find({ _id: { $in: staleDocumentIds } })
+          .select('userId title description classification.tags content.summary content.keyPoints content.topics content.extractedText updatedAt')
+          .lean()
+        : [],
+      staleQuizIds.length > 0
+        ? Quiz.find({ _id: { $in: staleQuizIds } }).select('userId title documentId questions updatedAt').lean()
+        : [],
+      SearchEntry.find({ userId, sourceId: { $in: rebuiltIds } })
+        .select('+embedding sourceId sourceType position text embeddingModel')
+        .lean()
+    ]);
+
+    const previousByKey = new Map(previous.map(entry => [entryKey(entry), entry]));
+
+    const entries = [
+      ...staleDocuments.flatMap(buildDocumentEntries),
+      ...staleQuizzes.flatMap(buildQuizEntries)
+    ].map(entry => {
+      const before = previousByKey.get(entryKey(entry));
+      return before && before.text === entry.text
+        ? { ...entry, embedding: before.embedding, embeddingModel: before.embeddingModel }
+        : entry;
+    });
+
+    await SearchEntry.deleteMany({ userId, sourceId: { $in: rebuiltIds } });
+
+    try {
+      await SearchEntry.insertMany(entries, { ordered: false });
+    } catch (error) {
+      // A parallel search rebuilt the same sources first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (removedIds.length > 0) {
+    await SearchEntry.deleteMany({ userId, sourceId: { $in: removedIds } });
+  }
+
+  const embedded = await embedPendingEntries(userId);
+
+  if (rebuiltIds.length > 0 || removedIds.length > 0 || embedded > 0) {
+    console.log(`🔎 Search index for user ${userId}: ${rebuiltIds.length} sources rebuilt, ${removedIds.length} removed, ${embedded} entries embedded`);
+  }
+
+  return { rebuiltSources: rebuiltIds.length, removedSources: removedIds.length, embedded };
+};
+
+/**
+ * Embed up to EMBED_PER_SYNC entries lacking a vector from the current model.
+ * Failures leave the entries keyword-only until a later search.
+ * @returns {Promise<number>} Entries embedded
+ */
+const embedPendingEntries = async (userId) => {
+  const model = currentEmbeddingModel();
+  if (!model) return 0;
+
+  const pending = await SearchEntry.find({ userId, embeddingModel: { $ne: model } })
+    .select('text')
+    .sort({ sourceUpdatedAt: -1 })
+    .limit(SEARCH_SETTINGS.EMBED_PER_SYNC)
+    .lean();
+
+  if (pending.length === 0) return 0;
+
+  try {
+    const result = await embedTexts(pending.map(entry => entry.text));
+    const embeddingModel = `${result.provider}:${result.model}`;
+
+    await SearchEntry.bulkWrite(pending.map((entry, i) => ({
+      updateOne: {
+        filter: { _id: entry._id },
+        update: { $set: { embedding: result.embeddings[i], embeddingModel } }
+      }
+    })));
+
+    return pending.length;
+  } catch (error) {
+    console.warn(`⚠️ Search embedding failed for user ${userId}, keyword matching only:`, error.message);
+    return 0;
+  }
+};
+
+// ==========================================
+// SCORING & SNIPPETS
+// ==========================================
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Share of the query's terms found in the text; a term also matches longer
+ * words it starts (e.g. "photosynth" matches "photosynthesis")
+ */
+export const keywordMatchScore = (queryTerms, text) => {
+  if (queryTerms.length === 0) return 0;
+  const terms = [...new Set(termsOf(text))];
+  const matched = queryTerms.filter(term => terms.some(candidate => candidate.startsWith(term)));
+  return matched.length / queryTerms.length;
+};
+
+/**
+ * Excerpt of an entry around the first query term, with the ranges to highlight
+ * @param {string} text - Entry text
+ * @param {Array<string>} queryTerms - Query terms
+ * @returns {Object} { snippet, highlights: [{ start, end }] }
+ */
+export const buildSnippet = (text, queryTerms) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const length = SEARCH_SETTINGS.SNIPPET_LENGTH;
+  const patterns = queryTerms.map(term => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}[\\p{L}\\p{N}]*`, 'giu'));
+
+  let start = 0;
+  if (flat.length > length) {
+    const firstHit = Math.min(...patterns.map(pattern => flat.search(pattern)).filter(index => index >= 0));
+    if (Number.isFinite(firstHit)) {
+      start = Math.max(0, Math.min(firstHit - Math.floor(length / 5), flat.length - length));
+      const space = flat.indexOf(' ', start);
+      if (start > 0 && space !== -1 && space < firstHit) start = space + 1;
+    }
+  }
+
+  let end = Math.min(flat.length, start + length);
+  if (end < flat.length) {
+    const space = flat.lastIndexOf(' ', end);
+    if (space > start) end = space;
+  }
+
+  const snippet = `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+
+  const ranges = patterns
+    .flatMap(pattern => [...snippet.matchAll(pattern)].map(match => ({ start: match.index, end: match.index + match[0].length })))
+    .sort((a, b) => a.start - b.start);
+
+  const highlights = ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+
+  return { snippet, highlights };
+};
+
+/**
+ * Score entries against a query. Entries with an embedding from the query's
+ * model get the weighted vector + keyword score; the rest are scored by keywords.
+ * @param {Array<Object>} entries - Entries with embeddings
+ * @param {Array<string>} queryTerms - Query terms
+ * @param {Array<number>|null} queryVector - Query embedding
+ * @param {string|null} queryModel - Model of the query embedding
+ * @returns {Array<Object>} Entries with score, keywordScore and vectorScore
+ */
+export const scoreEntries = (entries, queryTerms, queryVector = null, queryModel = null) => entries.map(entry => {
+  const keywordScore = keywordMatchScore(queryTerms, entry.text);
+  const comparable = queryVector && entry.embeddingModel === queryModel && entry.embedding?.length;
+  const vectorScore = comparable ? Math.max(0, cosineSimilarity(queryVector, entry.embedding)) : null;
+
+  return {
+    ...entry,
+    keywordScore,
+    vectorScore,
+    score: vectorScore === null
+      ? keywordScore
+      : SEARCH_SETTINGS.VECTOR_WEIGHT * vectorScore + SEARCH_SETTINGS.KEYWORD_WEIGHT * keywordScore
+  };
+});
+
+const round = (value) => value === null ? null : Math.round(value * 1000) / 1000;
+
+// ==========================================
+// SEARCH
+// ==========================================
+
+/**
+ * Search a user's library
+ * @param {string} userId - Library owner
+ * @param {Object} options - { q, types, limit }
+ * @returns {Promise<Object>} { results, retrieval, total }
+ */
+export const searchLibrary = async (userId, options = {}) => {
+  try {
+    const query = typeof options.q === 'string' ? options.q.trim() : '';
+    const { MIN_LENGTH, MAX_LENGTH, ERROR_MESSAGE } = SEARCH_VALIDATION_RULES.QUERY;
+
+    if (query.length < MIN_LENGTH || query.length > MAX_LENGTH) {
+      throw HttpError.badRequest(ERROR_MESSAGE, { code: 'INVALID_SEARCH_QUERY' });
+    }
+
+    const types = options.types
+      ? String(options.types).split(',').map(type => type.trim()).filter(Boolean)
+      : SEARCH_SOURCE_TYPES;
+    const invalidType = types.find(type => !isValidSearchSourceType(type));
+    if (invalidType) {
+      throw HttpError.badRequest(`Invalid search type: ${invalidType}`, {
+        code: 'INVALID_SEARCH_TYPE',
+        context: { allowed: SEARCH_SOURCE_TYPES }
+      });
+    }
+
+    const { MIN, MAX } = SEARCH_VALIDATION_RULES.LIMIT;
+    const limit = Math.min(MAX, Math.max(MIN, parseInt(options.limit) || SEARCH_DEFAULTS.LIMIT));
+
+    try {
+      await syncSearchIndex(userId);
+    } catch (error) {
+      console.warn(`⚠️ Search index sync failed for user ${userId}, searching the existing index:`, error.message);
+    }
+
+    const candidates = await SearchEntry.find({ userId, sourceType: { $in: types } })
+      .select('+embedding')
+      .sort({ sourceUpdatedAt: -1 })
+      .limit(SEARCH_SETTINGS.MAX_CANDIDATES)
+      .lean();
+
+    let queryVector = null;
+    let queryModel = null;
+    if (candidates.some(entry => entry.embeddingModel)) {
+      try {
+        const result = await embedTexts([query]);
+        queryVector = result.embeddings[0];
+        queryModel = `${result.provider}:${result.model}`;
+      } catch (error) {
+        console.warn('⚠️ Query embedding failed, keyword matching only:', error.message);
+      }
+    }
+
+    const queryTerms = [...new Set(termsOf(query))];
+    const ranked = scoreEntries(candidates, queryTerms, queryVector, queryModel)
+      .filter(entry => entry.score >= SEARCH_SETTINGS.MIN_SCORE)
+      .sort((a, b) => b.score - a.score || b.sourceUpdatedAt - a.sourceUpdatedAt);
+
+    const results = ranked.slice(0, limit).map(entry => ({
+      id: entry._id,
+      type: entry.sourceType,
+      documentId: entry.documentId,
+      quizId: entry.quizId,
+      position: entry.position,
+      title: entry.title,
+      ...buildSnippet(entry.text, queryTerms),
+      score: round(entry.score),
+      scores: {
+        keyword: round(entry.keywordScore),
+        vector: round(entry.vectorScore)
+      }
+    }));
+
+    return {
+      success: true,
+      results,
+      total: ranked.length,
+      retrieval: queryVector ? 'hybrid' : 'keyword'
+    };
+
+  } catch (error) {
+    console.error('❌ Library search error:', error);
+    if (error.name === 'HttpError') throw error;
+    throw HttpError.internalServerError(`Search failed: ${error.message}`);
+  }
+};
+
+export default {
+  buildDocumentEntries,
+  buildQuizEntries,
+  syncSearchIndex,
+  keywordMatchScore,
+  buildSnippet,
+  scoreEntries,
+  searchLibrary
+};
@@ -0,0 +1,167 @@
+/**
+ * Session Service
+ * @module services/session
+ * @description Lets users see the devices signed in to their account and
+ * sign them out
+ */
+
+import { AuthSession } from '#models/auth/index.js';
+import { HttpError } from '#exceptions/index.js';
+import { geoipConfig } from '#config/index.js';
+import { createGeoIpLookup } from '#lib/geoip/index.js';
+
+// One lookup (and one open database) for the whole process
+const geoIpLookup = createGeoIpLookup(geoipConfig.dbPath);
+
+/**
+ * Country and city for an IP address; null when unknown. Never throws, so
+ * sign-in does not depend on the GeoIP database.
+ * @param {string} ip - Client IP address
+ * @returns {Promise<Object|null>} { country, countryCode, city }
+ */
+export const lookupIpLocation = async (ip) => {
+  try {
+    return await geoIpLookup(ip);
+  } catch (error) {
+    console.warn(`⚠️ GeoIP lookup failed for ${ip}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Shape a session for the device list (no IP address or token data)
+ */
+const toClientSession = (session, currentSessionId, location) => ({
+  sessionId: session.sessionId,
+  isCurrent: session.sessionId === currentSessionId,
+  device: {
+    type: session.device?.type || 'unknown',
+    name: session.deviceDisplayName,
+    browser: session.device?.browser?.name || null,
+    os: session.device?.os?.name || null
+  },
+  location: location?.country || location?.city
+    ? { country: location.country || null, city: location.city || null }
+    : null,
+  loginMethod: session.metadata?.loginMethod || 'password',
+  isSuspicious: Boolean(session.security?.isSuspicious),
+  signedInAt: session.createdAt,
+  lastAccessedAt: session.lastAccessedAt
+});
+
+// ==========================================
+// DEVICE LIST
+// ==========================================
+
+/**
+ * List the user's active sessions, current session first, then by last access
+ * @param {string} userId - Session owner
+ * @param {string|null} currentSessionId - Session of the request (`sid` claim)
+ * @returns {Promise<Object>} { sessions, total }
+ */
+export const listUserSessions = async (userId, currentSessionId = null) => {
+  try {
+    const sessions = await AuthSession.find({
+      userId,
+      status: 'active',
+      refreshTokenExpiresAt: { $gt: new Date() }
+    })
+      .select('+network.ipAddress')
+      .sort({ lastAccessedAt: -1 });
+
+    const result = await Promise.all(sessions.map(async (session) => {
+      // Sessions created before GeoIP was configured are located on demand
+      const location = session.network?.country || session.network?.city
+        ? session.network
+        : await lookupIpLocation(session.network?.ipAddress);
+
+      return toClientSession(session, currentSessionId, location);
+    }));
+
+    result.sort((a, b) => Number(b.isCurrent) - Number(a.isCurrent));
+
+    return { sessions: result, total: result.length };
+
+  } catch (error) {
+    console.error('❌ List user sessions service error:', error);
+    throw HttpError.internalServerError(`Failed to list sessions: ${error.message}`);
+  }
+};
+
+// ==========================================
+// SIGN OUT
+// ==========================================
+
+/**
+ * Sign out one of the user's sessions
+ * @param {string} userId - Session owner
+ * @param {string} sessionId - Session to revoke
+ * @param {string|null} currentSessionId - Session of the request
+ * @returns {Promise<Object>} { sessionId, isCurrent }
+ */
+export const revokeUserSession = async (userId, sessionId, currentSessionId = null) => {
+  try {
+    const session = await AuthSession.findOne({ userId, sessionId, status: 'active' });
+
+    if (!session) {
+      throw HttpError.notFound('Session not found', {
+        code: 'SESSION_NOT_FOUND',
+        context: { sessionId }
+      });
+    }
+
+    await session.revoke('Signed out from device list');
+
+    console.log(`🔒 Session ${sessionId} revoked by user ${userId}`);
+
+    return { sessionId, isCurrent: sessionId === currentSessionId };
+
+  } catch (error) {
+    console.error('❌ Revoke user session service error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to revoke session: ${error.message}`);
+  }
+};
+
+/**
+ * Sign out every session except the one making the request
+ * @param {string} userId - Session owner
+ * @param {string|null} currentSessionId - Session to keep
+ * @returns {Promise<Object>} { revokedSessions }
+ */
+export const revokeOtherSessions = async (userId, currentSessionId) => {
+  try {
+    if (!currentSessionId) {
+      throw HttpError.badRequest('Current session is unknown; sign in again to use this', {
+        code: 'CURRENT_SESSION_UNKNOWN'
+      });
+    }
+
+    const { modifiedCount } = await AuthSession.revokeAllUserSessions(userId, currentSessionId);
+
+    console.log(`🔒 ${modifiedCount} other sessions revoked by user ${userId}`);
+
+    return { revokedSessions: modifiedCount };
+
+  } catch (error) {
+    console.error('❌ Revoke other sessions service error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to revoke sessions: ${error.message}`);
+  }
+};
+
+/**
+ * Whether a session can still authenticate requests
+ * @param {string} sessionId - Session ID from the access token
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId) => {
+  const session = await AuthSession.findOne({ sessionId }).select('status').lean();
+  return session?.status === 'active';
+};
+
+export default {
+  lookupIpLocation,
+  listUserSessions,
+  revokeUserSession,
+  revokeOtherSessions,
+  isSessionActive
+};
@@ -0,0 +1,492 @@
+/**
+ * Subscription Service
+ * @module services/subscription
+ * @description Current plan, usage quotas and plan changes (upgrade,
+ * downgrade, cancel, resume). Every user has one active subscription;
+ * users without one get the free plan.
+ */
+
+import Subscription from '#models/subscription/Subscription.js';
+import { Student } from '#models/users/index.js';
+import { HttpError } from '#exceptions/index.js';
+import { createCheckout, registerCheckoutHandler } from '#services/payment.service.js';
+import {
+  SUBSCRIPTION_PLANS,
+  PLAN_LIMITS,
+  PLAN_PRICING,
+  SUBSCRIPTION_QUOTAS,
+  SUBSCRIPTION_DEFAULTS,
+  isValidSubscriptionPlan,
+  getPlanPrice,
+  isPaidPlan,
+  getUpgradePath,
+  comparePlans,
+  getLowestPlanWithFeature,
+  calculateEndDate
+} from '#constants/models/subscription/index.js';
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Quotas are monthly whatever the billing cycle, and never outlast the subscription
+ */
+const getUsagePeriodEnd = (periodStart, endDate) => {
+  const monthEnd = calculateEndDate(periodStart, 'monthly');
+  return monthEnd < endDate ? monthEnd : endDate;
+};
+
+/**
+ * Billing cycles a plan can be bought with
+ */
+const getBillingCycles = (planType) => Object.keys(PLAN_PRICING[planType] || {});
+
+/**
+ * Keep the plan summary on the student profile in step
+ */
+const syncStudentTier = (subscription) => Student.updateOne(
+  { _id: subscription.userId },
+  {
+    $set: {
+      'subscription.tier': subscription.planType === 'free' ? 'free' : 'premium',
+      'subscription.isActive': true,
+      'subscription.subscriptionId': subscription._id
+    }
+  }
+);
+
+/**
+ * Start a new subscription period on a plan
+ */
+const createSubscription = async (userId, planType, billingCycle = SUBSCRIPTION_DEFAULTS.BILLING_CYCLE, now = new Date()) => {
+  const endDate = calculateEndDate(now, billingCycle);
+
+  const subscription = await Subscription.create({
+    userId,
+    planType,
+    startDate: now,
+    endDate,
+    billing: {
+      cycle: billingCycle,
+      amount: getPlanPrice(planType, billingCycle) || 0
+    },
+    payment: { provider: isPaidPlan(planType) ? 'manual' : 'free' }
+  });
+
+  const periodEnd = getUsagePeriodEnd(now, endDate);
+  if (periodEnd < subscription.usage.currentPeriod.periodEnd) {
+    subscription.usage.currentPeriod.periodEnd = periodEnd;
+    await subscription.save();
+  }
+
+  await syncStudentTier(subscription);
+  return subscription;
+};
+
+/**
+ * Start a new monthly usage window
+ */
+const rollOverUsagePeriod = (subscription, now) => {
+  subscription.resetUsagePeriod();
+  subscription.usage.currentPeriod.periodEnd = getUsagePeriodEnd(now, subscription.endDate);
+  return subscription.save();
+};
+
+/**
+ * Close an ended period: a free plan renews, a scheduled downgrade takes
+ * over, anything else falls back to the free plan
+ */
+const rollOverSubscription = async (subscription, now) => {
+  if (subscription.planType === 'free' && !subscription.settings.cancelAtPeriodEnd) {
+    await subscription.renew(calculateEndDate(now, subscription.billing.cycle));
+    await rollOverUsagePeriod(subscription, now);
+    return subscription;
+  }
+
+  const nextPlan = subscription.settings.scheduledPlan || 'free';
+  const nextCycle = getBillingCycles(nextPlan).includes(subscription.billing.cycle)
+    ? subscription.billing.cycle
+    : SUBSCRIPTION_DEFAULTS.BILLING_CYCLE;
+
+  subscription.status = subscription.settings.cancelAtPeriodEnd ? 'cancelled' : 'inactive';
+  await subscription.save();
+
+  console.log(`🔁 Subscription of user ${subscription.userId} ended: ${subscription.planType} -> ${nextPlan}`);
+  return createSubscription(subscription.userId, nextPlan, nextCycle, now);
+};
+
+// ==========================================
+// CURRENT SUBSCRIPTION
+// ==========================================
+
+/**
+ * Active subscription of a user, created on the free plan when missing and
+ * rolled over when its period or usage window has ended
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Subscription document
+ */
+export const getCurrentSubscription = async (userId, now = new Date()) => {
+  let subscription = await Subscription.findOne({ userId, status: 'active', deletedAt: null })
+    .sort({ createdAt: -1 });
+
+  if (!subscription) {
+    return createSubscription(userId, SUBSCRIPTION_DEFAULTS.PLAN, SUBSCRIPTION_DEFAULTS.BILLING_CYCLE, now);
+  }
+
+  if (subscription.endDate <= now) {
+    subscription = await rollOverSubscription(subscription, now);
+  }
+
+  if (subscription.usage.currentPeriod.periodEnd && subscription.usage.currentPeriod.periodEnd <= now) {
+    await rollOverUsagePeriod(subscription, now);
+  }
+
+  return subscription;
+};
+
+/**
+ * Usage of every quota in the current window
+ * @param {Object} subscription - Subscription document
+ * @returns {Object} { periodStart, periodEnd, documents, quizzes, storage }
+ */
+const buildUsage = (subscription) => {
+  const { documents, quizzes, storage } = subscription.checkUsageLimits();
+  const { periodStart, periodEnd } = subscription.usage.currentPeriod;
+
+  return {
+    periodStart,
+    periodEnd,
+    documents: { ...documents, isUnlimited: documents.limit === -1 },
+    quizzes: { ...quizzes, isUnlimited: quizzes.limit === -1 },
+    storage
+  };
+};
+
+/**
+ * Plan, limits, usage and pending changes of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { subscription, limits, usage, scheduledPlan, upgradeTo }
+ */
+export const getSubscriptionOverview = async (userId) => {
+  try {
+    const subscription = await getCurrentSubscription(userId);
+
+    return {
+      subscription: subscription.toJSON(),
+      limits: subscription.effectiveLimits,
+      usage: buildUsage(subscription),
+      scheduledPlan: subscription.settings.scheduledPlan,
+      upgradeTo: getUpgradePath(subscription.planType)
+    };
+  } catch (error) {
+    console.error('❌ Get subscription error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to get subscription: ${error.message}`);
+  }
+};
+
+/**
+ * Usage of the current window
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { planType, periodStart, periodEnd, documents, quizzes, storage }
+ */
+export const getSubscriptionUsage = async (userId) => {
+  try {
+    const subscription = await getCurrentSubscription(userId);
+    return { planType: subscription.planType, ...buildUsage(subscription) };
+  } catch (error) {
+    console.error('❌ Get subscription usage error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to get usage: ${error.message}`);
+  }
+};
+
+/**
+ * Plans with their limits, features and prices, lowest first
+ * @returns {Array<Object>}
+ */
+export const listPlans = () => SUBSCRIPTION_PLANS.map(planType => ({
+  planType,
+  limits: {
+    documentsPerMonth: PLAN_LIMITS[planType].documentsPerMonth,
+    quizzesPerMonth: PLAN_LIMITS[planType].quizzesPerMonth,
+    storageGB: PLAN_LIMITS[planType].storageGB,
+    pointsMultiplier: PLAN_LIMITS[planType].pointsMultiplier,
+    courseDiscountMax: PLAN_LIMITS[planType].courseDiscountMax
+  },
+  features: PLAN_LIMITS[planType].features,
+  pricing: PLAN_PRICING[planType]
+}));
+
+// ==========================================
+// PLAN CHANGES
+// ==========================================
+
+const assertValidPlan = (planType) => {
+  if (!isValidSubscriptionPlan(planType)) {
+    throw HttpError.badRequest('Invalid subscription plan', {
+      code: 'INVALID_PLAN',
+      context: { validPlans: SUBSCRIPTION_PLANS }
+    });
+  }
+};
+
+/**
+ * Start paying for a higher plan. The plan is applied once the checkout is
+ * paid (see registerSubscriptionCheckout); until then nothing changes.
+ * @param {string} userId - User ID
+ * @param {Object} change - { planType, billingCycle }
+ * @param {Object} [requestMeta] - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { planType, billingCycle, checkout }
+ */
+export const upgradeSubscription = async (userId, { planType, billingCycle } = {}, requestMeta = {}) => {
+  try {
+    assertValidPlan(planType);
+
+    const subscription = await getCurrentSubscription(userId);
+    const previousPlan = subscription.planType;
+    if (comparePlans(planType, previousPlan) <= 0) {
+      throw HttpError.badRequest(`Cannot upgrade from ${previousPlan} to ${planType}`, {
+        code: 'INVALID_PLAN_CHANGE',
+        context: { currentPlan: previousPlan }
+      });
+    }
+
+    const cycle = billingCycle || subscription.billing.cycle;
+    if (!getBillingCycles(planType).includes(cycle)) {
+      throw HttpError.badRequest(`The ${planType} plan is not sold with ${cycle} billing`, {
+        code: 'INVALID_BILLING_CYCLE',
+        context: { billingCycles: getBillingCycles(planType) }
+      });
+    }
+
+    const checkout = await createCheckout({
+      userId,
+      type: 'subscription_payment',
+      amount: getPlanPrice(planType, cycle),
+      description: `Subscription: ${planType} (${cycle})`,
+      subscriptionId: subscription._id,
+      purchase: { planType, billingCycle: cycle },
+      metadata: requestMeta
+    });
+
+    console.log(`🧾 User ${userId} started checkout for ${previousPlan} -> ${planType} (${cycle})`);
+    return { planType, billingCycle: cycle, checkout };
+  } catch (error) {
+    console.error('❌ Upgrade subscription error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to upgrade subscription: ${error.message}`);
+  }
+};
+
+/**
+ * Apply a paid upgrade. A new period starts on the paid plan; usage so far
+ * in the month still counts against the new limits, and a pending
+ * cancellation or downgrade is dropped.
+ */
+const applyPaidUpgrade = async (transaction, now = new Date()) => {
+  const { planType, billingCycle } = transaction.metadata.purchase;
+
+  // The subscription paid from may have rolled over while the buyer was at checkout
+  const subscription = await getCurrentSubscription(transaction.userId, now);
+  const previousPlan = subscription.planType;
+
+  subscription.billing.cycle = billingCycle;
+  subscription.startDate = now;
+  subscription.endDate = calculateEndDate(now, billingCycle);
+  subscription.usage.currentPeriod.periodEnd = getUsagePeriodEnd(subscription.usage.currentPeriod.periodStart, subscription.endDate);
+  subscription.settings.scheduledPlan = null;
+  subscription.settings.cancelAtPeriodEnd = false;
+  subscription.settings.autoRenew = true;
+  subscription.metadata.cancelReason = null;
+  subscription.payment.provider = transaction.payment.provider;
+  subscription.payment.lastPaymentDate = now;
+  subscription.payment.lastPaymentAmount = transaction.amount;
+  await subscription.upgrade(planType);
+  await syncStudentTier(subscription);
+
+  console.log(`⬆️ User ${transaction.userId} upgraded from ${previousPlan} to ${planType} (${billingCycle})`);
+};
+
+/**
+ * Register how paid subscription checkouts are handled
+ */
+export const registerSubscriptionCheckout = () => {
+  registerCheckoutHandler('subscription_payment', {
+    onPaid: (transaction) => applyPaidUpgrade(transaction)
+  });
+};
+
+/**
+ * Move to a lower plan when the current period ends; the higher plan stays
+ * in use until then
+ * @param {string} userId - User ID
+ * @param {Object} change - { planType }
+ * @returns {Promise<Object>} Subscription overview
+ */
+export const downgradeSubscription = async (userId, { planType } = {}) => {
+  try {
+    assertValidPlan(planType);
+
+    const subscription = await getCurrentSubscription(userId);
+    if (comparePlans(planType, subscription.planType) >= 0) {
+      throw HttpError.badRequest(`Cannot downgrade from ${subscription.planType} to ${planType}`, {
+        code: 'INVALID_PLAN_CHANGE',
+        context: { currentPlan: subscription.planType }
+      });
+    }
+
+    subscription.settings.scheduledPlan = planType;
+    subscription.settings.cancelAtPeriodEnd = false;
+    await subscription.save();
+
+    console.log(`⬇️ User ${userId} moves from ${subscription.planType} to ${planType} on ${subscription.endDate.toISOString()}`);
+    return getSubscriptionOverview(userId);
+  } catch (error) {
+    console.error('❌ Downgrade subscription error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to downgrade subscription: ${error.message}`);
+  }
+};
+
+/**
+ * Cancel a paid plan at the end of the current period
+ * @param {string} userId - User ID
+ * @param {Object} options - { reason }
+ * @returns {Promise<Object>} Subscription overview
+ */
+export const cancelSubscription = async (userId, { reason = null } = {}) => {
+  try {
+    const subscription = await getCurrentSubscription(userId);
+    if (!isPaidPlan(subscription.planType)) {
+      throw HttpError.badRequest('The free plan cannot be cancelled', { code: 'SUBSCRIPTION_NOT_CANCELLABLE' });
+    }
+    if (subscription.settings.cancelAtPeriodEnd) {
+      throw HttpError.conflict('Subscription is already cancelled', { code: 'SUBSCRIPTION_ALREADY_CANCELLED' });
+    }
+
+    subscription.settings.scheduledPlan = null;
+    await subscription.cancel(reason, true);
+
+    console.log(`🛑 User ${userId} cancelled ${subscription.planType}, ends ${subscription.endDate.toISOString()}`);
+    return getSubscriptionOverview(userId);
+  } catch (error) {
+    console.error('❌ Cancel subscription error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to cancel subscription: ${error.message}`);
+  }
+};
+
+/**
+ * Undo a pending cancellation or downgrade before the period ends
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Subscription overview
+ */
+export const resumeSubscription = async (userId) => {
+  try {
+    const subscription = await getCurrentSubscription(userId);
+    if (!subscription.settings.cancelAtPeriodEnd && !subscription.settings.scheduledPlan) {
+      throw HttpError.badRequest('There is no pending cancellation or downgrade to undo', {
+        code: 'NOTHING_TO_RESUME'
+      });
+    }
+
+    subscription.settings.cancelAtPeriodEnd = false;
+    subscription.settings.scheduledPlan = null;
+    subscription.settings.autoRenew = true;
+    subscription.metadata.cancelReason = null;
+    await subscription.save();
+
+    console.log(`▶️ User ${userId} resumed ${subscription.planType}`);
+    return getSubscriptionOverview(userId);
+  } catch (error) {
+    console.error('❌ Resume subscription error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to resume subscription: ${error.message}`);
+  }
+};
+
+// ==========================================
+// PLAN ENFORCEMENT
+// ==========================================
+
+/**
+ * Refuse a feature the user's plan does not include
+ * @param {Object} subscription - Subscription document
+ * @param {string} feature - SUBSCRIPTION_FEATURES value
+ * @throws {HttpError} 402 FEATURE_NOT_AVAILABLE
+ */
+export const assertFeatureAccess = (subscription, feature) => {
+  if (subscription.hasFeature(feature)) return;
+
+  const requiredPlan = getLowestPlanWithFeature(feature);
+  throw HttpError.paymentRequired(`Your ${subscription.planType} plan does not include this feature`, {
+    code: 'FEATURE_NOT_AVAILABLE',
+    context: { feature, currentPlan: subscription.planType, requiredPlan }
+  });
+};
+
+/**
+ * Count one use of a quota, refusing it once the limit is reached. The
+ * check and the increment are one update, so parallel requests cannot
+ * overshoot the limit.
+ * @param {Object} subscription - Subscription document
+ * @param {string} quota - SUBSCRIPTION_QUOTAS key
+ * @param {number} [amount=1]
+ * @returns {Promise<Object>} { used, limit } after this use
+ * @throws {HttpError} 429 QUOTA_EXCEEDED
+ */
+export const consumeQuota = async (subscription, quota, amount = 1) => {
+  const { usageField, limitField } = SUBSCRIPTION_QUOTAS[quota];
+  const limit = subscription.effectiveLimits[limitField];
+  const path = `usage.currentPeriod.${usageField}`;
+
+  const filter = { _id: subscription._id };
+  if (limit !== -1) {
+    filter[path] = { $lte: limit - amount };
+  }
+
+  const updated = await Subscription.findOneAndUpdate(filter, { $inc: { [path]: amount } }, { new: true });
+
+  if (!updated) {
+    const { currentPeriod } = subscription.usage;
+    throw HttpError.tooManyRequests(`You have used all ${limit} ${quota} included in your ${subscription.planType} plan this month`, {
+      code: 'QUOTA_EXCEEDED',
+      context: {
+        quota,
+        used: currentPeriod[usageField],
+        limit,
+        resetsAt: currentPeriod.periodEnd,
+        currentPlan: subscription.planType,
+        upgradeTo: getUpgradePath(subscription.planType)
+      }
+    });
+  }
+
+  return { used: updated.usage.currentPeriod[usageField], limit };
+};
+
+/**
+ * Give back a use counted for a request that then failed
+ * @param {Object} subscription - Subscription document
+ * @param {string} quota - SUBSCRIPTION_QUOTAS key
+ * @param {number} [amount=1]
+ */
+export const releaseQuota = (subscription, quota, amount = 1) => {
+  const path = `usage.currentPeriod.${SUBSCRIPTION_QUOTAS[quota].usageField}`;
+
+  return Subscription.updateOne(
+    { _id: subscription._id, [path]: { $gte: amount } },
+    { $inc: { [path]: -amount } }
+  );
+};
+
+export default {
+  getCurrentSubscription,
+  getSubscriptionOverview,
+  getSubscriptionUsage,
+  listPlans,
+  upgradeSubscription,
+  registerSubscriptionCheckout,
+  downgradeSubscription,
+  cancelSubscription,
+  resumeSubscription,
+  assertFeatureAccess,
+  consumeQuota,
+  releaseQuota
+};
@@ -7,9 +7,9 @@
 import Transaction from '#models/transaction/Transaction.js';
 import { Student } from '#models/users/index.js';
 import { HttpError } from '#exceptions/index.js';
+import pointsLedgerService from '#services/pointsLedger.service.js';
 import mongoose from 'mongoose';
 import {
-  calculateQuizPoints,
   isPointsEarningTransaction,
   isPointsSpendingTransaction,
   POINTS_EARNING_RATES,
@@ -33,6 +33,7 @@ export const createPointsEarningTransaction = async (transactionData) => {
       pointsEarned,
       description,
       relatedId, // Quiz ID, Document ID, etc.
+      idempotencyKey, // Same key, same award: repeats earn nothing
       metadata = {}
     } = transactionData;
 
@@ -46,32 +47,11 @@ export const createPointsEarningTransaction = async (transactionData) => {
     if (!isPointsEarningTransaction(type)) {
       throw HttpError.badRequest('Invalid transaction type for points earning', {
         code: 'INVALID_EARNING_TRANSACTION_TYPE',
-        validTypes: ['quiz_completion', 'document_upload', 'daily_login', 'referral_bonus']
+        validTypes: ['quiz_completion', 'flashcard_review', 'document_upload', 'focus_session', 'daily_login', 'referral_bonus']
       });
     }
 
-    console.log(`🔍 DEBUG: Looking for user with ID: ${userId}`);
-    
-    let user = await Student.findById(userId);
-    if (!user) {
-      console.log(`⚠️ DEBUG: User not found in Student collection, trying BaseUser...`);
-      // Try BaseUser collection as fallback
-      const { BaseUser } = await import('#models/users/index.js');
-      user = await BaseUser.findById(userId);
-    }
-    
-    if (!user) {
-      console.error(`❌ DEBUG: User not found in any collection. UserID: ${userId}`);
-      console.log(`🔍 DEBUG: Checking database for user existence...`);
-      const allUsers = await Student.find({}).limit(5);
-      console.log(`🔍 DEBUG: Sample users in database:`, allUsers.map(u => ({ id: u._id, email: u.email, userType: u.userType })));
-      
-      throw HttpError.notFound('User not found');
-    }
-    
-    console.log(`✅ DEBUG: User found - ID: ${user._id}, Type: ${user.userType || 'unknown'}`);
-
-    // 3. Create transaction
+    // 2. Create transaction together with its ledger entry
     const transaction = new Transaction({
       userId,
       type,
@@ -100,42 +80,39 @@ export const createPointsEarningTransaction = async (transactionData) => {
       transaction.quizId = relatedId;
     }
 
-    await transaction.save();
-    console.log(`✅ DEBUG: Transaction saved: ${transaction._id}`);
-
-    try {
-      const pointsUpdate = {
-        $inc: {
-          'progress.totalPoints': pointsEarned
-        },
-        $set: {
-          'progress.lastPointsEarned': pointsEarned,
-          'progress.lastPointsEarnedAt': new Date()
-        }
-      };
+    const posted = await pointsLedgerService.earnPoints({
+      userId,
+      points: pointsEarned,
+      idempotencyKey: idempotencyKey || `${type}:${transaction._id}`,
+      source: type,
+      description,
+      transactionId: transaction._id,
+      relatedId
+    }, {
+      afterPost: (session) => transaction.save({ session })
+    });
 
-      let updateResult;
-      if (user.userType === 'student' || user.constructor.name === 'Student') {
-        updateResult = await Student.findByIdAndUpdate(userId, pointsUpdate, { new: true });
-      } else {
-        const { BaseUser } = await import('#models/users/index.js');
-        updateResult = await BaseUser.findByIdAndUpdate(userId, pointsUpdate, { new: true });
-      }
-      
-      console.log(`✅ DEBUG: User points updated. New total: ${user.progress.totalPoints + pointsEarned}`);
-      
-    } catch (updateError) {
-      console.error(`❌ DEBUG: User update failed:`, updateError);
-      throw updateError;
+    // Already awarded: hand back the first award
+    if (posted.duplicate) {
+      console.log(`ℹ️ Points already awarded for ${posted.entry.idempotencyKey}`);
+      const original = await Transaction.findById(posted.entry.transactionId);
+      return {
+        success: true,
+        duplicate: true,
+        transaction: original ? original.toJSON() : null,
+        pointsEarned: 0,
+        newTotalPoints: posted.balances[userId.toString()]?.totalPoints ?? null
+      };
     }
 
     console.log(`✅ Points transaction completed: +${pointsEarned} points`);
 
     return {
       success: true,
+      duplicate: false,
       transaction: transaction.toJSON(),
       pointsEarned,
-      newTotalPoints: user.progress.totalPoints + pointsEarned
+      newTotalPoints: posted.balances[userId.toString()].totalPoints
     };
 
   } catch (error) {
@@ -160,6 +137,7 @@ export const createPointsSpendingTransaction = async (transactionData) => {
       description,
       amount = 0,
       courseId = null,
+      idempotencyKey,
       metadata = {}
     } = transactionData;
 
@@ -172,22 +150,8 @@ export const createPointsSpendingTransaction = async (transactionData) => {
       throw HttpError.badRequest('Invalid transaction type for points spending');
     }
 
-    // 2. Get user and validate points balance
-    const user = await Student.findById(userId);
-    if (!user) {
-      throw HttpError.notFound('User not found');
-    }
-
-    const availablePoints = user.progress.totalPoints - user.progress.pointsUsed;
-    if (availablePoints < pointsUsed) {
-      throw HttpError.badRequest('Insufficient points balance', {
-        code: 'INSUFFICIENT_POINTS',
-        available: availablePoints,
-        required: pointsUsed
-      });
-    }
-
-    // 3. Create transaction
+    // 2. Create transaction together with its ledger entry; the ledger
+    // refuses the spend when the balance is too low
     const transaction = new Transaction({
       userId,
       type,
@@ -210,28 +174,39 @@ export const createPointsSpendingTransaction = async (transactionData) => {
       completedAt: new Date()
     });
 
-    await transaction.save();
+    const posted = await pointsLedgerService.spendPoints({
+      userId,
+      points: pointsUsed,
+      idempotencyKey: idempotencyKey || `${type}:${transaction._id}`,
+      source: type,
+      description,
+      transactionId: transaction._id,
+      relatedId: courseId
+    }, {
+      afterPost: (session) => transaction.save({ session })
+    });
 
-    // 4. Update user points usage (without session)
-    const pointsUpdate = {
-      $inc: {
-        'progress.pointsUsed': pointsUsed
-      },
-      $set: {
-        'progress.lastPointsUsed': pointsUsed,
-        'progress.lastPointsUsedAt': new Date()
-      }
-    };
+    const balance = posted.balances[userId.toString()];
 
-    await Student.findByIdAndUpdate(userId, pointsUpdate);
+    if (posted.duplicate) {
+      const original = await Transaction.findById(posted.entry.transactionId);
+      return {
+        success: true,
+        duplicate: true,
+        transaction: original ? original.toJSON() : null,
+        pointsUsed: 0,
+        remainingPoints: balance?.available ?? null
+      };
+    }
 
     console.log(`✅ Points spending completed: -${pointsUsed} points`);
 
     return {
       success: true,
+      duplicate: false,
       transaction: transaction.toJSON(),
       pointsUsed,
-      remainingPoints: availablePoints - pointsUsed
+      remainingPoints: balance.available
     };
 
   } catch (error) {
@@ -270,7 +245,7 @@ export const getUserTransactionHistory = async (userId, options = {}) => {
     if (category) {
       // Filter by transaction category (points_earning, points_spending, monetary)
       const categoryTypes = {
-        'points_earning': ['quiz_completion', 'document_upload', 'daily_login', 'referral_bonus', 'achievement_bonus'],
+        'points_earning': ['quiz_completion', 'flashcard_review', 'document_upload', 'focus_session', 'daily_login', 'referral_bonus', 'achievement_bonus', 'admin_adjustment'],
         'points_spending': ['course_discount', 'premium_feature', 'bonus_content'],
         'monetary': ['course_purchase', 'subscription_payment', 'course_refund', 'subscription_refund']
       };
@@ -371,8 +346,8 @@ export const getUserTransactionStats = async (userId, options = {}) => {
       transactionCounts,
       recentTransactions
     ] = await Promise.all([
-      // Points balance calculation
-      Transaction.calculatePointsBalance(userId),
+      // Points balance from the ledger
+      pointsLedgerService.getLedgerBalance(userId),
       
       // Transaction counts by type and status
       Transaction.aggregate([
@@ -397,13 +372,11 @@ export const getUserTransactionStats = async (userId, options = {}) => {
     ]);
 
     // Process results
-    const pointsBalance = pointsStats[0] || { balance: 0, totalEarned: 0, totalSpent: 0 };
-    
     const stats = {
       points: {
-        balance: pointsBalance.balance,
-        totalEarned: pointsBalance.totalEarned,
-        totalSpent: pointsBalance.totalSpent
+        balance: pointsStats.available,
+        totalEarned: pointsStats.totalEarned,
+        totalSpent: pointsStats.totalSpent
       },
       transactions: {
         total: transactionCounts.reduce((sum, item) => sum + item.count, 0),
@@ -423,51 +396,98 @@ export const getUserTransactionStats = async (userId, options = {}) => {
 };
 
 /**
- * Award points for quiz completion
- * @param {Object} quizCompletionData - Quiz completion data
- * @returns {Promise<Object>} Transaction result
+ * Correct a student's points by hand (admin only)
+ * @param {Object} adjustmentData - { userId, amount, reason, adminId, idempotencyKey, metadata };
+ *   a positive amount adds points, a negative one removes them
+ * @returns {Promise<Object>} Adjustment transaction and the student's new balance
  */
-export const awardQuizCompletionPoints = async (quizCompletionData) => {
+export const createAdminAdjustmentTransaction = async (adjustmentData) => {
   try {
     const {
       userId,
-      quizId,
-      score,
-      difficulty,
-      timeSpent,
+      amount,
+      reason,
+      adminId,
+      idempotencyKey,
       metadata = {}
-    } = quizCompletionData;
+    } = adjustmentData;
 
-    // Calculate performance level based on score
-    let performanceLevel;
-    if (score >= 90) performanceLevel = 'excellent';
-    else if (score >= 80) performanceLevel = 'good';
-    else if (score >= 70) performanceLevel = 'average';
-    else if (score >= 60) performanceLevel = 'below_average';
-    else performanceLevel = 'poor';
+    console.log(`🛠️ Admin ${adminId} adjusting points for user: ${userId} (${amount > 0 ? '+' : ''}${amount})`);
 
-    // Calculate points earned
-    const pointsEarned = calculateQuizPoints(difficulty, performanceLevel);
+    if (!Number.isInteger(amount) || amount === 0) {
+      throw HttpError.badRequest('Amount must be a non-zero whole number of points', {
+        code: 'INVALID_POINTS_AMOUNT'
+      });
+    }
+
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+    if (!trimmedReason || trimmedReason.length > 480) {
+      throw HttpError.badRequest('A reason of at most 480 characters is required', {
+        code: 'INVALID_ADJUSTMENT_REASON'
+      });
+    }
 
-    // Create transaction
-    return await createPointsEarningTransaction({
+    const transaction = new Transaction({
       userId,
-      type: 'quiz_completion',
-      pointsEarned,
-      description: `Quiz completed with ${score}% score`,
-      relatedId: quizId,
+      type: 'admin_adjustment',
+      status: 'completed',
+      description: `Admin adjustment: ${trimmedReason}`,
+      amount: 0,
+      pointsEarned: amount > 0 ? amount : 0,
+      pointsUsed: amount < 0 ? -amount : 0,
+      processedBy: adminId,
+      payment: {
+        method: 'admin',
+        provider: 'internal'
+      },
       metadata: {
-        ...metadata,
-        score,
-        difficulty,
-        performanceLevel,
-        timeSpent
-      }
+        source: 'admin',
+        ipAddress: metadata.ipAddress,
+        userAgent: metadata.userAgent
+      },
+      notes: trimmedReason,
+      completedAt: new Date()
     });
 
+    // The ledger refuses removals larger than the available balance
+    const posted = await pointsLedgerService.adjustPoints({
+      userId,
+      points: amount,
+      idempotencyKey: `admin_adjustment:${userId}:${idempotencyKey || transaction._id}`,
+      source: 'admin_adjustment',
+      description: trimmedReason,
+      transactionId: transaction._id,
+      createdBy: adminId
+    }, {
+      afterPost: (session) => transaction.save({ session })
+    });
+
+    const balance = posted.balances[userId.toString()];
+
+    if (posted.duplicate) {
+      const original = await Transaction.findById(posted.entry.transactionId);
+      return {
+        success: true,
+        duplicate: true,
+        transaction: original ? original.toJSON() : null,
+        pointsChange: 0,
+        balance
+      };
+    }
+
+    console.log(`✅ Admin adjustment completed: ${balance.totalPoints} total points`);
+
+    return {
+      success: true,
+      duplicate: false,
+      transaction: transaction.toJSON(),
+      pointsChange: amount,
+      balance
+    };
+
   } catch (error) {
-    console.error('❌ Award quiz points error:', error);
-    throw error;
+    console.error('❌ Admin points adjustment error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to adjust points: ${error.message}`);
   }
 };
 
@@ -531,6 +551,6 @@ export default {
   createPointsSpendingTransaction,
   getUserTransactionHistory,
   getUserTransactionStats,
-  awardQuizCompletionPoints,
+  createAdminAdjustmentTransaction,
   validateCourseDiscountPoints
 };
\ No newline at end of file
@@ -0,0 +1,422 @@
+/**
+ * Two-Factor Authentication Service
+ * @module services/twoFactor
+ * @description TOTP enrolment, code and recovery-code checks, and the admin
+ * policy that makes two-factor login mandatory for admin roles
+ */
+
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { BaseUser, Admin } from '#models/users/index.js';
+import { SecurityPolicy } from '#models/auth/index.js';
+import { HttpError } from '#exceptions/index.js';
+import { twoFactorConfig } from '#config/index.js';
+import { TWO_FACTOR_CONFIG } from '#constants/models/auth/index.js';
+import { ADMIN_ROLES } from '#constants/models/user/index.js';
+import {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  sealSecret,
+  openSecret
+} from '#lib/totp/index.js';
+
+const TOTP_OPTIONS = Object.freeze({
+  digits: TWO_FACTOR_CONFIG.DIGITS,
+  period: TWO_FACTOR_CONFIG.PERIOD_SECONDS,
+  window: TWO_FACTOR_CONFIG.VERIFY_WINDOW
+});
+
+/**
+ * Load a user with the two-factor fields (excluded by default)
+ */
+const findUserWithSecurity = async (userId, extraFields = '') => {
+  const user = await BaseUser.findById(userId).select(`+security ${extraFields}`.trim());
+
+  if (!user) {
+    throw HttpError.notFound('User not found');
+  }
+
+  return user;
+};
+
+const invalidCodeError = () => HttpError.badRequest('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+
+// ==========================================
+// RECOVERY CODES
+// ==========================================
+
+/**
+ * Normalize a recovery code as typed (case, spaces and dashes ignored)
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Create a set of recovery codes
+ * @returns {{ codes: string[], records: Object[] }} Plain codes for the user, hashed records to store
+ */
+const createRecoveryCodes = () => {
+  const codes = Array.from({ length: TWO_FACTOR_CONFIG.RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(TWO_FACTOR_CONFIG.RECOVERY_CODE_BYTES).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    records: codes.map(code => ({ codeHash: hashRecoveryCode(code), usedAt: null }))
+  };
+};
+
+// ==========================================
+// CODE CHECKS
+// ==========================================
+
+/**
+ * Accept a TOTP code once. The step is recorded with a conditional update, so
+ * the same code cannot be used twice even by concurrent requests.
+ * @param {Object} user - User loaded with +security
+ * @param {string} secret - Sealed secret to check against
+ * @param {string} code - Code typed by the user
+ * @returns {Promise<boolean>}
+ */
+const consumeTotpCode = async (user, secret, code) => {
+  const step = verifyTotp(openSecret(secret, twoFactorConfig.encryptionKey), code, TOTP_OPTIONS);
+
+  if (step === null) {
+    return false;
+  }
+
+  const { modifiedCount } = await BaseUser.updateOne(
+    { _id: user._id, 'security.twoFactor.lastUsedStep': { $lt: step } },
+    { $set: { 'security.twoFactor.lastUsedStep': step } }
+  );
+
+  if (modifiedCount === 1) {
+    user.security.twoFactor.lastUsedStep = step;
+  }
+
+  return modifiedCount === 1;
+};
+
+/**
+ * Mark an unused recovery code as used
+ * @param {Object} user - User loaded with +security
+ * @param {string} recoveryCode - Code typed by the user
+ * @returns {Promise<boolean>}
+ */
+const consumeRecoveryCode = async (user, recoveryCode) => {
+  const codeHash = hashRecoveryCode(recoveryCode);
+
+  const { modifiedCount } = await BaseUser.updateOne(
+    {
+      _id: user._id,
+      'security.twoFactor.recoveryCodes': { $elemMatch: { codeHash, usedAt: null } }
+    },
+    { $set: { 'security.twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+
+  return modifiedCount === 1;
+};
+
+/**
+ * Check the second factor of a user with two-factor enabled
+ * @param {Object} user - User loaded with +security
+ * @param {Object} factor - { code } from the app or { recoveryCode }
+ * @returns {Promise<string|null>} Method used ('totp' or 'recovery_code'), or null when rejected
+ */
+export const verifySecondFactor = async (user, factor = {}) => {
+  const twoFactor = user.security?.twoFactor;
+
+  if (!twoFactor?.enabled || !twoFactor.secret) {
+    return null;
+  }
+
+  if (factor.code && await consumeTotpCode(user, twoFactor.secret, factor.code)) {
+    return 'totp';
+  }
+
+  if (factor.recoveryCode && await consumeRecoveryCode(user, factor.recoveryCode)) {
+    console.log(`🔑 Recovery code used by user ${user._id}`);
+    return 'recovery_code';
+  }
+
+  return null;
+};
+
+// ==========================================
+// POLICY
+// ==========================================
+
+/**
+ * Whether the admin policy makes two-factor login mandatory for a user
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+export const isTwoFactorRequired = async (user) => {
+  if (user.userType !== 'admin') {
+    return false;
+  }
+
+  const requiredRoles = await SecurityPolicy.getTwoFactorRequiredRoles();
+
+  return typeof user.requiresTwoFactor === 'function'
+    ? user.requiresTwoFactor(requiredRoles)
+    : requiredRoles.includes(user.adminInfo?.role);
+};
+
+/**
+ * Current two-factor policy with the number of covered admins not yet enrolled
+ * @returns {Promise<Object>} { requiredRoles, availableRoles, adminsWithoutTwoFactor, updatedAt }
+ */
+export const getTwoFactorPolicy = async () => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+    const requiredRoles = policy.twoFactor?.requiredRoles || [];
+
+    const adminsWithoutTwoFactor = requiredRoles.length
+      ? await Admin.countDocuments({
+        status: 'active',
+        'adminInfo.role': { $in: requiredRoles },
+        'security.twoFactor.enabled': { $ne: true }
+      })
+      : 0;
+
+    return {
+      requiredRoles,
+      availableRoles: [...ADMIN_ROLES],
+      adminsWithoutTwoFactor,
+      updatedAt: policy.updatedAt || null
+    };
+
+  } catch (error) {
+    console.error('❌ Get two-factor policy service error:', error);
+    throw HttpError.internalServerError(`Failed to get two-factor policy: ${error.message}`);
+  }
+};
+
+/**
+ * Set the admin roles that must use two-factor login. Covered admins without
+ * two-factor are asked to set it up at their next sign-in.
+ * @param {string[]} requiredRoles - Subset of ADMIN_ROLES
+ * @param {string} adminId - Admin making the change
+ * @returns {Promise<Object>} Policy as returned by getTwoFactorPolicy
+ */
+export const updateTwoFactorPolicy = async (requiredRoles, adminId) => {
+  try {
+    if (!Array.isArray(requiredRoles)) {
+      throw HttpError.badRequest('requiredRoles must be an array', { code: 'INVALID_POLICY' });
+    }
+
+    const invalidRoles = requiredRoles.filter(role => !ADMIN_ROLES.includes(role));
+    if (invalidRoles.length) {
+      throw HttpError.badRequest(`Unknown admin roles: ${invalidRoles.join(', ')}`, {
+        code: 'INVALID_POLICY',
+        context: { availableRoles: ADMIN_ROLES }
+      });
+    }
+
+    await SecurityPolicy.setTwoFactorRequiredRoles(requiredRoles, adminId);
+
+    console.log(`🛡️ Two-factor required for [${requiredRoles.join(', ')}] by admin ${adminId}`);
+
+    return await getTwoFactorPolicy();
+
+  } catch (error) {
+    console.error('❌ Update two-factor policy service error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to update two-factor policy: ${error.message}`);
+  }
+};
+
+// ==========================================
+// ENROLMENT
+// ==========================================
+
+/**
+ * Two-factor state of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { enabled, enabledAt, required, recoveryCodesRemaining }
+ */
+export const getTwoFactorStatus = async (userId) => {
+  const user = await findUserWithSecurity(userId);
+  const twoFactor = user.security?.twoFactor || {};
+
+  return {
+    enabled: Boolean(twoFactor.enabled),
+    enabledAt: twoFactor.enabledAt || null,
+    required: await isTwoFactorRequired(user),
+    recoveryCodesRemaining: (twoFactor.recoveryCodes || []).filter(code => !code.usedAt).length
+  };
+};
+
+/**
+ * Create a new secret to scan into an authenticator app. Two-factor is not on
+ * until enableTwoFactor confirms a code from that app.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } - qrCode is a PNG data URL
+ */
+export const startTwoFactorSetup = async (userId) => {
+  try {
+    const user = await findUserWithSecurity(userId);
+
+    if (user.security.twoFactor.enabled) {
+      throw HttpError.badRequest('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ALREADY_ENABLED' });
+    }
+
+    const secret = generateSecret(TWO_FACTOR_CONFIG.SECRET_BYTES);
+    const otpauthUrl = buildOtpauthUrl({
+      secret,
+      issuer: twoFactorConfig.issuer,
+      account: user.email,
+      digits: TWO_FACTOR_CONFIG.DIGITS,
+      period: TWO_FACTOR_CONFIG.PERIOD_SECONDS
+    });
+
+    user.security.twoFactor.pendingSecret = sealSecret(secret, twoFactorConfig.encryptionKey);
+    user.security.twoFactor.pendingCreatedAt = new Date();
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+
+  } catch (error) {
+    console.error('❌ Start two-factor setup service error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to start two-factor setup: ${error.message}`);
+  }
+};
+
+/**
+ * Turn two-factor on with a code from the newly scanned secret
+ * @param {string} userId - User ID
+ * @param {string} code - Code from the authenticator app
+ * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodes } - codes are shown once
+ */
+export const enableTwoFactor = async (userId, code) => {
+  try {
+    const user = await findUserWithSecurity(userId);
+    const twoFactor = user.security.twoFactor;
+
+    if (twoFactor.enabled) {
+      throw HttpError.badRequest('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ALREADY_ENABLED' });
+    }
+
+    if (!twoFactor.pendingSecret) {
+      throw HttpError.badRequest('Start two-factor setup first', { code: 'TWO_FACTOR_SETUP_MISSING' });
+    }
+
+    const step = verifyTotp(openSecret(twoFactor.pendingSecret, twoFactorConfig.encryptionKey), code, TOTP_OPTIONS);
+    if (step === null) {
+      throw invalidCodeError();
+    }
+
+    const { codes, records } = createRecoveryCodes();
+
+    twoFactor.enabled = true;
+    twoFactor.enabledAt = new Date();
+    twoFactor.secret = twoFactor.pendingSecret;
+    twoFactor.pendingSecret = null;
+    twoFactor.pendingCreatedAt = null;
+    twoFactor.lastUsedStep = step;
+    twoFactor.recoveryCodes = records;
+    await user.save();
+
+    console.log(`🔐 Two-factor enabled for user ${user._id}`);
+
+    return { enabled: true, enabledAt: twoFactor.enabledAt, recoveryCodes: codes };
+
+  } catch (error) {
+    console.error('❌ Enable two-factor service error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to enable two-factor: ${error.message}`);
+  }
+};
+
+/**
+ * Turn two-factor off. Needs the password and a current code or recovery code.
+ * @param {string} userId - User ID
+ * @param {Object} credentials - { password, code, recoveryCode }
+ * @returns {Promise<Object>} { enabled: false }
+ */
+export const disableTwoFactor = async (userId, credentials = {}) => {
+  try {
+    const user = await findUserWithSecurity(userId, '+password');
+
+    if (!user.security.twoFactor.enabled) {
+      throw HttpError.badRequest('Two-factor authentication is not enabled', { code: 'TWO_FACTOR_NOT_ENABLED' });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      throw HttpError.forbidden('Two-factor authentication is required for your role', { code: 'TWO_FACTOR_REQUIRED' });
+    }
+
+    if (!(await user.comparePassword(credentials.password))) {
+      throw HttpError.badRequest('Password is incorrect', { code: 'INVALID_CURRENT_PASSWORD' });
+    }
+
+    if (!(await verifySecondFactor(user, credentials))) {
+      throw invalidCodeError();
+    }
+
+    await BaseUser.updateOne(
+      { _id: user._id },
+      { $set: { 'security.twoFactor': { enabled: false, lastUsedStep: 0, recoveryCodes: [] } } }
+    );
+
+    console.log(`🔓 Two-factor disabled for user ${user._id}`);
+
+    return { enabled: false };
+
+  } catch (error) {
+    console.error('❌ Disable two-factor service error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to disable two-factor: ${error.message}`);
+  }
+};
+
+/**
+ * Replace all recovery codes; the old ones stop working
+ * @param {string} userId - User ID
+ * @param {string} code - Current code from the authenticator app
+ * @returns {Promise<Object>} { recoveryCodes }
+ */
+export const regenerateRecoveryCodes = async (userId, code) => {
+  try {
+    const user = await findUserWithSecurity(userId);
+
+    if (!user.security.twoFactor.enabled) {
+      throw HttpError.badRequest('Two-factor authentication is not enabled', { code: 'TWO_FACTOR_NOT_ENABLED' });
+    }
+
+    if (!(await verifySecondFactor(user, { code }))) {
+      throw invalidCodeError();
+    }
+
+    const { codes, records } = createRecoveryCodes();
+
+    await BaseUser.updateOne(
+      { _id: user._id },
+      { $set: { 'security.twoFactor.recoveryCodes': records } }
+    );
+
+    return { recoveryCodes: codes };
+
+  } catch (error) {
+    console.error('❌ Regenerate recovery codes service error:', error);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to regenerate recovery codes: ${error.message}`);
+  }
+};
+
+export default {
+  verifySecondFactor,
+  isTwoFactorRequired,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
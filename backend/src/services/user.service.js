@@ -9,6 +9,14 @@ import Document from '#models/document/Document.js';
 import Quiz from '#models/quiz/Quiz.js';
 import QuizAttempt from '#models/quiz/QuizAttempt.js';
 import { HttpError } from '#exceptions/index.js';
+import pointsLedgerService from '#services/pointsLedger.service.js';
+import mongoose from 'mongoose';
+
+// Points changes without a client key (Idempotency-Key header)
+// get a unique one, so they are never mistaken for a repeat
+const pointsKey = (operation, userId, requestKey) => (
+  `${operation}:${userId}:${requestKey || new mongoose.Types.ObjectId()}`
+);
 
 /**
  * Get user profile information
@@ -422,210 +430,20 @@ export const getQuizStatistics = async (userId) => {
   }
 };
 
-/**
- * Manage focus timer session
- * @param {string} userId - User ID
- * @param {Object} timerData - Timer action and data
- * @returns {Promise<Object>} Timer session result
- */
-export const manageFocusTimer = async (userId, timerData) => {
-  try {
-    console.log(`⏱️ Managing focus timer for user: ${userId}`);
-
-    const { action, duration, sessionId } = timerData;
-
-    const user = await Student.findById(userId);
-    if (!user) {
-      throw HttpError.notFound('User not found');
-    }
-
-    let result = {};
-
-    switch (action) {
-      case 'start':
-        // Start new focus session
-        const newSessionId = `session_${Date.now()}`;
-        result = {
-          action: 'started',
-          sessionId: newSessionId,
-          duration: duration || 1500000, // Default 25 minutes in milliseconds
-          startTime: new Date(),
-          endTime: new Date(Date.now() + (duration || 1500000))
-        };
-        break;
-
-      case 'complete':
-        // Complete focus session and award points
-        const focusPoints = Math.floor((duration || 1500000) / 60000); // 1 point per minute
-        user.progress.totalPoints += focusPoints;
-        user.analytics.totalStudyTime += Math.floor((duration || 1500000) / 60000);
-        user.updateStudyStreak();
-        
-        await user.save();
-        
-        result = {
-          action: 'completed',
-          sessionId: sessionId,
-          duration: duration,
-          pointsEarned: focusPoints,
-          totalStudyTime: user.analytics.totalStudyTime
-        };
-        break;
-
-      case 'cancel':
-        result = {
-          action: 'cancelled',
-          sessionId: sessionId
-        };
-        break;
-
-      default:
-        throw HttpError.badRequest('Invalid timer action');
-    }
-
-    console.log(`✅ Focus timer ${action} successful`);
-    return {
-      success: true,
-      timer: result
-    };
-
-  } catch (error) {
-    console.error('❌ Focus timer error:', error);
-    
-    if (error.name === 'HttpError') {
-      throw error;
-    }
-    
-    throw HttpError.internalServerError(`Failed to manage focus timer: ${error.message}`);
-  }
-};
-
 // ==========================================
 // NEW POINTS MANAGEMENT FUNCTIONS
 // ==========================================
 
-/**
- * Add points to user
- * @param {string} userId - User ID
- * @param {number} amount - Points to add
- * @param {string} reason - Reason for addition
- * @returns {Promise<Object>} Updated points data
- */
-export const addUserPoints = async (userId, amount, reason = 'Points added') => {
-  try {
-    console.log(`💰 Adding ${amount} points to user: ${userId}`);
-
-    if (amount <= 0) {
-      throw HttpError.badRequest('Amount must be greater than 0');
-    }
-
-    const user = await Student.findById(userId);
-    if (!user) {
-      throw HttpError.notFound('User not found');
-    }
-
-    const previousPoints = user.progress.totalPoints;
-
-    // Add points using model method
-    user.addPoints(amount);
-    await user.save();
-
-    console.log(`✅ Points added successfully: ${previousPoints} → ${user.progress.totalPoints}`);
-
-    return {
-      success: true,
-      data: {
-        pointsAdded: amount,
-        previousTotal: previousPoints,
-        newTotal: user.progress.totalPoints,
-        availablePoints: user.progress.totalPoints - user.progress.pointsUsed,
-        reason: reason,
-        timestamp: new Date()
-      }
-    };
-
-  } catch (error) {
-    console.error('❌ Add user points error:', error);
-    
-    if (error.name === 'HttpError') {
-      throw error;
-    }
-    
-    throw HttpError.internalServerError(`Failed to add points: ${error.message}`);
-  }
-};
-
-/**
- * Deduct points from user
- * @param {string} userId - User ID
- * @param {number} amount - Points to deduct
- * @param {string} reason - Reason for deduction
- * @returns {Promise<Object>} Updated points data
- */
-export const deductUserPoints = async (userId, amount, reason = 'Points deducted') => {
-  try {
-    console.log(`💸 Deducting ${amount} points from user: ${userId}`);
-
-    if (amount <= 0) {
-      throw HttpError.badRequest('Amount must be greater than 0');
-    }
-
-    const user = await Student.findById(userId);
-    if (!user) {
-      throw HttpError.notFound('User not found');
-    }
-
-    const previousPoints = user.progress.totalPoints;
-
-    // Check if user has enough points
-    if (!user.canAffordDeduction(amount)) {
-      throw HttpError.badRequest('Insufficient points for deduction', {
-        code: 'INSUFFICIENT_POINTS',
-        context: {
-          requested: amount,
-          available: user.progress.totalPoints
-        }
-      });
-    }
-
-    // Deduct points using model method
-    user.deductPoints(amount, reason);
-    await user.save();
-
-    console.log(`✅ Points deducted successfully: ${previousPoints} → ${user.progress.totalPoints}`);
-
-    return {
-      success: true,
-      data: {
-        pointsDeducted: amount,
-        previousTotal: previousPoints,
-        newTotal: user.progress.totalPoints,
-        availablePoints: user.progress.totalPoints - user.progress.pointsUsed,
-        reason: reason,
-        timestamp: new Date()
-      }
-    };
-
-  } catch (error) {
-    console.error('❌ Deduct user points error:', error);
-    
-    if (error.name === 'HttpError') {
-      throw error;
-    }
-    
-    throw HttpError.internalServerError(`Failed to deduct points: ${error.message}`);
-  }
-};
-
 /**
  * Transfer points between users
  * @param {string} fromUserId - Source user ID
  * @param {string} toUserId - Target user ID
  * @param {number} amount - Points to transfer
  * @param {string} reason - Reason for transfer
+ * @param {Object} [options] - { idempotencyKey }
  * @returns {Promise<Object>} Transfer result
  */
-export const transferUserPoints = async (fromUserId, toUserId, amount, reason = 'Points transfer') => {
+export const transferUserPoints = async (fromUserId, toUserId, amount, reason = 'Points transfer', options = {}) => {
   try {
     console.log(`🔄 Transferring ${amount} points from ${fromUserId} to ${toUserId}`);
 
@@ -633,14 +451,14 @@ export const transferUserPoints = async (fromUserId, toUserId, amount, reason =
       throw HttpError.badRequest('Amount must be greater than 0');
     }
 
-    if (fromUserId === toUserId) {
+    if (String(fromUserId) === String(toUserId)) {
       throw HttpError.badRequest('Cannot transfer points to the same user');
     }
 
     // Get both users
     const [fromUser, toUser] = await Promise.all([
-      Student.findById(fromUserId),
-      Student.findById(toUserId)
+      Student.findById(fromUserId).select('email'),
+      Student.findById(toUserId).select('email')
     ]);
 
     if (!fromUser) {
@@ -651,20 +469,16 @@ export const transferUserPoints = async (fromUserId, toUserId, amount, reason =
       throw HttpError.notFound('Target user not found');
     }
 
-    // Check if source user has enough points
-    if (!fromUser.canAffordDeduction(amount)) {
-      throw HttpError.badRequest('Source user has insufficient points');
-    }
-
-    // Perform transfer
-    fromUser.deductPoints(amount, `Transfer to ${toUser.email}: ${reason}`);
-    toUser.addPoints(amount);
-
-    // Save both users
-    await Promise.all([
-      fromUser.save(),
-      toUser.save()
-    ]);
+    // Both sides are one journal entry: the transfer happens whole or not at all
+    const posted = await pointsLedgerService.transferPoints({
+      fromUserId,
+      toUserId,
+      points: amount,
+      idempotencyKey: pointsKey('points_transfer', fromUserId, options.idempotencyKey),
+      source: 'transfer',
+      description: `Transfer to ${toUser.email}: ${reason}`,
+      createdBy: fromUserId
+    });
 
     console.log(`✅ Points transfer completed successfully`);
 
@@ -675,14 +489,16 @@ export const transferUserPoints = async (fromUserId, toUserId, amount, reason =
         fromUser: {
           id: fromUserId,
           email: fromUser.email,
-          newBalance: fromUser.progress.totalPoints
+          newBalance: posted.balances[String(fromUserId)]?.totalPoints
         },
         toUser: {
           id: toUserId,
           email: toUser.email,
-          newBalance: toUser.progress.totalPoints
+          newBalance: posted.balances[String(toUserId)]?.totalPoints
         },
         reason: reason,
+        duplicate: posted.duplicate,
+        entryId: posted.entry._id,
         timestamp: new Date()
       }
     };
@@ -698,67 +514,6 @@ export const transferUserPoints = async (fromUserId, toUserId, amount, reason =
   }
 };
 
-/**
- * Batch points operations for a user
- * @param {string} userId - User ID
- * @param {Array} operations - Array of {type: 'add'|'deduct', amount: number, reason: string}
- * @returns {Promise<Object>} Batch operation result
- */
-export const batchUserPointsOperations = async (userId, operations) => {
-  try {
-    console.log(`📊 Performing batch points operations for user: ${userId}`);
-
-    if (!Array.isArray(operations) || operations.length === 0) {
-      throw HttpError.badRequest('Operations array is required and must not be empty');
-    }
-
-    const user = await Student.findById(userId);
-    if (!user) {
-      throw HttpError.notFound('User not found');
-    }
-
-    const previousPoints = user.progress.totalPoints;
-
-    // Validate all operations first
-    for (const op of operations) {
-      if (!['add', 'deduct'].includes(op.type)) {
-        throw HttpError.badRequest(`Invalid operation type: ${op.type}`);
-      }
-      if (!op.amount || op.amount <= 0) {
-        throw HttpError.badRequest('Each operation must have a positive amount');
-      }
-    }
-
-    // Use model batch method
-    user.batchPointsOperation(operations);
-    await user.save();
-
-    console.log(`✅ Batch operations completed: ${previousPoints} → ${user.progress.totalPoints}`);
-
-    return {
-      success: true,
-      data: {
-        operationsCount: operations.length,
-        previousTotal: previousPoints,
-        newTotal: user.progress.totalPoints,
-        pointsChange: user.progress.totalPoints - previousPoints,
-        availablePoints: user.progress.totalPoints - user.progress.pointsUsed,
-        operations: operations,
-        timestamp: new Date()
-      }
-    };
-
-  } catch (error) {
-    console.error('❌ Batch points operations error:', error);
-    
-    if (error.name === 'HttpError') {
-      throw error;
-    }
-    
-    throw HttpError.internalServerError(`Failed to perform batch operations: ${error.message}`);
-  }
-};
-
 /**
  * Get detailed points summary for user
  * @param {string} userId - User ID
@@ -857,10 +612,6 @@ export default {
   getUserPointsBalance,
   getDocumentStatistics,
   getQuizStatistics,
-  manageFocusTimer,
-  addUserPoints,
-  deductUserPoints,
   transferUserPoints,
-  batchUserPointsOperations,
   getDetailedPointsSummary
 };
\ No newline at end of file
@@ -6,6 +6,7 @@
 
 import { Student } from '#models/users/index.js';
 import { HttpError } from '#exceptions/index.js';
+import { awardEarningEvent } from '#services/earningRules.service.js';
 
 /**
  * Update user progress after quiz completion
@@ -46,7 +47,6 @@ export const updateQuizProgress = async (userId, quizResults) => {
     // Calculate new progress values
     const currentProgress = user.progress;
     const newQuizzesCompleted = currentProgress.quizzesCompleted + 1;
-    const newTotalPoints = currentProgress.totalPoints + pointsEarned;
     
     // Calculate new average score
     const currentTotalScore = currentProgress.averageScore * currentProgress.quizzesCompleted;
@@ -83,7 +83,6 @@ export const updateQuizProgress = async (userId, quizResults) => {
         'progress.quizzesCompleted': newQuizzesCompleted,
         'progress.averageScore': Math.round(newAverageScore * 100) / 100, // Round to 2 decimals
         'progress.bestScore': newBestScore,
-        'progress.totalPoints': newTotalPoints,
         'progress.studyStreak': newStudyStreak,
         'progress.lastStudyDate': today,
         'analytics.lastActiveAt': today,
@@ -115,7 +114,6 @@ export const updateQuizProgress = async (userId, quizResults) => {
     console.log(`  📊 Quizzes completed: ${currentProgress.quizzesCompleted} → ${newQuizzesCompleted}`);
     console.log(`  📈 Average score: ${currentProgress.averageScore}% → ${newAverageScore.toFixed(2)}%`);
     console.log(`  🏆 Best score: ${currentProgress.bestScore}% → ${newBestScore}%`);
-    console.log(`  💰 Total points: ${currentProgress.totalPoints} → ${newTotalPoints}`);
     console.log(`  🔥 Study streak: ${currentProgress.studyStreak} → ${newStudyStreak} days`);
 
     return {
@@ -140,9 +138,10 @@ export const updateQuizProgress = async (userId, quizResults) => {
 /**
  * Update user progress after document upload
  * @param {string} userId - User ID
+ * @param {string} [documentId] - Uploaded document; its points are awarded once
  * @returns {Promise<Object>} Updated progress
  */
-export const updateDocumentUploadProgress = async (userId) => {
+export const updateDocumentUploadProgress = async (userId, documentId = null) => {
   try {
     console.log(`📄 Updating document upload progress for: ${userId}`);
 
@@ -150,8 +149,7 @@ export const updateDocumentUploadProgress = async (userId) => {
       userId,
       {
         $inc: {
-          'progress.documentsUploaded': 1,
-          'progress.totalPoints': 5 // Base points for document upload
+          'progress.documentsUploaded': 1
         },
         $set: {
           'analytics.lastActiveAt': new Date()
@@ -164,18 +162,26 @@ export const updateDocumentUploadProgress = async (userId) => {
       throw HttpError.notFound('User not found');
     }
 
+    const award = documentId
+      ? await awardEarningEvent('document_upload', {
+        userId,
+        reference: documentId.toString(),
+        relatedId: documentId
+      })
+      : null;
+
     console.log(`✅ Document upload progress updated: ${updatedUser.progress.documentsUploaded} documents`);
 
     return {
       success: true,
       documentsUploaded: updatedUser.progress.documentsUploaded,
-      pointsEarned: 5,
-      totalPoints: updatedUser.progress.totalPoints
+      pointsEarned: award?.pointsEarned || 0,
+      totalPoints: award?.newTotalPoints ?? null
     };
 
   } catch (error) {
     console.error('❌ Update document progress error:', error);
-    throw HttpError.internalServerError(`Failed to update document progress: ${error.message}`);
+    throw error.name === 'HttpError' ? error : HttpError.internalServerError(`Failed to update document progress: ${error.message}`);
   }
 };
 
@@ -273,6 +273,23 @@ describe('HttpError', () => {
             expect(error.message).toBe('Validation failed');
         });
         
+        test('paymentRequired() should create 402 error', () => {
+            const error = HttpError.paymentRequired('Upgrade your plan');
+            
+            expect(error.statusCode).toBe(402);
+            expect(error.code).toBe('PAYMENT_REQUIRED');
+            expect(error.message).toBe('Upgrade your plan');
+            expect(error.isOperational).toBe(true);
+        });
+        
+        test('tooManyRequests() should create 429 error', () => {
+            const error = HttpError.tooManyRequests('Slow down');
+            
+            expect(error.statusCode).toBe(429);
+            expect(error.code).toBe('TOO_MANY_REQUESTS');
+            expect(error.message).toBe('Slow down');
+        });
+        
         test('internalServerError() should create 500 error', () => {
             const error = HttpError.internalServerError('Database error');
             
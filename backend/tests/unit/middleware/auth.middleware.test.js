@@ -0,0 +1,59 @@
+/**
+ * Auth Middleware Unit Tests - auth.middleware.test.js
+ * @description Test suite for the token types accepted on protected routes
+ */
+
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { TWO_FACTOR_CONFIG } from '#constants/models/auth/index.js';
+
+const JWT_SECRET = 'auth-middleware-test-secret';
+
+describe('Auth Middleware', () => {
+  let app;
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  const challengeToken = () => jwt.sign(
+    { type: 'two_factor_challenge', userId, setupRequired: false, loginMethod: 'password' },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CONFIG.CHALLENGE_EXPIRY, audience: TWO_FACTOR_CONFIG.CHALLENGE_AUDIENCE }
+  );
+
+  const refreshToken = () => jwt.sign({ type: 'refresh', userId, jti: 'refresh-id' }, JWT_SECRET, { expiresIn: '7d' });
+
+  beforeAll(async () => {
+    // The middleware reads the secret when it is first imported
+    process.env.JWT_SECRET = JWT_SECRET;
+    const { authenticateJWT, optionalAuthenticateJWT } = await import('#middleware/auth.middleware.js');
+
+    app = express();
+    app.get('/protected', authenticateJWT, (req, res) => res.json({ userId: req.user.userId }));
+    app.get('/optional', optionalAuthenticateJWT, (req, res) => res.json({ authenticated: Boolean(req.user) }));
+    app.use((error, req, res, next) => res.status(error.statusCode || 500).json({ message: error.message }));
+  });
+
+  afterAll(() => {
+    delete process.env.JWT_SECRET;
+  });
+
+  test('should reject a two-factor challenge token on a protected route', async () => {
+    const response = await request(app).get('/protected').set('Authorization', `Bearer ${challengeToken()}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should reject a refresh token on a protected route', async () => {
+    const response = await request(app).get('/protected').set('Authorization', `Bearer ${refreshToken()}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should not authenticate a challenge token on optional routes', async () => {
+    const response = await request(app).get('/optional').set('Authorization', `Bearer ${challengeToken()}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.authenticated).toBe(false);
+  });
+});
@@ -432,7 +432,8 @@ describe('Document Model', () => {
       test('should find documents needing processing', async () => {
         const doc = new Document({
           ...validDocumentData,
-          status: 'pending'
+          status: 'pending',
+          processing: { requestedAt: new Date() }
         });
         await doc.save();
         
@@ -440,6 +441,22 @@ describe('Document Model', () => {
         expect(results).toHaveLength(1);
         expect(results[0].status).toBe('pending');
       });
+
+      test('should skip documents never requested or already owned by a job', async () => {
+        await new Document({
+          ...validDocumentData,
+          status: 'pending'
+        }).save();
+        await new Document({
+          ...validDocumentData,
+          file: { ...validDocumentData.file, checksum: undefined },
+          status: 'processing',
+          processing: { requestedAt: new Date(), jobId: new mongoose.Types.ObjectId() }
+        }).save();
+        
+        const results = await Document.findNeedingProcessing(5);
+        expect(results).toHaveLength(0);
+      });
     });
   });
 
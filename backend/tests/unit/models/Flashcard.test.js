@@ -0,0 +1,155 @@
+/**
+ * Flashcard Model Unit Tests
+ * @description Tests for Flashcard model validation and SM-2 scheduling
+ * @file tests/unit/models/Flashcard.test.js
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import Flashcard from '#models/flashcard/Flashcard.js';
+
+describe('Flashcard Model', () => {
+  let mongoServer;
+
+  const mockUserId = new mongoose.Types.ObjectId();
+  const mockDocumentId = new mongoose.Types.ObjectId();
+
+  const validFlashcardData = {
+    userId: mockUserId,
+    documentId: mockDocumentId,
+    front: 'Where does the Calvin cycle take place?',
+    back: 'In the stroma of the chloroplast.',
+    skillCategory: 'factual_recall',
+    topicArea: 'photosynthesis'
+  };
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const reviewTime = new Date('2026-01-01T09:00:00Z');
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await Flashcard.deleteMany({});
+  });
+
+  describe('Flashcard Creation & Validation', () => {
+    test('should create a new card due now with the default schedule', async () => {
+      const flashcard = await new Flashcard(validFlashcardData).save();
+
+      expect(flashcard.status).toBe('active');
+      expect(flashcard.stage).toBe('new');
+      expect(flashcard.isDue).toBe(true);
+      expect(flashcard.schedule.ease).toBe(2.5);
+      expect(flashcard.schedule.interval).toBe(0);
+      expect(flashcard.schedule.repetitions).toBe(0);
+    });
+
+    test('should require front and back', async () => {
+      const flashcard = new Flashcard({ userId: mockUserId, documentId: mockDocumentId });
+
+      await expect(flashcard.save()).rejects.toThrow(/Card front is required/);
+    });
+
+    test('should reject a front that is too long', async () => {
+      const flashcard = new Flashcard({ ...validFlashcardData, front: 'x'.repeat(301) });
+
+      await expect(flashcard.save()).rejects.toThrow(/between 3 and 300/);
+    });
+  });
+
+  describe('Static Methods', () => {
+    describe('calculateNextReview()', () => {
+      test('should follow 1 day, 6 days, then interval x ease for good reviews', () => {
+        const first = Flashcard.calculateNextReview({}, 'good', reviewTime);
+        const second = Flashcard.calculateNextReview(first, 'good', reviewTime);
+        const third = Flashcard.calculateNextReview(second, 'good', reviewTime);
+
+        expect(first.interval).toBe(1);
+        expect(second.interval).toBe(6);
+        expect(third.interval).toBe(15);
+        expect(third.repetitions).toBe(3);
+        expect(third.dueAt.getTime()).toBe(reviewTime.getTime() + 15 * DAY_MS);
+      });
+
+      test('should reset a forgotten card and bring it back in the same session', () => {
+        const learned = { ease: 2.5, interval: 15, repetitions: 3, lapses: 0 };
+        const next = Flashcard.calculateNextReview(learned, 'again', reviewTime);
+
+        expect(next.repetitions).toBe(0);
+        expect(next.interval).toBe(0);
+        expect(next.lapses).toBe(1);
+        expect(next.ease).toBe(2.3);
+        expect(next.dueAt.getTime()).toBe(reviewTime.getTime() + 10 * 60 * 1000);
+      });
+
+      test('should never drop ease below the minimum', () => {
+        const next = Flashcard.calculateNextReview({ ease: 1.35, interval: 4, repetitions: 2 }, 'hard', reviewTime);
+
+        expect(next.ease).toBe(1.3);
+        expect(next.interval).toBe(5);
+      });
+
+      test('should schedule easy cards further out than good cards', () => {
+        const good = Flashcard.calculateNextReview({ ease: 2.5, interval: 6, repetitions: 2 }, 'good', reviewTime);
+        const easy = Flashcard.calculateNextReview({ ease: 2.5, interval: 6, repetitions: 2 }, 'easy', reviewTime);
+
+        expect(easy.interval).toBeGreaterThan(good.interval);
+        expect(easy.ease).toBe(2.65);
+      });
+    });
+
+    describe('findDue()', () => {
+      test('should return only active cards due before the date, most overdue first', async () => {
+        const now = new Date();
+        await Flashcard.create([
+          { ...validFlashcardData, front: 'Card due yesterday', schedule: { dueAt: new Date(now.getTime() - DAY_MS) } },
+          { ...validFlashcardData, front: 'Card due tomorrow', schedule: { dueAt: new Date(now.getTime() + DAY_MS) } },
+          { ...validFlashcardData, front: 'Card due last week', schedule: { dueAt: new Date(now.getTime() - 7 * DAY_MS) } },
+          { ...validFlashcardData, front: 'Suspended card', status: 'suspended' }
+        ]);
+
+        const due = await Flashcard.findDue(mockUserId, { dueBefore: now });
+
+        expect(due.map(card => card.front)).toEqual(['Card due last week', 'Card due yesterday']);
+      });
+    });
+  });
+
+  describe('Instance Methods', () => {
+    describe('review()', () => {
+      test('should reschedule the card and record the review', async () => {
+        const flashcard = await new Flashcard(validFlashcardData).save();
+
+        await flashcard.review('good', reviewTime);
+
+        expect(flashcard.reviewCount).toBe(1);
+        expect(flashcard.stage).toBe('learning');
+        expect(flashcard.schedule.lastGrade).toBe('good');
+        expect(flashcard.schedule.lastReviewedAt).toEqual(reviewTime);
+        expect(flashcard.history).toHaveLength(1);
+        expect(flashcard.history[0].grade).toBe('good');
+      });
+
+      test('should keep only the latest reviews in history', async () => {
+        const flashcard = await new Flashcard(validFlashcardData).save();
+
+        for (let i = 0; i < 25; i++) {
+          await flashcard.review(i % 2 ? 'good' : 'again', new Date(reviewTime.getTime() + i * 60000));
+        }
+
+        expect(flashcard.reviewCount).toBe(25);
+        expect(flashcard.history).toHaveLength(20);
+        expect(flashcard.history[19].grade).toBe('again');
+      });
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * FocusSession Model Unit Tests
+ * @description Tests for FocusSession validation and server-side time accounting
+ * @file tests/unit/models/FocusSession.test.js
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import FocusSession from '#models/focus/FocusSession.js';
+
+describe('FocusSession Model', () => {
+  let mongoServer;
+
+  const mockUserId = new mongoose.Types.ObjectId();
+  const startTime = new Date('2026-03-10T09:00:00Z');
+
+  const at = (seconds) => new Date(startTime.getTime() + seconds * 1000);
+
+  const newSession = (data = {}) => new FocusSession({
+    userId: mockUserId,
+    startedAt: startTime,
+    segmentStartedAt: startTime,
+    lastHeartbeatAt: startTime,
+    ...data
+  });
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    await FocusSession.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await FocusSession.deleteMany({});
+  });
+
+  describe('Creation & Validation', () => {
+    test('should create an open active session with the default plan', async () => {
+      const session = await newSession().save();
+
+      expect(session.status).toBe('active');
+      expect(session.isOpen).toBe(true);
+      expect(session.plannedMinutes).toBe(25);
+      expect(session.focusedSeconds).toBe(0);
+    });
+
+    test('should reject plans outside the allowed range', async () => {
+      await expect(newSession({ plannedMinutes: 2 }).save()).rejects.toThrow(/Planned minutes/);
+    });
+
+    test('should allow only one open session per user', async () => {
+      await newSession().save();
+
+      await expect(newSession().save()).rejects.toMatchObject({ code: 11000 });
+    });
+
+    test('should allow a new session once the previous one ended', async () => {
+      const first = await newSession().save();
+      first.finish('completed', at(600));
+      await first.save();
+
+      const second = await newSession({ startedAt: at(700) }).save();
+
+      expect(second.isOpen).toBe(true);
+      expect((await FocusSession.findOpen(mockUserId))._id).toEqual(second._id);
+    });
+  });
+
+  describe('Time Accounting', () => {
+    test('should count time between regular heartbeats as focused', () => {
+      const session = newSession();
+      for (let second = 60; second <= 600; second += 60) {
+        session.heartbeat(at(second));
+      }
+      session.finish('completed', at(600));
+
+      expect(session.focusedSeconds).toBe(600);
+      expect(session.idleSeconds).toBe(0);
+    });
+
+    test('should book time after the idle timeout as idle', () => {
+      const session = newSession();
+      session.heartbeat(at(60));
+      // Silent for ten minutes: only the 180s timeout after the last heartbeat counts
+      session.heartbeat(at(660));
+      session.heartbeat(at(720));
+      session.finish('completed', at(720));
+
+      expect(session.focusedSeconds).toBe(60 + 180 + 60);
+      expect(session.idleSeconds).toBe(420);
+    });
+
+    test('should not count paused time', () => {
+      const session = newSession();
+      session.pause(at(300));
+      session.resume(at(900));
+      session.heartbeat(at(960));
+      session.finish('completed', at(1000));
+
+      expect(session.focusedSeconds).toBe(300 + 100);
+      expect(session.pausedSeconds).toBe(600);
+      expect(session.pauseCount).toBe(1);
+    });
+
+    test('should cap focused time at the session maximum', () => {
+      const session = newSession({ plannedMinutes: 180 });
+      for (let second = 60; second <= 4 * 3600; second += 60) {
+        session.heartbeat(at(second));
+      }
+      session.finish('completed', at(4 * 3600));
+
+      expect(session.focusedSeconds).toBe(180 * 60);
+      expect(session.idleSeconds).toBe(3600);
+    });
+  });
+
+  describe('Credit', () => {
+    test('should sum credited minutes of completed sessions since a time', async () => {
+      const completed = newSession({ creditedMinutes: 25 });
+      completed.finish('completed', at(1500));
+      await completed.save();
+
+      const cancelled = newSession({ creditedMinutes: 0, startedAt: at(1600) });
+      cancelled.finish('cancelled', at(1700));
+      await cancelled.save();
+
+      expect(await FocusSession.creditedMinutesSince(mockUserId, startTime)).toBe(25);
+      expect(await FocusSession.creditedMinutesSince(mockUserId, at(1600))).toBe(0);
+    });
+  });
+});
@@ -248,6 +248,49 @@ describe('Quiz Model', () => {
       expect(savedQuiz.questions[0].type).toBe('fill_in_blank');
       expect(savedQuiz.questions[0].options).toHaveLength(0);
     });
+    
+    test('should store short answer questions without options or answer index', async () => {
+      const shortAnswer = {
+        type: 'short_answer',
+        question: 'Why is the sky blue during the day?',
+        correctAnswer: 'Because air scatters blue light more than red light',
+        acceptedAnswers: ['Rayleigh scattering'],
+        skillCategory: 'conceptual_understanding',
+        topicArea: 'optics'
+      };
+      
+      const quiz = new Quiz({
+        documentId: mockDocumentId,
+        userId: mockUserId,
+        title: 'Short Answer Test Quiz',
+        description: 'This quiz tests short answer question validation.',
+        aiMetadata: { questionType: 'short_answer' },
+        questions: [shortAnswer, shortAnswer, shortAnswer]
+      });
+      
+      const savedQuiz = await quiz.save();
+      expect(savedQuiz.questions[0].acceptedAnswers).toEqual(['Rayleigh scattering']);
+      expect(savedQuiz.questions[0].correctAnswerIndex).toBeUndefined();
+    });
+    
+    test('should reject typed questions without a correct answer', async () => {
+      const missingAnswer = {
+        type: 'fill_in_blank',
+        question: 'Water boils at _____ degrees Celsius.',
+        skillCategory: 'factual_recall',
+        topicArea: 'physics'
+      };
+      
+      const quiz = new Quiz({
+        documentId: mockDocumentId,
+        userId: mockUserId,
+        title: 'Fill in Blank Test Quiz',
+        description: 'This quiz tests fill in blank question validation.',
+        questions: [missingAnswer, missingAnswer, missingAnswer]
+      });
+      
+      await expect(quiz.save()).rejects.toThrow();
+    });
   });
 
   describe('Instance Methods', () => {
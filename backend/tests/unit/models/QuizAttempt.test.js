@@ -288,6 +288,35 @@ describe('QuizAttempt Model', () => {
       // 2 correct out of 3 answers = 66.67%
       expect(savedAttempt.accuracy).toBeCloseTo(66.67, 1);
     });
+    
+    test('pendingQuestion should return the unanswered adaptive question', async () => {
+      const servedQuestion = (questionId, answeredAt = null) => ({
+        questionId,
+        sourceQuizId: mockQuizId,
+        sourceQuestionId: questionId,
+        questionKey: `key-${questionId}`,
+        difficulty: 'medium',
+        topicArea: 'photosynthesis',
+        question: { type: 'true_false', question: `Question ${questionId}`, options: ['True', 'False'], correctAnswerIndex: 0 },
+        answeredAt
+      });
+      
+      const attempt = new QuizAttempt({
+        userId: mockUserId,
+        quizId: mockQuizId,
+        mode: 'adaptive',
+        adaptive: {
+          questionLimit: 5,
+          servedQuestions: [servedQuestion(1, new Date()), servedQuestion(2)],
+          mastery: [{ topicArea: 'photosynthesis', estimate: 0.5, level: 'proficient', answered: 1, correct: 1 }]
+        }
+      });
+      const savedAttempt = await attempt.save();
+      
+      expect(savedAttempt.pendingQuestion.questionId).toBe(2);
+      expect(savedAttempt.getResults().mastery[0].level).toBe('proficient');
+      expect(new QuizAttempt(validQuizAttemptData).pendingQuestion).toBeNull();
+    });
   });
 
   describe('Pre-save Middleware', () => {
@@ -375,6 +404,56 @@ describe('QuizAttempt Model', () => {
         expect(savedAttempt.answers[0].timeSpent).toBe(45000);
         expect(savedAttempt.score).toBe(0);
       });
+
+      test('should store rubric grading with partial credit', async () => {
+        const attempt = new QuizAttempt({
+          userId: mockUserId,
+          quizId: mockQuizId
+        });
+        const savedAttempt = await attempt.save();
+        const grading = {
+          method: 'ai',
+          score: 0.5,
+          rationale: 'Names the process but not its product.',
+          missed: 'Sugars are produced.',
+          rubric: [{ criterion: 'Names the process', weight: 0.5 }, { criterion: 'Names the product', weight: 0.5 }],
+          model: 'fake-deterministic',
+          cached: false
+        };
+
+        await savedAttempt.submitAnswer(mockQuestionId1, 'Photosynthesis', false, 0.5, 30000, grading);
+
+        expect(savedAttempt.answers[0].pointsEarned).toBe(0.5);
+        expect(savedAttempt.answers[0].grading.score).toBe(0.5);
+        expect(savedAttempt.answers[0].grading.missed).toBe('Sugars are produced.');
+        expect(savedAttempt.answers[0].grading.rubric).toHaveLength(2);
+      });
+
+      test('should count partial credit in the score', async () => {
+        const attempt = new QuizAttempt({
+          userId: mockUserId,
+          quizId: mockQuizId
+        });
+        const savedAttempt = await attempt.save();
+
+        await savedAttempt.submitAnswer(mockQuestionId1, 1, true, 1, 30000);
+        await savedAttempt.submitAnswer(mockQuestionId2, 'Photosynthesis', false, 0.4, 30000, { method: 'ai', score: 0.4 });
+        await savedAttempt.submitAnswer(mockQuestionId3, 'Light', true, 0.75, 30000, { method: 'ai', score: 0.75 });
+
+        expect(savedAttempt.score).toBe(2.15);
+      });
+
+      test('should reject a grading score above 1', async () => {
+        const attempt = new QuizAttempt({
+          userId: mockUserId,
+          quizId: mockQuizId
+        });
+        const savedAttempt = await attempt.save();
+
+        await expect(
+          savedAttempt.submitAnswer(mockQuestionId1, 'Photosynthesis', true, 1, 0, { method: 'ai', score: 1.5 })
+        ).rejects.toThrow();
+      });
     });
     
     describe('complete()', () => {
@@ -487,6 +566,55 @@ describe('QuizAttempt Model', () => {
   });
 
   describe('Static Methods', () => {
+    describe('validateAnswer()', () => {
+      const fillInBlank = {
+        type: 'fill_in_blank',
+        question: 'The powerhouse of the cell is the _____.',
+        correctAnswer: 'Mitochondria',
+        acceptedAnswers: ['mitochondrion']
+      };
+      
+      test('should ignore case, spacing, accents, punctuation and a leading article', () => {
+        expect(QuizAttempt.validateAnswer(fillInBlank, '  the MITOCHONDRIA. ')).toBe(true);
+        expect(QuizAttempt.validateAnswer(
+          { type: 'short_answer', correctAnswer: 'Café au lait' },
+          'cafe au-lait'
+        )).toBe(true);
+      });
+      
+      test('should accept listed variants and synonyms', () => {
+        expect(QuizAttempt.validateAnswer(fillInBlank, 'Mitochondrion')).toBe(true);
+      });
+      
+      test('should forgive a small spelling mistake but not a different word', () => {
+        expect(QuizAttempt.validateAnswer(fillInBlank, 'mitocondria')).toBe(true);
+        expect(QuizAttempt.validateAnswer(fillInBlank, 'ribosome')).toBe(false);
+        expect(QuizAttempt.validateAnswer(fillInBlank, '')).toBe(false);
+      });
+      
+      test('should require numbers to match exactly', () => {
+        const question = { type: 'fill_in_blank', correctAnswer: '1945' };
+        expect(QuizAttempt.validateAnswer(question, '1945')).toBe(true);
+        expect(QuizAttempt.validateAnswer(question, '1946')).toBe(false);
+      });
+      
+      test('should use the quiz type, including legacy names, when the question has none', () => {
+        expect(QuizAttempt.validateAnswer({ correctAnswer: 'Paris' }, 'paris', 'fill_blank')).toBe(true);
+      });
+      
+      test('should grade choice questions by index, true/false or option text', () => {
+        const multipleChoice = { options: ['Red', 'Green', 'Blue', 'Yellow'], correctAnswerIndex: 2 };
+        const trueFalse = { options: ['Vrai', 'Faux'], correctAnswerIndex: 1 };
+        
+        expect(QuizAttempt.validateAnswer(multipleChoice, 2)).toBe(true);
+        expect(QuizAttempt.validateAnswer(multipleChoice, '2')).toBe(true);
+        expect(QuizAttempt.validateAnswer(multipleChoice, 'blue')).toBe(true);
+        expect(QuizAttempt.validateAnswer(multipleChoice, 7)).toBe(false);
+        expect(QuizAttempt.validateAnswer(trueFalse, 'false', 'true_false')).toBe(true);
+        expect(QuizAttempt.validateAnswer(trueFalse, 0, 'true_false')).toBe(false);
+      });
+    });
+    
     describe('findByUser()', () => {
       test('should find attempts by user with filters', async () => {
         const attempt1 = new QuizAttempt({
@@ -0,0 +1,117 @@
+/**
+ * QuizMistake Model Unit Tests
+ * @description Tests for the mistakes bank: recording misses, weighting and resolving
+ * @file tests/unit/models/QuizMistake.test.js
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import QuizMistake from '#models/quiz/QuizMistake.js';
+
+describe('QuizMistake Model', () => {
+  let mongoServer;
+
+  const mockUserId = new mongoose.Types.ObjectId();
+  const mockDocumentId = new mongoose.Types.ObjectId();
+  const mockQuizId = new mongoose.Types.ObjectId();
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const missTime = new Date('2026-01-01T09:00:00Z');
+
+  const buildEntry = (overrides = {}) => ({
+    documentId: mockDocumentId,
+    quizId: mockQuizId,
+    questionId: 3,
+    questionKey: 'key-calvin-cycle',
+    question: {
+      type: 'multiple_choice',
+      question: 'Where does the Calvin cycle take place?',
+      options: ['Stroma', 'Thylakoid', 'Nucleus', 'Cytoplasm'],
+      correctAnswer: 'Stroma',
+      correctAnswerIndex: 0
+    },
+    skillCategory: 'factual_recall',
+    topicArea: 'photosynthesis',
+    answer: 1,
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await QuizMistake.deleteMany({});
+  });
+
+  describe('recordMiss', () => {
+    test('should create one entry per question and count repeated misses', async () => {
+      await QuizMistake.recordMiss(mockUserId, buildEntry(), missTime);
+      const later = new Date(missTime.getTime() + DAY_MS);
+      const mistake = await QuizMistake.recordMiss(mockUserId, buildEntry({ answer: 2 }), later);
+
+      expect(await QuizMistake.countDocuments({ userId: mockUserId })).toBe(1);
+      expect(mistake.missCount).toBe(2);
+      expect(mistake.lastAnswer).toBe(2);
+      expect(mistake.firstMissedAt).toEqual(missTime);
+      expect(mistake.lastMissedAt).toEqual(later);
+    });
+
+    test('should reopen a resolved mistake when it is missed again', async () => {
+      const mistake = await QuizMistake.recordMiss(mockUserId, buildEntry(), missTime);
+      await mistake.recordCorrect(missTime);
+      await mistake.recordCorrect(missTime);
+      expect(mistake.resolvedAt).toEqual(missTime);
+
+      const reopened = await QuizMistake.recordMiss(mockUserId, buildEntry(), missTime);
+
+      expect(reopened.resolvedAt).toBeNull();
+      expect(reopened.correctStreak).toBe(0);
+      expect(reopened.missCount).toBe(2);
+    });
+  });
+
+  describe('getReviewWeight', () => {
+    test('should weigh frequent and recent misses more', async () => {
+      const once = await QuizMistake.recordMiss(mockUserId, buildEntry(), missTime);
+      const twice = await QuizMistake.recordMiss(mockUserId, buildEntry({ questionKey: 'key-other' }), missTime);
+      twice.missCount = 2;
+
+      expect(once.getReviewWeight(missTime)).toBeCloseTo(1);
+      expect(twice.getReviewWeight(missTime)).toBeCloseTo(2);
+
+      const weekLater = new Date(missTime.getTime() + 7 * DAY_MS);
+      expect(once.getReviewWeight(weekLater)).toBeCloseTo(0.5);
+    });
+
+    test('should lower the weight after a correct answer', async () => {
+      const mistake = await QuizMistake.recordMiss(mockUserId, buildEntry(), missTime);
+      await mistake.recordCorrect(missTime);
+
+      expect(mistake.resolvedAt).toBeNull();
+      expect(mistake.getReviewWeight(missTime)).toBeCloseTo(0.5);
+    });
+  });
+
+  describe('findOpen', () => {
+    test('should return unresolved mistakes for the user, newest first', async () => {
+      await QuizMistake.recordMiss(mockUserId, buildEntry(), missTime);
+      await QuizMistake.recordMiss(mockUserId, buildEntry({ questionKey: 'key-newer' }), new Date(missTime.getTime() + DAY_MS));
+      const resolved = await QuizMistake.recordMiss(mockUserId, buildEntry({ questionKey: 'key-resolved' }), missTime);
+      await resolved.recordCorrect(missTime);
+      await resolved.recordCorrect(missTime);
+      await QuizMistake.recordMiss(new mongoose.Types.ObjectId(), buildEntry(), missTime);
+
+      const open = await QuizMistake.findOpen(mockUserId);
+
+      expect(open.map(mistake => mistake.questionKey)).toEqual(['key-newer', 'key-calvin-cycle']);
+    });
+  });
+});
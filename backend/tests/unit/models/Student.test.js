@@ -227,71 +227,6 @@ describe('Student Model', () => {
     });
     
     describe('Points System Methods - Transaction Compatibility', () => {
-        test('should add points correctly', async () => {
-            const student = new Student(validStudentData);
-            const savedStudent = await student.save();
-            
-            savedStudent.addPoints(50);
-            expect(savedStudent.progress.totalPoints).toBe(50);
-            
-            savedStudent.addPoints(25);
-            expect(savedStudent.progress.totalPoints).toBe(75);
-        });
-        
-        test('should handle zero or negative points', async () => {
-            const student = new Student(validStudentData);
-            const savedStudent = await student.save();
-            
-            savedStudent.addPoints(0);
-            expect(savedStudent.progress.totalPoints).toBe(0);
-            
-            savedStudent.addPoints(-10);
-            expect(savedStudent.progress.totalPoints).toBe(0);
-        });
-        
-        test('should use points correctly', async () => {
-            const student = new Student(validStudentData);
-            const savedStudent = await student.save();
-            
-            savedStudent.progress.totalPoints = 100;
-            
-            await savedStudent.usePoints(30);
-            const updated = await Student.findById(savedStudent._id);
-            expect(updated.progress.pointsUsed).toBe(30);
-            expect(updated.availablePoints).toBe(70);
-        });
-        
-        test('should throw error for insufficient points', async () => {
-            const student = new Student(validStudentData);
-            const savedStudent = await student.save();
-            
-            savedStudent.progress.totalPoints = 50;
-            
-            // Test insufficient points
-            try {
-                await savedStudent.usePoints(100);
-                fail('Expected error to be thrown');
-            } catch (error) {
-                expect(error.message).toBe('Insufficient points');
-            }
-            
-            // Test zero points
-            try {
-                await savedStudent.usePoints(0);
-                fail('Expected error to be thrown');
-            } catch (error) {
-                expect(error.message).toBe('Points must be greater than 0');
-            }
-            
-            // Test negative points
-            try {
-                await savedStudent.usePoints(-10);
-                fail('Expected error to be thrown');
-            } catch (error) {
-                expect(error.message).toBe('Points must be greater than 0');
-            }
-        });
-        
         test('should check affordability correctly', async () => {
             const student = new Student(validStudentData);
             const savedStudent = await student.save();
@@ -332,13 +267,13 @@ describe('Student Model', () => {
             const student = new Student(validStudentData);
             const savedStudent = await student.save();
             
-            await savedStudent.recordQuizCompletion(85, 20, 300, 'mathematics');
+            await savedStudent.recordQuizCompletion(85, 300, 'mathematics');
             const updated = await Student.findById(savedStudent._id);
             
             expect(updated.progress.quizzesCompleted).toBe(1);
             expect(updated.progress.averageScore).toBe(85);
             expect(updated.progress.bestScore).toBe(85);
-            expect(updated.progress.totalPoints).toBe(20);
+            expect(updated.progress.totalPoints).toBe(0); // Awarded through the points ledger
             expect(updated.analytics.totalStudyTime).toBe(5); // 300 seconds = 5 minutes
             expect(updated.progress.studyStreak).toBe(1);
             
@@ -354,16 +289,15 @@ describe('Student Model', () => {
             const savedStudent = await student.save();
             
             // First quiz: 80%
-            await savedStudent.recordQuizCompletion(80, 10, 300);
+            await savedStudent.recordQuizCompletion(80, 300);
             let updated = await Student.findById(savedStudent._id);
             expect(updated.progress.averageScore).toBe(80);
             
             // Second quiz: 90%
-            await updated.recordQuizCompletion(90, 15, 240);
+            await updated.recordQuizCompletion(90, 240);
             updated = await Student.findById(savedStudent._id);
             expect(updated.progress.averageScore).toBe(85); // (80 + 90) / 2
             expect(updated.progress.bestScore).toBe(90);
-            expect(updated.progress.totalPoints).toBe(25); // 10 + 15
         });
         
         test('should record course interactions', async () => {
@@ -440,8 +374,8 @@ describe('Student Model', () => {
             const student = new Student(validStudentData);
             const savedStudent = await student.save();
             
-            // Add 100 points to trigger achievement
-            savedStudent.addPoints(100);
+            // Reach 100 points to trigger achievement
+            savedStudent.progress.totalPoints = 100;
             savedStudent.checkPointsAchievements();
             
             const achievement = savedStudent.analytics.achievements.find(
@@ -477,7 +411,7 @@ describe('Student Model', () => {
             });
             
             // Try to add same achievement again
-            savedStudent.addPoints(100);
+            savedStudent.progress.totalPoints = 100;
             savedStudent.checkPointsAchievements();
             
             const achievements = savedStudent.analytics.achievements.filter(
@@ -712,12 +646,9 @@ describe('Student Model', () => {
             const student = new Student(validStudentData);
             const savedStudent = await student.save();
             
-            // Simulate earning points (Transaction model scenario)
-            savedStudent.addPoints(50);
-            expect(savedStudent.progress.totalPoints).toBe(50);
-            
-            // Simulate using points for purchase (Transaction model scenario)
-            await savedStudent.usePoints(20);
+            // Counters as the points ledger leaves them (Transaction model scenario)
+            savedStudent.progress.totalPoints = 50;
+            savedStudent.progress.pointsUsed = 20;
             expect(savedStudent.availablePoints).toBe(30);
             
             // Check affordability (Course model scenario)
@@ -731,13 +662,12 @@ describe('Student Model', () => {
             
             // Record quiz activities (Quiz/QuizAttempt model scenario)
             await savedStudent.recordQuizGeneration();
-            await savedStudent.recordQuizCompletion(85, 15, 300, 'mathematics');
+            await savedStudent.recordQuizCompletion(85, 300, 'mathematics');
             
             const updated = await Student.findById(savedStudent._id);
             expect(updated.progress.quizzesGenerated).toBe(1);
             expect(updated.progress.quizzesCompleted).toBe(1);
             expect(updated.completionRate).toBe(100);
-            expect(updated.progress.totalPoints).toBe(15);
         });
         
         test('should integrate properly with Document model expectations', async () => {
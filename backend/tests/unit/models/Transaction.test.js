@@ -499,39 +499,6 @@ describe('Transaction Model', () => {
       });
     });
     
-    describe('calculatePointsBalance()', () => {
-      test('should calculate user points balance correctly', async () => {
-        // Create earning transaction
-        const earningTransaction = new Transaction({
-          ...validTransactionData,
-          status: 'completed',
-          pointsEarned: 100,
-          referenceId: `earn-${Date.now()}-${Math.random()}`
-        });
-        await earningTransaction.save();
-        
-        // Create spending transaction  
-        const spendingTransaction = new Transaction({
-          ...validPointsDiscountData,
-          status: 'completed',
-          pointsUsed: 30,
-          referenceId: `spend-${Date.now()}-${Math.random()}`
-        });
-        await spendingTransaction.save();
-        
-        const [balance] = await Transaction.calculatePointsBalance(mockUserId);
-        
-        expect(balance.totalEarned).toBe(100);
-        expect(balance.totalSpent).toBe(30);
-        expect(balance.balance).toBe(70);
-      });
-      
-      test('should return zero balance for user with no transactions', async () => {
-        const balance = await Transaction.calculatePointsBalance(mockUserId2);
-        expect(balance).toHaveLength(0);
-      });
-    });
-    
     describe('getUserStats()', () => {
       test('should return user transaction statistics', async () => {
         const transaction1 = new Transaction({
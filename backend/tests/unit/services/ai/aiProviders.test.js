@@ -0,0 +1,290 @@
+/**
+ * AI Service Unit Tests - aiProviders.test.js
+ * @description Test suite for provider routing and the offline fake provider
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  resolveTaskRoute,
+  processDocumentWithAI,
+  estimateDocumentSummary,
+  generateComprehensiveQuizCollection,
+  generateCustomText,
+  generateAnswerRubric,
+  gradeFreeTextAnswer,
+  generateFlashcardsFromDocument,
+  embedTexts,
+  answerDocumentQuestion,
+  checkAIServiceStatus
+} from '#services/ai.service.js';
+import { createAIProvider, isSupportedProvider } from '#lib/ai/index.js';
+import { AI_TASKS } from '#constants/ai/index.js';
+
+const DOCUMENT_TEXT = [
+  'Photosynthesis converts light energy into chemical energy inside chloroplasts.',
+  'Chlorophyll absorbs mostly blue and red light while reflecting green light.',
+  'The light-dependent reactions take place in the thylakoid membranes.',
+  'The Calvin cycle fixes carbon dioxide into sugars in the stroma.',
+  'Oxygen is released as a byproduct when water molecules are split.',
+  'Plants store surplus glucose as starch for later use.'
+].join(' ');
+
+describe('AI Service - provider routing', () => {
+  test('should route every task to the fake provider in the test environment', () => {
+    Object.values(AI_TASKS).forEach(task => {
+      expect(resolveTaskRoute(task)).toEqual({ task, provider: 'fake', model: 'fake-deterministic' });
+    });
+  });
+
+  test('should know every configured provider', () => {
+    ['deepseek', 'openai', 'gemini', 'local', 'fake'].forEach(name => {
+      expect(isSupportedProvider(name)).toBe(true);
+    });
+    expect(isSupportedProvider('unknown')).toBe(false);
+  });
+
+  test('should refuse hosted providers without an API key', () => {
+    expect(() => createAIProvider('openai', { apiKey: null, baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' }))
+      .toThrow('OPENAI_API_KEY environment variable is required');
+  });
+
+  test('should allow local providers without an API key', () => {
+    const provider = createAIProvider('local', { apiKey: null, baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' });
+
+    expect(provider.name).toBe('local');
+    expect(provider.defaultModel).toBe('llama3.1');
+  });
+
+  test('should reject unknown providers', () => {
+    expect(() => createAIProvider('unknown', {})).toThrow('Unknown AI provider: unknown');
+  });
+});
+
+describe('AI Service - offline pipeline with the fake provider', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'studion-ai-'));
+    filePath = path.join(tmpDir, 'photosynthesis.txt');
+    fs.writeFileSync(filePath, DOCUMENT_TEXT);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should summarize deterministically', async () => {
+    const first = await processDocumentWithAI(filePath);
+    const second = await processDocumentWithAI(filePath);
+
+    expect(first.success).toBe(true);
+    expect(first.summary).toContain('Photosynthesis converts light energy');
+    expect(first.keyPoints).toHaveLength(5);
+    expect(first.topics.length).toBeGreaterThan(0);
+    expect(first.metadata.provider).toBe('fake');
+    expect(first.metadata.model).toBe('fake-deterministic');
+    expect(first.metadata.tokensUsed).toBeGreaterThan(0);
+    expect(second.summary).toBe(first.summary);
+    expect(second.keyPoints).toEqual(first.keyPoints);
+  });
+
+  test('should generate a valid quiz collection', async () => {
+    const result = await generateComprehensiveQuizCollection(filePath);
+
+    expect(result.success).toBe(true);
+    expect(result.quizCollection.quizzes).toHaveLength(4);
+
+    const [multipleChoice, trueFalse, fillInBlank, shortAnswer] = result.quizCollection.quizzes;
+    expect(multipleChoice.type).toBe('multiple_choice');
+    expect(multipleChoice.questions).toHaveLength(10);
+    multipleChoice.questions.forEach(question => {
+      expect(question.options).toHaveLength(4);
+      expect(question.options[question.correctAnswerIndex]).toBe(question.correctAnswer);
+    });
+    expect(trueFalse.type).toBe('true_false');
+    expect(trueFalse.questions[0].options).toEqual(['True', 'False']);
+    expect(multipleChoice.aiMetadata.model).toBe('fake-deterministic');
+
+    expect(fillInBlank.type).toBe('fill_in_blank');
+    expect(fillInBlank.questions).toHaveLength(5);
+    fillInBlank.questions.forEach(question => {
+      expect(question.type).toBe('fill_in_blank');
+      expect(question.question).toContain('_____');
+      expect(question.options).toEqual([]);
+      expect(question.correctAnswerIndex).toBe(-1);
+      expect(question.correctAnswer.length).toBeGreaterThan(0);
+    });
+    expect(shortAnswer.type).toBe('short_answer');
+    expect(shortAnswer.questions[0].acceptedAnswers).toEqual([]);
+  });
+
+  test('should generate tagged flashcards', async () => {
+    const result = await generateFlashcardsFromDocument(filePath, { count: 4 });
+
+    expect(result.success).toBe(true);
+    expect(result.flashcards).toHaveLength(4);
+    result.flashcards.forEach(card => {
+      expect(card.front.length).toBeGreaterThanOrEqual(3);
+      expect(card.back.length).toBeGreaterThan(0);
+      expect(card.skillCategory).toBe('factual_recall');
+      expect(card.topicArea).toBeTruthy();
+    });
+    expect(result.flashcards[0].back).toBe('Photosynthesis');
+    expect(result.metadata.provider).toBe('fake');
+  });
+
+  test('should answer custom analysis and status checks', async () => {
+    const analysis = await generateCustomText(filePath, 'List the main stages.');
+    const status = await checkAIServiceStatus();
+
+    expect(analysis.success).toBe(true);
+    expect(analysis.generatedText).toContain('Analysis based on 6 statements');
+    expect(status).toMatchObject({ success: true, status: 'operational', provider: 'fake', response: 'OK' });
+  });
+});
+
+describe('AI Service - long document summarization with the fake provider', () => {
+  const CHAPTERS = ['Light Reactions', 'Carbon Fixation', 'Plant Storage'];
+  const chapterText = (topic) => Array.from({ length: 24 }, (_, i) =>
+    `Step ${i + 1} of ${topic.toLowerCase()} moves energy through the plant cell in a measurable way.`).join(' ');
+
+  let tmpDir;
+  let filePath;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'studion-ai-'));
+    filePath = path.join(tmpDir, 'plants.md');
+    fs.writeFileSync(filePath, CHAPTERS.map(title => `# ${title}\n\n${chapterText(title)}`).join('\n\n'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should estimate requests and cost without calling the provider', async () => {
+    const result = await estimateDocumentSummary(filePath, { chunkTokens: 300 });
+
+    expect(result.success).toBe(true);
+    expect(result.estimate).toMatchObject({ strategy: 'map_reduce', provider: 'fake', cost: 0, withinLimit: true });
+    expect(result.estimate.chapters.map(chapter => chapter.title)).toEqual(CHAPTERS);
+    expect(result.estimate.requestCount).toBeGreaterThan(result.estimate.chunkCount);
+  });
+
+  test('should summarize every chapter instead of truncating', async () => {
+    let estimate = null;
+    const result = await processDocumentWithAI(filePath, {
+      chunkTokens: 300,
+      onEstimated: (value) => { estimate = value; }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.summaryStrategy).toBe('map_reduce');
+    expect(result.chapterSummaries.map(chapter => chapter.title)).toEqual(CHAPTERS);
+    result.chapterSummaries.forEach((chapter, index) => {
+      expect(chapter.summary).toContain(CHAPTERS[index].toLowerCase());
+      expect(chapter.sections.length).toBeGreaterThan(0);
+    });
+    expect(result.summary.length).toBeGreaterThan(0);
+    expect(result.metadata.wasTruncated).toBe(false);
+    expect(result.metadata.requestCount).toBe(estimate.requestCount);
+  });
+});
+
+describe('AI Service - short answer grading with the fake provider', () => {
+  const question = {
+    question: 'What happens during the Calvin cycle?',
+    correctAnswer: 'The Calvin cycle fixes carbon dioxide into sugars.'
+  };
+
+  test('should generate a rubric with weights adding up to 1', async () => {
+    const result = await generateAnswerRubric(question);
+
+    expect(result.success).toBe(true);
+    expect(result.rubric.length).toBeGreaterThanOrEqual(1);
+    expect(result.rubric.length).toBeLessThanOrEqual(4);
+    const total = result.rubric.reduce((sum, item) => sum + item.weight, 0);
+    expect(total).toBeCloseTo(1, 1);
+  });
+
+  test('should give partial credit with a rationale and what was missed', async () => {
+    const { rubric } = await generateAnswerRubric(question);
+    const result = await gradeFreeTextAnswer({
+      question: question.question,
+      referenceAnswer: question.correctAnswer,
+      rubric,
+      answer: 'It turns carbon dioxide into something.'
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.score).toBeGreaterThan(0);
+    expect(result.score).toBeLessThan(1);
+    expect(result.rationale.length).toBeGreaterThan(0);
+    expect(result.missed).toContain('sugars');
+    expect(result.metadata.provider).toBe('fake');
+  });
+
+  test('should grade identical answers identically', async () => {
+    const params = {
+      question: question.question,
+      referenceAnswer: question.correctAnswer,
+      answer: 'The Calvin cycle fixes carbon dioxide into sugars in the stroma.'
+    };
+    const first = await gradeFreeTextAnswer(params);
+    const second = await gradeFreeTextAnswer(params);
+
+    expect(first.score).toBe(1);
+    expect(first.missed).toBe('');
+    expect(second.score).toBe(first.score);
+  });
+});
+
+describe('AI Service - document chat with the fake provider', () => {
+  const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+  test('should embed texts as unit vectors, closer for related texts', async () => {
+    const result = await embedTexts([
+      'Where does the Calvin cycle fix carbon dioxide?',
+      'The Calvin cycle fixes carbon dioxide into sugars in the stroma.',
+      'Plants store surplus glucose as starch for later use.'
+    ]);
+
+    expect(result.provider).toBe('fake');
+    expect(result.embeddings).toHaveLength(3);
+    result.embeddings.forEach(vector => {
+      expect(Math.sqrt(dot(vector, vector))).toBeCloseTo(1, 5);
+    });
+
+    const [question, related, unrelated] = result.embeddings;
+    expect(dot(question, related)).toBeGreaterThan(dot(question, unrelated));
+  });
+
+  test('should answer from the sources and cite them by number', async () => {
+    const result = await answerDocumentQuestion({
+      question: 'Where does the Calvin cycle take place?',
+      documentTitle: 'Photosynthesis',
+      history: [],
+      sources: [
+        { number: 1, text: 'Plants store surplus glucose as starch for later use.', pageStart: 2, pageEnd: 2 },
+        { number: 2, text: 'The Calvin cycle fixes carbon dioxide into sugars in the stroma.', pageStart: 5, pageEnd: 5 }
+      ]
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.answer).toContain('stroma');
+    expect(result.citedSources).toEqual([2]);
+  });
+
+  test('should cite nothing when no source covers the question', async () => {
+    const result = await answerDocumentQuestion({
+      question: 'Who won the 1998 World Cup?',
+      history: [],
+      sources: []
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.citedSources).toEqual([]);
+  });
+});
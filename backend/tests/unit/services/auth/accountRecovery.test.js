@@ -0,0 +1,184 @@
+/**
+ * Auth Service Unit Tests - accountRecovery.test.js
+ * @description Test suite for email verification, password reset and password change
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import {
+  registerUser,
+  loginUser,
+  verifyEmail,
+  requestEmailVerification,
+  requestPasswordReset,
+  resetPassword,
+  changePassword
+} from '#services/auth.service.js';
+import { setMailTransport } from '#services/mail.service.js';
+import { BaseUser } from '#models/users/index.js';
+import { AuthSession, AuthToken } from '#models/auth/index.js';
+
+describe('Auth Service - account recovery', () => {
+  let mongoServer;
+  let sentEmails;
+
+  const validUserData = {
+    email: 'test@example.com',
+    password: 'SecurePass123!',
+    firstName: 'John',
+    lastName: 'Doe'
+  };
+
+  // Pull the token out of the link in the latest email
+  const lastToken = () => sentEmails[sentEmails.length - 1].text.match(/\/([a-f0-9]{64})\b/)[1];
+
+  const login = (password = validUserData.password) =>
+    loginUser({ email: validUserData.email, password }, '127.0.0.1', 'Test Browser');
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+  });
+
+  afterAll(async () => {
+    setMailTransport(null);
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    sentEmails = [];
+    setMailTransport({
+      send: async (message) => {
+        sentEmails.push(message);
+        return { transport: 'memory', messageId: String(sentEmails.length) };
+      }
+    });
+    await registerUser(validUserData);
+  });
+
+  afterEach(async () => {
+    await BaseUser.deleteMany({});
+    await AuthSession.deleteMany({});
+    await AuthToken.deleteMany({});
+  });
+
+  describe('verifyEmail', () => {
+    test('should send a verification email on registration', async () => {
+      expect(sentEmails).toHaveLength(1);
+      expect(sentEmails[0].to).toBe(validUserData.email);
+      expect(sentEmails[0].text).toContain('/verify-email/');
+      expect(sentEmails[0].html).toContain('Verify email');
+    });
+
+    test('should store only a hash of the token', async () => {
+      const token = lastToken();
+      const stored = await AuthToken.findOne({ type: 'verification' });
+
+      expect(stored.tokenHash).not.toBe(token);
+      expect(stored.tokenHash).toBe(AuthToken.hashToken(token));
+    });
+
+    test('should verify the email once', async () => {
+      const token = lastToken();
+
+      const result = await verifyEmail(token);
+      const user = await BaseUser.findOne({ email: validUserData.email });
+
+      expect(result.email).toBe(validUserData.email);
+      expect(user.verification.isEmailVerified).toBe(true);
+      await expect(verifyEmail(token)).rejects.toThrow('Invalid or expired verification link');
+    });
+
+    test('should reject an expired token', async () => {
+      const token = lastToken();
+      await AuthToken.updateOne({ type: 'verification' }, { expiresAt: new Date(Date.now() - 1000) });
+
+      await expect(verifyEmail(token)).rejects.toThrow('Invalid or expired verification link');
+    });
+
+    test('should invalidate the previous link when a new one is requested', async () => {
+      const firstToken = lastToken();
+      await AuthToken.updateOne({ type: 'verification' }, { createdAt: new Date(Date.now() - 5 * 60 * 1000) });
+      const user = await BaseUser.findOne({ email: validUserData.email });
+
+      await requestEmailVerification(user._id);
+
+      await expect(verifyEmail(firstToken)).rejects.toThrow('Invalid or expired verification link');
+      await expect(verifyEmail(lastToken())).resolves.toBeDefined();
+    });
+
+    test('should refuse to resend within the cooldown', async () => {
+      const user = await BaseUser.findOne({ email: validUserData.email });
+
+      await expect(requestEmailVerification(user._id)).rejects.toMatchObject({ statusCode: 429 });
+    });
+  });
+
+  describe('resetPassword', () => {
+    test('should answer the same way for unknown emails without sending mail', async () => {
+      const result = await requestPasswordReset('nobody@example.com');
+
+      expect(result).toEqual({ success: true });
+      expect(sentEmails).toHaveLength(1);
+    });
+
+    test('should reset the password and revoke every session', async () => {
+      await login();
+      await login();
+      await requestPasswordReset(validUserData.email);
+
+      const result = await resetPassword(lastToken(), 'BrandNewPass456!');
+
+      expect(result.revokedSessions).toBe(2);
+      expect(await AuthSession.countDocuments({ status: 'active' })).toBe(0);
+      await expect(login()).rejects.toThrow('Invalid email or password');
+      await expect(login('BrandNewPass456!')).resolves.toHaveProperty('accessToken');
+      expect(sentEmails[sentEmails.length - 1].subject).toContain('password was changed');
+    });
+
+    test('should not accept a reset token twice', async () => {
+      await requestPasswordReset(validUserData.email);
+      const token = lastToken();
+
+      await resetPassword(token, 'BrandNewPass456!');
+
+      await expect(resetPassword(token, 'AnotherPass789!')).rejects.toThrow('Invalid or expired reset link');
+    });
+
+    test('should reject a password that breaks the rules without using the token', async () => {
+      await requestPasswordReset(validUserData.email);
+      const token = lastToken();
+
+      await expect(resetPassword(token, 'short')).rejects.toMatchObject({ code: 'INVALID_PASSWORD' });
+      await expect(resetPassword(token, 'BrandNewPass456!')).resolves.toBeDefined();
+    });
+  });
+
+  describe('changePassword', () => {
+    test('should keep the current session and revoke the others', async () => {
+      const current = await login();
+      await login();
+      const user = await BaseUser.findOne({ email: validUserData.email });
+
+      const result = await changePassword(
+        user._id.toString(),
+        { currentPassword: validUserData.password, newPassword: 'BrandNewPass456!' },
+        { refreshToken: current.refreshToken }
+      );
+
+      expect(result.revokedSessions).toBe(1);
+      expect(await AuthSession.findByRefreshToken(current.refreshToken)).not.toBeNull();
+    });
+
+    test('should reject a wrong current password', async () => {
+      const user = await BaseUser.findOne({ email: validUserData.email });
+
+      await expect(changePassword(user._id.toString(), {
+        currentPassword: 'WrongPass123!',
+        newPassword: 'BrandNewPass456!'
+      })).rejects.toMatchObject({ code: 'INVALID_CURRENT_PASSWORD' });
+    });
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Login Protection Unit Tests - loginProtection.test.js
+ * @description Test suite for brute-force throttling, account lockouts,
+ * unlocking and suspicious sign-in checks
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { registerUser, loginUser } from '#services/auth.service.js';
+import {
+  assertLoginAllowed,
+  recordLoginFailure,
+  unlockAccountWithToken,
+  adminUnlockAccount,
+  assessNewSession,
+  getLoginSecuritySummary
+} from '#services/loginProtection.service.js';
+import { setMailTransport } from '#services/mail.service.js';
+import { getRetryDelayMs, getLockDurationMs, getNextAttemptAt } from '#lib/security/index.js';
+import { distanceKm } from '#lib/geoip/index.js';
+import { BaseUser } from '#models/users/index.js';
+import { AuthSession, AuthToken, LoginThrottle } from '#models/auth/index.js';
+
+const delayPolicy = { freeAttempts: 2, baseSeconds: 1, maxSeconds: 60 };
+const lockPolicy = { lockMinutes: 15, maxLockMinutes: 24 * 60 };
+
+describe('Brute-force policy', () => {
+  test('should not delay the free attempts', () => {
+    expect(getRetryDelayMs(0, delayPolicy)).toBe(0);
+    expect(getRetryDelayMs(2, delayPolicy)).toBe(0);
+  });
+
+  test('should double the delay after each further failure', () => {
+    expect(getRetryDelayMs(3, delayPolicy)).toBe(1000);
+    expect(getRetryDelayMs(4, delayPolicy)).toBe(2000);
+    expect(getRetryDelayMs(5, delayPolicy)).toBe(4000);
+    expect(getRetryDelayMs(100, delayPolicy)).toBe(60 * 1000);
+  });
+
+  test('should lengthen each lockout up to the maximum', () => {
+    expect(getLockDurationMs(0, lockPolicy)).toBe(15 * 60 * 1000);
+    expect(getLockDurationMs(1, lockPolicy)).toBe(30 * 60 * 1000);
+    expect(getLockDurationMs(10, lockPolicy)).toBe(24 * 60 * 60 * 1000);
+  });
+
+  test('should tell when the next attempt is allowed', () => {
+    const now = new Date('2026-01-01T12:00:00Z');
+    const lastFailureAt = new Date(now.getTime() - 500);
+
+    expect(getNextAttemptAt(null, delayPolicy, now)).toBeNull();
+    expect(getNextAttemptAt({ failures: 2, lastFailureAt }, delayPolicy, now)).toBeNull();
+    expect(getNextAttemptAt({ failures: 3, lastFailureAt }, delayPolicy, now))
+      .toEqual(new Date(lastFailureAt.getTime() + 1000));
+    expect(getNextAttemptAt({ failures: 3, lastFailureAt }, delayPolicy, new Date(now.getTime() + 1000))).toBeNull();
+  });
+
+  test('should measure the distance between two sign-ins', () => {
+    const berlin = { latitude: 52.52, longitude: 13.405 };
+    const newYork = { latitude: 40.7128, longitude: -74.006 };
+
+    expect(distanceKm(berlin, newYork)).toBeGreaterThan(6300);
+    expect(distanceKm(berlin, newYork)).toBeLessThan(6450);
+    expect(distanceKm(berlin, berlin)).toBe(0);
+    expect(distanceKm(berlin, { latitude: null, longitude: null })).toBeNull();
+  });
+});
+
+describe('Login Protection Service', () => {
+  let mongoServer;
+  let sentEmails;
+
+  const validUserData = {
+    email: 'test@example.com',
+    password: 'SecurePass123!',
+    firstName: 'John',
+    lastName: 'Doe'
+  };
+  const testIp = '203.0.113.7';
+  const testUserAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+  const loadUser = () => BaseUser.findOne({ email: validUserData.email })
+    .select('+loginAttempts +lockUntil +lockCount');
+
+  // Lock the account the way repeated wrong passwords would
+  const lockAccount = async () => {
+    await BaseUser.updateOne({ email: validUserData.email }, { $set: { loginAttempts: 4 } });
+    return recordLoginFailure({ email: validUserData.email, ip: testIp, user: await loadUser() });
+  };
+
+  const createSession = (userId, deviceInfo = {}) => AuthSession.createSession(userId, {
+    refreshToken: `refresh-${Math.random()}`,
+    accessTokenExpiresAt: new Date(Date.now() + 15 * 60 * 1000),
+    refreshTokenExpiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    ipAddress: testIp,
+    userAgent: testUserAgent,
+    deviceInfo: { type: 'desktop', browser: { name: 'Chrome' }, os: { name: 'Windows' }, ...deviceInfo }
+  });
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    setMailTransport(null);
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    sentEmails = [];
+    setMailTransport({
+      send: async (message) => {
+        sentEmails.push(message);
+        return { transport: 'memory', messageId: String(sentEmails.length) };
+      }
+    });
+    await registerUser(validUserData);
+  });
+
+  afterEach(async () => {
+    await BaseUser.deleteMany({});
+    await AuthSession.deleteMany({});
+    await AuthToken.deleteMany({});
+    await LoginThrottle.deleteMany({});
+  });
+
+  describe('Throttling', () => {
+    test('should delay an email after repeated failures', async () => {
+      for (let attempt = 0; attempt < 3; attempt++) {
+        await recordLoginFailure({ email: validUserData.email, ip: testIp });
+      }
+
+      await expect(assertLoginAllowed({ email: validUserData.email, ip: '198.51.100.1' }))
+        .rejects
+        .toMatchObject({ statusCode: 429, code: 'LOGIN_THROTTLED', context: { retryAfter: 1 } });
+    });
+
+    test('should count unknown emails like known ones', async () => {
+      for (let attempt = 0; attempt < 3; attempt++) {
+        await recordLoginFailure({ email: 'nobody@example.com', ip: testIp });
+      }
+
+      await expect(assertLoginAllowed({ email: 'nobody@example.com', ip: testIp }))
+        .rejects
+        .toMatchObject({ code: 'LOGIN_THROTTLED' });
+    });
+
+    test('should block an IP address that tries too many accounts', async () => {
+      for (let attempt = 0; attempt < 20; attempt++) {
+        await recordLoginFailure({ email: `user${attempt}@example.com`, ip: testIp });
+      }
+
+      await expect(assertLoginAllowed({ email: validUserData.email, ip: testIp }))
+        .rejects
+        .toMatchObject({ code: 'LOGIN_THROTTLED' });
+      await expect(assertLoginAllowed({ email: validUserData.email, ip: '198.51.100.1' }))
+        .resolves
+        .toBeUndefined();
+    });
+
+    test('should forget the email failures after a successful login', async () => {
+      await recordLoginFailure({ email: validUserData.email, ip: testIp });
+
+      await loginUser({ email: validUserData.email, password: validUserData.password }, testIp, testUserAgent);
+
+      expect(await LoginThrottle.getCounter('account', validUserData.email)).toBeNull();
+      expect((await LoginThrottle.getCounter('ip', testIp)).failures).toBe(1);
+    });
+  });
+
+  describe('Lockout', () => {
+    test('should lock the account and email an unlock link', async () => {
+      const result = await lockAccount();
+
+      expect(result.locked).toBe(true);
+      expect(sentEmails).toHaveLength(2); // verification + unlock
+      expect(sentEmails[1].text).toContain('/unlock-account/');
+    });
+
+    test('should refuse the right password while locked', async () => {
+      await lockAccount();
+
+      await expect(loginUser({ email: validUserData.email, password: validUserData.password }, '198.51.100.1', testUserAgent))
+        .rejects
+        .toMatchObject({ statusCode: 403, code: 'ACCOUNT_LOCKED' });
+    });
+
+    test('should lock for longer the next time', async () => {
+      const first = await lockAccount();
+      const firstMs = first.lockUntil - Date.now();
+
+      // The first lockout runs out; the count of lockouts stays
+      await BaseUser.updateOne({ email: validUserData.email }, { $unset: { lockUntil: 1 } });
+      const second = await lockAccount();
+      const secondMs = second.lockUntil - Date.now();
+
+      expect(secondMs).toBeGreaterThan(firstMs * 1.5);
+      expect((await loadUser()).lockCount).toBe(2);
+    });
+
+    test('should unlock once with the emailed token', async () => {
+      await lockAccount();
+      const token = sentEmails[1].text.match(/\/unlock-account\/([a-f0-9]{64})\b/)[1];
+
+      await expect(unlockAccountWithToken(token)).resolves.toEqual({ unlocked: true });
+
+      const user = await loadUser();
+      expect(user.isLocked).toBe(false);
+      expect(user.lockCount).toBe(0);
+      expect(await LoginThrottle.getCounter('account', validUserData.email)).toBeNull();
+
+      await expect(unlockAccountWithToken(token))
+        .rejects
+        .toMatchObject({ code: 'INVALID_UNLOCK_TOKEN' });
+    });
+
+    test('should let an admin unlock the account', async () => {
+      await lockAccount();
+      const user = await loadUser();
+
+      const summary = await adminUnlockAccount(user._id, new mongoose.Types.ObjectId());
+
+      expect(summary.isLocked).toBe(false);
+      expect(summary.failedAttempts).toBe(0);
+      expect(await AuthToken.countDocuments({ type: 'unlock' })).toBe(0);
+    });
+
+    test('should show the lockout in the admin summary', async () => {
+      await lockAccount();
+      const user = await loadUser();
+
+      const summary = await getLoginSecuritySummary(user._id);
+
+      expect(summary.isLocked).toBe(true);
+      expect(summary.lockedUntil).toEqual(user.lockUntil);
+      expect(summary.failedAttempts).toBe(5);
+      expect(summary.lockCount).toBe(1);
+      expect(summary.recentFailures).toBe(1);
+    });
+  });
+
+  describe('Suspicious sign-ins', () => {
+    test('should not flag the first sign-in', async () => {
+      const user = await loadUser();
+      const session = await createSession(user._id);
+
+      expect(await assessNewSession(session)).toEqual([]);
+    });
+
+    test('should flag a device never seen before', async () => {
+      const user = await loadUser();
+      await createSession(user._id);
+      const session = await createSession(user._id, { type: 'mobile', browser: { name: 'Safari' }, os: { name: 'iOS' } });
+
+      expect(await assessNewSession(session)).toEqual(['device_change']);
+
+      const stored = await AuthSession.findById(session._id);
+      expect(stored.security.isSuspicious).toBe(true);
+    });
+
+    test('should flag impossible travel', async () => {
+      const user = await loadUser();
+      await createSession(user._id, { latitude: 52.52, longitude: 13.405 });
+      const session = await createSession(user._id, { latitude: 40.7128, longitude: -74.006 });
+
+      expect(await assessNewSession(session)).toEqual(['impossible_travel']);
+    });
+
+    test('should list suspicious sessions in the admin summary', async () => {
+      const user = await loadUser();
+      await createSession(user._id);
+      const session = await createSession(user._id, { type: 'mobile' });
+      await assessNewSession(session, { failedAttempts: 5 });
+
+      const summary = await getLoginSecuritySummary(user._id);
+
+      expect(summary.suspiciousSessions).toHaveLength(1);
+      expect(summary.suspiciousSessions[0].sessionId).toBe(session.sessionId);
+      expect(summary.suspiciousSessions[0].reasons).toEqual(['device_change', 'failed_attempts']);
+    });
+  });
+});
@@ -8,7 +8,7 @@ import { MongoMemoryServer } from 'mongodb-memory-server';
 import jwt from 'jsonwebtoken';
 import { loginUser, registerUser } from '#services/auth.service.js';
 import { BaseUser, Student } from '#models/users/index.js';
-import { AuthSession } from '#models/auth/index.js';
+import { AuthSession, LoginThrottle } from '#models/auth/index.js';
 import { HttpError } from '#exceptions/index.js';
 
 describe('Auth Service - loginUser', () => {
@@ -54,6 +54,7 @@ describe('Auth Service - loginUser', () => {
     // Clean up database after each test
     await BaseUser.deleteMany({});
     await AuthSession.deleteMany({});
+    await LoginThrottle.deleteMany({});
   });
 
   describe('Successful Login', () => {
@@ -175,21 +176,38 @@ describe('Auth Service - loginUser', () => {
         .toThrow('Invalid email or password');
     });
     
-    // Skip these tests as your implementation seems to be different from what we expected
-    // For tests that involve incrementing login attempts and locking account
-    test.skip('should increment login attempts on failed password', async () => {
-      // This test is skipped because the way your service increments login attempts 
-      // seems to be different from what we expected
+    test('should increment login attempts on failed password', async () => {
+      await expect(loginUser({ ...validCredentials, password: 'WrongPassword123!' }, testIp, testUserAgent))
+        .rejects
+        .toThrow('Invalid email or password');
+      
+      const user = await BaseUser.findOne({ email: validUserData.email }).select('+loginAttempts');
+      expect(user.loginAttempts).toBe(1);
     });
     
-    test.skip('should lock account after multiple failed attempts', async () => {
-      // This test is skipped because the way your service locks accounts
-      // seems to be different from what we expected
+    test('should lock account after multiple failed attempts', async () => {
+      // Earlier failures are seeded so the progressive delay does not apply
+      await BaseUser.updateOne({ email: validUserData.email }, { $set: { loginAttempts: 4 } });
+      
+      await expect(loginUser({ ...validCredentials, password: 'WrongPassword123!' }, testIp, testUserAgent))
+        .rejects
+        .toThrow('Invalid email or password');
+      
+      const user = await BaseUser.findOne({ email: validUserData.email }).select('+lockUntil +lockCount');
+      expect(user.isLocked).toBe(true);
+      expect(user.lockCount).toBe(1);
     });
     
-    test.skip('should throw error when account is locked', async () => {
-      // This test is skipped because your service seems to handle locked accounts
-      // differently from what we expected
+    test('should throw error when account is locked', async () => {
+      await BaseUser.updateOne(
+        { email: validUserData.email },
+        { $set: { loginAttempts: 5, lockUntil: new Date(Date.now() + 60 * 60 * 1000) } }
+      );
+      
+      // Even the right password is refused while locked
+      await expect(loginUser(validCredentials, testIp, testUserAgent))
+        .rejects
+        .toMatchObject({ code: 'ACCOUNT_LOCKED' });
     });
     
     test('should throw error when account is inactive', async () => {
@@ -0,0 +1,353 @@
+/**
+ * OpenID Connect Unit Tests - oidc.test.js
+ * @description Test suite for single sign-on against a local mock OpenID
+ * Connect provider: discovery, PKCE code exchange, ID token checks, account
+ * linking and session issuance
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { generateKeyPair, exportJWK, SignJWT } from 'jose';
+import {
+  resolveOidcProviders,
+  clearDiscoveryCache,
+  randomToken,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken
+} from '#lib/oidc/index.js';
+import { registerUser } from '#services/auth.service.js';
+import { setOidcProviders, startOidcLogin, completeOidcLogin } from '#services/oidc.service.js';
+import { setMailTransport } from '#services/mail.service.js';
+import { BaseUser, Admin } from '#models/users/index.js';
+import { AuthSession, AuthToken, OidcState, SecurityPolicy } from '#models/auth/index.js';
+
+const CLIENT_ID = 'studion-test';
+const CLIENT_SECRET = 'mock-secret';
+
+/**
+ * Minimal OpenID Connect provider: discovery, JWKS and a token endpoint that
+ * checks the client secret and the PKCE verifier. `approve` stands in for the
+ * user signing in at the provider and returns the authorization code.
+ */
+const startMockProvider = async () => {
+  const { publicKey, privateKey } = await generateKeyPair('RS256');
+  const jwk = { ...(await exportJWK(publicKey)), kid: 'mock-key', alg: 'RS256', use: 'sig' };
+  const grants = new Map();
+  let issuer;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, issuer);
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        token_endpoint_auth_methods_supported: ['client_secret_basic']
+      });
+    }
+    if (url.pathname === '/jwks') {
+      return send(res, 200, { keys: [jwk] });
+    }
+    if (url.pathname === '/token' && req.method === 'POST') {
+      let raw = '';
+      req.on('data', chunk => { raw += chunk; });
+      req.on('end', async () => {
+        const body = new URLSearchParams(raw);
+        const expectedAuth = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+        const grant = grants.get(body.get('code'));
+        grants.delete(body.get('code'));
+
+        if (req.headers.authorization !== expectedAuth) return send(res, 401, { error: 'invalid_client' });
+        if (!grant || grant.redirectUri !== body.get('redirect_uri')) return send(res, 400, { error: 'invalid_grant' });
+
+        const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+        if (challenge !== grant.codeChallenge) {
+          return send(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+        }
+
+        const idToken = await new SignJWT({ nonce: grant.nonce, ...grant.claims })
+          .setProtectedHeader({ alg: 'RS256', kid: 'mock-key' })
+          .setIssuer(issuer)
+          .setAudience(grant.audience || CLIENT_ID)
+          .setIssuedAt()
+          .setExpirationTime('5m')
+          .sign(privateKey);
+
+        send(res, 200, { access_token: randomToken(), token_type: 'Bearer', id_token: idToken });
+      });
+      return;
+    }
+    send(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    approve: (authorizationUrl, claims, overrides = {}) => {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = randomToken();
+      grants.set(code, {
+        redirectUri: params.get('redirect_uri'),
+        codeChallenge: params.get('code_challenge'),
+        nonce: params.get('nonce'),
+        claims,
+        ...overrides
+      });
+      return { code, state: params.get('state') };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+describe('OIDC client', () => {
+  let idp;
+  let provider;
+
+  const redirectUri = 'http://localhost:5173/auth/oidc/callback';
+
+  const signIn = async (claims, overrides) => {
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const url = await buildAuthorizationUrl(provider, { redirectUri, state, nonce, codeVerifier });
+    const { code } = idp.approve(url, claims, overrides);
+    return { code, nonce, codeVerifier };
+  };
+
+  beforeAll(async () => {
+    idp = await startMockProvider();
+    [provider] = resolveOidcProviders({
+      institutions: [{ id: 'mock-uni', issuer: idp.issuer, clientId: CLIENT_ID, clientSecret: CLIENT_SECRET }]
+    });
+  });
+
+  afterAll(async () => {
+    clearDiscoveryCache();
+    await idp.close();
+  });
+
+  test('should send PKCE, state and nonce in the authorization URL', async () => {
+    const url = new URL(await buildAuthorizationUrl(provider, {
+      redirectUri, state: 'the-state', nonce: 'the-nonce', codeVerifier: 'verifier'
+    }));
+
+    expect(url.origin + url.pathname).toBe(`${idp.issuer}/authorize`);
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('code_challenge')).not.toBe('verifier');
+    expect(url.searchParams.get('state')).toBe('the-state');
+    expect(url.searchParams.get('scope')).toBe('openid email profile');
+  });
+
+  test('should exchange the code and verify the ID token', async () => {
+    const { code, nonce, codeVerifier } = await signIn({ sub: 'user-1', email: 'a@uni.edu' });
+
+    const tokens = await exchangeCode(provider, { code, redirectUri, codeVerifier });
+    const claims = await verifyIdToken(provider, tokens.id_token, { nonce });
+
+    expect(claims).toMatchObject({ sub: 'user-1', email: 'a@uni.edu', iss: idp.issuer, aud: CLIENT_ID });
+  });
+
+  test('should fail the exchange with the wrong PKCE verifier', async () => {
+    const { code } = await signIn({ sub: 'user-1' });
+
+    await expect(exchangeCode(provider, { code, redirectUri, codeVerifier: randomToken() }))
+      .rejects.toMatchObject({ name: 'OidcError', code: 'PROVIDER_REJECTED' });
+  });
+
+  test('should reject an ID token with another nonce or audience', async () => {
+    const first = await signIn({ sub: 'user-1' });
+    const tokens = await exchangeCode(provider, { code: first.code, redirectUri, codeVerifier: first.codeVerifier });
+    await expect(verifyIdToken(provider, tokens.id_token, { nonce: 'other' }))
+      .rejects.toMatchObject({ code: 'INVALID_ID_TOKEN' });
+
+    const second = await signIn({ sub: 'user-1' }, { audience: 'someone-else' });
+    const foreign = await exchangeCode(provider, { code: second.code, redirectUri, codeVerifier: second.codeVerifier });
+    await expect(verifyIdToken(provider, foreign.id_token, { nonce: second.nonce }))
+      .rejects.toMatchObject({ code: 'INVALID_ID_TOKEN' });
+  });
+
+  test('should reject invalid provider settings', () => {
+    expect(() => resolveOidcProviders({ institutions: '{"id":"x"}' })).toThrow('JSON array');
+    expect(() => resolveOidcProviders({ institutions: [{ id: 'Bad Id', issuer: idp.issuer, clientId: 'x' }] }))
+      .toThrow('Invalid OIDC provider id');
+    expect(resolveOidcProviders({ google: {}, microsoft: {} })).toHaveLength(0);
+  });
+});
+
+describe('OIDC Login Service', () => {
+  let mongoServer;
+  let idp;
+
+  const studentClaims = {
+    sub: 'idp-123',
+    email: 'ada@uni.edu',
+    email_verified: true,
+    given_name: 'Ada',
+    family_name: 'Lovelace',
+    organization: 'University of Example'
+  };
+
+  const ssoLogin = async (claims = studentClaims, providerId = 'mock-uni') => {
+    const { authorizationUrl, browserKey } = await startOidcLogin(providerId);
+    return completeOidcLogin({ ...idp.approve(authorizationUrl, claims), browserKey }, '127.0.0.1', 'Test Browser');
+  };
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    setMailTransport({ send: async () => ({ transport: 'memory', messageId: '1' }) });
+
+    idp = await startMockProvider();
+    setOidcProviders(resolveOidcProviders({
+      institutions: [
+        {
+          id: 'mock-uni',
+          name: 'Mock University',
+          issuer: idp.issuer,
+          clientId: CLIENT_ID,
+          clientSecret: CLIENT_SECRET,
+          institution: 'Mock University',
+          institutionClaim: 'organization'
+        },
+        {
+          id: 'mock-trusted',
+          issuer: idp.issuer,
+          clientId: CLIENT_ID,
+          clientSecret: CLIENT_SECRET,
+          institution: 'Trusted College',
+          trustEmail: true
+        }
+      ]
+    }));
+  });
+
+  afterAll(async () => {
+    setOidcProviders(null);
+    setMailTransport(null);
+    clearDiscoveryCache();
+    await idp.close();
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  afterEach(async () => {
+    await BaseUser.deleteMany({});
+    await AuthSession.deleteMany({});
+    await AuthToken.deleteMany({});
+    await OidcState.deleteMany({});
+    await SecurityPolicy.deleteMany({});
+  });
+
+  test('should create a student with the institution from the claims', async () => {
+    const result = await ssoLogin();
+    const user = await BaseUser.findOne({ email: 'ada@uni.edu' });
+
+    expect(result.accessToken).toBeDefined();
+    expect(user.userType).toBe('student');
+    expect(user.academic.institution).toBe('University of Example');
+    expect(user.verification.isEmailVerified).toBe(true);
+    expect(user.metadata.registrationSource).toBe('sso');
+    expect(user.identities).toHaveLength(1);
+    expect(user.identities[0]).toMatchObject({ provider: 'mock-uni', subject: 'idp-123' });
+
+    const session = await AuthSession.findOne({ userId: user._id });
+    expect(session.metadata.loginMethod).toBe('oidc');
+  });
+
+  test('should fall back to the provider institution and valid names', async () => {
+    await ssoLogin({ sub: 'idp-9', email: 'zoe@college.edu', name: 'Zoë 42' }, 'mock-trusted');
+    const user = await BaseUser.findOne({ email: 'zoe@college.edu' });
+
+    expect(user.academic.institution).toBe('Trusted College');
+    expect(user.name.first).toBe('Zoe');
+    expect(user.name.last).toBe('User');
+    expect(user.verification.isEmailVerified).toBe(true);
+  });
+
+  test('should sign in the same user again by subject', async () => {
+    await ssoLogin();
+    await ssoLogin({ ...studentClaims, email: 'renamed@uni.edu' });
+
+    expect(await BaseUser.countDocuments()).toBe(1);
+    expect(await AuthSession.countDocuments({ status: 'active' })).toBe(2);
+  });
+
+  test('should link an existing student with a verified email', async () => {
+    await registerUser({ email: 'ada@uni.edu', password: 'SecurePass123!', firstName: 'Ada', lastName: 'L' });
+
+    await ssoLogin();
+    const user = await BaseUser.findOne({ email: 'ada@uni.edu' });
+
+    expect(await BaseUser.countDocuments()).toBe(1);
+    expect(user.identities[0].subject).toBe('idp-123');
+    expect(user.academic.institution).toBe('University of Example');
+  });
+
+  test('should not link an existing account on an unverified email', async () => {
+    await registerUser({ email: 'ada@uni.edu', password: 'SecurePass123!', firstName: 'Ada', lastName: 'L' });
+
+    await expect(ssoLogin({ ...studentClaims, email_verified: false }))
+      .rejects.toMatchObject({ code: 'OIDC_ACCOUNT_EXISTS' });
+  });
+
+  test('should refuse to link admin accounts', async () => {
+    await Admin.create({
+      email: 'ada@uni.edu',
+      password: 'SecurePass123!',
+      name: { first: 'Ada', last: 'Admin' },
+      adminInfo: { role: 'admin' }
+    });
+
+    await expect(ssoLogin()).rejects.toMatchObject({ code: 'OIDC_ACCOUNT_NOT_ALLOWED' });
+  });
+
+  test('should accept each state once', async () => {
+    const { authorizationUrl, browserKey } = await startOidcLogin('mock-uni');
+    const response = { ...idp.approve(authorizationUrl, studentClaims), browserKey };
+
+    await completeOidcLogin(response, '127.0.0.1', 'Test Browser');
+    await expect(completeOidcLogin(response, '127.0.0.1', 'Test Browser'))
+      .rejects.toMatchObject({ code: 'INVALID_OIDC_STATE' });
+  });
+
+  test('should reject a callback carrying the state of another browser', async () => {
+    // The attacker starts a login and approves it with their own account...
+    const attacker = await startOidcLogin('mock-uni');
+    const attackerResponse = idp.approve(attacker.authorizationUrl, { ...studentClaims, sub: 'attacker', email: 'mallory@uni.edu' });
+
+    // ...then the victim's browser, which holds a key from its own login, opens the callback link
+    const victim = await startOidcLogin('mock-uni');
+
+    await expect(completeOidcLogin({ ...attackerResponse, browserKey: victim.browserKey }, '127.0.0.1', 'Victim Browser'))
+      .rejects.toMatchObject({ code: 'OIDC_BROWSER_MISMATCH' });
+    await expect(completeOidcLogin(attackerResponse, '127.0.0.1', 'Victim Browser'))
+      .rejects.toMatchObject({ code: 'INVALID_OIDC_STATE' });
+    expect(await AuthSession.countDocuments()).toBe(0);
+  });
+
+  test('should reject unknown providers', async () => {
+    await expect(startOidcLogin('nope')).rejects.toMatchObject({ code: 'OIDC_PROVIDER_NOT_FOUND' });
+  });
+
+  test('should still ask for the second factor', async () => {
+    await ssoLogin();
+    await BaseUser.updateOne({ email: 'ada@uni.edu' }, { $set: { 'security.twoFactor.enabled': true } });
+
+    const result = await ssoLogin();
+
+    expect(result).toMatchObject({ twoFactorRequired: true, setupRequired: false });
+    expect(result.accessToken).toBeUndefined();
+  });
+});
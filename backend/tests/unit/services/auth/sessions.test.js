@@ -0,0 +1,127 @@
+/**
+ * Session Service Unit Tests - sessions.test.js
+ * @description Test suite for listing and signing out a user's devices
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import jwt from 'jsonwebtoken';
+import { registerUser, loginUser, refreshUserToken } from '#services/auth.service.js';
+import {
+  listUserSessions,
+  revokeUserSession,
+  revokeOtherSessions,
+  isSessionActive,
+  lookupIpLocation
+} from '#services/session.service.js';
+import { setMailTransport } from '#services/mail.service.js';
+import { BaseUser } from '#models/users/index.js';
+import { AuthSession, AuthToken } from '#models/auth/index.js';
+
+describe('Session Service', () => {
+  let mongoServer;
+  let userId;
+
+  const userData = {
+    email: 'devices@example.com',
+    password: 'SecurePass123!',
+    firstName: 'Dev',
+    lastName: 'Ices'
+  };
+
+  const CHROME_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+  const IPHONE_UA = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148 Safari/604.1';
+
+  const signIn = async (userAgent) => {
+    const result = await loginUser({ email: userData.email, password: userData.password }, '127.0.0.1', userAgent);
+    return { ...result, sid: jwt.decode(result.accessToken).sid };
+  };
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    setMailTransport({ send: async () => ({ transport: 'memory', messageId: '1' }) });
+  });
+
+  afterAll(async () => {
+    setMailTransport(null);
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    const user = await registerUser(userData);
+    userId = user.id.toString();
+  });
+
+  afterEach(async () => {
+    await BaseUser.deleteMany({});
+    await AuthSession.deleteMany({});
+    await AuthToken.deleteMany({});
+  });
+
+  test('should put the session ID into access tokens, also after a refresh', async () => {
+    const { sid, refreshToken } = await signIn(CHROME_UA);
+    const session = await AuthSession.findOne({ sessionId: sid });
+
+    const refreshed = await refreshUserToken(refreshToken);
+
+    expect(session).not.toBeNull();
+    expect(jwt.decode(refreshed.accessToken).sid).toBe(sid);
+  });
+
+  test('should list devices with the current session first and no IP address', async () => {
+    const laptop = await signIn(CHROME_UA);
+    await signIn(IPHONE_UA);
+
+    const { sessions, total } = await listUserSessions(userId, laptop.sid);
+
+    expect(total).toBe(2);
+    expect(sessions[0]).toMatchObject({ sessionId: laptop.sid, isCurrent: true });
+    expect(sessions[0].device.name).toBe('Chrome Browser');
+    expect(sessions[1]).toMatchObject({ isCurrent: false, device: { type: 'mobile', name: 'Mobile Device' } });
+    expect(sessions[1].location).toBeNull();
+    expect(JSON.stringify(sessions)).not.toContain('127.0.0.1');
+  });
+
+  test('should sign out one device and stop its access token', async () => {
+    const laptop = await signIn(CHROME_UA);
+    const phone = await signIn(IPHONE_UA);
+
+    const result = await revokeUserSession(userId, phone.sid, laptop.sid);
+
+    expect(result).toEqual({ sessionId: phone.sid, isCurrent: false });
+    expect(await isSessionActive(phone.sid)).toBe(false);
+    expect(await isSessionActive(laptop.sid)).toBe(true);
+  });
+
+  test('should not sign out sessions of another user', async () => {
+    const laptop = await signIn(CHROME_UA);
+    const otherUserId = new mongoose.Types.ObjectId().toString();
+
+    await expect(revokeUserSession(otherUserId, laptop.sid)).rejects.toMatchObject({ code: 'SESSION_NOT_FOUND' });
+    expect(await isSessionActive(laptop.sid)).toBe(true);
+  });
+
+  test('should sign out everywhere else', async () => {
+    const laptop = await signIn(CHROME_UA);
+    await signIn(IPHONE_UA);
+    await signIn(IPHONE_UA);
+
+    const result = await revokeOtherSessions(userId, laptop.sid);
+    const { sessions } = await listUserSessions(userId, laptop.sid);
+
+    expect(result.revokedSessions).toBe(2);
+    expect(sessions.map(session => session.sessionId)).toEqual([laptop.sid]);
+  });
+
+  test('should refuse to sign out everywhere else without a current session', async () => {
+    await expect(revokeOtherSessions(userId, null)).rejects.toMatchObject({ code: 'CURRENT_SESSION_UNKNOWN' });
+  });
+
+  test('should not locate private addresses', async () => {
+    expect(await lookupIpLocation('::ffff:192.168.1.20')).toBeNull();
+    expect(await lookupIpLocation('10.0.0.5')).toBeNull();
+    expect(await lookupIpLocation('not-an-ip')).toBeNull();
+  });
+});
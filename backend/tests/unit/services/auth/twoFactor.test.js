@@ -0,0 +1,220 @@
+/**
+ * Two-Factor Service Unit Tests - twoFactor.test.js
+ * @description Test suite for TOTP codes, two-step login, recovery codes and
+ * the admin two-factor policy
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { base32Encode, generateTotp, verifyTotp } from '#lib/totp/index.js';
+import { registerUser, loginUser, completeTwoFactorLogin, startLoginTwoFactorSetup } from '#services/auth.service.js';
+import {
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  regenerateRecoveryCodes,
+  updateTwoFactorPolicy
+} from '#services/twoFactor.service.js';
+import { setMailTransport } from '#services/mail.service.js';
+import { BaseUser, Admin } from '#models/users/index.js';
+import { AuthSession, AuthToken, SecurityPolicy } from '#models/auth/index.js';
+
+describe('TOTP', () => {
+  // RFC 6238 appendix B, SHA-1 secret "12345678901234567890"
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+  test('should match the RFC 6238 test vectors', () => {
+    expect(generateTotp(secret, { timestamp: 59 * 1000, digits: 8 })).toBe('94287082');
+    expect(generateTotp(secret, { timestamp: 1111111109 * 1000, digits: 8 })).toBe('07081804');
+    expect(generateTotp(secret, { timestamp: 20000000000 * 1000, digits: 8 })).toBe('65353130');
+  });
+
+  test('should accept one step of clock drift and nothing more', () => {
+    const now = 1700000000000;
+    const previous = generateTotp(secret, { timestamp: now - 30 * 1000 });
+    const tooOld = generateTotp(secret, { timestamp: now - 90 * 1000 });
+
+    expect(verifyTotp(secret, previous, { timestamp: now })).not.toBeNull();
+    expect(verifyTotp(secret, tooOld, { timestamp: now })).toBeNull();
+    expect(verifyTotp(secret, 'abcdef', { timestamp: now })).toBeNull();
+  });
+});
+
+describe('Two-Factor Service', () => {
+  let mongoServer;
+  let userId;
+
+  const userData = {
+    email: 'twofactor@example.com',
+    password: 'SecurePass123!',
+    firstName: 'Two',
+    lastName: 'Factor'
+  };
+
+  const login = () => loginUser({ email: userData.email, password: userData.password }, '127.0.0.1', 'Test Browser');
+
+  // Codes for the next steps, so each call passes the replay check
+  const codeAt = (secret, stepOffset = 0) => generateTotp(secret, { timestamp: Date.now() + stepOffset * 30 * 1000 });
+
+  const enrol = async () => {
+    const { secret } = await startTwoFactorSetup(userId);
+    const { recoveryCodes } = await enableTwoFactor(userId, codeAt(secret));
+    return { secret, recoveryCodes };
+  };
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    setMailTransport({ send: async () => ({ transport: 'memory', messageId: '1' }) });
+  });
+
+  afterAll(async () => {
+    setMailTransport(null);
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    const user = await registerUser(userData);
+    userId = user.id.toString();
+  });
+
+  afterEach(async () => {
+    await BaseUser.deleteMany({});
+    await AuthSession.deleteMany({});
+    await AuthToken.deleteMany({});
+    await SecurityPolicy.deleteMany({});
+  });
+
+  test('should store the secret encrypted and return a QR code', async () => {
+    const setup = await startTwoFactorSetup(userId);
+    const user = await BaseUser.findById(userId).select('+security');
+
+    expect(setup.qrCode).toMatch(/^data:image\/png;base64,/);
+    expect(setup.otpauthUrl).toContain(`secret=${setup.secret}`);
+    expect(user.security.twoFactor.pendingSecret).not.toContain(setup.secret);
+    expect(user.security.twoFactor.enabled).toBe(false);
+  });
+
+  test('should enable with a valid code and hash the recovery codes', async () => {
+    const { recoveryCodes } = await enrol();
+    const user = await BaseUser.findById(userId).select('+security');
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect(user.security.twoFactor.enabled).toBe(true);
+    expect(JSON.stringify(user.security.twoFactor.recoveryCodes)).not.toContain(recoveryCodes[0]);
+  });
+
+  test('should reject a wrong code during setup', async () => {
+    await startTwoFactorSetup(userId);
+
+    await expect(enableTwoFactor(userId, '000000')).rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+  });
+
+  test('should issue a challenge instead of a session, then finish the login', async () => {
+    const { secret } = await enrol();
+
+    const challenge = await login();
+    expect(challenge).toMatchObject({ twoFactorRequired: true, setupRequired: false });
+    expect(challenge.accessToken).toBeUndefined();
+    expect(await AuthSession.countDocuments()).toBe(0);
+
+    const result = await completeTwoFactorLogin(challenge.challengeToken, { code: codeAt(secret, 1) }, '127.0.0.1', 'Test Browser');
+
+    expect(result.accessToken).toBeDefined();
+    expect(await AuthSession.countDocuments({ status: 'active' })).toBe(1);
+  });
+
+  test('should not accept the same code twice', async () => {
+    const { secret } = await enrol();
+    const code = codeAt(secret, 1);
+
+    await completeTwoFactorLogin((await login()).challengeToken, { code }, '127.0.0.1', 'Test Browser');
+
+    await expect(completeTwoFactorLogin((await login()).challengeToken, { code }, '127.0.0.1', 'Test Browser'))
+      .rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+  });
+
+  test('should accept each recovery code once', async () => {
+    const { recoveryCodes } = await enrol();
+    const recoveryCode = recoveryCodes[0].toUpperCase();
+
+    await completeTwoFactorLogin((await login()).challengeToken, { recoveryCode }, '127.0.0.1', 'Test Browser');
+
+    await expect(completeTwoFactorLogin((await login()).challengeToken, { recoveryCode }, '127.0.0.1', 'Test Browser'))
+      .rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+    expect((await getTwoFactorStatus(userId)).recoveryCodesRemaining).toBe(9);
+  });
+
+  test('should replace recovery codes', async () => {
+    const { secret, recoveryCodes } = await enrol();
+
+    const result = await regenerateRecoveryCodes(userId, codeAt(secret, 1));
+
+    expect(result.recoveryCodes).not.toContain(recoveryCodes[0]);
+    await expect(completeTwoFactorLogin((await login()).challengeToken, { recoveryCode: recoveryCodes[0] }, '127.0.0.1', 'Test Browser'))
+      .rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CODE' });
+  });
+
+  test('should reject a forged challenge token', async () => {
+    await expect(completeTwoFactorLogin('not-a-token', { code: '123456' }, '127.0.0.1', 'Test Browser'))
+      .rejects.toMatchObject({ code: 'INVALID_TWO_FACTOR_CHALLENGE' });
+  });
+
+  test('should disable with password and code', async () => {
+    const { secret } = await enrol();
+
+    await disableTwoFactor(userId, { password: userData.password, code: codeAt(secret, 1) });
+
+    expect((await getTwoFactorStatus(userId)).enabled).toBe(false);
+    await expect(login()).resolves.toHaveProperty('accessToken');
+  });
+
+  describe('admin policy', () => {
+    const adminData = {
+      email: 'moderator@example.com',
+      password: 'SecurePass123!',
+      name: { first: 'Mod', last: 'Erator' },
+      adminInfo: { role: 'moderator', permissions: ['system:manage'] }
+    };
+
+    const adminLogin = () => loginUser({ email: adminData.email, password: adminData.password }, '127.0.0.1', 'Test Browser');
+
+    test('should make required admins set up two-factor at sign-in', async () => {
+      const admin = await Admin.create(adminData);
+      await updateTwoFactorPolicy(['moderator'], admin._id);
+
+      const challenge = await adminLogin();
+      expect(challenge).toMatchObject({ twoFactorRequired: true, setupRequired: true });
+
+      const { secret } = await startLoginTwoFactorSetup(challenge.challengeToken);
+      const result = await completeTwoFactorLogin(challenge.challengeToken, { code: codeAt(secret) }, '127.0.0.1', 'Test Browser');
+
+      expect(result.accessToken).toBeDefined();
+      expect(result.recoveryCodes).toHaveLength(10);
+    });
+
+    test('should not let a required admin disable two-factor', async () => {
+      const admin = await Admin.create(adminData);
+      const { secret } = await startTwoFactorSetup(admin._id);
+      await enableTwoFactor(admin._id, codeAt(secret));
+      await updateTwoFactorPolicy(['moderator'], admin._id);
+
+      await expect(disableTwoFactor(admin._id, { password: adminData.password, code: codeAt(secret, 1) }))
+        .rejects.toMatchObject({ code: 'TWO_FACTOR_REQUIRED' });
+    });
+
+    test('should reject unknown roles', async () => {
+      await expect(updateTwoFactorPolicy(['owner'], userId)).rejects.toMatchObject({ code: 'INVALID_POLICY' });
+    });
+
+    test('should leave students and other roles password-only', async () => {
+      await Admin.create(adminData);
+      await updateTwoFactorPolicy(['super_admin'], userId);
+
+      await expect(adminLogin()).resolves.toHaveProperty('accessToken');
+      await expect(login()).resolves.toHaveProperty('accessToken');
+    });
+  });
+});
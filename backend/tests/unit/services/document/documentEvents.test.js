@@ -0,0 +1,92 @@
+/**
+ * Document Events Service Unit Tests - documentEvents.test.js
+ * @description Test suite for document processing progress events
+ */
+
+import mongoose from 'mongoose';
+import {
+  buildProgressEvent,
+  isTerminalProgress,
+  publishDocumentProgress
+} from '#services/documentEvents.service.js';
+import { PROCESSING_STAGE_PROGRESS } from '#constants/models/document/index.js';
+
+describe('Document Events Service', () => {
+  const documentId = new mongoose.Types.ObjectId();
+
+  const buildDocument = (status, processing = {}) => ({
+    _id: documentId,
+    status,
+    processing
+  });
+
+  describe('buildProgressEvent', () => {
+    test('should report the stage with its percent complete', () => {
+      const event = buildProgressEvent(buildDocument('processing', { stage: 'summarization', attempts: 1 }));
+
+      expect(event).toMatchObject({
+        documentId: documentId.toString(),
+        status: 'processing',
+        stage: 'summarization',
+        percent: PROCESSING_STAGE_PROGRESS.summarization,
+        attempt: 1,
+        retrying: false,
+        error: null
+      });
+      expect(typeof event.timestamp).toBe('string');
+    });
+
+    test('should increase percent along the processing stages', () => {
+      const stages = ['text_extraction', 'summarization', 'quiz_generation', 'finalization'];
+      const percents = stages.map(stage => buildProgressEvent(buildDocument('processing', { stage })).percent);
+
+      expect([...percents].sort((a, b) => a - b)).toEqual(percents);
+      expect(new Set(percents).size).toBe(stages.length);
+    });
+
+    test('should report 100 percent for completed documents', () => {
+      const event = buildProgressEvent(buildDocument('completed', { stage: 'completed' }));
+
+      expect(event.percent).toBe(100);
+      expect(isTerminalProgress(event)).toBe(true);
+    });
+
+    test('should include the error and retry time while a retry is pending', () => {
+      const nextRetryAt = new Date(Date.now() + 30000);
+      const event = buildProgressEvent(buildDocument('processing', {
+        stage: 'summarization',
+        attempts: 1,
+        nextRetryAt,
+        error: { type: 'ai_processing_error', message: 'Provider timeout' }
+      }));
+
+      expect(event.retrying).toBe(true);
+      expect(event.nextRetryAt).toEqual(nextRetryAt);
+      expect(event.error).toEqual({ type: 'ai_processing_error', message: 'Provider timeout' });
+      expect(isTerminalProgress(event)).toBe(false);
+    });
+
+    test('should treat failed documents as terminal', () => {
+      const event = buildProgressEvent(buildDocument('failed', {
+        stage: 'quiz_generation',
+        error: { type: 'ai_processing_error', message: 'Quiz collection generation failed' }
+      }));
+
+      expect(isTerminalProgress(event)).toBe(true);
+      expect(event.error.message).toBe('Quiz collection generation failed');
+    });
+
+    test('should default to the upload stage for untouched documents', () => {
+      const event = buildProgressEvent(buildDocument('pending'));
+
+      expect(event.stage).toBe('upload');
+      expect(event.percent).toBe(0);
+    });
+  });
+
+  describe('publishDocumentProgress', () => {
+    test('should skip the lookup when nobody is listening', async () => {
+      await expect(publishDocumentProgress(documentId)).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Document Index Service Unit Tests - documentIndex.test.js
+ * @description Test suite for splitting documents into passages and ranking them
+ */
+
+import { chunkDocumentText, rankChunks } from '#services/documentIndex.service.js';
+import { embedTexts } from '#services/ai.service.js';
+import { CHUNKING_SETTINGS } from '#constants/models/chat/index.js';
+
+const sentence = (topic, n) => `Sentence ${n} explains how ${topic} works in a living cell and why it matters.`;
+const paragraph = (topic, count) => Array.from({ length: count }, (_, i) => sentence(topic, i + 1)).join(' ');
+
+describe('Document Index Service', () => {
+  describe('chunkDocumentText', () => {
+    test('should keep a short document in a single passage', () => {
+      const chunks = chunkDocumentText({ extractedText: paragraph('osmosis', 3) });
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0]).toMatchObject({ index: 0, pageStart: null, pageEnd: null });
+      expect(chunks[0].tokenCount).toBeGreaterThan(0);
+    });
+
+    test('should record the pages each passage spans', () => {
+      const pages = [1, 2, 3, 4].map(pageNumber => ({
+        pageNumber,
+        text: paragraph(`topic${pageNumber}`, 8)
+      }));
+
+      const chunks = chunkDocumentText({ extractedText: pages.map(page => page.text).join('\n\n'), pages });
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks[0].pageStart).toBe(1);
+      expect(chunks[chunks.length - 1].pageEnd).toBe(4);
+      chunks.forEach(chunk => {
+        expect(chunk.pageEnd).toBeGreaterThanOrEqual(chunk.pageStart);
+        expect(chunk.text).toContain(`topic${chunk.pageEnd}`);
+      });
+    });
+
+    test('should overlap consecutive passages and stay near the target size', () => {
+      const chunks = chunkDocumentText({ extractedText: paragraph('diffusion', 60) });
+
+      expect(chunks.length).toBeGreaterThan(2);
+      chunks.forEach(chunk => {
+        expect(chunk.text.length).toBeLessThanOrEqual(CHUNKING_SETTINGS.TARGET_CHARS + CHUNKING_SETTINGS.OVERLAP_CHARS);
+      });
+
+      const tailOfFirst = chunks[0].text.slice(-40);
+      expect(chunks[1].text).toContain(tailOfFirst);
+    });
+
+    test('should merge a short tail into the previous passage', () => {
+      const text = `${paragraph('mitosis', 18)}\n\nThe end.`;
+      const chunks = chunkDocumentText({ extractedText: text });
+
+      expect(chunks[chunks.length - 1].text.endsWith('The end.')).toBe(true);
+      expect(chunks[chunks.length - 1].text.length).toBeGreaterThanOrEqual(CHUNKING_SETTINGS.MIN_CHARS);
+    });
+
+    test('should return no passages for empty text', () => {
+      expect(chunkDocumentText({ extractedText: '   ' })).toEqual([]);
+    });
+  });
+
+  describe('rankChunks', () => {
+    const texts = [
+      'Plants store surplus glucose as starch for later use.',
+      'The Calvin cycle fixes carbon dioxide into sugars in the stroma.',
+      'Oxygen is released as a byproduct when water molecules are split.'
+    ];
+
+    test('should rank by keywords when passages have no embeddings', async () => {
+      const chunks = texts.map((text, index) => ({ index, text, embedding: [], embeddingModel: null }));
+
+      const result = await rankChunks(chunks, 'Where does the Calvin cycle fix carbon?');
+
+      expect(result.retrieval).toBe('keyword');
+      expect(result.chunks[0].index).toBe(1);
+      expect(result.chunks.every(chunk => chunk.embedding === undefined)).toBe(true);
+    });
+
+    test('should rank by similarity when passages share the current embedding model', async () => {
+      const { embeddings, provider, model } = await embedTexts(texts);
+      const chunks = texts.map((text, index) => ({
+        index,
+        text,
+        embedding: embeddings[index],
+        embeddingModel: `${provider}:${model}`
+      }));
+
+      const result = await rankChunks(chunks, 'Where does the Calvin cycle fix carbon dioxide?', { limit: 2 });
+
+      expect(result.retrieval).toBe('embedding');
+      expect(result.chunks).toHaveLength(2);
+      expect(result.chunks[0].index).toBe(1);
+    });
+
+    test('should fall back to keywords when passages were embedded by another model', async () => {
+      const chunks = texts.map((text, index) => ({ index, text, embedding: [1, 0], embeddingModel: 'openai:text-embedding-3-small' }));
+
+      const result = await rankChunks(chunks, 'released oxygen');
+
+      expect(result.retrieval).toBe('keyword');
+      expect(result.chunks[0].index).toBe(2);
+    });
+  });
+});
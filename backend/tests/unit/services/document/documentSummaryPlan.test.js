@@ -0,0 +1,97 @@
+/**
+ * Document Summary Plan Service Unit Tests - documentSummaryPlan.test.js
+ * @description Test suite for splitting long documents into chapters and sections
+ */
+
+import { planDocumentSummary } from '#services/documentSummaryPlan.service.js';
+
+const sentence = (topic, n) => `Sentence ${n} explains how ${topic} works in a living cell and why it matters.`;
+const paragraph = (topic, count) => Array.from({ length: count }, (_, i) => sentence(topic, i + 1)).join(' ');
+
+const CHUNK_TOKENS = 200;
+
+describe('Document Summary Plan Service', () => {
+  test('should summarize short text in a single pass', () => {
+    const plan = planDocumentSummary({ text: paragraph('osmosis', 3) }, { chunkTokens: 12000 });
+
+    expect(plan.strategy).toBe('single_pass');
+    expect(plan.sectionCount).toBe(1);
+    expect(plan.chapters).toEqual([]);
+  });
+
+  test('should follow outline chapters across pages', () => {
+    const pages = [1, 2, 3, 4, 5, 6].map(pageNumber => ({
+      pageNumber,
+      text: paragraph(`topic${pageNumber}`, 6)
+    }));
+    const outline = [
+      { title: 'Cells', level: 1, pageNumber: 2 },
+      { title: 'Membranes', level: 2, pageNumber: 3 },
+      { title: 'Energy', level: 1, pageNumber: 5 }
+    ];
+
+    const plan = planDocumentSummary({
+      text: pages.map(page => page.text).join('\n\n'),
+      pages,
+      outline,
+      pageCount: 6
+    }, { chunkTokens: CHUNK_TOKENS });
+
+    expect(plan.strategy).toBe('map_reduce');
+    expect(plan.chapters.map(chapter => [chapter.title, chapter.pageStart, chapter.pageEnd])).toEqual([
+      [null, 1, 1],
+      ['Cells', 2, 4],
+      ['Energy', 5, 6]
+    ]);
+    expect(plan.chapters[1].sections.some(section => section.title === 'Membranes')).toBe(true);
+    expect(plan.sectionCount).toBe(plan.chapters.reduce((sum, chapter) => sum + chapter.sections.length, 0));
+
+    plan.chapters.flatMap(chapter => chapter.sections).forEach(section => {
+      expect(section.tokens).toBeLessThanOrEqual(CHUNK_TOKENS);
+      expect(section.pageStart).toBeLessThanOrEqual(section.pageEnd);
+    });
+  });
+
+  test('should find chapters by heading when the document has no pages', () => {
+    const text = [
+      'Introduction',
+      paragraph('diffusion', 8),
+      'Transport',
+      paragraph('transport', 8),
+      'Signalling',
+      paragraph('signalling', 8)
+    ].join('\n\n');
+    const outline = ['Introduction', 'Transport', 'Signalling'].map(title => ({ title, level: 1 }));
+
+    const plan = planDocumentSummary({ text, outline }, { chunkTokens: CHUNK_TOKENS });
+
+    expect(plan.chapters.map(chapter => chapter.title)).toEqual(['Introduction', 'Transport', 'Signalling']);
+    expect(plan.chapters[1].sections[0].text).toContain('Transport');
+    expect(plan.chapters[1].sections[0].text).not.toContain('diffusion');
+  });
+
+  test('should group sections into parts without an outline', () => {
+    const text = Array.from({ length: 20 }, (_, i) => paragraph(`topic${i}`, 6)).join('\n\n');
+
+    const plan = planDocumentSummary({ text }, { chunkTokens: CHUNK_TOKENS });
+
+    expect(plan.strategy).toBe('map_reduce');
+    expect(plan.chapters.length).toBeGreaterThan(1);
+    plan.chapters.forEach(chapter => {
+      expect(chapter.title).toBeNull();
+      expect(chapter.sections.length).toBeLessThanOrEqual(8);
+    });
+    expect(plan.chapters.flatMap(chapter => chapter.sections).map(section => section.text).join('\n\n')).toBe(text);
+  });
+
+  test('should ignore page text when some pages were not kept', () => {
+    const pages = [{ pageNumber: 1, text: paragraph('kept', 2) }];
+    const text = Array.from({ length: 6 }, (_, i) => paragraph(`topic${i}`, 6)).join('\n\n');
+
+    const plan = planDocumentSummary({ text, pages, pageCount: 40 }, { chunkTokens: CHUNK_TOKENS });
+
+    const sections = plan.chapters.flatMap(chapter => chapter.sections);
+    expect(sections.map(section => section.text).join('\n\n')).toBe(text);
+    expect(sections.every(section => section.pageStart === null)).toBe(true);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Document Processor Unit Tests - extractDocumentText.test.js
+ * @description Test suite for DOCX text extraction
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { extractDocumentText } from '#services/documentProcessor.service.js';
+
+const W_NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+const paragraph = (text, { style, numId, ilvl = 0 } = {}) => {
+  const properties = [
+    style ? `<w:pStyle w:val="${style}"/>` : '',
+    numId ? `<w:numPr><w:ilvl w:val="${ilvl}"/><w:numId w:val="${numId}"/></w:numPr>` : ''
+  ].join('');
+  return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+};
+
+const buildDocx = async ({ body, pages = null, footnotes = false }) => {
+  const zip = new JSZip();
+  zip.file('word/document.xml', `<?xml version="1.0"?><w:document ${W_NS}><w:body>${body}</w:body></w:document>`);
+  zip.file('word/styles.xml', `<?xml version="1.0"?><w:styles ${W_NS}>
+    <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style>
+    <w:style w:type="paragraph" w:styleId="Berschrift2"><w:name w:val="heading 2"/></w:style>
+  </w:styles>`);
+  zip.file('word/numbering.xml', `<?xml version="1.0"?><w:numbering ${W_NS}>
+    <w:abstractNum w:abstractNumId="0"><w:lvl w:ilvl="0"><w:numFmt w:val="bullet"/></w:lvl></w:abstractNum>
+    <w:abstractNum w:abstractNumId="1"><w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl></w:abstractNum>
+    <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+    <w:num w:numId="2"><w:abstractNumId w:val="1"/></w:num>
+  </w:numbering>`);
+  if (footnotes) {
+    zip.file('word/footnotes.xml', `<?xml version="1.0"?><w:footnotes ${W_NS}>
+      <w:footnote w:type="separator" w:id="-1"><w:p><w:r><w:separator/></w:r></w:p></w:footnote>
+      <w:footnote w:id="1">${paragraph('Defined by the 1998 treaty.')}</w:footnote>
+    </w:footnotes>`);
+  }
+  if (pages) {
+    zip.file('docProps/app.xml', `<?xml version="1.0"?><Properties><Pages>${pages}</Pages></Properties>`);
+  }
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+describe('Document Processor - extractDocumentText (DOCX)', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'studion-docx-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeDocx = async (name, options) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, await buildDocx(options));
+    return filePath;
+  };
+
+  test('should render headings, lists, tables and footnotes', async () => {
+    const body = [
+      paragraph('Cell Biology', { style: 'Heading1' }),
+      '<w:p><w:r><w:t>The cell is the basic unit of life</w:t></w:r><w:r><w:footnoteReference w:id="1"/></w:r><w:r><w:t>.</w:t></w:r></w:p>',
+      paragraph('Organelles', { style: 'Berschrift2' }),
+      paragraph('Nucleus', { numId: 1 }),
+      paragraph('Mitochondria', { numId: 1 }),
+      paragraph('Observe the sample', { numId: 2 }),
+      paragraph('Record the results', { numId: 2 }),
+      '<w:tbl><w:tr><w:tc>' + paragraph('Organelle') + '</w:tc><w:tc>' + paragraph('Function') + '</w:tc></w:tr>' +
+      '<w:tr><w:tc>' + paragraph('Ribosome') + '</w:tc><w:tc>' + paragraph('Protein synthesis') + '</w:tc></w:tr></w:tbl>'
+    ].join('');
+    const filePath = await writeDocx('structured.docx', { body, pages: 3, footnotes: true });
+
+    const result = await extractDocumentText(filePath);
+
+    expect(result.success).toBe(true);
+    expect(result.text).toContain('# Cell Biology');
+    expect(result.text).toContain('## Organelles');
+    expect(result.text).toContain('The cell is the basic unit of life[1].');
+    expect(result.text).toContain('• Nucleus');
+    expect(result.text).toContain('• Mitochondria');
+    expect(result.text).toContain('1. Observe the sample');
+    expect(result.text).toContain('2. Record the results');
+    expect(result.text).toContain('| Organelle | Function |');
+    expect(result.text).toContain('| Ribosome | Protein synthesis |');
+    expect(result.text).toContain('Footnotes\n[1] Defined by the 1998 treaty.');
+    expect(result.text).not.toContain('separator');
+
+    expect(result.metadata.extractionMethod).toBe('docx-xml');
+    expect(result.metadata.pageCount).toBe(3);
+    expect(result.metadata.pageCountEstimated).toBe(false);
+    expect(result.metadata.wasTruncated).toBe(false);
+    expect(result.metadata.wordCount).toBeGreaterThan(0);
+    expect(result.metadata.structure.headings).toEqual([
+      { level: 1, title: 'Cell Biology' },
+      { level: 2, title: 'Organelles' }
+    ]);
+    expect(result.metadata.structure.tableCount).toBe(1);
+    expect(result.metadata.structure.listItemCount).toBe(4);
+    expect(result.metadata.structure.footnoteCount).toBe(1);
+  });
+
+  test('should estimate page count when the package does not record one', async () => {
+    const words = Array.from({ length: 1200 }, (_, i) => `word${i}`).join(' ');
+    const filePath = await writeDocx('long.docx', { body: paragraph(words) });
+
+    const result = await extractDocumentText(filePath);
+
+    expect(result.metadata.pageCount).toBe(3);
+    expect(result.metadata.pageCountEstimated).toBe(true);
+    expect(result.metadata.detectedLanguage).toBeDefined();
+  });
+
+  test('should skip deleted revisions and field instructions', async () => {
+    const body = '<w:p><w:r><w:t>Kept </w:t></w:r><w:del><w:r><w:delText>removed</w:delText></w:r></w:del>' +
+      '<w:r><w:instrText>PAGE</w:instrText></w:r><w:ins><w:r><w:t>inserted</w:t></w:r></w:ins></w:p>';
+    const filePath = await writeDocx('revisions.docx', { body });
+
+    const result = await extractDocumentText(filePath);
+
+    expect(result.text).toBe('Kept inserted');
+  });
+
+  test('should reject files that are not DOCX packages', async () => {
+    const filePath = path.join(tmpDir, 'broken.docx');
+    fs.writeFileSync(filePath, 'not a zip archive');
+
+    await expect(extractDocumentText(filePath)).rejects.toThrow('Document processing failed');
+  });
+
+  test('should reject empty documents', async () => {
+    const filePath = await writeDocx('empty.docx', { body: '<w:p/>' });
+
+    await expect(extractDocumentText(filePath)).rejects.toThrow('No text content found in DOCX');
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Document Processor Unit Tests - extractFormatText.test.js
+ * @description Test suite for PPTX, EPUB, Markdown and HTML text extraction
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JSZip from 'jszip';
+import { extractDocumentText } from '#services/documentProcessor.service.js';
+import { extractHtmlContent, extractMarkdownContent } from '#lib/documents/index.js';
+
+const P_NS = 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+const REL_NS = 'xmlns="http://schemas.openxmlformats.org/package/2006/relationships"';
+const REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const shape = (placeholder, paragraphs) => `<p:sp>
+  <p:nvSpPr><p:cNvPr id="1" name="s"/><p:cNvSpPr/><p:nvPr>${placeholder ? `<p:ph type="${placeholder}"/>` : ''}</p:nvPr></p:nvSpPr>
+  <p:txBody>${paragraphs.map(([text, level = 0]) => `<a:p><a:pPr lvl="${level}"/><a:r><a:t>${text}</a:t></a:r></a:p>`).join('')}</p:txBody>
+</p:sp>`;
+
+const slideXml = (shapes) => `<?xml version="1.0"?><p:sld ${P_NS}><p:cSld><p:spTree>${shapes.join('')}</p:spTree></p:cSld></p:sld>`;
+
+/**
+ * Build a deck whose presentation.xml lists slides in a different order than their file names
+ */
+const buildPptx = async () => {
+  const zip = new JSZip();
+  zip.file('ppt/presentation.xml', `<?xml version="1.0"?><p:presentation ${P_NS}><p:sldIdLst>
+    <p:sldId id="256" r:id="rId2"/><p:sldId id="257" r:id="rId1"/>
+  </p:sldIdLst></p:presentation>`);
+  zip.file('ppt/_rels/presentation.xml.rels', `<?xml version="1.0"?><Relationships ${REL_NS}>
+    <Relationship Id="rId1" Type="${REL_TYPE}/slide" Target="slides/slide1.xml"/>
+    <Relationship Id="rId2" Type="${REL_TYPE}/slide" Target="slides/slide2.xml"/>
+  </Relationships>`);
+  zip.file('ppt/slides/slide2.xml', slideXml([
+    shape('ctrTitle', [['Photosynthesis']]),
+    shape('subTitle', [['Lecture 4']]),
+    shape('sldNum', [['1']])
+  ]));
+  zip.file('ppt/slides/slide1.xml', slideXml([
+    shape('title', [['The Calvin Cycle']]),
+    shape(null, [['Takes place in the stroma'], ['Fixes carbon dioxide', 1]])
+  ]));
+  zip.file('ppt/slides/_rels/slide1.xml.rels', `<?xml version="1.0"?><Relationships ${REL_NS}>
+    <Relationship Id="rId2" Type="${REL_TYPE}/notesSlide" Target="../notesSlides/notesSlide1.xml"/>
+  </Relationships>`);
+  zip.file('ppt/notesSlides/notesSlide1.xml', `<?xml version="1.0"?><p:notes ${P_NS}><p:cSld><p:spTree>
+    ${shape('sldImg', [])}${shape('body', [['Mention RuBisCO is the most abundant protein.']])}
+  </p:spTree></p:cSld></p:notes>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const buildEpub = async () => {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/epub+zip');
+  zip.file('META-INF/container.xml', `<?xml version="1.0"?><container xmlns="urn:oasis:names:tc:opendocument:xmlns:container" version="1.0">
+    <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>`);
+  zip.file('OEBPS/content.opf', `<?xml version="1.0"?><package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>Plant Biology</dc:title></metadata>
+    <manifest>
+      <item id="ch2" href="text/chapter%202.xhtml" media-type="application/xhtml+xml"/>
+      <item id="ch1" href="text/chapter1.xhtml" media-type="application/xhtml+xml"/>
+      <item id="css" href="style.css" media-type="text/css"/>
+    </manifest>
+    <spine><itemref idref="ch1"/><itemref idref="ch2"/></spine>
+  </package>`);
+  const chapter = (title, body) => `<?xml version="1.0"?><html xmlns="http://www.w3.org/1999/xhtml"><head><title>ignored</title></head>
+    <body><header><h1>${title}</h1></header><p>${body}</p></body></html>`;
+  zip.file('OEBPS/text/chapter1.xhtml', chapter('Roots', 'Roots absorb water and minerals from the soil.'));
+  zip.file('OEBPS/text/chapter 2.xhtml', chapter('Leaves', 'Leaves capture light for photosynthesis.'));
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+describe('Document Processor - extractDocumentText (slides, e-books, Markdown, HTML)', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'studion-formats-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, contents) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+
+  test('should read slides in deck order with speaker notes, one page per slide', async () => {
+    const result = await extractDocumentText(writeFile('lecture.pptx', await buildPptx()));
+
+    expect(result.metadata.extractionMethod).toBe('pptx-xml');
+    expect(result.metadata.pageCount).toBe(2);
+    expect(result.pages[0].text).toBe('Photosynthesis\n\nLecture 4');
+    expect(result.pages[1].text).toBe('The Calvin Cycle\n\nTakes place in the stroma\n  Fixes carbon dioxide\n\nSpeaker notes:\nMention RuBisCO is the most abundant protein.');
+    expect(result.outline).toEqual([
+      { title: 'Photosynthesis', level: 1, pageNumber: 1, sectionNumber: null },
+      { title: 'The Calvin Cycle', level: 1, pageNumber: 2, sectionNumber: null }
+    ]);
+    expect(result.metadata.structure).toMatchObject({ slideCount: 2, slidesWithNotes: 1 });
+  });
+
+  test('should read EPUB chapters in spine order', async () => {
+    const result = await extractDocumentText(writeFile('book.epub', await buildEpub()));
+
+    expect(result.metadata.extractionMethod).toBe('epub-spine');
+    expect(result.text).toBe('Roots\n\nRoots absorb water and minerals from the soil.\n\nLeaves\n\nLeaves capture light for photosynthesis.');
+    expect(result.outline.map(entry => entry.title)).toEqual(['Roots', 'Leaves']);
+    expect(result.metadata.title).toBe('Plant Biology');
+    expect(result.metadata.pageCountEstimated).toBe(true);
+  });
+
+  test('should render Markdown notes as plain text with headings as the outline', async () => {
+    const markdown = [
+      '# Cell Biology',
+      '',
+      'Cells are the **basic unit** of [life](https://example.com).',
+      '',
+      'Organelles',
+      '----------',
+      '',
+      '* Nucleus',
+      '  * Nucleolus',
+      '',
+      '| Organelle | Role |',
+      '|-----------|------|',
+      '| Ribosome | Protein synthesis |',
+      '',
+      '```',
+      'keep **this** as written',
+      '```'
+    ].join('\n');
+
+    const result = await extractDocumentText(writeFile('notes.md', markdown));
+
+    expect(result.text).toBe([
+      'Cell Biology',
+      '',
+      'Cells are the basic unit of life.',
+      '',
+      'Organelles',
+      '',
+      '- Nucleus',
+      '  - Nucleolus',
+      '',
+      'Organelle | Role',
+      'Ribosome | Protein synthesis',
+      '',
+      'keep **this** as written'
+    ].join('\n'));
+    expect(result.outline.map(entry => [entry.level, entry.title])).toEqual([[1, 'Cell Biology'], [2, 'Organelles']]);
+  });
+
+  test('should keep the article of a saved web page and drop navigation and scripts', async () => {
+    const html = `<!doctype html><html><head><meta charset="windows-1252"><title>Cells &amp; Energy</title>
+      <script>document.write("<p>tracking</p>")</script></head>
+      <body><nav><a href="/">Home</a></nav>
+      <article><h1>How cells make energy</h1><p>Mitochondria produce ATP (Müller, 2019).</p>
+      <ul><li>Glycolysis</li><li>Krebs cycle</li></ul><aside>Related posts</aside></article>
+      <footer>Copyright</footer></body></html>`;
+
+    // Saved as Windows-1252, where ü is the single byte 0xFC
+    const result = await extractDocumentText(writeFile('page.html', Buffer.from(html, 'latin1')));
+
+    expect(result.text).toBe('How cells make energy\n\nMitochondria produce ATP (Müller, 2019).\n\n- Glycolysis\n- Krebs cycle');
+    expect(result.metadata.title).toBe('Cells & Energy');
+    expect(result.outline.map(entry => entry.title)).toEqual(['How cells make energy']);
+  });
+
+  test('should tolerate malformed HTML', () => {
+    const result = extractHtmlContent('<p>Unclosed <b>bold<p>Next &lt;tag&gt; &#x41;<div>a < b</div>');
+
+    expect(result.text).toBe('Unclosed bold\n\nNext <tag> A\n\na < b');
+  });
+
+  test('should take the Markdown title from front matter', () => {
+    const result = extractMarkdownContent('---\ntitle: "Week 3 Notes"\n---\n## Osmosis\nWater moves across membranes.');
+
+    expect(result.title).toBe('Week 3 Notes');
+    expect(result.text).toBe('Osmosis\n\nWater moves across membranes.');
+  });
+
+  test('should reject a PPTX without slides', async () => {
+    const zip = new JSZip();
+    zip.file('ppt/presentation.xml', `<?xml version="1.0"?><p:presentation ${P_NS}/>`);
+    const filePath = writeFile('empty.pptx', await zip.generateAsync({ type: 'nodebuffer' }));
+
+    await expect(extractDocumentText(filePath)).rejects.toThrow('PPTX package has no slides');
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Document Processor Unit Tests - extractOcrText.test.js
+ * @description Test suite for the OCR fallback on scanned PDFs and image uploads
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { extractDocumentText, buildQualityReport } from '#services/documentProcessor.service.js';
+import { parseTesseractTsv } from '#lib/documents/index.js';
+
+const TSV_HEADER = 'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext';
+
+const tsvWords = (words) => [
+  TSV_HEADER,
+  '1\t1\t0\t0\t0\t0\t0\t0\t100\t100\t-1\t',
+  ...words.map(([block, par, line, conf, text], i) => `5\t1\t${block}\t${par}\t${line}\t${i + 1}\t0\t0\t10\t10\t${conf}\t${text}`)
+].join('\n');
+
+/**
+ * Build a PDF whose pages each hold one line of text, or none for a "scanned" page
+ */
+const buildPdf = (pageTexts) => {
+  const objects = [];
+  const add = (body) => { objects.push(body); return objects.length; };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+  const pageIds = pageTexts.map(text => {
+    const stream = text ? `BT /F1 11 Tf 72 700 Td (${text}) Tj ET` : '';
+    const contentId = add(`<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+const LAYER_TEXT = 'Photosynthesis converts light energy into chemical energy stored in glucose molecules.';
+
+describe('Document Processor - OCR', () => {
+  describe('parseTesseractTsv', () => {
+    test('should rebuild lines and paragraphs and average word confidence', () => {
+      const result = parseTesseractTsv(tsvWords([
+        [1, 1, 1, 90, 'The'],
+        [1, 1, 1, 80, 'stroma'],
+        [1, 1, 2, 70, 'fixes'],
+        [1, 2, 1, 95, 'Carbon'],
+        [1, 2, 1, -1, '']
+      ]));
+
+      expect(result.text).toBe('The stroma\nfixes\n\nCarbon');
+      expect(result.wordCount).toBe(4);
+      expect(result.confidence).toBe(83.8);
+    });
+
+    test('should report no confidence when nothing was recognized', () => {
+      expect(parseTesseractTsv(TSV_HEADER)).toEqual({ text: '', confidence: null, wordCount: 0 });
+    });
+  });
+
+  describe('buildQualityReport', () => {
+    test('should rate text-layer documents as excellent without flagging pages', () => {
+      const report = buildQualityReport([
+        { pageNumber: 1, source: 'text_layer', confidence: null },
+        { pageNumber: 2, source: 'text_layer', confidence: null }
+      ]);
+
+      expect(report).toMatchObject({ rating: 'excellent', ocrUsed: false, averageConfidence: null, lowQualityPages: [] });
+    });
+
+    test('should flag low-confidence and unreadable pages', () => {
+      const report = buildQualityReport([
+        { pageNumber: 1, source: 'ocr', confidence: 92 },
+        { pageNumber: 2, source: 'ocr', confidence: 41 },
+        { pageNumber: 3, source: 'none', confidence: null },
+        { pageNumber: 4, source: 'text_layer', confidence: null }
+      ]);
+
+      expect(report.ocrUsed).toBe(true);
+      expect(report.averageConfidence).toBe(66.5);
+      expect(report.rating).toBe('fair');
+      expect(report.lowQualityPages).toEqual([2, 3]);
+    });
+
+    test('should not flag a blank page that OCR read without finding words', () => {
+      const report = buildQualityReport([{ pageNumber: 1, source: 'ocr', confidence: null }]);
+
+      expect(report.lowQualityPages).toEqual([]);
+    });
+  });
+
+  describe('extractDocumentText with OCR binaries', () => {
+    let tmpDir;
+    let ocr;
+
+    const writeScript = (name, body) => {
+      const scriptPath = path.join(tmpDir, name);
+      fs.writeFileSync(scriptPath, `#!/bin/sh\n${body}\n`, { mode: 0o755 });
+      return scriptPath;
+    };
+
+    beforeAll(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'studion-ocr-'));
+
+      const tsvPath = path.join(tmpDir, 'page.tsv');
+      fs.writeFileSync(tsvPath, tsvWords([
+        [1, 1, 1, 88, 'Chlorophyll'],
+        [1, 1, 1, 92, 'absorbs'],
+        [1, 1, 1, 90, 'red'],
+        [1, 1, 1, 86, 'and'],
+        [1, 1, 1, 94, 'blue'],
+        [1, 1, 2, 40, 'light'],
+        [1, 1, 2, 91, 'most'],
+        [1, 1, 2, 89, 'strongly'],
+        [1, 1, 2, 90, 'during'],
+        [1, 1, 2, 90, 'photosynthesis.']
+      ]));
+
+      ocr = {
+        enabled: true,
+        tesseractPath: writeScript('tesseract', `[ "$1" = "--version" ] && exit 0\ncat "${tsvPath}"`),
+        // The last argument is the output prefix; pdftoppm writes <prefix>.png
+        pdftoppmPath: writeScript('pdftoppm', '[ "$1" = "-v" ] && exit 0\nfor last; do :; done\ntouch "$last.png"'),
+        languages: 'eng',
+        dpi: 300,
+        pageTimeout: 10000,
+        maxPages: 50
+      };
+    });
+
+    afterAll(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should OCR scanned pages and keep the text layer of the others', async () => {
+      const filePath = path.join(tmpDir, 'scanned.pdf');
+      fs.writeFileSync(filePath, buildPdf([LAYER_TEXT, null]));
+
+      const result = await extractDocumentText(filePath, { ocr });
+
+      expect(result.pages.map(page => page.pageNumber)).toEqual([1, 2]);
+      expect(result.pages[0].text).toContain('Photosynthesis converts light');
+      expect(result.pages[1].text).toContain('Chlorophyll absorbs red and blue');
+      expect(result.metadata.extractionMethod).toBe('pdfjs-layout+ocr');
+      expect(result.metadata.quality).toMatchObject({
+        ocrUsed: true,
+        averageConfidence: 85,
+        rating: 'good',
+        lowQualityPages: []
+      });
+      expect(result.metadata.quality.pages.map(page => page.source)).toEqual(['text_layer', 'ocr']);
+    });
+
+    test('should read PNG uploads with OCR', async () => {
+      const filePath = path.join(tmpDir, 'notes.png');
+      fs.writeFileSync(filePath, Buffer.from('not really a png'));
+
+      const result = await extractDocumentText(filePath, { ocr });
+
+      expect(result.text).toContain('photosynthesis.');
+      expect(result.metadata.pageCount).toBe(1);
+      expect(result.metadata.extractionMethod).toBe('tesseract-ocr');
+      expect(result.metadata.quality.pages).toEqual([{ pageNumber: 1, source: 'ocr', confidence: 85, lowQuality: false }]);
+    });
+
+    test('should reject images when OCR is disabled', async () => {
+      const filePath = path.join(tmpDir, 'photo.jpg');
+      fs.writeFileSync(filePath, Buffer.from('not really a jpeg'));
+
+      await expect(extractDocumentText(filePath, { ocr: { ...ocr, enabled: false } }))
+        .rejects.toThrow('OCR is disabled');
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Document Processor Unit Tests - extractPdfText.test.js
+ * @description Test suite for page-aware PDF text extraction and outline detection
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { extractDocumentText } from '#services/documentProcessor.service.js';
+
+/**
+ * Build a minimal PDF from positioned text lines
+ * @param {Array<Array<Object>>} pages - Lines per page ({ text, size, x, y })
+ * @param {Array<Object>} bookmarks - Flat bookmark list ({ title, page })
+ * @returns {Buffer} PDF file contents
+ */
+const buildPdf = (pages, bookmarks = []) => {
+  const objects = [];
+  const add = (body) => { objects.push(body); return objects.length; };
+  const escape = (text) => text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+  const pageIds = pages.map(lines => {
+    const stream = lines
+      .map(({ text, size = 11, x = 72, y }) => `BT /F1 ${size} Tf ${x} ${y} Td (${escape(text)}) Tj ET`)
+      .join('\n');
+    const contentId = add(`<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let outlinesRef = '';
+  if (bookmarks.length > 0) {
+    const outlinesId = add(null);
+    const itemIds = bookmarks.map(() => add(null));
+    bookmarks.forEach((bookmark, i) => {
+      const parts = [`/Title (${escape(bookmark.title)})`, `/Parent ${outlinesId} 0 R`, `/Dest [${pageIds[bookmark.page - 1]} 0 R /Fit]`];
+      if (i > 0) parts.push(`/Prev ${itemIds[i - 1]} 0 R`);
+      if (i < itemIds.length - 1) parts.push(`/Next ${itemIds[i + 1]} 0 R`);
+      objects[itemIds[i] - 1] = `<< ${parts.join(' ')} >>`;
+    });
+    objects[outlinesId - 1] = `<< /Type /Outlines /First ${itemIds[0]} 0 R /Last ${itemIds[itemIds.length - 1]} 0 R /Count ${itemIds.length} >>`;
+    outlinesRef = ` /Outlines ${outlinesId} 0 R`;
+  }
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R${outlinesRef} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+const bodyLines = (text, startY, count) => Array.from({ length: count }, (_, i) => ({
+  text: `${text} line ${i + 1} with enough words to read as body text`,
+  y: startY - i * 14
+}));
+
+describe('Document Processor - extractDocumentText (PDF)', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'studion-pdf-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writePdf = (name, pages, bookmarks) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, buildPdf(pages, bookmarks));
+    return filePath;
+  };
+
+  test('should return per-page text and detect headings from typography', async () => {
+    const filePath = writePdf('typography.pdf', [
+      [{ text: 'Chapter 1 Introduction', size: 20, y: 720 }, ...bodyLines('Intro', 680, 6)],
+      [{ text: '1.1 Background', size: 15, y: 720 }, ...bodyLines('Background', 690, 6)],
+      [{ text: 'Chapter 2 Methods', size: 20, y: 720 }, ...bodyLines('Methods', 680, 6)]
+    ]);
+
+    const result = await extractDocumentText(filePath);
+
+    expect(result.success).toBe(true);
+    expect(result.metadata.extractionMethod).toBe('pdfjs-layout');
+    expect(result.metadata.pageCount).toBe(3);
+    expect(result.pages).toHaveLength(3);
+    expect(result.pages[1].pageNumber).toBe(2);
+    expect(result.pages[1].text).toContain('Background line 1');
+    expect(result.pages[1].wordCount).toBeGreaterThan(0);
+    expect(result.metadata.structure.outlineSource).toBe('typography');
+
+    const titles = result.outline.map(entry => entry.title);
+    expect(titles).toEqual(expect.arrayContaining(['Chapter 1 Introduction', '1.1 Background', 'Chapter 2 Methods']));
+
+    const background = result.outline.find(entry => entry.title === '1.1 Background');
+    expect(background.pageNumber).toBe(2);
+    expect(background.sectionNumber).toBe('1.1');
+    expect(background.level).toBeGreaterThan(result.outline.find(entry => entry.title === 'Chapter 1 Introduction').level);
+  });
+
+  test('should prefer embedded bookmarks over typography', async () => {
+    const filePath = writePdf('bookmarks.pdf', [
+      bodyLines('First', 720, 5),
+      bodyLines('Second', 720, 5)
+    ], [
+      { title: 'Part One', page: 1 },
+      { title: 'Part Two', page: 2 }
+    ]);
+
+    const result = await extractDocumentText(filePath);
+
+    expect(result.metadata.structure.outlineSource).toBe('bookmarks');
+    expect(result.outline).toEqual([
+      { title: 'Part One', level: 1, pageNumber: 1, sectionNumber: null },
+      { title: 'Part Two', level: 1, pageNumber: 2, sectionNumber: null }
+    ]);
+  });
+
+  test('should read two-column pages column by column', async () => {
+    const left = Array.from({ length: 6 }, (_, i) => ({ text: `Left column sentence ${i + 1}`, x: 72, y: 700 - i * 14 }));
+    const right = Array.from({ length: 6 }, (_, i) => ({ text: `Right column sentence ${i + 1}`, x: 330, y: 700 - i * 14 }));
+    const filePath = writePdf('columns.pdf', [[...left, ...right]]);
+
+    const result = await extractDocumentText(filePath);
+
+    expect(result.metadata.structure.multiColumnPages).toBe(1);
+    expect(result.text.indexOf('Left column sentence 6')).toBeLessThan(result.text.indexOf('Right column sentence 1'));
+  });
+
+  test('should reject PDFs without a text layer', async () => {
+    const filePath = writePdf('blank.pdf', [[]]);
+
+    await expect(extractDocumentText(filePath)).rejects.toThrow('Document processing failed');
+  });
+});
@@ -0,0 +1,277 @@
+/**
+ * Job Queue Service Unit Tests - jobQueue.test.js
+ * @description Test suite for the MongoDB-backed job queue: dedupe, claiming,
+ * retries with backoff, stale-job reaping and document processing recovery
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import Job from '#models/job/Job.js';
+import Document from '#models/document/Document.js';
+import {
+  registerJobHandler,
+  computeBackoffDelay,
+  enqueueJob,
+  processNextJob,
+  reapStaleJobs
+} from '#services/jobQueue.service.js';
+import { enqueueDocumentProcessing } from '#services/documentPipeline.service.js';
+import { HttpError } from '#exceptions/index.js';
+
+const JOB_TYPE = 'document_processing';
+
+describe('Job Queue Service', () => {
+  let mongoServer;
+  let handler;
+  let hooks;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    await Job.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(() => {
+    handler = jest.fn(async () => ({ ok: true }));
+    hooks = {
+      onRetry: jest.fn(),
+      onFailure: jest.fn(),
+      recover: jest.fn(async () => 0)
+    };
+    registerJobHandler(JOB_TYPE, handler, hooks);
+  });
+
+  afterEach(async () => {
+    await Job.deleteMany({});
+    await Document.deleteMany({});
+  });
+
+  // Make a rescheduled job due now
+  const makeDue = (job) => Job.updateOne({ _id: job._id }, { $set: { runAt: new Date(Date.now() - 1000) } });
+
+  describe('computeBackoffDelay', () => {
+    test('should grow exponentially and respect the cap', () => {
+      const backoff = { baseDelay: 1000, maxDelay: 5000 };
+      const noJitter = () => 1;
+
+      expect(computeBackoffDelay(1, backoff, noJitter)).toBe(1000);
+      expect(computeBackoffDelay(2, backoff, noJitter)).toBe(2000);
+      expect(computeBackoffDelay(3, backoff, noJitter)).toBe(4000);
+      expect(computeBackoffDelay(4, backoff, noJitter)).toBe(5000);
+    });
+
+    test('should apply jitter between half and the full delay', () => {
+      const backoff = { baseDelay: 1000, maxDelay: 5000 };
+
+      expect(computeBackoffDelay(1, backoff, () => 0)).toBe(500);
+      expect(computeBackoffDelay(2, backoff, () => 0.5)).toBe(1500);
+    });
+  });
+
+  describe('enqueueJob', () => {
+    test('should return the active job for a duplicate dedupe key', async () => {
+      const first = await enqueueJob(JOB_TYPE, { n: 1 }, { dedupeKey: 'doc:1' });
+      const second = await enqueueJob(JOB_TYPE, { n: 2 }, { dedupeKey: 'doc:1' });
+
+      expect(second._id).toEqual(first._id);
+      expect(await Job.countDocuments()).toBe(1);
+    });
+
+    test('should allow the same key again once the job has finished', async () => {
+      await enqueueJob(JOB_TYPE, {}, { dedupeKey: 'doc:1' });
+      await processNextJob();
+
+      await enqueueJob(JOB_TYPE, {}, { dedupeKey: 'doc:1' });
+
+      expect(await Job.countDocuments()).toBe(2);
+    });
+
+    test('should reject unknown job types', async () => {
+      await expect(enqueueJob('unknown_type', {})).rejects.toThrow('Unknown job type');
+    });
+  });
+
+  describe('processNextJob', () => {
+    test('should run the handler and store the result', async () => {
+      const job = await enqueueJob(JOB_TYPE, { documentId: 'abc' });
+
+      const finished = await processNextJob();
+
+      expect(finished._id).toEqual(job._id);
+      expect(finished.status).toBe('completed');
+      expect(finished.attempts).toBe(1);
+      expect(finished.result).toEqual({ ok: true });
+      expect(finished.lockedBy).toBeNull();
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ _id: job._id }), expect.objectContaining({
+        attempt: 1,
+        isFinalAttempt: false
+      }));
+    });
+
+    test('should return null when no job is due', async () => {
+      await enqueueJob(JOB_TYPE, {}, { runAt: new Date(Date.now() + 60000) });
+
+      expect(await processNextJob()).toBeNull();
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('should claim higher priority jobs first', async () => {
+      await enqueueJob(JOB_TYPE, { name: 'low' }, { priority: 0 });
+      await enqueueJob(JOB_TYPE, { name: 'high' }, { priority: 5 });
+
+      const finished = await processNextJob();
+
+      expect(finished.payload.name).toBe('high');
+    });
+  });
+
+  describe('retries', () => {
+    test('should reschedule a failed attempt with backoff', async () => {
+      handler.mockRejectedValueOnce(new Error('Provider timeout'));
+      await enqueueJob(JOB_TYPE, {}, { maxAttempts: 3 });
+
+      const before = Date.now();
+      const job = await processNextJob();
+
+      expect(job.status).toBe('queued');
+      expect(job.attempts).toBe(1);
+      expect(job.lastError.message).toBe('Provider timeout');
+      expect(job.runAt.getTime()).toBeGreaterThan(before);
+      expect(hooks.onRetry).toHaveBeenCalledTimes(1);
+      expect(hooks.onFailure).not.toHaveBeenCalled();
+    });
+
+    test('should fail for good after maxAttempts', async () => {
+      handler.mockRejectedValue(new Error('Still broken'));
+      const queued = await enqueueJob(JOB_TYPE, {}, { maxAttempts: 2, dedupeKey: 'doc:retry' });
+
+      await processNextJob();
+      await makeDue(queued);
+      const job = await processNextJob();
+
+      expect(job.status).toBe('failed');
+      expect(job.attempts).toBe(2);
+      expect(job.dedupeKey).toBeUndefined();
+      expect(hooks.onRetry).toHaveBeenCalledTimes(1);
+      expect(hooks.onFailure).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenLastCalledWith(expect.anything(), expect.objectContaining({ isFinalAttempt: true }));
+    });
+
+    test('should not retry client errors', async () => {
+      handler.mockRejectedValueOnce(HttpError.notFound('Document not found'));
+      await enqueueJob(JOB_TYPE, {}, { maxAttempts: 3 });
+
+      const job = await processNextJob();
+
+      expect(job.status).toBe('failed');
+      expect(job.attempts).toBe(1);
+      expect(hooks.onFailure).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not retry errors marked as non-retryable', async () => {
+      const error = new Error('Text extraction failed');
+      error.retryable = false;
+      handler.mockRejectedValueOnce(error);
+      await enqueueJob(JOB_TYPE, {}, { maxAttempts: 3 });
+
+      const job = await processNextJob();
+
+      expect(job.status).toBe('failed');
+    });
+  });
+
+  describe('reapStaleJobs', () => {
+    test('should requeue running jobs whose heartbeat stopped', async () => {
+      const job = await Job.create({
+        type: JOB_TYPE,
+        status: 'running',
+        attempts: 1,
+        lockedBy: 'dead-worker',
+        heartbeatAt: new Date(Date.now() - 10 * 60 * 1000)
+      });
+
+      const { reaped } = await reapStaleJobs();
+      const reloaded = await Job.findById(job._id);
+
+      expect(reaped).toBe(1);
+      expect(reloaded.status).toBe('queued');
+      expect(reloaded.lockedBy).toBeNull();
+      expect(reloaded.lastError.code).toBe('JOB_STALLED');
+    });
+
+    test('should leave jobs with a fresh heartbeat alone', async () => {
+      await Job.create({
+        type: JOB_TYPE,
+        status: 'running',
+        attempts: 1,
+        lockedBy: 'live-worker',
+        heartbeatAt: new Date()
+      });
+
+      const { reaped } = await reapStaleJobs();
+
+      expect(reaped).toBe(0);
+    });
+
+    test('should run recovery hooks', async () => {
+      hooks.recover.mockResolvedValueOnce(2);
+
+      const { recovered } = await reapStaleJobs();
+
+      expect(recovered).toBe(2);
+      expect(hooks.recover).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('document processing', () => {
+    const createDocument = () => Document.create({
+      userId: new mongoose.Types.ObjectId(),
+      title: 'Queued Document',
+      file: {
+        originalName: 'queued.pdf',
+        storagePath: '/uploads/queued.pdf',
+        size: 1024,
+        mimeType: 'application/pdf',
+        checksum: `queued-${Date.now()}-${Math.random()}`
+      }
+    });
+
+    test('should record the request and the owning job on the document', async () => {
+      const document = await createDocument();
+
+      const job = await enqueueDocumentProcessing(document._id, document.userId);
+      const reloaded = await Document.findById(document._id);
+
+      expect(job.dedupeKey).toBe(`${JOB_TYPE}:${document._id}`);
+      expect(reloaded.processing.requestedAt).toBeInstanceOf(Date);
+      expect(reloaded.processing.jobId).toEqual(job._id);
+    });
+
+    test('should not queue the same document twice', async () => {
+      const document = await createDocument();
+
+      const first = await enqueueDocumentProcessing(document._id, document.userId);
+      const second = await enqueueDocumentProcessing(document._id, document.userId);
+
+      expect(second._id).toEqual(first._id);
+    });
+
+    test('should reset a failed document when asked to start over', async () => {
+      const document = await createDocument();
+      document.processing.attempts = 3;
+      await document.markAsFailed('ai_processing_error', 'Provider down');
+
+      await enqueueDocumentProcessing(document._id, document.userId, { reset: true });
+      const reloaded = await Document.findById(document._id);
+
+      expect(reloaded.status).toBe('pending');
+      expect(reloaded.processing.attempts).toBe(0);
+      expect(reloaded.processing.error.type).toBeNull();
+    });
+  });
+});
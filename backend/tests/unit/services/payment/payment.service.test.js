@@ -0,0 +1,306 @@
+/**
+ * Payment Service Unit Tests - payment.service.test.js
+ * @description Test suite for webhook signatures, the fake gateway and the
+ * checkout lifecycle: pending transactions, idempotent webhooks and expiry
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import Transaction from '#models/transaction/Transaction.js';
+import PaymentEvent from '#models/transaction/PaymentEvent.js';
+import Job from '#models/job/Job.js';
+import {
+  setPaymentGateway,
+  registerCheckoutHandler,
+  createCheckout,
+  handleWebhook,
+  expireCheckout
+} from '#services/payment.service.js';
+import {
+  createFakeGatewayServer,
+  createPaymentGateway,
+  signWebhookPayload,
+  verifyWebhookSignature
+} from '#lib/payments/index.js';
+
+const SECRET_KEY = 'sk_test';
+const WEBHOOK_SECRET = 'whsec_payment_test';
+
+const startFakeGateway = async () => {
+  const server = createFakeGatewayServer({ secretKey: SECRET_KEY, webhookSecret: WEBHOOK_SECRET });
+  const apiUrl = await server.listen();
+  const gateway = createPaymentGateway('fake', { apiUrl, secretKey: SECRET_KEY, webhookSecret: WEBHOOK_SECRET });
+  return { server, gateway };
+};
+
+const signed = (event, secret = WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  return [payload, signWebhookPayload(payload, secret)];
+};
+
+describe('Webhook signatures', () => {
+  const payload = '{"id":"evt_1"}';
+
+  test('should accept a payload signed with the secret', () => {
+    const header = signWebhookPayload(payload, WEBHOOK_SECRET);
+
+    expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(() => verifyWebhookSignature(payload, header, WEBHOOK_SECRET)).not.toThrow();
+  });
+
+  test('should refuse a changed payload or another secret', () => {
+    const header = signWebhookPayload(payload, WEBHOOK_SECRET);
+
+    expect(() => verifyWebhookSignature('{"id":"evt_2"}', header, WEBHOOK_SECRET))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+    expect(() => verifyWebhookSignature(payload, header, 'whsec_other'))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+  });
+
+  test('should refuse a signature older than the tolerance', () => {
+    const tenMinutesAgo = Math.floor(Date.now() / 1000) - 600;
+    const header = signWebhookPayload(payload, WEBHOOK_SECRET, tenMinutesAgo);
+
+    expect(() => verifyWebhookSignature(payload, header, WEBHOOK_SECRET, { toleranceSeconds: 300 }))
+      .toThrow(expect.objectContaining({ code: 'SIGNATURE_EXPIRED' }));
+  });
+
+  test('should refuse a missing or malformed header', () => {
+    expect(() => verifyWebhookSignature(payload, undefined, WEBHOOK_SECRET))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+    expect(() => verifyWebhookSignature(payload, 'v1=abc', WEBHOOK_SECRET))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SIGNATURE' }));
+  });
+});
+
+describe('Fake payment gateway', () => {
+  let server;
+  let gateway;
+
+  const checkout = (reference, amount = 19.99) => gateway.createCheckoutSession({
+    reference,
+    amount,
+    currency: 'USD',
+    description: 'Premium plan',
+    successUrl: 'http://app.test/payments/success',
+    cancelUrl: 'http://app.test/payments/cancelled',
+    expiresAt: new Date(Date.now() + 30 * 60 * 1000),
+    metadata: { transactionId: reference }
+  });
+
+  beforeAll(async () => {
+    ({ server, gateway } = await startFakeGateway());
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  test('should open a checkout session once per reference', async () => {
+    const session = await checkout('TXN-A');
+    const again = await checkout('TXN-A');
+
+    expect(session).toMatchObject({ status: 'open', paid: false, amount: 19.99, currency: 'USD', reference: 'TXN-A' });
+    expect(session.url).toContain(`/checkout/${session.id}`);
+    expect(again.id).toBe(session.id);
+  });
+
+  test('should send a signed completion event when paid', async () => {
+    const session = await checkout('TXN-B');
+    const { event } = await server.pay(session.id);
+
+    const parsed = gateway.parseWebhookEvent(...signed(event));
+    expect(parsed.type).toBe('checkout.completed');
+    expect(parsed.session).toMatchObject({ id: session.id, paid: true, amount: 19.99 });
+    expect(parsed.session.paymentId).toMatch(/^pi_/);
+  });
+
+  test('should map decline and expiry to neutral event types', async () => {
+    const declined = await server.decline((await checkout('TXN-C')).id);
+    const expired = await gateway.expireCheckoutSession((await checkout('TXN-D')).id);
+
+    expect(gateway.parseWebhookEvent(...signed(declined.event)).type).toBe('checkout.failed');
+    expect(expired.status).toBe('expired');
+    expect(server.listEvents().at(-1).type).toBe('checkout.session.expired');
+  });
+
+  test('should refuse to expire a finished session', async () => {
+    const session = await checkout('TXN-E');
+    await server.pay(session.id);
+
+    await expect(gateway.expireCheckoutSession(session.id)).rejects.toMatchObject({ code: 'GATEWAY_REJECTED' });
+  });
+});
+
+describe('Payment Service', () => {
+  let mongoServer;
+  let fake;
+  let handlers;
+  let userId;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    await PaymentEvent.syncIndexes();
+    await Job.syncIndexes();
+
+    fake = await startFakeGateway();
+    setPaymentGateway(fake.gateway);
+  });
+
+  afterAll(async () => {
+    setPaymentGateway(null);
+    await fake.server.close();
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(() => {
+    userId = new mongoose.Types.ObjectId();
+    handlers = {
+      onPaid: jest.fn(async () => {}),
+      onClosed: jest.fn(async () => {})
+    };
+    registerCheckoutHandler('course_purchase', handlers);
+  });
+
+  afterEach(async () => {
+    await Transaction.deleteMany({});
+    await PaymentEvent.deleteMany({});
+    await Job.deleteMany({});
+  });
+
+  const startCheckout = (amount = 49.5) => createCheckout({
+    userId,
+    type: 'course_purchase',
+    amount,
+    description: 'Course: Linear Algebra',
+    courseId: new mongoose.Types.ObjectId(),
+    pointsUsed: 100
+  });
+
+  const sessionOf = async (transactionId) => (await Transaction.findById(transactionId)).payment.checkoutSessionId;
+
+  test('should create a pending transaction with a checkout and an expiry job', async () => {
+    const checkout = await startCheckout();
+
+    const transaction = await Transaction.findById(checkout.transactionId);
+    expect(checkout.status).toBe('pending');
+    expect(checkout.checkoutUrl).toContain(transaction.payment.checkoutSessionId);
+    expect(transaction.payment.provider).toBe('fake');
+    expect(await Job.countDocuments({ type: 'payment_expiry', dedupeKey: `payment_expiry:${transaction._id}` })).toBe(1);
+  });
+
+  test('should complete the transaction and grant the purchase when paid', async () => {
+    const checkout = await startCheckout();
+    const { event } = await fake.server.pay(await sessionOf(checkout.transactionId));
+
+    const result = await handleWebhook(...signed(event));
+
+    expect(result).toMatchObject({ received: true, duplicate: false, outcome: 'applied', status: 'completed' });
+    const transaction = await Transaction.findById(checkout.transactionId);
+    expect(transaction.status).toBe('completed');
+    expect(transaction.payment.gatewayTransactionId).toMatch(/^pi_/);
+    expect(handlers.onPaid).toHaveBeenCalledTimes(1);
+  });
+
+  test('should apply a redelivered or replayed event only once', async () => {
+    const checkout = await startCheckout();
+    const { event } = await fake.server.pay(await sessionOf(checkout.transactionId));
+
+    const results = await Promise.all([
+      handleWebhook(...signed(event)),
+      handleWebhook(...signed(event))
+    ]);
+    const replay = await handleWebhook(...signed(event));
+
+    expect(results.filter(result => result.outcome === 'applied')).toHaveLength(1);
+    expect(replay).toEqual({ received: true, duplicate: true });
+    expect(handlers.onPaid).toHaveBeenCalledTimes(1);
+    expect(await PaymentEvent.countDocuments({ eventId: event.id })).toBe(1);
+  });
+
+  test('should leave the transaction pending when granting fails', async () => {
+    handlers.onPaid.mockRejectedValueOnce(new Error('Course store unavailable'));
+    const checkout = await startCheckout();
+    const { event } = await fake.server.pay(await sessionOf(checkout.transactionId));
+
+    await expect(handleWebhook(...signed(event))).rejects.toMatchObject({ statusCode: 500 });
+    expect((await Transaction.findById(checkout.transactionId)).status).toBe('pending');
+
+    const retry = await handleWebhook(...signed(event));
+    expect(retry.status).toBe('completed');
+  });
+
+  test('should fail a payment whose amount does not match', async () => {
+    const checkout = await startCheckout();
+    await Transaction.updateOne({ _id: checkout.transactionId }, { $set: { amount: 99 } });
+    const { event } = await fake.server.pay(await sessionOf(checkout.transactionId));
+
+    const result = await handleWebhook(...signed(event));
+
+    expect(result.status).toBe('failed');
+    expect((await Transaction.findById(checkout.transactionId)).error.code).toBe('AMOUNT_MISMATCH');
+    expect(handlers.onPaid).not.toHaveBeenCalled();
+  });
+
+  test('should release what was held when the payment is declined', async () => {
+    const checkout = await startCheckout();
+    const { event } = await fake.server.decline(await sessionOf(checkout.transactionId));
+
+    const result = await handleWebhook(...signed(event));
+
+    expect(result.status).toBe('failed');
+    expect(handlers.onClosed).toHaveBeenCalledWith(expect.objectContaining({ pointsUsed: 100 }));
+  });
+
+  test('should refuse a webhook with a bad signature', async () => {
+    const checkout = await startCheckout();
+    const { event } = await fake.server.pay(await sessionOf(checkout.transactionId));
+
+    await expect(handleWebhook(...signed(event, 'whsec_wrong')))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_SIGNATURE' });
+    expect((await Transaction.findById(checkout.transactionId)).status).toBe('pending');
+  });
+
+  test('should acknowledge events for unknown checkouts', async () => {
+    const session = await fake.gateway.createCheckoutSession({
+      reference: 'TXN-ELSEWHERE',
+      amount: 5,
+      currency: 'USD',
+      description: 'Not ours',
+      successUrl: 'http://app.test/s',
+      cancelUrl: 'http://app.test/c',
+      expiresAt: new Date(Date.now() + 30 * 60 * 1000)
+    });
+    const { event } = await fake.server.pay(session.id);
+
+    expect(await handleWebhook(...signed(event))).toMatchObject({ received: true, outcome: 'unmatched' });
+  });
+
+  test('should expire an unpaid checkout and release what was held', async () => {
+    const checkout = await startCheckout();
+
+    const result = await expireCheckout(checkout.transactionId);
+
+    expect(result.status).toBe('expired');
+    expect(fake.server.getSession(await sessionOf(checkout.transactionId)).status).toBe('expired');
+    expect(handlers.onClosed).toHaveBeenCalledTimes(1);
+
+    // The gateway's own expiry event changes nothing afterwards
+    const event = fake.server.listEvents().at(-1);
+    expect((await handleWebhook(...signed(event))).outcome).toBe('no_change');
+    expect(handlers.onClosed).toHaveBeenCalledTimes(1);
+  });
+
+  test('should settle a paid checkout whose webhook never arrived', async () => {
+    const checkout = await startCheckout();
+    await fake.server.pay(await sessionOf(checkout.transactionId));
+
+    const result = await expireCheckout(checkout.transactionId);
+
+    expect(result.status).toBe('completed');
+    expect(handlers.onPaid).toHaveBeenCalledTimes(1);
+    expect(handlers.onClosed).not.toHaveBeenCalled();
+  });
+});
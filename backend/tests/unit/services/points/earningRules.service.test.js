@@ -0,0 +1,140 @@
+/**
+ * Earning Rules Service Unit Tests - earningRules.service.test.js
+ * @description Test suite for server-side points awards: one award per event
+ * occurrence, cooldowns, daily caps, and the streak and achievement bonuses
+ * that follow activity. Only Date is faked so the clock can be moved.
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+import Student from '#models/users/Student.js';
+import BaseUser from '#models/users/BaseUser.js';
+import Transaction from '#models/transaction/Transaction.js';
+import PointsJournalEntry from '#models/transaction/PointsJournalEntry.js';
+import { awardEarningEvent } from '#services/earningRules.service.js';
+
+describe('Earning Rules Service', () => {
+  let replSet;
+  let student;
+
+  const NOON = new Date('2026-03-10T12:00:00Z');
+
+  const advance = (seconds) => jest.setSystemTime(new Date(Date.now() + seconds * 1000));
+
+  const quiz = (reference, score = 95, difficulty = 'hard') => awardEarningEvent('quiz_completion', {
+    userId: student._id,
+    reference,
+    facts: { score, difficulty }
+  });
+
+  const focus = (reference, minutes) => awardEarningEvent('focus_session', {
+    userId: student._id,
+    reference,
+    facts: { minutes }
+  });
+
+  beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    await mongoose.connect(replSet.getUri());
+    await PointsJournalEntry.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await replSet.stop();
+  });
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: NOON, doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance'] });
+    student = await Student.create({
+      email: 'earner@example.com',
+      password: 'SecurePass123!',
+      name: { first: 'Test', last: 'Earner' }
+    });
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await PointsJournalEntry.collection.deleteMany({});
+    await Transaction.deleteMany({});
+    await BaseUser.deleteMany({});
+  });
+
+  test('should award the computed points once per occurrence', async () => {
+    const first = await quiz('attempt-1');
+    advance(120);
+    const again = await quiz('attempt-1');
+
+    expect(first).toMatchObject({ awarded: true, pointsEarned: 30, newTotalPoints: 30 });
+    expect(first.transaction.type).toBe('quiz_completion');
+    expect(again).toMatchObject({ awarded: false, reason: 'duplicate', pointsEarned: 0 });
+    expect(await Transaction.countDocuments({ userId: student._id, type: 'quiz_completion' })).toBe(1);
+  });
+
+  test('should refuse awards inside the cooldown', async () => {
+    await quiz('attempt-2');
+
+    advance(30);
+    expect(await quiz('attempt-3')).toMatchObject({ awarded: false, reason: 'cooldown' });
+
+    advance(31);
+    expect(await quiz('attempt-3')).toMatchObject({ awarded: true });
+  });
+
+  test('should clamp awards to the daily cap and reset the next day', async () => {
+    for (const session of ['s1', 's2', 's3']) {
+      await focus(session, 60);
+      advance(301);
+    }
+    await focus('s4', 45);
+    advance(301);
+
+    const clamped = await focus('s5', 30);
+    advance(301);
+    const over = await focus('s6', 30);
+
+    expect(clamped).toMatchObject({ awarded: true, pointsEarned: 15, capped: true });
+    expect(over).toMatchObject({ awarded: false, reason: 'daily_cap' });
+
+    jest.setSystemTime(new Date('2026-03-11T08:00:00Z'));
+    expect(await focus('s6', 30)).toMatchObject({ awarded: true, pointsEarned: 30 });
+  });
+
+  test('should award nothing for events below the rule minimum', async () => {
+    expect(await focus('short', 3)).toMatchObject({ awarded: false, reason: 'no_points' });
+  });
+
+  test('should refuse unknown events', async () => {
+    await expect(awardEarningEvent('points_add', { userId: student._id, reference: 'x' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'UNKNOWN_EARNING_EVENT' });
+  });
+
+  test('should add the day\'s streak bonus after the first activity', async () => {
+    await Student.updateOne({ _id: student._id }, {
+      $set: { 'progress.studyStreak': 6, 'progress.lastStudyDate': new Date('2026-03-09T18:00:00Z') }
+    });
+
+    const first = await quiz('attempt-4', 75, 'easy');
+    advance(120);
+    const second = await quiz('attempt-5', 75, 'easy');
+
+    // Day 7 of the streak earns the weekly multiplier: 2 x 1.5
+    expect(first.bonuses).toEqual([expect.objectContaining({ event: 'study_streak', pointsEarned: 3 })]);
+    expect(second.bonuses).toEqual([]);
+    expect((await Student.findById(student._id)).progress.totalPoints).toBe(20 + 3);
+  });
+
+  test('should pay each achievement bonus once', async () => {
+    await Student.updateOne({ _id: student._id }, {
+      $push: { 'analytics.achievements': { type: 'week_warrior', description: '7-day study streak' } }
+    });
+
+    const first = await quiz('attempt-6', 75, 'easy');
+    advance(120);
+    const second = await quiz('attempt-7', 75, 'easy');
+
+    expect(first.bonuses).toEqual(expect.arrayContaining([expect.objectContaining({ event: 'achievement', pointsEarned: 30 })]));
+    expect(second.bonuses).toEqual([]);
+    expect(await Transaction.countDocuments({ userId: student._id, type: 'achievement_bonus' })).toBe(1);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Points Ledger Service Unit Tests - pointsLedger.service.test.js
+ * @description Test suite for journal entries, idempotency, overdraft guards,
+ * transfers and the reconciliation report. Runs on a replica set so entries
+ * are written in transactions.
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+import Student from '#models/users/Student.js';
+import BaseUser from '#models/users/BaseUser.js';
+import PointsJournalEntry from '#models/transaction/PointsJournalEntry.js';
+import {
+  postJournalEntry,
+  earnPoints,
+  spendPoints,
+  releasePoints,
+  deductPoints,
+  transferPoints,
+  adjustPoints,
+  getLedgerBalance,
+  reconcilePointsBalances,
+  recordOpeningBalances
+} from '#services/pointsLedger.service.js';
+
+describe('Points Ledger Service', () => {
+  let replSet;
+  let alice;
+  let bob;
+
+  const createStudent = (email) => Student.create({
+    email,
+    password: 'SecurePass123!',
+    name: { first: 'Test', last: 'Student' }
+  });
+
+  const countersOf = async (student) => (await Student.findById(student._id)).progress;
+
+  beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    await mongoose.connect(replSet.getUri());
+    await PointsJournalEntry.syncIndexes();
+    await Student.syncIndexes();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await replSet.stop();
+  });
+
+  beforeEach(async () => {
+    alice = await createStudent('alice@example.com');
+    bob = await createStudent('bob@example.com');
+  });
+
+  afterEach(async () => {
+    // Entries refuse deletes through the model
+    await PointsJournalEntry.collection.deleteMany({});
+    await BaseUser.deleteMany({});
+  });
+
+  const earn = (student, points, key = `earn:${new mongoose.Types.ObjectId()}`) => earnPoints({
+    userId: student._id,
+    points,
+    idempotencyKey: key,
+    source: 'quiz_completion',
+    description: 'Quiz completed'
+  });
+
+  test('should post a balanced entry and update the counters with it', async () => {
+    const result = await earn(alice, 40, 'quiz_completion:attempt-1');
+
+    expect(result.duplicate).toBe(false);
+    expect(result.balances[alice._id.toString()]).toEqual({ totalPoints: 40, pointsUsed: 0, available: 40 });
+    expect(result.entry.postings.reduce((sum, posting) => sum + posting.points, 0)).toBe(0);
+    expect((await countersOf(alice)).totalPoints).toBe(40);
+  });
+
+  test('should apply an idempotency key once', async () => {
+    const results = await Promise.all([
+      earn(alice, 25, 'quiz_completion:attempt-2'),
+      earn(alice, 25, 'quiz_completion:attempt-2')
+    ]);
+    const again = await earn(alice, 25, 'quiz_completion:attempt-2');
+
+    expect(results.filter(result => !result.duplicate)).toHaveLength(1);
+    expect(again.duplicate).toBe(true);
+    expect((await countersOf(alice)).totalPoints).toBe(25);
+    expect(await PointsJournalEntry.countDocuments({ idempotencyKey: 'quiz_completion:attempt-2' })).toBe(1);
+  });
+
+  test('should refuse a reused key for a different change', async () => {
+    await earn(alice, 10, 'points_add:reused');
+
+    await expect(earn(alice, 99, 'points_add:reused'))
+      .rejects.toMatchObject({ statusCode: 409, code: 'IDEMPOTENCY_KEY_REUSED' });
+  });
+
+  test('should refuse to overdraw and leave no entry behind', async () => {
+    await earn(alice, 30);
+
+    await expect(spendPoints({
+      userId: alice._id,
+      points: 50,
+      idempotencyKey: 'course_purchase:hold-1',
+      source: 'course_purchase'
+    })).rejects.toMatchObject({ statusCode: 400, code: 'INSUFFICIENT_POINTS' });
+
+    expect(await countersOf(alice)).toMatchObject({ totalPoints: 30, pointsUsed: 0 });
+    expect(await PointsJournalEntry.countDocuments({ idempotencyKey: 'course_purchase:hold-1' })).toBe(0);
+  });
+
+  test('should hold and release points through the spent counter', async () => {
+    await earn(alice, 60);
+
+    await spendPoints({ userId: alice._id, points: 20, idempotencyKey: 'course_purchase:hold-2', source: 'course_purchase' });
+    expect(await countersOf(alice)).toMatchObject({ totalPoints: 60, pointsUsed: 20 });
+
+    await releasePoints({ userId: alice._id, points: 20, idempotencyKey: 'points_release:hold-2', source: 'course_purchase' });
+    expect(await countersOf(alice)).toMatchObject({ totalPoints: 60, pointsUsed: 0 });
+  });
+
+  test('should not deduct points that are already spent', async () => {
+    await earn(alice, 50);
+    await spendPoints({ userId: alice._id, points: 40, idempotencyKey: 'course_purchase:hold-3', source: 'course_purchase' });
+
+    await expect(deductPoints({ userId: alice._id, points: 20, idempotencyKey: 'points_deduct:1', source: 'manual' }))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_POINTS' });
+  });
+
+  test('should transfer points whole or not at all', async () => {
+    await earn(alice, 50);
+
+    const result = await transferPoints({
+      fromUserId: alice._id,
+      toUserId: bob._id,
+      points: 35,
+      idempotencyKey: 'points_transfer:1',
+      source: 'transfer'
+    });
+    expect(result.balances[bob._id.toString()].totalPoints).toBe(35);
+
+    await expect(transferPoints({
+      fromUserId: alice._id,
+      toUserId: new mongoose.Types.ObjectId(),
+      points: 10,
+      idempotencyKey: 'points_transfer:2',
+      source: 'transfer'
+    })).rejects.toMatchObject({ statusCode: 404 });
+
+    // The failed transfer took nothing from alice
+    expect((await countersOf(alice)).totalPoints).toBe(15);
+  });
+
+  test('should apply signed adjustments without overdrawing', async () => {
+    await earn(alice, 10);
+
+    await adjustPoints({ userId: alice._id, points: -7, idempotencyKey: 'admin_adjustment:1', source: 'admin_adjustment' });
+    expect((await countersOf(alice)).totalPoints).toBe(3);
+
+    await expect(adjustPoints({ userId: alice._id, points: -4, idempotencyKey: 'admin_adjustment:2', source: 'admin_adjustment' }))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_POINTS' });
+    await expect(adjustPoints({ userId: alice._id, points: 0, idempotencyKey: 'admin_adjustment:3', source: 'admin_adjustment' }))
+      .rejects.toMatchObject({ code: 'INVALID_POINTS_AMOUNT' });
+  });
+
+  test('should refuse unbalanced postings and changes to entries', async () => {
+    await expect(postJournalEntry({
+      idempotencyKey: 'unbalanced:1',
+      type: 'earn',
+      source: 'manual',
+      postings: [{ account: `user:${alice._id}`, userId: alice._id, bucket: 'earned', points: 10 }]
+    })).rejects.toMatchObject({ statusCode: 400 });
+    expect((await countersOf(alice)).totalPoints).toBe(0);
+
+    const { entry } = await earn(alice, 5);
+    await expect(PointsJournalEntry.updateOne({ _id: entry._id }, { $set: { description: 'edited' } }))
+      .rejects.toThrow('immutable');
+  });
+
+  test('should report the ledger balance', async () => {
+    await earn(alice, 70);
+    await spendPoints({ userId: alice._id, points: 25, idempotencyKey: 'course_purchase:hold-4', source: 'course_purchase' });
+    await transferPoints({ fromUserId: alice._id, toUserId: bob._id, points: 5, idempotencyKey: 'points_transfer:3', source: 'transfer' });
+
+    expect(await getLedgerBalance(alice._id)).toMatchObject({ totalEarned: 65, totalSpent: 25, available: 40 });
+    expect(await getLedgerBalance(bob._id)).toMatchObject({ totalEarned: 5, totalSpent: 0, available: 5 });
+  });
+
+  test('should flag counters that drift from the ledger', async () => {
+    await earn(alice, 20);
+    await earn(bob, 20);
+    await Student.updateOne({ _id: bob._id }, { $inc: { 'progress.totalPoints': 15 } });
+
+    const report = await reconcilePointsBalances();
+
+    expect(report.summary).toMatchObject({ checkedUsers: 2, mismatchedUsers: 1, unbalancedEntries: 0, totalDrift: 15 });
+    expect(report.mismatches[0]).toMatchObject({
+      userId: bob._id.toString(),
+      reason: 'counter_drift',
+      drift: { totalPoints: 15, pointsUsed: 0 }
+    });
+  });
+
+  test('should journal balances from before the ledger once', async () => {
+    await Student.updateOne({ _id: alice._id }, { $set: { 'progress.totalPoints': 80, 'progress.pointsUsed': 30 } });
+
+    expect((await reconcilePointsBalances()).mismatches[0].reason).toBe('no_ledger_entries');
+    expect(await recordOpeningBalances()).toEqual({ recorded: 1, skipped: 0 });
+    expect(await recordOpeningBalances()).toEqual({ recorded: 0, skipped: 0 });
+
+    const report = await reconcilePointsBalances();
+    expect(report.summary.mismatchedUsers).toBe(0);
+    expect(await countersOf(alice)).toMatchObject({ totalPoints: 80, pointsUsed: 30 });
+  });
+});
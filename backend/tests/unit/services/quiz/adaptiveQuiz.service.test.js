@@ -0,0 +1,127 @@
+/**
+ * Adaptive Quiz Service Unit Tests
+ * @description Tests for ability estimation, question selection and topic mastery
+ * @file tests/unit/services/quiz/adaptiveQuiz.service.test.js
+ */
+
+import {
+  normalizeDifficulty,
+  probabilityCorrect,
+  updateAbility,
+  getMasteryLevel,
+  estimateTopicMastery,
+  selectNextQuestion,
+  toClientQuestion
+} from '#services/adaptiveQuiz.service.js';
+
+describe('Adaptive Quiz Service', () => {
+  describe('updateAbility', () => {
+    test('should treat mixed and unknown difficulty as medium', () => {
+      expect(normalizeDifficulty('mixed')).toBe('medium');
+      expect(normalizeDifficulty(undefined)).toBe('medium');
+      expect(probabilityCorrect(0, 'medium')).toBeCloseTo(0.5);
+    });
+
+    test('should rise after a correct answer and fall after a wrong one', () => {
+      expect(updateAbility(0, 'medium', true, 0)).toBeCloseTo(0.5);
+      expect(updateAbility(0, 'medium', false, 0)).toBeCloseTo(-0.5);
+    });
+
+    test('should move more for surprising outcomes', () => {
+      const hardCorrect = updateAbility(0, 'hard', true, 0);
+      const easyCorrect = updateAbility(0, 'easy', true, 0);
+
+      expect(hardCorrect).toBeGreaterThan(easyCorrect);
+    });
+
+    test('should take smaller steps as more answers are counted', () => {
+      const firstStep = updateAbility(0, 'medium', true, 0);
+      const laterStep = updateAbility(0, 'medium', true, 8);
+
+      expect(laterStep).toBeLessThan(firstStep);
+      expect(laterStep).toBeGreaterThan(0);
+    });
+  });
+
+  describe('getMasteryLevel', () => {
+    test('should map estimates to mastery levels', () => {
+      expect(getMasteryLevel(-1)).toBe('novice');
+      expect(getMasteryLevel(0)).toBe('developing');
+      expect(getMasteryLevel(0.5)).toBe('proficient');
+      expect(getMasteryLevel(1.2)).toBe('mastered');
+    });
+  });
+
+  describe('estimateTopicMastery', () => {
+    test('should estimate each topic separately, weakest first', () => {
+      const mastery = estimateTopicMastery([
+        { topicArea: 'photosynthesis', difficulty: 'medium', isCorrect: true },
+        { topicArea: 'respiration', difficulty: 'easy', isCorrect: false },
+        { topicArea: 'photosynthesis', difficulty: 'hard', isCorrect: true },
+        { topicArea: 'respiration', difficulty: 'easy', isCorrect: false }
+      ]);
+
+      expect(mastery.map(topic => topic.topicArea)).toEqual(['respiration', 'photosynthesis']);
+      expect(mastery[0]).toMatchObject({ level: 'novice', answered: 2, correct: 0 });
+      expect(mastery[1]).toMatchObject({ answered: 2, correct: 2 });
+      expect(mastery[1].estimate).toBeGreaterThan(0.25);
+    });
+  });
+
+  describe('selectNextQuestion', () => {
+    const pool = [
+      { questionKey: 'easy-1', difficulty: 'easy', topicArea: 'cells' },
+      { questionKey: 'medium-1', difficulty: 'medium', topicArea: 'cells' },
+      { questionKey: 'medium-2', difficulty: 'medium', topicArea: 'energy' },
+      { questionKey: 'hard-1', difficulty: 'hard', topicArea: 'cells' }
+    ];
+
+    test('should pick the difficulty closest to the ability estimate', () => {
+      const state = { servedKeys: new Set(), topicCounts: {} };
+
+      expect(selectNextQuestion(pool, { ...state, ability: 0.9 }).questionKey).toBe('hard-1');
+      expect(selectNextQuestion(pool, { ...state, ability: -1.2 }).questionKey).toBe('easy-1');
+    });
+
+    test('should prefer the topic asked least at the same difficulty', () => {
+      const next = selectNextQuestion(pool, {
+        ability: 0,
+        servedKeys: new Set(['easy-1']),
+        topicCounts: { cells: 1 }
+      });
+
+      expect(next.questionKey).toBe('medium-2');
+    });
+
+    test('should skip served questions and return null when the pool is used up', () => {
+      const servedKeys = new Set(pool.map(entry => entry.questionKey));
+
+      expect(selectNextQuestion(pool, { ability: 0, servedKeys, topicCounts: {} })).toBeNull();
+    });
+  });
+
+  describe('toClientQuestion', () => {
+    test('should not expose the answer', () => {
+      const question = toClientQuestion({
+        questionId: 3,
+        difficulty: 'hard',
+        topicArea: 'cells',
+        question: {
+          type: 'fill_blank',
+          question: 'The powerhouse of the cell is the ____.',
+          correctAnswer: 'mitochondria'
+        }
+      });
+
+      expect(question).toEqual({
+        id: 3,
+        question: 'The powerhouse of the cell is the ____.',
+        options: undefined,
+        type: 'fill_in_blank',
+        points: 1,
+        difficulty: 'hard',
+        topicArea: 'cells'
+      });
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Mistakes Bank Service Unit Tests - mistakeBank.service.test.js
+ * @description Test suite for review quizzes and recording their answers
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import QuizMistake from '#models/quiz/QuizMistake.js';
+import { buildQuestionKey, generateReviewQuiz, recordAttemptMistakes } from '#services/mistakeBank.service.js';
+
+describe('Mistakes Bank Service', () => {
+  let mongoServer;
+
+  const userId = new mongoose.Types.ObjectId();
+  const documentA = new mongoose.Types.ObjectId();
+  const documentB = new mongoose.Types.ObjectId();
+  const missTime = new Date('2026-01-01T09:00:00Z');
+
+  const buildQuestion = (text) => ({
+    type: 'multiple_choice',
+    question: text,
+    options: ['Stroma', 'Thylakoid', 'Nucleus', 'Cytoplasm'],
+    correctAnswer: 'Stroma',
+    correctAnswerIndex: 0,
+    skillCategory: 'factual_recall',
+    topicArea: 'photosynthesis'
+  });
+
+  const recordMiss = (documentId, text) => {
+    const question = buildQuestion(text);
+    return QuizMistake.recordMiss(userId, {
+      documentId,
+      quizId: new mongoose.Types.ObjectId(),
+      questionId: 1,
+      questionKey: buildQuestionKey(documentId, question),
+      question,
+      skillCategory: question.skillCategory,
+      topicArea: question.topicArea,
+      answer: 1
+    }, missTime);
+  };
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(async () => {
+    await mongoose.connection.db.dropDatabase();
+  });
+
+  test('should record review answers against the document each question came from', async () => {
+    const calvin = await recordMiss(documentA, 'Where does the Calvin cycle take place?');
+    const chlorophyll = await recordMiss(documentA, 'Which pigment absorbs red light?');
+    const mitosis = await recordMiss(documentB, 'In which phase do chromosomes line up?');
+
+    const { quiz } = await generateReviewQuiz(userId.toString(), { questionCount: 4 });
+
+    expect(quiz.questions).toHaveLength(3);
+    quiz.questions.forEach(question => {
+      expect(question.review.documentId).toBeDefined();
+    });
+
+    // Questions from document A are answered correctly, the one from document B is missed again
+    const fromDocumentB = (question) => String(question.review.documentId) === String(documentB);
+    const attempt = {
+      mode: 'standard',
+      completedAt: new Date(missTime.getTime() + 60 * 1000),
+      answers: quiz.questions.map(question => ({
+        questionId: question.id,
+        isCorrect: !fromDocumentB(question),
+        userAnswer: fromDocumentB(question) ? 2 : 0
+      }))
+    };
+
+    const result = await recordAttemptMistakes(userId.toString(), quiz, attempt);
+
+    expect(result.recorded).toBe(1);
+    expect(await QuizMistake.countDocuments({ userId })).toBe(3);
+
+    const [calvinAfter, chlorophyllAfter, mitosisAfter] = await Promise.all(
+      [calvin, chlorophyll, mitosis].map(mistake => QuizMistake.findById(mistake._id))
+    );
+    expect(calvinAfter.correctStreak).toBe(1);
+    expect(chlorophyllAfter.correctStreak).toBe(1);
+    expect(mitosisAfter.missCount).toBe(2);
+    expect(String(mitosisAfter.documentId)).toBe(String(documentB));
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Search Service Unit Tests - search.test.js
+ * @description Test suite for library search entries, hybrid scoring and snippets
+ */
+
+import mongoose from 'mongoose';
+import {
+  buildDocumentEntries,
+  buildQuizEntries,
+  keywordMatchScore,
+  buildSnippet,
+  scoreEntries
+} from '#services/search.service.js';
+import { embedTexts } from '#services/ai.service.js';
+import { termsOf } from '#services/documentIndex.service.js';
+
+describe('Search Service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const updatedAt = new Date('2026-03-01T10:00:00Z');
+
+  describe('buildDocumentEntries', () => {
+    test('should index the overview, summary and each key point', () => {
+      const entries = buildDocumentEntries({
+        _id: new mongoose.Types.ObjectId(),
+        userId,
+        title: 'Photosynthesis',
+        description: 'Biology notes',
+        classification: { tags: ['plants'] },
+        content: {
+          summary: 'Plants turn light into sugar.',
+          keyPoints: ['Chlorophyll absorbs light.', 'The Calvin cycle makes sugar.'],
+          topics: ['Light reactions'],
+          extractedText: 'Full text of the notes.'
+        },
+        updatedAt
+      });
+
+      expect(entries.map(entry => [entry.sourceType, entry.position])).toEqual([
+        ['document', 0],
+        ['summary', 0],
+        ['key_point', 0],
+        ['key_point', 1]
+      ]);
+      expect(entries[0].text).toContain('plants');
+      expect(entries.every(entry => entry.sourceUpdatedAt === updatedAt && entry.title === 'Photosynthesis')).toBe(true);
+    });
+
+    test('should skip a missing summary', () => {
+      const entries = buildDocumentEntries({ _id: new mongoose.Types.ObjectId(), userId, title: 'Notes', content: {}, updatedAt });
+
+      expect(entries.map(entry => entry.sourceType)).toEqual(['document']);
+    });
+  });
+
+  describe('buildQuizEntries', () => {
+    test('should index each question without its explanation', () => {
+      const quizId = new mongoose.Types.ObjectId();
+      const documentId = new mongoose.Types.ObjectId();
+      const entries = buildQuizEntries({
+        _id: quizId,
+        userId,
+        documentId,
+        title: 'Photosynthesis Quiz',
+        questions: [
+          { question: 'Where does the Calvin cycle happen?', explanation: 'In the stroma.' },
+          { question: 'What gas is released?' }
+        ],
+        updatedAt
+      });
+
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toMatchObject({ sourceType: 'quiz_question', quizId, documentId, position: 0 });
+      expect(entries[0].text).toBe('Where does the Calvin cycle happen?');
+    });
+
+    test('should never show the explanation in a quiz question snippet', () => {
+      const [entry] = buildQuizEntries({
+        _id: new mongoose.Types.ObjectId(),
+        userId,
+        title: 'Photosynthesis Quiz',
+        questions: [{ question: 'Where does the Calvin cycle happen?', explanation: 'The Calvin cycle happens in the stroma.' }],
+        updatedAt
+      });
+
+      const { snippet } = buildSnippet(entry.text, termsOf('calvin cycle stroma'));
+
+      expect(snippet).not.toContain('stroma');
+      expect(keywordMatchScore(termsOf('stroma'), entry.text)).toBe(0);
+    });
+  });
+
+  describe('keywordMatchScore', () => {
+    test('should count query terms, matching the start of longer words', () => {
+      const queryTerms = termsOf('photosynth chlorophyll mitochondria');
+
+      expect(keywordMatchScore(queryTerms, 'Photosynthesis relies on chlorophyll.')).toBeCloseTo(2 / 3);
+      expect(keywordMatchScore([], 'anything')).toBe(0);
+    });
+  });
+
+  describe('buildSnippet', () => {
+    test('should highlight matched words', () => {
+      const { snippet, highlights } = buildSnippet('The Calvin cycle fixes carbon in the stroma.', ['calvin', 'stroma']);
+
+      expect(highlights.map(range => snippet.slice(range.start, range.end))).toEqual(['Calvin', 'stroma']);
+    });
+
+    test('should center a long text on the first match', () => {
+      const text = `${'Filler words about nothing in particular. '.repeat(20)}The stroma hosts the Calvin cycle. ${'More filler text here. '.repeat(20)}`;
+      const { snippet, highlights } = buildSnippet(text, ['stroma']);
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet.length).toBeLessThanOrEqual(202);
+      expect(highlights).toHaveLength(1);
+      expect(snippet.slice(highlights[0].start, highlights[0].end)).toBe('stroma');
+    });
+  });
+
+  describe('scoreEntries', () => {
+    const texts = [
+      'The Calvin cycle fixes carbon dioxide into sugars in the stroma.',
+      'Oxygen is released as a byproduct when water molecules are split.'
+    ];
+
+    test('should rank by keywords when nothing is embedded', () => {
+      const entries = texts.map(text => ({ text, embedding: [], embeddingModel: null }));
+      const scored = scoreEntries(entries, termsOf('carbon dioxide sugars'));
+
+      expect(scored[0].vectorScore).toBeNull();
+      expect(scored[0].score).toBe(1);
+      expect(scored[1].score).toBe(0);
+    });
+
+    test('should mix vector and keyword scores for entries from the query model', async () => {
+      const query = 'how do plants fix carbon dioxide into sugars';
+      const { embeddings, provider, model } = await embedTexts([...texts, query]);
+      const embeddingModel = `${provider}:${model}`;
+      const entries = texts.map((text, i) => ({ text, embedding: embeddings[i], embeddingModel }));
+
+      const scored = scoreEntries(entries, termsOf(query), embeddings[2], embeddingModel);
+
+      expect(scored[0].vectorScore).toBeGreaterThan(scored[1].vectorScore);
+      expect(scored[0].score).toBeGreaterThan(scored[1].score);
+    });
+
+    test('should ignore vectors from a different model', async () => {
+      const { embeddings } = await embedTexts(texts);
+      const entries = texts.map((text, i) => ({ text, embedding: embeddings[i], embeddingModel: 'openai:text-embedding-3-small' }));
+
+      const scored = scoreEntries(entries, termsOf('oxygen'), embeddings[1], 'fake:fake-deterministic');
+
+      expect(scored.every(entry => entry.vectorScore === null)).toBe(true);
+      expect(scored[1].score).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Subscription Service Unit Tests - subscription.service.test.js
+ * @description Test suite for plan changes, usage quotas and feature access
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import {
+  getCurrentSubscription,
+  getSubscriptionOverview,
+  upgradeSubscription,
+  registerSubscriptionCheckout,
+  downgradeSubscription,
+  cancelSubscription,
+  resumeSubscription,
+  assertFeatureAccess,
+  consumeQuota,
+  releaseQuota
+} from '#services/subscription.service.js';
+import { comparePlans, getLowestPlanWithFeature, getUpgradePath } from '#constants/models/subscription/index.js';
+import Subscription from '#models/subscription/Subscription.js';
+import Transaction from '#models/transaction/Transaction.js';
+import { setPaymentGateway, handleWebhook } from '#services/payment.service.js';
+import { createFakeGatewayServer, createPaymentGateway, signWebhookPayload } from '#lib/payments/index.js';
+
+const WEBHOOK_SECRET = 'whsec_subscription_test';
+
+describe('Subscription plans', () => {
+  test('should order plans from free to enterprise', () => {
+    expect(comparePlans('free', 'basic')).toBeLessThan(0);
+    expect(comparePlans('enterprise', 'pro')).toBeGreaterThan(0);
+    expect(comparePlans('premium', 'premium')).toBe(0);
+  });
+
+  test('should find the lowest plan with a feature', () => {
+    expect(getLowestPlanWithFeature('pdf_upload')).toBe('free');
+    expect(getLowestPlanWithFeature('custom_analysis')).toBe('basic');
+    expect(getLowestPlanWithFeature('unknown_feature')).toBeNull();
+  });
+
+  test('should suggest the next plan up', () => {
+    expect(getUpgradePath('free')).toBe('basic');
+    expect(getUpgradePath('enterprise')).toBeNull();
+  });
+});
+
+describe('Subscription Service', () => {
+  let mongoServer;
+  let fakeGateway;
+  let userId;
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+
+    fakeGateway = createFakeGatewayServer({ secretKey: 'sk_test', webhookSecret: WEBHOOK_SECRET });
+    const apiUrl = await fakeGateway.listen();
+    setPaymentGateway(createPaymentGateway('fake', { apiUrl, secretKey: 'sk_test', webhookSecret: WEBHOOK_SECRET }));
+    registerSubscriptionCheckout();
+  });
+
+  afterAll(async () => {
+    setPaymentGateway(null);
+    await fakeGateway.close();
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Start an upgrade, pay its checkout and deliver the webhook
+   */
+  const upgradeAndPay = async (change) => {
+    const { checkout } = await upgradeSubscription(userId, change);
+    const transaction = await Transaction.findById(checkout.transactionId);
+
+    const { event } = await fakeGateway.pay(transaction.payment.checkoutSessionId);
+    const payload = JSON.stringify(event);
+    await handleWebhook(payload, signWebhookPayload(payload, WEBHOOK_SECRET));
+
+    return getSubscriptionOverview(userId);
+  };
+
+  beforeEach(() => {
+    userId = new mongoose.Types.ObjectId();
+  });
+
+  afterEach(async () => {
+    await Subscription.deleteMany({});
+    await Transaction.deleteMany({});
+  });
+
+  describe('getCurrentSubscription', () => {
+    test('should put a user without a subscription on the free plan', async () => {
+      const subscription = await getCurrentSubscription(userId);
+
+      expect(subscription.planType).toBe('free');
+      expect(subscription.status).toBe('active');
+      expect(await Subscription.countDocuments({ userId })).toBe(1);
+    });
+
+    test('should return the same subscription on later calls', async () => {
+      const first = await getCurrentSubscription(userId);
+      const second = await getCurrentSubscription(userId);
+
+      expect(second._id.toString()).toBe(first._id.toString());
+    });
+
+    test('should reset usage when the monthly window has ended', async () => {
+      const subscription = await getCurrentSubscription(userId);
+      await consumeQuota(subscription, 'documents');
+
+      const nextMonth = new Date(subscription.usage.currentPeriod.periodEnd.getTime() + 1000);
+      const current = await getCurrentSubscription(userId, nextMonth);
+
+      expect(current.usage.currentPeriod.documentsUploaded).toBe(0);
+      expect(current.usage.currentPeriod.periodEnd > nextMonth).toBe(true);
+    });
+
+    test('should move a cancelled plan to free when its period ends', async () => {
+      await upgradeAndPay({ planType: 'basic' });
+      await cancelSubscription(userId, { reason: 'Too expensive' });
+
+      const paid = await getCurrentSubscription(userId);
+      const afterEnd = new Date(paid.endDate.getTime() + 1000);
+      const current = await getCurrentSubscription(userId, afterEnd);
+
+      expect(current.planType).toBe('free');
+      expect((await Subscription.findById(paid._id)).status).toBe('cancelled');
+    });
+
+    test('should apply a scheduled downgrade when the period ends', async () => {
+      await upgradeAndPay({ planType: 'premium' });
+      await downgradeSubscription(userId, { planType: 'basic' });
+
+      const paid = await getCurrentSubscription(userId);
+      const current = await getCurrentSubscription(userId, new Date(paid.endDate.getTime() + 1000));
+
+      expect(current.planType).toBe('basic');
+      expect(current.settings.scheduledPlan).toBeNull();
+    });
+  });
+
+  describe('Plan changes', () => {
+    test('should upgrade only once the checkout is paid', async () => {
+      const { checkout } = await upgradeSubscription(userId, { planType: 'premium', billingCycle: 'yearly' });
+
+      expect(checkout.status).toBe('pending');
+      expect(checkout.checkoutUrl).toContain('/checkout/cs_test_');
+      expect((await Transaction.findById(checkout.transactionId)).amount).toBe(199.99);
+      expect((await getCurrentSubscription(userId)).planType).toBe('free');
+    });
+
+    test('should upgrade when paid and keep usage', async () => {
+      const subscription = await getCurrentSubscription(userId);
+      await consumeQuota(subscription, 'quizzes');
+
+      const result = await upgradeAndPay({ planType: 'premium', billingCycle: 'yearly' });
+
+      expect(result.subscription.planType).toBe('premium');
+      expect(result.subscription.payment.provider).toBe('fake');
+      expect(result.subscription.payment.lastPaymentAmount).toBe(199.99);
+      expect(result.subscription.billing.cycle).toBe('yearly');
+      expect(result.usage.quizzes.used).toBe(1);
+      expect(result.limits.quizzesPerMonth).toBe(500);
+    });
+
+    test('should reject an upgrade to a lower or unknown plan', async () => {
+      await upgradeAndPay({ planType: 'premium' });
+
+      await expect(upgradeSubscription(userId, { planType: 'basic' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_PLAN_CHANGE' });
+      await expect(upgradeSubscription(userId, { planType: 'platinum' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_PLAN' });
+    });
+
+    test('should schedule a downgrade without changing the plan yet', async () => {
+      await upgradeAndPay({ planType: 'pro' });
+      const result = await downgradeSubscription(userId, { planType: 'basic' });
+
+      expect(result.subscription.planType).toBe('pro');
+      expect(result.scheduledPlan).toBe('basic');
+    });
+
+    test('should not cancel the free plan', async () => {
+      await expect(cancelSubscription(userId))
+        .rejects.toMatchObject({ statusCode: 400, code: 'SUBSCRIPTION_NOT_CANCELLABLE' });
+    });
+
+    test('should cancel at period end only once', async () => {
+      await upgradeAndPay({ planType: 'basic' });
+      const result = await cancelSubscription(userId, { reason: 'Not using it' });
+
+      expect(result.subscription.status).toBe('active');
+      expect(result.subscription.settings.cancelAtPeriodEnd).toBe(true);
+      await expect(cancelSubscription(userId))
+        .rejects.toMatchObject({ statusCode: 409, code: 'SUBSCRIPTION_ALREADY_CANCELLED' });
+    });
+
+    test('should resume a cancelled or downgraded plan', async () => {
+      await upgradeAndPay({ planType: 'premium' });
+      await downgradeSubscription(userId, { planType: 'basic' });
+      await resumeSubscription(userId);
+
+      const overview = await getSubscriptionOverview(userId);
+      expect(overview.scheduledPlan).toBeNull();
+      expect(overview.subscription.settings.cancelAtPeriodEnd).toBe(false);
+
+      await expect(resumeSubscription(userId))
+        .rejects.toMatchObject({ statusCode: 400, code: 'NOTHING_TO_RESUME' });
+    });
+  });
+
+  describe('Plan enforcement', () => {
+    test('should refuse a feature missing from the plan with 402', async () => {
+      const subscription = await getCurrentSubscription(userId);
+
+      expect(() => assertFeatureAccess(subscription, 'pdf_upload')).not.toThrow();
+      expect(() => assertFeatureAccess(subscription, 'custom_analysis')).toThrow(expect.objectContaining({
+        statusCode: 402,
+        code: 'FEATURE_NOT_AVAILABLE',
+        context: { feature: 'custom_analysis', currentPlan: 'free', requiredPlan: 'basic' }
+      }));
+    });
+
+    test('should count uses up to the limit, then refuse with 429', async () => {
+      const subscription = await getCurrentSubscription(userId);
+
+      for (let use = 1; use <= 5; use++) {
+        expect(await consumeQuota(subscription, 'documents')).toEqual({ used: use, limit: 5 });
+      }
+
+      const latest = await getCurrentSubscription(userId);
+      await expect(consumeQuota(latest, 'documents')).rejects.toMatchObject({
+        statusCode: 429,
+        code: 'QUOTA_EXCEEDED',
+        context: { quota: 'documents', used: 5, limit: 5, currentPlan: 'free', upgradeTo: 'basic' }
+      });
+    });
+
+    test('should not overshoot the limit with parallel requests', async () => {
+      const subscription = await getCurrentSubscription(userId);
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 8 }, () => consumeQuota(subscription, 'documents'))
+      );
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(5);
+      expect((await Subscription.findById(subscription._id)).usage.currentPeriod.documentsUploaded).toBe(5);
+    });
+
+    test('should give back a use without going below zero', async () => {
+      const subscription = await getCurrentSubscription(userId);
+      await consumeQuota(subscription, 'quizzes');
+
+      await releaseQuota(subscription, 'quizzes');
+      await releaseQuota(subscription, 'quizzes');
+
+      expect((await Subscription.findById(subscription._id)).usage.currentPeriod.quizzesGenerated).toBe(0);
+    });
+  });
+});
@@ -11,7 +11,7 @@ import { Toaster } from 'react-hot-toast'
 
 // Store
 import store from './store'
-import { checkAuthState, selectIsAuthenticated } from './store/slices/authSlice'
+import { checkAuthState, selectIsAuthenticated, selectRecoveryCodes } from './store/slices/authSlice'
 
 // Pages
 import HomePage from './pages/HomePage'
@@ -19,10 +19,17 @@ import RegisterPage from './pages/auth/RegisterPage'
 import LoginPage from './pages/auth/LoginPage'
 import DashboardPage from './pages/dashboard/DashboardPage'
 import DocumentsPage from './pages/documents/DocumentsPage'
+import DocumentDetailsPage from './pages/documents/DocumentDetailsPage'
+import FlashcardReviewPage from './pages/flashcards/FlashcardReviewPage'
 import PlansPage from './pages/subscription/PlansPage'
 import Terms from './pages/documents/Terms'
 import Points from './pages/profile/PointsPage'
+import SettingsPage from './pages/profile/SettingsPage'
 import ForgotPassword from './pages/auth/ForgotPasswordPage'
+import ResetPasswordPage from './pages/auth/ResetPasswordPage'
+import VerifyEmailPage from './pages/auth/VerifyEmailPage'
+import OidcCallbackPage from './pages/auth/OidcCallbackPage'
+import UnlockAccountPage from './pages/auth/UnlockAccountPage'
 
 // ✅ ADD COURSES PAGES
 import CoursesPage from './pages/courses/CoursesPage'
@@ -44,11 +51,12 @@ const ProtectedRoute = ({ children }) => {
   return children
 }
 
-// Public Route Component (redirect if authenticated)
+// Public Route Component (redirect if authenticated, once new recovery codes were seen)
 const PublicRoute = ({ children }) => {
   const isAuthenticated = useSelector(selectIsAuthenticated)
+  const recoveryCodes = useSelector(selectRecoveryCodes)
   
-  if (isAuthenticated) {
+  if (isAuthenticated && !recoveryCodes) {
     return <Navigate to="/dashboard" replace />
   }
   
@@ -114,7 +122,27 @@ const AppContent = () => {
           } 
         />
 
+        <Route 
+          path="/reset-password/:token" 
+          element={
+            <PublicRoute>
+              <ResetPasswordPage />
+            </PublicRoute>
+          } 
+        />
+
+        <Route 
+          path="/auth/oidc/callback" 
+          element={
+            <PublicRoute>
+              <OidcCallbackPage />
+            </PublicRoute>
+          } 
+        />
+
         {/* ✅ PUBLIC PAGES (accessible to all) */}
+        <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
+        <Route path="/unlock-account/:token" element={<UnlockAccountPage />} />
         <Route path="/terms" element={<Terms />} />
         <Route path="/pricing" element={<PlansPage />} />
         <Route path="/plans" element={<PlansPage />} />
@@ -145,6 +173,33 @@ const AppContent = () => {
           } 
         />
 
+        <Route 
+          path="/documents/:id" 
+          element={
+            <ProtectedRoute>
+              <DocumentDetailsPage />
+            </ProtectedRoute>
+          } 
+        />
+
+        <Route 
+          path="/flashcards" 
+          element={
+            <ProtectedRoute>
+              <FlashcardReviewPage />
+            </ProtectedRoute>
+          } 
+        />
+
+        <Route 
+          path="/settings" 
+          element={
+            <ProtectedRoute>
+              <SettingsPage />
+            </ProtectedRoute>
+          } 
+        />
+
         {/* ✅ NEW: PROTECTED COURSES ROUTES */}
         <Route 
           path="/my-courses" 
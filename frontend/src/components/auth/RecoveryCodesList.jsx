@@ -0,0 +1,56 @@
+/**
+ * PATH: src/components/auth/RecoveryCodesList.jsx
+ * Two-factor recovery codes, shown once after they are generated
+ */
+
+import React from 'react'
+import { Copy, Download } from 'lucide-react'
+import toast from 'react-hot-toast'
+import Button from '../ui/Button'
+
+const RecoveryCodesList = ({ codes }) => {
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'))
+      toast.success('Recovery codes copied')
+    } catch {
+      toast.error('Could not copy, please write the codes down')
+    }
+  }
+
+  const downloadCodes = () => {
+    const blob = new Blob([`${codes.join('\n')}\n`], { type: 'text/plain' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'studion-recovery-codes.txt'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-slate-600">
+        Each code signs you in once if you lose your authenticator app. Store them somewhere safe:
+        they will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 bg-slate-50 border border-slate-200 rounded-lg p-4 font-mono text-sm text-slate-800">
+        {codes.map(code => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex space-x-2">
+        <Button type="button" variant="secondary" size="sm" onClick={copyCodes}>
+          <Copy className="w-4 h-4 mr-1" />
+          Copy
+        </Button>
+        <Button type="button" variant="secondary" size="sm" onClick={downloadCodes}>
+          <Download className="w-4 h-4 mr-1" />
+          Download
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default RecoveryCodesList
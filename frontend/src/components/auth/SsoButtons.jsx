@@ -0,0 +1,65 @@
+/**
+ * PATH: src/components/auth/SsoButtons.jsx
+ * Single sign-on buttons for the providers enabled on the server (Google,
+ * Microsoft, institution identity providers). Renders nothing when none are.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { Building } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+import Button from '../ui/Button'
+import { authAPI } from '../../services/api'
+
+const SsoButtons = () => {
+  const [providers, setProviders] = useState([])
+  const [pendingId, setPendingId] = useState(null)
+
+  useEffect(() => {
+    authAPI.getOidcProviders()
+      .then(response => setProviders(response.data.data.providers))
+      .catch(() => setProviders([]))
+  }, [])
+
+  const startLogin = async (providerId) => {
+    setPendingId(providerId)
+    try {
+      const response = await authAPI.startOidcLogin(providerId)
+      // Only this tab can finish the sign-in; the callback sends the key back
+      sessionStorage.setItem('oidc_browser_key', response.data.data.browserKey)
+      window.location.assign(response.data.data.authorizationUrl)
+    } catch (err) {
+      toast.error(err.response?.data?.error?.message || 'Could not start single sign-on')
+      setPendingId(null)
+    }
+  }
+
+  if (providers.length === 0) return null
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center space-x-3">
+        <div className="flex-1 border-t border-slate-200" />
+        <span className="text-xs text-slate-500">or continue with</span>
+        <div className="flex-1 border-t border-slate-200" />
+      </div>
+      {providers.map(provider => (
+        <Button
+          key={provider.id}
+          type="button"
+          variant="secondary"
+          size="md"
+          className="w-full"
+          onClick={() => startLogin(provider.id)}
+          disabled={Boolean(pendingId)}
+          loading={pendingId === provider.id}
+        >
+          <Building className="w-4 h-4 mr-2" />
+          {provider.name}
+        </Button>
+      ))}
+    </div>
+  )
+}
+
+export default SsoButtons
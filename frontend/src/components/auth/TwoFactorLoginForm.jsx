@@ -0,0 +1,137 @@
+/**
+ * PATH: src/components/auth/TwoFactorLoginForm.jsx
+ * Second login step: authenticator code or recovery code. When the admin
+ * policy requires two-factor and it is not set up yet, the QR code is shown first.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { ShieldCheck, AlertCircle } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+import Button from '../ui/Button'
+import Input from '../ui/Input'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import { authAPI } from '../../services/api'
+import { verifyTwoFactorLogin, clearTwoFactorChallenge } from '../../store/slices/authSlice'
+
+const TwoFactorLoginForm = ({ challenge }) => {
+  const dispatch = useDispatch()
+  const { isLoading, error } = useSelector(state => state.auth)
+  const [code, setCode] = useState('')
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const [setup, setSetup] = useState(null)
+
+  // Required setup: fetch the secret to scan before asking for a code
+  useEffect(() => {
+    if (!challenge.setupRequired) return
+
+    authAPI.loginTwoFactorSetup(challenge.challengeToken)
+      .then(response => setSetup(response.data.data))
+      .catch(err => {
+        toast.error(err.response?.data?.error?.message || 'Could not start two-factor setup')
+        dispatch(clearTwoFactorChallenge())
+      })
+  }, [challenge, dispatch])
+
+  const onSubmit = async (event) => {
+    event.preventDefault()
+    const factor = useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }
+
+    try {
+      await dispatch(verifyTwoFactorLogin({ challengeToken: challenge.challengeToken, ...factor })).unwrap()
+    } catch {
+      setCode('')
+    }
+  }
+
+  if (challenge.setupRequired && !setup) {
+    return (
+      <div className="py-8 flex justify-center">
+        <LoadingSpinner />
+      </div>
+    )
+  }
+
+  return (
+    <form onSubmit={onSubmit} className="space-y-6">
+      <div className="flex items-center space-x-3">
+        <ShieldCheck className="w-6 h-6 text-blue-600" />
+        <h3 className="text-lg font-semibold text-slate-900">Two-factor authentication</h3>
+      </div>
+
+      {setup ? (
+        <div className="space-y-3 text-center">
+          <p className="text-sm text-slate-600 text-left">
+            Your account requires two-factor authentication. Scan this QR code with an authenticator
+            app, then enter the 6-digit code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="mx-auto w-44 h-44" />
+          <p className="text-xs text-slate-500 break-all">
+            Can't scan? Enter this key: <span className="font-mono">{setup.secret}</span>
+          </p>
+        </div>
+      ) : (
+        <p className="text-sm text-slate-600">
+          {useRecoveryCode
+            ? 'Enter one of your recovery codes.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      )}
+
+      <Input
+        label={useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+        value={code}
+        onChange={(event) => setCode(event.target.value)}
+        placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+        autoComplete="one-time-code"
+        autoFocus
+      />
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+          <div className="flex items-center space-x-2">
+            <AlertCircle className="w-5 h-5 text-red-500" />
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        </div>
+      )}
+
+      <Button
+        type="submit"
+        variant="premium"
+        size="lg"
+        className="w-full"
+        disabled={!code.trim() || isLoading}
+        loading={isLoading}
+      >
+        Verify
+      </Button>
+
+      <div className="flex justify-between text-sm">
+        {!setup && (
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode)
+              setCode('')
+            }}
+            className="text-blue-600 hover:text-blue-700 transition-colors"
+          >
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => dispatch(clearTwoFactorChallenge())}
+          className="text-slate-500 hover:text-slate-700 transition-colors ml-auto"
+        >
+          Back to sign in
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default TwoFactorLoginForm
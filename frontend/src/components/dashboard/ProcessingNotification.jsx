@@ -1,14 +1,33 @@
 /**
  * PATH: src/components/dashboard/ProcessingNotification.jsx
- * Added localStorage persistence for processing times
+ * Live processing progress streamed from the server, with localStorage
+ * persistence for processing times
  */
 
 import React, { useState, useEffect, useCallback } from 'react'
 import { useDispatch } from 'react-redux'
 import { Clock, RefreshCw, CheckCircle, AlertCircle, FileText, Brain, Sparkles } from 'lucide-react'
 import { fetchUserDocuments } from '../../store/slices/documentsSlice'
+import { useProcessingEvents } from '../../hooks/useDocuments'
 import toast from 'react-hot-toast'
 
+// Browsers allow few open connections per host; leave room for normal requests
+const MAX_LIVE_STREAMS = 4
+
+// Queued or running, as opposed to uploaded and never sent for processing
+const isAwaitingProcessing = (document) =>
+  document.status === 'processing' ||
+  document.processing === 'queued' ||
+  Boolean(document.processing?.requestedAt)
+
+// Stages shown in the details panel, in processing order
+const PROCESSING_STEPS = [
+  { stage: 'text_extraction', label: 'Text Extraction' },
+  { stage: 'summarization', label: 'AI Summary' },
+  { stage: 'quiz_generation', label: 'Quiz Generation' },
+  { stage: 'finalization', label: 'Finalizing' }
+]
+
 const ProcessingNotification = ({ 
   processingDocuments = [], 
   onRefresh,
@@ -62,26 +81,59 @@ const ProcessingNotification = ({
     return `${secs}s`
   }
 
-  // Calculate progress percentage
-  const getProgress = (document, elapsed) => {
-    const estimate = getProcessingEstimate(document)
-    const progress = Math.min((elapsed / estimate) * 100, 95) // Cap at 95% until complete
-    return Math.round(progress)
-  }
-
-  // Auto-polling for status updates
+  // Manual status refresh
   const pollForUpdates = useCallback(async () => {
     if (processingDocuments.length === 0) return
 
     try {
-      console.log('🔄 Dashboard ProcessingNotification: Polling for document updates...')
+      console.log('🔄 Dashboard ProcessingNotification: Refreshing document status...')
       await dispatch(fetchUserDocuments({ limit: 1000 })).unwrap()
       setLastPollTime(new Date())
     } catch (error) {
-      console.error('❌ Dashboard ProcessingNotification: Failed to poll for updates:', error)
+      console.error('❌ Dashboard ProcessingNotification: Failed to refresh status:', error)
     }
   }, [dispatch, processingDocuments.length])
 
+  // Live progress: refresh the list once a document finishes so summaries and quizzes appear
+  const liveProgress = useProcessingEvents(
+    processingDocuments
+      .filter(isAwaitingProcessing)
+      .slice(0, MAX_LIVE_STREAMS)
+      .map(doc => doc.id || doc._id),
+    {
+      onCompleted: () => {
+        toast.success('🎉 Document processing completed!')
+        dispatch(fetchUserDocuments({ limit: 1000 }))
+        if (onRefresh) onRefresh()
+      },
+      onFailed: (event) => {
+        toast.error(event.error?.message || 'Document processing failed')
+        if (onRefresh) onRefresh()
+      }
+    }
+  )
+
+  // Progress from the server; falls back to a time estimate until the first event
+  const getProgress = (document, elapsed) => {
+    const live = liveProgress[document.id || document._id]
+    if (live) return live.percent
+
+    const estimate = getProcessingEstimate(document)
+    const progress = Math.min((elapsed / estimate) * 100, 95) // Cap at 95% until complete
+    return Math.round(progress)
+  }
+
+  const getStepState = (document, stage) => {
+    const live = liveProgress[document.id || document._id]
+    const currentIndex = PROCESSING_STEPS.findIndex(step => step.stage === live?.stage)
+    const stepIndex = PROCESSING_STEPS.findIndex(step => step.stage === stage)
+
+    if (currentIndex === -1) return 'waiting'
+    if (stepIndex < currentIndex) return 'done'
+    if (stepIndex === currentIndex) return 'active'
+    return 'waiting'
+  }
+
   // Timer effect for elapsed time tracking with localStorage sync
   useEffect(() => {
     const interval = setInterval(() => {
@@ -106,27 +158,9 @@ const ProcessingNotification = ({
     return () => clearInterval(interval)
   }, [processingDocuments])
 
-  // Auto-polling effect
+  // Reset timers once nothing is processing
   useEffect(() => {
-    if (processingDocuments.length === 0) return
-
-    // Initial poll after 30 seconds
-    const initialPoll = setTimeout(pollForUpdates, 30000)
-
-    // Then poll every 45 seconds
-    const pollInterval = setInterval(pollForUpdates, 45000)
-
-    return () => {
-      clearTimeout(initialPoll)
-      clearInterval(pollInterval)
-    }
-  }, [pollForUpdates])
-
-  // Show completion notifications
-  useEffect(() => {
-    // This effect would be triggered from parent when documents complete
     if (processingDocuments.length === 0 && Object.keys(timeElapsed).length > 0) {
-      toast.success('🎉 Document processing completed!')
       setTimeElapsed({})
     }
   }, [processingDocuments.length, timeElapsed])
@@ -185,6 +219,7 @@ const ProcessingNotification = ({
           <div className="space-y-3">
             {processingDocuments.map((document) => {
               const docId = document.id || document._id
+              const live = liveProgress[docId]
               const elapsed = timeElapsed[docId]?.elapsed || 0
               const estimate = getProcessingEstimate(document)
               const progress = getProgress(document, elapsed)
@@ -203,7 +238,9 @@ const ProcessingNotification = ({
                     <div className="flex items-center space-x-2 text-xs text-slate-500">
                       <Clock className="w-3 h-3" />
                       <span>
-                        {remaining > 0 ? `~${formatTimeRemaining(remaining)} left` : 'Finalizing...'}
+                        {live?.retrying
+                          ? `Retrying (attempt ${live.attempt + 1})`
+                          : remaining > 0 ? `~${formatTimeRemaining(remaining)} left` : 'Finalizing...'}
                       </span>
                     </div>
                   </div>
@@ -224,30 +261,30 @@ const ProcessingNotification = ({
 
                   {/* Processing Steps */}
                   <div className="text-xs text-slate-600">
-                    <div className="flex items-center space-x-4">
-                      <div className="flex items-center space-x-1">
-                        <CheckCircle className="w-3 h-3 text-green-500" />
-                        <span>Text Extracted</span>
-                      </div>
-                      
-                      <div className="flex items-center space-x-1">
-                        {progress > 30 ? (
-                          <CheckCircle className="w-3 h-3 text-green-500" />
-                        ) : (
-                          <Clock className="w-3 h-3 text-blue-500 animate-spin" />
-                        )}
-                        <span>AI Analysis</span>
-                      </div>
-                      
-                      <div className="flex items-center space-x-1">
-                        {progress > 70 ? (
-                          <CheckCircle className="w-3 h-3 text-green-500" />
-                        ) : (
-                          <Clock className="w-3 h-3 text-slate-400" />
-                        )}
-                        <span>Quiz Generation</span>
-                      </div>
+                    <div className="flex flex-wrap items-center gap-x-4 gap-y-1">
+                      {PROCESSING_STEPS.map(step => {
+                        const state = getStepState(document, step.stage)
+                        return (
+                          <div key={step.stage} className="flex items-center space-x-1">
+                            {state === 'done' ? (
+                              <CheckCircle className="w-3 h-3 text-green-500" />
+                            ) : state === 'active' ? (
+                              <Clock className="w-3 h-3 text-blue-500 animate-spin" />
+                            ) : (
+                              <Clock className="w-3 h-3 text-slate-400" />
+                            )}
+                            <span>{step.label}</span>
+                          </div>
+                        )
+                      })}
                     </div>
+
+                    {live?.error && (
+                      <div className="flex items-center space-x-1 mt-2 text-amber-700">
+                        <AlertCircle className="w-3 h-3" />
+                        <span>{live.error.message}</span>
+                      </div>
+                    )}
                   </div>
                 </div>
               )
@@ -260,8 +297,8 @@ const ProcessingNotification = ({
             <ul className="text-xs text-blue-800 space-y-1">
               <li>• Processing time depends on document size and complexity</li>
               <li>• You can safely navigate away - processing continues in background</li>
-              <li>• Documents will auto-refresh when processing completes</li>
-              <li>• Click "Check Status" for manual updates</li>
+              <li>• Progress updates live and documents refresh when processing completes</li>
+              <li>• Click "Check Status" to reload the document list</li>
             </ul>
           </div>
         </div>
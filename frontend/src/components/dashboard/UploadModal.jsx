@@ -4,10 +4,10 @@
 
 import React, { useState, useRef, useEffect } from 'react'
 import { useDispatch, useSelector } from 'react-redux'
-import { X, Upload, FileText, CheckCircle, AlertCircle, Clock, Sparkles, Crown } from 'lucide-react'
+import { X, Upload, FileText, CheckCircle, AlertCircle, Clock, Sparkles, Crown, Link2 } from 'lucide-react'
 import toast from 'react-hot-toast'
 import Button from '../ui/Button'
-import { uploadDocument } from '../../store/slices/documentsSlice'
+import { uploadDocument, importDocumentFromUrl } from '../../store/slices/documentsSlice'
 
 import { 
   selectCurrentPlan, 
@@ -31,6 +31,7 @@ const UploadModal = ({ isOpen, onClose, onSuccess }) => {
   
   const [dragActive, setDragActive] = useState(false)
   const [selectedFile, setSelectedFile] = useState(null)
+  const [importUrl, setImportUrl] = useState('')
   const [uploadStep, setUploadStep] = useState('select') // select, uploading, processing, complete, error, limit_reached
   const [processWithAI, setProcessWithAI] = useState(true)
   const [uploadedDocument, setUploadedDocument] = useState(null)
@@ -40,7 +41,20 @@ const UploadModal = ({ isOpen, onClose, onSuccess }) => {
   const isUploading = useSelector(state => state.documents?.isUploading)
 
   // Supported file types
-  const supportedTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain']
+  const supportedTypes = [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/epub+zip',
+    'text/plain',
+    'text/markdown',
+    'text/html',
+    'image/png',
+    'image/jpeg'
+  ]
+  // Browsers often report no type for .md and .epub files
+  const supportedExtensions = /\.(pdf|docx?|pptx|epub|txt|md|markdown|html?|png|jpe?g)$/i
   const maxFileSize = 10 * 1024 * 1024 // 10MB
 
   useEffect(() => {
@@ -51,6 +65,7 @@ const UploadModal = ({ isOpen, onClose, onSuccess }) => {
         setUploadStep('select')
       }
       setSelectedFile(null)
+      setImportUrl('')
       setUploadedDocument(null)
       setProcessingProgress(0)
     }
@@ -94,8 +109,8 @@ const UploadModal = ({ isOpen, onClose, onSuccess }) => {
   }, [uploadStep, uploadedDocument])
 
   const validateFile = (file) => {
-    if (!supportedTypes.includes(file.type)) {
-      toast.error('Please upload a PDF, Word document, or text file')
+    if (!supportedTypes.includes(file.type) && !supportedExtensions.test(file.name)) {
+      toast.error('Please upload a PDF, Word, PowerPoint, EPUB, Markdown, HTML or text file, or a PNG/JPEG image')
       return false
     }
     
@@ -158,23 +173,52 @@ const UploadModal = ({ isOpen, onClose, onSuccess }) => {
         processImmediately: processWithAI
       })).unwrap()
 
-      setUploadedDocument(result.document)
-      
-      if (processWithAI) {
-        setUploadStep('processing')
-        setProcessingProgress(10)
-        toast.success('Upload successful! AI processing started...')
-      } else {
-        setUploadStep('complete')
-        toast.success('Document uploaded successfully!')
-      }
-
+      handleDocumentCreated(result.document, 'Upload successful!')
     } catch (error) {
       setUploadStep('error')
       toast.error(error || 'Upload failed. Please try again.')
     }
   }
 
+  const handleImportUrl = async (e) => {
+    e.preventDefault()
+    const url = importUrl.trim()
+    if (!url) return
+
+    if (!/^https?:\/\//i.test(url)) {
+      toast.error('Please enter a web address starting with http:// or https://')
+      return
+    }
+
+    setUploadStep('uploading')
+
+    try {
+      const result = await dispatch(importDocumentFromUrl({
+        url,
+        metadata: { description: `Imported from ${url}` },
+        processImmediately: processWithAI
+      })).unwrap()
+
+      handleDocumentCreated(result.document, 'Page imported!')
+    } catch (error) {
+      setUploadStep('error')
+      toast.error(error || 'Import failed. Please try again.')
+    }
+  }
+
+  const handleDocumentCreated = (document, message) => {
+    setUploadedDocument(document)
+
+    if (processWithAI) {
+      setUploadStep('processing')
+      setProcessingProgress(10)
+      toast.success(`${message} AI processing started...`)
+    } else {
+      setUploadStep('complete')
+      toast.success('Document uploaded successfully!')
+    }
+  }
+
   const handleClose = () => {
     if (uploadStep === 'processing') {
       const confirmClose = window.confirm(
@@ -272,7 +316,7 @@ const UploadModal = ({ isOpen, onClose, onSuccess }) => {
           {/* File Selection Step */}
           {uploadStep === 'select' && canUpload && (
             <div className="space-y-4">
-              {!selectedFile ? (
+              {!selectedFile && (
                 <div
                   className={`border-2 border-dashed rounded-xl p-8 text-center cursor-pointer transition-all ${
                     dragActive 
@@ -294,7 +338,7 @@ const UploadModal = ({ isOpen, onClose, onSuccess }) => {
                   </h4>
                   
                   <p className="text-slate-600 mb-4">
-                    Supports PDF, Word documents, and text files up to 10MB
+                    Supports PDF, Word, PowerPoint, EPUB, Markdown, HTML, text files and scanned images up to 10MB
                   </p>
                   
                   <div className="bg-slate-100 rounded-lg p-3 mb-4">
@@ -325,10 +369,45 @@ const UploadModal = ({ isOpen, onClose, onSuccess }) => {
                     <span className="bg-slate-100 px-2 py-1 rounded">PDF</span>
                     <span className="bg-slate-100 px-2 py-1 rounded">DOCX</span>
                     <span className="bg-slate-100 px-2 py-1 rounded">DOC</span>
+                    <span className="bg-slate-100 px-2 py-1 rounded">PPTX</span>
+                    <span className="bg-slate-100 px-2 py-1 rounded">EPUB</span>
+                    <span className="bg-slate-100 px-2 py-1 rounded">MD</span>
+                    <span className="bg-slate-100 px-2 py-1 rounded">HTML</span>
                     <span className="bg-slate-100 px-2 py-1 rounded">TXT</span>
+                    <span className="bg-slate-100 px-2 py-1 rounded">PNG</span>
+                    <span className="bg-slate-100 px-2 py-1 rounded">JPG</span>
                   </div>
                 </div>
-              ) : (
+              )}
+
+              {/* Web Page Import */}
+              {!selectedFile && (
+                <form onSubmit={handleImportUrl} className="space-y-2">
+                  <label htmlFor="import-url" className="flex items-center space-x-2 text-sm font-medium text-slate-700">
+                    <Link2 className="w-4 h-4 text-slate-500" />
+                    <span>Or import a web page</span>
+                  </label>
+                  <div className="flex space-x-2">
+                    <input
+                      id="import-url"
+                      type="url"
+                      value={importUrl}
+                      onChange={(e) => setImportUrl(e.target.value)}
+                      placeholder="https://example.com/article"
+                      className="flex-1 min-w-0 px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <Button
+                      type="submit"
+                      variant="secondary"
+                      disabled={!importUrl.trim() || isUploading}
+                    >
+                      Import
+                    </Button>
+                  </div>
+                </form>
+              )}
+
+              {selectedFile && (
                 <div className="space-y-4">
                   {/* File Preview */}
                   <div className="flex items-center justify-between p-4 bg-slate-50 rounded-lg">
@@ -475,7 +554,7 @@ const UploadModal = ({ isOpen, onClose, onSuccess }) => {
         <input
           ref={fileInputRef}
           type="file"
-          accept=".pdf,.doc,.docx,.txt"
+          accept=".pdf,.doc,.docx,.pptx,.epub,.txt,.md,.markdown,.html,.htm,.png,.jpg,.jpeg"
           onChange={handleFileInput}
           className="hidden"
         />
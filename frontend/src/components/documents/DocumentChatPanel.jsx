@@ -0,0 +1,210 @@
+/**
+ * PATH: src/components/documents/DocumentChatPanel.jsx
+ * Document Chat Panel - Questions about a document answered with page citations
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react'
+import { MessageSquare, Send, Plus, Trash2 } from 'lucide-react'
+import Button from '../ui/Button'
+import LoadingSpinner from '../ui/LoadingSpinner'
+import documentsService from '../../services/documents.service'
+import toast from 'react-hot-toast'
+
+const citationLabel = (citation) => {
+  if (!citation.pageStart) return `[${citation.sourceNumber}]`
+  return citation.pageEnd && citation.pageEnd !== citation.pageStart
+    ? `[${citation.sourceNumber}] pp. ${citation.pageStart}-${citation.pageEnd}`
+    : `[${citation.sourceNumber}] p. ${citation.pageStart}`
+}
+
+const DocumentChatPanel = ({ documentId, onOpenPage }) => {
+  const [conversations, setConversations] = useState([])
+  const [conversationId, setConversationId] = useState(null)
+  const [messages, setMessages] = useState([])
+  const [input, setInput] = useState('')
+  const [sending, setSending] = useState(false)
+  const [loadingConversation, setLoadingConversation] = useState(false)
+  const messagesEndRef = useRef(null)
+
+  const loadConversations = useCallback(async () => {
+    try {
+      const response = await documentsService.getChatConversations(documentId)
+      setConversations(response.data || [])
+    } catch (err) {
+      console.error('❌ Failed to load conversations:', err)
+    }
+  }, [documentId])
+
+  useEffect(() => {
+    loadConversations()
+  }, [loadConversations])
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
+  }, [messages])
+
+  const openConversation = async (id) => {
+    try {
+      setLoadingConversation(true)
+      const response = await documentsService.getChatConversation(documentId, id)
+      setConversationId(id)
+      setMessages(response.data.messages || [])
+    } catch (err) {
+      console.error('❌ Failed to open conversation:', err)
+      toast.error(err.message || 'Failed to open conversation')
+    } finally {
+      setLoadingConversation(false)
+    }
+  }
+
+  const startNewConversation = () => {
+    setConversationId(null)
+    setMessages([])
+  }
+
+  const deleteConversation = async (id) => {
+    try {
+      await documentsService.deleteChatConversation(documentId, id)
+      setConversations(prev => prev.filter(conversation => conversation.id !== id))
+      if (id === conversationId) startNewConversation()
+    } catch (err) {
+      console.error('❌ Failed to delete conversation:', err)
+      toast.error(err.message || 'Failed to delete conversation')
+    }
+  }
+
+  const sendMessage = async (e) => {
+    e.preventDefault()
+    const message = input.trim()
+    if (!message || sending) return
+
+    // Show the question right away; the server's copy replaces it with the answer
+    const pending = { _id: 'pending', role: 'user', content: message }
+    setMessages(prev => [...prev, pending])
+    setInput('')
+
+    try {
+      setSending(true)
+      const response = await documentsService.sendChatMessage(documentId, message, conversationId)
+      const { conversation, userMessage, assistantMessage } = response.data
+
+      setMessages(prev => [...prev.filter(entry => entry !== pending), userMessage, assistantMessage])
+      if (!conversationId) {
+        setConversationId(conversation.id)
+      }
+      loadConversations()
+    } catch (err) {
+      console.error('❌ Failed to send question:', err)
+      setMessages(prev => prev.filter(entry => entry !== pending))
+      setInput(message)
+      toast.error(err.message || 'Failed to answer the question')
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-2xl border border-slate-200 p-5">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2">
+          <MessageSquare className="w-5 h-5 text-purple-600" />
+          <h2 className="font-semibold text-slate-900">Ask this document</h2>
+        </div>
+        {conversationId && (
+          <Button variant="ghost" size="sm" onClick={startNewConversation}>
+            <Plus className="w-4 h-4 mr-1" />
+            New conversation
+          </Button>
+        )}
+      </div>
+
+      {conversations.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-4">
+          {conversations.map(conversation => (
+            <div
+              key={conversation.id}
+              className={`flex items-center text-xs rounded-full border pl-3 pr-1 py-1 ${
+                conversation.id === conversationId
+                  ? 'bg-purple-50 border-purple-200 text-purple-900'
+                  : 'border-slate-200 text-slate-600 hover:bg-slate-50'
+              }`}
+            >
+              <button onClick={() => openConversation(conversation.id)} className="max-w-[12rem] truncate">
+                {conversation.title}
+              </button>
+              <button
+                onClick={() => deleteConversation(conversation.id)}
+                className="ml-1 p-1 text-slate-400 hover:text-red-600"
+                aria-label="Delete conversation"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="bg-slate-50 border border-slate-200 rounded-lg p-4 h-80 overflow-y-auto space-y-3">
+        {loadingConversation ? (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner className="text-purple-600" />
+          </div>
+        ) : messages.length === 0 ? (
+          <p className="text-sm text-slate-500 text-center py-8">
+            Ask a question and the answer will point you to the pages it comes from.
+          </p>
+        ) : (
+          messages.map((message, index) => (
+            <div key={message._id || index} className={message.role === 'user' ? 'flex justify-end' : 'flex justify-start'}>
+              <div className={`max-w-[85%] rounded-lg px-3 py-2 text-sm ${
+                message.role === 'user'
+                  ? 'bg-purple-600 text-white'
+                  : 'bg-white border border-slate-200 text-slate-700'
+              }`}>
+                <p className="whitespace-pre-line leading-relaxed">{message.content}</p>
+                {message.citations?.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {message.citations.map(citation => (
+                      <button
+                        key={citation.sourceNumber}
+                        onClick={() => onOpenPage(citation.pageStart)}
+                        disabled={!citation.pageStart}
+                        title={citation.excerpt}
+                        className="text-xs bg-purple-50 text-purple-700 border border-purple-200 rounded px-1.5 py-0.5 hover:bg-purple-100 disabled:cursor-default"
+                      >
+                        {citationLabel(citation)}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))
+        )}
+        {sending && (
+          <div className="flex justify-start">
+            <LoadingSpinner size="sm" className="text-purple-600" />
+          </div>
+        )}
+        <div ref={messagesEndRef} />
+      </div>
+
+      <form onSubmit={sendMessage} className="flex items-center space-x-2 mt-3">
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          maxLength={2000}
+          placeholder="Ask a question about this document..."
+          className="flex-1 px-3 py-2 text-sm border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+          disabled={sending}
+        />
+        <Button type="submit" size="sm" disabled={sending || !input.trim()}>
+          <Send className="w-4 h-4" />
+        </Button>
+      </form>
+    </div>
+  )
+}
+
+export default DocumentChatPanel
@@ -147,7 +147,7 @@ const DocumentQuizModal = ({ isOpen, document, onClose, onStartQuiz }) => {
                   </div>
                   <div>
                     <span className="text-slate-600">Quality:</span>
-                    <span className="ml-2 font-medium capitalize">{document.file?.metadata?.quality || 'N/A'}</span>
+                    <span className="ml-2 font-medium capitalize">{document.file?.metadata?.quality?.rating || 'N/A'}</span>
                   </div>
                 </div>
               </div>
@@ -5,6 +5,7 @@
 
 import React, { useState, useEffect } from 'react'
 import { useDispatch } from 'react-redux'
+import { Link } from 'react-router-dom'
 import { 
   FileText, 
   CheckCircle, 
@@ -558,7 +559,9 @@ const DocumentsGrid = ({
                   ) : (
                     <div className="flex items-center justify-between group">
                       <h3 className="font-semibold text-slate-900 text-sm line-clamp-2 flex-1">
-                        {document.title || 'Untitled Document'}
+                        <Link to={`/documents/${document.id}`} className="hover:text-blue-600">
+                          {document.title || 'Untitled Document'}
+                        </Link>
                       </h3>
                       <Button
                         variant="ghost"
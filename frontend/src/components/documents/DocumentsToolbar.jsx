@@ -1,9 +1,10 @@
 /**
  * PATH: src/components/documents/DocumentsToolbar.jsx
- * Search input
+ * Search input with library-wide results, filters, sort and view mode
  */
 
 import React, { useState, useRef, useEffect } from 'react'
+import { Link } from 'react-router-dom'
 import { 
   Search, 
   Filter, 
@@ -18,6 +19,7 @@ import {
   Download
 } from 'lucide-react'
 import Button from '../ui/Button'
+import documentsService from '../../services/documents.service'
 import { 
   VIEW_MODES,
   FILTER_OPTIONS,
@@ -26,6 +28,28 @@ import {
   canAccessFeature
 } from './DocumentsPageConfig'
 
+const RESULT_TYPE_LABELS = {
+  document: 'Document',
+  summary: 'Summary',
+  key_point: 'Key point',
+  quiz_question: 'Quiz question'
+}
+
+// Snippet with the ranges that matched the query in bold
+const HighlightedSnippet = ({ snippet, highlights = [] }) => {
+  const parts = []
+  let cursor = 0
+
+  highlights.forEach(({ start, end }) => {
+    if (start > cursor) parts.push(<span key={`t${cursor}`}>{snippet.slice(cursor, start)}</span>)
+    parts.push(<mark key={`m${start}`} className="bg-yellow-100 text-slate-900 rounded px-0.5">{snippet.slice(start, end)}</mark>)
+    cursor = end
+  })
+  if (cursor < snippet.length) parts.push(<span key={`t${cursor}`}>{snippet.slice(cursor)}</span>)
+
+  return <>{parts}</>
+}
+
 const DocumentsToolbar = ({
   currentPlan,
   viewMode,
@@ -47,8 +71,11 @@ const DocumentsToolbar = ({
   const [showFilters, setShowFilters] = useState(false)
   const [showSortMenu, setShowSortMenu] = useState(false)
   const [searchTimeoutId, setSearchTimeoutId] = useState(null)
+  const [libraryResults, setLibraryResults] = useState(null)
+  const [librarySearching, setLibrarySearching] = useState(false)
   
   const isMountedRef = useRef(true)
+  const latestQueryRef = useRef('')
   
   useEffect(() => {
     isMountedRef.current = true
@@ -83,6 +110,39 @@ const DocumentsToolbar = ({
     return finalFilters
   }
 
+  // Semantic search across documents and quizzes; only the latest query's results are shown
+  const runLibrarySearch = async (value) => {
+    const query = value.trim()
+    latestQueryRef.current = query
+
+    if (query.length < 2) {
+      setLibraryResults(null)
+      setLibrarySearching(false)
+      return
+    }
+
+    try {
+      setLibrarySearching(true)
+      const response = await documentsService.searchLibrary(query, { limit: 8 })
+      if (isMountedRef.current && latestQueryRef.current === query) {
+        setLibraryResults(response.data || [])
+      }
+    } catch (err) {
+      console.error('❌ Library search failed:', err)
+      if (isMountedRef.current && latestQueryRef.current === query) {
+        setLibraryResults(null)
+      }
+    } finally {
+      if (isMountedRef.current && latestQueryRef.current === query) {
+        setLibrarySearching(false)
+      }
+    }
+  }
+
+  const getResultLink = (result) => {
+    return result.type === 'quiz_question' ? `/quiz/${result.quizId}` : `/documents/${result.documentId}`
+  }
+
   const handleSearchInputChange = (e) => {
     const value = e.target.value
     console.log('🔍 Search input changed to:', value)
@@ -100,6 +160,7 @@ const DocumentsToolbar = ({
         const finalFilters = buildFilters(value, activeFilters)
         console.log('🔍 Search triggered:', value, finalFilters)
         onFilterChange(finalFilters)
+        runLibrarySearch(value)
       }
     }, 300)
     
@@ -109,6 +170,8 @@ const DocumentsToolbar = ({
   const handleClearSearch = () => {
     console.log('🧹 User clicked clear search')
     setSearchInput('')
+    latestQueryRef.current = ''
+    setLibraryResults(null)
     
     if (searchTimeoutId) {
       clearTimeout(searchTimeoutId)
@@ -165,6 +228,8 @@ const DocumentsToolbar = ({
     console.log('🧹 Clearing everything including search')
     
     setSearchInput('')
+    latestQueryRef.current = ''
+    setLibraryResults(null)
     setActiveFilters({
       status: null,
       category: null,
@@ -217,6 +282,37 @@ const DocumentsToolbar = ({
                 <X className="w-4 h-4" />
               </button>
             )}
+
+            {/* Library Results */}
+            {searchInput.trim().length >= 2 && (librarySearching || libraryResults) && (
+              <div className="absolute top-full left-0 right-0 mt-2 bg-white rounded-lg shadow-lg border border-slate-200 z-20 max-h-96 overflow-y-auto">
+                {librarySearching && !libraryResults ? (
+                  <p className="p-3 text-sm text-slate-500">Searching your library...</p>
+                ) : libraryResults.length === 0 ? (
+                  <p className="p-3 text-sm text-slate-500">Nothing in your library matches this search.</p>
+                ) : (
+                  <ul className="divide-y divide-slate-100">
+                    {libraryResults.map(result => (
+                      <li key={result.id}>
+                        <Link
+                          to={getResultLink(result)}
+                          onClick={() => setLibraryResults(null)}
+                          className="block px-3 py-2 hover:bg-slate-50"
+                        >
+                          <div className="flex items-center justify-between text-xs text-slate-500 mb-0.5">
+                            <span className="font-medium text-slate-700 truncate">{result.title}</span>
+                            <span className="ml-2 shrink-0">{RESULT_TYPE_LABELS[result.type]}</span>
+                          </div>
+                          <p className="text-sm text-slate-600 line-clamp-2">
+                            <HighlightedSnippet snippet={result.snippet} highlights={result.highlights} />
+                          </p>
+                        </Link>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
           </div>
         </div>
 
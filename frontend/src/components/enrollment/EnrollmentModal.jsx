@@ -10,7 +10,7 @@ import {
 } from 'lucide-react'
 import Button from '../ui/Button'
 import LoadingSpinner from '../ui/LoadingSpinner'
-import pointsService from '../../services/points.service'
+import coursesService from '../../services/courses.service'
 import enrollmentService from '../../services/enrollment.service'
 import { fetchUserPoints } from '../../store/slices/coursesSlice'
 import { fetchUserStats } from '../../store/slices/authSlice'
@@ -112,21 +112,20 @@ const EnrollmentModal = ({
       const pointsToDeduct = usePointsDiscount ? costBreakdown.pointsUsed : 0
       const finalPrice = usePointsDiscount ? costBreakdown.finalPrice : costBreakdown.originalPrice
 
-      // Process points deduction if using points
+      // The server holds the points for this purchase; nothing is deducted client-side
       if (usePointsDiscount && pointsToDeduct > 0) {
-        const pointsResult = await pointsService.deductPoints(
-          pointsToDeduct,
-          course.id,
-          {
-            originalPrice: costBreakdown.originalPrice,
-            finalPrice: finalPrice,
-            discountAmount: costBreakdown.pointsDiscount,
-            discountPercentage: costBreakdown.discountPercentage
-          }
-        )
-
-        if (!pointsResult.success) {
-          setError('Failed to process points deduction: ' + pointsResult.error)
+        let purchase
+        try {
+          purchase = await coursesService.purchaseCourse(course.id, pointsToDeduct)
+        } catch (purchaseError) {
+          setError('Failed to apply points discount: ' + purchaseError.message)
+          return
+        }
+
+        // Part of the price is still to pay: continue at the payment page
+        const checkoutUrl = purchase?.data?.purchase?.checkoutUrl
+        if (purchase?.data?.purchase?.status === 'pending' && checkoutUrl) {
+          window.location.assign(checkoutUrl)
           return
         }
 
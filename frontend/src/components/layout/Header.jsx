@@ -6,9 +6,8 @@
 import React, { useState, useEffect } from 'react'
 import { useSelector, useDispatch } from 'react-redux'
 import { useNavigate, useLocation } from 'react-router-dom'
-import { Menu, X, ChevronDown, BookOpen, Brain, Trophy, Sparkles, User, LogOut, Settings, GraduationCap, Plus } from 'lucide-react'
+import { Menu, X, ChevronDown, BookOpen, Brain, Trophy, Sparkles, User, LogOut, Settings, GraduationCap } from 'lucide-react'
 import { logoutUser, fetchUserStats, getCurrentUser } from '../../store/slices/authSlice'
-import { addUserPoints, fetchUserPoints } from '../../store/slices/pointsSlice'
 import { selectStats } from '../../store/slices/userStatsSlice'
 import { selectCurrentPlan } from '../../store/slices/subscriptionSlice'
 import toast from 'react-hot-toast'
@@ -133,29 +132,6 @@ const Header = () => {
     totalPoints: currentPoints
   }
 
-  const handleAddTestPoints = async () => {
-    const pointsToAdd = prompt('How many points to add?', '100')
-    if (pointsToAdd && !isNaN(pointsToAdd)) {
-      try {
-        await dispatch(addUserPoints({ 
-          amount: parseInt(pointsToAdd), 
-          reason: 'Manual testing points' 
-        })).unwrap()
-        
-        await Promise.all([
-          dispatch(fetchUserPoints()),  // Refresh pointsSlice
-          dispatch(fetchUserStats())    // Refresh authSlice
-        ])
-        
-        console.log('✅ Points updated in all Redux slices')
-        toast.success(`Added ${pointsToAdd} points!`)
-      } catch (error) {
-        toast.error('Failed to add points')
-        console.error('Points addition error:', error)
-      }
-    }
-  }
-
   const [coursesDropdownTimeout, setCoursesDropdownTimeout] = useState(null)
 
   const handleCoursesMouseEnter = () => {
@@ -283,6 +259,17 @@ const Header = () => {
           Documents
         </a>
 
+        <a 
+          href="/flashcards" 
+          className={`font-medium transition-colors ${
+            location.pathname === '/flashcards' 
+              ? 'text-blue-600' 
+              : 'text-slate-600 hover:text-blue-600'
+          }`}
+        >
+          Flashcards
+        </a>
+
         <div 
           className="relative"
           onMouseEnter={handleCoursesMouseEnter}
@@ -349,16 +336,6 @@ const Header = () => {
           <span className="text-sm font-medium text-amber-700">
             {currentPoints.toLocaleString()} pts {/* 🆕 Use currentPoints instead of liveStats.totalPoints */}
           </span>
-          {/* Testing Button - Only show in development */}
-          {import.meta.env.MODE === 'development' && (
-            <button
-              onClick={handleAddTestPoints}
-              className="ml-2 w-6 h-6 bg-amber-200 hover:bg-amber-300 rounded-full flex items-center justify-center text-amber-700 hover:text-amber-800 transition-colors"
-              title="Add test points"
-            >
-              <Plus className="w-3 h-3" />
-            </button>
-          )}
         </div>
 
         <div className="relative">
@@ -493,6 +470,7 @@ const Header = () => {
 
                   <a href="/dashboard" className="font-medium py-2 text-slate-600 hover:text-blue-600">Dashboard</a>
                   <a href="/documents" className="font-medium py-2 text-slate-600 hover:text-blue-600">Documents</a>
+                  <a href="/flashcards" className="font-medium py-2 text-slate-600 hover:text-blue-600">Flashcards</a>
                   <a href="/courses" className="font-medium py-2 text-slate-600 hover:text-blue-600">All Courses</a>
                   <a href="/my-courses" className="font-medium py-2 text-slate-600 hover:text-blue-600">My Courses</a>
                   
@@ -11,10 +11,13 @@ export { default as QuizInterface } from './taking/QuizInterface'
 export { default as QuestionCard } from './taking/QuestionCard'
 export { default as TrueFalseQuestion } from './taking/TrueFalseQuestion'
 export { default as MultipleChoiceQuestion } from './taking/MultipleChoiceQuestion'
+export { default as FillInBlankQuestion } from './taking/FillInBlankQuestion'
+export { default as ShortAnswerQuestion } from './taking/ShortAnswerQuestion'
 export { default as QuizProgress } from './taking/QuizProgress'
 
 // Results
 export { default as QuizResults } from './results/QuizResults'
 export { default as BasicResults } from './results/BasicResults'
 export { default as EnhancedResults } from './results/EnhancedResults'
-export { default as AdvancedResults } from './results/AdvancedResults'
\ No newline at end of file
+export { default as AdvancedResults } from './results/AdvancedResults'
+export { default as RubricFeedback } from './results/RubricFeedback'
\ No newline at end of file
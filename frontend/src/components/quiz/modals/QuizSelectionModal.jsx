@@ -5,7 +5,7 @@
 
 import React, { useState, useEffect } from 'react'
 import { useSelector } from 'react-redux'
-import { X, Brain, CheckCircle, XCircle, Crown, Clock, Target } from 'lucide-react'
+import { X, Brain, CheckCircle, XCircle, Crown, Clock, Target, PenLine, MessageSquare } from 'lucide-react'
 import Button from '../../ui/Button'
 import LoadingSpinner from '../../ui/LoadingSpinner'
 import { selectCurrentPlan, selectPlanFeatures } from '../../../store/slices/subscriptionSlice'
@@ -46,7 +46,7 @@ const QuizSelectionModal = ({ isOpen, document, onClose, onStartQuiz }) => {
   const handleQuizTypeSelect = async (quizType) => {
     if (!availableQuizTypes.includes(quizType)) {
       // Show upgrade modal
-      toast.error(`${quizType.replace('_', ' ')} quizzes require ${quizType === 'multiple_choice' ? 'Basic' : 'Premium'} plan or higher`)
+      toast.error(`${quizType.replace(/_/g, ' ')} quizzes require ${quizType === 'multiple_choice' ? 'Basic' : 'Premium'} plan or higher`)
       return
     }
 
@@ -101,6 +101,24 @@ const QuizSelectionModal = ({ isOpen, document, onClose, onStartQuiz }) => {
       difficulty: 'mixed',
       color: 'purple',
       available: availableQuizTypes.includes('multiple_choice')
+    },
+    fill_in_blank: {
+      title: 'Fill in the Blank',
+      description: 'Recall key terms by completing sentences from the material',
+      icon: <PenLine className="w-6 h-6" />,
+      estimatedTime: '4-6 minutes',
+      difficulty: 'Medium',
+      color: 'blue',
+      available: availableQuizTypes.includes('fill_in_blank')
+    },
+    short_answer: {
+      title: 'Short Answer',
+      description: 'Explain concepts in your own words with short written answers',
+      icon: <MessageSquare className="w-6 h-6" />,
+      estimatedTime: '6-10 minutes',
+      difficulty: 'Hard',
+      color: 'purple',
+      available: availableQuizTypes.includes('short_answer')
     }
   }
 
@@ -94,10 +94,11 @@ const QuestionsTab = ({ results }) => (
             options: result.options || [],
             explanation: result.explanation,
             correctAnswer: result.correctAnswer,
-            correctAnswerIndex: result.correctAnswerIndex
+            correctAnswerIndex: result.correctAnswerIndex,
+            acceptedAnswers: result.acceptedAnswers
           }}
           questionNumber={index + 1}
-          questionType="multiple_choice"
+          questionType={result.type || 'multiple_choice'}
           answer={result.userAnswer}
           showExplanations={true}
           showResult={true}
@@ -6,6 +6,7 @@ import React from 'react'
 import { CheckCircle, XCircle, Info, Crown, Target, BookOpen} from 'lucide-react'
 import Button from '../../ui/Button'
 import QuestionCard from '../taking/QuestionCard'
+import RubricFeedback from './RubricFeedback'
 
 const EnhancedResults = ({ results }) => {
   if (!results) return null
@@ -19,11 +20,12 @@ const EnhancedResults = ({ results }) => {
         
         <div className="space-y-6">
           {results.detailedResults && results.detailedResults.map((result, index) => {
-            const hasOptions = result.options && Array.isArray(result.options)
+            const hasOptions = Array.isArray(result.options) && result.options.length > 0
             const isMultipleChoice = hasOptions && result.options.length > 2
-            const questionType = isMultipleChoice ? 'multiple_choice' : 'true_false'
+            const questionType = result.type || (isMultipleChoice ? 'multiple_choice' : 'true_false')
+            const isTypedAnswer = questionType === 'fill_in_blank' || questionType === 'short_answer'
             
-            const questionOptions = hasOptions ? result.options : ['True', 'False']
+            const questionOptions = hasOptions || isTypedAnswer ? result.options || [] : ['True', 'False']
             
             console.log(`🔍 Question ${index + 1} Detection:`, {
               hasOptions,
@@ -41,7 +43,8 @@ const EnhancedResults = ({ results }) => {
                     options: questionOptions,
                     explanation: result.explanation,
                     correctAnswer: result.correctAnswer,
-                    correctAnswerIndex: result.correctAnswerIndex
+                    correctAnswerIndex: result.correctAnswerIndex,
+                    acceptedAnswers: result.acceptedAnswers
                   }}
                   questionNumber={index + 1}
                   questionType={questionType}
@@ -51,6 +54,8 @@ const EnhancedResults = ({ results }) => {
                   isCorrect={result.isCorrect}
                 />
                 
+                <RubricFeedback grading={result.grading} points={result.points} />
+                
                 {/* Points breakdown */}
                 <div className="mt-4 flex items-center justify-between text-sm">
                   <div className="flex items-center space-x-4">
@@ -58,9 +63,9 @@ const EnhancedResults = ({ results }) => {
                       Time spent: {Math.round((result.timeSpent || 0) / 1000)}s
                     </span>
                     <span className={`font-medium ${
-                      result.isCorrect ? 'text-green-600' : 'text-red-600'
+                      result.isCorrect ? 'text-green-600' : result.pointsEarned > 0 ? 'text-amber-600' : 'text-red-600'
                     }`}>
-                      Points: {result.pointsEarned || (result.isCorrect ? 1 : 0)}
+                      Points: {result.pointsEarned ?? (result.isCorrect ? 1 : 0)}
                     </span>
                   </div>
                 </div>
@@ -0,0 +1,59 @@
+/**
+ * PATH: src/components/quiz/results/RubricFeedback.jsx
+ * Partial credit, rationale and "what you missed" for an AI-graded short answer
+ */
+
+import React from 'react'
+import { Sparkles, AlertTriangle } from 'lucide-react'
+
+const RubricFeedback = ({ grading, points = 1 }) => {
+  if (!grading || grading.method !== 'ai') return null
+
+  const percent = Math.round((grading.score || 0) * 100)
+  const barColor = percent >= 80 ? 'bg-green-500' : percent >= 50 ? 'bg-amber-500' : 'bg-red-500'
+
+  return (
+    <div className="mt-4 p-4 rounded-xl border border-purple-200 bg-purple-50 space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2 text-purple-800">
+          <Sparkles className="w-4 h-4" />
+          <span className="text-sm font-medium">AI Rubric Grading</span>
+        </div>
+        <span className="text-sm font-semibold text-purple-900">
+          {percent}% • {Math.round(points * (grading.score || 0) * 100) / 100}/{points} pts
+        </span>
+      </div>
+
+      <div className="w-full bg-purple-100 rounded-full h-2">
+        <div className={`${barColor} h-2 rounded-full`} style={{ width: `${percent}%` }} />
+      </div>
+
+      {grading.rationale && (
+        <p className="text-sm text-slate-700">{grading.rationale}</p>
+      )}
+
+      {grading.missed && (
+        <div className="flex items-start space-x-2 p-3 rounded-lg bg-amber-50 border border-amber-200 text-amber-800">
+          <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <div>
+            <span className="text-sm font-medium">What you missed: </span>
+            <span className="text-sm">{grading.missed}</span>
+          </div>
+        </div>
+      )}
+
+      {grading.rubric?.length > 0 && (
+        <ul className="text-xs text-slate-600 space-y-1">
+          {grading.rubric.map((item, index) => (
+            <li key={index} className="flex justify-between">
+              <span>• {item.criterion}</span>
+              <span className="text-slate-400">{Math.round(item.weight * 100)}%</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default RubricFeedback
@@ -0,0 +1,111 @@
+/**
+ * PATH: src/components/quiz/taking/FillInBlankQuestion.jsx
+ * Typed answer for a sentence with one missing term ("_____")
+ */
+
+import React, { useState, useEffect } from 'react'
+import { CheckCircle, XCircle, CornerDownLeft } from 'lucide-react'
+
+const BLANK_PATTERN = /_{3,}/
+
+const FillInBlankQuestion = ({
+  question,
+  answer,
+  onAnswerChange,
+  showResult = false,
+  isCorrect = null
+}) => {
+  const [draft, setDraft] = useState(answer ?? '')
+
+  // Keep the input in sync when moving between questions
+  useEffect(() => {
+    setDraft(answer ?? '')
+  }, [question.id, answer])
+
+  // Answers are graded on submit, so only send finished answers
+  const submitDraft = () => {
+    const value = draft.trim()
+    if (!showResult && value && value !== answer) {
+      onAnswerChange(value)
+    }
+  }
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault()
+      submitDraft()
+    }
+  }
+
+  const [before, after = ''] = (question.question || '').split(BLANK_PATTERN)
+  const filledText = showResult ? answer : draft
+
+  const acceptedAnswers = (question.acceptedAnswers || []).filter(Boolean)
+
+  return (
+    <div className="space-y-4">
+      {/* Sentence preview with the answer in place of the blank */}
+      <p className="text-slate-700 leading-relaxed">
+        {before}
+        <span className={`inline-block min-w-[6rem] px-2 mx-1 border-b-2 font-medium text-center ${
+          showResult
+            ? isCorrect ? 'border-green-500 text-green-700' : 'border-red-500 text-red-700'
+            : filledText ? 'border-blue-400 text-blue-800' : 'border-slate-300 text-slate-400'
+        }`}>
+          {filledText || ' '}
+        </span>
+        {after}
+      </p>
+
+      {showResult ? (
+        <div className="space-y-2">
+          <div className={`flex items-center space-x-2 p-3 rounded-lg border-2 ${
+            isCorrect ? 'border-green-500 bg-green-50 text-green-800' : 'border-red-500 bg-red-50 text-red-800'
+          }`}>
+            {isCorrect ? <CheckCircle className="w-4 h-4" /> : <XCircle className="w-4 h-4" />}
+            <span className="text-sm font-medium">
+              Your Answer{isCorrect ? ' (Correct)' : ' (Incorrect)'}: {answer || 'No answer'}
+            </span>
+          </div>
+
+          {!isCorrect && question.correctAnswer && (
+            <div className="flex items-center space-x-2 p-3 rounded-lg border-2 border-green-400 bg-green-50 text-green-700">
+              <CheckCircle className="w-4 h-4" />
+              <span className="text-sm font-medium">Correct Answer: {question.correctAnswer}</span>
+            </div>
+          )}
+
+          {acceptedAnswers.length > 0 && (
+            <p className="text-xs text-slate-500">
+              Also accepted: {acceptedAnswers.join(', ')}
+            </p>
+          )}
+        </div>
+      ) : (
+        <div className="flex items-center space-x-2">
+          <input
+            type="text"
+            value={draft}
+            onChange={(event) => setDraft(event.target.value)}
+            onKeyDown={handleKeyDown}
+            onBlur={submitDraft}
+            maxLength={100}
+            placeholder="Type the missing word or phrase"
+            className="flex-1 p-3 border-2 border-slate-200 rounded-xl focus:border-blue-400 focus:outline-none text-slate-800"
+          />
+          <button
+            type="button"
+            onClick={submitDraft}
+            disabled={!draft.trim() || draft.trim() === answer}
+            className="flex items-center space-x-1 px-4 py-3 rounded-xl bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:bg-slate-200 disabled:text-slate-500 transition-colors"
+          >
+            <CornerDownLeft className="w-4 h-4" />
+            <span>{answer ? 'Update' : 'Submit'}</span>
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FillInBlankQuestion
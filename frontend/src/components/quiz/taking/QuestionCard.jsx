@@ -7,6 +7,15 @@ import React from 'react'
 import { CheckCircle, XCircle, Info } from 'lucide-react'
 import TrueFalseQuestion from './TrueFalseQuestion'
 import MultipleChoiceQuestion from './MultipleChoiceQuestion'
+import FillInBlankQuestion from './FillInBlankQuestion'
+import ShortAnswerQuestion from './ShortAnswerQuestion'
+
+const QUESTION_TYPE_LABELS = {
+  multiple_choice: 'Multiple Choice',
+  true_false: 'True / False',
+  fill_in_blank: 'Fill in the Blank',
+  short_answer: 'Short Answer'
+}
 
 const QuestionCard = ({ 
   question, 
@@ -33,6 +42,10 @@ const QuestionCard = ({
         return <TrueFalseQuestion {...commonProps} />
       case 'multiple_choice':
         return <MultipleChoiceQuestion {...commonProps} />
+      case 'fill_in_blank':
+        return <FillInBlankQuestion {...commonProps} />
+      case 'short_answer':
+        return <ShortAnswerQuestion {...commonProps} />
       default:
         return <MultipleChoiceQuestion {...commonProps} />
     }
@@ -53,7 +66,7 @@ const QuestionCard = ({
           
           {/* Question Type Badge */}
           <div className="mt-2 inline-flex items-center px-2 py-1 bg-slate-100 text-slate-600 rounded text-xs">
-            {questionType === 'true_false' ? 'True / False' : 'Multiple Choice'}
+            {QUESTION_TYPE_LABELS[questionType] || QUESTION_TYPE_LABELS.multiple_choice}
           </div>
         </div>
 
@@ -247,7 +247,7 @@ const QuizInterface = () => {
                 <div className="flex items-center space-x-4 text-sm text-slate-600">
                   <div className="flex items-center space-x-1">
                     <Brain className="w-4 h-4" />
-                    <span className="capitalize">{quiz.questionType?.replace('_', ' ')}</span>
+                    <span className="capitalize">{quiz.questionType?.replace(/_/g, ' ')}</span>
                   </div>
                   <div className="flex items-center space-x-1">
                     <Clock className="w-4 h-4" />
@@ -292,7 +292,7 @@ const QuizInterface = () => {
           <QuestionCard
             question={currentQuestionData}
             questionNumber={currentQuestion + 1}
-            questionType={quiz.questionType}
+            questionType={currentQuestionData.type || quiz.questionType}
             answer={answers[currentQuestionData.id]}
             onAnswerChange={(answer) => handleAnswerSubmit(currentQuestionData.id, answer)}
             showExplanations={planFeatures.showExplanations}
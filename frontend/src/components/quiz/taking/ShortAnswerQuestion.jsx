@@ -0,0 +1,108 @@
+/**
+ * PATH: src/components/quiz/taking/ShortAnswerQuestion.jsx
+ * Typed answer of a short phrase or sentence
+ */
+
+import React, { useState, useEffect } from 'react'
+import { CheckCircle, XCircle, Send } from 'lucide-react'
+
+const MAX_LENGTH = 500
+
+const ShortAnswerQuestion = ({
+  question,
+  answer,
+  onAnswerChange,
+  showResult = false,
+  isCorrect = null
+}) => {
+  const [draft, setDraft] = useState(answer ?? '')
+
+  // Keep the textarea in sync when moving between questions
+  useEffect(() => {
+    setDraft(answer ?? '')
+  }, [question.id, answer])
+
+  // Answers are graded on submit, so only send finished answers
+  const submitDraft = () => {
+    const value = draft.trim()
+    if (!showResult && value && value !== answer) {
+      onAnswerChange(value)
+    }
+  }
+
+  // Enter submits, Shift+Enter adds a line
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault()
+      submitDraft()
+    }
+  }
+
+  const acceptedAnswers = (question.acceptedAnswers || []).filter(Boolean)
+
+  if (showResult) {
+    return (
+      <div className="space-y-2">
+        <div className={`p-4 rounded-xl border-2 ${
+          isCorrect ? 'border-green-500 bg-green-50 text-green-800' : 'border-red-500 bg-red-50 text-red-800'
+        }`}>
+          <div className="flex items-center space-x-2 mb-1">
+            {isCorrect ? <CheckCircle className="w-4 h-4" /> : <XCircle className="w-4 h-4" />}
+            <span className="text-sm font-medium">
+              Your Answer{isCorrect ? ' (Correct)' : ' (Incorrect)'}
+            </span>
+          </div>
+          <p className="whitespace-pre-wrap">{answer || 'No answer'}</p>
+        </div>
+
+        {question.correctAnswer && (
+          <div className="p-4 rounded-xl border-2 border-green-400 bg-green-50 text-green-700">
+            <div className="flex items-center space-x-2 mb-1">
+              <CheckCircle className="w-4 h-4" />
+              <span className="text-sm font-medium">Model Answer</span>
+            </div>
+            <p>{question.correctAnswer}</p>
+          </div>
+        )}
+
+        {acceptedAnswers.length > 0 && (
+          <p className="text-xs text-slate-500">
+            Also accepted: {acceptedAnswers.join(' • ')}
+          </p>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-2">
+      <textarea
+        value={draft}
+        onChange={(event) => setDraft(event.target.value)}
+        onKeyDown={handleKeyDown}
+        onBlur={submitDraft}
+        maxLength={MAX_LENGTH}
+        rows={3}
+        placeholder="Write your answer in a short phrase or sentence"
+        className="w-full p-3 border-2 border-slate-200 rounded-xl focus:border-blue-400 focus:outline-none text-slate-800 resize-none"
+      />
+
+      <div className="flex items-center justify-between">
+        <span className="text-xs text-slate-500">
+          {draft.length}/{MAX_LENGTH} • Press Enter to submit
+        </span>
+        <button
+          type="button"
+          onClick={submitDraft}
+          disabled={!draft.trim() || draft.trim() === answer}
+          className="flex items-center space-x-1 px-4 py-2 rounded-xl bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:bg-slate-200 disabled:text-slate-500 transition-colors"
+        >
+          <Send className="w-4 h-4" />
+          <span>{answer ? 'Update Answer' : 'Submit Answer'}</span>
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default ShortAnswerQuestion
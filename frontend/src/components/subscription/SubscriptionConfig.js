@@ -46,7 +46,7 @@ export const PLAN_FEATURES = {
     teamFeatures: false,
     advancedAnalytics: true,
     basicAnalytics: true,
-    quizTypes: ['true_false', 'multiple_choice', 'fill_blank', 'short_answer'],
+    quizTypes: ['true_false', 'multiple_choice', 'fill_in_blank', 'short_answer'],
     showExplanations: true,
     showStrengthsWeaknesses: true,
     quizHistoryLimit: -1, // Unlimited
@@ -70,7 +70,7 @@ export const PLAN_FEATURES = {
     teamFeatures: true,
     advancedAnalytics: true,
     basicAnalytics: true,
-    quizTypes: ['true_false', 'multiple_choice', 'fill_blank', 'short_answer', 'custom'],
+    quizTypes: ['true_false', 'multiple_choice', 'fill_in_blank', 'short_answer', 'custom'],
     showExplanations: true,
     showStrengthsWeaknesses: true,
     quizHistoryLimit: -1,
@@ -0,0 +1,143 @@
+/**
+ * PATH: src/hooks/useDocuments.js
+ * Custom hooks for documents and live processing progress
+ */
+
+import { useEffect, useRef } from 'react'
+import { useSelector, useDispatch } from 'react-redux'
+import {
+  fetchUserDocuments,
+  uploadDocument,
+  deleteDocument,
+  processDocument,
+  applyProcessingEvent,
+  selectDocuments,
+  selectDocumentsLoading,
+  selectDocumentsError,
+  selectProcessingDocuments,
+  selectProcessingProgress
+} from '../store/slices/documentsSlice'
+import documentsService from '../services/documents.service'
+
+export const useDocuments = (options = {}) => {
+  const dispatch = useDispatch()
+
+  // Selectors
+  const documents = useSelector(selectDocuments)
+  const processingDocuments = useSelector(selectProcessingDocuments)
+  const processingProgress = useSelector(selectProcessingProgress)
+  const isLoading = useSelector(selectDocumentsLoading)
+  const error = useSelector(selectDocumentsError)
+
+  // Callers usually pass filters inline, so the effect follows their contents
+  const initialFiltersKey = JSON.stringify(options.initialFilters || {})
+
+  // Auto-fetch on mount if requested
+  useEffect(() => {
+    if (options.fetchOnMount) {
+      dispatch(fetchUserDocuments(JSON.parse(initialFiltersKey)))
+    }
+  }, [dispatch, options.fetchOnMount, initialFiltersKey])
+
+  // Actions
+  const actions = {
+    fetchDocuments: (filters) => dispatch(fetchUserDocuments(filters)),
+    uploadDocument: (data) => dispatch(uploadDocument(data)),
+    deleteDocument: (data) => dispatch(deleteDocument(data)),
+    processDocument: (documentId) => dispatch(processDocument(documentId))
+  }
+
+  return {
+    // Data
+    documents,
+    processingDocuments,
+    processingProgress,
+
+    // State
+    isLoading,
+    error,
+
+    // Actions
+    ...actions
+  }
+}
+
+/**
+ * Follow live processing progress for a set of documents.
+ * Each event updates the documents slice; callbacks fire when a document
+ * finishes so the caller can refresh or notify.
+ * @param {Array<string>} documentIds - Documents to follow
+ * @param {Object} callbacks - { onCompleted, onFailed }, called with the event payload
+ * @returns {Object} Progress events by document id
+ */
+export const useProcessingEvents = (documentIds = [], callbacks = {}) => {
+  const dispatch = useDispatch()
+  const processingProgress = useSelector(selectProcessingProgress)
+
+  // Keep the latest callbacks without reopening streams on every render
+  const callbacksRef = useRef(callbacks)
+  callbacksRef.current = callbacks
+
+  const subscriptionsRef = useRef({})
+  const idsKey = [...documentIds].sort().join(',')
+
+  useEffect(() => {
+    const subscriptions = subscriptionsRef.current
+    const wanted = new Set(idsKey ? idsKey.split(',') : [])
+
+    // Close streams for documents no longer followed
+    Object.keys(subscriptions).forEach(documentId => {
+      if (!wanted.has(documentId)) {
+        subscriptions[documentId]()
+        delete subscriptions[documentId]
+      }
+    })
+
+    // Open streams for new documents
+    wanted.forEach(documentId => {
+      if (subscriptions[documentId]) return
+
+      subscriptions[documentId] = documentsService.subscribeToProcessingEvents(documentId, {
+        onEvent: (eventName, payload) => {
+          dispatch(applyProcessingEvent(payload))
+
+          if (eventName === 'completed' && callbacksRef.current.onCompleted) {
+            callbacksRef.current.onCompleted(payload)
+          }
+          if (eventName === 'failed' && callbacksRef.current.onFailed) {
+            callbacksRef.current.onFailed(payload)
+          }
+        },
+        onError: (error) => {
+          console.error(`❌ Processing events unavailable for ${documentId}:`, error.message)
+        }
+      })
+    })
+  }, [dispatch, idsKey])
+
+  // Close every stream on unmount
+  useEffect(() => {
+    const subscriptions = subscriptionsRef.current
+    return () => {
+      Object.keys(subscriptions).forEach(documentId => {
+        subscriptions[documentId]()
+        delete subscriptions[documentId]
+      })
+    }
+  }, [])
+
+  return processingProgress
+}
+
+/**
+ * Follow live processing progress of a single document
+ * @param {string} documentId - Document to follow (falsy to stop)
+ * @param {Object} callbacks - { onCompleted, onFailed }
+ * @returns {Object|null} Latest progress event
+ */
+export const useDocumentProgress = (documentId, callbacks = {}) => {
+  const progress = useProcessingEvents(documentId ? [documentId] : [], callbacks)
+  return documentId ? progress[documentId] || null : null
+}
+
+export default useDocuments
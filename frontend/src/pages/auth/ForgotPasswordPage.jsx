@@ -1,18 +1,33 @@
 import { useState } from "react";
-import { Brain } from "lucide-react";
+import { Link } from "react-router-dom";
+import toast from "react-hot-toast";
+import { Brain, MailCheck } from "lucide-react";
 import Button from "../../components/ui/Button";
 import Input from "../../components/ui/Input";
 import Layout from "../../components/layout/Layout";
+import { authAPI } from "../../services/api";
 
 export default function ForgotPassword() {
   const [email, setEmail] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
 
-
-
-  const submitPassword = (e) => {
+  const submitPassword = async (e) => {
     e.preventDefault();
 
-    console.log("The password sent to Gmail");
+    setIsSubmitting(true);
+    try {
+      await authAPI.forgotPassword(email);
+      setSent(true);
+    } catch (error) {
+      toast.error(
+        error.response?.data?.error?.message ||
+          error.response?.data?.message ||
+          "Could not send the reset link"
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
   };
 
   return (    
@@ -26,6 +41,17 @@ export default function ForgotPassword() {
           </h2>
 
       <div className="bg-white/80 lg:h-2/5 lg:w-2/5 w-full h-max backdrop-blur-sm rounded-2xl shadow-xl border border-white/50 p-8">
+        {sent ? (
+          <div className="space-y-4 text-center">
+            <MailCheck className="w-10 h-10 text-blue-600 mx-auto" />
+            <p className="text-slate-700">
+              If an account exists for <strong>{email}</strong>, we sent a link to reset your password. The link expires in one hour.
+            </p>
+            <Link to="/login" className="text-blue-600 hover:text-blue-700 font-medium">
+              Back to sign in
+            </Link>
+          </div>
+        ) : (
         <form className="space-y-6">
           {/* Email */}
           <Input
@@ -43,13 +69,14 @@ export default function ForgotPassword() {
               size="lg"
               className="w-full"
               onClick={submitPassword}
-              disabled={!email.includes("@") || !email.includes(".")}
+              disabled={isSubmitting || !email.includes("@") || !email.includes(".")}
 
             >
-              <span>Send</span>
+              <span>{isSubmitting ? "Sending..." : "Send"}</span>
             </Button>
       
         </form>
+        )}
       </div>
     </div>
     </Layout>
@@ -15,9 +15,18 @@ import { Eye, EyeOff, Brain, ArrowRight, AlertCircle } from 'lucide-react'
 // Components
 import Button from '../../components/ui/Button'
 import Input from '../../components/ui/Input'
+import TwoFactorLoginForm from '../../components/auth/TwoFactorLoginForm'
+import RecoveryCodesList from '../../components/auth/RecoveryCodesList'
+import SsoButtons from '../../components/auth/SsoButtons'
 
 // Redux
-import { loginUser, clearError, clearSuccess } from '../../store/slices/authSlice'
+import {
+  loginUser,
+  clearError,
+  clearSuccess,
+  clearTwoFactorChallenge,
+  clearRecoveryCodes
+} from '../../store/slices/authSlice'
 
 // Validation schema
 const loginSchema = yup.object().shape({
@@ -39,7 +48,14 @@ const LoginPage = () => {
   const [showPassword, setShowPassword] = useState(false)
 
   // Redux state
-  const { isLoading, error, loginSuccess, isAuthenticated } = useSelector(state => state.auth)
+  const {
+    isLoading,
+    error,
+    loginSuccess,
+    isAuthenticated,
+    twoFactorChallenge,
+    recoveryCodes
+  } = useSelector(state => state.auth)
 
   // Form handling
   const {
@@ -52,15 +68,15 @@ const LoginPage = () => {
     mode: 'onChange'
   })
 
-  // Handle successful login redirect
+  // Handle successful login redirect (after new recovery codes were seen)
   useEffect(() => {
-    if (loginSuccess && isAuthenticated) {
+    if (loginSuccess && isAuthenticated && !recoveryCodes) {
       
       // Redirect to intended page or dashboard
       const from = location.state?.from?.pathname || '/dashboard'
       navigate(from, { replace: true })
     }
-  }, [loginSuccess, isAuthenticated, navigate, location])
+  }, [loginSuccess, isAuthenticated, recoveryCodes, navigate, location])
 
   // Handle registration success message
   useEffect(() => {
@@ -79,6 +95,7 @@ const LoginPage = () => {
     return () => {
       dispatch(clearError())
       dispatch(clearSuccess())
+      dispatch(clearTwoFactorChallenge())
     }
   }, [dispatch])
 
@@ -112,6 +129,18 @@ const LoginPage = () => {
 
         {/* Login Form */}
         <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/50 p-8">
+          {recoveryCodes ? (
+            <div className="space-y-6">
+              <h3 className="text-lg font-semibold text-slate-900">Save your recovery codes</h3>
+              <RecoveryCodesList codes={recoveryCodes} />
+              <Button variant="premium" size="lg" className="w-full" onClick={() => dispatch(clearRecoveryCodes())}>
+                <span>I've saved them</span>
+                <ArrowRight className="w-5 h-5 ml-2" />
+              </Button>
+            </div>
+          ) : twoFactorChallenge ? (
+            <TwoFactorLoginForm challenge={twoFactorChallenge} />
+          ) : (
           <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
             {/* Email */}
             <Input
@@ -177,6 +206,14 @@ const LoginPage = () => {
               <ArrowRight className="w-5 h-5 ml-2" />
             </Button>
           </form>
+          )}
+
+          {/* Single sign-on */}
+          {!recoveryCodes && !twoFactorChallenge && (
+            <div className="mt-6">
+              <SsoButtons />
+            </div>
+          )}
 
           {/* Register Link */}
           <div className="mt-6 text-center">
@@ -0,0 +1,87 @@
+/**
+ * PATH: src/pages/auth/OidcCallbackPage.jsx
+ * Single sign-on callback - the identity provider redirects here with the
+ * authorization code and state
+ */
+
+import React, { useEffect, useRef, useState } from 'react'
+import { useNavigate, useSearchParams, Link } from 'react-router-dom'
+import { useDispatch } from 'react-redux'
+import { Brain, XCircle } from 'lucide-react'
+
+// Components
+import LoadingSpinner from '../../components/ui/LoadingSpinner'
+
+// Redux
+import { loginWithOidc } from '../../store/slices/authSlice'
+
+const OidcCallbackPage = () => {
+  const navigate = useNavigate()
+  const dispatch = useDispatch()
+  const [searchParams] = useSearchParams()
+  const [message, setMessage] = useState('')
+
+  // The code and state are single-use: guard against the double effect run in StrictMode
+  const requested = useRef(false)
+
+  useEffect(() => {
+    if (requested.current) return
+    requested.current = true
+
+    const code = searchParams.get('code')
+    const state = searchParams.get('state')
+    const browserKey = sessionStorage.getItem('oidc_browser_key')
+    sessionStorage.removeItem('oidc_browser_key')
+
+    if (searchParams.get('error') || !code || !state) {
+      setMessage(searchParams.get('error_description') || 'Sign-in was cancelled or did not complete')
+      return
+    }
+
+    // A callback link that was not started from this browser is never sent on
+    if (!browserKey) {
+      setMessage('This sign-in was not started from this browser. Please sign in again.')
+      return
+    }
+
+    dispatch(loginWithOidc({ code, state, browserKey })).unwrap()
+      .then((result) => {
+        // Two-factor accounts finish on the login page, which shows the code form
+        navigate(result.data.twoFactorRequired ? '/login' : '/dashboard', { replace: true })
+      })
+      .catch((error) => setMessage(error || 'Single sign-on failed'))
+  }, [searchParams, dispatch, navigate])
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 flex items-center justify-center py-12 px-4">
+      <div className="max-w-md w-full bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/50 p-8 text-center space-y-4">
+        <div className="flex justify-center">
+          <div className="w-16 h-16 bg-gradient-to-r from-blue-600 to-indigo-600 rounded-2xl flex items-center justify-center">
+            <Brain className="w-8 h-8 text-white" />
+          </div>
+        </div>
+
+        {message ? (
+          <>
+            <XCircle className="w-10 h-10 text-red-500 mx-auto" />
+            <h2 className="text-2xl font-bold text-slate-900">Sign-in failed</h2>
+            <p className="text-slate-600">{message}</p>
+            <Link
+              to="/login"
+              className="inline-block font-medium text-blue-600 hover:text-blue-700 transition-colors"
+            >
+              Back to sign in
+            </Link>
+          </>
+        ) : (
+          <>
+            <LoadingSpinner />
+            <p className="text-slate-600">Signing you in...</p>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default OidcCallbackPage
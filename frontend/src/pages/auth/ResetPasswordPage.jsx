@@ -0,0 +1,152 @@
+/**
+ * PATH: src/pages/auth/ResetPasswordPage.jsx
+ * Reset Password Page - opened from the link in the reset email
+ */
+
+import React, { useState } from 'react'
+import { useNavigate, useParams, Link } from 'react-router-dom'
+import { useForm } from 'react-hook-form'
+import { yupResolver } from '@hookform/resolvers/yup'
+import * as yup from 'yup'
+import toast from 'react-hot-toast'
+import { Eye, EyeOff, Brain, AlertCircle } from 'lucide-react'
+
+// Components
+import Button from '../../components/ui/Button'
+import Input from '../../components/ui/Input'
+
+// Services
+import { authAPI } from '../../services/api'
+
+// Validation schema (mirrors the backend password rules)
+const resetSchema = yup.object().shape({
+  newPassword: yup
+    .string()
+    .required('Password is required')
+    .min(8, 'Password must be at least 8 characters')
+    .max(128, 'Password is too long'),
+
+  confirmPassword: yup
+    .string()
+    .required('Please confirm your password')
+    .oneOf([yup.ref('newPassword')], 'Passwords do not match')
+})
+
+const ResetPasswordPage = () => {
+  const navigate = useNavigate()
+  const { token } = useParams()
+  const [showPassword, setShowPassword] = useState(false)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isValid }
+  } = useForm({
+    resolver: yupResolver(resetSchema),
+    mode: 'onChange'
+  })
+
+  const onSubmit = async ({ newPassword }) => {
+    setIsSubmitting(true)
+    setError(null)
+
+    try {
+      await authAPI.resetPassword(token, newPassword)
+      navigate('/login', {
+        replace: true,
+        state: { message: 'Password updated. Sign in with your new password.' }
+      })
+    } catch (err) {
+      const message = err.response?.data?.error?.message || 'Could not reset your password'
+      setError(message)
+      toast.error(message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8">
+        {/* Header */}
+        <div className="text-center">
+          <div className="flex justify-center mb-6">
+            <div className="w-16 h-16 bg-gradient-to-r from-blue-600 to-indigo-600 rounded-2xl flex items-center justify-center">
+              <Brain className="w-8 h-8 text-white" />
+            </div>
+          </div>
+          <h2 className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
+            Choose a New Password
+          </h2>
+          <p className="mt-2 text-slate-600">
+            You will be signed out on all your devices
+          </p>
+        </div>
+
+        <div className="bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/50 p-8">
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+            <Input
+              label="New Password"
+              type={showPassword ? 'text' : 'password'}
+              {...register('newPassword')}
+              error={errors.newPassword?.message}
+              placeholder="At least 8 characters"
+              autoComplete="new-password"
+              rightIcon={
+                <button
+                  type="button"
+                  onClick={() => setShowPassword(!showPassword)}
+                  className="text-slate-400 hover:text-slate-600"
+                >
+                  {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                </button>
+              }
+            />
+
+            <Input
+              label="Confirm Password"
+              type={showPassword ? 'text' : 'password'}
+              {...register('confirmPassword')}
+              error={errors.confirmPassword?.message}
+              placeholder="Repeat the new password"
+              autoComplete="new-password"
+            />
+
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                <div className="flex items-center space-x-2">
+                  <AlertCircle className="w-5 h-5 text-red-500" />
+                  <p className="text-sm text-red-700">{error}</p>
+                </div>
+              </div>
+            )}
+
+            <Button
+              type="submit"
+              variant="premium"
+              size="lg"
+              className="w-full"
+              disabled={!isValid || isSubmitting}
+              loading={isSubmitting}
+            >
+              Update Password
+            </Button>
+          </form>
+
+          <div className="mt-6 text-center">
+            <Link
+              to="/forgot-password"
+              className="text-sm text-blue-600 hover:text-blue-700 transition-colors"
+            >
+              Link expired? Request a new one
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ResetPasswordPage
@@ -0,0 +1,93 @@
+/**
+ * PATH: src/pages/auth/UnlockAccountPage.jsx
+ * Unlock Account Page - opened from the link emailed when an account is
+ * locked after too many failed sign-ins
+ */
+
+import React, { useEffect, useRef, useState } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { Brain, CheckCircle, XCircle } from 'lucide-react'
+
+// Components
+import LoadingSpinner from '../../components/ui/LoadingSpinner'
+
+// Services
+import { authAPI } from '../../services/api'
+
+const UnlockAccountPage = () => {
+  const { token } = useParams()
+  const [status, setStatus] = useState('unlocking')
+  const [message, setMessage] = useState('')
+
+  // The token is single-use: guard against the double effect run in StrictMode
+  const requested = useRef(false)
+
+  useEffect(() => {
+    if (requested.current) return
+    requested.current = true
+
+    authAPI.unlockAccount(token)
+      .then(() => setStatus('unlocked'))
+      .catch((err) => {
+        setStatus('failed')
+        setMessage(err.response?.data?.error?.message || 'This unlock link is invalid or has expired')
+      })
+  }, [token])
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 flex items-center justify-center py-12 px-4">
+      <div className="max-w-md w-full bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/50 p-8 text-center space-y-4">
+        <div className="flex justify-center">
+          <div className="w-16 h-16 bg-gradient-to-r from-blue-600 to-indigo-600 rounded-2xl flex items-center justify-center">
+            <Brain className="w-8 h-8 text-white" />
+          </div>
+        </div>
+
+        {status === 'unlocking' && (
+          <>
+            <LoadingSpinner />
+            <p className="text-slate-600">Unlocking your account...</p>
+          </>
+        )}
+
+        {status === 'unlocked' && (
+          <>
+            <CheckCircle className="w-10 h-10 text-green-600 mx-auto" />
+            <h2 className="text-2xl font-bold text-slate-900">Account unlocked</h2>
+            <p className="text-slate-600">
+              You can sign in again. If you did not make the failed attempts, reset your password.
+            </p>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <XCircle className="w-10 h-10 text-red-500 mx-auto" />
+            <h2 className="text-2xl font-bold text-slate-900">Unlock failed</h2>
+            <p className="text-slate-600">{message}</p>
+            <p className="text-sm text-slate-500">The lock also lifts by itself once it runs out.</p>
+          </>
+        )}
+
+        {status !== 'unlocking' && (
+          <div className="flex flex-col space-y-2">
+            <Link
+              to="/login"
+              className="inline-block font-medium text-blue-600 hover:text-blue-700 transition-colors"
+            >
+              Continue to sign in
+            </Link>
+            <Link
+              to="/forgot-password"
+              className="inline-block text-sm text-slate-600 hover:text-slate-700 transition-colors"
+            >
+              Reset password
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default UnlockAccountPage
@@ -0,0 +1,108 @@
+/**
+ * PATH: src/pages/auth/VerifyEmailPage.jsx
+ * Verify Email Page - opened from the link in the verification email
+ */
+
+import React, { useEffect, useRef, useState } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { useSelector } from 'react-redux'
+import toast from 'react-hot-toast'
+import { Brain, CheckCircle, XCircle } from 'lucide-react'
+
+// Components
+import Button from '../../components/ui/Button'
+import LoadingSpinner from '../../components/ui/LoadingSpinner'
+
+// Services
+import { authAPI } from '../../services/api'
+import { selectIsAuthenticated } from '../../store/slices/authSlice'
+
+const VerifyEmailPage = () => {
+  const { token } = useParams()
+  const isAuthenticated = useSelector(selectIsAuthenticated)
+  const [status, setStatus] = useState('verifying')
+  const [message, setMessage] = useState('')
+  const [isResending, setIsResending] = useState(false)
+
+  // The token is single-use: guard against the double effect run in StrictMode
+  const requested = useRef(false)
+
+  useEffect(() => {
+    if (requested.current) return
+    requested.current = true
+
+    authAPI.verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch((err) => {
+        setStatus('failed')
+        setMessage(err.response?.data?.error?.message || 'This verification link is invalid or has expired')
+      })
+  }, [token])
+
+  const resendLink = async () => {
+    setIsResending(true)
+    try {
+      await authAPI.resendVerification()
+      toast.success('A new verification link is on its way')
+    } catch (err) {
+      toast.error(err.response?.data?.error?.message || 'Could not send a new link')
+    } finally {
+      setIsResending(false)
+    }
+  }
+
+  const continuePath = isAuthenticated ? '/dashboard' : '/login'
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-100 flex items-center justify-center py-12 px-4">
+      <div className="max-w-md w-full bg-white/80 backdrop-blur-sm rounded-2xl shadow-xl border border-white/50 p-8 text-center space-y-4">
+        <div className="flex justify-center">
+          <div className="w-16 h-16 bg-gradient-to-r from-blue-600 to-indigo-600 rounded-2xl flex items-center justify-center">
+            <Brain className="w-8 h-8 text-white" />
+          </div>
+        </div>
+
+        {status === 'verifying' && (
+          <>
+            <LoadingSpinner />
+            <p className="text-slate-600">Verifying your email...</p>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <CheckCircle className="w-10 h-10 text-green-600 mx-auto" />
+            <h2 className="text-2xl font-bold text-slate-900">Email verified</h2>
+            <p className="text-slate-600">Thanks for confirming your email address.</p>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <XCircle className="w-10 h-10 text-red-500 mx-auto" />
+            <h2 className="text-2xl font-bold text-slate-900">Verification failed</h2>
+            <p className="text-slate-600">{message}</p>
+            {isAuthenticated ? (
+              <Button variant="secondary" onClick={resendLink} loading={isResending} disabled={isResending}>
+                Send a new link
+              </Button>
+            ) : (
+              <p className="text-sm text-slate-500">Sign in to request a new link.</p>
+            )}
+          </>
+        )}
+
+        {status !== 'verifying' && (
+          <Link
+            to={continuePath}
+            className="inline-block font-medium text-blue-600 hover:text-blue-700 transition-colors"
+          >
+            {isAuthenticated ? 'Go to dashboard' : 'Continue to sign in'}
+          </Link>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmailPage
@@ -0,0 +1,457 @@
+/**
+ * PATH: src/pages/documents/DocumentDetailsPage.jsx
+ * Document Details Page - Summary, table of contents, page-by-page reading and document chat
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { ArrowLeft, FileText, ListTree, BookOpen, ChevronLeft, ChevronRight, ChevronDown, Layers, AlertTriangle, Calculator, Play } from 'lucide-react'
+import Layout from '../../components/layout/Layout'
+import Button from '../../components/ui/Button'
+import LoadingSpinner from '../../components/ui/LoadingSpinner'
+import DocumentChatPanel from '../../components/documents/DocumentChatPanel'
+import documentsService from '../../services/documents.service'
+import { useDocumentProgress } from '../../hooks/useDocuments'
+import toast from 'react-hot-toast'
+
+const DocumentDetailsPage = () => {
+  const { id } = useParams()
+
+  const [document, setDocument] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const [page, setPage] = useState(null)
+  const [pageLoading, setPageLoading] = useState(false)
+
+  const [chapters, setChapters] = useState([])
+  const [expandedChapter, setExpandedChapter] = useState(null)
+  const [estimate, setEstimate] = useState(null)
+  const [starting, setStarting] = useState(false)
+
+  // Load document
+  const loadDocument = useCallback(async (showSpinner = true) => {
+    try {
+      if (showSpinner) setLoading(true)
+      const response = await documentsService.getDocumentById(id)
+      setDocument(response.document)
+    } catch (err) {
+      console.error('❌ Failed to load document:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [id])
+
+  useEffect(() => {
+    loadDocument()
+  }, [loadDocument])
+
+  // Follow processing live while the document is being worked on
+  const isProcessing = document?.status === 'processing' || Boolean(document?.processing?.requestedAt && document?.status === 'pending')
+  const progress = useDocumentProgress(isProcessing ? id : null, {
+    onCompleted: () => loadDocument(false),
+    onFailed: () => loadDocument(false)
+  })
+
+  const awaitingProcessing = !isProcessing && (document?.status === 'pending' || document?.status === 'failed')
+  const hasChapterSummaries = document?.status === 'completed' && document?.content?.summaryStrategy === 'map_reduce'
+
+  // Long documents are summarized chapter by chapter; load the chapter summaries for drill-down
+  useEffect(() => {
+    if (!hasChapterSummaries) {
+      setChapters([])
+      return
+    }
+
+    documentsService.getDocumentSummary(id)
+      .then(response => setChapters(response.summary?.chapters || []))
+      .catch(err => console.error('❌ Failed to load chapter summaries:', err))
+  }, [id, hasChapterSummaries])
+
+  // Show what summarizing will cost before processing is started
+  useEffect(() => {
+    if (!awaitingProcessing) {
+      setEstimate(null)
+      return
+    }
+
+    documentsService.getSummaryEstimate(id)
+      .then(response => setEstimate(response.estimate))
+      .catch(err => console.error('❌ Failed to estimate summary cost:', err))
+  }, [id, awaitingProcessing])
+
+  const startProcessing = async () => {
+    try {
+      setStarting(true)
+      await documentsService.processDocument(id)
+      toast.success('Processing started')
+      await loadDocument(false)
+    } catch (err) {
+      console.error('❌ Failed to start processing:', err)
+      toast.error(err.message || 'Failed to start processing')
+    } finally {
+      setStarting(false)
+    }
+  }
+
+  const outline = document?.content?.outline || []
+  const pageCount = document?.file?.metadata?.pageCount || 0
+  const quality = document?.file?.metadata?.quality
+  const lowQualityPages = quality?.lowQualityPages || []
+
+  // Open a page of the extracted text
+  const openPage = async (pageNumber) => {
+    if (!pageNumber) return
+
+    try {
+      setPageLoading(true)
+      const response = await documentsService.getDocumentPage(id, pageNumber)
+      setPage(response.page)
+    } catch (err) {
+      console.error('❌ Failed to load page:', err)
+      toast.error(err.message || 'Failed to load page')
+    } finally {
+      setPageLoading(false)
+    }
+  }
+
+  const formatPageRange = (item) => {
+    if (!item.pageStart) return null
+    return item.pageEnd && item.pageEnd !== item.pageStart
+      ? `Pages ${item.pageStart}–${item.pageEnd}`
+      : `Page ${item.pageStart}`
+  }
+
+  const formatCost = (cost) => {
+    if (!cost) return 'Free'
+    return cost < 0.01 ? '< $0.01' : `$${cost.toFixed(2)}`
+  }
+
+  const formatSectionLabel = (entry) => {
+    return entry.sectionNumber && !entry.title.startsWith(entry.sectionNumber)
+      ? `${entry.sectionNumber} ${entry.title}`
+      : entry.title
+  }
+
+  if (loading) {
+    return (
+      <Layout>
+        <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+          <LoadingSpinner size="lg" className="text-blue-600" />
+        </div>
+      </Layout>
+    )
+  }
+
+  if (error || !document) {
+    return (
+      <Layout>
+        <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+          <div className="text-center">
+            <h1 className="text-2xl font-bold text-slate-900 mb-4">Document not available</h1>
+            <p className="text-slate-600 mb-6">{error || 'This document could not be found.'}</p>
+            <Link to="/documents">
+              <Button variant="secondary">Back to Documents</Button>
+            </Link>
+          </div>
+        </div>
+      </Layout>
+    )
+  }
+
+  return (
+    <Layout>
+      <div className="min-h-screen bg-slate-50">
+        <div className="max-w-6xl mx-auto px-4 py-8 space-y-6">
+
+          {/* Header */}
+          <div>
+            <Link to="/documents" className="inline-flex items-center text-sm text-slate-600 hover:text-slate-900 mb-4">
+              <ArrowLeft className="w-4 h-4 mr-1" />
+              Back to Documents
+            </Link>
+            <div className="flex items-start justify-between gap-4">
+              <div>
+                <h1 className="text-2xl font-bold text-slate-900">{document.title}</h1>
+                <p className="text-sm text-slate-600 mt-1">
+                  {document.file?.originalName}
+                  {pageCount > 0 && <span> · {pageCount} pages</span>}
+                </p>
+              </div>
+              {document.status === 'completed' && (
+                <Link to={`/flashcards?documentId=${id}`}>
+                  <Button variant="secondary" size="sm">
+                    <Layers className="w-4 h-4 mr-1" />
+                    Study Flashcards
+                  </Button>
+                </Link>
+              )}
+            </div>
+          </div>
+
+          {isProcessing && (
+            <div className="bg-white rounded-2xl border border-blue-200 p-5">
+              <div className="flex justify-between text-sm text-slate-700 mb-2">
+                <span>
+                  {progress?.retrying
+                    ? `Retrying after an error (attempt ${progress.attempt + 1})`
+                    : `Processing: ${(progress?.stage || 'queued').replace(/_/g, ' ')}`}
+                </span>
+                <span>{progress?.percent ?? 0}%</span>
+              </div>
+              <div className="w-full bg-slate-200 rounded-full h-2">
+                <div
+                  className="bg-gradient-to-r from-blue-500 to-purple-500 h-2 rounded-full transition-all duration-500 ease-out"
+                  style={{ width: `${progress?.percent ?? 0}%` }}
+                />
+              </div>
+              {progress?.error && (
+                <p className="text-xs text-amber-700 mt-2">{progress.error.message}</p>
+              )}
+            </div>
+          )}
+
+          {awaitingProcessing && estimate && (
+            <div className="bg-white rounded-2xl border border-slate-200 p-5">
+              <div className="flex items-start justify-between gap-4">
+                <div className="flex items-start space-x-3">
+                  <Calculator className="w-5 h-5 text-indigo-600 flex-shrink-0 mt-0.5" />
+                  <div>
+                    <p className="text-sm font-medium text-slate-900">
+                      {document.status === 'failed' ? 'Processing failed' : 'Ready to process'}
+                    </p>
+                    <p className="text-sm text-slate-600 mt-1">
+                      {estimate.strategy === 'map_reduce'
+                        ? `This document is summarized in ${estimate.chunkCount} sections across ${estimate.chapterCount} chapters.`
+                        : 'This document is summarized in a single pass.'}
+                    </p>
+                    <div className="flex flex-wrap gap-x-6 gap-y-1 text-sm text-slate-700 mt-3">
+                      <span>{estimate.requestCount} AI requests</span>
+                      <span>~{(estimate.inputTokens + estimate.outputTokens).toLocaleString()} tokens</span>
+                      <span>Estimated cost: {formatCost(estimate.cost)}</span>
+                    </div>
+                    {!estimate.withinLimit && (
+                      <p className="text-xs text-amber-700 mt-2">
+                        This is above the ${estimate.maxCost} limit per document, so processing will not run.
+                      </p>
+                    )}
+                  </div>
+                </div>
+                <Button
+                  size="sm"
+                  onClick={startProcessing}
+                  disabled={starting || !estimate.withinLimit}
+                >
+                  <Play className="w-4 h-4 mr-1" />
+                  {document.status === 'failed' ? 'Retry processing' : 'Start processing'}
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {document.status === 'completed' && lowQualityPages.length > 0 && (
+            <div className="bg-amber-50 rounded-2xl border border-amber-200 p-5">
+              <div className="flex items-start space-x-3">
+                <AlertTriangle className="w-5 h-5 text-amber-600 flex-shrink-0 mt-0.5" />
+                <div>
+                  <p className="text-sm font-medium text-amber-900">
+                    {lowQualityPages.length === 1 ? 'One page' : `${lowQualityPages.length} pages`} could not be read reliably
+                  </p>
+                  <p className="text-sm text-amber-800 mt-1">
+                    {quality.ocrUsed
+                      ? 'These pages were scanned and text recognition was unsure of them, so their summary and questions may contain mistakes. A sharper scan will give better results.'
+                      : 'These pages have no text to read. Uploading a searchable copy will give better results.'}
+                  </p>
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    {lowQualityPages.map(pageNumber => (
+                      <button
+                        key={pageNumber}
+                        onClick={() => openPage(pageNumber)}
+                        className="text-xs bg-white text-amber-800 border border-amber-300 rounded px-2 py-1 hover:bg-amber-100"
+                      >
+                        Page {pageNumber}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+
+            {/* Table of Contents */}
+            <div className="bg-white rounded-2xl border border-slate-200 p-5 lg:col-span-1 h-fit">
+              <div className="flex items-center space-x-2 mb-4">
+                <ListTree className="w-5 h-5 text-indigo-600" />
+                <h2 className="font-semibold text-slate-900">Table of Contents</h2>
+              </div>
+
+              {outline.length > 0 ? (
+                <nav className="space-y-1">
+                  {outline.map((entry, index) => (
+                    <button
+                      key={index}
+                      onClick={() => openPage(entry.pageNumber)}
+                      disabled={!entry.pageNumber}
+                      style={{ paddingLeft: `${(entry.level - 1) * 16 + 8}px` }}
+                      className={`w-full flex items-start justify-between text-left text-sm py-1.5 pr-2 rounded-lg transition-colors ${
+                        page && entry.pageNumber === page.pageNumber
+                          ? 'bg-indigo-50 text-indigo-900'
+                          : 'text-slate-700 hover:bg-slate-100'
+                      } ${entry.level === 1 ? 'font-medium' : ''} disabled:cursor-default disabled:hover:bg-transparent`}
+                    >
+                      <span className="flex-1">{formatSectionLabel(entry)}</span>
+                      {entry.pageNumber && (
+                        <span className="text-xs text-slate-400 ml-2 mt-0.5">{entry.pageNumber}</span>
+                      )}
+                    </button>
+                  ))}
+                </nav>
+              ) : (
+                <p className="text-sm text-slate-500">No chapters or sections were detected in this document.</p>
+              )}
+            </div>
+
+            {/* Main Content */}
+            <div className="lg:col-span-2 space-y-6">
+              {document.content?.summary && (
+                <div className="bg-white rounded-2xl border border-slate-200 p-5">
+                  <div className="flex items-center space-x-2 mb-3">
+                    <FileText className="w-5 h-5 text-blue-600" />
+                    <h2 className="font-semibold text-slate-900">Summary</h2>
+                  </div>
+                  <p className="text-slate-700 leading-relaxed whitespace-pre-line">{document.content.summary}</p>
+
+                  {chapters.length > 0 && (
+                    <div className="mt-5 border-t border-slate-100 pt-4 space-y-2">
+                      <p className="text-xs uppercase tracking-wide text-slate-500">Chapter summaries</p>
+                      {chapters.map((chapter, index) => (
+                        <div key={index} className="border border-slate-200 rounded-lg">
+                          <button
+                            onClick={() => setExpandedChapter(expandedChapter === index ? null : index)}
+                            className="w-full flex items-center justify-between text-left px-3 py-2 hover:bg-slate-50 rounded-lg"
+                          >
+                            <span className="text-sm font-medium text-slate-800">
+                              {chapter.title || `Part ${index + 1}`}
+                            </span>
+                            <span className="flex items-center text-xs text-slate-400">
+                              {formatPageRange(chapter)}
+                              <ChevronDown className={`w-4 h-4 ml-2 transition-transform ${expandedChapter === index ? 'rotate-180' : ''}`} />
+                            </span>
+                          </button>
+
+                          {expandedChapter === index && (
+                            <div className="px-3 pb-3 space-y-3">
+                              <p className="text-sm text-slate-700 leading-relaxed whitespace-pre-line">{chapter.summary}</p>
+
+                              {chapter.keyPoints?.length > 0 && (
+                                <ul className="list-disc list-inside text-sm text-slate-600 space-y-1">
+                                  {chapter.keyPoints.map((point, pointIndex) => (
+                                    <li key={pointIndex}>{point}</li>
+                                  ))}
+                                </ul>
+                              )}
+
+                              {chapter.sections?.length > 1 && (
+                                <div className="space-y-2">
+                                  {chapter.sections.map((section, sectionIndex) => (
+                                    <div key={sectionIndex} className="bg-slate-50 rounded-lg p-3">
+                                      <div className="flex items-center justify-between mb-1">
+                                        <span className="text-xs font-medium text-slate-700">
+                                          {section.title || `Section ${sectionIndex + 1}`}
+                                        </span>
+                                        {section.pageStart && (
+                                          <button
+                                            onClick={() => openPage(section.pageStart)}
+                                            className="text-xs text-indigo-600 hover:text-indigo-800"
+                                          >
+                                            {formatPageRange(section)}
+                                          </button>
+                                        )}
+                                      </div>
+                                      <p className="text-sm text-slate-600 leading-relaxed">{section.summary}</p>
+                                    </div>
+                                  ))}
+                                </div>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div className="bg-white rounded-2xl border border-slate-200 p-5">
+                <div className="flex items-center justify-between mb-3">
+                  <div className="flex items-center space-x-2">
+                    <BookOpen className="w-5 h-5 text-green-600" />
+                    <h2 className="font-semibold text-slate-900">
+                      {page ? `Page ${page.pageNumber} of ${page.pageCount}` : 'Pages'}
+                    </h2>
+                  </div>
+
+                  {page && (
+                    <div className="flex items-center space-x-2">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => openPage(page.pageNumber - 1)}
+                        disabled={pageLoading || page.pageNumber <= 1}
+                      >
+                        <ChevronLeft className="w-4 h-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => openPage(page.pageNumber + 1)}
+                        disabled={pageLoading || page.pageNumber >= page.pageCount}
+                      >
+                        <ChevronRight className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  )}
+                </div>
+
+                {pageLoading ? (
+                  <div className="flex justify-center py-8">
+                    <LoadingSpinner className="text-blue-600" />
+                  </div>
+                ) : page ? (
+                  <div>
+                    {page.section && (
+                      <p className="text-xs uppercase tracking-wide text-indigo-600 mb-2">
+                        {formatSectionLabel(page.section)}
+                      </p>
+                    )}
+                    <div className="bg-slate-50 border border-slate-200 rounded-lg p-4 max-h-[32rem] overflow-y-auto">
+                      <p className="text-slate-700 leading-relaxed whitespace-pre-line">{page.text}</p>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="text-center py-8 text-slate-500">
+                    <p className="mb-4">Pick a section from the table of contents to start reading.</p>
+                    {pageCount > 0 && (
+                      <Button variant="secondary" size="sm" onClick={() => openPage(1)}>
+                        Open first page
+                      </Button>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {document.status === 'completed' && (
+                <DocumentChatPanel documentId={id} onOpenPage={openPage} />
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  )
+}
+
+export default DocumentDetailsPage
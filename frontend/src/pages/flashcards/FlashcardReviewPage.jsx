@@ -0,0 +1,263 @@
+/**
+ * PATH: src/pages/flashcards/FlashcardReviewPage.jsx
+ * Flashcard Review Page - Spaced-repetition review of due cards with deck stats
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { useDispatch } from 'react-redux'
+import { ArrowLeft, Layers, Sparkles, RotateCcw, CheckCircle, Award } from 'lucide-react'
+import Layout from '../../components/layout/Layout'
+import Button from '../../components/ui/Button'
+import LoadingSpinner from '../../components/ui/LoadingSpinner'
+import flashcardsAPI from '../../services/flashcardsAPI'
+import { fetchUserPoints } from '../../store/slices/pointsSlice'
+import toast from 'react-hot-toast'
+
+const GRADES = [
+  { value: 'again', label: 'Again', hint: '< 10 min', className: 'bg-red-50 border-red-200 text-red-700 hover:bg-red-100' },
+  { value: 'hard', label: 'Hard', hint: 'Shorter', className: 'bg-amber-50 border-amber-200 text-amber-700 hover:bg-amber-100' },
+  { value: 'good', label: 'Good', hint: 'On time', className: 'bg-green-50 border-green-200 text-green-700 hover:bg-green-100' },
+  { value: 'easy', label: 'Easy', hint: 'Longer', className: 'bg-blue-50 border-blue-200 text-blue-700 hover:bg-blue-100' }
+]
+
+const StatTile = ({ label, value }) => (
+  <div className="bg-white rounded-xl border border-slate-200 p-4 text-center">
+    <div className="text-2xl font-bold text-slate-900">{value ?? '—'}</div>
+    <div className="text-xs text-slate-500 mt-1">{label}</div>
+  </div>
+)
+
+const FlashcardReviewPage = () => {
+  const dispatch = useDispatch()
+  const [searchParams] = useSearchParams()
+  const documentId = searchParams.get('documentId')
+
+  const [stats, setStats] = useState(null)
+  const [queue, setQueue] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [generating, setGenerating] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+
+  const [showBack, setShowBack] = useState(false)
+  const [startedAt, setStartedAt] = useState(null)
+  const [reviewedCount, setReviewedCount] = useState(0)
+  const [sessionResult, setSessionResult] = useState(null)
+
+  // Load deck stats and today's cards
+  const loadDeck = useCallback(async () => {
+    try {
+      setLoading(true)
+      const [statsResponse, dueResponse] = await Promise.all([
+        flashcardsAPI.getStats(documentId),
+        flashcardsAPI.getDue({ documentId })
+      ])
+
+      setStats(statsResponse.data)
+      setQueue(dueResponse.data || [])
+      setShowBack(false)
+      setReviewedCount(0)
+      setSessionResult(null)
+      setStartedAt(new Date().toISOString())
+    } catch (err) {
+      console.error('❌ Failed to load flashcards:', err)
+      toast.error(err.response?.data?.message || 'Failed to load flashcards')
+    } finally {
+      setLoading(false)
+    }
+  }, [documentId])
+
+  useEffect(() => {
+    loadDeck()
+  }, [loadDeck])
+
+  const handleGenerate = async () => {
+    try {
+      setGenerating(true)
+      const response = await flashcardsAPI.generate(documentId)
+      toast.success(response.message || 'Flashcards generated')
+      await loadDeck()
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to generate flashcards')
+    } finally {
+      setGenerating(false)
+    }
+  }
+
+  const finishSession = async () => {
+    try {
+      const response = await flashcardsAPI.completeSession(startedAt, documentId)
+      setSessionResult(response.data)
+
+      if (response.data?.pointsEarned > 0) {
+        toast.success(`+${response.data.pointsEarned} points for reviewing!`)
+        dispatch(fetchUserPoints())
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to complete the session')
+      setSessionResult({ cardsReviewed: reviewedCount, pointsEarned: 0 })
+    }
+  }
+
+  const handleGrade = async (grade) => {
+    const [card, ...rest] = queue
+    if (!card || submitting) return
+
+    try {
+      setSubmitting(true)
+      const response = await flashcardsAPI.review(card.id, grade)
+
+      // Forgotten cards come back at the end of this session
+      const nextQueue = grade === 'again' ? [...rest, response.data] : rest
+
+      setQueue(nextQueue)
+      setShowBack(false)
+      setReviewedCount((count) => count + 1)
+
+      if (nextQueue.length === 0) {
+        await finishSession()
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save review')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <Layout>
+        <div className="min-h-screen bg-slate-50 flex items-center justify-center">
+          <LoadingSpinner size="lg" />
+        </div>
+      </Layout>
+    )
+  }
+
+  const currentCard = queue[0]
+
+  return (
+    <Layout>
+      <div className="min-h-screen bg-slate-50">
+        <div className="max-w-3xl mx-auto px-4 py-8 space-y-6">
+
+          {/* Header */}
+          <div>
+            <Link
+              to={documentId ? `/documents/${documentId}` : '/documents'}
+              className="inline-flex items-center text-sm text-slate-600 hover:text-slate-900 mb-4"
+            >
+              <ArrowLeft className="w-4 h-4 mr-1" />
+              {documentId ? 'Back to Document' : 'Back to Documents'}
+            </Link>
+            <div className="flex items-center justify-between">
+              <h1 className="text-2xl font-bold text-slate-900 flex items-center">
+                <Layers className="w-6 h-6 mr-2 text-purple-600" />
+                Flashcards
+              </h1>
+              {documentId && (
+                <Button variant="secondary" size="sm" onClick={handleGenerate} disabled={generating}>
+                  <Sparkles className="w-4 h-4 mr-1" />
+                  {generating ? 'Generating...' : 'Generate flashcards'}
+                </Button>
+              )}
+            </div>
+          </div>
+
+          {/* Deck stats */}
+          {stats && (
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+              <StatTile label="Due today" value={stats.dueToday} />
+              <StatTile label="New" value={stats.newCards} />
+              <StatTile label="Mature" value={stats.matureCards} />
+              <StatTile label="Recall rate" value={stats.recallRate != null ? `${stats.recallRate}%` : null} />
+            </div>
+          )}
+
+          {/* Session finished */}
+          {sessionResult && (
+            <div className="bg-white rounded-2xl border border-green-200 p-8 text-center space-y-3">
+              <CheckCircle className="w-12 h-12 text-green-500 mx-auto" />
+              <h2 className="text-xl font-semibold text-slate-900">All caught up!</h2>
+              <p className="text-slate-600">
+                You reviewed {sessionResult.cardsReviewed || reviewedCount} cards this session.
+              </p>
+              {sessionResult.pointsEarned > 0 && (
+                <p className="inline-flex items-center text-purple-700 font-medium">
+                  <Award className="w-4 h-4 mr-1" />
+                  +{sessionResult.pointsEarned} points
+                </p>
+              )}
+              <div>
+                <Button variant="ghost" size="sm" onClick={loadDeck}>
+                  <RotateCcw className="w-4 h-4 mr-1" />
+                  Refresh deck
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {/* Nothing due */}
+          {!sessionResult && !currentCard && (
+            <div className="bg-white rounded-2xl border border-slate-200 p-8 text-center">
+              <p className="text-slate-700 font-medium">No cards due right now.</p>
+              <p className="text-sm text-slate-500 mt-1">
+                {stats?.totalCards
+                  ? 'Come back later for your next reviews.'
+                  : documentId
+                    ? 'Generate flashcards from this document to start studying.'
+                    : 'Open a processed document to generate flashcards.'}
+              </p>
+            </div>
+          )}
+
+          {/* Review card */}
+          {!sessionResult && currentCard && (
+            <div className="space-y-4">
+              <div className="flex justify-between text-sm text-slate-500">
+                <span>{queue.length} remaining</span>
+                <span>{reviewedCount} reviewed</span>
+              </div>
+
+              <div className="bg-white rounded-2xl border border-slate-200 shadow-sm p-8 min-h-[240px] flex flex-col justify-center">
+                <p className="text-xs uppercase tracking-wide text-slate-400 mb-3">
+                  {currentCard.topicArea?.replace(/_/g, ' ')}
+                </p>
+                <p className="text-lg font-medium text-slate-900">{currentCard.front}</p>
+
+                {showBack && (
+                  <div className="mt-6 pt-6 border-t border-slate-200">
+                    <p className="text-slate-700 whitespace-pre-line">{currentCard.back}</p>
+                  </div>
+                )}
+              </div>
+
+              {showBack ? (
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                  {GRADES.map((grade) => (
+                    <button
+                      key={grade.value}
+                      onClick={() => handleGrade(grade.value)}
+                      disabled={submitting}
+                      className={`rounded-xl border px-4 py-3 text-center transition-colors disabled:opacity-50 ${grade.className}`}
+                    >
+                      <div className="font-semibold">{grade.label}</div>
+                      <div className="text-xs opacity-75">{grade.hint}</div>
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <Button variant="primary" size="lg" className="w-full" onClick={() => setShowBack(true)}>
+                  Show answer
+                </Button>
+              )}
+            </div>
+          )}
+
+        </div>
+      </div>
+    </Layout>
+  )
+}
+
+export default FlashcardReviewPage
@@ -0,0 +1,386 @@
+/**
+ * PATH: src/pages/profile/SettingsPage.jsx
+ * Settings Page - Account security: two-factor authentication and devices
+ * signed in to the account
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { Monitor, Smartphone, Tablet, HelpCircle, MapPin, ShieldAlert, ShieldCheck, LogOut } from 'lucide-react'
+import Layout from '../../components/layout/Layout'
+import Button from '../../components/ui/Button'
+import Input from '../../components/ui/Input'
+import LoadingSpinner from '../../components/ui/LoadingSpinner'
+import RecoveryCodesList from '../../components/auth/RecoveryCodesList'
+import { authAPI, userAPI } from '../../services/api'
+import toast from 'react-hot-toast'
+
+const DEVICE_ICONS = {
+  desktop: Monitor,
+  mobile: Smartphone,
+  tablet: Tablet,
+  unknown: HelpCircle
+}
+
+const formatLocation = (location) => {
+  if (!location) return 'Unknown location'
+  return [location.city, location.country].filter(Boolean).join(', ')
+}
+
+const formatLastActive = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000)
+  if (minutes < 1) return 'Active now'
+  if (minutes < 60) return `Active ${minutes} min ago`
+  if (minutes < 60 * 24) return `Active ${Math.floor(minutes / 60)} h ago`
+  return `Active ${new Date(date).toLocaleDateString()}`
+}
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.error?.message || error.response?.data?.message || fallback
+
+const SessionRow = ({ session, onRevoke, revoking }) => {
+  const DeviceIcon = DEVICE_ICONS[session.device.type] || HelpCircle
+
+  return (
+    <li className="flex items-center justify-between py-4">
+      <div className="flex items-center space-x-4">
+        <div className="w-10 h-10 rounded-lg bg-blue-50 text-blue-600 flex items-center justify-center">
+          <DeviceIcon className="w-5 h-5" />
+        </div>
+        <div>
+          <div className="flex items-center space-x-2">
+            <span className="font-medium text-slate-900">{session.device.name}</span>
+            {session.isCurrent && (
+              <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-green-100 text-green-700">
+                This device
+              </span>
+            )}
+            {session.isSuspicious && (
+              <ShieldAlert className="w-4 h-4 text-amber-500" title="Unusual activity" />
+            )}
+          </div>
+          <div className="text-sm text-slate-500 flex items-center space-x-3">
+            <span className="inline-flex items-center">
+              <MapPin className="w-3 h-3 mr-1" />
+              {formatLocation(session.location)}
+            </span>
+            <span>{formatLastActive(session.lastAccessedAt)}</span>
+          </div>
+        </div>
+      </div>
+
+      {!session.isCurrent && (
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => onRevoke(session.sessionId)}
+          loading={revoking}
+          disabled={revoking}
+        >
+          Sign out
+        </Button>
+      )}
+    </li>
+  )
+}
+
+const TwoFactorSection = () => {
+  const [status, setStatus] = useState(null)
+  const [setup, setSetup] = useState(null)
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [mode, setMode] = useState(null) // 'disable' | 'regenerate'
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await authAPI.getTwoFactorStatus()
+      setStatus(response.data.data)
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to load two-factor status'))
+    }
+  }, [])
+
+  useEffect(() => {
+    loadStatus()
+  }, [loadStatus])
+
+  const resetForm = () => {
+    setMode(null)
+    setCode('')
+    setPassword('')
+  }
+
+  // Wraps a two-factor request: shared busy state and error toast
+  const submit = (request) => async (event) => {
+    event?.preventDefault()
+    setSubmitting(true)
+    try {
+      await request()
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Something went wrong'))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const startSetup = submit(async () => {
+    const response = await authAPI.setupTwoFactor()
+    setSetup(response.data.data)
+    setRecoveryCodes(null)
+  })
+
+  const confirmSetup = submit(async () => {
+    const response = await authAPI.enableTwoFactor(code.trim())
+    setSetup(null)
+    setRecoveryCodes(response.data.data.recoveryCodes)
+    resetForm()
+    toast.success('Two-factor authentication enabled')
+    await loadStatus()
+  })
+
+  const disable = submit(async () => {
+    await authAPI.disableTwoFactor({ password, code: code.trim() })
+    resetForm()
+    setRecoveryCodes(null)
+    toast.success('Two-factor authentication disabled')
+    await loadStatus()
+  })
+
+  const regenerate = submit(async () => {
+    const response = await authAPI.regenerateRecoveryCodes(code.trim())
+    setRecoveryCodes(response.data.data.recoveryCodes)
+    resetForm()
+    await loadStatus()
+  })
+
+  if (!status) {
+    return (
+      <div className="py-8 flex justify-center">
+        <LoadingSpinner />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2">
+          <ShieldCheck className={`w-5 h-5 ${status.enabled ? 'text-green-600' : 'text-slate-400'}`} />
+          <span className="font-medium text-slate-900">
+            {status.enabled ? 'Enabled' : 'Not enabled'}
+          </span>
+          {status.required && (
+            <span className="text-xs font-medium px-2 py-0.5 rounded-full bg-amber-100 text-amber-700">
+              Required for your role
+            </span>
+          )}
+        </div>
+        {!status.enabled && !setup && (
+          <Button size="sm" onClick={startSetup} loading={submitting} disabled={submitting}>
+            Set up
+          </Button>
+        )}
+      </div>
+
+      {status.enabled && (
+        <p className="text-sm text-slate-500">
+          {status.recoveryCodesRemaining} recovery codes left.
+        </p>
+      )}
+
+      {setup && (
+        <form onSubmit={confirmSetup} className="space-y-3">
+          <p className="text-sm text-slate-600">
+            Scan the QR code with an authenticator app, then enter the 6-digit code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-44 h-44" />
+          <p className="text-xs text-slate-500 break-all">
+            Can't scan? Enter this key: <span className="font-mono">{setup.secret}</span>
+          </p>
+          <Input
+            label="Authentication code"
+            value={code}
+            onChange={(event) => setCode(event.target.value)}
+            placeholder="123456"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+          />
+          <div className="flex space-x-2">
+            <Button type="submit" size="sm" loading={submitting} disabled={!code.trim() || submitting}>
+              Enable
+            </Button>
+            <Button type="button" variant="secondary" size="sm" onClick={() => { setSetup(null); resetForm() }}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {recoveryCodes && <RecoveryCodesList codes={recoveryCodes} />}
+
+      {status.enabled && !mode && (
+        <div className="flex space-x-2">
+          <Button variant="secondary" size="sm" onClick={() => setMode('regenerate')}>
+            New recovery codes
+          </Button>
+          {!status.required && (
+            <Button variant="danger" size="sm" onClick={() => setMode('disable')}>
+              Disable
+            </Button>
+          )}
+        </div>
+      )}
+
+      {mode && (
+        <form onSubmit={mode === 'disable' ? disable : regenerate} className="space-y-3">
+          {mode === 'disable' && (
+            <Input
+              label="Password"
+              type="password"
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+              autoComplete="current-password"
+            />
+          )}
+          <Input
+            label="Authentication code"
+            value={code}
+            onChange={(event) => setCode(event.target.value)}
+            placeholder="123456"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+          />
+          <div className="flex space-x-2">
+            <Button
+              type="submit"
+              variant={mode === 'disable' ? 'danger' : 'primary'}
+              size="sm"
+              loading={submitting}
+              disabled={!code.trim() || (mode === 'disable' && !password) || submitting}
+            >
+              {mode === 'disable' ? 'Disable two-factor' : 'Generate codes'}
+            </Button>
+            <Button type="button" variant="secondary" size="sm" onClick={resetForm}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
+
+const SettingsPage = () => {
+  const [sessions, setSessions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [revokingId, setRevokingId] = useState(null)
+  const [revokingOthers, setRevokingOthers] = useState(false)
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await userAPI.getSessions()
+      setSessions(response.data.data.sessions)
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to load your devices'))
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadSessions()
+  }, [loadSessions])
+
+  const handleRevoke = async (sessionId) => {
+    setRevokingId(sessionId)
+    try {
+      await userAPI.revokeSession(sessionId)
+      setSessions(current => current.filter(session => session.sessionId !== sessionId))
+      toast.success('Device signed out')
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to sign out the device'))
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  const handleRevokeOthers = async () => {
+    setRevokingOthers(true)
+    try {
+      const response = await userAPI.revokeOtherSessions()
+      setSessions(current => current.filter(session => session.isCurrent))
+      toast.success(response.data.message)
+    } catch (error) {
+      toast.error(getErrorMessage(error, 'Failed to sign out other devices'))
+    } finally {
+      setRevokingOthers(false)
+    }
+  }
+
+  const otherSessions = sessions.filter(session => !session.isCurrent)
+
+  return (
+    <Layout>
+      <div className="min-h-screen bg-slate-50">
+        <div className="max-w-3xl mx-auto px-4 py-8 space-y-6">
+          <h1 className="text-3xl font-bold text-slate-900">Settings</h1>
+
+          {/* Two-factor authentication */}
+          <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+            <h2 className="text-lg font-semibold text-slate-900">Two-factor authentication</h2>
+            <p className="text-sm text-slate-500 mb-4">
+              Ask for a code from an authenticator app after your password when signing in.
+            </p>
+            <TwoFactorSection />
+          </section>
+
+          {/* Devices */}
+          <section className="bg-white rounded-2xl shadow-sm border border-slate-200 p-6">
+            <div className="flex items-start justify-between mb-2">
+              <div>
+                <h2 className="text-lg font-semibold text-slate-900">Signed-in devices</h2>
+                <p className="text-sm text-slate-500">
+                  Devices with access to your account. Sign out any you do not recognise.
+                </p>
+              </div>
+              {otherSessions.length > 0 && (
+                <Button
+                  variant="danger"
+                  size="sm"
+                  onClick={handleRevokeOthers}
+                  loading={revokingOthers}
+                  disabled={revokingOthers}
+                >
+                  <LogOut className="w-4 h-4 mr-1" />
+                  Sign out everywhere else
+                </Button>
+              )}
+            </div>
+
+            {loading ? (
+              <div className="py-8 flex justify-center">
+                <LoadingSpinner />
+              </div>
+            ) : sessions.length === 0 ? (
+              <p className="py-6 text-sm text-slate-500">No active sessions found.</p>
+            ) : (
+              <ul className="divide-y divide-slate-100">
+                {sessions.map(session => (
+                  <SessionRow
+                    key={session.sessionId}
+                    session={session}
+                    onRevoke={handleRevoke}
+                    revoking={revokingId === session.sessionId}
+                  />
+                ))}
+              </ul>
+            )}
+          </section>
+        </div>
+      </div>
+    </Layout>
+  )
+}
+
+export default SettingsPage
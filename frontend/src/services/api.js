@@ -139,7 +139,25 @@ export const authAPI = {
   refreshToken: () => api.post('/auth/refresh-token'),
   verifyToken: () => api.get('/auth/verify'),
   forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
-  resetPassword: (token, password) => api.post(`/auth/reset-password/${token}`, { password })
+  resetPassword: (token, newPassword) => api.post(`/auth/reset-password/${token}`, { newPassword }),
+  verifyEmail: (token) => api.get(`/auth/verify-email/${token}`),
+  unlockAccount: (token) => api.post(`/auth/unlock/${token}`),
+  resendVerification: () => api.post('/auth/verify-email/resend'),
+  changePassword: (currentPassword, newPassword) => api.put('/auth/change-password', { currentPassword, newPassword }),
+  
+  // Two-factor: second login step and settings
+  loginTwoFactor: ({ challengeToken, code, recoveryCode }) => api.post('/auth/login/2fa', { challengeToken, code, recoveryCode }),
+  loginTwoFactorSetup: (challengeToken) => api.post('/auth/login/2fa/setup', { challengeToken }),
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: ({ password, code, recoveryCode }) => api.post('/auth/2fa/disable', { password, code, recoveryCode }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+  
+  // Single sign-on (OpenID Connect)
+  getOidcProviders: () => api.get('/auth/oidc/providers'),
+  startOidcLogin: (providerId) => api.get(`/auth/oidc/${providerId}/authorize`),
+  oidcCallback: ({ code, state, browserKey }) => api.post('/auth/oidc/callback', { code, state, browserKey })
 }
 
 export const userAPI = {
@@ -148,6 +166,9 @@ export const userAPI = {
   getStats: () => api.get('/users/me/stats'),
   getPointsBalance: () => api.get('/users/me/points'),
   getPointsHistory: () => api.get('/users/me/points/history'),
+  getSessions: () => api.get('/users/me/sessions'),
+  revokeSession: (sessionId) => api.delete(`/users/me/sessions/${sessionId}`),
+  revokeOtherSessions: () => api.delete('/users/me/sessions'),
 }
 
 export const coursesAPI = {
@@ -164,8 +185,27 @@ export const documentsAPI = {
   upload: (formData) => api.post('/documents', formData, {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
+  importUrl: (data) => api.post('/documents/import-url', data),
   update: (id, data) => api.put(`/documents/${id}`, data),
   delete: (id, params = {}) => api.delete(`/documents/${id}`, { params }),
+  getPage: (id, pageNumber) => api.get(`/documents/${id}/pages/${pageNumber}`),
+  getSummary: (id) => api.get(`/documents/${id}/summary`),
+  getSummaryEstimate: (id) => api.get(`/documents/${id}/summary/estimate`),
+  process: (id) => api.post(`/documents/${id}/process`),
+  chat: (id, data) => api.post(`/documents/${id}/chat`, data),
+  getConversations: (id, params = {}) => api.get(`/documents/${id}/chat/conversations`, { params }),
+  getConversation: (id, conversationId) => api.get(`/documents/${id}/chat/conversations/${conversationId}`),
+  deleteConversation: (id, conversationId) => api.delete(`/documents/${id}/chat/conversations/${conversationId}`),
+
+  // Server-Sent Events stream; uses fetch because axios cannot read a stream
+  // in the browser and EventSource cannot send the Authorization header
+  openEvents: (id, signal) => fetch(`${API_BASE_URL}/documents/${id}/events`, {
+    headers: {
+      Accept: 'text/event-stream',
+      Authorization: `Bearer ${localStorage.getItem('accessToken')}`
+    },
+    signal
+  }),
 }
 
 export const quizzesAPI = {
@@ -176,6 +216,26 @@ export const quizzesAPI = {
   submitAnswer: (id, attemptId, data) => api.put(`/quizzes/${id}/attempt/${attemptId}`, data),
 }
 
+export const subscriptionAPI = {
+  getPlans: () => api.get('/subscriptions/plans'),
+  getCurrent: () => api.get('/subscriptions/current'),
+  getUsage: () => api.get('/subscriptions/usage'),
+  upgrade: (planType, billingCycle) => api.post('/subscriptions/upgrade', { planType, billingCycle }),
+  downgrade: (planType) => api.post('/subscriptions/downgrade', { planType }),
+  cancel: (reason) => api.post('/subscriptions/cancel', { reason }),
+  resume: () => api.post('/subscriptions/resume'),
+}
+
+// Checkouts return to /payments/success?transaction=<id>; poll until it leaves pending
+export const paymentsAPI = {
+  getTransaction: (transactionId) => api.get(`/transactions/${transactionId}`),
+}
+
+// Ranks documents, summaries, key points and quiz questions by meaning
+export const searchAPI = {
+  search: (params = {}) => api.get('/search', { params }),
+}
+
 // ===========================================
 // UTILITY FUNCTIONS
 // ===========================================
@@ -2,7 +2,24 @@
  * PATH: src/services/documents.service.js
  */
 
-import { documentsAPI } from './api'
+import { authAPI, documentsAPI, searchAPI } from './api'
+
+/**
+ * Get a new access token from the refresh token cookie
+ * @returns {Promise<boolean>} Whether a new token was stored
+ */
+const refreshAccessToken = async () => {
+  try {
+    const response = await authAPI.refreshToken()
+    if (!response.data?.accessToken) return false
+
+    localStorage.setItem('accessToken', response.data.accessToken)
+    return true
+  } catch (error) {
+    console.error('❌ Could not refresh the access token:', error)
+    return false
+  }
+}
 
 export const documentsService = {
   // ==========================================
@@ -48,6 +65,21 @@ export const documentsService = {
     }
   },
 
+  /**
+   * Get the extracted text of a single document page
+   * @param {string} documentId - Document ID
+   * @param {number} pageNumber - 1-based page number
+   * @returns {Promise<Object>} Page text and the outline section it belongs to
+   */
+  async getDocumentPage(documentId, pageNumber) {
+    try {
+      const response = await documentsAPI.getPage(documentId, pageNumber)
+      return response.data
+    } catch (error) {
+      throw this.handleError(error)
+    }
+  },
+
   /**
    * Upload new document
    * @param {File} file - Document file
@@ -77,6 +109,22 @@ export const documentsService = {
     }
   },
 
+  /**
+   * Import a web page as a document
+   * @param {string} url - Page address
+   * @param {Object} metadata - Document metadata
+   * @param {boolean} processImmediately - Start AI processing
+   * @returns {Promise<Object>} Created document
+   */
+  async importDocumentFromUrl(url, metadata = {}, processImmediately = false) {
+    try {
+      const response = await documentsAPI.importUrl({ url, ...metadata, processImmediately })
+      return response.data
+    } catch (error) {
+      throw this.handleError(error)
+    }
+  },
+
   /**
    * Update document metadata
    * @param {string} documentId - Document ID
@@ -125,6 +173,20 @@ export const documentsService = {
     }
   },
 
+  /**
+   * Estimate the AI requests, tokens and cost of summarizing a document
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object>} Summary cost estimate
+   */
+  async getSummaryEstimate(documentId) {
+    try {
+      const response = await documentsAPI.getSummaryEstimate(documentId)
+      return response.data
+    } catch (error) {
+      throw this.handleError(error)
+    }
+  },
+
   /**
    * Trigger AI processing for document
    * @param {string} documentId - Document ID
@@ -186,6 +248,93 @@ export const documentsService = {
     }
   },
 
+  // ==========================================
+  // DOCUMENT CHAT
+  // ==========================================
+
+  /**
+   * Ask a question about a document
+   * @param {string} documentId - Document ID
+   * @param {string} message - Question
+   * @param {string|null} conversationId - Conversation to continue, or null for a new one
+   * @returns {Promise<Object>} Conversation with the question and its cited answer
+   */
+  async sendChatMessage(documentId, message, conversationId = null) {
+    try {
+      const response = await documentsAPI.chat(documentId, {
+        message,
+        ...(conversationId && { conversationId })
+      })
+      return response.data
+    } catch (error) {
+      throw this.handleError(error)
+    }
+  },
+
+  /**
+   * List conversations about a document, most recent first
+   * @param {string} documentId - Document ID
+   * @param {Object} params - { page, limit }
+   * @returns {Promise<Object>} Conversation summaries
+   */
+  async getChatConversations(documentId, params = {}) {
+    try {
+      const response = await documentsAPI.getConversations(documentId, params)
+      return response.data
+    } catch (error) {
+      throw this.handleError(error)
+    }
+  },
+
+  /**
+   * Reopen a conversation with its messages
+   * @param {string} documentId - Document ID
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Conversation
+   */
+  async getChatConversation(documentId, conversationId) {
+    try {
+      const response = await documentsAPI.getConversation(documentId, conversationId)
+      return response.data
+    } catch (error) {
+      throw this.handleError(error)
+    }
+  },
+
+  /**
+   * Delete a conversation
+   * @param {string} documentId - Document ID
+   * @param {string} conversationId - Conversation ID
+   * @returns {Promise<Object>} Success message
+   */
+  async deleteChatConversation(documentId, conversationId) {
+    try {
+      const response = await documentsAPI.deleteConversation(documentId, conversationId)
+      return response.data
+    } catch (error) {
+      throw this.handleError(error)
+    }
+  },
+
+  // ==========================================
+  // LIBRARY SEARCH
+  // ==========================================
+
+  /**
+   * Search documents, summaries, key points and quiz questions by meaning
+   * @param {string} query - Search text
+   * @param {Object} options - { types, limit }
+   * @returns {Promise<Object>} Ranked results with highlighted snippets
+   */
+  async searchLibrary(query, options = {}) {
+    try {
+      const response = await searchAPI.search({ q: query, ...options })
+      return response.data
+    } catch (error) {
+      throw this.handleError(error)
+    }
+  },
+
   // ==========================================
   // UTILITY METHODS
   // ==========================================
@@ -247,6 +396,92 @@ export const documentsService = {
     }
   },
 
+  /**
+   * Follow live processing progress of a document (Server-Sent Events).
+   * Reconnects after network drops (refreshing an expired access token first)
+   * and stops once processing completes or fails.
+   * @param {string} documentId - Document ID
+   * @param {Object} handlers - Callbacks
+   * @param {Function} handlers.onEvent - Called with (eventName, payload)
+   * @param {Function} handlers.onError - Called when the stream cannot be opened
+   * @returns {Function} Call to stop listening
+   */
+  subscribeToProcessingEvents(documentId, { onEvent, onError } = {}) {
+    const controller = new AbortController()
+    let retryDelay = 5000
+    let finished = false
+    // Refresh the token once per rejected reconnect, not in a loop
+    let refreshed = false
+
+    const dispatchBlock = (block) => {
+      let eventName = 'message'
+      const dataLines = []
+
+      block.split('\n').forEach(line => {
+        if (line.startsWith(':')) return
+        if (line.startsWith('event:')) eventName = line.slice(6).trim()
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim())
+        else if (line.startsWith('retry:')) retryDelay = parseInt(line.slice(6), 10) || retryDelay
+      })
+
+      if (dataLines.length === 0) return
+
+      const payload = JSON.parse(dataLines.join('\n'))
+      if (eventName === 'completed' || eventName === 'failed') {
+        finished = true
+      }
+      if (onEvent) onEvent(eventName, payload)
+    }
+
+    const connect = async () => {
+      try {
+        const response = await documentsAPI.openEvents(documentId, controller.signal)
+
+        // The access token expired while the stream was open
+        if (response.status === 401 && !refreshed) {
+          refreshed = true
+          if (await refreshAccessToken() && !controller.signal.aborted) {
+            connect()
+            return
+          }
+        }
+
+        if (!response.ok) {
+          // Missing document or session over: reconnecting will not help
+          finished = true
+          if (onError) onError(new Error(`Progress stream unavailable (${response.status})`))
+          return
+        }
+        refreshed = false
+
+        const reader = response.body.getReader()
+        const decoder = new TextDecoder()
+        let buffer = ''
+
+        while (true) {
+          const { value, done } = await reader.read()
+          if (done) break
+
+          buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n')
+          const blocks = buffer.split('\n\n')
+          buffer = blocks.pop()
+          blocks.forEach(dispatchBlock)
+        }
+      } catch (error) {
+        if (controller.signal.aborted) return
+        console.error('❌ Progress stream error:', error)
+      }
+
+      if (!finished && !controller.signal.aborted) {
+        setTimeout(connect, retryDelay)
+      }
+    }
+
+    connect()
+
+    return () => controller.abort()
+  },
+
   /**
    * Handle API errors consistently
    * @param {Error} error - API error
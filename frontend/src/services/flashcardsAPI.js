@@ -0,0 +1,61 @@
+/**
+ * PATH: src/services/flashcardsAPI.js
+ * Flashcard API service for generation, spaced-repetition reviews and deck stats
+ */
+
+import api from './api'
+
+export const flashcardsAPI = {
+  /**
+   * Generate flashcards from a processed document
+   */
+  generate: async (documentId, count = 20) => {
+    console.log(`🃏 Generating ${count} flashcards for document: ${documentId}`)
+    const response = await api.post('/flashcards/generate', { documentId, count })
+    return response.data
+  },
+
+  /**
+   * Get cards due for review today
+   */
+  getDue: async (options = {}) => {
+    const { documentId, limit = 50 } = options
+
+    const params = new URLSearchParams()
+    if (documentId) params.append('documentId', documentId)
+    params.append('limit', limit.toString())
+
+    const response = await api.get(`/flashcards/due?${params}`)
+    return response.data
+  },
+
+  /**
+   * Grade a card: again, hard, good or easy
+   */
+  review: async (flashcardId, grade) => {
+    const response = await api.post(`/flashcards/${flashcardId}/review`, { grade })
+    return response.data
+  },
+
+  /**
+   * Complete a review session and collect points
+   */
+  completeSession: async (startedAt, documentId) => {
+    console.log(`🏁 Completing flashcard session started at ${startedAt}`)
+    const response = await api.post('/flashcards/sessions/complete', { startedAt, documentId })
+    return response.data
+  },
+
+  /**
+   * Get deck statistics
+   */
+  getStats: async (documentId) => {
+    const params = new URLSearchParams()
+    if (documentId) params.append('documentId', documentId)
+
+    const response = await api.get(`/flashcards/stats?${params}`)
+    return response.data
+  }
+}
+
+export default flashcardsAPI
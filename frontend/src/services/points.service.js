@@ -27,57 +27,6 @@ class PointsService {
     }
   }
 
-  async deductPoints(pointsToDeduct, courseId, transactionDetails = {}) {
-    try {
-      const payload = {
-        amount: pointsToDeduct,
-        reason: `Course enrollment: ${courseId} - ${transactionDetails.originalPrice ? `$${transactionDetails.originalPrice} course` : 'course purchase'}`
-      }
-
-      const response = await api.post('/users/me/points/deduct', payload)
-      
-      return {
-        success: true,
-        newBalance: response.data.data.newTotal,
-        pointsDeducted: response.data.data.pointsDeducted,
-        transactionId: response.data.data.timestamp,
-        data: response.data.data
-      }
-    } catch (error) {
-      console.error('Error deducting points:', error)
-      return {
-        success: false,
-        error: error.response?.data?.message || 'Failed to deduct points',
-        code: error.response?.status
-      }
-    }
-  }
-
-  async addPoints(pointsToAdd, reason = 'Manual credit', metadata = {}) {
-    try {
-      const payload = {
-        amount: pointsToAdd,
-        reason: reason
-      }
-
-      const response = await api.post('/users/me/points/add', payload)
-      
-      return {
-        success: true,
-        newBalance: response.data.data.newTotal,
-        pointsAdded: response.data.data.pointsAdded,
-        transactionId: response.data.data.timestamp,
-        data: response.data.data
-      }
-    } catch (error) {
-      console.error('Error adding points:', error)
-      return {
-        success: false,
-        error: error.response?.data?.message || 'Failed to add points'
-      }
-    }
-  }
-
   /**
    * Get user's points transaction history
    */
@@ -241,33 +190,19 @@ class PointsService {
         }
       }
 
-      // Deduct points if any are being used
-      let pointsDeductionResult = { success: true, newBalance: null }
-      if (pointsToUse > 0) {
-        pointsDeductionResult = await this.deductPoints(
-          pointsToUse, 
-          courseId, 
-          { originalPrice: coursePrice }
-        )
-        
-        if (!pointsDeductionResult.success) {
-          return {
-            success: false,
-            error: 'Failed to process points deduction',
-            pointsError: pointsDeductionResult.error
-          }
-        }
-      }
+      // The purchase holds the points server-side
+      const response = await api.post(`/courses/${courseId}/purchase`, { pointsToUse })
+      const { purchase } = response.data.data
 
       // Return successful enrollment data
       return {
         success: true,
         enrollment: {
           courseId,
-          pointsTransaction: pointsDeductionResult,
+          purchase,
           enrolledAt: new Date().toISOString()
         },
-        newPointsBalance: pointsDeductionResult.newBalance
+        checkoutUrl: purchase?.status === 'pending' ? purchase.checkoutUrl : null
       }
     } catch (error) {
       console.error('Error processing course enrollment:', error)
@@ -19,7 +19,46 @@ export const loginUser = createAsyncThunk(
       
       return response.data // This goes to action.payload
     } catch (error) {
-      const message = error.response?.data?.message || 'Login failed'
+      // Lockout and throttling errors carry their message in error.message
+      const message = error.response?.data?.error?.message || error.response?.data?.message || 'Login failed'
+      return rejectWithValue(message)
+    }
+  }
+)
+
+// Second login step for accounts with two-factor authentication
+export const verifyTwoFactorLogin = createAsyncThunk(
+  'auth/verifyTwoFactorLogin',
+  async (payload, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.loginTwoFactor(payload)
+      
+      if (response.data.data.accessToken) {
+        localStorage.setItem('accessToken', response.data.data.accessToken)
+      }
+      
+      return response.data
+    } catch (error) {
+      const message = error.response?.data?.error?.message || error.response?.data?.message || 'Verification failed'
+      return rejectWithValue(message)
+    }
+  }
+)
+
+// Single sign-on: finish the login with the provider's code and state
+export const loginWithOidc = createAsyncThunk(
+  'auth/loginWithOidc',
+  async ({ code, state, browserKey }, { rejectWithValue }) => {
+    try {
+      const response = await authAPI.oidcCallback({ code, state, browserKey })
+      
+      if (response.data.data.accessToken) {
+        localStorage.setItem('accessToken', response.data.data.accessToken)
+      }
+      
+      return response.data
+    } catch (error) {
+      const message = error.response?.data?.error?.message || error.response?.data?.message || 'Single sign-on failed'
       return rejectWithValue(message)
     }
   }
@@ -142,7 +181,9 @@ const authSlice = createSlice({
     isLoadingStats: false,
     error: null,
     loginSuccess: false,
-    registerSuccess: false
+    registerSuccess: false,
+    twoFactorChallenge: null,
+    recoveryCodes: null
   },
   reducers: {
     clearError: (state) => {
@@ -156,6 +197,13 @@ const authSlice = createSlice({
       state.userStats = null
       state.rawStatsData = null
     },
+    clearTwoFactorChallenge: (state) => {
+      state.twoFactorChallenge = null
+      state.error = null
+    },
+    clearRecoveryCodes: (state) => {
+      state.recoveryCodes = null
+    },
     setUser: (state, action) => {
       state.user = action.payload
     },
@@ -168,6 +216,8 @@ const authSlice = createSlice({
       state.error = null
       state.loginSuccess = false
       state.registerSuccess = false
+      state.twoFactorChallenge = null
+      state.recoveryCodes = null
       localStorage.removeItem('accessToken')
     }
   },
@@ -182,6 +232,14 @@ const authSlice = createSlice({
         console.log('🔥 LOGIN RESPONSE:', action.payload)
         
         state.isLoading = false
+        
+        // Password accepted, a two-factor code is still needed
+        if (action.payload.data.twoFactorRequired) {
+          state.twoFactorChallenge = action.payload.data
+          state.error = null
+          return
+        }
+        
         state.isAuthenticated = true
         
         state.token = action.payload.data.accessToken 
@@ -201,6 +259,53 @@ const authSlice = createSlice({
         state.loginSuccess = false
       })
       
+      // Two-factor login cases
+      .addCase(verifyTwoFactorLogin.pending, (state) => {
+        state.isLoading = true
+        state.error = null
+      })
+      .addCase(verifyTwoFactorLogin.fulfilled, (state, action) => {
+        state.isLoading = false
+        state.isAuthenticated = true
+        state.token = action.payload.data.accessToken
+        state.user = action.payload.data.user
+        state.twoFactorChallenge = null
+        // Returned once when the login included a required two-factor setup
+        state.recoveryCodes = action.payload.data.recoveryCodes || null
+        state.loginSuccess = true
+        state.error = null
+      })
+      .addCase(verifyTwoFactorLogin.rejected, (state, action) => {
+        state.isLoading = false
+        state.error = action.payload
+      })
+      
+      // Single sign-on cases
+      .addCase(loginWithOidc.pending, (state) => {
+        state.isLoading = true
+        state.error = null
+      })
+      .addCase(loginWithOidc.fulfilled, (state, action) => {
+        state.isLoading = false
+        state.error = null
+        
+        // Provider accepted, a two-factor code is still needed
+        if (action.payload.data.twoFactorRequired) {
+          state.twoFactorChallenge = action.payload.data
+          return
+        }
+        
+        state.isAuthenticated = true
+        state.token = action.payload.data.accessToken
+        state.user = action.payload.data.user
+        state.loginSuccess = true
+      })
+      .addCase(loginWithOidc.rejected, (state, action) => {
+        state.isLoading = false
+        state.error = action.payload
+        state.loginSuccess = false
+      })
+      
       // Register cases
       .addCase(registerUser.pending, (state) => {
         state.isLoading = true
@@ -269,7 +374,15 @@ const authSlice = createSlice({
   }
 })
 
-export const { clearError, clearSuccess, setUser, resetAuth, clearUserStats } = authSlice.actions
+export const {
+  clearError,
+  clearSuccess,
+  setUser,
+  resetAuth,
+  clearUserStats,
+  clearTwoFactorChallenge,
+  clearRecoveryCodes
+} = authSlice.actions
 
 // Selectors
 export const selectAuth = (state) => state.auth
@@ -277,6 +390,8 @@ export const selectIsAuthenticated = (state) => state.auth.isAuthenticated
 export const selectUser = (state) => state.auth.user
 export const selectAuthLoading = (state) => state.auth.isLoading
 export const selectAuthError = (state) => state.auth.error
+export const selectTwoFactorChallenge = (state) => state.auth.twoFactorChallenge
+export const selectRecoveryCodes = (state) => state.auth.recoveryCodes
 
 export const selectUserStats = (state) => state.auth.userStats
 export const selectStatsLoading = (state) => state.auth.isLoadingStats
@@ -51,6 +51,18 @@ export const uploadDocument = createAsyncThunk(
   }
 )
 
+export const importDocumentFromUrl = createAsyncThunk(
+  'documents/importDocumentFromUrl',
+  async ({ url, metadata, processImmediately }, { rejectWithValue }) => {
+    try {
+      const response = await documentsService.importDocumentFromUrl(url, metadata, processImmediately)
+      return response
+    } catch (error) {
+      return rejectWithValue(error.message)
+    }
+  }
+)
+
 export const deleteDocument = createAsyncThunk(
   'documents/deleteDocument',
   async ({ documentId, permanent }, { rejectWithValue }) => {
@@ -103,6 +115,36 @@ export const fetchDocumentStats = createAsyncThunk(
 // DOCUMENTS SLICE
 // ==========================================
 
+// Uploads and URL imports both create a document
+const startUpload = (state) => {
+  state.isUploading = true
+  state.error = null
+}
+
+const addCreatedDocument = (state, action) => {
+  state.isUploading = false
+  
+  state.totalDocumentsCount += 1
+  state.hasDocuments = true
+  state.stats.total = state.totalDocumentsCount
+  
+  if (!state.searchState.isSearchActive) {
+    state.documents.unshift(action.payload.document)
+    state.displayedDocumentsCount = state.documents.length
+  }
+  
+  if (action.payload.document.status === 'pending') {
+    state.stats.pending += 1
+  } else if (action.payload.document.status === 'processing') {
+    state.stats.processing += 1
+  }
+}
+
+const failUpload = (state, action) => {
+  state.isUploading = false
+  state.error = action.payload
+}
+
 const documentsSlice = createSlice({
   name: 'documents',
   initialState: {
@@ -142,6 +184,9 @@ const documentsSlice = createSlice({
       recentUploads: 0
     },
     
+    // Live processing progress by document id (from the events stream)
+    processingProgress: {},
+    
     hasDocuments: null,
     isLoading: false,
     isUploading: false,
@@ -189,6 +234,28 @@ const documentsSlice = createSlice({
       }
     },
     
+    applyProcessingEvent: (state, action) => {
+      const event = action.payload
+      state.processingProgress[event.documentId] = event
+      
+      const document = state.documents.find(doc => (doc.id || doc._id) === event.documentId)
+      if (document) {
+        document.status = event.status
+        // Upload responses carry processing as a plain status string
+        const processing = typeof document.processing === 'object' ? document.processing : {}
+        document.processing = {
+          ...processing,
+          stage: event.stage,
+          attempts: event.attempt,
+          error: event.error
+        }
+      }
+      
+      if (event.status === 'completed' || event.status === 'failed') {
+        delete state.processingProgress[event.documentId]
+      }
+    },
+    
     removeDocumentFromList: (state, action) => {
       const documentId = action.payload
       state.documents = state.documents.filter(doc => doc.id !== documentId)
@@ -233,6 +300,7 @@ const documentsSlice = createSlice({
     resetDocuments: (state) => {
       state.documents = []
       state.currentDocument = null
+      state.processingProgress = {}
       state.hasDocuments = null
       state.error = null
       state.lastFetched = null
@@ -302,34 +370,19 @@ const documentsSlice = createSlice({
         console.log('📊 Total documents count updated:', action.payload)
       })
       
-      .addCase(uploadDocument.pending, (state) => {
-        state.isUploading = true
-        state.error = null
-      })
+      .addCase(uploadDocument.pending, startUpload)
       .addCase(uploadDocument.fulfilled, (state, action) => {
-        state.isUploading = false
-        
-        state.totalDocumentsCount += 1
-        state.hasDocuments = true
-        state.stats.total = state.totalDocumentsCount
-        
-        if (!state.searchState.isSearchActive) {
-          state.documents.unshift(action.payload.document)
-          state.displayedDocumentsCount = state.documents.length
-        }
-        
-        if (action.payload.document.status === 'pending') {
-          state.stats.pending += 1
-        } else if (action.payload.document.status === 'processing') {
-          state.stats.processing += 1
-        }
-        
+        addCreatedDocument(state, action)
         console.log('📤 Document uploaded, total count:', state.totalDocumentsCount)
       })
-      .addCase(uploadDocument.rejected, (state, action) => {
-        state.isUploading = false
-        state.error = action.payload
+      .addCase(uploadDocument.rejected, failUpload)
+
+      .addCase(importDocumentFromUrl.pending, startUpload)
+      .addCase(importDocumentFromUrl.fulfilled, (state, action) => {
+        addCreatedDocument(state, action)
+        console.log('🌐 Document imported, total count:', state.totalDocumentsCount)
       })
+      .addCase(importDocumentFromUrl.rejected, failUpload)
       
       .addCase(deleteDocument.fulfilled, (state, action) => {
         const documentId = action.payload
@@ -395,6 +448,7 @@ export const {
   setCurrentDocument,
   clearCurrentDocument,
   updateDocumentInList,
+  applyProcessingEvent,
   removeDocumentFromList,
   updateTotalDocumentsCount,
   setLocalFilterResults,
@@ -417,6 +471,7 @@ export const selectFilters = (state) => state.documents.filters
 export const selectTotalDocumentsCount = (state) => state.documents.totalDocumentsCount
 export const selectDisplayedDocumentsCount = (state) => state.documents.displayedDocumentsCount
 export const selectSearchState = (state) => state.documents.searchState
+export const selectProcessingProgress = (state) => state.documents.processingProgress
 
 export const selectDocumentCountForSubscription = (state) => {
   return state.documents.totalDocumentsCount
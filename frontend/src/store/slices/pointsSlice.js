@@ -23,39 +23,6 @@ export const fetchUserPoints = createAsyncThunk(
   }
 )
 
-export const addUserPoints = createAsyncThunk(
-  'points/addUserPoints',
-  async ({ amount, reason = 'Testing points' }, { rejectWithValue }) => {
-    try {
-      const response = await pointsService.addPoints(amount, reason)
-      if (response.success) {
-        return response.data
-      } else {
-        return rejectWithValue(response.error)
-      }
-    } catch (error) {
-      return rejectWithValue(error.message)
-    }
-  }
-)
-
-// Async thunk for deducting points
-export const deductUserPoints = createAsyncThunk(
-  'points/deductUserPoints',
-  async ({ amount, reason }, { rejectWithValue }) => {
-    try {
-      const response = await pointsService.deductPoints(amount, reason)
-      if (response.success) {
-        return response.data
-      } else {
-        return rejectWithValue(response.error)
-      }
-    } catch (error) {
-      return rejectWithValue(error.message)
-    }
-  }
-)
-
 const pointsSlice = createSlice({
   name: 'points',
   initialState: {
@@ -94,30 +61,6 @@ const pointsSlice = createSlice({
         state.loading = false
         state.error = action.payload
       })
-      // Deduct points
-      .addCase(deductUserPoints.pending, (state) => {
-        state.loading = true
-        state.error = null
-      })
-      .addCase(deductUserPoints.fulfilled, (state, action) => {
-        state.loading = false
-        state.balance = action.payload?.newTotal || state.balance
-        state.totalUsed = (state.totalUsed || 0) + (action.payload?.pointsDeducted || 0)
-        state.lastUpdated = new Date().toISOString()
-        state.error = null
-      })
-      .addCase(deductUserPoints.rejected, (state, action) => {
-        state.loading = false
-        state.error = action.payload
-      })
-      // Add to extraReducers:
-      .addCase(addUserPoints.fulfilled, (state, action) => {
-        state.loading = false
-        state.balance = action.payload?.newTotal || state.balance
-        state.totalEarned = (state.totalEarned || 0) + (action.payload?.pointsAdded || 0)
-        state.lastUpdated = new Date().toISOString()
-        state.error = null
-      })
   }
 })
 
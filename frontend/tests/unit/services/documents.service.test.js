@@ -0,0 +1,72 @@
+// @vitest-environment jsdom
+/**
+ * Documents Service Unit Tests - documents.service.test.js
+ * @description Test suite for following document processing over Server-Sent Events
+ */
+
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import { authAPI, documentsAPI } from '../../../src/services/api'
+import { documentsService } from '../../../src/services/documents.service'
+
+vi.mock('../../../src/services/api', () => ({
+  authAPI: { refreshToken: vi.fn() },
+  documentsAPI: { openEvents: vi.fn() },
+  searchAPI: {}
+}))
+
+const eventStream = (...events) => ({
+  ok: true,
+  status: 200,
+  body: new Response(events.map(([name, payload]) => `event: ${name}\ndata: ${JSON.stringify(payload)}\n\n`).join('')).body
+})
+
+const rejected = (status) => ({ ok: false, status })
+
+describe('Documents Service', () => {
+  beforeEach(() => {
+    localStorage.setItem('accessToken', 'expired-token')
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.resetAllMocks()
+    localStorage.clear()
+  })
+
+  test('should refresh an expired token and resume the progress stream', async () => {
+    documentsAPI.openEvents
+      .mockResolvedValueOnce(rejected(401))
+      .mockResolvedValueOnce(eventStream(['progress', { progress: 60 }], ['completed', { progress: 100 }]))
+    authAPI.refreshToken.mockResolvedValue({ data: { success: true, accessToken: 'fresh-token' } })
+
+    const onError = vi.fn()
+    const events = await new Promise(resolve => {
+      const received = []
+      documentsService.subscribeToProcessingEvents('doc-1', {
+        onEvent: (name, payload) => {
+          received.push([name, payload])
+          if (name === 'completed') resolve(received)
+        },
+        onError
+      })
+    })
+
+    expect(authAPI.refreshToken).toHaveBeenCalledTimes(1)
+    expect(localStorage.getItem('accessToken')).toBe('fresh-token')
+    expect(documentsAPI.openEvents).toHaveBeenCalledTimes(2)
+    expect(events).toEqual([['progress', { progress: 60 }], ['completed', { progress: 100 }]])
+    expect(onError).not.toHaveBeenCalled()
+  })
+
+  test('should stop when the token cannot be refreshed', async () => {
+    documentsAPI.openEvents.mockResolvedValue(rejected(401))
+    authAPI.refreshToken.mockRejectedValue(new Error('Refresh token expired'))
+
+    const error = await new Promise(resolve => {
+      documentsService.subscribeToProcessingEvents('doc-1', { onEvent: vi.fn(), onError: resolve })
+    })
+
+    expect(error.message).toContain('401')
+    expect(documentsAPI.openEvents).toHaveBeenCalledTimes(1)
+  })
+})